@@ -171,6 +171,16 @@
             await this._persist(safeJob, `planning:step:${loop.stepIndex}:recovery`);
             continue;
           }
+          if (error && error.code === 'BUDGET_EXCEEDED') {
+            loop.updatedAt = Date.now();
+            await this._persist(safeJob, `planning:step:${loop.stepIndex}:budget_paused`);
+            throw error;
+          }
+          if (this._isAbortError(error)) {
+            loop.updatedAt = Date.now();
+            await this._persist(safeJob, `planning:step:${loop.stepIndex}:aborted`);
+            throw error;
+          }
           if (loop.stepAttempt < loop.maxStepAttempts) {
             loop.stepAttempt += 1;
             loop.updatedAt = Date.now();
@@ -532,6 +542,19 @@
             await this._persist(safeJob, `execution:step:${loop.iteration}:recovery`);
             continue;
           }
+          if (error && error.code === 'BUDGET_EXCEEDED') {
+            loop.status = 'yielded';
+            loop.updatedAt = Date.now();
+            await this._persist(safeJob, `execution:step:${loop.iteration}:budget_paused`);
+            return { ok: false, error: { code: error.code, message: error.message } };
+          }
+          if (this._isAbortError(error)) {
+            // Paused or cancelled from outside: keep the loop resumable instead of burning step attempts.
+            loop.status = 'yielded';
+            loop.updatedAt = Date.now();
+            await this._persist(safeJob, `execution:step:${loop.iteration}:aborted`);
+            return { ok: false, aborted: true, error: { code: 'ABORT_ERR', message: error.message || 'request aborted' } };
+          }
           if (loop.stepAttempt < loop.maxStepAttempts) {
             loop.stepAttempt += 1;
             loop.updatedAt = Date.now();
@@ -876,6 +899,18 @@
             await this._persist(safeJob, `proofreading:step:${loop.iteration}:recovery`);
             continue;
           }
+          if (error && error.code === 'BUDGET_EXCEEDED') {
+            loop.status = 'yielded';
+            loop.updatedAt = Date.now();
+            await this._persist(safeJob, `proofreading:step:${loop.iteration}:budget_paused`);
+            return { ok: false, error: { code: error.code, message: error.message } };
+          }
+          if (this._isAbortError(error)) {
+            loop.status = 'yielded';
+            loop.updatedAt = Date.now();
+            await this._persist(safeJob, `proofreading:step:${loop.iteration}:aborted`);
+            return { ok: false, aborted: true, error: { code: 'ABORT_ERR', message: error.message || 'request aborted' } };
+          }
           if (loop.stepAttempt < loop.maxStepAttempts) {
             loop.stepAttempt += 1;
             loop.updatedAt = Date.now();
@@ -1327,8 +1362,12 @@
         blockId: item.blockId,
         category: item.category || item.pathHint || 'unknown',
         length: typeof item.originalText === 'string' ? item.originalText.length : 0,
+        sourceLang: typeof item.sourceLang === 'string' && item.sourceLang ? item.sourceLang : null,
         text: typeof item.originalText === 'string' ? item.originalText.slice(0, 220) : ''
       }));
+      const langMix = job && job.pageAnalysis && job.pageAnalysis.stats && job.pageAnalysis.stats.langMix
+        ? job.pageAnalysis.stats.langMix
+        : null;
       const tuning = settings && settings.translationAgentTuning ? settings.translationAgentTuning : {};
       const systemText = [
         'You are Neuro Translate planning agent.',
@@ -1344,15 +1383,21 @@
         'Never end planning by plain text.',
         'Required flow: page.get_preanalysis -> (page.get_ranges/page.get_range_text as needed) -> agent.plan.set_taxonomy -> agent.plan.set_pipeline -> agent.plan.request_finish_analysis (until ok=true) -> agent.ui.ask_user_categories.',
         'After each key step call agent.append_report with short human-readable status.',
-        'Do not invent hidden hard limits; choose strategy based on page context.'
+        'Do not invent hidden hard limits; choose strategy based on page context.',
+        'Blocks with skipReason=already_target_lang are already in the target language and are never translated; mixed-language pages are reported in sourceLangMix.',
+        'styleGuide holds the user\'s instructions for this site; reflect them in the plan style and instructions.'
       ].join(' ');
       const userText = JSON.stringify({
         task: 'Build translation execution plan for scanned page.',
         jobId: job && job.id ? job.id : null,
         targetLang: job && job.targetLang ? job.targetLang : 'ru',
         blockCount: list.length,
+        sourceLangMix: langMix,
         profile: settings && settings.translationAgentProfile ? settings.translationAgentProfile : 'auto',
         tuning,
+        styleGuide: NT.StyleGuides && job && job.runSettings && job.runSettings.styleGuide
+          ? NT.StyleGuides.formatForPrompt(job.runSettings.styleGuide)
+          : [],
         sampleBlocks: sample
       });
       return [
@@ -1776,6 +1821,9 @@
       if (raw.includes('button') || raw.includes('label') || raw.includes('input') || raw.includes('form')) {
         return 'ui_controls';
       }
+      if (raw.includes('attribute')) {
+        return 'attributes';
+      }
       return 'main_content';
     }
 
@@ -2107,6 +2155,10 @@
         || (message.includes('previous response') && message.includes('not found'));
     }
 
+    _isAbortError(error) {
+      return Boolean(error && (error.name === 'AbortError' || error.code === 'ABORT_ERR'));
+    }
+
     _buildRecoveryInput({ mode, job, blocks, settings }) {
       const base = mode === 'planning'
         ? this._buildInitialInput({ job, blocks, settings })
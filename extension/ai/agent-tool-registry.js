@@ -10,7 +10,7 @@
   const TOOL_KEYS = defaults.TOOL_KEYS || {};
   const KNOWN_CATEGORIES = Array.isArray(defaults.KNOWN_CATEGORIES)
     ? defaults.KNOWN_CATEGORIES.slice()
-    : ['main_content', 'headings', 'navigation', 'ui_controls', 'tables', 'code', 'captions', 'footer', 'legal', 'ads', 'unknown'];
+    : ['main_content', 'headings', 'navigation', 'ui_controls', 'tables', 'code', 'captions', 'footer', 'legal', 'ads', 'attributes', 'unknown'];
 
   class AgentToolRegistry {
     constructor({
@@ -30,7 +30,8 @@
       classifyBlocksForJob,
       getCategorySummaryForJob,
       setSelectedCategories,
-      setAgentCategoryRecommendations
+      setAgentCategoryRecommendations,
+      detectEntities
     } = {}) {
       this.translationAgent = translationAgent || null;
       this.persistJobState = typeof persistJobState === 'function' ? persistJobState : null;
@@ -58,6 +59,7 @@
       this.setAgentCategoryRecommendations = typeof setAgentCategoryRecommendations === 'function'
         ? setAgentCategoryRecommendations
         : null;
+      this.detectEntities = typeof detectEntities === 'function' ? detectEntities : null;
       this._deltaDebounceByBlock = new Map();
       this.STREAM_DELTA_MIN_INTERVAL_MS = 150;
       this.STREAM_DELTA_MIN_CHARS = 32;
@@ -352,7 +354,7 @@
         {
           type: 'function',
           name: 'page.get_category_summary',
-          description: 'Read category distribution with confidence and examples.',
+          description: 'Read category distribution with confidence, examples and, when quality estimation is on, per-category quality scores plus the lowest-scoring blocks.',
           parameters: {
             type: 'object',
             additionalProperties: false,
@@ -673,7 +675,7 @@
             additionalProperties: false,
             properties: {
               blockId: { type: 'string' },
-              action: { type: 'string', enum: ['literal', 'style_improve'] }
+              action: { type: 'string', enum: ['literal', 'style_improve', 'proofread'] }
             },
             required: ['blockId', 'action']
           }
@@ -756,6 +758,7 @@
           'agent.compress_context',
           'memory.build_glossary',
           'memory.update_context_summary',
+          'page.get_category_summary',
           'proof.plan_proofreading',
           'proof.get_next_blocks',
           'proof.proofread_block_stream',
@@ -1206,6 +1209,8 @@
             source: 'page_untrusted'
           },
           pathHint: block && typeof block.pathHint === 'string' ? block.pathHint : '',
+          sourceLang: block && typeof block.sourceLang === 'string' ? block.sourceLang : '',
+          skipReason: block && typeof block.skipReason === 'string' ? block.skipReason : null,
           length: block && typeof block.originalText === 'string' ? block.originalText.length : 0
         }))
         .filter((row) => row.blockId && (!selectedSet || selectedSet.has(row.category)));
@@ -1386,6 +1391,7 @@
         effective,
         userOverrides,
         agentOverrides,
+        styleGuide: runSettings.styleGuide && typeof runSettings.styleGuide === 'object' ? runSettings.styleGuide : null,
         autoTune: {
           enabled: this._resolveAutoTuneEnabledFromSettings(settings, autoTune.enabled),
           mode: this._resolveAutoTuneModeFromSettings(settings, autoTune.mode),
@@ -1854,6 +1860,8 @@
             blockId,
             preCategory: typeof block.preCategory === 'string' ? block.preCategory : 'unknown',
             domOrder: Number.isFinite(Number(block.domOrder)) ? Number(block.domOrder) : 0,
+            sourceLang: typeof block.sourceLang === 'string' ? block.sourceLang : '',
+            skipReason: typeof block.skipReason === 'string' ? block.skipReason : null,
             preview: text.slice(0, 220)
           };
         });
@@ -1876,7 +1884,8 @@
           blockCount: Number.isFinite(Number(src.stats.blockCount)) ? Number(src.stats.blockCount) : blockIds.length,
           totalChars: Number.isFinite(Number(src.stats.totalChars)) ? Number(src.stats.totalChars) : 0,
           byPreCategory: preCategoryCounts,
-          rangeCount: Number.isFinite(Number(src.stats.rangeCount)) ? Number(src.stats.rangeCount) : rangeIds.length
+          rangeCount: Number.isFinite(Number(src.stats.rangeCount)) ? Number(src.stats.rangeCount) : rangeIds.length,
+          langMix: src.stats.langMix && typeof src.stats.langMix === 'object' ? src.stats.langMix : null
         },
         preCategories,
         preRangesSummary,
@@ -2692,10 +2701,15 @@
           counts[normalized] = (counts[normalized] || 0) + 1;
         });
       });
-      const glossary = Object.keys(counts)
+      const userTerms = NT.UserGlossary && Array.isArray(job.userGlossary) && job.userGlossary.length
+        ? NT.UserGlossary.toGlossaryHints(NT.UserGlossary.matchEntriesForBlocks(job.userGlossary, blocks))
+        : [];
+      const userTermKeys = new Set(userTerms.map((row) => row.term.toLowerCase()));
+      const glossary = userTerms.concat(Object.keys(counts)
+        .filter((term) => !userTermKeys.has(term.toLowerCase()))
         .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
-        .slice(0, maxTerms)
-        .map((term) => ({ term, hint: '' }));
+        .map((term) => ({ term, hint: '' })))
+        .slice(0, Math.max(maxTerms, userTerms.length));
       state.glossary = glossary;
       state.glossarySize = glossary.length;
       state.updatedAt = Date.now();
@@ -2798,10 +2812,14 @@
           };
         })
         .filter(Boolean);
+      // With viewport priority on, pending is already in reading order; size
+      // preferences only apply among blocks equally close to the screen.
+      const rank = NT.ViewportPriority ? NT.ViewportPriority.createRanker(job) : null;
+      const tierOf = (row) => (rank ? rank(row.blockId).tier : 0);
       if (prefer === 'short_first') {
-        rows.sort((a, b) => a.charCount - b.charCount || a.domIndex - b.domIndex);
+        rows.sort((a, b) => tierOf(a) - tierOf(b) || a.charCount - b.charCount || a.domIndex - b.domIndex);
       } else if (prefer === 'long_first') {
-        rows.sort((a, b) => b.charCount - a.charCount || a.domIndex - b.domIndex);
+        rows.sort((a, b) => tierOf(a) - tierOf(b) || b.charCount - a.charCount || a.domIndex - b.domIndex);
       }
       return {
         ok: true,
@@ -3151,7 +3169,7 @@
       const src = block && block.quality && typeof block.quality === 'object'
         ? block.quality
         : {};
-      const tag = src.tag === 'proofread' || src.tag === 'literal' || src.tag === 'styled'
+      const tag = src.tag === 'proofread' || src.tag === 'literal' || src.tag === 'styled' || src.tag === 'human'
         ? src.tag
         : 'raw';
       const normalized = {
@@ -3192,6 +3210,9 @@
         })
         : false;
       const uppercaseTokens = (originalText.match(/\b[A-ZА-ЯЁ0-9]{3,}\b/g) || []).length;
+      const qualityScore = row.qualityScore && row.qualityScore.score !== null && Number.isFinite(Number(row.qualityScore.score))
+        ? Number(row.qualityScore.score)
+        : null;
       let score = 0;
       if (originalLength >= 1000) score += 3;
       if (originalLength >= 500) score += 1;
@@ -3199,12 +3220,15 @@
       if (diffRatio >= 0.9) score += 1;
       if (hasTermSignals) score += 2;
       if (uppercaseTokens >= 4) score += 1;
+      if (qualityScore !== null && qualityScore < 75) score += 1;
+      if (qualityScore !== null && qualityScore < 60) score += 3;
       return {
         score,
         diffRatio,
         hasTermSignals,
         longBlock: originalLength >= 1000,
-        uppercaseTokens
+        uppercaseTokens,
+        qualityScore
       };
     }
 
@@ -3260,7 +3284,7 @@
         if (!row || !row.block) {
           return false;
         }
-        if (mode === 'auto' && (row.qualityTag === 'proofread' || row.qualityTag === 'literal' || row.qualityTag === 'styled')) {
+        if (mode === 'auto' && (row.qualityTag === 'proofread' || row.qualityTag === 'literal' || row.qualityTag === 'styled' || row.qualityTag === 'human')) {
           return false;
         }
         return true;
@@ -3397,6 +3421,7 @@
             diffRatio: row.risk.diffRatio,
             hasTermSignals: row.risk.hasTermSignals,
             longBlock: row.risk.longBlock,
+            qualityScore: row.risk.qualityScore,
             requestedAction: row.requestedAction || null
           }
         })),
@@ -3498,6 +3523,8 @@
         `Strictness: ${strictnessHint}.`,
         style !== 'auto' ? `Style: ${style}.` : '',
         glossary.length ? `Глоссарий: ${this._compactGlossary(glossary)}` : '',
+        this._styleGuideLine(runSettings, block),
+        this._humanEditsLine(job),
         contextSummary ? `Контекст: ${String(contextSummary).slice(0, 900)}` : ''
       ].filter(Boolean).join(' ');
       const streamInput = [
@@ -3655,8 +3682,7 @@
       const originalHash = block.originalHash || this._hashTextStable(String(block.originalText || '').trim());
       block.originalHash = originalHash;
       if (this._isMemoryEnabled(settings) && this.translationMemoryStore) {
-        const blockKey = this._buildBlockMemoryKey(targetLang, originalHash);
-        const cachedBlock = await this.translationMemoryStore.getBlock(blockKey).catch(() => null);
+        const cachedBlock = await this._getBlockMemory(targetLang, originalHash, this._jobStyleGuideFingerprint(job));
         if (cachedBlock && typeof cachedBlock.translatedText === 'string' && cachedBlock.translatedText) {
           await this.execute({
             name: 'page.apply_delta',
@@ -3671,7 +3697,7 @@
             callId: `${callId || 'stream'}:reuse:final`,
             source: source === 'model' ? 'model' : 'system'
           });
-          await this.translationMemoryStore.touchBlock(blockKey).catch(() => ({ ok: false }));
+          await this.translationMemoryStore.touchBlock(cachedBlock.blockKey).catch(() => ({ ok: false }));
           this._noteBlockAttempt(job, {
             blockId,
             text: cachedBlock.translatedText,
@@ -3721,6 +3747,29 @@
         runModels,
         requestedModel: typeof args.model === 'string' ? args.model : 'auto'
       });
+      const UserGlossary = NT.UserGlossary || null;
+      const userGlossary = UserGlossary && Array.isArray(job.userGlossary) && job.userGlossary.length
+        ? UserGlossary.matchEntries(job.userGlossary, block.originalText, { sourceLang: block.sourceLang || null })
+        : [];
+      const glossaryRetry = Array.isArray(args.glossaryRetry) ? args.glossaryRetry : [];
+      const memoryReference = job.memoryFuzzy && job.memoryFuzzy.references && typeof job.memoryFuzzy.references === 'object'
+        ? job.memoryFuzzy.references[blockId] || null
+        : null;
+      const signal = this.getJobSignal && job && job.id
+        ? this.getJobSignal(job.id)
+        : null;
+      const Protection = NT.EntityProtection || null;
+      const entityRetry = args.entityRetry && typeof args.entityRetry === 'object' ? args.entityRetry : null;
+      const protectionMode = Protection && !entityRetry && settings && settings.translationEntityProtection
+        ? Protection.normalizeMode(settings.translationEntityProtection)
+        : 'off';
+      const sourceText = typeof block.originalText === 'string' ? block.originalText : '';
+      const masked = protectionMode === 'off'
+        ? { text: sourceText, entities: [] }
+        : Protection.protect(sourceText, {
+          terms: Protection.glossaryTerms(userGlossary),
+          entities: protectionMode === 'model' ? await this._detectBlockEntities(job, block, signal) : []
+        });
       const streamSystemPrompt = [
         'Ты переводчик.',
         `Переведи текст на язык ${targetLang}.`,
@@ -3728,6 +3777,16 @@
         `Стиль: ${style}.`,
         batchGuidance ? `Инструкции: ${batchGuidance}` : '',
         glossary.length ? `Глоссарий: ${this._compactGlossary(glossary)}` : '',
+        userGlossary.length ? `Обязательная терминология: ${UserGlossary.formatForPrompt(userGlossary).join(' ')}` : '',
+        this._styleGuideLine(runSettings, block),
+        this._humanEditsLine(job),
+        glossaryRetry.length ? `Прошлый вариант нарушил глоссарий: ${UserGlossary.formatViolations(glossaryRetry).join('; ')}.` : '',
+        memoryReference
+          ? `Перевод похожего предложения из памяти (совпадение ${Math.round(Number(memoryReference.score) * 100)}%): "${memoryReference.sourceText}" => "${memoryReference.translatedText}". Используй как ориентир, но переводи текущий текст и не копируй вслепую.`
+          : '',
+        masked.entities.length
+          ? 'Метки вида ⟦1⟧ заменяют имена, код и пути, которые нельзя менять: перенеси каждую метку в перевод без изменений и не переводи её.'
+          : '',
         contextSummary ? `Контекст: ${String(contextSummary).slice(0, 900)}` : ''
       ].filter(Boolean).join(' ');
 
@@ -3738,7 +3797,7 @@
         },
         {
           role: 'user',
-          content: [{ type: 'input_text', text: typeof block.originalText === 'string' ? block.originalText : '' }]
+          content: [{ type: 'input_text', text: masked.text }]
         }
       ];
       const nextAttempt = Number.isFinite(Number(block.translateAttempts))
@@ -3769,7 +3828,9 @@
           name: 'page.apply_delta',
           arguments: {
             blockId,
-            text: translatedBuffer,
+            text: masked.entities.length
+              ? Protection.restore(translatedBuffer, masked.entities, { partial: !isFinal }).text
+              : translatedBuffer,
             isFinal: Boolean(isFinal)
           },
           job,
@@ -3780,9 +3841,6 @@
         });
       };
 
-      const signal = this.getJobSignal && job && job.id
-        ? this.getJobSignal(job.id)
-        : null;
       const streamSupported = this._supportsStreamCapability();
       const rawJson = await this.runLlmRequest({
         tabId: Number.isFinite(Number(job.tabId)) ? Number(job.tabId) : null,
@@ -3814,9 +3872,55 @@
         }
       });
 
-      const finalText = translatedBuffer
-        || this._extractResponseText(rawJson)
-        || (typeof block.originalText === 'string' ? block.originalText : '');
+      const rawText = translatedBuffer || this._extractResponseText(rawJson) || '';
+      const restored = masked.entities.length && rawText
+        ? Protection.restore(rawText, masked.entities)
+        : { text: rawText, lost: [] };
+      if (restored.lost.length) {
+        return this._toolTranslateBlockStream({
+          ...args,
+          entityRetry: { entities: masked.entities, lost: restored.lost }
+        }, job, settings, {
+          callId: `${callId || 'stream'}:entities`,
+          source
+        });
+      }
+      if (masked.entities.length || entityRetry) {
+        Protection.recordBlock(job, blockId, entityRetry
+          ? { entities: entityRetry.entities, lost: entityRetry.lost, retried: true }
+          : { entities: masked.entities });
+      }
+      let finalText = restored.text || sourceText;
+      let glossaryViolations = userGlossary.length
+        ? UserGlossary.verify({
+          entries: userGlossary,
+          sourceText: block.originalText,
+          translatedText: finalText,
+          sourceLang: block.sourceLang || null
+        })
+        : [];
+      if (glossaryViolations.length && !glossaryRetry.length) {
+        return this._toolTranslateBlockStream({
+          ...args,
+          glossaryRetry: glossaryViolations,
+          glossaryFallback: { text: finalText, violations: glossaryViolations }
+        }, job, settings, {
+          callId: `${callId || 'stream'}:glossary`,
+          source
+        });
+      }
+      const glossaryFallback = args.glossaryFallback && typeof args.glossaryFallback.text === 'string'
+        ? args.glossaryFallback
+        : null;
+      if (glossaryFallback && Array.isArray(glossaryFallback.violations)
+        && glossaryFallback.violations.length < glossaryViolations.length) {
+        // The retry made things worse; keep the first attempt instead.
+        finalText = glossaryFallback.text;
+        glossaryViolations = glossaryFallback.violations;
+      }
+      if (userGlossary.length) {
+        UserGlossary.recordCheck(job, blockId, glossaryViolations, { retried: glossaryRetry.length > 0 });
+      }
       translatedBuffer = finalText;
       await flushDelta(true);
       const repeatState = this._noteBlockAttempt(job, {
@@ -3828,6 +3932,7 @@
         ok: true,
         blockId,
         text: finalText,
+        glossaryViolations,
         modelUsed: rawJson && rawJson.__nt && rawJson.__nt.chosenModelSpec
           ? rawJson.__nt.chosenModelSpec
           : (allowedModelSpecs[0] || null),
@@ -4242,7 +4347,7 @@
       if (!blockId) {
         throw this._toolError('BAD_TOOL_ARGS', 'blockId is required');
       }
-      const action = args.action === 'literal' ? 'literal' : 'style_improve';
+      const action = args.action === 'literal' || args.action === 'proofread' ? args.action : 'style_improve';
       const proof = this._ensureProofreadingState(job);
       proof.mode = 'manual';
       proof.enabled = true;
@@ -4263,7 +4368,7 @@
       this._appendReport(state, {
         type: 'proofread',
         title: 'Точечная вычитка',
-        body: `Блок ${blockId}: ${action === 'literal' ? 'дословно' : 'улучшить стиль'}`,
+        body: `Блок ${blockId}: ${{ literal: 'дословно', proofread: 'вычитать' }[action] || 'улучшить стиль'}`,
         meta: { blockId, action }
       });
       return {
@@ -4519,6 +4624,52 @@
       };
     }
 
+    /**
+     * The site style guide recorded in the job's run settings, as one
+     * system-prompt sentence for the block's category.
+     */
+    /**
+     * Model-detected names for one block ('model' entity protection). A
+     * failed request only costs the extra names; heuristics still apply.
+     */
+    async _detectBlockEntities(job, block, signal) {
+      if (!this.detectEntities) {
+        return [];
+      }
+      try {
+        const result = await this.detectEntities([{ blockId: block.blockId, text: block.originalText }], {
+          tabId: Number.isFinite(Number(job.tabId)) ? Number(job.tabId) : null,
+          jobId: job.id || 'job',
+          batchId: `exec:${block.blockId}`,
+          signal
+        });
+        return result && result.entities && Array.isArray(result.entities[block.blockId]) ? result.entities[block.blockId] : [];
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw error;
+        }
+        return [];
+      }
+    }
+
+    _styleGuideLine(runSettings, block) {
+      const guide = runSettings && runSettings.styleGuide;
+      const lines = NT.StyleGuides && guide
+        ? NT.StyleGuides.formatForPrompt(guide, [block && block.category].filter(Boolean))
+        : [];
+      return lines.length ? `Правила стиля для сайта (указания пользователя): ${lines.join(' ')}` : '';
+    }
+
+    _humanEditsLine(job) {
+      const edits = job && Array.isArray(job.humanEdits) ? job.humanEdits : [];
+      const lines = edits
+        .filter((item) => item && item.source && item.after)
+        .map((item) => `"${item.source}" => "${item.after}"${item.before ? ` (не "${item.before}")` : ''}`);
+      return lines.length
+        ? `Правки пользователя на этом сайте (следуй их формулировкам и терминам, где встречаются те же слова): ${lines.join('; ')}.`
+        : '';
+    }
+
     _compactGlossary(glossary) {
       const list = Array.isArray(glossary) ? glossary : [];
       return list
@@ -4617,9 +4768,27 @@
       return `h${(hash >>> 0).toString(16).padStart(8, '0')}`;
     }
 
-    _buildBlockMemoryKey(targetLang, originalHash) {
+    // Same key as TranslationOrchestrator._buildBlockMemoryKey.
+    _buildBlockMemoryKey(targetLang, originalHash, guideFingerprint = '') {
       const lang = typeof targetLang === 'string' && targetLang ? targetLang.toLowerCase() : 'ru';
-      return this._hashTextStable(`${lang}|${String(originalHash || '')}`);
+      const guide = typeof guideFingerprint === 'string' && guideFingerprint ? `|${guideFingerprint}` : '';
+      return this._hashTextStable(`${lang}|${String(originalHash || '')}${guide}`);
+    }
+
+    // Same lookup as TranslationOrchestrator._getBlockMemory: under a guide,
+    // only TMX-imported entries are read from the unguided key.
+    async _getBlockMemory(targetLang, originalHash, guideFingerprint = '') {
+      const record = await this.translationMemoryStore.getBlock(this._buildBlockMemoryKey(targetLang, originalHash, guideFingerprint)).catch(() => null);
+      if (record || !guideFingerprint) {
+        return record;
+      }
+      const imported = await this.translationMemoryStore.getBlock(this._buildBlockMemoryKey(targetLang, originalHash)).catch(() => null);
+      return imported && imported.imported === true ? imported : null;
+    }
+
+    _jobStyleGuideFingerprint(job) {
+      const guide = job && job.runSettings ? job.runSettings.styleGuide : null;
+      return NT.StyleGuides ? NT.StyleGuides.fingerprint(guide) : '';
     }
 
     _noteBlockAttempt(job, { blockId, text, source } = {}) {
@@ -4675,19 +4844,21 @@
         return { ok: false };
       }
       const originalHash = block.originalHash || this._hashTextStable(String(block.originalText || '').trim());
-      const blockKey = this._buildBlockMemoryKey(job.targetLang || 'ru', originalHash);
+      const blockKey = this._buildBlockMemoryKey(job.targetLang || 'ru', originalHash, this._jobStyleGuideFingerprint(job));
       const text = typeof block.translatedText === 'string' ? block.translatedText : '';
       if (!text) {
         return { ok: false };
       }
       const normalizedQualityTag = qualityTag === 'proofread' || qualityTag === 'literal' || qualityTag === 'styled'
         ? qualityTag
-        : (block.quality && (block.quality.tag === 'proofread' || block.quality.tag === 'literal' || block.quality.tag === 'styled')
+        : (block.quality && (block.quality.tag === 'proofread' || block.quality.tag === 'literal' || block.quality.tag === 'styled' || block.quality.tag === 'human')
           ? block.quality.tag
           : 'raw');
       await this.translationMemoryStore.upsertBlock({
         blockKey,
         originalHash,
+        originalText: String(block.originalText || '').trim(),
+        sourceLang: block.sourceLang || null,
         targetLang: job.targetLang || 'ru',
         translatedText: text,
         qualityTag: normalizedQualityTag,
@@ -4739,7 +4910,7 @@
           ? pageRecord.blocks[id]
           : null;
         const tag = row && typeof row.qualityTag === 'string' ? row.qualityTag : 'raw';
-        return acc + (tag === 'proofread' || tag === 'literal' || tag === 'styled' ? 1 : 0);
+        return acc + (tag === 'proofread' || tag === 'literal' || tag === 'styled' || tag === 'human' ? 1 : 0);
       }, 0);
       cat.stats.proofreadCount = proofreadCount;
       cat.stats.proofreadCoverage = cat.stats.count > 0
@@ -48,7 +48,7 @@
     return 'default';
   }
 
-  function buildRegistryEntry({ id, tier, inputPrice, outputPrice, cachedInputPrice }) {
+  function buildRegistryEntry({ id, tier, inputPrice, outputPrice, cachedInputPrice, provider }) {
     const inputValue = typeof inputPrice === 'number' ? inputPrice : null;
     const outputValue = typeof outputPrice === 'number' ? outputPrice : null;
     const CapabilityRank = NT.CapabilityRank || null;
@@ -58,7 +58,8 @@
     return {
       id,
       tier,
-      family: resolveFamily(id),
+      provider: provider || 'openai',
+      family: resolveFamily(id, provider),
       specialized,
       notes: resolveNotes(id, { specialized }),
       capabilityRank,
@@ -117,7 +118,12 @@
       { id: 'o4-mini', tier: ModelTier.PRIORITY, inputPrice: 2.0, outputPrice: 8.0, cachedInputPrice: 0.5 }
     ];
 
-    const entries = models.map(buildRegistryEntry);
+    // Non-OpenAI catalogs come from provider adapters when they are loaded.
+    const ProviderAdapters = NT.ProviderAdapters || null;
+    const providerModels = ProviderAdapters && typeof ProviderAdapters.catalogEntries === 'function'
+      ? ProviderAdapters.catalogEntries()
+      : [];
+    const entries = models.concat(providerModels).map(buildRegistryEntry);
     const byKey = {};
 
     entries.forEach((entry) => {
@@ -131,8 +137,14 @@
     };
   }
 
-  function resolveFamily(id) {
+  function resolveFamily(id, provider) {
     const normalized = String(id || '').toLowerCase();
+    if (provider === 'ollama') {
+      return 'local';
+    }
+    if (normalized.startsWith('claude')) {
+      return 'claude';
+    }
     if (normalized.startsWith('gpt')) {
       return 'gpt';
     }
@@ -177,12 +189,54 @@
     return notes.join(', ');
   }
 
+  /**
+   * Resolves USD-per-1M prices for a registry entry; `override` fields win
+   * over registry values. Missing cached price falls back to the input price.
+   */
+  function resolvePricing(entry, override) {
+    const pick = (key) => {
+      const overrideValue = override && typeof override === 'object' ? override[key] : null;
+      if (overrideValue !== null && overrideValue !== undefined && Number.isFinite(Number(overrideValue)) && Number(overrideValue) >= 0) {
+        return Number(overrideValue);
+      }
+      return entry && typeof entry[key] === 'number' ? entry[key] : null;
+    };
+    const inputPrice = pick('inputPrice');
+    const outputPrice = pick('outputPrice');
+    const cachedInputPrice = pick('cachedInputPrice');
+    const hasOverride = Boolean(override && typeof override === 'object' && Object.keys(override).length);
+    return {
+      inputPrice,
+      outputPrice,
+      cachedInputPrice: cachedInputPrice !== null ? cachedInputPrice : inputPrice,
+      source: hasOverride ? 'override' : (entry ? 'registry' : 'none')
+    };
+  }
+
+  /**
+   * Prices one response usage. Cached input tokens are a subset of input
+   * tokens (Responses semantics) and are billed at the cached rate.
+   * Returns null when the model has no known price.
+   */
+  function estimateCostUsd({ inputTokens, cachedInputTokens, outputTokens, pricing } = {}) {
+    if (!pricing || pricing.inputPrice === null || pricing.outputPrice === null) {
+      return null;
+    }
+    const input = Math.max(0, Number(inputTokens) || 0);
+    const cached = Math.min(input, Math.max(0, Number(cachedInputTokens) || 0));
+    const output = Math.max(0, Number(outputTokens) || 0);
+    const cachedRate = pricing.cachedInputPrice !== null ? pricing.cachedInputPrice : pricing.inputPrice;
+    const cost = ((input - cached) * pricing.inputPrice + cached * cachedRate + output * pricing.outputPrice) / 1000000;
+    return Math.round(cost * 1000000) / 1000000;
+  }
+
   function buildModelOptions(registry) {
     return registry.entries.map((entry) => ({
       value: formatModelSpec(entry.id, entry.tier),
       label: `${entry.id} (${entry.tier.toUpperCase()})`,
       tier: entry.tier,
       tierLabel: entry.tier.toUpperCase(),
+      provider: entry.provider,
       inputPrice: entry.inputPrice,
       outputPrice: entry.outputPrice,
       cachedInputPrice: entry.cachedInputPrice,
@@ -196,6 +250,8 @@
     formatModelSpec,
     mapServiceTier,
     createModelRegistry,
-    buildModelOptions
+    buildModelOptions,
+    resolvePricing,
+    estimateCostUsd
   };
 })(globalThis);
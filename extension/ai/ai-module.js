@@ -25,7 +25,7 @@
   const NT = global.NT || (global.NT = {});
 
   class AiModule {
-    constructor({ chromeApi, fetchFn, loadScheduler, eventLogger, benchmarkStore, rateLimitStore, perfStore, offscreenExecutor, credentialsProvider } = {}) {
+    constructor({ chromeApi, fetchFn, loadScheduler, eventLogger, benchmarkStore, rateLimitStore, perfStore, offscreenExecutor, credentialsProvider, budgetGuard } = {}) {
       this.chromeApi = chromeApi;
       this.fetchFn = fetchFn;
       this.loadScheduler = loadScheduler;
@@ -35,6 +35,7 @@
       this.injectedPerfStore = perfStore || null;
       this.offscreenExecutor = offscreenExecutor || null;
       this.credentialsProvider = credentialsProvider || null;
+      this.budgetGuard = budgetGuard || null;
 
       this.modelRegistry = null;
       this.benchmarkStore = null;
@@ -106,7 +107,9 @@
         perfStore: this.perfStore,
         loadScheduler: this.loadScheduler,
         eventLogger: this.eventLogger,
-        eventFactory: this.eventFactory
+        eventFactory: this.eventFactory,
+        credentialsProvider: this.credentialsProvider,
+        budgetGuard: this.budgetGuard
       });
 
       return this;
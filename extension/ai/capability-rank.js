@@ -54,7 +54,14 @@
         'o1-mini': 66,
         'gpt-4o-mini': 65,
         'gpt-5-nano': 60,
-        'gpt-4.1-nano': 58
+        'gpt-4.1-nano': 58,
+        'claude-opus-4-1': 92,
+        'claude-sonnet-4-5': 89,
+        'claude-haiku-4-5': 73,
+        'llama3.1': 45,
+        'qwen2.5': 45,
+        'mistral': 40,
+        'gemma2': 40
       };
 
       if (baseMap[baseId] !== undefined) {
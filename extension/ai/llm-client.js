@@ -1,6 +1,12 @@
 /**
  * Single transport client for OpenAI `/v1/responses` requests.
  *
+ * Other wire formats (Chat Completions, Anthropic Messages, Ollama) go through
+ * `NT.ProviderAdapters`: payloads stay Responses-shaped up to the transport
+ * boundary and results are converted back before they are returned. For
+ * stateless providers `previous_response_id` is emulated from an in-memory
+ * transcript cache.
+ *
  * `LlmClient` remains the only AI transport module and supports two execution
  * modes: direct `fetch` fallback and MV3 offscreen delegation through
  * `OffscreenExecutor`. Offscreen mode is preferred for long-running calls so
@@ -30,6 +36,8 @@
         endpointHost: 'api.openai.com',
         hasAuth: false
       };
+      this.transcripts = new Map();
+      this.maxTranscripts = 64;
     }
 
     now() {
@@ -45,6 +53,29 @@
       }
     }
 
+    async listModels({ signal } = {}) {
+      const connection = await this._resolveConnectionContext({ stage: 'list_models' });
+      const ProviderAdapters = global.NT && global.NT.ProviderAdapters ? global.NT.ProviderAdapters : null;
+      const adapter = ProviderAdapters ? ProviderAdapters.get(connection.providerId) : null;
+      if (!connection.modelsUrl || !adapter || typeof adapter.parseModelList !== 'function') {
+        const error = new Error('Model list is not available for this provider');
+        error.code = 'MODEL_LIST_UNAVAILABLE';
+        throw error;
+      }
+      const response = await this.fetchFn(connection.modelsUrl, {
+        method: 'GET',
+        headers: connection.headers,
+        signal
+      });
+      if (!response.ok) {
+        const error = new Error(`Model list request failed: HTTP ${response.status}`);
+        error.code = 'MODEL_LIST_FAILED';
+        error.status = response.status;
+        throw error;
+      }
+      return adapter.parseModelList(await response.json());
+    }
+
     async generateMinimalPing({ modelId, serviceTier, signal, meta } = {}) {
       const response = await this.generateMinimalPingRaw({ modelId, serviceTier, signal, meta });
       return response.json;
@@ -219,11 +250,19 @@
       let mode = 'BYOK';
       let responsesUrl = this.baseUrl;
       let authHeaders = {};
+      let providerId = 'openai_responses';
+      let wire = 'responses';
+      let modelId = '';
+      let modelsUrl = null;
 
       if (this.credentialsProvider && typeof this.credentialsProvider.buildConnectionContext === 'function') {
         const context = await this.credentialsProvider.buildConnectionContext({ stage });
         mode = context && context.mode ? context.mode : mode;
         responsesUrl = context && context.responsesUrl ? context.responsesUrl : responsesUrl;
+        providerId = context && context.providerId ? context.providerId : providerId;
+        wire = context && context.wire ? context.wire : wire;
+        modelId = context && typeof context.modelId === 'string' ? context.modelId : modelId;
+        modelsUrl = context && context.modelsUrl ? context.modelsUrl : modelsUrl;
         authHeaders = context && context.authHeaders && typeof context.authHeaders === 'object'
           ? context.authHeaders
           : {};
@@ -250,6 +289,10 @@
 
       return {
         mode,
+        providerId,
+        wire,
+        modelId,
+        modelsUrl,
         responsesUrl,
         endpointHost: endpointHost || null,
         hasAuth,
@@ -375,9 +418,15 @@
       const connectionInfo = {
         mode: resolvedConnection.mode || null,
         endpointHost: resolvedConnection.endpointHost || this._hostFromUrl(endpointUrl),
-        hasAuth: resolvedConnection.hasAuth === true
+        hasAuth: resolvedConnection.hasAuth === true,
+        providerId: resolvedConnection.providerId || null,
+        modelId: resolvedConnection.modelId || null
       };
-      const body = JSON.stringify(payload || {});
+      const wire = this._prepareWireRequest(resolvedConnection, payload);
+      const body = JSON.stringify(wire.body || {});
+      const streamEventHandler = wire.translator
+        ? (eventPayload) => this._forwardStreamEvents(wire.translator.push(eventPayload), onStreamEvent)
+        : onStreamEvent;
 
       if (this.offscreen) {
         try {
@@ -393,7 +442,7 @@
               },
               timeoutMs,
               signal,
-              onEvent: onStreamEvent
+              onEvent: streamEventHandler
             })
             : await this.executeOffscreenRequest({
               requestId,
@@ -455,7 +504,7 @@
           }
 
           return {
-            json: offscreenResult.json,
+            json: this._finishWireResult(wire, offscreenResult.json, onStreamEvent),
             headers: normalizedHeaders,
             status: offscreenResult.status,
             connection: connectionInfo
@@ -492,9 +541,9 @@
       }
 
       if (forceStream) {
-        const finalJson = await this._readResponseSse(response, { onEvent: onStreamEvent });
+        const finalJson = await this._readResponseSse(response, { onEvent: streamEventHandler });
         return {
-          json: finalJson,
+          json: this._finishWireResult(wire, finalJson, onStreamEvent),
           headers: response.headers,
           status: response.status,
           connection: connectionInfo
@@ -502,13 +551,92 @@
       }
 
       return {
-        json: await response.json(),
+        json: this._finishWireResult(wire, await response.json(), onStreamEvent),
         headers: response.headers,
         status: response.status,
         connection: connectionInfo
       };
     }
 
+    _resolveAdapter(connection) {
+      const ProviderAdapters = global.NT && global.NT.ProviderAdapters ? global.NT.ProviderAdapters : null;
+      if (!ProviderAdapters || !connection || !connection.wire || connection.wire === 'responses') {
+        return null;
+      }
+      return ProviderAdapters.get(connection.providerId);
+    }
+
+    _prepareWireRequest(connection, payload) {
+      const adapter = this._resolveAdapter(connection);
+      const src = payload && typeof payload === 'object' ? payload : {};
+      if (!adapter) {
+        return { adapter: null, body: src, context: null, translator: null, inputItems: null };
+      }
+      const request = { ...src };
+      if (connection.modelId) {
+        // Provider-level model id wins: local servers do not know catalog ids.
+        request.model = connection.modelId;
+      }
+      let history = [];
+      if (adapter.stateless && typeof request.previous_response_id === 'string' && request.previous_response_id) {
+        const previousId = request.previous_response_id;
+        history = this.transcripts.get(previousId) || null;
+        if (!history) {
+          // Same shape as the Responses API error so agent loops fall back to stateless recovery.
+          const error = new Error(`previous_response_id ${previousId} not found in local transcript cache`);
+          error.code = 'PREVIOUS_RESPONSE_NOT_FOUND';
+          error.status = 400;
+          error.retryAfterMs = null;
+          throw error;
+        }
+        delete request.previous_response_id;
+      }
+      const ownInput = typeof request.input === 'string'
+        ? (request.input ? [{ role: 'user', content: request.input }] : [])
+        : (Array.isArray(request.input) ? request.input : []);
+      request.input = history.concat(ownInput);
+      const converted = adapter.toWireRequest(request);
+      return {
+        adapter,
+        body: converted.body,
+        context: converted.context,
+        translator: request.stream === true ? adapter.createStreamTranslator(converted.context) : null,
+        inputItems: request.input
+      };
+    }
+
+    _forwardStreamEvents(events, onEvent) {
+      if (typeof onEvent !== 'function' || !Array.isArray(events)) {
+        return;
+      }
+      events.forEach((eventPayload) => {
+        try {
+          onEvent(eventPayload);
+        } catch (_) {
+          // best-effort
+        }
+      });
+    }
+
+    _finishWireResult(wire, json, onStreamEvent) {
+      if (!wire || !wire.adapter) {
+        return json;
+      }
+      const response = wire.translator
+        ? wire.translator.finish()
+        : wire.adapter.fromWireResponse(json, wire.context);
+      if (wire.translator) {
+        this._forwardStreamEvents([{ type: 'response.completed', response }], onStreamEvent);
+      }
+      if (wire.adapter.stateless && response && response.id) {
+        this.transcripts.set(response.id, wire.inputItems.concat(response.output || []));
+        while (this.transcripts.size > this.maxTranscripts) {
+          this.transcripts.delete(this.transcripts.keys().next().value);
+        }
+      }
+      return response;
+    }
+
     resolveRetryAfterMs(headers) {
       if (!headers || typeof headers.get !== 'function') {
         return null;
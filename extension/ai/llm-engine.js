@@ -16,6 +16,8 @@
  * Side effects:
  * - Schedules benchmark tasks, marks chosen model fairness windows, applies
  *   cooldowns on 429, and emits diagnostic events.
+ * - Optional `budgetGuard` may reject a request before dispatch
+ *   (`BUDGET_EXCEEDED`).
  *
  * Boundary:
  * - This class does not persist tab/UI state directly; background orchestration
@@ -40,7 +42,9 @@
       perfStore,
       loadScheduler,
       eventLogger,
-      eventFactory
+      eventFactory,
+      credentialsProvider,
+      budgetGuard
     } = {}) {
       super({
         time: NT.Time,
@@ -55,6 +59,8 @@
       this.rateLimitStore = rateLimitStore;
       this.perfStore = perfStore || null;
       this.loadScheduler = loadScheduler;
+      this.credentialsProvider = credentialsProvider || null;
+      this.budgetGuard = budgetGuard || null;
       const RetryLoop = global.NT && global.NT.RetryLoop ? global.NT.RetryLoop : null;
       this.retryLoop = RetryLoop
         ? new RetryLoop({
@@ -73,7 +79,7 @@
       const normalizedSelection = SelectionPolicy && typeof SelectionPolicy.normalize === 'function'
         ? SelectionPolicy.normalize(modelSelection, null)
         : { speed: true, preference: null };
-      const candidates = this.normalizeCandidates(selectedModelSpecs);
+      const candidates = await this.filterCandidatesByProvider(this.normalizeCandidates(selectedModelSpecs));
       if (!candidates.length) {
         const error = new Error('NO_MODELS_SELECTED');
         error.code = 'NO_MODELS_SELECTED';
@@ -237,14 +243,6 @@
       const startedAt = Date.now();
 
       const executeAttempt = async () => {
-        await this.loadScheduler.reserveSlot({
-          kind: 'LLM_REQUEST',
-          estTokens,
-          estRpm: 1,
-          priority: 'high',
-          signal
-        });
-
         const decision = await this.getModelSpec({
           tabId,
           taskType,
@@ -255,6 +253,26 @@
           hintPrevModelSpec
         });
 
+        // The budget verdict needs the chosen model's price and runs before a
+        // slot is reserved, so a rejected request never takes scheduler capacity.
+        if (this.budgetGuard && typeof this.budgetGuard.check === 'function') {
+          await this.budgetGuard.check({
+            tabId,
+            taskType,
+            jobId: requestMeta && requestMeta.jobId ? requestMeta.jobId : null,
+            modelSpec: decision.chosenModelSpec,
+            estTokens
+          });
+        }
+
+        await this.loadScheduler.reserveSlot({
+          kind: 'LLM_REQUEST',
+          estTokens,
+          estRpm: 1,
+          priority: 'high',
+          signal
+        });
+
         try {
           const response = await this.responseCall.send({
             modelSpec: decision.chosenModelSpec,
@@ -307,7 +325,9 @@
 
       try {
         const attemptResult = this.retryLoop
-          ? await this.retryLoop.run(executeAttempt)
+          ? await this.retryLoop.run(executeAttempt, {
+            shouldRetry: (error) => !(error && error.code === 'BUDGET_EXCEEDED')
+          })
           : await executeAttempt();
         this.logEvent('info', global.NT.EventTypes ? global.NT.EventTypes.Tags.AI_RESPONSE : 'ai.response', 'LLM ok', {
           latencyMs: Date.now() - startedAt,
@@ -383,6 +403,7 @@
             modelSpec,
             id: entry.id,
             tier: entry.tier,
+            provider: entry.provider || 'openai',
             capabilityRank: typeof entry.capabilityRank === 'number' ? entry.capabilityRank : 0,
             cost: typeof entry.sum_1M === 'number' ? entry.sum_1M : Number.POSITIVE_INFINITY,
             cachedInputPrice: typeof entry.cachedInputPrice === 'number' && Number.isFinite(entry.cachedInputPrice)
@@ -392,6 +413,30 @@
         });
     }
 
+    async filterCandidatesByProvider(candidates) {
+      const list = Array.isArray(candidates) ? candidates : [];
+      if (!list.length || !this.credentialsProvider || typeof this.credentialsProvider.getActiveProvider !== 'function') {
+        return list;
+      }
+      const active = await this.credentialsProvider.getActiveProvider().catch(() => null);
+      if (!active) {
+        return list;
+      }
+      const catalog = active.catalog || null;
+      const matching = catalog ? list.filter((candidate) => candidate.provider === catalog) : [];
+      if (active.modelId) {
+        // The configured model id replaces the wire model, so the allowlist
+        // only drives routing and rate limits here.
+        return matching.length ? matching : list;
+      }
+      if (!matching.length) {
+        const error = new Error(`No allowed model belongs to provider ${active.id}; set a model id for it`);
+        error.code = 'PROVIDER_MODEL_REQUIRED';
+        throw error;
+      }
+      return matching;
+    }
+
     toPolicyString(modelSelection) {
       const speed = Boolean(modelSelection && modelSelection.speed);
       const preference = modelSelection && modelSelection.preference ? modelSelection.preference : null;
@@ -0,0 +1,786 @@
+/**
+ * Provider adapters under `LlmClient`.
+ *
+ * The rest of the extension speaks the OpenAI Responses shape (`input` items,
+ * `function_call` outputs, `response.*` stream events). Each adapter converts
+ * that request into its wire format and converts responses/SSE events back, so
+ * agent loops, usage accounting and the offscreen transport stay unchanged.
+ *
+ * Adapters with `stateless: true` have no server-side conversation storage;
+ * `LlmClient` emulates `previous_response_id` for them.
+ */
+(function initProviderAdapters(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const DEFAULT_PROVIDER_ID = 'openai_responses';
+  const ANTHROPIC_VERSION = '2023-06-01';
+  const ANTHROPIC_DEFAULT_MAX_TOKENS = 4096;
+
+  function safeString(value) {
+    return typeof value === 'string' ? value : '';
+  }
+
+  function parseJsonSafe(value, fallback) {
+    if (value && typeof value === 'object') {
+      return value;
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+      return fallback;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (_) {
+      return fallback;
+    }
+  }
+
+  function stringifyOutput(value) {
+    if (typeof value === 'string') {
+      return value;
+    }
+    try {
+      return JSON.stringify(value === undefined ? null : value);
+    } catch (_) {
+      return '';
+    }
+  }
+
+  function contentToText(content) {
+    if (typeof content === 'string') {
+      return content;
+    }
+    if (!Array.isArray(content)) {
+      return '';
+    }
+    return content
+      .map((part) => {
+        if (typeof part === 'string') {
+          return part;
+        }
+        return part && typeof part.text === 'string' ? part.text : '';
+      })
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  function createToolNameMap() {
+    return { encoded: {}, original: {} };
+  }
+
+  // Chat Completions and Anthropic only accept [A-Za-z0-9_-] in tool names,
+  // while internal tools are namespaced with dots (`page.get_stats`).
+  function encodeToolName(name, map) {
+    const original = safeString(name);
+    if (map && map.original[original]) {
+      return map.original[original];
+    }
+    const encoded = original.replace(/\./g, '__').replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64);
+    if (map) {
+      map.original[original] = encoded;
+      map.encoded[encoded] = original;
+    }
+    return encoded;
+  }
+
+  function decodeToolName(name, map) {
+    const encoded = safeString(name);
+    return map && map.encoded[encoded] ? map.encoded[encoded] : encoded;
+  }
+
+  function normalizeInputItems(input) {
+    if (typeof input === 'string') {
+      return input ? [{ role: 'user', content: input }] : [];
+    }
+    return Array.isArray(input) ? input.filter((item) => item && typeof item === 'object') : [];
+  }
+
+  function functionTools(tools) {
+    return (Array.isArray(tools) ? tools : [])
+      .filter((tool) => tool && tool.type === 'function' && typeof tool.name === 'string' && tool.name);
+  }
+
+  function jsonFormatInstruction(format) {
+    if (!format || typeof format !== 'object') {
+      return '';
+    }
+    if (format.type === 'json_schema' && format.schema) {
+      return `Respond with a single JSON object that matches this JSON schema, without markdown fences:\n${stringifyOutput(format.schema)}`;
+    }
+    if (format.type === 'json_object') {
+      return 'Respond with a single JSON object, without markdown fences.';
+    }
+    return '';
+  }
+
+  function buildUsage({ inputTokens, outputTokens, cachedTokens } = {}) {
+    const input = Number.isFinite(Number(inputTokens)) ? Math.max(0, Math.round(Number(inputTokens))) : 0;
+    const output = Number.isFinite(Number(outputTokens)) ? Math.max(0, Math.round(Number(outputTokens))) : 0;
+    const cached = Number.isFinite(Number(cachedTokens)) ? Math.max(0, Math.round(Number(cachedTokens))) : 0;
+    return {
+      input_tokens: input,
+      output_tokens: output,
+      total_tokens: input + output,
+      input_tokens_details: { cached_tokens: cached }
+    };
+  }
+
+  /**
+   * Builds a Responses-shaped object from provider-neutral parts.
+   */
+  function buildResponse({ id, model, text, toolCalls, usage, incompleteReason } = {}) {
+    const output = [];
+    const outputText = safeString(text);
+    if (outputText) {
+      output.push({
+        type: 'message',
+        role: 'assistant',
+        status: 'completed',
+        content: [{ type: 'output_text', text: outputText, annotations: [] }]
+      });
+    }
+    (Array.isArray(toolCalls) ? toolCalls : []).forEach((call) => {
+      if (!call || !call.name) {
+        return;
+      }
+      output.push({
+        type: 'function_call',
+        id: call.id ? `fc_${call.id}` : undefined,
+        call_id: call.id || '',
+        name: call.name,
+        arguments: typeof call.arguments === 'string' ? call.arguments : stringifyOutput(call.arguments || {}),
+        status: 'completed'
+      });
+    });
+    const response = {
+      id: id || `resp_local_${Date.now().toString(36)}${Math.random().toString(16).slice(2, 8)}`,
+      object: 'response',
+      model: model || null,
+      status: incompleteReason ? 'incomplete' : 'completed',
+      output,
+      output_text: outputText,
+      usage: usage || buildUsage()
+    };
+    if (incompleteReason) {
+      response.incomplete_details = { reason: incompleteReason };
+    }
+    return response;
+  }
+
+  function textDeltaEvent(delta) {
+    return { type: 'response.output_text.delta', delta };
+  }
+
+  /* ---------------------------- Chat Completions ---------------------------- */
+
+  function toChatMessages(payload, toolNames) {
+    const messages = [];
+    const systemParts = [];
+    if (typeof payload.instructions === 'string' && payload.instructions.trim()) {
+      systemParts.push(payload.instructions.trim());
+    }
+    normalizeInputItems(payload.input).forEach((item) => {
+      if (item.type === 'function_call') {
+        const last = messages[messages.length - 1];
+        const call = {
+          id: safeString(item.call_id),
+          type: 'function',
+          function: {
+            name: encodeToolName(item.name, toolNames),
+            arguments: typeof item.arguments === 'string' ? item.arguments : stringifyOutput(item.arguments || {})
+          }
+        };
+        if (last && last.role === 'assistant' && Array.isArray(last.tool_calls)) {
+          last.tool_calls.push(call);
+        } else {
+          messages.push({ role: 'assistant', content: null, tool_calls: [call] });
+        }
+        return;
+      }
+      if (item.type === 'function_call_output') {
+        messages.push({
+          role: 'tool',
+          tool_call_id: safeString(item.call_id),
+          content: stringifyOutput(item.output)
+        });
+        return;
+      }
+      const role = safeString(item.role);
+      if (role === 'system' || role === 'developer') {
+        const text = contentToText(item.content);
+        if (text) {
+          systemParts.push(text);
+        }
+        return;
+      }
+      if (role === 'user' || role === 'assistant') {
+        messages.push({ role, content: contentToText(item.content) });
+      }
+      // Reasoning and other Responses-only items have no chat equivalent.
+    });
+    if (systemParts.length) {
+      messages.unshift({ role: 'system', content: systemParts.join('\n\n') });
+    }
+    return messages;
+  }
+
+  function toChatToolChoice(choice, toolNames) {
+    if (typeof choice === 'string') {
+      return choice === 'auto' || choice === 'none' || choice === 'required' ? choice : undefined;
+    }
+    if (choice && typeof choice === 'object' && choice.type === 'function' && choice.name) {
+      return { type: 'function', function: { name: encodeToolName(choice.name, toolNames) } };
+    }
+    return undefined;
+  }
+
+  function toChatResponseFormat(format) {
+    if (!format || typeof format !== 'object') {
+      return undefined;
+    }
+    if (format.type === 'json_schema' && format.schema) {
+      return {
+        type: 'json_schema',
+        json_schema: {
+          name: safeString(format.name) || 'response',
+          schema: format.schema,
+          strict: format.strict === true
+        }
+      };
+    }
+    if (format.type === 'json_object') {
+      return { type: 'json_object' };
+    }
+    return undefined;
+  }
+
+  function chatUsage(usage) {
+    const src = usage && typeof usage === 'object' ? usage : {};
+    return buildUsage({
+      inputTokens: src.prompt_tokens,
+      outputTokens: src.completion_tokens,
+      cachedTokens: src.prompt_tokens_details && src.prompt_tokens_details.cached_tokens
+    });
+  }
+
+  function chatIncompleteReason(finishReason) {
+    return finishReason === 'length' ? 'max_output_tokens' : null;
+  }
+
+  function createChatAdapter(spec) {
+    return Object.freeze({
+      ...spec,
+      wire: 'chat',
+      endpointPath: '/chat/completions',
+      modelsPath: '/models',
+      stateless: true,
+
+      buildAuthHeaders(key) {
+        const value = safeString(key).trim();
+        return value ? { Authorization: `Bearer ${value}` } : {};
+      },
+
+      toWireRequest(payload) {
+        const src = payload && typeof payload === 'object' ? payload : {};
+        const toolNames = createToolNameMap();
+        const body = {
+          model: src.model,
+          messages: toChatMessages(src, toolNames)
+        };
+        if (Number.isFinite(Number(src.max_output_tokens))) {
+          body.max_tokens = Math.max(1, Math.round(Number(src.max_output_tokens)));
+        }
+        if (Number.isFinite(Number(src.temperature))) {
+          body.temperature = Number(src.temperature);
+        }
+        const tools = functionTools(src.tools);
+        if (tools.length) {
+          body.tools = tools.map((tool) => ({
+            type: 'function',
+            function: {
+              name: encodeToolName(tool.name, toolNames),
+              description: safeString(tool.description),
+              parameters: tool.parameters && typeof tool.parameters === 'object'
+                ? tool.parameters
+                : { type: 'object', properties: {} }
+            }
+          }));
+          const toolChoice = toChatToolChoice(src.tool_choice, toolNames);
+          if (toolChoice !== undefined) {
+            body.tool_choice = toolChoice;
+          }
+          if (typeof src.parallel_tool_calls === 'boolean') {
+            body.parallel_tool_calls = src.parallel_tool_calls;
+          }
+        }
+        const responseFormat = toChatResponseFormat(src.text && src.text.format);
+        if (responseFormat) {
+          body.response_format = responseFormat;
+        }
+        if (src.stream === true) {
+          body.stream = true;
+          body.stream_options = { include_usage: true };
+        }
+        return { body, context: { toolNames, model: src.model || null } };
+      },
+
+      fromWireResponse(json, context) {
+        const src = json && typeof json === 'object' ? json : {};
+        const choice = Array.isArray(src.choices) && src.choices.length ? src.choices[0] : {};
+        const message = choice && choice.message && typeof choice.message === 'object' ? choice.message : {};
+        const toolNames = context && context.toolNames ? context.toolNames : null;
+        return buildResponse({
+          id: src.id ? `resp_${src.id}` : null,
+          model: src.model || (context && context.model) || null,
+          text: contentToText(message.content),
+          toolCalls: (Array.isArray(message.tool_calls) ? message.tool_calls : []).map((call) => ({
+            id: call && call.id ? call.id : '',
+            name: decodeToolName(call && call.function ? call.function.name : '', toolNames),
+            arguments: call && call.function ? call.function.arguments : '{}'
+          })),
+          usage: chatUsage(src.usage),
+          incompleteReason: chatIncompleteReason(choice && choice.finish_reason)
+        });
+      },
+
+      createStreamTranslator(context) {
+        const toolNames = context && context.toolNames ? context.toolNames : null;
+        const state = { id: null, model: null, text: '', calls: [], usage: null, finishReason: null };
+        return {
+          push(event) {
+            const out = [];
+            if (!event || typeof event !== 'object') {
+              return out;
+            }
+            state.id = state.id || event.id || null;
+            state.model = state.model || event.model || null;
+            if (event.usage && typeof event.usage === 'object') {
+              state.usage = event.usage;
+            }
+            const choice = Array.isArray(event.choices) && event.choices.length ? event.choices[0] : null;
+            const delta = choice && choice.delta && typeof choice.delta === 'object' ? choice.delta : null;
+            if (choice && choice.finish_reason) {
+              state.finishReason = choice.finish_reason;
+            }
+            if (!delta) {
+              return out;
+            }
+            if (typeof delta.content === 'string' && delta.content) {
+              state.text += delta.content;
+              out.push(textDeltaEvent(delta.content));
+            }
+            (Array.isArray(delta.tool_calls) ? delta.tool_calls : []).forEach((part) => {
+              const index = Number.isFinite(Number(part && part.index)) ? Number(part.index) : state.calls.length;
+              const call = state.calls[index] || (state.calls[index] = { id: '', name: '', arguments: '' });
+              if (part.id) {
+                call.id = part.id;
+              }
+              if (part.function && part.function.name) {
+                call.name += part.function.name;
+              }
+              if (part.function && typeof part.function.arguments === 'string') {
+                call.arguments += part.function.arguments;
+              }
+            });
+            return out;
+          },
+          finish() {
+            return buildResponse({
+              id: state.id ? `resp_${state.id}` : null,
+              model: state.model || (context && context.model) || null,
+              text: state.text,
+              toolCalls: state.calls.filter(Boolean).map((call) => ({
+                id: call.id,
+                name: decodeToolName(call.name, toolNames),
+                arguments: call.arguments || '{}'
+              })),
+              usage: chatUsage(state.usage),
+              incompleteReason: chatIncompleteReason(state.finishReason)
+            });
+          }
+        };
+      },
+
+      parseModelList(json) {
+        const src = json && typeof json === 'object' ? json : {};
+        if (Array.isArray(src.data)) {
+          return src.data.map((row) => (row && typeof row.id === 'string' ? row.id : '')).filter(Boolean);
+        }
+        if (Array.isArray(src.models)) {
+          return src.models.map((row) => (row && typeof row.name === 'string' ? row.name : '')).filter(Boolean);
+        }
+        return [];
+      }
+    });
+  }
+
+  /* -------------------------------- Anthropic ------------------------------- */
+
+  function pushAnthropicBlock(messages, role, block) {
+    const last = messages[messages.length - 1];
+    if (last && last.role === role) {
+      last.content.push(block);
+      return;
+    }
+    messages.push({ role, content: [block] });
+  }
+
+  function toAnthropicMessages(payload, toolNames) {
+    const messages = [];
+    const systemParts = [];
+    if (typeof payload.instructions === 'string' && payload.instructions.trim()) {
+      systemParts.push(payload.instructions.trim());
+    }
+    normalizeInputItems(payload.input).forEach((item) => {
+      if (item.type === 'function_call') {
+        pushAnthropicBlock(messages, 'assistant', {
+          type: 'tool_use',
+          id: safeString(item.call_id),
+          name: encodeToolName(item.name, toolNames),
+          input: parseJsonSafe(item.arguments, {}) || {}
+        });
+        return;
+      }
+      if (item.type === 'function_call_output') {
+        pushAnthropicBlock(messages, 'user', {
+          type: 'tool_result',
+          tool_use_id: safeString(item.call_id),
+          content: stringifyOutput(item.output)
+        });
+        return;
+      }
+      const role = safeString(item.role);
+      if (role === 'system' || role === 'developer') {
+        const text = contentToText(item.content);
+        if (text) {
+          systemParts.push(text);
+        }
+        return;
+      }
+      if (role === 'user' || role === 'assistant') {
+        const text = contentToText(item.content);
+        if (text) {
+          pushAnthropicBlock(messages, role, { type: 'text', text });
+        }
+      }
+    });
+    return { system: systemParts.join('\n\n'), messages };
+  }
+
+  function toAnthropicToolChoice(choice, parallel, toolNames) {
+    let out = null;
+    if (choice === 'auto') {
+      out = { type: 'auto' };
+    } else if (choice === 'required') {
+      out = { type: 'any' };
+    } else if (choice === 'none') {
+      return { type: 'none' };
+    } else if (choice && typeof choice === 'object' && choice.type === 'function' && choice.name) {
+      out = { type: 'tool', name: encodeToolName(choice.name, toolNames) };
+    }
+    if (parallel === false) {
+      out = { ...(out || { type: 'auto' }), disable_parallel_tool_use: true };
+    }
+    return out;
+  }
+
+  function anthropicUsage(usage) {
+    const src = usage && typeof usage === 'object' ? usage : {};
+    const cacheRead = Number(src.cache_read_input_tokens) || 0;
+    const cacheWrite = Number(src.cache_creation_input_tokens) || 0;
+    // Anthropic reports cache reads/writes separately; Responses counts them in input_tokens.
+    return buildUsage({
+      inputTokens: (Number(src.input_tokens) || 0) + cacheRead + cacheWrite,
+      outputTokens: src.output_tokens,
+      cachedTokens: cacheRead
+    });
+  }
+
+  function anthropicIncompleteReason(stopReason) {
+    return stopReason === 'max_tokens' ? 'max_output_tokens' : null;
+  }
+
+  function createAnthropicAdapter(spec) {
+    return Object.freeze({
+      ...spec,
+      wire: 'anthropic',
+      endpointPath: '/messages',
+      modelsPath: '/models',
+      stateless: true,
+
+      buildAuthHeaders(key) {
+        const value = safeString(key).trim();
+        const headers = {
+          'anthropic-version': ANTHROPIC_VERSION,
+          // Required for requests issued from extension pages.
+          'anthropic-dangerous-direct-browser-access': 'true'
+        };
+        if (value) {
+          headers['x-api-key'] = value;
+        }
+        return headers;
+      },
+
+      toWireRequest(payload) {
+        const src = payload && typeof payload === 'object' ? payload : {};
+        const toolNames = createToolNameMap();
+        const converted = toAnthropicMessages(src, toolNames);
+        const formatInstruction = jsonFormatInstruction(src.text && src.text.format);
+        const system = [converted.system, formatInstruction].filter(Boolean).join('\n\n');
+        const body = {
+          model: src.model,
+          max_tokens: Number.isFinite(Number(src.max_output_tokens))
+            ? Math.max(1, Math.round(Number(src.max_output_tokens)))
+            : ANTHROPIC_DEFAULT_MAX_TOKENS,
+          messages: converted.messages
+        };
+        if (system) {
+          body.system = system;
+        }
+        if (Number.isFinite(Number(src.temperature))) {
+          body.temperature = Math.max(0, Math.min(1, Number(src.temperature)));
+        }
+        const tools = functionTools(src.tools);
+        if (tools.length) {
+          body.tools = tools.map((tool) => ({
+            name: encodeToolName(tool.name, toolNames),
+            description: safeString(tool.description),
+            input_schema: tool.parameters && typeof tool.parameters === 'object'
+              ? tool.parameters
+              : { type: 'object', properties: {} }
+          }));
+          const toolChoice = toAnthropicToolChoice(src.tool_choice, src.parallel_tool_calls, toolNames);
+          if (toolChoice) {
+            body.tool_choice = toolChoice;
+          }
+        }
+        if (src.stream === true) {
+          body.stream = true;
+        }
+        return { body, context: { toolNames, model: src.model || null } };
+      },
+
+      fromWireResponse(json, context) {
+        const src = json && typeof json === 'object' ? json : {};
+        const blocks = Array.isArray(src.content) ? src.content : [];
+        const toolNames = context && context.toolNames ? context.toolNames : null;
+        return buildResponse({
+          id: src.id ? `resp_${src.id}` : null,
+          model: src.model || (context && context.model) || null,
+          text: blocks.filter((block) => block && block.type === 'text').map((block) => safeString(block.text)).join(''),
+          toolCalls: blocks.filter((block) => block && block.type === 'tool_use').map((block) => ({
+            id: safeString(block.id),
+            name: decodeToolName(block.name, toolNames),
+            arguments: stringifyOutput(block.input || {})
+          })),
+          usage: anthropicUsage(src.usage),
+          incompleteReason: anthropicIncompleteReason(src.stop_reason)
+        });
+      },
+
+      createStreamTranslator(context) {
+        const toolNames = context && context.toolNames ? context.toolNames : null;
+        const state = { id: null, model: null, text: '', blocks: {}, usage: {}, stopReason: null };
+        return {
+          push(event) {
+            const out = [];
+            if (!event || typeof event !== 'object') {
+              return out;
+            }
+            if (event.type === 'message_start' && event.message) {
+              state.id = event.message.id || null;
+              state.model = event.message.model || null;
+              state.usage = { ...(event.message.usage || {}) };
+            } else if (event.type === 'content_block_start' && event.content_block) {
+              state.blocks[event.index] = {
+                type: event.content_block.type,
+                id: safeString(event.content_block.id),
+                name: safeString(event.content_block.name),
+                json: ''
+              };
+            } else if (event.type === 'content_block_delta' && event.delta) {
+              if (event.delta.type === 'text_delta' && typeof event.delta.text === 'string') {
+                state.text += event.delta.text;
+                out.push(textDeltaEvent(event.delta.text));
+              } else if (event.delta.type === 'input_json_delta' && state.blocks[event.index]) {
+                state.blocks[event.index].json += safeString(event.delta.partial_json);
+              }
+            } else if (event.type === 'message_delta') {
+              if (event.usage && typeof event.usage === 'object') {
+                state.usage = { ...state.usage, ...event.usage };
+              }
+              if (event.delta && event.delta.stop_reason) {
+                state.stopReason = event.delta.stop_reason;
+              }
+            }
+            return out;
+          },
+          finish() {
+            const toolCalls = Object.keys(state.blocks)
+              .sort((a, b) => Number(a) - Number(b))
+              .map((key) => state.blocks[key])
+              .filter((block) => block.type === 'tool_use')
+              .map((block) => ({
+                id: block.id,
+                name: decodeToolName(block.name, toolNames),
+                arguments: block.json || '{}'
+              }));
+            return buildResponse({
+              id: state.id ? `resp_${state.id}` : null,
+              model: state.model || (context && context.model) || null,
+              text: state.text,
+              toolCalls,
+              usage: anthropicUsage(state.usage),
+              incompleteReason: anthropicIncompleteReason(state.stopReason)
+            });
+          }
+        };
+      },
+
+      parseModelList(json) {
+        const src = json && typeof json === 'object' ? json : {};
+        return (Array.isArray(src.data) ? src.data : [])
+          .map((row) => (row && typeof row.id === 'string' ? row.id : ''))
+          .filter(Boolean);
+      }
+    });
+  }
+
+  /* ---------------------------- OpenAI Responses ---------------------------- */
+
+  const OPENAI_RESPONSES = Object.freeze({
+    id: 'openai_responses',
+    title: 'OpenAI Responses',
+    catalog: 'openai',
+    wire: 'responses',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    endpointPath: '/responses',
+    modelsPath: '/models',
+    requiresKey: true,
+    stateless: false,
+
+    buildAuthHeaders(key) {
+      const value = safeString(key).trim();
+      return value ? { Authorization: `Bearer ${value}` } : {};
+    },
+
+    toWireRequest(payload) {
+      return { body: payload && typeof payload === 'object' ? payload : {}, context: null };
+    },
+
+    fromWireResponse(json) {
+      return json;
+    },
+
+    createStreamTranslator() {
+      return null;
+    },
+
+    parseModelList(json) {
+      const src = json && typeof json === 'object' ? json : {};
+      return (Array.isArray(src.data) ? src.data : [])
+        .map((row) => (row && typeof row.id === 'string' ? row.id : ''))
+        .filter(Boolean);
+    }
+  });
+
+  const ADAPTERS = Object.freeze({
+    openai_responses: OPENAI_RESPONSES,
+    openai_chat: createChatAdapter({
+      id: 'openai_chat',
+      title: 'OpenAI-совместимый (Chat Completions)',
+      catalog: 'openai',
+      defaultBaseUrl: 'https://api.openai.com/v1',
+      requiresKey: false
+    }),
+    anthropic: createAnthropicAdapter({
+      id: 'anthropic',
+      title: 'Anthropic (Messages)',
+      catalog: 'anthropic',
+      defaultBaseUrl: 'https://api.anthropic.com/v1',
+      requiresKey: true
+    }),
+    ollama: createChatAdapter({
+      id: 'ollama',
+      title: 'Ollama (локальный)',
+      catalog: 'ollama',
+      defaultBaseUrl: 'http://localhost:11434/v1',
+      requiresKey: false
+    })
+  });
+
+  /**
+   * Model catalogs per provider. Prices are USD per 1M tokens; ids must not
+   * contain `:` because model specs are formatted as `id:tier`.
+   */
+  const CATALOGS = Object.freeze({
+    anthropic: Object.freeze([
+      { id: 'claude-opus-4-1', tier: 'standard', inputPrice: 15.0, outputPrice: 75.0, cachedInputPrice: 1.5 },
+      { id: 'claude-sonnet-4-5', tier: 'standard', inputPrice: 3.0, outputPrice: 15.0, cachedInputPrice: 0.3 },
+      { id: 'claude-haiku-4-5', tier: 'standard', inputPrice: 1.0, outputPrice: 5.0, cachedInputPrice: 0.1 }
+    ]),
+    ollama: Object.freeze([
+      { id: 'llama3.1', tier: 'standard', inputPrice: 0, outputPrice: 0, cachedInputPrice: 0 },
+      { id: 'qwen2.5', tier: 'standard', inputPrice: 0, outputPrice: 0, cachedInputPrice: 0 },
+      { id: 'mistral', tier: 'standard', inputPrice: 0, outputPrice: 0, cachedInputPrice: 0 },
+      { id: 'gemma2', tier: 'standard', inputPrice: 0, outputPrice: 0, cachedInputPrice: 0 }
+    ])
+  });
+
+  function normalizeId(id) {
+    const raw = typeof id === 'string' ? id.trim().toLowerCase() : '';
+    return Object.prototype.hasOwnProperty.call(ADAPTERS, raw) ? raw : DEFAULT_PROVIDER_ID;
+  }
+
+  function get(id) {
+    return ADAPTERS[normalizeId(id)];
+  }
+
+  function list() {
+    return Object.keys(ADAPTERS).map((key) => ({
+      id: ADAPTERS[key].id,
+      title: ADAPTERS[key].title,
+      wire: ADAPTERS[key].wire,
+      catalog: ADAPTERS[key].catalog,
+      defaultBaseUrl: ADAPTERS[key].defaultBaseUrl,
+      requiresKey: ADAPTERS[key].requiresKey === true
+    }));
+  }
+
+  function catalogEntries() {
+    const out = [];
+    Object.keys(CATALOGS).forEach((provider) => {
+      CATALOGS[provider].forEach((entry) => out.push({ ...entry, provider }));
+    });
+    return out;
+  }
+
+  /**
+   * Extracts streamed text from a raw event of any supported wire format.
+   */
+  function previewDelta(event) {
+    if (!event || typeof event !== 'object') {
+      return null;
+    }
+    if (event.type === 'response.output_text.delta' && typeof event.delta === 'string') {
+      return event.delta;
+    }
+    if (event.type === 'content_block_delta' && event.delta && typeof event.delta.text === 'string') {
+      return event.delta.text;
+    }
+    const choice = Array.isArray(event.choices) && event.choices.length ? event.choices[0] : null;
+    if (choice && choice.delta && typeof choice.delta.content === 'string') {
+      return choice.delta.content;
+    }
+    return null;
+  }
+
+  NT.ProviderAdapters = Object.freeze({
+    DEFAULT_PROVIDER_ID,
+    normalizeId,
+    get,
+    list,
+    catalogEntries,
+    previewDelta,
+    buildResponse
+  });
+})(globalThis);
@@ -597,7 +597,7 @@
       {
         name: 'page.get_category_summary',
         toolVersion: '1.0.0',
-        description: 'Get per-category counts/confidence and examples from latest classifier result.',
+        description: 'Get per-category counts/confidence and examples from latest classifier result, plus quality-estimation scores (avgQuality, lowQualityCount, lowest blocks) when enabled.',
         parametersJsonSchema: {
           type: 'object',
           additionalProperties: false,
@@ -607,7 +607,7 @@
         qos: { cacheTtlMs: 250, queueDepthLimit: 200 },
         idempotency: { mode: 'by_args_hash' },
         sideEffects: { category: 'none' },
-        stages: ['planning', 'execution']
+        stages: ['planning', 'execution', 'proofreading']
       },
       {
         name: 'job.set_selected_categories',
@@ -935,7 +935,7 @@
           additionalProperties: false,
           properties: {
             blockId: { type: 'string', minLength: 1, maxLength: 240 },
-            action: { type: 'string', enum: ['literal', 'style_improve'] }
+            action: { type: 'string', enum: ['literal', 'style_improve', 'proofread'] }
           },
           required: ['blockId', 'action']
         },
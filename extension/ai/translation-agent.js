@@ -23,6 +23,7 @@
     'footer',
     'legal',
     'ads',
+    'attributes',
     'unknown'
   ]);
 
@@ -106,7 +107,7 @@
   const CATEGORY_GROUPS = Object.freeze({
     all: KNOWN_CATEGORIES,
     content: ['main_content', 'headings', 'tables', 'code', 'captions'],
-    interface: ['ui_controls', 'navigation'],
+    interface: ['ui_controls', 'navigation', 'attributes'],
     meta: ['footer', 'legal', 'ads']
   });
 
@@ -291,7 +292,9 @@
         let computedReuseStats = null;
         if (inputBlocks) {
           computedCategoryStats = probe._collectCategoryStats(inputBlocks);
-          computedPageStats = probe._collectPageStats(inputBlocks, computedCategoryStats);
+          computedPageStats = probe._collectPageStats(inputBlocks, computedCategoryStats, {
+            targetLang: safeSettings.translationTargetLang
+          });
           computedReuseStats = probe._collectReuseStats(inputBlocks);
         } else {
           computedPageStats = normalizePageStats(pageStats);
@@ -406,7 +409,9 @@
       const safeJob = job && typeof job === 'object' ? job : {};
       const inputBlocks = Array.isArray(blocks) ? blocks.filter((item) => item && item.blockId) : [];
       const categoryStats = this._collectCategoryStats(inputBlocks);
-      const pageStats = this._collectPageStats(inputBlocks, categoryStats);
+      const pageStats = this._collectPageStats(inputBlocks, categoryStats, {
+        targetLang: safeJob.targetLang || (settings && settings.translationTargetLang)
+      });
       const reuseStats = this._collectReuseStats(inputBlocks);
       const resolved = this.resolveSettings(settings, pageStats);
       const runtimeTuning = this._resolveRuntimeTuning(resolved.tuning);
@@ -1474,6 +1479,9 @@
       if (raw === 'meta' || raw === 'other') {
         return 'unknown';
       }
+      if (raw === 'attribute') {
+        return 'attributes';
+      }
       if (raw.includes('h1') || raw.includes('h2') || raw.includes('h3')) {
         return 'headings';
       }
@@ -1522,7 +1530,7 @@
       return stats;
     }
 
-    _collectPageStats(blocks, categoryStats) {
+    _collectPageStats(blocks, categoryStats, { targetLang = '' } = {}) {
       const totalBlocks = Array.isArray(blocks) ? blocks.length : 0;
       const totalChars = (blocks || []).reduce((acc, item) => acc + (item && typeof item.originalText === 'string' ? item.originalText.length : 0), 0);
       const safeTotal = Math.max(1, totalBlocks);
@@ -1533,7 +1541,10 @@
         totalChars,
         avgChars: totalChars / safeTotal,
         codeRatio: codeCount / safeTotal,
-        headingRatio: headingCount / safeTotal
+        headingRatio: headingCount / safeTotal,
+        langMix: NT.LangDetector
+          ? NT.LangDetector.summarize(blocks || [], { targetLang: typeof targetLang === 'string' ? targetLang : '' })
+          : null
       };
     }
 
@@ -1916,7 +1927,10 @@
           tuning: resolved && resolved.tuning ? resolved.tuning : DEFAULT_AGENT_TUNING,
           blockCount: Array.isArray(blocks) ? blocks.length : 0,
           selectedCategories,
-          glossary
+          glossary,
+          styleGuide: NT.StyleGuides && job && job.runSettings && job.runSettings.styleGuide
+            ? NT.StyleGuides.formatForPrompt(job.runSettings.styleGuide, selectedCategories)
+            : []
         });
 
         const tuning = resolved && resolved.tuning ? resolved.tuning : DEFAULT_AGENT_TUNING;
@@ -1947,7 +1961,7 @@
       }
     }
 
-    _buildPlannerPrompt({ targetLang, profile, resolvedProfile, tuning, blockCount, selectedCategories, glossary } = {}) {
+    _buildPlannerPrompt({ targetLang, profile, resolvedProfile, tuning, blockCount, selectedCategories, glossary, styleGuide = [] } = {}) {
       const profileInfo = resolvedProfile && typeof resolvedProfile === 'object' ? resolvedProfile : {};
       const safeTuning = tuning && typeof tuning === 'object' ? tuning : DEFAULT_AGENT_TUNING;
       return [
@@ -1961,6 +1975,9 @@
         `Block count: ${Number(blockCount || 0)}`,
         `Selected categories: ${(selectedCategories || []).join(', ') || 'none'}`,
         `Glossary candidates: ${(glossary || []).slice(0, 20).map((item) => item.term).join(', ') || 'none'}`,
+        ...(Array.isArray(styleGuide) && styleGuide.length
+          ? ['Site style guide from the user (reflect it in "style" and "instructions"):'].concat(styleGuide)
+          : []),
         'Return ONLY JSON object with keys:',
         '{',
         '  "summary": "short summary",',
@@ -2051,8 +2068,21 @@
       categoryOrder.forEach((category, index) => {
         weightByCategory[category] = index;
       });
+      // Pending is already in viewport order when that mode is on: blocks near
+      // the screen stay ahead of any category, and ties keep that order.
+      const rank = NT.ViewportPriority ? NT.ViewportPriority.createRanker(job) : null;
+      const indexById = {};
+      pending.forEach((blockId, index) => {
+        indexById[blockId] = index;
+      });
 
       return pending.slice().sort((a, b) => {
+        if (rank) {
+          const tierDelta = rank(a).tier - rank(b).tier;
+          if (tierDelta) {
+            return tierDelta;
+          }
+        }
         const blockA = job.blocksById && job.blocksById[a] ? job.blocksById[a] : null;
         const blockB = job.blocksById && job.blocksById[b] ? job.blocksById[b] : null;
         const catA = this._normalizeCategory(blockA ? blockA.category || blockA.pathHint : '') || 'unknown';
@@ -2062,7 +2092,7 @@
         if (weightA !== weightB) {
           return weightA - weightB;
         }
-        return String(a).localeCompare(String(b));
+        return rank ? indexById[a] - indexById[b] : String(a).localeCompare(String(b));
       });
     }
 
@@ -13,6 +13,11 @@
       this.responseCache = new Map();
       this.CACHE_TTL_MS = 15 * 60 * 1000;
       this.MAX_CACHE_ENTRIES = 200;
+      this.qualityCache = new Map();
+      this.MAX_QUALITY_CACHE_ENTRIES = 1000;
+      this.QUALITY_TEXT_CHARS = 1200;
+      this.entityCache = new Map();
+      this.MAX_ENTITY_CACHE_ENTRIES = 1000;
     }
 
     async translateBatch(inputBlocks, {
@@ -33,7 +38,16 @@
         return { items: [] };
       }
 
-      const prompt = this._buildPrompt(blocks, targetLang, agentContext);
+      const promptBlocks = this._buildPromptBlocks(blocks);
+      const protection = await this._protectPromptBlocks(promptBlocks, agentContext, {
+        tabId,
+        jobId,
+        batchId,
+        targetLang,
+        signal,
+        cacheEnabled
+      });
+      const prompt = this._buildPrompt(protection.blocks, targetLang, agentContext);
       const requestInput = this._buildRequestInput(prompt, agentContext);
       const agentRoute = this._resolveAgentRoute(agentContext);
       const requestCacheEnabled = cacheEnabled !== false;
@@ -42,7 +56,8 @@
           prompt,
           targetLang,
           agentContext,
-          agentRoute
+          agentRoute,
+          entities: protection.byBlockId
         })
         : null;
       if (requestCacheEnabled && cacheKey) {
@@ -67,7 +82,7 @@
           attempt,
           jobId,
           blockId: batchId,
-          hintBatchSize: blocks.length,
+          hintBatchSize: promptBlocks.length,
           agentRoute,
           agentProfile
         }
@@ -85,6 +100,39 @@
         }
       });
 
+      const restored = this._restoreProtectedEntities(protection, map);
+      const segments = this._expandInlineSegments(promptBlocks.filter((block) => !restored.lostIds.includes(block.blockId)), map);
+      if (restored.fallback.length) {
+        const retried = await this.translateBatch(restored.fallback, {
+          tabId,
+          jobId,
+          batchId: `${batchId}:entities`,
+          targetLang,
+          attempt,
+          agentContext: { ...(agentContext || {}), entityProtection: 'off' },
+          signal,
+          cacheEnabled
+        });
+        (retried && Array.isArray(retried.items) ? retried.items : []).forEach((item) => {
+          map[item.blockId] = item.text;
+        });
+      }
+      if (segments.fallback.length) {
+        const retried = await this.translateBatch(segments.fallback.map((block) => ({ ...block, segment: null })), {
+          tabId,
+          jobId,
+          batchId: `${batchId}:inline`,
+          targetLang,
+          attempt,
+          agentContext,
+          signal,
+          cacheEnabled
+        });
+        (retried && Array.isArray(retried.items) ? retried.items : []).forEach((item) => {
+          map[item.blockId] = item.text;
+        });
+      }
+
       const items = blocks.map((block) => ({
         blockId: block.blockId,
         text: Object.prototype.hasOwnProperty.call(map, block.blockId)
@@ -102,6 +150,16 @@
         rawJson,
         report
       };
+      if (protection.spans) {
+        responsePayload.entityProtection = restored.report;
+      }
+      if (segments.sent) {
+        responsePayload.inlineSegments = {
+          sent: segments.sent,
+          fallback: segments.sent - segments.decoded,
+          errors: segments.errors
+        };
+      }
       if (requestCacheEnabled && cacheKey) {
         this._setCached(cacheKey, responsePayload);
       }
@@ -109,14 +167,464 @@
       return responsePayload;
     }
 
+    /**
+     * Grades translated blocks on a 0-100 scale (adequacy, fluency and an
+     * overall score with short reasons) on the fast route. Grades are cached
+     * per target language, source and translation, so a repeated pass only
+     * pays for blocks whose text changed. Blocks the model skipped are simply
+     * missing from `scores`.
+     */
+    async estimateQuality(inputItems, {
+      tabId,
+      jobId,
+      batchId,
+      targetLang = 'ru',
+      signal = null,
+      cacheEnabled = true
+    } = {}) {
+      if (!this.runLlmRequest) {
+        throw new Error('TRANSLATION_CALL_UNAVAILABLE');
+      }
+      const items = (Array.isArray(inputItems) ? inputItems : [])
+        .filter((item) => item && item.blockId && typeof item.translatedText === 'string' && item.translatedText.trim());
+      const scores = {};
+      const missing = [];
+      items.forEach((item) => {
+        const key = this._buildQualityCacheKey(item, targetLang);
+        const cached = cacheEnabled !== false ? this.qualityCache.get(key) : null;
+        if (cached) {
+          scores[item.blockId] = { ...cached, reasons: cached.reasons.slice(), cached: true };
+          return;
+        }
+        missing.push({ item, key });
+      });
+      if (!missing.length) {
+        return { scores, requested: 0, cached: items.length };
+      }
+
+      const rawJson = await this.runLlmRequest({
+        tabId,
+        taskType: 'translation_quality_estimate',
+        request: {
+          input: this._buildQualityInput(missing.map((row) => row.item), targetLang),
+          maxOutputTokens: Math.min(2200, 200 + (missing.length * 90)),
+          temperature: 0,
+          store: false,
+          background: false,
+          signal,
+          attempt: 1,
+          jobId,
+          blockId: batchId,
+          hintBatchSize: missing.length,
+          agentRoute: 'fast',
+          agentProfile: null
+        }
+      });
+      const graded = this._parseQualityScores(rawJson);
+      missing.forEach(({ item, key }) => {
+        const row = graded[item.blockId];
+        if (!row) {
+          return;
+        }
+        scores[item.blockId] = row;
+        this._setQualityCached(key, row);
+      });
+      return { scores, requested: missing.length, cached: items.length - missing.length };
+    }
+
+    _buildQualityInput(items, targetLang) {
+      const clip = (value) => {
+        const text = typeof value === 'string' ? value : '';
+        return text.length > this.QUALITY_TEXT_CHARS ? `${text.slice(0, this.QUALITY_TEXT_CHARS)}...` : text;
+      };
+      const systemPrompt = [
+        `You grade machine translations into ${targetLang || 'ru'}.`,
+        'For every item compare the source with its translation and give integers from 0 to 100:',
+        '- adequacy: the meaning is complete and correct, nothing is missing or added;',
+        '- fluency: the translation reads as natural, grammatical target-language text;',
+        '- score: overall quality.',
+        'For scores below 90 add at most two short reasons in English; otherwise return an empty list.',
+        'Return only JSON: {"scores":[{"blockId":"...","score":0,"adequacy":0,"fluency":0,"reasons":["..."]}]}'
+      ].join('\n');
+      const userPrompt = JSON.stringify({
+        items: items.map((item) => ({
+          blockId: item.blockId,
+          source: clip(item.sourceText),
+          translation: clip(item.translatedText)
+        }))
+      });
+      return [
+        { role: 'system', content: [{ type: 'input_text', text: systemPrompt }] },
+        { role: 'user', content: [{ type: 'input_text', text: userPrompt }] }
+      ];
+    }
+
+    _parseQualityScores(rawJson) {
+      const out = {};
+      const outputText = rawJson && typeof rawJson === 'object' ? this._extractOutputText(rawJson) : '';
+      if (!outputText) {
+        return out;
+      }
+      let parsed = null;
+      try {
+        parsed = JSON.parse(outputText);
+      } catch (_) {
+        const fenced = outputText.match(/```(?:json)?\s*([\s\S]*?)```/i);
+        try {
+          parsed = fenced && fenced[1] ? JSON.parse(fenced[1].trim()) : null;
+        } catch (_) {
+          parsed = null;
+        }
+      }
+      const rows = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.scores) ? parsed.scores : []);
+      const grade = (value) => (Number.isFinite(Number(value)) && value !== null && value !== ''
+        ? Math.max(0, Math.min(100, Math.round(Number(value))))
+        : null);
+      rows.forEach((row) => {
+        const blockId = row && row.blockId ? String(row.blockId).trim() : '';
+        if (!blockId || out[blockId]) {
+          return;
+        }
+        const adequacy = grade(row.adequacy);
+        const fluency = grade(row.fluency);
+        const overall = grade(row.score);
+        const score = overall !== null
+          ? overall
+          : (adequacy !== null && fluency !== null ? Math.round((adequacy + fluency) / 2) : null);
+        if (score === null) {
+          return;
+        }
+        out[blockId] = {
+          score,
+          adequacy,
+          fluency,
+          reasons: (Array.isArray(row.reasons) ? row.reasons : [])
+            .filter((reason) => typeof reason === 'string' && reason.trim())
+            .slice(0, 2)
+            .map((reason) => reason.trim().slice(0, 160))
+        };
+      });
+      return out;
+    }
+
+    _buildQualityCacheKey(item, targetLang) {
+      const src = `${targetLang || 'ru'}\n${item.sourceText || ''}\n${item.translatedText || ''}`;
+      return `qe:${src.length}:${this._hashText(src)}`;
+    }
+
+    _setQualityCached(key, value) {
+      this.qualityCache.delete(key);
+      this.qualityCache.set(key, { ...value, reasons: value.reasons.slice() });
+      while (this.qualityCache.size > this.MAX_QUALITY_CACHE_ENTRIES) {
+        this.qualityCache.delete(this.qualityCache.keys().next().value);
+      }
+    }
+
+    /**
+     * Masks do-not-translate spans (see NT.EntityProtection) in the prompt
+     * blocks. In 'model' mode names found by `detectEntities` are masked too;
+     * a failed detection request falls back to the heuristics.
+     */
+    async _protectPromptBlocks(promptBlocks, agentContext, requestOptions) {
+      const Protection = NT.EntityProtection || null;
+      const context = agentContext && typeof agentContext === 'object' ? agentContext : {};
+      const mode = Protection ? Protection.normalizeMode(context.entityProtection) : 'off';
+      const result = { source: promptBlocks, blocks: promptBlocks, byBlockId: {}, spans: 0, modelError: null };
+      if (mode === 'off' || !context.entityProtection) {
+        return result;
+      }
+      const terms = Protection.glossaryTerms(context.userGlossary);
+      let detected = {};
+      if (mode === 'model') {
+        try {
+          detected = (await this.detectEntities(promptBlocks.map((block) => ({
+            blockId: block.blockId,
+            text: block.originalText
+          })), requestOptions)).entities;
+        } catch (error) {
+          if (requestOptions && requestOptions.signal && requestOptions.signal.aborted) {
+            throw error;
+          }
+          result.modelError = error && error.message ? error.message : 'ENTITY_DETECT_FAILED';
+        }
+      }
+      result.blocks = promptBlocks.map((block) => {
+        const masked = Protection.protect(block.originalText, { terms, entities: detected[block.blockId] || [] });
+        if (!masked.entities.length) {
+          return block;
+        }
+        result.byBlockId[block.blockId] = masked.entities;
+        result.spans += masked.entities.length;
+        return { ...block, originalText: masked.text, protectedEntities: masked.entities };
+      });
+      return result;
+    }
+
+    /**
+     * Puts the masked spans back into `map`. Blocks that lost a token are
+     * removed from `map` and returned in `fallback` (their original blocks)
+     * for an unmasked request. The report is keyed by original block id; the
+     * spans of an inline segment go to the members that contain them.
+     */
+    _restoreProtectedEntities(protection, map) {
+      const Protection = NT.EntityProtection || null;
+      const out = { lostIds: [], fallback: [], report: { byBlockId: {}, spans: protection.spans, lost: 0, modelError: protection.modelError } };
+      if (!Protection || !protection.spans) {
+        return out;
+      }
+      protection.blocks.forEach((block, index) => {
+        const entities = protection.byBlockId[block.blockId];
+        if (!entities) {
+          return;
+        }
+        const original = protection.source[index];
+        const members = Array.isArray(original.inlineMembers) ? original.inlineMembers : [original];
+        let lost = [];
+        if (Object.prototype.hasOwnProperty.call(map, block.blockId)) {
+          const restored = Protection.restore(map[block.blockId], entities);
+          lost = restored.lost;
+          map[block.blockId] = restored.text;
+        }
+        if (lost.length) {
+          delete map[block.blockId];
+          out.lostIds.push(block.blockId);
+          out.fallback.push(...members);
+          out.report.lost += lost.length;
+        }
+        members.forEach((member, index) => {
+          const own = members.length > 1
+            ? entities.filter((entity) => String(member.originalText || '').includes(entity.text) || (index === 0 && !members.some((row) => String(row.originalText || '').includes(entity.text))))
+            : entities;
+          if (own.length || (index === 0 && lost.length)) {
+            out.report.byBlockId[member.blockId] = {
+              entities: own.map((entity) => ({ text: entity.text, kind: entity.kind })),
+              lost: index === 0 ? lost : [],
+              retried: lost.length > 0
+            };
+          }
+        });
+      });
+      return out;
+    }
+
+    /**
+     * Asks the fast route for names inside each item that must stay
+     * untranslated (brands, products, people, organizations, code). Only
+     * strings found verbatim in the item are kept; results are cached per
+     * text.
+     */
+    async detectEntities(inputItems, {
+      tabId,
+      jobId,
+      batchId,
+      signal = null,
+      cacheEnabled = true
+    } = {}) {
+      if (!this.runLlmRequest) {
+        throw new Error('TRANSLATION_CALL_UNAVAILABLE');
+      }
+      const items = (Array.isArray(inputItems) ? inputItems : [])
+        .filter((item) => item && item.blockId && typeof item.text === 'string' && item.text.trim());
+      const entities = {};
+      const missing = [];
+      items.forEach((item) => {
+        const key = `ner:${item.text.length}:${this._hashText(item.text)}`;
+        const cached = cacheEnabled !== false ? this.entityCache.get(key) : null;
+        if (cached) {
+          entities[item.blockId] = cached.slice();
+          return;
+        }
+        missing.push({ item, key });
+      });
+      if (!missing.length) {
+        return { entities, requested: 0 };
+      }
+      const systemPrompt = [
+        'Find names inside each item that must stay untranslated: brand, product and company names, person names, and code identifiers.',
+        'Copy every name exactly as it appears in the text. Skip ordinary words and common nouns.',
+        'Return only JSON: {"items":[{"blockId":"...","entities":["..."]}]}'
+      ].join('\n');
+      const rawJson = await this.runLlmRequest({
+        tabId,
+        taskType: 'translation_entity_detect',
+        request: {
+          input: [
+            { role: 'system', content: [{ type: 'input_text', text: systemPrompt }] },
+            {
+              role: 'user',
+              content: [{
+                type: 'input_text',
+                text: JSON.stringify({ items: missing.map((row) => ({ blockId: row.item.blockId, text: row.item.text })) })
+              }]
+            }
+          ],
+          maxOutputTokens: Math.min(1600, 120 + (missing.length * 60)),
+          temperature: 0,
+          store: false,
+          background: false,
+          signal,
+          attempt: 1,
+          jobId,
+          blockId: `${batchId || 'batch'}:entities`,
+          hintBatchSize: missing.length,
+          agentRoute: 'fast',
+          agentProfile: null
+        }
+      });
+      const found = this._parseEntityList(rawJson);
+      missing.forEach(({ item, key }) => {
+        const list = (found[item.blockId] || []).filter((name) => item.text.includes(name));
+        entities[item.blockId] = list;
+        this.entityCache.delete(key);
+        this.entityCache.set(key, list.slice());
+        while (this.entityCache.size > this.MAX_ENTITY_CACHE_ENTRIES) {
+          this.entityCache.delete(this.entityCache.keys().next().value);
+        }
+      });
+      return { entities, requested: missing.length };
+    }
+
+    _parseEntityList(rawJson) {
+      const out = {};
+      const outputText = rawJson && typeof rawJson === 'object' ? this._extractOutputText(rawJson) : '';
+      let parsed = null;
+      try {
+        parsed = outputText ? JSON.parse(outputText) : null;
+      } catch (_) {
+        const fenced = outputText.match(/```(?:json)?\s*([\s\S]*?)```/i);
+        try {
+          parsed = fenced && fenced[1] ? JSON.parse(fenced[1].trim()) : null;
+        } catch (_) {
+          parsed = null;
+        }
+      }
+      const rows = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.items) ? parsed.items : []);
+      rows.forEach((row) => {
+        const blockId = row && row.blockId ? String(row.blockId).trim() : '';
+        if (!blockId || out[blockId]) {
+          return;
+        }
+        out[blockId] = (Array.isArray(row.entities) ? row.entities : [])
+          .filter((name) => typeof name === 'string' && name.trim().length >= 2)
+          .map((name) => name.trim().slice(0, 120))
+          .slice(0, 20);
+      });
+      return out;
+    }
+
+    /**
+     * Replaces every complete inline segment (see NT.InlineMarkup) with one
+     * prompt item carrying the encoded sentence; other blocks pass through.
+     */
+    _buildPromptBlocks(blocks) {
+      const Markup = NT.InlineMarkup || null;
+      if (!Markup) {
+        return blocks;
+      }
+      const out = [];
+      Markup.groupBlocks(blocks).forEach((entry) => {
+        if (entry.block) {
+          out.push(entry.block);
+          return;
+        }
+        const text = Markup.encode(entry.members);
+        if (!text) {
+          entry.members.forEach((block) => out.push({ ...block, segment: null }));
+          return;
+        }
+        const lead = entry.members[0];
+        out.push({
+          blockId: entry.segmentId,
+          originalText: text,
+          category: lead.category || null,
+          pathHint: lead.pathHint || null,
+          inlineMembers: entry.members
+        });
+      });
+      return out;
+    }
+
+    /**
+     * Writes decoded member texts into `map`; members of segments whose
+     * placeholders did not survive are returned for per-node translation.
+     */
+    _expandInlineSegments(promptBlocks, map) {
+      const Markup = NT.InlineMarkup || null;
+      const result = { sent: 0, decoded: 0, fallback: [], errors: [] };
+      promptBlocks.forEach((block) => {
+        if (!Markup || !Array.isArray(block.inlineMembers)) {
+          return;
+        }
+        result.sent += 1;
+        if (!Object.prototype.hasOwnProperty.call(map, block.blockId)) {
+          return;
+        }
+        const decoded = Markup.decode(map[block.blockId], block.inlineMembers);
+        delete map[block.blockId];
+        if (!decoded.ok) {
+          result.fallback.push(...block.inlineMembers);
+          result.errors.push({ segmentId: block.blockId, code: decoded.code });
+          return;
+        }
+        result.decoded += 1;
+        Object.keys(decoded.texts).forEach((blockId) => {
+          map[blockId] = decoded.texts[blockId];
+        });
+      });
+      return result;
+    }
+
+    /**
+     * Fuzzy memory reference for a prompt item. References are keyed by
+     * block id, so a segment item takes the best one among its members.
+     */
+    _promptReference(block, references) {
+      if (!Array.isArray(block.inlineMembers)) {
+        return references[block.blockId] || null;
+      }
+      return block.inlineMembers.reduce((best, member) => {
+        const reference = member && references[member.blockId];
+        if (!reference || !reference.sourceText || !reference.translatedText) {
+          return best;
+        }
+        return !best || Number(reference.score) > Number(best.score) ? reference : best;
+      }, null);
+    }
+
     _buildPrompt(blocks, targetLang, agentContext) {
-      const payload = blocks.map((block) => ({
-        blockId: block.blockId,
-        text: block.originalText,
-        category: block.category || null,
-        pathHint: block.pathHint || null
-      }));
       const context = agentContext && typeof agentContext === 'object' ? agentContext : null;
+      const references = context && context.memoryReferences && typeof context.memoryReferences === 'object'
+        ? context.memoryReferences
+        : {};
+      let referenceCount = 0;
+      const hasInlineMarkup = blocks.some((block) => Array.isArray(block.inlineMembers));
+      const hasAttributes = blocks.some((block) => Boolean(block.attribute));
+      const hasContext = blocks.some((block) => typeof block.context === 'string' && block.context);
+      const hasProtected = blocks.some((block) => Array.isArray(block.protectedEntities) && block.protectedEntities.length);
+      const payload = blocks.map((block) => {
+        const item = {
+          blockId: block.blockId,
+          text: block.originalText,
+          category: block.category || null,
+          pathHint: block.pathHint || null
+        };
+        if (block.attribute) {
+          item.attribute = block.attribute;
+        }
+        if (typeof block.context === 'string' && block.context) {
+          item.context = block.context;
+        }
+        const reference = this._promptReference(block, references);
+        if (reference && reference.sourceText && reference.translatedText) {
+          item.reference = {
+            similarity: `${Math.round(Number(reference.score) * 100)}%`,
+            source: reference.sourceText,
+            translation: reference.translatedText
+          };
+          referenceCount += 1;
+        }
+        return item;
+      });
       const glossary = context && Array.isArray(context.glossary) ? context.glossary : [];
       const glossaryText = glossary.length
         ? glossary
@@ -137,12 +645,20 @@
         ? context.selectedCategories.join(', ')
         : '';
       const style = context && typeof context.style === 'string' && context.style ? context.style : 'balanced';
+      const terminologyLines = this._buildTerminologyLines(context);
+      const styleGuideLines = this._buildStyleGuideLines(context);
+      const humanEditLines = this._buildHumanEditLines(context);
+      const qaLines = this._buildQaRetryLines(context);
       return [
         `Translate every item to ${targetLang}.`,
         `Style: ${style}.`,
         `Instructions: ${batchGuidance}`,
+        ...styleGuideLines,
         `Selected categories: ${selectedCategories || 'all'}`,
         `Glossary: ${glossaryText}`,
+        ...terminologyLines,
+        ...humanEditLines,
+        ...qaLines,
         `Context summary: ${contextSummary || 'n/a'}`,
         `Recent report digest: ${reportDigest || 'n/a'}`,
         'Return ONLY valid JSON object:',
@@ -159,10 +675,73 @@
         '- If uncertain, set quality="needs_review" and add concise notes.',
         '- Keep report summary short and actionable.',
         '- Do not include markdown fences.',
+        ...(referenceCount
+          ? ['- Items with "reference" carry a previous translation of a similar sentence from translation memory; reuse its wording where the source matches, but translate the current text and never copy the reference blindly.']
+          : []),
+        ...(hasInlineMarkup
+          ? ['- Numbered tags like {1}...{/1} mark inline markup (links, emphasis, code). Keep every tag exactly once, never nest, renumber or translate them, and wrap the words that correspond to the original tagged text.']
+          : []),
+        ...(hasProtected
+          ? ['- Tokens like ⟦1⟧ stand for names, code, paths and other text that must stay as it is. Copy every token unchanged into the translation, keep it where the grammar needs it, and never translate, explain or drop it.']
+          : []),
+        ...(hasAttributes
+          ? ['- Items with "attribute" are element attributes (alt text, tooltips, placeholders, accessible labels, button values) or page metadata ("#text" is the document title, "content" the meta description); translate them as short plain text that fits that role.']
+          : []),
+        ...(hasContext
+          ? ['- Items with "context" carry the paragraph the text was selected from; use it only to resolve meaning and terminology, and translate only "text".']
+          : []),
         JSON.stringify(payload)
       ].join('\n');
     }
 
+    _buildTerminologyLines(context) {
+      const UserGlossary = NT.UserGlossary || null;
+      const entries = context && Array.isArray(context.userGlossary) ? context.userGlossary : [];
+      if (!UserGlossary || !entries.length) {
+        return [];
+      }
+      const lines = ['Required terminology (user glossary, must be followed exactly):']
+        .concat(UserGlossary.formatForPrompt(entries));
+      const violations = context && Array.isArray(context.glossaryRetry) ? context.glossaryRetry : [];
+      if (violations.length) {
+        lines.push(`Previous attempt broke the glossary: ${UserGlossary.formatViolations(violations).join('; ')}.`);
+      }
+      return lines;
+    }
+
+    _buildStyleGuideLines(context) {
+      const lines = context && Array.isArray(context.styleGuide)
+        ? context.styleGuide.filter((line) => typeof line === 'string' && line)
+        : [];
+      if (!lines.length) {
+        return [];
+      }
+      return ['Site style guide (user instructions; follow them unless they conflict with the output format or the required terminology):']
+        .concat(lines);
+    }
+
+    _buildQaRetryLines(context) {
+      const TranslationQa = NT.TranslationQa || null;
+      const issues = context && Array.isArray(context.qaRetry) ? context.qaRetry : [];
+      if (!TranslationQa || !issues.length) {
+        return [];
+      }
+      return ['Previous attempt failed automatic checks (fix these, keep everything else):']
+        .concat(TranslationQa.formatIssues(issues).map((line) => `- ${line}`));
+    }
+
+    _buildHumanEditLines(context) {
+      const edits = context && Array.isArray(context.humanEdits) ? context.humanEdits : [];
+      const lines = edits
+        .filter((item) => item && item.source && item.after)
+        .map((item) => `- ${JSON.stringify(item.source)} => ${JSON.stringify(item.after)}${item.before ? ` (not ${JSON.stringify(item.before)})` : ''}`);
+      if (!lines.length) {
+        return [];
+      }
+      return ['User corrections made earlier on this site (follow their wording and terminology where the same terms appear):']
+        .concat(lines);
+    }
+
     _buildRequestInput(prompt, agentContext) {
       const userPrompt = typeof prompt === 'string' ? prompt : '';
       const context = agentContext && typeof agentContext === 'object' ? agentContext : null;
@@ -407,7 +986,12 @@
       return 'ok';
     }
 
-    _buildCacheKey({ prompt, targetLang, agentContext, agentRoute } = {}) {
+    /**
+     * The prompt is masked, so blocks that differ only in a protected span
+     * share it; `entities` (the masked spans per block) tells them apart,
+     * since the cached items hold the restored text.
+     */
+    _buildCacheKey({ prompt, targetLang, agentContext, agentRoute, entities = null } = {}) {
       const context = agentContext && typeof agentContext === 'object' ? agentContext : {};
       const policy = context.modelPolicy && typeof context.modelPolicy === 'object'
         ? context.modelPolicy
@@ -423,6 +1007,7 @@
         `policyRouteOverride=${policy.allowRouteOverride === false ? 'off' : 'on'}`,
         `system=${typeof context.systemPrompt === 'string' ? context.systemPrompt : ''}`,
         `format=${JSON.stringify(context.reportFormat || null)}`,
+        `entities=${JSON.stringify(entities || {})}`,
         `prompt=${prompt || ''}`
       ].join('\n');
       return `tr:${src.length}:${this._hashText(src)}`;
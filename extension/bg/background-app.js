@@ -26,6 +26,8 @@
  */
 (function initBackgroundApp(global) {
   const NT = global.NT;
+  const SELECTION_MENU_ID = 'nt-translate-selection';
+  const SELECTION_COMMAND = 'translate-selection';
 
   class BackgroundApp {
     constructor({ chromeApi, fetchFn } = {}) {
@@ -44,6 +46,10 @@
       this.tabSessionManager = null;
       this.jobQueue = null;
       this.rateLimitBudgetStore = null;
+      this.usageLedgerStore = null;
+      this.userGlossaryStore = null;
+      this.humanEditStore = null;
+      this.spendBudgetGuard = null;
       this.credentialsStore = null;
       this.credentialsProvider = null;
       this.securityAudit = null;
@@ -68,6 +74,7 @@
       };
 
       this._lastLimitsBroadcastAt = 0;
+      this._usageBroadcastTimer = null;
       this._lastJobCompactionAt = 0;
       this._jobCompactionIntervalMs = 2 * 60 * 1000;
       this._lastStorageQuotaCheckAt = 0;
@@ -88,6 +95,8 @@
       this._onRuntimeInstalled = this._onRuntimeInstalled.bind(this);
       this._onRuntimeStartup = this._onRuntimeStartup.bind(this);
       this._onAlarm = this._onAlarm.bind(this);
+      this._onContextMenuClicked = this._onContextMenuClicked.bind(this);
+      this._onKeyboardCommand = this._onKeyboardCommand.bind(this);
     }
 
     async start() {
@@ -162,6 +171,22 @@
           translationPerfDegradedScanOnHeavy: true,
           translationCompareDiffThreshold: 8000,
           translationCompareRendering: 'auto',
+          translationMemoryFuzzyThreshold: 0.75,
+          translationDynamicContentEnabled: false,
+          translationViewportMode: 'off',
+          translationHumanEditExamples: true,
+          translationBilingualCategories: [],
+          translationSiteRules: {},
+          translationCategoryLearning: {},
+          translationQaAction: 'report',
+          translationQualityEstimation: false,
+          translationConsistency: 'report',
+          translationStyleGuides: {},
+          translationEntityProtection: 'heuristic',
+          translationTargetLang: 'ru',
+          translationTargetLangByOrigin: {},
+          translationPriceOverrides: {},
+          translationSpendBudgets: { jobUsd: null, dayUsd: null, monthUsd: null, softRatio: 0.8 },
           translationPopupActiveTab: 'control',
           debugAllowTestCommands: false
         }
@@ -204,6 +229,15 @@
       this.rateLimitBudgetStore = NT.RateLimitBudgetStore
         ? new NT.RateLimitBudgetStore({ chromeApi: this.chromeApi })
         : null;
+      this.usageLedgerStore = NT.UsageLedgerStore
+        ? new NT.UsageLedgerStore({ chromeApi: this.chromeApi })
+        : null;
+      this.userGlossaryStore = NT.UserGlossaryStore
+        ? new NT.UserGlossaryStore({ chromeApi: this.chromeApi })
+        : null;
+      this.humanEditStore = NT.HumanEditStore
+        ? new NT.HumanEditStore({ chromeApi: this.chromeApi })
+        : null;
       this.credentialsStore = NT.CredentialsStore
         ? new NT.CredentialsStore({ chromeApi: this.chromeApi })
         : null;
@@ -230,13 +264,31 @@
         eventLogger: (event) => this._logEvent(event)
       });
 
+      this.spendBudgetGuard = NT.SpendBudgetGuard && this.usageLedgerStore
+        ? new NT.SpendBudgetGuard({
+          usageLedgerStore: this.usageLedgerStore,
+          readSettings: async () => {
+            const data = await this.settingsStore.get(['translationSpendBudgets', 'translationPriceOverrides']);
+            return {
+              budgets: data.translationSpendBudgets,
+              priceOverrides: data.translationPriceOverrides
+            };
+          },
+          readJob: (jobId) => (this.translationJobStore ? this.translationJobStore.getJob(jobId) : null),
+          resolvePricing: (modelSpec, priceOverrides) => this._resolveModelPricing(modelSpec, priceOverrides),
+          onSoftLimit: (payload) => this._onSpendBudgetLimit(payload),
+          onHardLimit: (payload) => this._onSpendBudgetLimit(payload)
+        })
+        : null;
+
       this.ai = new NT.AiModule({
         chromeApi: this.chromeApi,
         fetchFn: this.fetchFn,
         loadScheduler: this.loadScheduler,
         eventLogger: (event) => this._logEvent(event),
         offscreenExecutor: this.offscreenExecutor,
-        credentialsProvider: this.credentialsProvider
+        credentialsProvider: this.credentialsProvider,
+        budgetGuard: this.spendBudgetGuard
       }).init();
 
       this.translationCall = new NT.TranslationCall({
@@ -294,6 +346,8 @@
         perfProfiler: this.perfProfiler,
         pageCacheStore: this.pageCacheStore,
         translationMemoryStore: this.translationMemoryStore,
+        userGlossaryStore: this.userGlossaryStore,
+        humanEditStore: this.humanEditStore,
         toolManifest: this.toolManifest,
         toolPolicyResolver: this.toolPolicyResolver,
         capabilitiesProvider: ({ tabId }) => this._buildCapabilitiesForTab(tabId),
@@ -427,6 +481,23 @@
         'translationPerfDegradedScanOnHeavy',
         'translationCompareDiffThreshold',
         'translationCompareRendering',
+        'translationMemoryFuzzyThreshold',
+        'translationDynamicContentEnabled',
+        'translationDynamicContentDefaultReset',
+        'translationViewportMode',
+        'translationHumanEditExamples',
+        'translationBilingualCategories',
+        'translationSiteRules',
+        'translationCategoryLearning',
+        'translationQaAction',
+        'translationQualityEstimation',
+        'translationConsistency',
+        'translationStyleGuides',
+        'translationEntityProtection',
+        'translationTargetLang',
+        'translationTargetLangByOrigin',
+        'translationPriceOverrides',
+        'translationSpendBudgets',
         'translationPopupActiveTab',
         'debugAllowTestCommands',
         'debugTestTargetLang'
@@ -530,9 +601,64 @@
       if (!Object.prototype.hasOwnProperty.call(state, 'translationCompareDiffThreshold')) {
         await this.settingsStore.set({ translationCompareDiffThreshold: 8000 });
       }
+      if (!Object.prototype.hasOwnProperty.call(state, 'translationMemoryFuzzyThreshold')) {
+        await this.settingsStore.set({ translationMemoryFuzzyThreshold: 0.75 });
+      }
+      if (
+        !Object.prototype.hasOwnProperty.call(state, 'translationDynamicContentEnabled')
+        || state.translationDynamicContentDefaultReset !== true
+      ) {
+        // Earlier builds stored `true` without any control; reset it once so dynamic content stays opt-in.
+        await this.settingsStore.set({
+          translationDynamicContentEnabled: false,
+          translationDynamicContentDefaultReset: true
+        });
+      }
+      if (!Object.prototype.hasOwnProperty.call(state, 'translationViewportMode')) {
+        await this.settingsStore.set({ translationViewportMode: 'off' });
+      }
+      if (!Object.prototype.hasOwnProperty.call(state, 'translationHumanEditExamples')) {
+        await this.settingsStore.set({ translationHumanEditExamples: true });
+      }
+      if (!Object.prototype.hasOwnProperty.call(state, 'translationBilingualCategories')) {
+        await this.settingsStore.set({ translationBilingualCategories: [] });
+      }
+      if (!Object.prototype.hasOwnProperty.call(state, 'translationSiteRules')) {
+        await this.settingsStore.set({ translationSiteRules: {} });
+      }
+      if (!Object.prototype.hasOwnProperty.call(state, 'translationCategoryLearning')) {
+        await this.settingsStore.set({ translationCategoryLearning: {} });
+      }
+      if (!Object.prototype.hasOwnProperty.call(state, 'translationQaAction')) {
+        await this.settingsStore.set({ translationQaAction: 'report' });
+      }
+      if (!Object.prototype.hasOwnProperty.call(state, 'translationQualityEstimation')) {
+        await this.settingsStore.set({ translationQualityEstimation: false });
+      }
+      if (!Object.prototype.hasOwnProperty.call(state, 'translationConsistency')) {
+        await this.settingsStore.set({ translationConsistency: 'report' });
+      }
+      if (!Object.prototype.hasOwnProperty.call(state, 'translationStyleGuides')) {
+        await this.settingsStore.set({ translationStyleGuides: {} });
+      }
+      if (!Object.prototype.hasOwnProperty.call(state, 'translationEntityProtection')) {
+        await this.settingsStore.set({ translationEntityProtection: 'heuristic' });
+      }
       if (!Object.prototype.hasOwnProperty.call(state, 'translationCompareRendering')) {
         await this.settingsStore.set({ translationCompareRendering: 'auto' });
       }
+      if (!Object.prototype.hasOwnProperty.call(state, 'translationTargetLang')) {
+        await this.settingsStore.set({ translationTargetLang: 'ru' });
+      }
+      if (!Object.prototype.hasOwnProperty.call(state, 'translationTargetLangByOrigin')) {
+        await this.settingsStore.set({ translationTargetLangByOrigin: {} });
+      }
+      if (!Object.prototype.hasOwnProperty.call(state, 'translationPriceOverrides')) {
+        await this.settingsStore.set({ translationPriceOverrides: {} });
+      }
+      if (!Object.prototype.hasOwnProperty.call(state, 'translationSpendBudgets')) {
+        await this.settingsStore.set({ translationSpendBudgets: { jobUsd: null, dayUsd: null, monthUsd: null, softRatio: 0.8 } });
+      }
       if (!Object.prototype.hasOwnProperty.call(state, 'translationPopupActiveTab')) {
         await this.settingsStore.set({ translationPopupActiveTab: 'control' });
       }
@@ -544,6 +670,10 @@
     }
 
     _normalizeTargetLang(value) {
+      const Rules = NT.TargetLangRules || null;
+      if (Rules && typeof Rules.normalizeLang === 'function') {
+        return Rules.normalizeLang(value);
+      }
       const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
       if (!raw) {
         return null;
@@ -898,6 +1028,12 @@
       const perfSnapshot = this.perfProfiler && typeof this.perfProfiler.getSnapshot === 'function'
         ? this.perfProfiler.getSnapshot()
         : null;
+      const usageSnapshot = this.usageLedgerStore && typeof this.usageLedgerStore.getSnapshot === 'function'
+        ? await this.usageLedgerStore.getSnapshot().catch(() => null)
+        : null;
+      const userGlossary = this.userGlossaryStore && typeof this.userGlossaryStore.getSnapshot === 'function'
+        ? await this.userGlossaryStore.getSnapshot().catch(() => null)
+        : null;
       return {
         toolset,
         effectiveToolPolicy: resolvedPolicy.effective || {},
@@ -905,6 +1041,8 @@
         security: this._buildSecurityRuntimeSnapshot(),
         migrationStatus,
         perfSnapshot,
+        usageSnapshot,
+        userGlossary,
         negotiation: {
           client: {
             portName: portName || null,
@@ -939,6 +1077,42 @@
       };
     }
 
+    async _broadcastUserGlossaryPatch() {
+      if (!this.uiHub || typeof this.uiHub.broadcastPatch !== 'function' || !this.userGlossaryStore) {
+        return;
+      }
+      const userGlossary = await this.userGlossaryStore.getSnapshot();
+      this.uiHub.broadcastPatch({ userGlossary });
+    }
+
+    /**
+     * Terms the agent collected for the tab's active job that the user
+     * glossary does not cover yet. Exported with the model hint as
+     * translation and the job-term note, so rows the termbase owners leave
+     * untranslated are skipped on import rather than rejected.
+     */
+    async _collectJobGlossaryTerms(tabId, entries) {
+      if (!Number.isFinite(Number(tabId)) || !this.translationJobStore || typeof this.translationJobStore.getActiveJob !== 'function') {
+        return [];
+      }
+      const job = await this.translationJobStore.getActiveJob(Number(tabId)).catch(() => null);
+      const glossary = job && job.agentState && Array.isArray(job.agentState.glossary) ? job.agentState.glossary : [];
+      const known = new Set((Array.isArray(entries) ? entries : []).map((entry) => String(entry.term || '').toLowerCase()));
+      return glossary
+        .filter((row) => row && row.term && row.source !== 'user' && !known.has(String(row.term).toLowerCase()))
+        .map((row) => ({
+          term: String(row.term),
+          translation: typeof row.hint === 'string' ? row.hint : '',
+          doNotTranslate: false,
+          caseRule: 'insensitive',
+          scope: 'global',
+          domain: null,
+          sourceLang: null,
+          targetLang: job.targetLang || null,
+          note: NT.GlossaryExchange.JOB_TERM_NOTE
+        }));
+    }
+
     async _broadcastRuntimeToolingPatch() {
       if (!this.uiHub || typeof this.uiHub.broadcastPatch !== 'function') {
         return;
@@ -954,6 +1128,8 @@
         security: runtime.security || null,
         migrationStatus: runtime.migrationStatus || null,
         perfSnapshot: runtime.perfSnapshot || null,
+        usageSnapshot: runtime.usageSnapshot || null,
+        userGlossary: runtime.userGlossary || null,
         negotiation: runtime.negotiation || null,
         serverCaps: runtime.serverCaps || null
       });
@@ -989,6 +1165,12 @@
       if (this.chromeApi && this.chromeApi.tabs && this.chromeApi.tabs.onActivated) {
         this.chromeApi.tabs.onActivated.addListener(this._onTabActivated);
       }
+      if (this.chromeApi && this.chromeApi.contextMenus && this.chromeApi.contextMenus.onClicked) {
+        this.chromeApi.contextMenus.onClicked.addListener(this._onContextMenuClicked);
+      }
+      if (this.chromeApi && this.chromeApi.commands && this.chromeApi.commands.onCommand) {
+        this.chromeApi.commands.onCommand.addListener(this._onKeyboardCommand);
+      }
     }
 
     async _runMigrations({ reason = 'runtime' } = {}) {
@@ -1031,6 +1213,7 @@
 
     async _onRuntimeInstalled() {
       await this._runMigrations({ reason: 'runtime.onInstalled' }).catch(() => ({ ok: false }));
+      this._ensureSelectionMenu();
       await this._refreshActiveTabId().catch(() => null);
       await this._hydrateRuntimeSchedulers().catch(() => ({ ok: false }));
       if (this.scheduler && typeof this.scheduler.ensureAlarms === 'function') {
@@ -1055,6 +1238,76 @@
       this._broadcastRuntimeToolingPatch().catch(() => {});
     }
 
+    /**
+     * Context menu entries persist across service-worker restarts, so the
+     * item is (re)created only when the extension is installed or updated.
+     */
+    _ensureSelectionMenu() {
+      const menus = this.chromeApi && this.chromeApi.contextMenus ? this.chromeApi.contextMenus : null;
+      if (!menus || typeof menus.removeAll !== 'function' || typeof menus.create !== 'function') {
+        return;
+      }
+      try {
+        menus.removeAll(() => {
+          menus.create({
+            id: SELECTION_MENU_ID,
+            title: 'Перевести выделенное',
+            contexts: ['selection']
+          }, () => {
+            const runtimeError = this.chromeApi.runtime && this.chromeApi.runtime.lastError
+              ? this.chromeApi.runtime.lastError
+              : null;
+            if (runtimeError) {
+              this._logEvent(this.eventFactory.warn(NT.EventTypes.Tags.BG_ERROR, 'Не удалось создать пункт контекстного меню', {
+                message: runtimeError.message || 'неизвестно'
+              }));
+            }
+          });
+        });
+      } catch (_) {
+        // contextMenus is optional in test harnesses
+      }
+    }
+
+    _onContextMenuClicked(info, tab) {
+      if (!info || info.menuItemId !== SELECTION_MENU_ID || !tab || !Number.isFinite(Number(tab.id))) {
+        return;
+      }
+      this._translateSelection({
+        tabId: Number(tab.id),
+        frameId: Number.isFinite(Number(info.frameId)) ? Number(info.frameId) : 0,
+        selectionText: typeof info.selectionText === 'string' ? info.selectionText : '',
+        pageUrl: info.frameUrl || info.pageUrl || tab.url || ''
+      });
+    }
+
+    _onKeyboardCommand(command, tab) {
+      if (command !== SELECTION_COMMAND) {
+        return;
+      }
+      const tabIdPromise = tab && Number.isFinite(Number(tab.id))
+        ? Promise.resolve(Number(tab.id))
+        : this._refreshActiveTabId();
+      tabIdPromise.then((tabId) => {
+        if (Number.isFinite(Number(tabId))) {
+          // The shortcut carries no frame: the selection is read from the top frame.
+          this._translateSelection({ tabId: Number(tabId), frameId: 0, pageUrl: tab && tab.url ? tab.url : '' });
+        }
+      }).catch(() => null);
+    }
+
+    _translateSelection(request) {
+      if (!this.translationOrchestrator || typeof this.translationOrchestrator.translateSelection !== 'function') {
+        return;
+      }
+      this.translationOrchestrator.translateSelection(request).catch((error) => {
+        this._logEvent(this.eventFactory.warn(NT.EventTypes.Tags.BG_ERROR, 'Не удалось перевести выделенный текст', {
+          tabId: request.tabId,
+          message: error && error.message ? error.message : 'неизвестно'
+        }));
+      });
+    }
+
     async _onAlarm(alarm) {
       if (!this.scheduler || typeof this.scheduler.onAlarm !== 'function') {
         return;
@@ -1572,6 +1825,17 @@
               : null,
             requestOptions: this._sanitizeRequestOptionsForMeta(responsesOptions)
           };
+          const usageRow = await this._recordUsage({
+            tabId,
+            taskType,
+            requestMeta,
+            modelSpec: ntMeta.chosenModelSpec,
+            model: typeof json.model === 'string' ? json.model : null,
+            connection,
+            usage: ntMeta.usage,
+            priceOverrides: settings.translationPriceOverrides
+          }).catch(() => null);
+          ntMeta.costUsd = usageRow ? usageRow.costUsd : null;
           if (ntMeta.chosenModelSpec && this.ai && typeof this.ai.getModelLimitsSnapshot === 'function') {
             try {
               const limitsBySpec = await this.ai.getModelLimitsSnapshot({
@@ -2049,7 +2313,106 @@
       if (inputTokens === null && outputTokens === null && totalTokens === null) {
         return null;
       }
-      return { inputTokens, outputTokens, totalTokens };
+      const details = usage.input_tokens_details || usage.prompt_tokens_details || null;
+      const cachedInputTokens = details && Number.isFinite(Number(details.cached_tokens))
+        ? Number(details.cached_tokens)
+        : pickNumber('cachedInputTokens');
+      return { inputTokens, outputTokens, totalTokens, cachedInputTokens };
+    }
+
+    _resolveModelPricing(modelSpec, overrides) {
+      const AiCommon = NT.AiCommon || null;
+      if (!modelSpec || !AiCommon || typeof AiCommon.resolvePricing !== 'function') {
+        return null;
+      }
+      const registry = this.ai && typeof this.ai.getRegistry === 'function'
+        ? this.ai.getRegistry()
+        : { byKey: {} };
+      const entry = registry && registry.byKey ? registry.byKey[modelSpec] || null : null;
+      const safeOverrides = overrides && typeof overrides === 'object' ? overrides : {};
+      const modelId = entry ? entry.id : String(modelSpec).split(':')[0];
+      const override = safeOverrides[modelSpec] || safeOverrides[modelId] || null;
+      return AiCommon.resolvePricing(entry, override);
+    }
+
+    async _recordUsage({ tabId, taskType, requestMeta, modelSpec, model, connection, usage, priceOverrides } = {}) {
+      if (!this.usageLedgerStore || !usage) {
+        return null;
+      }
+      const AiCommon = NT.AiCommon || null;
+      // A provider-level model id replaces the catalog model, so only its own
+      // price override applies.
+      const pinnedModel = connection && connection.modelId ? connection.modelId : null;
+      const pricing = this._resolveModelPricing(pinnedModel || modelSpec, priceOverrides);
+      const costUsd = pricing && AiCommon && typeof AiCommon.estimateCostUsd === 'function'
+        ? AiCommon.estimateCostUsd({
+          inputTokens: usage.inputTokens,
+          cachedInputTokens: usage.cachedInputTokens,
+          outputTokens: usage.outputTokens,
+          pricing
+        })
+        : null;
+      const row = await this.usageLedgerStore.record({
+        ts: Date.now(),
+        jobId: requestMeta && requestMeta.jobId ? requestMeta.jobId : null,
+        tabId: Number.isFinite(Number(tabId)) ? Number(tabId) : null,
+        requestId: requestMeta && requestMeta.requestId ? requestMeta.requestId : null,
+        taskType: taskType || 'unknown',
+        modelSpec: modelSpec || null,
+        model: pinnedModel || model || null,
+        provider: connection && connection.providerId ? connection.providerId : null,
+        inputTokens: usage.inputTokens,
+        cachedInputTokens: usage.cachedInputTokens,
+        outputTokens: usage.outputTokens,
+        costUsd,
+        priceSource: pricing ? pricing.source : 'none'
+      });
+      this._scheduleUsageBroadcast();
+      return row;
+    }
+
+    _scheduleUsageBroadcast() {
+      if (this._usageBroadcastTimer || !this.uiHub || typeof this.uiHub.broadcastPatch !== 'function') {
+        return;
+      }
+      // At most one snapshot per second; the trailing run still shows the last response.
+      this._usageBroadcastTimer = global.setTimeout(() => {
+        this._usageBroadcastTimer = null;
+        this.usageLedgerStore.getSnapshot().then((usageSnapshot) => {
+          if (usageSnapshot) {
+            this.uiHub.broadcastPatch({ usageSnapshot });
+          }
+        }).catch(() => {});
+      }, 1000);
+    }
+
+    async _onSpendBudgetLimit({ tabId, jobId, verdict } = {}) {
+      if (!verdict) {
+        return;
+      }
+      const hard = verdict.level === 'hard';
+      this._logEvent(this.eventFactory.make({
+        level: hard ? 'error' : 'warn',
+        tag: NT.EventTypes.Tags.AI_BUDGET,
+        message: hard ? 'Spending budget exceeded' : 'Spending budget threshold reached',
+        meta: {
+          tabId: tabId !== null && tabId !== undefined ? tabId : null,
+          jobId: jobId || null,
+          scope: verdict.scope || null,
+          limitUsd: verdict.limitUsd,
+          spentUsd: verdict.spentUsd,
+          projectedUsd: verdict.projectedUsd,
+          ratio: verdict.ratio
+        }
+      }));
+      if (!jobId || !this.translationOrchestrator) {
+        return;
+      }
+      if (hard) {
+        await this.translationOrchestrator.pauseJobForBudget({ jobId, verdict });
+        return;
+      }
+      await this.translationOrchestrator.noteBudgetWarning({ jobId, verdict });
     }
 
     _extractRateSnapshot(snapshot) {
@@ -2079,7 +2442,8 @@
         'translationAgentModelPolicy',
         'translationAgentProfile',
         'translationApiCacheEnabled',
-        'translationAgentAllowedModels'
+        'translationAgentAllowedModels',
+        'translationPriceOverrides'
       ]);
       const resolvedSettings = this.settingsStore && typeof this.settingsStore.getResolvedSettings === 'function'
         ? await this.settingsStore.getResolvedSettings().catch(() => null)
@@ -2126,7 +2490,10 @@
           : (data.translationApiCacheEnabled !== false),
         translationAgentAllowedModels: effectiveV2 && effectiveV2.models
           ? this._sanitizeModelList(effectiveV2.models.agentAllowedModels)
-          : this._sanitizeModelList(data.translationAgentAllowedModels)
+          : this._sanitizeModelList(data.translationAgentAllowedModels),
+        translationPriceOverrides: data.translationPriceOverrides && typeof data.translationPriceOverrides === 'object'
+          ? data.translationPriceOverrides
+          : {}
       };
     }
 
@@ -2408,6 +2775,16 @@
         return result;
       }
 
+      if (commandName === (UiProtocol && UiProtocol.Commands ? UiProtocol.Commands.SET_PROVIDER : 'SET_PROVIDER')) {
+        const result = await this._setProvider(commandPayload || {});
+        await this._broadcastSecurityPatch().catch(() => {});
+        return result;
+      }
+
+      if (commandName === (UiProtocol && UiProtocol.Commands ? UiProtocol.Commands.LIST_PROVIDER_MODELS : 'LIST_PROVIDER_MODELS')) {
+        return this._listProviderModels();
+      }
+
       if (commandName === (UiProtocol && UiProtocol.Commands ? UiProtocol.Commands.BG_TEST_CONNECTION : 'BG_TEST_CONNECTION')) {
         const result = await this._testConnection({ commandPayload: commandPayload || {} });
         this._securityState.lastConnectionTest = result && typeof result === 'object'
@@ -2591,11 +2968,11 @@
           : '';
         const resolvedUrl = requestedUrl || await this._resolveTabUrl(tabId);
         const normalizedTargetLang = this._normalizeTargetLang(commandPayload && commandPayload.targetLang);
-        const fallbackTestTargetLang = this._normalizeTargetLang(this._testTargetLang) || 'ru';
+        const fallbackTestTargetLang = this._normalizeTargetLang(this._testTargetLang);
         const result = await this.translationOrchestrator.startJob({
           tabId,
           url: resolvedUrl || '',
-          targetLang: normalizedTargetLang || fallbackTestTargetLang,
+          targetLang: normalizedTargetLang || fallbackTestTargetLang || null,
           force: Boolean(commandPayload.force)
         });
         if (!result.ok) {
@@ -2625,6 +3002,21 @@
         return result;
       }
 
+      if (commandName === commands.PAUSE_TRANSLATION || commandName === 'PAUSE_TRANSLATION') {
+        const result = await this.translationOrchestrator.pauseJob({ tabId, jobId: commandPayload.jobId || null });
+        if (result && result.paused && result.job && result.job.id && this.offscreenExecutor && typeof this.offscreenExecutor.cancelByJobId === 'function') {
+          await this.offscreenExecutor.cancelByJobId(result.job.id, { maxRequests: 20 }).catch(() => ({ ok: false, cancelled: 0 }));
+        }
+        this._kickScheduler('ui:pause_translation');
+        return result;
+      }
+
+      if (commandName === commands.RESUME_TRANSLATION || commandName === 'RESUME_TRANSLATION') {
+        const result = await this.translationOrchestrator.resumeJob({ tabId, jobId: commandPayload.jobId || null });
+        this._kickScheduler('ui:resume_translation');
+        return result;
+      }
+
       if (commandName === commands.SET_TRANSLATION_CATEGORIES || commandName === 'SET_TRANSLATION_CATEGORIES') {
         const result = await this.translationOrchestrator.applyCategorySelection({
           tabId,
@@ -2678,6 +3070,45 @@
         return result;
       }
 
+      if (commandName === commands.EXPORT_TRANSLATION_MEMORY || commandName === 'EXPORT_TRANSLATION_MEMORY') {
+        if (!this.translationMemoryStore || typeof this.translationMemoryStore.exportUnits !== 'function' || !NT.TmxExchange) {
+          return { ok: false, error: { code: 'MEMORY_UNAVAILABLE', message: 'Память переводов недоступна' } };
+        }
+        const payload = commandPayload && typeof commandPayload === 'object' ? commandPayload : {};
+        const exported = await this.translationMemoryStore.exportUnits({
+          targetLang: payload.targetLang || null,
+          domain: payload.domain || null,
+          maxAgeDays: payload.maxAgeDays || null,
+          qualityTags: Array.isArray(payload.qualityTags) ? payload.qualityTags : null
+        });
+        return {
+          ok: true,
+          count: exported.units.length,
+          skippedNoSource: exported.skippedNoSource,
+          fileName: `neuro-translate-memory-${new Date().toISOString().slice(0, 10)}.tmx`,
+          content: NT.TmxExchange.toTmx(exported.units)
+        };
+      }
+
+      if (commandName === commands.IMPORT_TRANSLATION_MEMORY || commandName === 'IMPORT_TRANSLATION_MEMORY') {
+        if (!this.translationMemoryStore || typeof this.translationMemoryStore.importUnits !== 'function' || !NT.TmxExchange) {
+          return { ok: false, error: { code: 'MEMORY_UNAVAILABLE', message: 'Память переводов недоступна' } };
+        }
+        const payload = commandPayload && typeof commandPayload === 'object' ? commandPayload : {};
+        const parsed = NT.TmxExchange.parseTmx(typeof payload.text === 'string' ? payload.text : '', {
+          sourceLang: payload.sourceLang || null,
+          targetLang: payload.targetLang || null,
+          defaultQualityTag: payload.defaultQualityTag || 'raw'
+        });
+        const result = await this.translationMemoryStore.importUnits(parsed.units, { trustHumanTag: payload.trustHumanTag === true });
+        return {
+          ...result,
+          parsed: parsed.units.length,
+          errors: parsed.errors.slice(0, 200),
+          errorCount: parsed.errors.length
+        };
+      }
+
       if (commandName === commands.APPLY_AUTOTUNE_PROPOSAL || commandName === 'APPLY_AUTOTUNE_PROPOSAL') {
         const result = await this.translationOrchestrator.applyAutoTuneProposal({
           tabId,
@@ -2732,6 +3163,42 @@
         return result;
       }
 
+      if (commandName === commands.GET_JOB_BLOCKS || commandName === 'GET_JOB_BLOCKS') {
+        return this.translationOrchestrator.listJobBlocks({
+          tabId,
+          jobId: commandPayload.jobId || null
+        });
+      }
+
+      if (commandName === commands.REVEAL_BLOCK || commandName === 'REVEAL_BLOCK') {
+        return this.translationOrchestrator.revealBlock({
+          tabId,
+          jobId: commandPayload.jobId || null,
+          blockId: commandPayload.blockId || null
+        });
+      }
+
+      if (commandName === commands.SET_BLOCK_TRANSLATION || commandName === 'SET_BLOCK_TRANSLATION') {
+        return this.translationOrchestrator.setBlockTranslation({
+          tabId,
+          jobId: commandPayload.jobId || null,
+          blockId: commandPayload.blockId || null,
+          text: typeof commandPayload.text === 'string' ? commandPayload.text : ''
+        });
+      }
+
+      if (commandName === commands.SET_EDIT_MODE || commandName === 'SET_EDIT_MODE') {
+        return this.translationOrchestrator.setEditMode({
+          tabId,
+          jobId: commandPayload.jobId || null,
+          enabled: commandPayload.enabled === true
+        });
+      }
+
+      if (commandName === commands.START_ELEMENT_PICKER || commandName === 'START_ELEMENT_PICKER') {
+        return this.translationOrchestrator.startElementPicker({ tabId });
+      }
+
       if (commandName === commands.SET_TRANSLATION_VISIBILITY || commandName === 'SET_TRANSLATION_VISIBILITY') {
         const result = await this.translationOrchestrator.setVisibility({
           tabId,
@@ -2748,6 +3215,74 @@
         return result;
       }
 
+      if (commandName === commands.CONTINUE_OVER_BUDGET || commandName === 'CONTINUE_OVER_BUDGET') {
+        const result = await this.translationOrchestrator.continueOverBudget({ tabId, jobId: commandPayload.jobId || null });
+        this._kickScheduler('ui:continue_over_budget');
+        return result;
+      }
+
+      if (commandName === commands.UPSERT_GLOSSARY_ENTRY || commandName === 'UPSERT_GLOSSARY_ENTRY') {
+        if (!this.userGlossaryStore) {
+          return { ok: false, error: { code: 'GLOSSARY_UNAVAILABLE', message: 'Глоссарий недоступен' } };
+        }
+        const result = await this.userGlossaryStore.upsertEntry(commandPayload && commandPayload.entry);
+        await this._broadcastUserGlossaryPatch().catch(() => {});
+        return result;
+      }
+
+      if (commandName === commands.DELETE_GLOSSARY_ENTRY || commandName === 'DELETE_GLOSSARY_ENTRY') {
+        if (!this.userGlossaryStore) {
+          return { ok: false, error: { code: 'GLOSSARY_UNAVAILABLE', message: 'Глоссарий недоступен' } };
+        }
+        const result = await this.userGlossaryStore.removeEntry(commandPayload && commandPayload.id);
+        await this._broadcastUserGlossaryPatch().catch(() => {});
+        return result;
+      }
+
+      if (commandName === commands.IMPORT_GLOSSARY || commandName === 'IMPORT_GLOSSARY') {
+        if (!this.userGlossaryStore || !NT.GlossaryExchange) {
+          return { ok: false, error: { code: 'GLOSSARY_UNAVAILABLE', message: 'Глоссарий недоступен' } };
+        }
+        const payload = commandPayload && typeof commandPayload === 'object' ? commandPayload : {};
+        const parsed = NT.GlossaryExchange.parse(typeof payload.text === 'string' ? payload.text : '', {
+          format: payload.format || null,
+          fileName: payload.fileName || '',
+          sourceLang: payload.sourceLang || null,
+          targetLang: payload.targetLang || null
+        });
+        const result = await this.userGlossaryStore.importEntries(parsed.entries, { mode: payload.mode || 'keep' });
+        await this._broadcastUserGlossaryPatch().catch(() => {});
+        return {
+          ...result,
+          format: parsed.format,
+          parsed: parsed.entries.length,
+          errors: parsed.errors.slice(0, 200),
+          errorCount: parsed.errors.length,
+          jobTermsSkipped: parsed.jobTermsSkipped
+        };
+      }
+
+      if (commandName === commands.EXPORT_GLOSSARY || commandName === 'EXPORT_GLOSSARY') {
+        if (!this.userGlossaryStore || !NT.GlossaryExchange) {
+          return { ok: false, error: { code: 'GLOSSARY_UNAVAILABLE', message: 'Глоссарий недоступен' } };
+        }
+        const payload = commandPayload && typeof commandPayload === 'object' ? commandPayload : {};
+        const format = NT.GlossaryExchange.FORMATS.includes(payload.format) ? payload.format : 'csv';
+        const entries = await this.userGlossaryStore.listEntries();
+        const jobTerms = payload.includeJobTerms === true
+          ? await this._collectJobGlossaryTerms(tabId, entries).catch(() => [])
+          : [];
+        const all = entries.concat(jobTerms);
+        return {
+          ok: true,
+          format,
+          count: all.length,
+          jobTerms: jobTerms.length,
+          fileName: `neuro-translate-glossary-${new Date().toISOString().slice(0, 10)}.${format}`,
+          content: NT.GlossaryExchange.serialize(all, format)
+        };
+      }
+
       if (commandName === commands.SET_PAUSE_OTHER_TABS || commandName === 'SET_PAUSE_OTHER_TABS') {
         if (!this.jobQueue || typeof this.jobQueue.setPauseOtherTabs !== 'function') {
           return { ok: false, error: { code: 'JOB_QUEUE_UNAVAILABLE', message: 'JobQueue недоступен' } };
@@ -3060,6 +3595,15 @@
       if (status === 'awaiting_categories') {
         return 'awaiting_categories';
       }
+      if (status === 'budget_paused') {
+        return 'budget_paused';
+      }
+      if (status === 'paused') {
+        return 'paused';
+      }
+      if (status === 'awaiting_viewport') {
+        return 'awaiting_viewport';
+      }
       if (status === 'running' || status === 'completing') {
         if (runtimeStage === 'planning' || phase.indexOf('planning') >= 0) {
           return 'planning';
@@ -3683,6 +4227,65 @@
       return { ok: true };
     }
 
+    async _setProvider(payload) {
+      if (!this.credentialsStore || typeof this.credentialsStore.setProvider !== 'function') {
+        return { ok: false, error: { code: 'CREDENTIALS_STORE_UNAVAILABLE', message: 'CredentialsStore недоступен' } };
+      }
+      const source = payload && typeof payload === 'object' ? payload : {};
+      const ProviderAdapters = NT.ProviderAdapters || null;
+      const adapter = ProviderAdapters ? ProviderAdapters.get(source.providerId) : null;
+      const baseUrl = typeof source.baseUrl === 'string' ? source.baseUrl.trim() : '';
+      const effectiveBaseUrl = baseUrl || (adapter ? adapter.defaultBaseUrl : '');
+      if (effectiveBaseUrl) {
+        try {
+          await this._ensureProxyPermission(effectiveBaseUrl);
+        } catch (error) {
+          return {
+            ok: false,
+            error: {
+              code: error && error.code ? error.code : 'PROVIDER_PERMISSION_REQUIRED',
+              message: error && error.message ? error.message : 'Недостаточно прав для адреса провайдера'
+            }
+          };
+        }
+      }
+      try {
+        const saved = await this.credentialsStore.setProvider({
+          providerId: source.providerId,
+          baseUrl,
+          modelId: source.modelId
+        });
+        return { ok: true, provider: saved && saved.provider ? saved.provider : null };
+      } catch (error) {
+        return {
+          ok: false,
+          error: {
+            code: error && error.code ? error.code : 'PROVIDER_CONFIG_INVALID',
+            message: error && error.message ? error.message : 'Ошибка сохранения провайдера'
+          }
+        };
+      }
+    }
+
+    async _listProviderModels() {
+      const llmClient = this.ai && this.ai.llmClient ? this.ai.llmClient : null;
+      if (!llmClient || typeof llmClient.listModels !== 'function') {
+        return { ok: false, error: { code: 'LLM_CLIENT_UNAVAILABLE', message: 'LLM client недоступен' } };
+      }
+      try {
+        const models = await llmClient.listModels();
+        return { ok: true, models: Array.isArray(models) ? models.slice(0, 200) : [] };
+      } catch (error) {
+        return {
+          ok: false,
+          error: {
+            code: error && error.code ? error.code : 'MODEL_LIST_FAILED',
+            message: error && error.message ? error.message : 'Не удалось получить список моделей'
+          }
+        };
+      }
+    }
+
     async _testConnection({ commandPayload } = {}) {
       const payload = commandPayload && typeof commandPayload === 'object' ? commandPayload : {};
       const startTs = Date.now();
@@ -3912,6 +4515,18 @@
         'translationApiCacheEnabled',
         'translationCompareDiffThreshold',
         'translationCompareRendering',
+        'translationMemoryFuzzyThreshold',
+        'translationDynamicContentEnabled',
+        'translationViewportMode',
+        'translationHumanEditExamples',
+        'translationBilingualCategories',
+        'translationSiteRules',
+        'translationCategoryLearning',
+        'translationQaAction',
+        'translationQualityEstimation',
+        'translationConsistency',
+        'translationStyleGuides',
+        'translationEntityProtection',
         'translationPopupActiveTab',
         'debugAllowTestCommands'
       ];
@@ -4074,7 +4689,7 @@
           return null;
         }
         const status = String(job.status || '').toLowerCase();
-        if (status === 'done' || status === 'failed' || status === 'cancelled' || status === 'awaiting_categories') {
+        if (status === 'done' || status === 'failed' || status === 'cancelled' || status === 'awaiting_categories' || status === 'budget_paused' || status === 'paused' || status === 'awaiting_viewport') {
           return null;
         }
         const next = { ...job };
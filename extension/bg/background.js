@@ -27,6 +27,21 @@ importScripts(
   '../core/redaction.js',
   '../core/safe-logger.js',
   '../core/json-schema-validator.js',
+  '../core/target-lang-rules.js',
+  '../core/site-rules.js',
+  '../core/category-learning.js',
+  '../core/lang-detector.js',
+  '../core/user-glossary.js',
+  '../core/translation-qa.js',
+  '../core/translation-consistency.js',
+  '../core/style-guides.js',
+  '../core/entity-protection.js',
+  '../core/xml-lite.js',
+  '../core/glossary-exchange.js',
+  '../core/tmx-exchange.js',
+  '../core/fuzzy-match.js',
+  '../core/inline-markup.js',
+  '../core/viewport-priority.js',
   '../core/settings-store.js',
   '../core/model-selection.js',
   '../core/event-types.js',
@@ -54,6 +69,10 @@ importScripts(
   './credentials-provider.js',
   './security-audit.js',
   './rate-limit-budget-store.js',
+  './usage-ledger-store.js',
+  './spend-budget-guard.js',
+  './user-glossary-store.js',
+  './human-edit-store.js',
   './scheduler.js',
   './job-runner.js',
   './translation-orchestrator.js',
@@ -64,6 +83,7 @@ importScripts(
   '../ai/ai-runtime-base.js',
   '../ai/ai-load-scheduler.js',
   '../ai/model-chooser.js',
+  '../ai/provider-adapters.js',
   '../ai/llm-client.js',
   '../ai/model-rate-limit-store.js',
   '../ai/model-benchmark-store.js',
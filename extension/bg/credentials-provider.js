@@ -1,5 +1,8 @@
 /**
  * CredentialsProvider resolves endpoint/auth headers for BYOK vs PROXY modes.
+ *
+ * The active provider adapter (`NT.ProviderAdapters`) decides the endpoint path
+ * and BYOK auth header shape; without it everything targets OpenAI Responses.
  */
 (function initCredentialsProvider(global) {
   const NT = global.NT || (global.NT = {});
@@ -45,6 +48,35 @@
       return this.credentialsStore.getMode();
     }
 
+    async _readProvider() {
+      const stored = this.credentialsStore && typeof this.credentialsStore.getProvider === 'function'
+        ? await this.credentialsStore.getProvider()
+        : null;
+      const ProviderAdapters = NT.ProviderAdapters || null;
+      const adapter = ProviderAdapters ? ProviderAdapters.get(stored && stored.id) : null;
+      return {
+        adapter,
+        baseUrl: stored && typeof stored.baseUrl === 'string' ? this._stripTrailingSlash(stored.baseUrl) : '',
+        modelId: stored && typeof stored.modelId === 'string' ? stored.modelId.trim() : ''
+      };
+    }
+
+    async getActiveProvider() {
+      const provider = await this._readProvider();
+      const adapter = provider.adapter;
+      // A Chat Completions server on its own URL hosts whatever models it was
+      // started with, so the OpenAI catalog says nothing about them.
+      const ownServer = Boolean(adapter && adapter.id === 'openai_chat' && provider.baseUrl
+        && provider.baseUrl !== this._stripTrailingSlash(adapter.defaultBaseUrl));
+      return {
+        id: adapter ? adapter.id : 'openai_responses',
+        wire: adapter ? adapter.wire : 'responses',
+        catalog: ownServer ? null : (adapter ? adapter.catalog : 'openai'),
+        baseUrl: provider.baseUrl || (adapter ? adapter.defaultBaseUrl : this.openAiBase),
+        modelId: provider.modelId
+      };
+    }
+
     async buildBaseUrl() {
       const mode = await this._readMode();
       if (mode === 'PROXY') {
@@ -53,7 +85,10 @@
           : null;
         return this._stripTrailingSlash(proxy && proxy.baseUrl ? proxy.baseUrl : '');
       }
-      return this.openAiBase;
+      const provider = await this._readProvider();
+      return provider.baseUrl
+        || (provider.adapter ? this._stripTrailingSlash(provider.adapter.defaultBaseUrl) : '')
+        || this.openAiBase;
     }
 
     async buildEndpointUrl(path = '/responses') {
@@ -67,9 +102,17 @@
         const prefix = normalizedPath.startsWith('v1/') ? '' : 'v1/';
         return this._join(base, `${prefix}${normalizedPath}`);
       }
-      const openAiBase = this.openAiBase;
+      const byokBase = await this.buildBaseUrl();
       const normalizedPath = String(path || '').replace(/^\/+/, '');
-      return this._join(openAiBase, normalizedPath);
+      return this._join(byokBase, normalizedPath);
+    }
+
+    async _resolvePaths() {
+      const provider = await this._readProvider();
+      return {
+        endpointPath: provider.adapter ? provider.adapter.endpointPath : '/responses',
+        modelsPath: provider.adapter ? provider.adapter.modelsPath : '/models'
+      };
     }
 
     async buildRequestAuthHeaders({ target = 'openai' } = {}) {
@@ -97,6 +140,10 @@
       const key = this.credentialsStore && typeof this.credentialsStore.getByokKey === 'function'
         ? await this.credentialsStore.getByokKey()
         : null;
+      const provider = await this._readProvider();
+      if (provider.adapter && typeof provider.adapter.buildAuthHeaders === 'function') {
+        return provider.adapter.buildAuthHeaders(key || '');
+      }
       if (!key) {
         return {};
       }
@@ -115,7 +162,7 @@
           error.stage = stage;
           throw error;
         }
-        const endpointUrl = await this.buildEndpointUrl('/responses');
+        const endpointUrl = await this.buildEndpointUrl((await this._resolvePaths()).endpointPath);
         return {
           mode,
           target: 'proxy',
@@ -129,20 +176,24 @@
       const byokKey = this.credentialsStore && typeof this.credentialsStore.getByokKey === 'function'
         ? await this.credentialsStore.getByokKey()
         : null;
-      if (!byokKey) {
-        const error = new Error('Missing OpenAI API key');
+      const provider = await this._readProvider();
+      const requiresKey = !provider.adapter || provider.adapter.requiresKey !== false;
+      if (!byokKey && requiresKey) {
+        const error = new Error(provider.adapter && provider.adapter.id !== 'openai_responses'
+          ? `Missing API key for ${provider.adapter.title}`
+          : 'Missing OpenAI API key');
         error.code = 'NO_API_KEY';
         error.stage = stage;
         throw error;
       }
-      const endpointUrl = await this.buildEndpointUrl('/responses');
+      const endpointUrl = await this.buildEndpointUrl((await this._resolvePaths()).endpointPath);
       return {
         mode,
         target: 'openai',
-        baseUrl: this.openAiBase,
+        baseUrl: await this.buildBaseUrl(),
         endpointUrl,
         endpointHost: this._parseHost(endpointUrl),
-        hasAuth: true
+        hasAuth: Boolean(byokKey)
       };
     }
 
@@ -150,15 +201,20 @@
       const validated = await this.validateConfiguredOrThrow(stage);
       const target = validated.target === 'proxy' ? 'proxy' : 'openai';
       const authHeaders = await this.buildRequestAuthHeaders({ target });
+      const provider = await this.getActiveProvider();
+      const paths = await this._resolvePaths();
       return {
         mode: validated.mode,
         target,
+        providerId: provider.id,
+        wire: provider.wire,
+        modelId: provider.modelId,
         baseUrl: validated.baseUrl,
-        responsesUrl: await this.buildEndpointUrl('/responses'),
-        modelsUrl: await this.buildEndpointUrl('/models'),
+        responsesUrl: await this.buildEndpointUrl(paths.endpointPath),
+        modelsUrl: await this.buildEndpointUrl(paths.modelsPath),
         endpointHost: validated.endpointHost || this._parseHost(validated.endpointUrl),
         authHeaders,
-        hasAuth: Object.keys(authHeaders || {}).length > 0
+        hasAuth: validated.hasAuth === true
       };
     }
   }
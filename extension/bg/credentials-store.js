@@ -52,10 +52,29 @@
       return parsed.toString().replace(/\/$/, '');
     }
 
+    _normalizeProviderId(id) {
+      const ProviderAdapters = NT.ProviderAdapters || null;
+      if (ProviderAdapters && typeof ProviderAdapters.normalizeId === 'function') {
+        return ProviderAdapters.normalizeId(id);
+      }
+      const raw = typeof id === 'string' ? id.trim().toLowerCase() : '';
+      return /^[a-z0-9_]{1,40}$/.test(raw) ? raw : 'openai_responses';
+    }
+
+    _normalizeModelId(id) {
+      const raw = typeof id === 'string' ? id.trim() : '';
+      return /^[^\s:]{1,200}$/.test(raw) ? raw : '';
+    }
+
     _safeLocalState(value) {
       const src = value && typeof value === 'object' ? value : {};
       return {
         mode: this._normalizeMode(src.mode || 'PROXY'),
+        provider: {
+          id: this._normalizeProviderId(src.provider && src.provider.id),
+          baseUrl: this._normalizeBaseUrl(src.provider && src.provider.baseUrl),
+          modelId: this._normalizeModelId(src.provider && src.provider.modelId)
+        },
         byokKey: typeof src.byokKey === 'string' ? src.byokKey : '',
         byokPersist: src.byokPersist === true,
         proxy: {
@@ -261,6 +280,34 @@
       return { ok: true };
     }
 
+    async setProvider({ providerId, baseUrl, modelId } = {}) {
+      const rawBaseUrl = typeof baseUrl === 'string' ? baseUrl.trim() : '';
+      const normalizedBaseUrl = this._normalizeBaseUrl(rawBaseUrl);
+      if (rawBaseUrl && !normalizedBaseUrl) {
+        const error = new Error('Provider baseUrl must be a valid http(s) URL');
+        error.code = 'PROVIDER_URL_INVALID';
+        throw error;
+      }
+      const state = await this._readState();
+      state.local.provider = {
+        id: this._normalizeProviderId(providerId),
+        baseUrl: normalizedBaseUrl,
+        modelId: this._normalizeModelId(modelId)
+      };
+      await this._writeLocal(state.local);
+      return { ok: true, provider: { ...state.local.provider } };
+    }
+
+    async getProvider() {
+      const state = await this._readState();
+      const provider = state.local.provider || {};
+      return {
+        id: this._normalizeProviderId(provider.id),
+        baseUrl: provider.baseUrl || '',
+        modelId: this._normalizeModelId(provider.modelId)
+      };
+    }
+
     async getPublicSnapshot() {
       const state = await this._readState();
       const mode = this._normalizeMode(state.local.mode || 'PROXY');
@@ -278,6 +325,11 @@
         hasByokKey,
         byokPersisted,
         byokSession,
+        provider: {
+          id: this._normalizeProviderId(state.local.provider && state.local.provider.id),
+          baseUrl: state.local.provider && state.local.provider.baseUrl ? state.local.provider.baseUrl : '',
+          modelId: this._normalizeModelId(state.local.provider && state.local.provider.modelId)
+        },
         proxy: {
           baseUrl: proxy.baseUrl || '',
           authHeaderName: this._normalizeHeaderName(proxy.authHeaderName),
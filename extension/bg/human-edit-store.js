@@ -0,0 +1,126 @@
+/**
+ * Per-site memory of the user's translation corrections.
+ *
+ * Every manual edit is kept under the page host (`NT.SiteRules.normalizeHost`)
+ * as a `{ source, before, after }` example, so later jobs on the same site
+ * start with the corrections in their prompts. Each host keeps only the
+ * latest examples and the least recently edited hosts are dropped first.
+ */
+(function initHumanEditStore(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const MAX_HOSTS = 100;
+  const MAX_EDITS_PER_HOST = 12;
+  const MAX_TEXT_LENGTH = 400;
+
+  function normalizeEdit(input) {
+    const src = input && typeof input === 'object' ? input : {};
+    const text = (value) => (typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_LENGTH) : '');
+    const source = text(src.source);
+    const after = text(src.after);
+    if (!source || !after) {
+      return null;
+    }
+    return { source, before: text(src.before), after };
+  }
+
+  class HumanEditStore extends NT.ChromeLocalStoreBase {
+    constructor({ chromeApi, storageKey = 'ntHumanEditsV1' } = {}) {
+      super({ chromeApi });
+      this.storageKey = typeof storageKey === 'string' && storageKey ? storageKey : 'ntHumanEditsV1';
+      this._mutationChain = Promise.resolve();
+    }
+
+    _hostForUrl(url) {
+      return NT.SiteRules ? NT.SiteRules.normalizeHost(url) : null;
+    }
+
+    _normalizeState(raw) {
+      const src = raw && typeof raw === 'object' && raw.byHost && typeof raw.byHost === 'object' ? raw.byHost : {};
+      const byHost = {};
+      Object.keys(src).forEach((key) => {
+        const host = this._hostForUrl(key);
+        const row = src[key] && typeof src[key] === 'object' ? src[key] : {};
+        const edits = (Array.isArray(row.edits) ? row.edits : []).map(normalizeEdit).filter(Boolean);
+        if (host && edits.length) {
+          byHost[host] = {
+            edits: edits.slice(-MAX_EDITS_PER_HOST),
+            updatedAt: Number.isFinite(Number(row.updatedAt)) ? Number(row.updatedAt) : 0
+          };
+        }
+      });
+      return { v: 1, byHost };
+    }
+
+    async _loadState() {
+      const data = await this.storageGet({ [this.storageKey]: null });
+      return this._normalizeState(data && data[this.storageKey]);
+    }
+
+    async _saveState(state) {
+      await this.storageSet({ [this.storageKey]: state });
+      return state;
+    }
+
+    async _withMutationLock(fn) {
+      const current = this._mutationChain || Promise.resolve();
+      let result = null;
+      const next = current
+        .catch(() => null)
+        .then(async () => {
+          result = await fn();
+          return result;
+        });
+      this._mutationChain = next;
+      try {
+        await next;
+        return result;
+      } finally {
+        if (this._mutationChain === next) {
+          this._mutationChain = Promise.resolve();
+        }
+      }
+    }
+
+    async listForUrl(url) {
+      const host = this._hostForUrl(url);
+      if (!host) {
+        return [];
+      }
+      const state = await this._loadState();
+      return state.byHost[host] ? state.byHost[host].edits : [];
+    }
+
+    /**
+     * Adds or replaces (same source text) one example for the page's host.
+     */
+    async record(url, editLike) {
+      const host = this._hostForUrl(url);
+      const edit = normalizeEdit(editLike);
+      if (!host || !edit) {
+        return { ok: false, recorded: false };
+      }
+      return this._withMutationLock(async () => {
+        const state = await this._loadState();
+        const current = state.byHost[host] ? state.byHost[host].edits : [];
+        const edits = current.filter((item) => item.source !== edit.source).concat(edit);
+        state.byHost[host] = { edits: edits.slice(-MAX_EDITS_PER_HOST), updatedAt: Date.now() };
+        const hosts = Object.keys(state.byHost);
+        if (hosts.length > MAX_HOSTS) {
+          hosts
+            .sort((a, b) => state.byHost[a].updatedAt - state.byHost[b].updatedAt)
+            .slice(0, hosts.length - MAX_HOSTS)
+            .forEach((key) => {
+              delete state.byHost[key];
+            });
+        }
+        await this._saveState(state);
+        return { ok: true, recorded: true };
+      });
+    }
+  }
+
+  HumanEditStore.MAX_HOSTS = MAX_HOSTS;
+  HumanEditStore.MAX_EDITS_PER_HOST = MAX_EDITS_PER_HOST;
+  NT.HumanEditStore = HumanEditStore;
+})(globalThis);
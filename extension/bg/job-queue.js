@@ -358,6 +358,19 @@
       return true;
     }
 
+    _waitingReason(status) {
+      if (status === 'budget_paused') {
+        return 'BUDGET_PAUSED';
+      }
+      if (status === 'paused') {
+        return 'USER_PAUSED';
+      }
+      if (status === 'awaiting_viewport') {
+        return 'AWAITING_VIEWPORT';
+      }
+      return 'AWAITING_CATEGORIES';
+    }
+
     _derivePriority(job, activeTabId) {
       const status = String(job && job.status ? job.status : '').toLowerCase();
       let score = 0;
@@ -406,14 +419,14 @@
           ? Number(retry.nextRetryAtTs)
           : 0;
         const prev = state.entriesByJobId[job.id] || {};
-        if (status === 'awaiting_categories') {
+        if (status === 'awaiting_categories' || status === 'budget_paused' || status === 'paused' || status === 'awaiting_viewport') {
           state.entriesByJobId[job.id] = this._normalizeEntry(job.id, {
             ...prev,
             tabId: Number.isFinite(Number(job.tabId)) ? Number(job.tabId) : prev.tabId,
             priority: this._derivePriority(job, state.activeTabId),
             status: 'waiting',
             nextAtTs: Number.MAX_SAFE_INTEGER,
-            reason: 'AWAITING_CATEGORIES',
+            reason: this._waitingReason(status),
             leaseUntilTs: null,
             updatedAt: now
           });
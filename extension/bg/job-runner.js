@@ -47,7 +47,7 @@
       if (status === 'done') return 'DONE';
       if (status === 'failed') return 'FAILED';
       if (status === 'cancelled') return 'CANCELLED';
-      if (status === 'awaiting_categories') return 'IDLE';
+      if (status === 'awaiting_categories' || status === 'budget_paused' || status === 'paused' || status === 'awaiting_viewport') return 'IDLE';
       if (status === 'planning') return 'RUNNING';
       if (status === 'preparing') return 'QUEUED';
       if (status === 'running' || status === 'completing') return 'RUNNING';
@@ -330,6 +330,17 @@
     }
 
     async _handleRecovery(job, runtime, errorLike) {
+      if (errorLike && errorLike.code === 'BUDGET_EXCEEDED') {
+        return { ok: true, hasMoreWork: false };
+      }
+      if (errorLike && errorLike.code === 'ABORT_ERR') {
+        // A pause or cancel aborts in-flight requests after storing its status;
+        // any other abort is recovered like a regular failure.
+        const stored = await this.jobStore.getJob(job.id).catch(() => null);
+        if (stored && (stored.status === 'paused' || stored.status === 'cancelled')) {
+          return { ok: true, hasMoreWork: false };
+        }
+      }
       const classified = this.retryPolicy && typeof this.retryPolicy.classifyError === 'function'
         ? this.retryPolicy.classifyError(errorLike || {})
         : {
@@ -427,6 +438,42 @@
         return finalize({ ok: true, hasMoreWork: false }, 'awaiting_categories');
       }
 
+      if (job.status === 'budget_paused') {
+        runtime.status = 'IDLE';
+        runtime.lease = {
+          leaseUntilTs: null,
+          heartbeatTs: now,
+          op: 'budget_paused',
+          opId: null
+        };
+        await this._persist(job, { setActive: true });
+        return finalize({ ok: true, hasMoreWork: false }, runtime.stage);
+      }
+
+      if (job.status === 'paused') {
+        runtime.status = 'IDLE';
+        runtime.lease = {
+          leaseUntilTs: null,
+          heartbeatTs: now,
+          op: 'paused',
+          opId: null
+        };
+        await this._persist(job, { setActive: true });
+        return finalize({ ok: true, hasMoreWork: false, paused: true }, runtime.stage);
+      }
+
+      if (job.status === 'awaiting_viewport') {
+        runtime.status = 'IDLE';
+        runtime.lease = {
+          leaseUntilTs: null,
+          heartbeatTs: now,
+          op: null,
+          opId: null
+        };
+        await this._persist(job, { setActive: true });
+        return finalize({ ok: true, hasMoreWork: false }, runtime.stage);
+      }
+
       const progressKey = this._progressKey(job, runtime.stage);
       if (progressKey !== runtime.watchdog.lastProgressKey) {
         runtime.watchdog.lastProgressKey = progressKey;
@@ -310,7 +310,7 @@
     }
 
     _repairJobShape(job) {
-      const allowedStatuses = new Set(['preparing', 'planning', 'awaiting_categories', 'running', 'completing', 'done', 'failed', 'cancelled', 'idle']);
+      const allowedStatuses = new Set(['preparing', 'planning', 'awaiting_categories', 'budget_paused', 'paused', 'awaiting_viewport', 'running', 'completing', 'done', 'failed', 'cancelled', 'idle']);
       const issues = [];
       let changed = false;
 
@@ -852,8 +852,12 @@
         this._streamHeartbeatTimers.delete(requestId);
         const now = Date.now();
         let deltaPreview = null;
-        if (eventPayload && eventPayload.type === 'response.output_text.delta' && typeof eventPayload.delta === 'string') {
-          deltaPreview = String(eventPayload.delta).slice(-160);
+        const ProviderAdapters = NT.ProviderAdapters || null;
+        const deltaText = ProviderAdapters && typeof ProviderAdapters.previewDelta === 'function'
+          ? ProviderAdapters.previewDelta(eventPayload)
+          : (eventPayload && eventPayload.type === 'response.output_text.delta' ? eventPayload.delta : null);
+        if (typeof deltaText === 'string') {
+          deltaPreview = deltaText.slice(-160);
         }
         if (typeof this.inflightStore.touchStreamHeartbeat === 'function') {
           this.inflightStore.touchStreamHeartbeat(requestId, {
@@ -141,7 +141,7 @@
         const order = (status) => {
           if (status === 'running' || status === 'completing') return 0;
           if (status === 'preparing') return 1;
-          if (status === 'awaiting_categories') return 2;
+          if (status === 'awaiting_categories' || status === 'budget_paused' || status === 'paused' || status === 'awaiting_viewport') return 2;
           return 3;
         };
         const byStatus = order(aStatus) - order(bStatus);
@@ -251,6 +251,18 @@
           await queue.markWaiting(jobId, Number.MAX_SAFE_INTEGER, 'AWAITING_CATEGORIES').catch(() => null);
           continue;
         }
+        if (lowerStatus === 'budget_paused') {
+          await queue.markWaiting(jobId, Number.MAX_SAFE_INTEGER, 'BUDGET_PAUSED').catch(() => null);
+          continue;
+        }
+        if (lowerStatus === 'paused') {
+          await queue.markWaiting(jobId, Number.MAX_SAFE_INTEGER, 'USER_PAUSED').catch(() => null);
+          continue;
+        }
+        if (lowerStatus === 'awaiting_viewport') {
+          await queue.markWaiting(jobId, Number.MAX_SAFE_INTEGER, 'AWAITING_VIEWPORT').catch(() => null);
+          continue;
+        }
         if (retryMeta.nextRetryAtTs > Date.now()) {
           await queue.markWaiting(jobId, retryMeta.nextRetryAtTs, retryMeta.lastErrorCode || 'RETRY_BACKOFF').catch(() => null);
           nextWakeAtTs = nextWakeAtTs === null
@@ -0,0 +1,174 @@
+/**
+ * Spending budget guard for LLM dispatch.
+ *
+ * Compares ledger spend (job / local day / calendar month) plus the estimated
+ * cost of the next request against user limits. Crossing the soft ratio
+ * notifies once per scope; crossing a hard limit notifies and throws
+ * `BUDGET_EXCEEDED` so the request is never sent. A job may carry
+ * `budget.overrides` set by the explicit "continue anyway" command.
+ */
+(function initSpendBudgetGuard(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const SCOPES = Object.freeze(['job', 'day', 'month']);
+  const DEFAULT_SOFT_RATIO = 0.8;
+
+  class SpendBudgetGuard {
+    constructor({
+      usageLedgerStore,
+      readSettings,
+      readJob,
+      resolvePricing,
+      onSoftLimit,
+      onHardLimit
+    } = {}) {
+      this.usageLedgerStore = usageLedgerStore || null;
+      this.readSettings = typeof readSettings === 'function' ? readSettings : null;
+      this.readJob = typeof readJob === 'function' ? readJob : null;
+      this.resolvePricing = typeof resolvePricing === 'function' ? resolvePricing : null;
+      this.onSoftLimit = typeof onSoftLimit === 'function' ? onSoftLimit : null;
+      this.onHardLimit = typeof onHardLimit === 'function' ? onHardLimit : null;
+      this._softNotified = new Set();
+    }
+
+    static normalizeBudgets(raw) {
+      const src = raw && typeof raw === 'object' ? raw : {};
+      const limit = (value) => {
+        if (value === null || value === undefined || value === '') {
+          return null;
+        }
+        const numeric = Number(value);
+        return Number.isFinite(numeric) && numeric > 0 ? Math.round(numeric * 10000) / 10000 : null;
+      };
+      const ratio = Number(src.softRatio);
+      return {
+        jobUsd: limit(src.jobUsd),
+        dayUsd: limit(src.dayUsd),
+        monthUsd: limit(src.monthUsd),
+        softRatio: Number.isFinite(ratio) && ratio > 0 && ratio < 1 ? ratio : DEFAULT_SOFT_RATIO
+      };
+    }
+
+    /**
+     * Pure verdict for already collected spend. `overrides` lists scopes the
+     * user chose to continue past; they are neither warned nor stopped again.
+     */
+    static evaluate({ budgets, spent, estimateUsd = 0, overrides = {} } = {}) {
+      const limits = SpendBudgetGuard.normalizeBudgets(budgets);
+      const safeSpent = spent && typeof spent === 'object' ? spent : {};
+      const safeOverrides = overrides && typeof overrides === 'object' ? overrides : {};
+      const estimate = Math.max(0, Number(estimateUsd) || 0);
+      const rows = SCOPES
+        .map((scope) => {
+          const limitUsd = limits[`${scope}Usd`];
+          if (limitUsd === null || safeOverrides[scope] === true || !Object.prototype.hasOwnProperty.call(safeSpent, scope)) {
+            return null;
+          }
+          const spentUsd = Math.max(0, Number(safeSpent[scope]) || 0);
+          const projectedUsd = Math.round((spentUsd + estimate) * 1000000) / 1000000;
+          return {
+            scope,
+            limitUsd,
+            spentUsd,
+            projectedUsd,
+            ratio: Math.round((projectedUsd / limitUsd) * 1000) / 1000
+          };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.ratio - a.ratio);
+      const top = rows[0] || null;
+      if (!top || top.ratio < limits.softRatio) {
+        return { level: 'ok', scope: null, scopes: rows, softRatio: limits.softRatio };
+      }
+      return {
+        level: top.ratio > 1 ? 'hard' : 'soft',
+        scope: top.scope,
+        limitUsd: top.limitUsd,
+        spentUsd: top.spentUsd,
+        projectedUsd: top.projectedUsd,
+        ratio: top.ratio,
+        scopes: rows,
+        softRatio: limits.softRatio
+      };
+    }
+
+    _dayKey(ts) {
+      const date = new Date(ts);
+      return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    _activeOverrides(job, day) {
+      const src = job && job.budget && job.budget.overrides && typeof job.budget.overrides === 'object'
+        ? job.budget.overrides
+        : {};
+      return {
+        job: src.job === true,
+        day: src.day === day,
+        month: src.month === day.slice(0, 7)
+      };
+    }
+
+    _estimateUsd(modelSpec, estTokens, priceOverrides) {
+      const pricing = this.resolvePricing ? this.resolvePricing(modelSpec, priceOverrides) : null;
+      const AiCommon = NT.AiCommon || null;
+      if (!pricing || !AiCommon || typeof AiCommon.estimateCostUsd !== 'function') {
+        return 0;
+      }
+      return AiCommon.estimateCostUsd({ inputTokens: estTokens, outputTokens: 0, pricing }) || 0;
+    }
+
+    async check({ tabId = null, jobId = null, modelSpec = null, estTokens = 0 } = {}) {
+      if (!this.usageLedgerStore || !this.readSettings) {
+        return { level: 'ok', scope: null, scopes: [] };
+      }
+      const settings = await this.readSettings() || {};
+      const budgets = SpendBudgetGuard.normalizeBudgets(settings.budgets);
+      if (budgets.jobUsd === null && budgets.dayUsd === null && budgets.monthUsd === null) {
+        return { level: 'ok', scope: null, scopes: [] };
+      }
+      const now = Date.now();
+      const snapshot = await this.usageLedgerStore.getSnapshot({ now });
+      const day = snapshot.day || this._dayKey(now);
+      const job = jobId && this.readJob ? await this.readJob(jobId) : null;
+      const jobRow = jobId && Array.isArray(snapshot.byJob)
+        ? snapshot.byJob.find((row) => row && row.jobId === jobId)
+        : null;
+      const spent = {
+        day: snapshot.today ? snapshot.today.costUsd : 0,
+        month: snapshot.month ? snapshot.month.costUsd : 0
+      };
+      if (jobId) {
+        spent.job = jobRow ? jobRow.costUsd : 0;
+      }
+      const verdict = SpendBudgetGuard.evaluate({
+        budgets,
+        spent,
+        estimateUsd: this._estimateUsd(modelSpec, estTokens, settings.priceOverrides),
+        overrides: this._activeOverrides(job, day)
+      });
+      verdict.day = day;
+      if (verdict.level === 'soft') {
+        const key = `${verdict.scope}:${verdict.scope === 'job' ? jobId : verdict.day}`;
+        if (!this._softNotified.has(key)) {
+          this._softNotified.add(key);
+          if (this.onSoftLimit) {
+            await Promise.resolve(this.onSoftLimit({ tabId, jobId, verdict })).catch(() => null);
+          }
+        }
+        return verdict;
+      }
+      if (verdict.level === 'hard') {
+        if (this.onHardLimit) {
+          await Promise.resolve(this.onHardLimit({ tabId, jobId, verdict })).catch(() => null);
+        }
+        const error = new Error(`Spending budget exceeded (${verdict.scope}: $${verdict.projectedUsd} of $${verdict.limitUsd})`);
+        error.code = 'BUDGET_EXCEEDED';
+        error.budget = verdict;
+        throw error;
+      }
+      return verdict;
+    }
+  }
+
+  NT.SpendBudgetGuard = SpendBudgetGuard;
+})(globalThis);
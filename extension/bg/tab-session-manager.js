@@ -86,6 +86,9 @@
       const raw = String(status || '').trim().toLowerCase();
       if (raw === 'preparing') return 'scanned';
       if (raw === 'awaiting_categories') return 'awaiting_categories';
+      if (raw === 'budget_paused') return 'budget_paused';
+      if (raw === 'paused') return 'paused';
+      if (raw === 'awaiting_viewport') return 'awaiting_viewport';
       if (raw === 'running' || raw === 'completing') return 'executing';
       if (raw === 'done') return 'done';
       if (raw === 'failed' || raw === 'cancelled') return 'failed';
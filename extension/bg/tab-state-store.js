@@ -157,7 +157,7 @@
       if (tabId === null || tabId === undefined) {
         return;
       }
-      const normalizedMode = mode === 'original' || mode === 'compare'
+      const normalizedMode = mode === 'original' || mode === 'compare' || mode === 'bilingual'
         ? mode
         : 'translated';
       const state = await this._readState();
@@ -182,11 +182,11 @@
         const key = String(tabId);
         if (Object.prototype.hasOwnProperty.call(modeMap, key)) {
           const mode = modeMap[key];
-          return mode === 'original' || mode === 'compare' ? mode : 'translated';
+          return mode === 'original' || mode === 'compare' || mode === 'bilingual' ? mode : 'translated';
         }
         if (Object.prototype.hasOwnProperty.call(modeMap, tabId)) {
           const mode = modeMap[tabId];
-          return mode === 'original' || mode === 'compare' ? mode : 'translated';
+          return mode === 'original' || mode === 'compare' || mode === 'bilingual' ? mode : 'translated';
         }
         const visible = await this.getVisibility(tabId);
         return visible ? 'translated' : 'original';
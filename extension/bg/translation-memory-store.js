@@ -3,7 +3,8 @@
  *
  * Stores:
  * - pages: page-level restore snapshots
- * - blocks: cross-page dedupe by (targetLang + originalHash)
+ * - blocks: cross-page dedupe by (targetLang + originalHash); blocks keep their
+ *   source text so memory can be exported as TMX (`exportUnits`/`importUnits`)
  */
 (function initTranslationMemoryStore(global) {
   const NT = global.NT || (global.NT = {});
@@ -130,7 +131,7 @@
 
     _normalizeQualityTag(value, fallback = 'raw') {
       const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
-      if (raw === 'proofread' || raw === 'literal' || raw === 'styled' || raw === 'raw') {
+      if (raw === 'human' || raw === 'proofread' || raw === 'literal' || raw === 'styled' || raw === 'raw') {
         return raw;
       }
       return fallback;
@@ -144,6 +145,10 @@
       if (normalized === 'proofread') {
         return 1;
       }
+      // A user's own correction outranks anything the pipeline produces.
+      if (normalized === 'human') {
+        return 3;
+      }
       return 2;
     }
 
@@ -555,6 +560,7 @@
         routeUsed: preferIncoming
           ? (typeof source.routeUsed === 'string' ? source.routeUsed : (current && typeof current.routeUsed === 'string' ? current.routeUsed : null))
           : (current && typeof current.routeUsed === 'string' ? current.routeUsed : null),
+        imported: preferIncoming ? source.imported === true : Boolean(current && current.imported === true),
         createdAt: current && Number.isFinite(Number(current.createdAt)) ? Number(current.createdAt) : now,
         rev: currentRev + 1,
         updatedAt: preferIncoming ? sourceUpdatedAt : currentUpdatedAt,
@@ -741,6 +747,173 @@
       return { ok: true };
     }
 
+    /**
+     * Same FNV-style hash BG uses for `originalHash` and `blockKey`, so an
+     * imported unit lands on the key a later translation job looks up.
+     */
+    hashText(text) {
+      const src = typeof text === 'string' ? text : String(text || '');
+      let hash = 2166136261;
+      for (let i = 0; i < src.length; i += 1) {
+        hash ^= src.charCodeAt(i);
+        hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
+      }
+      return `h${(hash >>> 0).toString(16).padStart(8, '0')}`;
+    }
+
+    buildBlockKey(targetLang, originalHash) {
+      const lang = typeof targetLang === 'string' && targetLang ? targetLang.toLowerCase() : 'ru';
+      return this.hashText(`${lang}|${typeof originalHash === 'string' ? originalHash : ''}`);
+    }
+
+    _hostOf(url) {
+      const raw = typeof url === 'string' ? url.trim() : '';
+      if (!raw) {
+        return '';
+      }
+      try {
+        return new URL(raw).hostname.replace(/^www\./, '').toLowerCase();
+      } catch (_) {
+        return '';
+      }
+    }
+
+    /**
+     * Candidates for fuzzy lookup: blocks of one target language that kept
+     * their source text, most recently used first.
+     */
+    async listSourceBlocks({ targetLang = 'ru', limit = 5000 } = {}) {
+      const lang = typeof targetLang === 'string' && targetLang ? targetLang.toLowerCase() : 'ru';
+      const safeLimit = Number.isFinite(Number(limit)) ? Math.max(1, Math.round(Number(limit))) : 5000;
+      const blocks = await this._collectMeta(this.BLOCKS_STORE);
+      return blocks
+        .filter((block) => block
+          && String(block.targetLang || '').toLowerCase() === lang
+          && typeof block.originalText === 'string' && block.originalText
+          && typeof block.translatedText === 'string' && block.translatedText)
+        .sort((a, b) => Number(b.lastUsedAt || 0) - Number(a.lastUsedAt || 0))
+        .slice(0, safeLimit)
+        .map((block) => ({
+          blockKey: block.blockKey,
+          originalHash: block.originalHash || '',
+          originalText: block.originalText,
+          translatedText: block.translatedText,
+          qualityTag: this._normalizeQualityTag(block.qualityTag, 'raw')
+        }));
+    }
+
+    /**
+     * Blocks as TMX units. Blocks written before source text was kept in
+     * memory cannot be exported and are only counted.
+     */
+    async exportUnits({ targetLang = null, domain = null, maxAgeDays = null, qualityTags = null } = {}) {
+      const lang = typeof targetLang === 'string' && targetLang.trim() ? targetLang.trim().toLowerCase() : null;
+      const host = typeof domain === 'string' && domain.trim() ? domain.trim().toLowerCase().replace(/^www\./, '') : null;
+      const minTs = Number.isFinite(Number(maxAgeDays)) && Number(maxAgeDays) > 0
+        ? this._now() - (Number(maxAgeDays) * 24 * 60 * 60 * 1000)
+        : null;
+      const tags = Array.isArray(qualityTags) && qualityTags.length
+        ? new Set(qualityTags.map((tag) => this._normalizeQualityTag(tag, '')).filter(Boolean))
+        : null;
+      const pages = host ? await this._collectMeta(this.PAGES_STORE) : [];
+      const hostByPageKey = new Map(pages.map((page) => [String(page && page.pageKey || ''), this._hostOf(page && page.url)]));
+      const blocks = await this._collectMeta(this.BLOCKS_STORE);
+      const units = [];
+      let skippedNoSource = 0;
+      blocks.forEach((block) => {
+        if (!block || typeof block.translatedText !== 'string' || !block.translatedText) {
+          return;
+        }
+        const blockLang = String(block.targetLang || '').toLowerCase();
+        if (lang && blockLang !== lang) {
+          return;
+        }
+        const qualityTag = this._normalizeQualityTag(block.qualityTag, 'raw');
+        if (tags && !tags.has(qualityTag)) {
+          return;
+        }
+        const updatedAt = Number(block.updatedAt || block.createdAt || 0);
+        if (minTs !== null && updatedAt < minTs) {
+          return;
+        }
+        const hosts = (Array.isArray(block.sourcePageKeys) ? block.sourcePageKeys : [])
+          .map((pageKey) => hostByPageKey.get(pageKey))
+          .concat(typeof block.domain === 'string' ? [block.domain] : [])
+          .filter(Boolean);
+        if (host && !hosts.some((item) => item === host || item.endsWith(`.${host}`))) {
+          return;
+        }
+        if (typeof block.originalText !== 'string' || !block.originalText) {
+          skippedNoSource += 1;
+          return;
+        }
+        units.push({
+          sourceText: block.originalText,
+          sourceLang: typeof block.sourceLang === 'string' ? block.sourceLang : '',
+          targetText: block.translatedText,
+          targetLang: blockLang,
+          qualityTag,
+          domain: hosts[0] || '',
+          modelUsed: typeof block.modelUsed === 'string' ? block.modelUsed : null,
+          routeUsed: typeof block.routeUsed === 'string' ? block.routeUsed : null,
+          createdAt: Number(block.createdAt || 0) || null,
+          updatedAt: updatedAt || null
+        });
+      });
+      return { ok: true, units, skippedNoSource };
+    }
+
+    /**
+     * Writes units through `upsertBlock`, so the usual conflict rule holds:
+     * a better quality tag wins, then the newer `updatedAt`. A file's `human`
+     * tag is imported as `proofread` unless `trustHumanTag` is set, so a
+     * third-party file cannot outrank every later translation. Units carry no
+     * style guide and are stored under the unguided key with `imported: true`;
+     * BG falls back to them on sites that have a guide.
+     */
+    async importUnits(units, { yieldEvery = 80, trustHumanTag = false } = {}) {
+      const list = Array.isArray(units) ? units : [];
+      const safeYieldEvery = Number.isFinite(Number(yieldEvery)) ? Math.max(10, Number(yieldEvery)) : 80;
+      let imported = 0;
+      let kept = 0;
+      let rejected = 0;
+      for (let i = 0; i < list.length; i += 1) {
+        const unit = list[i] && typeof list[i] === 'object' ? list[i] : {};
+        const originalText = typeof unit.sourceText === 'string' ? unit.sourceText.trim() : '';
+        const translatedText = typeof unit.targetText === 'string' ? unit.targetText.trim() : '';
+        const targetLang = typeof unit.targetLang === 'string' ? unit.targetLang.trim().toLowerCase() : '';
+        if (!originalText || !translatedText || !targetLang) {
+          rejected += 1;
+          continue;
+        }
+        const originalHash = this.hashText(originalText);
+        const qualityTag = this._normalizeQualityTag(unit.qualityTag, 'raw');
+        const result = await this.upsertBlock({
+          blockKey: this.buildBlockKey(targetLang, originalHash),
+          originalHash,
+          originalText,
+          sourceLang: typeof unit.sourceLang === 'string' && unit.sourceLang ? unit.sourceLang : null,
+          targetLang,
+          translatedText,
+          qualityTag: qualityTag === 'human' && trustHumanTag !== true ? 'proofread' : qualityTag,
+          modelUsed: typeof unit.modelUsed === 'string' && unit.modelUsed ? unit.modelUsed : null,
+          routeUsed: typeof unit.routeUsed === 'string' && unit.routeUsed ? unit.routeUsed : 'import',
+          imported: true,
+          domain: typeof unit.domain === 'string' && unit.domain ? unit.domain.toLowerCase() : null,
+          updatedAt: Number.isFinite(Number(unit.updatedAt)) && Number(unit.updatedAt) > 0 ? Number(unit.updatedAt) : undefined
+        });
+        if (result && result.ok && result.block && result.block.translatedText === translatedText) {
+          imported += 1;
+        } else {
+          kept += 1;
+        }
+        if ((i + 1) % safeYieldEvery === 0) {
+          await new Promise((resolve) => global.setTimeout(resolve, 0));
+        }
+      }
+      return { ok: true, imported, kept, rejected };
+    }
+
     async getStats() {
       const pages = await this._collectMeta(this.PAGES_STORE);
       const blocks = await this._collectMeta(this.BLOCKS_STORE);
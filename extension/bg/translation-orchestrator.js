@@ -17,10 +17,12 @@
     'footer',
     'legal',
     'ads',
+    'attributes',
     'unknown'
   ]);
   const LEGACY_CATEGORY_MAP = Object.freeze({
     heading: 'headings',
+    attribute: 'attributes',
     paragraph: 'main_content',
     list: 'main_content',
     quote: 'main_content',
@@ -42,6 +44,8 @@
       perfProfiler,
       pageCacheStore,
       translationMemoryStore,
+      userGlossaryStore,
+      humanEditStore,
       toolManifest,
       toolPolicyResolver,
       translationCall,
@@ -59,6 +63,8 @@
       this.perfProfiler = perfProfiler || null;
       this.pageCacheStore = pageCacheStore || null;
       this.translationMemoryStore = translationMemoryStore || null;
+      this.userGlossaryStore = userGlossaryStore || null;
+      this.humanEditStore = humanEditStore || null;
       this.toolManifest = toolManifest || null;
       this.toolPolicyResolver = toolPolicyResolver || null;
       this.translationCall = translationCall || null;
@@ -105,7 +111,21 @@
       this.PATCH_DELTA_DEBOUNCE_MS = 320;
       this.PATCH_PREVIEW_CHARS = 160;
       this.COMPARE_DIFF_THRESHOLD_DEFAULT = 8000;
+      this.MEMORY_FUZZY_MAX_REFERENCES = 200;
+      this.MEMORY_FUZZY_REFERENCE_CHARS = 600;
+      this.DYNAMIC_FLUSH_INTERVAL_MS = 3000;
+      this.DYNAMIC_MAX_BLOCKS_PER_MINUTE = 300;
+      this.DYNAMIC_QUEUE_CAP = 600;
+      this.PAUSABLE_STATUSES = ['preparing', 'planning', 'running', 'completing'];
+      this.BLOCK_LIST_TEXT_LIMIT = 4000;
+      this.HUMAN_EDIT_EXAMPLES_LIMIT = 12;
+      this.QUALITY_BATCH_SIZE = 20;
+      this.QUALITY_LOW_SCORE = 60;
+      this.CONSISTENCY_MEMORY_LOOKUPS = 400;
+      this.CONSISTENCY_TERM_BLOCKS = 40;
       this.processingJobs = new Set();
+      this.dynamicContentByJob = new Map();
+      this.viewportReports = new Map();
       this.pendingApplyAcks = new Map();
       this.recentApplyAcks = new Map();
       this.pendingDeltaAcks = new Map();
@@ -121,7 +141,7 @@
       return Boolean(protocol && protocol.isContentToBackground && protocol.isContentToBackground(type));
     }
 
-    async startJob({ tabId, url, targetLang = 'ru', force = false } = {}) {
+    async startJob({ tabId, url, targetLang = null, force = false } = {}) {
       const numericTabId = Number(tabId);
       if (!Number.isFinite(numericTabId)) {
         return { ok: false, error: { code: 'INVALID_TAB_ID', message: 'Р СћРЎР‚Р ВµР В±РЎС“Р ВµРЎвЂљРЎРѓРЎРЏ tabId' } };
@@ -165,13 +185,24 @@
       const displayMode = await this._resolveTabDisplayMode(numericTabId);
       const compareDiffThreshold = await this._getCompareDiffThreshold();
       const compareRendering = await this._getCompareRendering();
+      const resolvedTargetLang = await this._resolveTargetLang({ url, targetLang });
+      const userGlossary = await this._resolveUserGlossary({ url, targetLang: resolvedTargetLang.lang });
+      const humanEdits = await this._resolveHumanEdits(url);
       const job = {
         id: MessageEnvelope && typeof MessageEnvelope.newId === 'function'
           ? MessageEnvelope.newId()
           : `job-${now}-${Math.random().toString(16).slice(2)}`,
         tabId: numericTabId,
         url: url || '',
-        targetLang: targetLang || 'ru',
+        targetLang: resolvedTargetLang.lang,
+        targetLangSource: resolvedTargetLang.source,
+        userGlossary,
+        humanEdits,
+        glossaryCheck: null,
+        qaCheck: null,
+        entityProtection: null,
+        qualityEstimate: null,
+        consistency: null,
         status: 'preparing',
         createdAt: now,
         updatedAt: now,
@@ -235,8 +266,10 @@
 
       const settings = await this._readAgentSettings().catch(() => null);
       const classifierObserveDomChanges = this._classifierObserveDomChangesEnabled(settings);
+      const dynamicContent = this._dynamicContentEnabled(settings);
       const scanBudget = this._buildScanBudgetPayload(settings);
-      this._ensureJobRunSettings(job, { settings });
+      const runSettings = this._ensureJobRunSettings(job, { settings });
+      runSettings.styleGuide = this._styleGuideForUrl(settings, job.url);
       await this._saveJob(job, { setActive: true });
       this._emitEvent('info', NT.EventTypes && NT.EventTypes.Tags ? NT.EventTypes.Tags.TRANSLATION_START : 'translation.start', 'Р вЂ”Р В°Р Т‘Р В°РЎвЂЎР В° Р С—Р ВµРЎР‚Р ВµР Р†Р С•Р Т‘Р В° Р В·Р В°Р С—РЎС“РЎвЂ°Р ВµР Р…Р В°', {
         tabId: numericTabId,
@@ -254,6 +287,10 @@
         compareDiffThreshold: this._normalizeCompareDiffThreshold(job.compareDiffThreshold),
         compareRendering: this._normalizeCompareRendering(job.compareRendering),
         classifierObserveDomChanges,
+        dynamicContent,
+        viewportMode: this._viewportMode(settings),
+        bilingualCategories: this._bilingualCategories(settings),
+        siteRules: this._siteRulesForUrl(settings, job.url),
         ...scanBudget
       });
 
@@ -319,6 +356,375 @@
 
       return { ok: true, cancelled: true, job: this._toJobSummary(job) };
     }
+
+    /**
+     * User pause: the job keeps its blocks, agent loop state and content
+     * session; in-flight LLM requests are aborted and the batch they belonged
+     * to stays pending. `job.pause.resumeStatus` remembers where to continue.
+     */
+    async pauseJob({ tabId, jobId = null } = {}) {
+      const found = await this._findTabJob({ tabId, jobId });
+      if (!found.ok) {
+        return found;
+      }
+      const job = found.job;
+      if (job.status === 'paused') {
+        return { ok: true, paused: false, job: this._toJobSummary(job) };
+      }
+      if (!this.PAUSABLE_STATUSES.includes(job.status)) {
+        return { ok: false, error: { code: 'JOB_NOT_PAUSABLE', message: 'Эту задачу сейчас нельзя поставить на паузу' } };
+      }
+      const now = Date.now();
+      job.pause = {
+        state: 'paused',
+        pausedAt: now,
+        resumedAt: null,
+        resumeStatus: job.status,
+        updatedAt: now
+      };
+      job.status = 'paused';
+      job.message = 'Пауза: перевод остановлен пользователем';
+      job.currentBatchId = null;
+      const runtime = this._ensureJobRuntime(job, { now });
+      runtime.status = 'IDLE';
+      runtime.lease.leaseUntilTs = null;
+      runtime.lease.op = 'paused';
+      // Saved before aborting so the loop sees the pause when its request fails.
+      await this._saveJob(job, { setActive: true });
+      this._abortJobRequests(job.id, 'USER_PAUSED');
+      await this._flushPatchEvents(job.id, { forceSave: true }).catch(() => ({ ok: false }));
+      this._emitEvent('info', NT.EventTypes && NT.EventTypes.Tags ? NT.EventTypes.Tags.TRANSLATION_PAUSE : 'translation.pause', job.message, {
+        tabId: job.tabId,
+        jobId: job.id,
+        resumeStatus: job.pause.resumeStatus
+      });
+      return { ok: true, paused: true, job: this._toJobSummary(job) };
+    }
+
+    async resumeJob({ tabId, jobId = null } = {}) {
+      const found = await this._findTabJob({ tabId, jobId });
+      if (!found.ok) {
+        return found;
+      }
+      const job = found.job;
+      if (job.status !== 'paused') {
+        return { ok: false, error: { code: 'JOB_NOT_PAUSED', message: 'Задача не на паузе' } };
+      }
+      const now = Date.now();
+      const pause = job.pause && typeof job.pause === 'object' ? job.pause : {};
+      const resumeStatus = pause.resumeStatus === 'preparing' || pause.resumeStatus === 'planning' || pause.resumeStatus === 'completing'
+        ? pause.resumeStatus
+        : 'running';
+      job.pause = {
+        ...pause,
+        state: 'resumed',
+        resumedAt: now,
+        updatedAt: now
+      };
+      job.status = resumeStatus;
+      job.message = 'Продолжаю перевод после паузы';
+      const runtime = this._ensureJobRuntime(job, { now });
+      runtime.status = 'QUEUED';
+      runtime.retry.nextRetryAtTs = 0;
+      runtime.lease.op = null;
+      runtime.watchdog.lastProgressTs = now;
+      if (resumeStatus === 'preparing') {
+        job.scanRequestedAt = now;
+        job.scanNudgeTs = 0;
+      }
+      await this._saveJob(job, { setActive: true });
+      this._emitEvent('info', NT.EventTypes && NT.EventTypes.Tags ? NT.EventTypes.Tags.TRANSLATION_RESUME : 'translation.resume', job.message, {
+        tabId: job.tabId,
+        jobId: job.id,
+        status: job.status,
+        pausedMs: Number(pause.pausedAt) ? now - Number(pause.pausedAt) : null
+      });
+      if (job.status === 'running') {
+        this._processJob(job.id).catch(() => {});
+      }
+      return { ok: true, resumed: true, job: this._toJobSummary(job) };
+    }
+
+    async _findTabJob({ tabId, jobId = null } = {}) {
+      const numericTabId = Number(tabId);
+      if (!Number.isFinite(numericTabId)) {
+        return { ok: false, error: { code: 'INVALID_TAB_ID', message: 'Требуется tabId' } };
+      }
+      const job = jobId
+        ? await this.jobStore.getJob(jobId).catch(() => null)
+        : await this.jobStore.getActiveJob(numericTabId);
+      if (!job || Number(job.tabId) !== numericTabId) {
+        return { ok: false, error: { code: 'JOB_NOT_FOUND', message: 'Задача перевода не найдена' } };
+      }
+      return { ok: true, job };
+    }
+
+    /**
+     * One-off translation of the user's selection (context menu or shortcut).
+     * The frame's content runtime captures the text and its paragraph, the
+     * card shows progress and the result; no job is created. Exact hits in
+     * the block memory are reused and new results are written back to it.
+     */
+    async translateSelection({ tabId, frameId = 0, selectionText = '', pageUrl = '' } = {}) {
+      const numericTabId = Number(tabId);
+      if (!Number.isFinite(numericTabId)) {
+        return { ok: false, error: { code: 'INVALID_TAB_ID', message: 'Требуется tabId' } };
+      }
+      const protocol = NT.TranslationProtocol || {};
+      const targetFrameId = Number.isFinite(Number(frameId)) ? Number(frameId) : 0;
+      const injected = await this._ensureContentRuntime(numericTabId);
+      const captured = injected && injected.ok
+        ? await this._sendToTab(numericTabId, { type: protocol.BG_SELECTION_CAPTURE, targetFrameId })
+        : { ok: false };
+      const capturedResponse = captured.ok && captured.response ? captured.response : {};
+      const selection = capturedResponse.selection && typeof capturedResponse.selection === 'object'
+        ? capturedResponse.selection
+        : null;
+      const text = String((selection && selection.text) || selectionText || '').trim();
+      if (!text) {
+        return { ok: false, error: { code: 'SELECTION_EMPTY', message: 'Нет выделенного текста' } };
+      }
+      const canShow = Boolean(captured.ok);
+      const show = (payload) => (canShow
+        ? this._sendToTab(numericTabId, {
+          type: protocol.BG_SELECTION_SHOW,
+          targetFrameId,
+          selectionId: selection ? selection.selectionId : null,
+          ...payload
+        })
+        : Promise.resolve({ ok: false }));
+      await show({ state: 'loading' });
+
+      const url = capturedResponse.frameUrl || pageUrl || '';
+      const target = await this._resolveTargetLang({ url });
+      const settings = await this._readAgentSettings().catch(() => ({}));
+      const memoryEnabled = Boolean(this.translationMemoryStore) && !(settings && settings.translationMemoryEnabled === false);
+      const originalHash = this._hashTextStable(text);
+      const styleGuide = this._styleGuideForUrl(settings, url);
+      const blockKey = this._buildBlockMemoryKey(target.lang, originalHash, this._styleGuideFingerprint(styleGuide));
+      const block = {
+        blockId: 'selection',
+        originalText: text,
+        originalHash,
+        category: 'main_content',
+        context: selection && selection.context ? selection.context : ''
+      };
+
+      let translatedText = null;
+      let fromMemory = false;
+      if (memoryEnabled) {
+        const found = await this._getBlockMemory(target.lang, originalHash, this._styleGuideFingerprint(styleGuide));
+        const record = found.record;
+        if (record && typeof record.translatedText === 'string' && record.translatedText) {
+          translatedText = record.translatedText;
+          fromMemory = true;
+          await this.translationMemoryStore.touchBlock(found.blockKey).catch(() => ({ ok: false }));
+        }
+      }
+      if (!translatedText) {
+        try {
+          const userGlossary = NT.UserGlossary
+            ? NT.UserGlossary.matchEntriesForBlocks(await this._resolveUserGlossary({ url, targetLang: target.lang }), [block])
+            : [];
+          const result = await this.translationCall.translateBatch([block], {
+            tabId: numericTabId,
+            jobId: `selection:${numericTabId}`,
+            batchId: `selection:${Date.now()}`,
+            targetLang: target.lang,
+            attempt: 1,
+            agentContext: {
+              userGlossary,
+              styleGuide: NT.StyleGuides ? NT.StyleGuides.formatForPrompt(styleGuide, [block.category]) : [],
+              entityProtection: this._entityProtectionMode(settings)
+            },
+            cacheEnabled: !(settings && settings.translationApiCacheEnabled === false)
+          });
+          const item = result && Array.isArray(result.items)
+            ? result.items.find((row) => row && row.blockId === block.blockId)
+            : null;
+          translatedText = item && typeof item.text === 'string' && item.text.trim() ? item.text : null;
+          if (!translatedText) {
+            throw Object.assign(new Error('Пустой ответ модели'), { code: 'EMPTY_TRANSLATION' });
+          }
+        } catch (error) {
+          const failure = {
+            code: error && error.code ? error.code : 'SELECTION_TRANSLATE_FAILED',
+            message: error && error.message ? error.message : 'Не удалось перевести выделенный текст'
+          };
+          await show({ state: 'error', error: failure, targetLang: target.lang });
+          this._emitEvent('warn', NT.EventTypes && NT.EventTypes.Tags ? NT.EventTypes.Tags.TRANSLATION_SELECTION : 'translation.selection', 'Не удалось перевести выделенный текст', {
+            tabId: numericTabId,
+            frameId: targetFrameId,
+            code: failure.code
+          });
+          return { ok: false, error: failure };
+        }
+        if (memoryEnabled) {
+          let domain = null;
+          try {
+            domain = url ? new URL(url).hostname || null : null;
+          } catch (_) {
+            domain = null;
+          }
+          await this.translationMemoryStore.upsertBlock({
+            blockKey,
+            originalHash,
+            originalText: text,
+            sourceLang: null,
+            targetLang: target.lang,
+            translatedText,
+            qualityTag: 'raw',
+            modelUsed: null,
+            routeUsed: null,
+            domain,
+            sourcePageKeys: []
+          }).catch(() => ({ ok: false }));
+        }
+      }
+
+      const shown = await show({ state: 'result', translatedText, targetLang: target.lang, fromMemory });
+      this._emitEvent('info', NT.EventTypes && NT.EventTypes.Tags ? NT.EventTypes.Tags.TRANSLATION_SELECTION : 'translation.selection', 'Выделенный текст переведён', {
+        tabId: numericTabId,
+        frameId: targetFrameId,
+        chars: text.length,
+        targetLang: target.lang,
+        fromMemory
+      });
+      return {
+        ok: true,
+        translatedText,
+        targetLang: target.lang,
+        fromMemory,
+        shown: Boolean(shown && shown.ok)
+      };
+    }
+
+    async pauseJobForBudget({ jobId, verdict } = {}) {
+      const job = jobId ? await this.jobStore.getJob(jobId).catch(() => null) : null;
+      if (!job || this._isTerminalStatus(job.status) || job.status === 'budget_paused') {
+        return { ok: true, paused: false };
+      }
+      const now = Date.now();
+      const prevBudget = job.budget && typeof job.budget === 'object' ? job.budget : {};
+      job.budget = {
+        ...prevBudget,
+        state: 'paused',
+        pausedAt: now,
+        resumeStatus: job.status,
+        verdict: this._budgetVerdictSummary(verdict),
+        updatedAt: now
+      };
+      job.status = 'budget_paused';
+      job.message = `Пауза: превышен бюджет (${this._budgetScopeLabel(verdict && verdict.scope)})`;
+      job.currentBatchId = null;
+      const runtime = this._ensureJobRuntime(job, { now });
+      runtime.status = 'IDLE';
+      runtime.lease.leaseUntilTs = null;
+      runtime.lease.op = 'budget_paused';
+      await this._saveJob(job, { setActive: true });
+      this._emitEvent('warn', NT.EventTypes && NT.EventTypes.Tags ? NT.EventTypes.Tags.AI_BUDGET : 'ai.budget', job.message, {
+        tabId: job.tabId,
+        jobId: job.id,
+        scope: verdict && verdict.scope ? verdict.scope : null,
+        limitUsd: verdict ? verdict.limitUsd : null,
+        projectedUsd: verdict ? verdict.projectedUsd : null
+      });
+      return { ok: true, paused: true, job: this._toJobSummary(job) };
+    }
+
+    async noteBudgetWarning({ jobId, verdict } = {}) {
+      const job = jobId ? await this.jobStore.getJob(jobId).catch(() => null) : null;
+      if (!job || this._isTerminalStatus(job.status)) {
+        return { ok: true, noted: false };
+      }
+      const now = Date.now();
+      job.budget = {
+        ...(job.budget && typeof job.budget === 'object' ? job.budget : {}),
+        warning: { ...this._budgetVerdictSummary(verdict), ts: now },
+        updatedAt: now
+      };
+      await this._saveJob(job, { setActive: true });
+      return { ok: true, noted: true };
+    }
+
+    async continueOverBudget({ tabId, jobId = null } = {}) {
+      const numericTabId = Number(tabId);
+      if (!Number.isFinite(numericTabId)) {
+        return { ok: false, error: { code: 'INVALID_TAB_ID', message: 'Требуется tabId' } };
+      }
+      const job = jobId
+        ? await this.jobStore.getJob(jobId).catch(() => null)
+        : await this.jobStore.getActiveJob(numericTabId);
+      if (!job || Number(job.tabId) !== numericTabId) {
+        return { ok: false, error: { code: 'JOB_NOT_FOUND', message: 'Задача перевода не найдена' } };
+      }
+      if (job.status !== 'budget_paused') {
+        return { ok: false, error: { code: 'JOB_NOT_BUDGET_PAUSED', message: 'Задача не остановлена по бюджету' } };
+      }
+      const now = Date.now();
+      const budget = job.budget && typeof job.budget === 'object' ? job.budget : {};
+      const verdict = budget.verdict && typeof budget.verdict === 'object' ? budget.verdict : {};
+      const overrides = budget.overrides && typeof budget.overrides === 'object' ? { ...budget.overrides } : {};
+      const day = typeof verdict.day === 'string' && verdict.day ? verdict.day : null;
+      if (verdict.scope === 'day' && day) {
+        overrides.day = day;
+      } else if (verdict.scope === 'month' && day) {
+        overrides.month = day.slice(0, 7);
+      } else {
+        overrides.job = true;
+      }
+      const resumeStatus = budget.resumeStatus === 'preparing' || budget.resumeStatus === 'planning' || budget.resumeStatus === 'completing'
+        ? budget.resumeStatus
+        : 'running';
+      job.budget = {
+        ...budget,
+        state: 'overridden',
+        overrides,
+        resumedAt: now,
+        warning: null,
+        updatedAt: now
+      };
+      job.status = resumeStatus;
+      job.message = 'Продолжаю сверх бюджета по решению пользователя';
+      const runtime = this._ensureJobRuntime(job, { now });
+      runtime.status = 'QUEUED';
+      runtime.retry.nextRetryAtTs = 0;
+      runtime.lease.op = null;
+      await this._saveJob(job, { setActive: true });
+      this._emitEvent('info', NT.EventTypes && NT.EventTypes.Tags ? NT.EventTypes.Tags.TRANSLATION_RESUME : 'translation.resume', job.message, {
+        tabId: numericTabId,
+        jobId: job.id,
+        scope: verdict.scope || null
+      });
+      if (job.status === 'running') {
+        this._processJob(job.id).catch(() => {});
+      }
+      return { ok: true, job: this._toJobSummary(job) };
+    }
+
+    _budgetVerdictSummary(verdict) {
+      const src = verdict && typeof verdict === 'object' ? verdict : {};
+      return {
+        scope: src.scope || null,
+        level: src.level || null,
+        day: src.day || null,
+        limitUsd: Number.isFinite(Number(src.limitUsd)) ? Number(src.limitUsd) : null,
+        spentUsd: Number.isFinite(Number(src.spentUsd)) ? Number(src.spentUsd) : null,
+        projectedUsd: Number.isFinite(Number(src.projectedUsd)) ? Number(src.projectedUsd) : null,
+        ratio: Number.isFinite(Number(src.ratio)) ? Number(src.ratio) : null
+      };
+    }
+
+    _budgetScopeLabel(scope) {
+      if (scope === 'day') {
+        return 'за день';
+      }
+      if (scope === 'month') {
+        return 'за месяц';
+      }
+      return 'на задачу';
+    }
+
     async applyCategorySelection({ tabId, categories, ids, jobId = null, mode = 'replace', reason = '' } = {}) {
       const numericTabId = Number(tabId);
       if (!Number.isFinite(numericTabId)) {
@@ -361,6 +767,7 @@
       const requestedCategories = Array.isArray(categories)
         ? categories
         : (Array.isArray(ids) ? ids : []);
+      const previousSelection = this._categorySelectionBaseline(job);
       const updated = await this._setSelectedCategories({
         job,
         categories: requestedCategories,
@@ -370,6 +777,7 @@
       if (!updated.ok) {
         return updated;
       }
+      await this._learnCategoryCorrections(job, previousSelection).catch(() => null);
       if (updated.shouldRunExecution) {
         this._processJob(job.id).catch(() => {});
       }
@@ -382,6 +790,80 @@
       };
     }
 
+    /**
+     * What the user is reacting to in the picker: their own confirmed choice,
+     * or the planner's proposal before the first confirmation.
+     */
+    _categorySelectionBaseline(job) {
+      const recommendations = job && job.agentState && job.agentState.categoryRecommendations
+        && typeof job.agentState.categoryRecommendations === 'object'
+        ? job.agentState.categoryRecommendations
+        : null;
+      const list = job && job.categorySelectionConfirmed !== true && recommendations && Array.isArray(recommendations.recommended)
+        ? recommendations.recommended
+        : (job && Array.isArray(job.selectedCategories) ? job.selectedCategories : []);
+      return list.map((item) => this._normalizeCategory(item));
+    }
+
+    /**
+     * Records the picker change as per-site corrections: blocks of a dropped
+     * category become `exclude` samples, blocks of an added one `include`.
+     * Best-effort; the selection itself is already applied.
+     */
+    async _learnCategoryCorrections(job, previousSelection) {
+      const Learning = NT.CategoryLearning || null;
+      const host = Learning && job ? Learning.normalizeHost(job.url || '') : null;
+      if (!host || !this.settingsStore || typeof this.settingsStore.get !== 'function') {
+        return { ok: false, learned: 0 };
+      }
+      const before = new Set(Array.isArray(previousSelection) ? previousSelection : []);
+      const after = new Set((Array.isArray(job.selectedCategories) ? job.selectedCategories : []).map((item) => this._normalizeCategory(item)));
+      const verdictByCategory = {};
+      before.forEach((category) => {
+        if (!after.has(category)) {
+          verdictByCategory[category] = 'exclude';
+        }
+      });
+      after.forEach((category) => {
+        if (!before.has(category)) {
+          verdictByCategory[category] = 'include';
+        }
+      });
+      if (!Object.keys(verdictByCategory).length) {
+        return { ok: true, learned: 0 };
+      }
+      const classificationByBlockId = this._classificationByBlockId(job);
+      const blocksById = job.blocksById && typeof job.blocksById === 'object' ? job.blocksById : {};
+      const samples = [];
+      const seen = new Set();
+      Object.keys(blocksById).forEach((blockId) => {
+        const block = blocksById[blockId];
+        const pattern = block && !block.skipReason && !block.siteRule ? Learning.patternFor(block) : null;
+        if (!pattern || seen.has(pattern) || samples.length >= Learning.MAX_PATTERNS_PER_HOST) {
+          return;
+        }
+        const category = this._resolveBlockCategory({ blockId, block, classificationByBlockId });
+        if (verdictByCategory[category]) {
+          seen.add(pattern);
+          samples.push({ pattern, category, verdict: verdictByCategory[category] });
+        }
+      });
+      if (!samples.length) {
+        return { ok: true, learned: 0 };
+      }
+      const data = await this.settingsStore.get(['translationCategoryLearning']).catch(() => ({}));
+      await this.settingsStore.set({
+        translationCategoryLearning: Learning.record(data && data.translationCategoryLearning, host, samples)
+      });
+      this._emitEvent('info', NT.EventTypes && NT.EventTypes.Tags ? NT.EventTypes.Tags.UI_COMMAND : 'ui.command', 'Запомнены исправления категорий', {
+        tabId: job.tabId,
+        host,
+        samples: samples.length,
+        categories: verdictByCategory
+      });
+      return { ok: true, learned: samples.length };
+    }
+
     async reclassifyBlocks({ tabId, jobId = null, force = true } = {}) {
       const numericTabId = Number(tabId);
       if (!Number.isFinite(numericTabId)) {
@@ -420,7 +902,7 @@
       }
 
       const activeJob = await this.jobStore.getActiveJob(numericTabId);
-      if (activeJob && (activeJob.status === 'preparing' || activeJob.status === 'planning' || activeJob.status === 'awaiting_categories' || activeJob.status === 'running' || activeJob.status === 'completing')) {
+      if (activeJob && (activeJob.status === 'preparing' || activeJob.status === 'planning' || activeJob.status === 'awaiting_categories' || activeJob.status === 'budget_paused' || activeJob.status === 'paused' || activeJob.status === 'awaiting_viewport' || activeJob.status === 'running' || activeJob.status === 'completing')) {
         await this.cancelJob({ tabId: numericTabId, reason: 'USER_CLEAR' });
       }
 
@@ -700,6 +1182,9 @@
     }
 
     async requestBlockAction({ tabId, jobId = null, blockId, action } = {}) {
+      if (action === 'retranslate') {
+        return this._retranslateBlock({ tabId, jobId, blockId });
+      }
       const key = typeof blockId === 'string' ? blockId.trim() : '';
       if (!key) {
         return { ok: false, error: { code: 'INVALID_BLOCK_ID', message: 'Р СћРЎР‚Р ВµР В±РЎС“Р ВµРЎвЂљРЎРѓРЎРЏ blockId' } };
@@ -717,7 +1202,7 @@
         toolName: 'ui.request_block_action',
         args: {
           blockId: key,
-          action: action === 'literal' ? 'literal' : 'style_improve'
+          action: action === 'literal' || action === 'proofread' ? action : 'style_improve'
         }
       });
       const refreshed = await this.jobStore.getJob(job.id).catch(() => null);
@@ -735,6 +1220,349 @@
       };
     }
 
+    /**
+     * Block list for the side panel workspace, in document order. Texts are
+     * capped so a long page stays a reasonable command response.
+     */
+    async listJobBlocks({ tabId, jobId = null } = {}) {
+      const job = await this._resolveJobForAutoTuneAction({ tabId, jobId });
+      if (!job) {
+        return { ok: false, error: { code: 'JOB_NOT_FOUND', message: 'Задача перевода не найдена' } };
+      }
+      const asSet = (list) => new Set(Array.isArray(list) ? list : []);
+      const pending = asSet(job.pendingBlockIds);
+      const failed = asSet(job.failedBlockIds);
+      const deferred = asSet(job.viewport && job.viewport.deferredBlockIds);
+      const proofreading = this._ensureJobProofreadingState(job);
+      const proofPending = asSet(proofreading && proofreading.pendingBlockIds);
+      const cap = (value) => {
+        const text = typeof value === 'string' ? value : '';
+        return text.length > this.BLOCK_LIST_TEXT_LIMIT ? `${text.slice(0, this.BLOCK_LIST_TEXT_LIMIT)}…` : text;
+      };
+      const blocksById = job.blocksById && typeof job.blocksById === 'object' ? job.blocksById : {};
+      const blocks = Object.keys(blocksById)
+        .map((blockId) => blocksById[blockId])
+        .filter((block) => block && block.blockId)
+        .sort((a, b) => (Number(a.domOrder) || 0) - (Number(b.domOrder) || 0))
+        .map((block) => {
+          const translated = typeof block.translatedText === 'string' && block.translatedText !== '';
+          let status = 'skipped';
+          if (failed.has(block.blockId)) {
+            status = 'failed';
+          } else if (translated) {
+            status = 'done';
+          } else if (pending.has(block.blockId)) {
+            status = 'pending';
+          } else if (deferred.has(block.blockId)) {
+            status = 'deferred';
+          }
+          return {
+            blockId: block.blockId,
+            order: Number.isFinite(Number(block.domOrder)) ? Number(block.domOrder) : null,
+            category: this._normalizeCategory(block.category || block.pathHint || 'unknown'),
+            attribute: typeof block.attribute === 'string' ? block.attribute : null,
+            segmentId: block.segment && block.segment.id ? block.segment.id : null,
+            originalText: cap(block.originalText),
+            translatedText: translated ? cap(block.translatedText) : '',
+            status,
+            qualityTag: block.quality && typeof block.quality.tag === 'string' ? block.quality.tag : (translated ? 'raw' : null),
+            userEdited: Boolean(block.userEdit && block.userEdit.at),
+            proofreadPending: proofPending.has(block.blockId)
+          };
+        });
+      return { ok: true, job: this._toJobSummary(job), blocks };
+    }
+
+    async revealBlock({ tabId, jobId = null, blockId } = {}) {
+      const job = await this._resolveJobForAutoTuneAction({ tabId, jobId });
+      const block = job && job.blocksById && blockId ? job.blocksById[blockId] : null;
+      if (!block) {
+        return { ok: false, error: { code: 'BLOCK_NOT_FOUND', message: 'Блок не найден' } };
+      }
+      const protocol = NT.TranslationProtocol || {};
+      const sent = await this._sendToTab(job.tabId, {
+        type: protocol.BG_REVEAL_BLOCK,
+        jobId: job.id,
+        blockId: block.blockId,
+        contentSessionId: job.contentSessionId || null
+      });
+      if (!sent.ok) {
+        return { ok: false, error: sent.error || { code: 'TAB_SEND_FAILED', message: 'Вкладка недоступна' } };
+      }
+      const response = sent.response && typeof sent.response === 'object' ? sent.response : {};
+      return { ok: true, revealed: response.revealed === true };
+    }
+
+    /**
+     * Manual edit from the side panel or the in-page editor: the text goes to
+     * the page as a `human` patch and to translation memory tagged `human`,
+     * which outranks every pipeline tag. Refused while the job is working,
+     * because the running loop would overwrite the block with its own copy.
+     */
+    async setBlockTranslation({ tabId, jobId = null, blockId, text, source = 'sidepanel' } = {}) {
+      const found = await this._findEditableBlock({ tabId, jobId, blockId });
+      if (!found.ok) {
+        return found;
+      }
+      const { job, block } = found;
+      const nextText = typeof text === 'string' ? text.trim() : '';
+      if (!nextText) {
+        return { ok: false, error: { code: 'INVALID_TEXT', message: 'Перевод не может быть пустым' } };
+      }
+      if (typeof block.translatedText !== 'string' || !block.translatedText) {
+        return { ok: false, error: { code: 'BLOCK_NOT_TRANSLATED', message: 'Блок ещё не переведён' } };
+      }
+      if (nextText === block.translatedText) {
+        return { ok: true, applied: false, unchanged: true, job: this._toJobSummary(job) };
+      }
+      const now = Date.now();
+      block.userEdit = {
+        at: now,
+        source: source === 'page' ? 'page' : 'sidepanel',
+        previousText: block.translatedText
+      };
+      block.quality = {
+        ...(block.quality && typeof block.quality === 'object' ? block.quality : {}),
+        tag: 'human',
+        lastUpdatedTs: now
+      };
+      const settings = await this._readAgentSettings().catch(() => null);
+      if (!settings || settings.translationHumanEditExamples !== false) {
+        this._recordHumanEditExample(job, block, nextText);
+      }
+      const written = await this._writeBlockTranslations(job, [{ blockId: block.blockId, text: nextText }], { patchKind: 'human' });
+      return { ok: true, applied: written.applied > 0, job: this._toJobSummary(job) };
+    }
+
+    /**
+     * Fresh translation of one block, bypassing the request cache. Inline
+     * segment members are sent with their whole sentence.
+     */
+    async _retranslateBlock({ tabId, jobId = null, blockId } = {}) {
+      const found = await this._findEditableBlock({ tabId, jobId, blockId });
+      if (!found.ok) {
+        return found;
+      }
+      const { job, block } = found;
+      const segmentId = block.segment && block.segment.id ? block.segment.id : null;
+      const blocks = segmentId
+        ? Object.keys(job.blocksById).map((id) => job.blocksById[id]).filter((item) => item && item.segment && item.segment.id === segmentId)
+        : [block];
+      const settings = await this._readAgentSettings().catch(() => null);
+      let result = null;
+      try {
+        result = await this.translationCall.translateBatch(blocks, {
+          tabId: job.tabId,
+          jobId: job.id,
+          batchId: `${job.id}:retranslate:${block.blockId}`,
+          targetLang: job.targetLang || 'ru',
+          attempt: 1,
+          agentContext: {
+            userGlossary: this._userGlossaryForBlocks(job, blocks),
+            styleGuide: this._styleGuideForBlocks(job, blocks),
+            entityProtection: this._entityProtectionMode(settings)
+          },
+          cacheEnabled: false
+        });
+      } catch (error) {
+        return {
+          ok: false,
+          error: {
+            code: error && error.code ? error.code : 'RETRANSLATE_FAILED',
+            message: error && error.message ? error.message : 'Не удалось перевести блок заново'
+          }
+        };
+      }
+      const items = (result && Array.isArray(result.items) ? result.items : [])
+        .filter((item) => item && job.blocksById[item.blockId] && typeof item.text === 'string' && item.text);
+      blocks.forEach((item) => {
+        item.quality = { ...(item.quality && typeof item.quality === 'object' ? item.quality : {}), tag: 'raw', lastUpdatedTs: Date.now() };
+        delete item.userEdit;
+      });
+      this._recordEntityProtection(job, result && result.entityProtection);
+      const written = await this._writeBlockTranslations(job, items);
+      return { ok: true, result: { action: 'retranslate', blockIds: items.map((item) => item.blockId) }, applied: written.applied, job: this._toJobSummary(job) };
+    }
+
+    async _findEditableBlock({ tabId, jobId = null, blockId } = {}) {
+      const key = typeof blockId === 'string' ? blockId.trim() : '';
+      const job = key ? await this._resolveJobForAutoTuneAction({ tabId, jobId }) : null;
+      if (!job) {
+        return { ok: false, error: { code: key ? 'JOB_NOT_FOUND' : 'INVALID_BLOCK_ID', message: key ? 'Задача перевода не найдена' : 'Требуется blockId' } };
+      }
+      const block = job.blocksById && job.blocksById[key] ? job.blocksById[key] : null;
+      if (!block) {
+        return { ok: false, error: { code: 'BLOCK_NOT_FOUND', message: 'Блок не найден' } };
+      }
+      if (this.PAUSABLE_STATUSES.includes(job.status) || this.processingJobs.has(job.id)) {
+        return { ok: false, error: { code: 'JOB_BUSY', message: 'Поставьте перевод на паузу, чтобы править блоки' } };
+      }
+      return { ok: true, job, block };
+    }
+
+    async _writeBlockTranslations(job, items, { patchKind = null } = {}) {
+      let applied = 0;
+      for (let i = 0; i < items.length; i += 1) {
+        const item = items[i];
+        const sent = await this._applyDeltaToTab({ job, blockId: item.blockId, text: item.text, isFinal: true, patchKind }).catch(() => null);
+        if (sent && sent.applied) {
+          applied += 1;
+        }
+        job.blocksById[item.blockId].translatedText = item.text;
+      }
+      // Final deltas flushed their patch history into the stored copy.
+      const stored = await this.jobStore.getJob(job.id).catch(() => null);
+      if (stored && stored.agentState && Array.isArray(stored.agentState.patchHistory)) {
+        job.agentState = job.agentState && typeof job.agentState === 'object' ? job.agentState : {};
+        job.agentState.patchHistory = stored.agentState.patchHistory;
+        job.agentState.patchSeq = stored.agentState.patchSeq;
+        job.recentDiffItems = stored.recentDiffItems || job.recentDiffItems;
+      }
+      this._updateTranslationMemory(job, items.map((item) => job.blocksById[item.blockId]), items);
+      await this._saveJob(job);
+      this._emitUiPatch(job);
+      return { applied };
+    }
+
+    /**
+     * Keeps the latest corrections as prompt examples for the rest of the
+     * job (`agentContext.humanEdits`) and for later jobs on the same site.
+     * Inline segment pieces are skipped: out of their sentence they teach
+     * nothing.
+     */
+    _recordHumanEditExample(job, block, text) {
+      if (!job || !block || block.segment || block.attribute) {
+        return;
+      }
+      const source = String(block.originalText || '').trim();
+      if (!source) {
+        return;
+      }
+      const existing = Array.isArray(job.humanEdits) ? job.humanEdits : [];
+      // Re-editing keeps the machine output as the "not this" example.
+      const earlier = existing.find((item) => item && item.source === source.slice(0, 400)) || null;
+      const list = existing.filter((item) => item && item !== earlier);
+      list.push({
+        source: source.slice(0, 400),
+        before: earlier ? earlier.before : String(block.userEdit && block.userEdit.previousText || '').slice(0, 400),
+        after: text.slice(0, 400)
+      });
+      job.humanEdits = list.slice(-this.HUMAN_EDIT_EXAMPLES_LIMIT);
+      if (this.humanEditStore && job.url) {
+        this.humanEditStore.record(job.url, list[list.length - 1]).catch(() => null);
+      }
+    }
+
+    async _resolveHumanEdits(url) {
+      if (!this.humanEditStore || !url) {
+        return [];
+      }
+      const settings = this.settingsStore && typeof this.settingsStore.get === 'function'
+        ? await this.settingsStore.get(['translationHumanEditExamples']).catch(() => ({}))
+        : {};
+      if (settings && settings.translationHumanEditExamples === false) {
+        return [];
+      }
+      const edits = await this.humanEditStore.listForUrl(url).catch(() => []);
+      return edits.slice(-this.HUMAN_EDIT_EXAMPLES_LIMIT);
+    }
+
+    _humanEditExamples(job) {
+      return job && Array.isArray(job.humanEdits) ? job.humanEdits.slice(-this.HUMAN_EDIT_EXAMPLES_LIMIT) : [];
+    }
+
+    /**
+     * Turns the in-page editor on or off for the tab's job. The flag lives on
+     * the job so the popup can show it and block edits can be checked against it.
+     */
+    async setEditMode({ tabId, jobId = null, enabled } = {}) {
+      const job = await this._resolveJobForAutoTuneAction({ tabId, jobId });
+      if (!job) {
+        return { ok: false, error: { code: 'JOB_NOT_FOUND', message: 'Задача перевода не найдена' } };
+      }
+      const stored = await this.jobStore.getJob(job.id).catch(() => null);
+      const target = stored || job;
+      target.editMode = enabled === true;
+      await this._saveJob(target);
+      const protocol = NT.TranslationProtocol || {};
+      const sent = await this._sendToTab(target.tabId, {
+        type: protocol.BG_SET_EDIT_MODE,
+        jobId: target.id,
+        enabled: target.editMode,
+        contentSessionId: target.contentSessionId || null
+      });
+      this._emitUiPatch(target);
+      return { ok: true, editMode: target.editMode, delivered: Boolean(sent && sent.ok), job: this._toJobSummary(target) };
+    }
+
+    async _handleBlockEdit({ message, tabId, frameId = null }) {
+      if (Number.isFinite(Number(frameId)) && Number(frameId) !== 0) {
+        return { ok: false, error: { code: 'FRAME_NOT_SUPPORTED', message: 'Правка доступна только в основном документе' } };
+      }
+      const jobId = message && typeof message.jobId === 'string' ? message.jobId : null;
+      const job = jobId ? await this.jobStore.getJob(jobId).catch(() => null) : null;
+      if (!job || (tabId !== null && job.tabId !== tabId)) {
+        return { ok: false, error: { code: 'JOB_NOT_FOUND', message: 'Задача перевода не найдена' } };
+      }
+      if (job.editMode !== true) {
+        return { ok: false, error: { code: 'EDIT_MODE_OFF', message: 'Режим правки выключен' } };
+      }
+      return this.setBlockTranslation({
+        tabId: job.tabId,
+        jobId: job.id,
+        blockId: message.blockId,
+        text: typeof message.text === 'string' ? message.text : '',
+        source: 'page'
+      });
+    }
+
+    /**
+     * Opens the in-page element picker; the picked rule comes back as
+     * CS_SITE_RULE. Works without a translation job.
+     */
+    async startElementPicker({ tabId } = {}) {
+      const numericTabId = Number(tabId);
+      if (!Number.isFinite(numericTabId)) {
+        return { ok: false, error: { code: 'INVALID_TAB_ID', message: 'Требуется tabId' } };
+      }
+      const injected = await this._ensureContentRuntime(numericTabId);
+      if (!injected.ok) {
+        return injected;
+      }
+      const protocol = NT.TranslationProtocol || {};
+      const sent = await this._sendToTab(numericTabId, { type: protocol.BG_START_PICKER });
+      if (!sent.ok) {
+        return { ok: false, error: sent.error || { code: 'TAB_SEND_FAILED', message: 'Вкладка недоступна' } };
+      }
+      return { ok: true };
+    }
+
+    async _handleSiteRulePick({ message, tabId, frameId = null }) {
+      const Rules = NT.SiteRules || null;
+      if (Number.isFinite(Number(frameId)) && Number(frameId) !== 0) {
+        return { ok: false, error: { code: 'FRAME_NOT_SUPPORTED', message: 'Правила создаются только в основном документе' } };
+      }
+      if (!Rules || !this.settingsStore || typeof this.settingsStore.get !== 'function') {
+        return { ok: false, error: { code: 'SETTINGS_STORE_UNAVAILABLE', message: 'Настройки недоступны' } };
+      }
+      const url = message && typeof message.url === 'string' ? message.url : '';
+      const host = Rules.normalizeHost(url);
+      const rule = Rules.normalizeRule({ ...(message && message.rule), createdAt: Date.now() });
+      if (!host || !rule) {
+        return { ok: false, error: { code: 'INVALID_SITE_RULE', message: 'Правило не распознано' } };
+      }
+      const data = await this.settingsStore.get(['translationSiteRules']).catch(() => ({}));
+      const next = Rules.withRule(data && data.translationSiteRules, host, rule);
+      await this.settingsStore.set({ translationSiteRules: next });
+      this._emitEvent('info', NT.EventTypes && NT.EventTypes.Tags ? NT.EventTypes.Tags.UI_COMMAND : 'ui.command', 'Добавлено правило для сайта', {
+        tabId,
+        host,
+        action: rule.action,
+        selector: rule.selector
+      });
+      return { ok: true, host, rule, siteRules: Rules.rulesForUrl(next, url) };
+    }
+
     async setVisibility({ tabId, visible, mode } = {}) {
       const numericTabId = Number(tabId);
       if (!Number.isFinite(numericTabId)) {
@@ -755,12 +1583,14 @@
       const displayMode = this._normalizeDisplayMode(mode, Boolean(visible));
       const compareDiffThreshold = await this._getCompareDiffThreshold({ job: activeJob });
       const compareRendering = await this._getCompareRendering({ job: activeJob });
+      const bilingualCategories = this._bilingualCategories(await this._readAgentSettings().catch(() => null));
       const visibilityPayload = {
         type: protocol.BG_SET_VISIBILITY,
         visible: displayMode !== 'original',
         mode: displayMode,
         compareDiffThreshold,
         compareRendering,
+        bilingualCategories,
         ...(contentSessionId ? { contentSessionId } : {})
       };
       const visibilitySent = await this._sendToTab(numericTabId, visibilityPayload);
@@ -776,7 +1606,8 @@
           visible: displayMode !== 'original',
           mode: displayMode,
           compareDiffThreshold,
-          compareRendering
+          compareRendering,
+          bilingualCategories
         });
       }
       if (this.tabStateStore && typeof this.tabStateStore.upsertDisplayMode === 'function') {
@@ -806,7 +1637,8 @@
         mode: displayMode,
         visible: displayMode !== 'original',
         compareDiffThreshold,
-        compareRendering
+        compareRendering,
+        bilingualCategories
       };
     }
 
@@ -819,7 +1651,7 @@
       try {
         if (this.tabStateStore && typeof this.tabStateStore.getDisplayMode === 'function') {
           const mode = await this.tabStateStore.getDisplayMode(tabId);
-          if (mode === 'original' || mode === 'compare' || mode === 'translated') {
+          if (mode === 'original' || mode === 'compare' || mode === 'translated' || mode === 'bilingual') {
             return mode;
           }
         }
@@ -843,6 +1675,7 @@
       const visible = mode !== 'original';
       const compareDiffThreshold = await this._getCompareDiffThreshold({ job });
       const compareRendering = await this._getCompareRendering({ job });
+      const bilingualCategories = this._bilingualCategories(await this._readAgentSettings().catch(() => null));
       try {
         const out = await this._sendToTab(tabId, {
           type: protocol.BG_SET_VISIBILITY,
@@ -850,6 +1683,7 @@
           mode,
           compareDiffThreshold,
           compareRendering,
+          bilingualCategories,
           ...(contentSessionId ? { contentSessionId } : {})
         });
         if (out && out.ok && out.response && out.response.ignored === true && contentSessionId) {
@@ -858,7 +1692,8 @@
             visible,
             mode,
             compareDiffThreshold,
-            compareRendering
+            compareRendering,
+            bilingualCategories
           });
         }
       } catch (_) {
@@ -929,7 +1764,8 @@
           job: deltaJob || job,
           blockId,
           text,
-          isFinal
+          isFinal,
+          qaAction: settings && settings.translationQaAction
         }),
         getJobSignal: (jobId) => {
           const controller = this._getJobAbortController(jobId);
@@ -953,7 +1789,10 @@
           excluded: Array.isArray(excluded) ? excluded : [],
           reasonShort,
           reasonDetailed
-        })
+        }),
+        detectEntities: this.translationCall && typeof this.translationCall.detectEntities === 'function'
+          ? (items, options) => this.translationCall.detectEntities(items, options)
+          : null
       });
       const blocks = Object.keys(job.blocksById || {})
         .map((id) => job.blocksById[id])
@@ -1039,6 +1878,14 @@
         const leaseExpiredAtRestore = typeof job.leaseUntilTs === 'number' && job.leaseUntilTs < now;
         this._ensureJobRunSettings(job, { settings });
         await this._saveJob(job, { setActive: true });
+        if (job.status === 'paused') {
+          // Stays paused until RESUME_TRANSLATION; the stored loop state is reused then.
+          continue;
+        }
+        if (job.status === 'awaiting_viewport') {
+          // The page's viewport tracker reopens it on the next scroll report.
+          continue;
+        }
         if (leaseExpiredAtRestore) {
           const hasCreatedAt = Number.isFinite(Number(job.createdAt));
           const createdAt = hasCreatedAt ? Number(job.createdAt) : now;
@@ -1093,6 +1940,10 @@
             compareDiffThreshold: this._normalizeCompareDiffThreshold(job.compareDiffThreshold),
             compareRendering: this._normalizeCompareRendering(job.compareRendering),
             classifierObserveDomChanges: this._classifierObserveDomChangesEnabled(settings),
+            dynamicContent: this._dynamicContentEnabled(settings),
+            viewportMode: this._viewportMode(settings),
+            bilingualCategories: this._bilingualCategories(settings),
+            siteRules: this._siteRulesForUrl(settings, job.url),
             ...scanBudget
           });
           if (!sent.ok) {
@@ -1278,6 +2129,10 @@
               compareDiffThreshold: this._normalizeCompareDiffThreshold(active.compareDiffThreshold),
               compareRendering: this._normalizeCompareRendering(active.compareRendering),
               classifierObserveDomChanges: this._classifierObserveDomChangesEnabled(reconnectSettings),
+              dynamicContent: this._dynamicContentEnabled(reconnectSettings),
+              viewportMode: this._viewportMode(reconnectSettings),
+              bilingualCategories: this._bilingualCategories(reconnectSettings),
+              siteRules: this._siteRulesForUrl(reconnectSettings, active.url),
               ...scanBudget,
               ...(sessionId ? { contentSessionId: sessionId } : {})
             });
@@ -1320,6 +2175,20 @@
           frameUrl: senderFrameUrl
         });
       }
+      if (type === protocol.CS_SCAN_DELTA) {
+        return this._handleScanDelta({
+          message: msg,
+          tabId,
+          frameId: senderFrameId
+        });
+      }
+      if (type === protocol.CS_VIEWPORT_UPDATE) {
+        return this._handleViewportUpdate({
+          message: msg,
+          tabId,
+          frameId: senderFrameId
+        });
+      }
       if (type === protocol.CS_SCAN_PROGRESS) {
         return this._handleScanProgress({
           message: msg,
@@ -1333,6 +2202,12 @@
       if (type === protocol.CS_APPLY_DELTA_ACK) {
         return this._handleApplyDeltaAck({ message: msg, tabId, frameId: senderFrameId });
       }
+      if (type === protocol.CS_BLOCK_EDIT) {
+        return this._handleBlockEdit({ message: msg, tabId, frameId: senderFrameId });
+      }
+      if (type === protocol.CS_SITE_RULE) {
+        return this._handleSiteRulePick({ message: msg, tabId, frameId: senderFrameId });
+      }
       return { ok: false, error: { code: 'UNKNOWN_CONTENT_MESSAGE', message: `Р СњР ВµР С—Р С•Р Т‘Р Т‘Р ВµРЎР‚Р В¶Р С‘Р Р†Р В°Р ВµР СРЎвЂ№Р в„– РЎвЂљР С‘Р С— РЎРѓР С•Р С•Р В±РЎвЂ°Р ВµР Р…Р С‘РЎРЏ: ${type}` } };
     }
 
@@ -1489,6 +2364,355 @@
       return { ok: true };
     }
 
+    /**
+     * Blocks the content runtime indexed after the scan (infinite scroll, SPA
+     * updates). Deltas are only queued here: `_flushDynamicContent` merges them
+     * once no pass is in flight, so an append never races the job loop. A
+     * per-minute block budget keeps chatty pages from spamming requests.
+     */
+    async _handleScanDelta({ message, tabId, frameId = null }) {
+      const jobId = message && message.jobId ? message.jobId : null;
+      if (!jobId) {
+        return { ok: false, error: { code: 'INVALID_SCAN_DELTA', message: 'Требуется jobId' } };
+      }
+      if (Number.isFinite(Number(frameId)) && Number(frameId) !== 0) {
+        return { ok: true, ignored: true, reason: 'non_top_frame_scan' };
+      }
+      const job = await this.jobStore.getJob(jobId).catch(() => null);
+      if (!job || (tabId !== null && job.tabId !== tabId)) {
+        return { ok: true, ignored: true };
+      }
+      if (this._isDynamicContentStopped(job.status) || job.scanReceived !== true) {
+        return { ok: true, ignored: true };
+      }
+      const settings = await this._readAgentSettings().catch(() => null);
+      if (!this._dynamicContentEnabled(settings)) {
+        return { ok: true, ignored: true, reason: 'dynamic_content_disabled' };
+      }
+      const state = this._dynamicContentState(job.id);
+      const now = Date.now();
+      if ((now - state.windowStartedAt) >= 60 * 1000) {
+        state.windowStartedAt = now;
+        state.acceptedInWindow = 0;
+      }
+      const known = job.blocksById && typeof job.blocksById === 'object' ? job.blocksById : {};
+      const incoming = this._normalizeBlocks(message.blocks, { frameId: 0 })
+        .filter((block) => !known[block.blockId] && !state.queuedIds.has(block.blockId));
+      const room = Math.max(0, Math.min(
+        this.DYNAMIC_MAX_BLOCKS_PER_MINUTE - state.acceptedInWindow,
+        this.DYNAMIC_QUEUE_CAP - state.queue.length
+      ));
+      const accepted = incoming.slice(0, room);
+      const byBlockId = message.byBlockId && typeof message.byBlockId === 'object' ? message.byBlockId : {};
+      accepted.forEach((block) => {
+        state.queue.push({ block, classified: byBlockId[block.blockId] || null });
+        state.queuedIds.add(block.blockId);
+      });
+      state.acceptedInWindow += accepted.length;
+      state.dropped += incoming.length - accepted.length;
+      if (accepted.length) {
+        this._scheduleDynamicFlush(job.id);
+      }
+      return { ok: true, accepted: accepted.length, dropped: incoming.length - accepted.length };
+    }
+
+    _dynamicContentState(jobId) {
+      if (!this.dynamicContentByJob.has(jobId)) {
+        this.dynamicContentByJob.set(jobId, {
+          queue: [],
+          queuedIds: new Set(),
+          timer: null,
+          lastFlushAt: 0,
+          windowStartedAt: 0,
+          acceptedInWindow: 0,
+          dropped: 0
+        });
+      }
+      return this.dynamicContentByJob.get(jobId);
+    }
+
+    _isDynamicContentStopped(status) {
+      return status === 'cancelled' || status === 'failed' || status === 'paused' || status === 'budget_paused';
+    }
+
+    _clearDynamicContent(jobId) {
+      const state = this.dynamicContentByJob.get(jobId);
+      if (state && state.timer) {
+        global.clearTimeout(state.timer);
+      }
+      this.dynamicContentByJob.delete(jobId);
+    }
+
+    _scheduleDynamicFlush(jobId) {
+      const state = this.dynamicContentByJob.get(jobId);
+      if (!state || state.timer) {
+        return;
+      }
+      const waitMs = Math.max(0, (state.lastFlushAt + this.DYNAMIC_FLUSH_INTERVAL_MS) - Date.now());
+      state.timer = global.setTimeout(() => {
+        state.timer = null;
+        this._flushDynamicContent(jobId).catch(() => {});
+      }, waitMs || this.DYNAMIC_FLUSH_INTERVAL_MS);
+    }
+
+    /**
+     * Appends queued dynamic blocks to the job. Blocks in the confirmed
+     * categories go through translation memory first; the rest become pending
+     * work and a finished job is reopened the same way `retryFailed` does.
+     * Before categories are confirmed the blocks only join the page snapshot.
+     * A paused or finished-with-error job drops its queue; when the job changes
+     * while memory is read, the entries are queued again for the fresh copy.
+     */
+    async _flushDynamicContent(jobId) {
+      const state = this.dynamicContentByJob.get(jobId);
+      if (!state || !state.queue.length) {
+        return { ok: true, added: 0 };
+      }
+      const job = await this.jobStore.getJob(jobId).catch(() => null);
+      if (!job || this._isDynamicContentStopped(job.status)) {
+        this._clearDynamicContent(jobId);
+        return { ok: true, added: 0 };
+      }
+      const idle = job.status === 'done' || job.status === 'awaiting_categories' || job.status === 'awaiting_viewport';
+      if (!idle || this.processingJobs.has(jobId)) {
+        this._scheduleDynamicFlush(jobId);
+        return { ok: true, added: 0, deferred: true };
+      }
+      const entries = state.queue.splice(0);
+      state.queuedIds.clear();
+      state.lastFlushAt = Date.now();
+
+      const blocksById = job.blocksById && typeof job.blocksById === 'object' ? job.blocksById : {};
+      job.blocksById = blocksById;
+      const classification = job.classification && job.classification.byBlockId && typeof job.classification.byBlockId === 'object'
+        ? job.classification.byBlockId
+        : null;
+      const taxonomy = job.agentState && job.agentState.taxonomy && typeof job.agentState.taxonomy === 'object'
+        ? job.agentState.taxonomy
+        : null;
+      const blockToCategory = taxonomy && taxonomy.blockToCategory && typeof taxonomy.blockToCategory === 'object'
+        ? taxonomy.blockToCategory
+        : null;
+      const categoryByPath = {};
+      let domOrder = 0;
+      Object.keys(blocksById).forEach((blockId) => {
+        const block = blocksById[blockId];
+        domOrder = Math.max(domOrder, Number(block && block.domOrder) + 1 || 0);
+        if (block && block.pathHint && !categoryByPath[block.pathHint]) {
+          categoryByPath[block.pathHint] = blockToCategory && blockToCategory[blockId]
+            ? blockToCategory[blockId]
+            : this._resolveBlockCategory({ blockId, block, classificationByBlockId: classification });
+        }
+      });
+      const added = [];
+      const categoryById = {};
+      entries.forEach(({ block, classified }) => {
+        if (!block || blocksById[block.blockId]) {
+          return;
+        }
+        if (classified && typeof classified === 'object') {
+          block.category = this._normalizeCategory(classified.category || block.category || 'unknown');
+          block.classification = this._normalizeClassificationPayload(classified);
+          if (classification) {
+            classification[block.blockId] = classified;
+          }
+        }
+        const category = (block.pathHint && categoryByPath[block.pathHint])
+          || this._resolveBlockCategory({ blockId: block.blockId, block, classificationByBlockId: classification });
+        if (blockToCategory) {
+          blockToCategory[block.blockId] = category;
+        }
+        categoryById[block.blockId] = category;
+        block.quality = this._defaultBlockQuality();
+        block.domOrder = domOrder;
+        block.dynamic = true;
+        domOrder += 1;
+        blocksById[block.blockId] = block;
+        if (job.pageAnalysis && job.pageAnalysis.blocksById && job.pageAnalysis.blocksById !== blocksById) {
+          job.pageAnalysis.blocksById[block.blockId] = block;
+        }
+        added.push(block);
+      });
+      this._markAlreadyTargetBlocks(job, added);
+      const available = Array.isArray(job.availableCategories) ? job.availableCategories : [];
+      added.forEach((block) => {
+        if (!available.includes(categoryById[block.blockId])) {
+          available.push(categoryById[block.blockId]);
+        }
+      });
+      job.availableCategories = available;
+
+      const selected = new Set(job.categorySelectionConfirmed === true && Array.isArray(job.selectedCategories)
+        ? job.selectedCategories
+        : []);
+      const chosen = added.filter((block) => !block.skipReason && selected.size > 0
+        && (selected.has(categoryById[block.blockId]) || this._isForcedBlock(block)));
+      if (chosen.length) {
+        // Memory hits are only read here; they reach the page after the job
+        // is known to be unchanged, so a re-queued entry is never applied twice.
+        const settings = await this._readAgentSettings().catch(() => ({}));
+        await this._restoreFromTranslationMemory({ job, blocks: chosen, settings, applyToTab: false, incremental: true })
+          .catch(() => null);
+        const latest = await this.jobStore.getJob(jobId).catch(() => null);
+        if (!latest || this._isDynamicContentStopped(latest.status)) {
+          this._clearDynamicContent(jobId);
+          return { ok: true, added: 0 };
+        }
+        if (latest.updatedAt !== job.updatedAt || this.processingJobs.has(jobId)) {
+          entries.forEach((entry) => {
+            delete entry.block.translatedText;
+            state.queue.push(entry);
+            state.queuedIds.add(entry.block.blockId);
+          });
+          this._scheduleDynamicFlush(jobId);
+          return { ok: true, added: 0, deferred: true };
+        }
+        const restored = chosen
+          .filter((block) => block.translatedText)
+          .map((block) => ({ blockId: block.blockId, text: block.translatedText }));
+        if (restored.length) {
+          const applied = await this._applyItemsToTab({ job, items: restored, batchPrefix: 'memory_restore' });
+          if (!applied.ok) {
+            restored.forEach((item) => {
+              blocksById[item.blockId].translatedText = '';
+            });
+          }
+        }
+      }
+      const pending = chosen.filter((block) => !block.translatedText).map((block) => block.blockId);
+      job.totalBlocks = Number(job.totalBlocks || 0) + chosen.length;
+      job.completedBlocks = Number(job.completedBlocks || 0) + (chosen.length - pending.length);
+      const stats = job.dynamicContent && typeof job.dynamicContent === 'object' ? job.dynamicContent : {};
+      job.dynamicContent = {
+        deltas: Number(stats.deltas || 0) + 1,
+        blocksAdded: Number(stats.blocksAdded || 0) + added.length,
+        blocksQueued: Number(stats.blocksQueued || 0) + pending.length,
+        blocksFromMemory: Number(stats.blocksFromMemory || 0) + (chosen.length - pending.length),
+        dropped: state.dropped,
+        lastDeltaAt: state.lastFlushAt
+      };
+      this._recordRuntimeAction(job, {
+        tool: 'pageRuntime',
+        status: 'ok',
+        message: 'content.dynamic.appended',
+        meta: { added: added.length, selected: chosen.length, pending: pending.length, dropped: state.dropped }
+      });
+      if (pending.length && (job.status === 'done' || job.status === 'awaiting_viewport')) {
+        job.pendingBlockIds = (Array.isArray(job.pendingBlockIds) ? job.pendingBlockIds : []).concat(pending);
+        job.status = 'running';
+        job.message = `Новый контент на странице: ${pending.length} блоков`;
+        job.lastError = null;
+        job.currentBatchId = null;
+        if (this.translationAgent && job.agentState && typeof this.translationAgent.markPhase === 'function') {
+          this.translationAgent.markPhase(job, 'resumed', job.message);
+        }
+        await this._saveJob(job, { setActive: true });
+        this._emitEvent('info', NT.EventTypes && NT.EventTypes.Tags ? NT.EventTypes.Tags.TRANSLATION_RESUME : 'translation.resume', 'Перевожу новый контент страницы', {
+          tabId: job.tabId,
+          jobId: job.id,
+          blockCount: pending.length
+        });
+        this._processJob(job.id).catch(() => {});
+      } else {
+        await this._saveJob(job);
+      }
+      return { ok: true, added: added.length, pending: pending.length };
+    }
+
+    /**
+     * Which blocks the reader currently sees (see NT.ViewportPriority). The
+     * report is only remembered here; the job loop picks it up before its next
+     * batch. A job parked with deferred blocks (lazy mode) is idle, so it is
+     * reopened right away once the reader scrolls near them.
+     */
+    async _handleViewportUpdate({ message, tabId, frameId = null }) {
+      const Viewport = NT.ViewportPriority || null;
+      const jobId = message && message.jobId ? message.jobId : null;
+      if (!Viewport || !jobId) {
+        return { ok: true, ignored: true };
+      }
+      if (Number.isFinite(Number(frameId)) && Number(frameId) !== 0) {
+        return { ok: true, ignored: true, reason: 'non_top_frame_viewport' };
+      }
+      const job = await this.jobStore.getJob(jobId).catch(() => null);
+      if (!job || (tabId !== null && job.tabId !== tabId) || job.status === 'cancelled' || job.status === 'failed') {
+        return { ok: true, ignored: true };
+      }
+      const settings = await this._readAgentSettings().catch(() => null);
+      const mode = this._viewportMode(settings);
+      if (mode === 'off') {
+        return { ok: true, ignored: true, reason: 'viewport_mode_off' };
+      }
+      const previous = this.viewportReports.get(job.id);
+      this.viewportReports.set(job.id, {
+        visibleBlockIds: Viewport.sanitizeIds(message.visibleBlockIds),
+        nearBlockIds: Viewport.sanitizeIds(message.nearBlockIds),
+        receivedAt: Date.now(),
+        count: previous ? previous.count + 1 : 1
+      });
+      const deferred = job.viewport && Array.isArray(job.viewport.deferredBlockIds) ? job.viewport.deferredBlockIds.length : 0;
+      if (job.status !== 'awaiting_viewport' || !deferred || this.processingJobs.has(job.id)) {
+        return { ok: true, accepted: true, released: 0 };
+      }
+      const applied = this._applyViewportReport(job, mode);
+      if (!applied.released) {
+        return { ok: true, accepted: true, released: 0 };
+      }
+      job.status = 'running';
+      job.message = `Перевожу блоки рядом с экраном: ${job.pendingBlockIds.length}`;
+      job.lastError = null;
+      job.currentBatchId = null;
+      if (this.translationAgent && job.agentState && typeof this.translationAgent.markPhase === 'function') {
+        this.translationAgent.markPhase(job, 'resumed', job.message);
+      }
+      await this._saveJob(job, { setActive: true });
+      this._emitEvent('info', NT.EventTypes && NT.EventTypes.Tags ? NT.EventTypes.Tags.TRANSLATION_RESUME : 'translation.resume', 'Продолжаю перевод по мере прокрутки', {
+        tabId: job.tabId,
+        jobId: job.id,
+        blockCount: applied.released
+      });
+      this._processJob(job.id).catch(() => {});
+      return { ok: true, accepted: true, released: applied.released };
+    }
+
+    /**
+     * Copies the latest viewport report onto `job.viewport` and reorders (in
+     * lazy mode also defers) pending work. Called by the job loop and for idle
+     * jobs only, so it never races a batch being saved.
+     */
+    _applyViewportReport(job, mode) {
+      const Viewport = NT.ViewportPriority || null;
+      if (!Viewport || !job || (mode === 'off' && !job.viewport)) {
+        return { deferred: 0, released: 0 };
+      }
+      const report = this.viewportReports.get(job.id) || null;
+      const previous = job.viewport && typeof job.viewport === 'object' ? job.viewport : {};
+      job.viewport = {
+        mode: Viewport.normalizeMode(mode),
+        visibleBlockIds: report ? report.visibleBlockIds : (Array.isArray(previous.visibleBlockIds) ? previous.visibleBlockIds : []),
+        nearBlockIds: report ? report.nearBlockIds : (Array.isArray(previous.nearBlockIds) ? previous.nearBlockIds : []),
+        deferredBlockIds: Array.isArray(previous.deferredBlockIds) ? previous.deferredBlockIds : [],
+        reports: report ? report.count : Number(previous.reports || 0),
+        updatedAt: report ? report.receivedAt : Number(previous.updatedAt || 0)
+      };
+      return Viewport.applyToJob(job);
+    }
+
+    _viewportSummary(job) {
+      const state = job && job.viewport && typeof job.viewport === 'object' ? job.viewport : null;
+      if (!state) {
+        return null;
+      }
+      return {
+        mode: state.mode || 'off',
+        visible: Array.isArray(state.visibleBlockIds) ? state.visibleBlockIds.length : 0,
+        near: Array.isArray(state.nearBlockIds) ? state.nearBlockIds.length : 0,
+        deferred: Array.isArray(state.deferredBlockIds) ? state.deferredBlockIds.length : 0,
+        reports: Number(state.reports || 0),
+        updatedAt: Number(state.updatedAt || 0) || null
+      };
+    }
+
     async _handleScanResult({ message, tabId, frameId = null, documentId = null, frameUrl = null }) {
       const jobId = message && message.jobId ? message.jobId : null;
       if (!jobId) {
@@ -1578,6 +2802,7 @@
       const normalized = this._normalizeBlocks(message.blocks, {
         frameId: payloadFrameId
       });
+      const alreadyTargetCount = this._markAlreadyTargetBlocks(job, normalized);
       this._mergeFrameShadowMetricsIntoJob(job, {
         frameId: payloadFrameId,
         frameUrl: typeof frameUrl === 'string' && frameUrl
@@ -1656,6 +2881,7 @@
         message: 'content.scan.received',
         meta: {
           blockCount: normalized.length,
+          alreadyTargetCount,
           categories: Array.isArray(job.selectedCategories) ? job.selectedCategories.slice() : []
         }
       });
@@ -1751,6 +2977,7 @@
       const pageStats = this._buildPreanalysisStats({
         blocksById: scanBlocksById,
         preRanges,
+        targetLang: job.targetLang || null,
         scanStats: message && message.scanStats && typeof message.scanStats === 'object'
           ? message.scanStats
           : null
@@ -1788,6 +3015,12 @@
         await this._saveJob(job, { clearActive: true });
         return { ok: true, blockCount: 0 };
       }
+      if (alreadyTargetCount >= normalized.length) {
+        job.status = 'done';
+        job.message = `Страница уже на целевом языке (${job.targetLang || 'ru'})`;
+        await this._saveJob(job, { clearActive: true });
+        return { ok: true, blockCount: normalized.length, alreadyTargetCount };
+      }
       await this._saveJob(job, { setActive: true });
 
       const planningSettings = {
@@ -2294,6 +3527,7 @@
             }
           }
           const agentSettings = await this._readAgentSettings();
+          this._applyViewportReport(job, this._viewportMode(agentSettings));
           if (this._shouldUseAgentExecution(agentSettings)) {
             const agentResult = await this._processJobAgentExecution(job, agentSettings);
             if (!agentResult || !agentResult.fallbackLegacy) {
@@ -2305,10 +3539,22 @@
           }
           const nextBatch = this._buildNextBatch(job);
           if (!nextBatch) {
+            if (this._hasViewportDeferred(job)) {
+              await this._parkJobForViewport(job);
+              break;
+            }
+            const estimated = await this._runQualityEstimationPass(job, agentSettings);
+            if (estimated.updated > 0 || estimated.interrupted) {
+              continue;
+            }
             const proofreadRan = await this._runProofreadingPassIfNeeded(job);
             if (proofreadRan) {
               continue;
             }
+            const unified = await this._runConsistencyPass(job, agentSettings);
+            if (unified.updated > 0 || unified.interrupted) {
+              continue;
+            }
             job.status = job.failedBlockIds.length ? 'failed' : 'done';
             job.message = job.failedBlockIds.length ? 'Р вЂ”Р В°Р Р†Р ВµРЎР‚РЎв‚¬Р ВµР Р…Р С• РЎРѓ Р С•РЎв‚¬Р С‘Р В±Р С”Р В°Р СР С‘ Р Р† Р В±Р В»Р С•Р С”Р В°РЎвЂ¦' : 'Р СџР ВµРЎР‚Р ВµР Р†Р С•Р Т‘ Р В·Р В°Р Р†Р ВµРЎР‚РЎв‚¬РЎвЂР Р…';
             if (this.translationAgent && job.agentState) {
@@ -2361,10 +3607,21 @@
           try {
             const cachedItems = this._buildCachedItemsForBatch(job, batch);
             const unresolvedBlocks = batch.blocks.filter((block) => !cachedItems.some((item) => item.blockId === block.blockId));
-            const agentContext = this.translationAgent && typeof this.translationAgent.buildBatchContext === 'function'
+            const baseContext = this.translationAgent && typeof this.translationAgent.buildBatchContext === 'function'
               ? this.translationAgent.buildBatchContext({ job, batch })
               : null;
+            const agentContext = {
+              ...(baseContext || {}),
+              userGlossary: this._userGlossaryForBlocks(job, unresolvedBlocks),
+              styleGuide: this._styleGuideForBlocks(job, unresolvedBlocks),
+              entityProtection: this._entityProtectionMode(agentSettings),
+              memoryReferences: this._memoryReferencesForBlocks(job, unresolvedBlocks),
+              humanEdits: this._humanEditExamples(job)
+            };
             let translated = { items: cachedItems.slice(), report: null };
+            let glossaryVerdicts = {};
+            let qaVerdicts = {};
+            let entityReport = null;
             if (unresolvedBlocks.length) {
               const requestController = this._getJobAbortController(job.id);
               const requestSignal = requestController ? requestController.signal : null;
@@ -2380,11 +3637,29 @@
                   ? job.apiCacheEnabled !== false
                   : true
               });
+              const enforced = await this._enforceUserGlossary(job, unresolvedBlocks, fresh.items || [], {
+                batchId: batch.batchId,
+                agentContext,
+                signal: requestSignal
+              });
+              glossaryVerdicts = enforced.verdicts;
+              entityReport = fresh.entityProtection || null;
+              const checked = await this._enforceTranslationQa(job, unresolvedBlocks, enforced.items, {
+                batchId: batch.batchId,
+                agentContext,
+                signal: requestSignal,
+                action: agentSettings.translationQaAction
+              });
+              qaVerdicts = checked.verdicts;
               translated = {
-                items: cachedItems.concat(fresh.items || []),
+                items: cachedItems.concat(checked.items),
                 report: fresh.report || null
               };
-              this._updateTranslationMemory(job, unresolvedBlocks, fresh.items || []);
+              this._updateTranslationMemory(job, unresolvedBlocks.filter((block) => {
+                const glossary = glossaryVerdicts[block.blockId];
+                const qa = qaVerdicts[block.blockId];
+                return (!glossary || !glossary.violations.length) && (!qa || !NT.TranslationQa.hasErrors(qa.issues));
+              }), checked.items);
             }
             const itemMap = {};
             (translated.items || []).forEach((item) => {
@@ -2445,7 +3720,7 @@
             });
 
             const refreshed = await this.jobStore.getJob(job.id);
-            if (!refreshed || refreshed.status !== 'running') {
+            if (!refreshed || (refreshed.status !== 'running' && refreshed.status !== 'paused')) {
               break;
             }
             (translated.items || []).forEach((item) => {
@@ -2456,6 +3731,15 @@
                 refreshed.blocksById[item.blockId].translatedText = item.text;
               }
             });
+            Object.keys(glossaryVerdicts).forEach((blockId) => {
+              const verdict = glossaryVerdicts[blockId];
+              NT.UserGlossary.recordCheck(refreshed, blockId, verdict.violations, { retried: verdict.retried });
+            });
+            Object.keys(qaVerdicts).forEach((blockId) => {
+              const verdict = qaVerdicts[blockId];
+              NT.TranslationQa.recordCheck(refreshed, blockId, verdict.issues, { retried: verdict.retried, routed: verdict.routed });
+            });
+            this._recordEntityProtection(refreshed, entityReport);
             refreshed.attempts = (refreshed.attempts || 0) + 1;
             refreshed.pendingBlockIds = refreshed.pendingBlockIds.filter((id) => !batch.blockIds.includes(id));
             refreshed.completedBlocks = Math.min(
@@ -2463,7 +3747,9 @@
               (refreshed.completedBlocks || 0) + (ack.appliedCount || batch.blockIds.length)
             );
             refreshed.currentBatchId = null;
-            refreshed.message = 'Р вЂР В°РЎвЂљРЎвЂЎ Р С—РЎР‚Р С‘Р СР ВµР Р…РЎвЂР Р…';
+            if (refreshed.status === 'running') {
+              refreshed.message = 'Р вЂР В°РЎвЂљРЎвЂЎ Р С—РЎР‚Р С‘Р СР ВµР Р…РЎвЂР Р…';
+            }
             if (this.translationAgent && refreshed.agentState && typeof this.translationAgent.recordBatchSuccess === 'function') {
               this.translationAgent.recordBatchSuccess({
                 job: refreshed,
@@ -2523,9 +3809,36 @@
         if (!latest || (latest.status !== 'running' && latest.status !== 'preparing' && latest.status !== 'completing')) {
           this._dropJobAbortController(jobId);
         }
+        if (!latest || latest.status === 'cancelled' || latest.status === 'failed') {
+          this.viewportReports.delete(jobId);
+        }
       }
     }
 
+    /**
+     * Lazy viewport mode: everything near the screen is translated, the rest
+     * waits for the reader to scroll. The job goes idle in `awaiting_viewport`
+     * (not terminal, still active) so `_handleViewportUpdate` can reopen it;
+     * proofreading and the page cache wait for the full pass.
+     */
+    async _parkJobForViewport(job) {
+      const deferred = job.viewport.deferredBlockIds.length;
+      job.status = 'awaiting_viewport';
+      job.currentBatchId = null;
+      job.message = `Остальное переведу при прокрутке: ${deferred} блоков`;
+      this._recordRuntimeAction(job, {
+        tool: 'pageRuntime',
+        status: 'ok',
+        message: 'content.viewport.deferred',
+        meta: { deferred, completed: Number(job.completedBlocks || 0) }
+      });
+      await this._saveJob(job, { setActive: true });
+    }
+
+    _hasViewportDeferred(job) {
+      return Boolean(job && job.viewport && Array.isArray(job.viewport.deferredBlockIds) && job.viewport.deferredBlockIds.length);
+    }
+
     _shouldUseAgentExecution(settings) {
       const mode = settings && settings.translationAgentExecutionMode === 'agent'
         ? 'agent'
@@ -2579,7 +3892,8 @@
           job: deltaJob || job,
           blockId,
           text,
-          isFinal
+          isFinal,
+          qaAction: settings && settings.translationQaAction
         }),
         getJobSignal: (jobId) => {
           const controller = this._getJobAbortController(jobId);
@@ -2603,7 +3917,10 @@
           excluded: Array.isArray(excluded) ? excluded : [],
           reasonShort,
           reasonDetailed
-        })
+        }),
+        detectEntities: this.translationCall && typeof this.translationCall.detectEntities === 'function'
+          ? (items, options) => this.translationCall.detectEntities(items, options)
+          : null
       });
       const runner = new AgentRunner({
         toolRegistry,
@@ -2615,8 +3932,18 @@
         }
       });
 
-      const proofState = this._ensureJobProofreadingState(job);
       const translatePending = Array.isArray(job.pendingBlockIds) ? job.pendingBlockIds.length : 0;
+      if (translatePending <= 0 && this._hasViewportDeferred(job)) {
+        await this._parkJobForViewport(job);
+        return { continueLoop: false };
+      }
+      if (translatePending <= 0) {
+        const estimated = await this._runQualityEstimationPass(job, settings);
+        if (estimated.updated > 0 || estimated.interrupted) {
+          return { continueLoop: !estimated.interrupted };
+        }
+      }
+      const proofState = this._ensureJobProofreadingState(job);
       const plannedProofPasses = this._resolvePlannedProofreadingPasses(job);
       if (translatePending <= 0 && !proofState.enabled && plannedProofPasses > 0) {
         proofState.enabled = true;
@@ -2656,6 +3983,10 @@
             code: runProofreading ? 'AGENT_PROOFREADING_FAILED' : 'AGENT_EXECUTION_FAILED',
             message: runProofreading ? 'Р С›РЎв‚¬Р С‘Р В±Р С”Р В° Р В°Р С–Р ВµР Р…РЎвЂљ-Р Р†РЎвЂ№РЎвЂЎР С‘РЎвЂљР С”Р С‘' : 'Р С›РЎв‚¬Р С‘Р В±Р С”Р В° Р В°Р С–Р ВµР Р…РЎвЂљ-Р С‘РЎРѓР С—Р С•Р В»Р Р…Р ВµР Р…Р С‘РЎРЏ'
           };
+        const latest = await this.jobStore.getJob(job.id).catch(() => null);
+        if (latest && latest.status === 'paused') {
+          return { continueLoop: false };
+        }
         const requeued = await this._requeueJobForBackpressure(job, normalizedError);
         if (requeued) {
           return { continueLoop: false };
@@ -2664,8 +3995,8 @@
         return { continueLoop: false };
       }
 
-      const refreshed = await this.jobStore.getJob(job.id);
-      if (!refreshed) {
+      let refreshed = await this.jobStore.getJob(job.id);
+      if (!refreshed || refreshed.status === 'paused') {
         return { continueLoop: false };
       }
       if (!result || result.ok === false) {
@@ -2707,6 +4038,10 @@
           }
           return { continueLoop: true };
         }
+        if (this._hasViewportDeferred(refreshed)) {
+          await this._parkJobForViewport(refreshed);
+          return { continueLoop: false };
+        }
         if (refreshedProof.enabled === true) {
           refreshed.message = 'Р СџР ВµРЎР‚Р ВµРЎвЂ¦Р С•Р Т‘ Р С” Р Р†РЎвЂ№РЎвЂЎР С‘РЎвЂљР С”Р Вµ';
           if (this.translationAgent && refreshed.agentState && typeof this.translationAgent.markPhase === 'function') {
@@ -2730,6 +4065,18 @@
         return { continueLoop: true };
       }
 
+      // Runs once before completion; its rewrites need no further pass.
+      const unified = await this._runConsistencyPass(refreshed, settings);
+      if (unified.interrupted) {
+        return { continueLoop: false };
+      }
+      if (unified.updated > 0) {
+        refreshed = await this.jobStore.getJob(job.id);
+        if (!refreshed) {
+          return { continueLoop: false };
+        }
+      }
+
       refreshed.status = refreshed.failedBlockIds.length ? 'failed' : 'done';
       refreshed.message = refreshed.failedBlockIds.length ? 'Р вЂ”Р В°Р Р†Р ВµРЎР‚РЎв‚¬Р ВµР Р…Р С• РЎРѓ Р С•РЎв‚¬Р С‘Р В±Р С”Р В°Р СР С‘ Р Р† Р В±Р В»Р С•Р С”Р В°РЎвЂ¦' : 'Р СџР ВµРЎР‚Р ВµР Р†Р С•Р Т‘ Р В·Р В°Р Р†Р ВµРЎР‚РЎв‚¬РЎвЂР Р…';
       if (this.translationAgent && refreshed.agentState) {
@@ -2763,7 +4110,7 @@
       return { continueLoop: false };
     }
 
-    async _applyDeltaToTab({ job, blockId, text, isFinal = false, meta = null } = {}) {
+    async _applyDeltaToTab({ job, blockId, text, isFinal = false, meta = null, patchKind = null, qaAction = null } = {}) {
       if (!job || !job.id || !Number.isFinite(Number(job.tabId)) || !blockId || typeof text !== 'string') {
         return { ok: false, applied: false };
       }
@@ -2866,6 +4213,9 @@
       }
       if (ack.applied !== false && block) {
         block.translatedText = text;
+        if (isFinal && patchKind !== 'human') {
+          this._checkAppliedBlockQa(job, block, qaAction);
+        }
       }
       if (ack.applied !== false) {
         const ackFrameId = Number.isFinite(Number(ack.frameId)) ? Number(ack.frameId) : null;
@@ -2906,7 +4256,7 @@
         this._queuePatchEvent(job, {
           blockId,
           phase: this._resolvePatchPhase(job),
-          kind: isFinal ? 'final' : 'delta',
+          kind: patchKind || (isFinal ? 'final' : 'delta'),
           prev: {
             textHash: ack.prevTextHash || this._hashTextStable(prevText),
             textPreview: this._buildPatchPreview(prevText)
@@ -2952,7 +4302,7 @@
       if (this.translationAgent && job && job.agentState && typeof this.translationAgent.buildNextBatch === 'function') {
         const fromAgent = this.translationAgent.buildNextBatch(job);
         if (fromAgent) {
-          return fromAgent;
+          return this._withWholeInlineSegments(job, fromAgent);
         }
       }
       const pending = Array.isArray(job.pendingBlockIds) ? job.pendingBlockIds : [];
@@ -2967,12 +4317,37 @@
         return null;
       }
       const index = Math.floor(((job.totalBlocks || 0) - pending.length) / this.BATCH_SIZE);
-      return {
+      return this._withWholeInlineSegments(job, {
         batchId: `${job.id}:batch:${index}`,
         index,
         blockIds,
         blocks
-      };
+      });
+    }
+
+    /**
+     * Pulls the pending rest of every inline segment cut by the batch
+     * boundary into the batch, so the sentence is translated as one unit.
+     */
+    _withWholeInlineSegments(job, batch) {
+      const pending = Array.isArray(job && job.pendingBlockIds) ? job.pendingBlockIds : [];
+      const blocksById = job && job.blocksById && typeof job.blocksById === 'object' ? job.blocksById : {};
+      const segmentIds = new Set(batch.blocks
+        .map((block) => (block && block.segment ? block.segment.id : null))
+        .filter(Boolean));
+      if (!segmentIds.size) {
+        return batch;
+      }
+      const included = new Set(batch.blockIds);
+      pending.forEach((blockId) => {
+        const block = blocksById[blockId];
+        if (!included.has(blockId) && block && block.segment && segmentIds.has(block.segment.id)) {
+          included.add(blockId);
+          batch.blockIds.push(blockId);
+          batch.blocks.push(block);
+        }
+      });
+      return batch;
     }
 
     async _runProofreadingPassIfNeeded(job) {
@@ -3054,7 +4429,8 @@
             ? block.translatedText
             : block.originalText,
           category: block.category || null,
-          pathHint: block.pathHint || null
+          pathHint: block.pathHint || null,
+          segment: block.segment || null
         }));
         const baseContext = this.translationAgent && typeof this.translationAgent.buildBatchContext === 'function'
           ? this.translationAgent.buildBatchContext({ job: refreshedBefore, batch: chunk })
@@ -3062,7 +4438,9 @@
         const agentContext = {
           ...(baseContext || {}),
           routeHint: 'strong',
-          batchGuidance: 'Proofread and polish existing translated text. Keep meaning, placeholders, code fragments, numbers, and UI constraints unchanged unless incorrect.'
+          batchGuidance: 'Proofread and polish existing translated text. Keep meaning, placeholders, code fragments, numbers, and UI constraints unchanged unless incorrect.',
+          userGlossary: this._userGlossaryForBlocks(refreshedBefore, chunk.blocks),
+          styleGuide: this._styleGuideForBlocks(refreshedBefore, chunk.blocks)
         };
 
         try {
@@ -3451,9 +4829,52 @@
           job.completedBlocks = Math.max(prevCompleted, nextCompleted);
           job.totalBlocks = Math.max(prevTotal, nextTotal);
         }
+        if (prev && prev.budget && typeof prev.budget === 'object') {
+          const prevBudgetTs = Number(prev.budget.updatedAt) || 0;
+          const nextBudgetTs = job.budget && typeof job.budget === 'object' ? Number(job.budget.updatedAt) || 0 : -1;
+          if (nextBudgetTs < prevBudgetTs) {
+            job.budget = prev.budget;
+          }
+        }
+        if (prev && prev.status === 'budget_paused' && job.status !== 'budget_paused' && !this._isTerminalStatus(job.status)) {
+          const resumedAt = job.budget && Number(job.budget.resumedAt);
+          const pausedAt = prev.budget && Number(prev.budget.pausedAt);
+          if (!(resumedAt && resumedAt >= (pausedAt || 0))) {
+            job.status = 'budget_paused';
+            job.message = prev.message || job.message;
+            job.currentBatchId = null;
+            job.runtime = {
+              ...(job.runtime && typeof job.runtime === 'object' ? job.runtime : {}),
+              status: 'IDLE'
+            };
+          }
+        }
+        if (prev && prev.pause && typeof prev.pause === 'object') {
+          const prevPauseTs = Number(prev.pause.updatedAt) || 0;
+          const nextPauseTs = job.pause && typeof job.pause === 'object' ? Number(job.pause.updatedAt) || 0 : -1;
+          if (nextPauseTs < prevPauseTs) {
+            job.pause = prev.pause;
+          }
+        }
+        if (prev && prev.status === 'paused' && job.status !== 'paused' && !this._isTerminalStatus(job.status)) {
+          const resumedAt = job.pause && Number(job.pause.resumedAt);
+          const pausedAt = prev.pause && Number(prev.pause.pausedAt);
+          if (!(resumedAt && resumedAt >= (pausedAt || 0))) {
+            job.status = 'paused';
+            job.message = prev.message || job.message;
+            job.currentBatchId = null;
+            job.runtime = {
+              ...(job.runtime && typeof job.runtime === 'object' ? job.runtime : {}),
+              status: 'IDLE'
+            };
+          }
+        }
         if (!job.displayMode && prev && prev.displayMode) {
           job.displayMode = prev.displayMode;
         }
+        if (typeof job.editMode !== 'boolean' && prev && typeof prev.editMode === 'boolean') {
+          job.editMode = prev.editMode;
+        }
         let tabDisplayMode = null;
         if (Number.isFinite(Number(job.tabId))) {
           try {
@@ -3462,7 +4883,7 @@
             tabDisplayMode = null;
           }
         }
-        if (tabDisplayMode === 'original' || tabDisplayMode === 'translated' || tabDisplayMode === 'compare') {
+        if (tabDisplayMode === 'original' || tabDisplayMode === 'translated' || tabDisplayMode === 'compare' || tabDisplayMode === 'bilingual') {
           job.displayMode = tabDisplayMode;
         }
         if ((!job.runSettings || typeof job.runSettings !== 'object') && prev && prev.runSettings && typeof prev.runSettings === 'object') {
@@ -3540,7 +4961,7 @@
       if (value === 'done') return 'DONE';
       if (value === 'failed') return 'FAILED';
       if (value === 'cancelled') return 'CANCELLED';
-      if (value === 'awaiting_categories') return 'IDLE';
+      if (value === 'awaiting_categories' || value === 'budget_paused' || value === 'paused' || value === 'awaiting_viewport') return 'IDLE';
       if (value === 'preparing') return 'QUEUED';
       if (value === 'planning' || value === 'running' || value === 'completing') return 'RUNNING';
       return 'IDLE';
@@ -3779,7 +5200,7 @@
     }
 
     _normalizeDisplayMode(mode, visibleFallback = true) {
-      if (mode === 'original' || mode === 'compare' || mode === 'translated') {
+      if (mode === 'original' || mode === 'compare' || mode === 'translated' || mode === 'bilingual') {
         return mode;
       }
       return visibleFallback === false ? 'original' : 'translated';
@@ -3801,6 +5222,713 @@
       return 'auto';
     }
 
+    async _resolveTargetLang({ url, targetLang } = {}) {
+      const Rules = NT.TargetLangRules || null;
+      const explicit = Rules && typeof Rules.normalizeLang === 'function'
+        ? Rules.normalizeLang(targetLang)
+        : (typeof targetLang === 'string' && targetLang.trim() ? targetLang.trim().toLowerCase() : null);
+      if (explicit) {
+        return { lang: explicit, source: 'explicit' };
+      }
+      if (!Rules || !this.settingsStore || typeof this.settingsStore.get !== 'function') {
+        return { lang: 'ru', source: 'builtin' };
+      }
+      const data = await this.settingsStore.get(['translationTargetLang', 'translationTargetLangByOrigin']).catch(() => ({}));
+      const resolved = Rules.resolveForUrl(url || '', {
+        rules: data && data.translationTargetLangByOrigin,
+        defaultLang: data && data.translationTargetLang
+      });
+      return { lang: resolved.lang, source: resolved.source };
+    }
+
+    async _resolveUserGlossary({ url, targetLang } = {}) {
+      if (!NT.UserGlossary || !this.userGlossaryStore || typeof this.userGlossaryStore.resolveForPage !== 'function') {
+        return [];
+      }
+      return this.userGlossaryStore.resolveForPage({ url: url || '', targetLang }).catch(() => []);
+    }
+
+    _userGlossaryForBlocks(job, blocks) {
+      const entries = job && Array.isArray(job.userGlossary) ? job.userGlossary : [];
+      if (!NT.UserGlossary || !entries.length) {
+        return [];
+      }
+      return NT.UserGlossary.matchEntriesForBlocks(entries, blocks);
+    }
+
+    _entityProtectionMode(settings) {
+      return NT.EntityProtection
+        ? NT.EntityProtection.normalizeMode(settings && settings.translationEntityProtection)
+        : 'off';
+    }
+
+    /**
+     * Stores the per-block entity report of a `translateBatch` result (see
+     * NT.EntityProtection.recordBlock); a failed detection request is kept
+     * as `lastError`.
+     */
+    _recordEntityProtection(job, report) {
+      const Protection = NT.EntityProtection || null;
+      if (!Protection || !job || !report || typeof report !== 'object') {
+        return;
+      }
+      const byBlockId = report.byBlockId && typeof report.byBlockId === 'object' ? report.byBlockId : {};
+      Object.keys(byBlockId).forEach((blockId) => {
+        Protection.recordBlock(job, blockId, byBlockId[blockId]);
+      });
+      if (report.modelError && job.entityProtection) {
+        job.entityProtection.lastError = { message: String(report.modelError), ts: Date.now() };
+      }
+    }
+
+    _styleGuideFingerprint(guide) {
+      return NT.StyleGuides ? NT.StyleGuides.fingerprint(guide) : '';
+    }
+
+    _jobStyleGuideFingerprint(job) {
+      return this._styleGuideFingerprint(job && job.runSettings ? job.runSettings.styleGuide : null);
+    }
+
+    _styleGuideForUrl(settings, url) {
+      return NT.StyleGuides && settings && typeof settings === 'object'
+        ? NT.StyleGuides.resolveForUrl(settings.translationStyleGuides, url || '')
+        : null;
+    }
+
+    /**
+     * Prompt lines of the style guide recorded in the job's run settings,
+     * limited to the categories of `blocks`.
+     */
+    _styleGuideForBlocks(job, blocks) {
+      const guide = job && job.runSettings && job.runSettings.styleGuide;
+      if (!NT.StyleGuides || !guide) {
+        return [];
+      }
+      const categories = (Array.isArray(blocks) ? blocks : []).map((block) => block && block.category).filter(Boolean);
+      return NT.StyleGuides.formatForPrompt(guide, categories);
+    }
+
+    /**
+     * Similar-sentence lookups for blocks the exact memory hash missed. Hits
+     * are kept on the job as reference translations for the prompt; they are
+     * never applied to the page.
+     */
+    async _attachFuzzyMemoryReferences(job, blocks, settings, { append = false } = {}) {
+      const Fuzzy = NT.FuzzyMatch || null;
+      const threshold = Fuzzy && settings
+        ? Fuzzy.normalizeThreshold(settings.translationMemoryFuzzyThreshold)
+        : 0;
+      const list = Array.isArray(blocks) ? blocks : [];
+      const previous = append && job.memoryFuzzy && typeof job.memoryFuzzy === 'object' ? job.memoryFuzzy : null;
+      job.memoryFuzzy = previous;
+      if (!threshold || !list.length || typeof this.translationMemoryStore.listSourceBlocks !== 'function') {
+        return previous;
+      }
+      const sources = await this.translationMemoryStore.listSourceBlocks({ targetLang: job.targetLang || 'ru' });
+      const index = Fuzzy.createIndex((Array.isArray(sources) ? sources : []).map((row) => ({ ...row, text: row.originalText })));
+      const references = previous && previous.references ? { ...previous.references } : {};
+      let hits = Object.keys(references).length;
+      for (let i = 0; i < list.length && index.size && hits < this.MEMORY_FUZZY_MAX_REFERENCES; i += 1) {
+        const block = list[i];
+        const best = index.search(block.originalText, {
+          threshold,
+          exclude: (entry) => Boolean(block.originalHash) && entry.originalHash === block.originalHash
+        })[0];
+        if (!best) {
+          continue;
+        }
+        references[block.blockId] = {
+          score: Math.round(best.score * 100) / 100,
+          sourceText: String(best.entry.originalText).slice(0, this.MEMORY_FUZZY_REFERENCE_CHARS),
+          translatedText: String(best.entry.translatedText).slice(0, this.MEMORY_FUZZY_REFERENCE_CHARS),
+          qualityTag: best.entry.qualityTag || 'raw'
+        };
+        hits += 1;
+      }
+      job.memoryFuzzy = {
+        threshold,
+        lookups: list.length + (previous ? Number(previous.lookups || 0) : 0),
+        hits,
+        references
+      };
+      if (hits) {
+        this._recordRuntimeAction(job, {
+          tool: 'memory.fuzzy',
+          status: 'ok',
+          message: 'memory.fuzzy.references',
+          meta: { hits, lookups: list.length, threshold }
+        });
+      }
+      return job.memoryFuzzy;
+    }
+
+    _memoryFuzzySummary(job) {
+      const fuzzy = job && job.memoryFuzzy && typeof job.memoryFuzzy === 'object' ? job.memoryFuzzy : null;
+      if (!fuzzy) {
+        return null;
+      }
+      const references = fuzzy.references && typeof fuzzy.references === 'object' ? fuzzy.references : {};
+      const byBlockId = {};
+      Object.keys(references).forEach((blockId) => {
+        byBlockId[blockId] = Math.round(Number(references[blockId].score || 0) * 100);
+      });
+      return {
+        threshold: fuzzy.threshold,
+        lookups: fuzzy.lookups,
+        hits: fuzzy.hits,
+        byBlockId
+      };
+    }
+
+    _memoryReferencesForBlocks(job, blocks) {
+      const references = job && job.memoryFuzzy && job.memoryFuzzy.references && typeof job.memoryFuzzy.references === 'object'
+        ? job.memoryFuzzy.references
+        : {};
+      const out = {};
+      (Array.isArray(blocks) ? blocks : []).forEach((block) => {
+        if (block && block.blockId && references[block.blockId]) {
+          out[block.blockId] = references[block.blockId];
+        }
+      });
+      return out;
+    }
+
+    /**
+     * Verifies fresh batch output against the user glossary. Blocks that break
+     * it are re-requested once (cache bypassed) with the violations spelled out;
+     * whatever still violates is returned as a verdict for per-block flagging.
+     */
+    async _enforceUserGlossary(job, blocks, items, { batchId, agentContext, signal } = {}) {
+      const UserGlossary = NT.UserGlossary || null;
+      const entries = job && Array.isArray(job.userGlossary) ? job.userGlossary : [];
+      const list = Array.isArray(items) ? items.slice() : [];
+      if (!UserGlossary || !entries.length) {
+        return { items: list, verdicts: {} };
+      }
+      const blocksById = {};
+      (Array.isArray(blocks) ? blocks : []).forEach((block) => {
+        blocksById[block.blockId] = block;
+      });
+      const check = (item) => {
+        const block = item && blocksById[item.blockId];
+        return block
+          ? UserGlossary.verify({
+            entries,
+            sourceText: block.originalText,
+            translatedText: item.text,
+            sourceLang: block.sourceLang || null
+          })
+          : [];
+      };
+      const verdicts = {};
+      list.forEach((item) => {
+        if (item && blocksById[item.blockId]) {
+          verdicts[item.blockId] = { violations: check(item), retried: false };
+        }
+      });
+      const retryBlocks = Object.keys(verdicts)
+        .filter((blockId) => verdicts[blockId].violations.length)
+        .map((blockId) => blocksById[blockId]);
+      if (!retryBlocks.length) {
+        return { items: list, verdicts };
+      }
+      const violations = retryBlocks.reduce((acc, block) => acc.concat(verdicts[block.blockId].violations), []);
+      this._emitEvent('warn', NT.EventTypes && NT.EventTypes.Tags ? NT.EventTypes.Tags.TRANSLATION_GLOSSARY : 'translation.glossary', 'Нарушен глоссарий, повторный запрос', {
+        tabId: job.tabId,
+        jobId: job.id,
+        batchId,
+        blockCount: retryBlocks.length,
+        violations: violations.length
+      });
+      try {
+        const retried = await this.translationCall.translateBatch(retryBlocks, {
+          tabId: job.tabId,
+          jobId: job.id,
+          batchId: `${batchId}:glossary`,
+          targetLang: job.targetLang || 'ru',
+          attempt: (job.attempts || 0) + 2,
+          agentContext: {
+            ...(agentContext || {}),
+            userGlossary: UserGlossary.matchEntriesForBlocks(entries, retryBlocks),
+            glossaryRetry: violations
+          },
+          signal,
+          cacheEnabled: false
+        });
+        (retried && Array.isArray(retried.items) ? retried.items : []).forEach((item) => {
+          if (!item || !verdicts[item.blockId] || typeof item.text !== 'string' || !item.text.trim()) {
+            return;
+          }
+          const nextViolations = check(item);
+          const index = list.findIndex((row) => row && row.blockId === item.blockId);
+          if (nextViolations.length <= verdicts[item.blockId].violations.length && index >= 0) {
+            list[index] = { blockId: item.blockId, text: item.text };
+            verdicts[item.blockId].violations = nextViolations;
+          }
+          verdicts[item.blockId].retried = true;
+        });
+      } catch (error) {
+        if (error && (error.name === 'AbortError' || error.code === 'BUDGET_EXCEEDED')) {
+          throw error;
+        }
+      }
+      return { items: list, verdicts };
+    }
+
+    /**
+     * Runs the deterministic QA rules (NT.TranslationQa) on fresh batch output.
+     * With `action` 'retry' blocks that fail are re-requested once with the
+     * issues spelled out; with 'proofread' their current translation is sent
+     * for one proofreading call instead. The attempt is kept when it has no
+     * more errors than the original; verdicts are returned for per-block
+     * recording either way.
+     */
+    async _enforceTranslationQa(job, blocks, items, { batchId, agentContext, signal, action = 'report' } = {}) {
+      const TranslationQa = NT.TranslationQa || null;
+      const list = Array.isArray(items) ? items.slice() : [];
+      if (!TranslationQa) {
+        return { items: list, verdicts: {} };
+      }
+      const blocksById = {};
+      (Array.isArray(blocks) ? blocks : []).forEach((block) => {
+        blocksById[block.blockId] = block;
+      });
+      const check = (item) => {
+        const block = item && blocksById[item.blockId];
+        return block
+          ? TranslationQa.check({
+            sourceText: block.originalText,
+            translatedText: item.text,
+            sourceLang: block.sourceLang || null,
+            targetLang: job.targetLang || 'ru'
+          })
+          : [];
+      };
+      const errorCount = (issues) => issues.filter((row) => row.severity === 'error').length;
+      const verdicts = {};
+      const textById = {};
+      list.forEach((item) => {
+        if (item && blocksById[item.blockId]) {
+          verdicts[item.blockId] = { issues: check(item), retried: false, routed: false };
+          textById[item.blockId] = item.text;
+        }
+      });
+      const mode = TranslationQa.normalizeAction(action);
+      const failing = Object.keys(verdicts)
+        .filter((blockId) => TranslationQa.hasErrors(verdicts[blockId].issues))
+        .map((blockId) => blocksById[blockId]);
+      if (!failing.length || mode === 'report') {
+        return { items: list, verdicts };
+      }
+      const proofread = mode === 'proofread';
+      const issues = failing.reduce((acc, block) => acc.concat(verdicts[block.blockId].issues
+        .filter((row) => row.severity === 'error')
+        .map((row) => ({ ...row, blockId: block.blockId }))), []);
+      this._emitEvent('warn', NT.EventTypes && NT.EventTypes.Tags ? NT.EventTypes.Tags.TRANSLATION_QA : 'translation.qa', proofread
+        ? 'Перевод не прошёл проверки, отправлен на вычитку'
+        : 'Перевод не прошёл проверки, повторный запрос', {
+        tabId: job.tabId,
+        jobId: job.id,
+        batchId,
+        action: mode,
+        blockCount: failing.length,
+        issues: issues.length
+      });
+      const requestBlocks = proofread
+        ? failing.map((block) => ({
+          blockId: block.blockId,
+          originalText: typeof textById[block.blockId] === 'string' && textById[block.blockId]
+            ? textById[block.blockId]
+            : block.originalText,
+          category: block.category || null,
+          pathHint: block.pathHint || null,
+          segment: block.segment || null
+        }))
+        : failing;
+      try {
+        const repaired = await this.translationCall.translateBatch(requestBlocks, {
+          tabId: job.tabId,
+          jobId: job.id,
+          batchId: `${batchId}:qa`,
+          targetLang: job.targetLang || 'ru',
+          attempt: (job.attempts || 0) + 2,
+          agentContext: {
+            ...(agentContext || {}),
+            ...(proofread
+              ? {
+                routeHint: 'strong',
+                batchGuidance: 'Proofread the existing translated text and fix the listed check failures. Keep meaning, placeholders, code fragments, numbers, and UI constraints unchanged unless incorrect.'
+              }
+              : {}),
+            qaRetry: issues
+          },
+          signal,
+          cacheEnabled: false
+        });
+        (repaired && Array.isArray(repaired.items) ? repaired.items : []).forEach((item) => {
+          if (!item || !verdicts[item.blockId] || typeof item.text !== 'string' || !item.text.trim()) {
+            return;
+          }
+          const nextIssues = check(item);
+          const index = list.findIndex((row) => row && row.blockId === item.blockId);
+          if (errorCount(nextIssues) <= errorCount(verdicts[item.blockId].issues) && index >= 0) {
+            list[index] = { blockId: item.blockId, text: item.text };
+            verdicts[item.blockId].issues = nextIssues;
+          }
+          verdicts[item.blockId].retried = !proofread;
+          verdicts[item.blockId].routed = proofread;
+        });
+      } catch (error) {
+        if (error && (error.name === 'AbortError' || error.code === 'BUDGET_EXCEEDED')) {
+          throw error;
+        }
+      }
+      return { items: list, verdicts };
+    }
+
+    /**
+     * QA for a block applied by the agent runtime. Blocks that fail are queued
+     * for `proof.*` proofreading like a block action from the debug page; a
+     * block is routed once, so its proofread text is checked but not re-queued.
+     * The agent has no separate retry path, so 'retry' routes the same way.
+     */
+    _checkAppliedBlockQa(job, block, qaAction) {
+      const TranslationQa = NT.TranslationQa || null;
+      if (!TranslationQa || !job || !block || !block.blockId) {
+        return [];
+      }
+      const issues = TranslationQa.check({
+        sourceText: block.originalText,
+        translatedText: block.translatedText,
+        sourceLang: block.sourceLang || null,
+        targetLang: job.targetLang || 'ru'
+      });
+      const route = TranslationQa.hasErrors(issues)
+        && TranslationQa.normalizeAction(qaAction) !== 'report'
+        && block.qaRouted !== true;
+      if (route) {
+        const proof = this._ensureJobProofreadingState(job);
+        if (!proof.enabled) {
+          proof.enabled = true;
+          proof.mode = 'manual';
+        }
+        proof.pass = proof.pass > 0 ? proof.pass : 1;
+        if (!proof.pendingBlockIds.includes(block.blockId)) {
+          proof.pendingBlockIds.push(block.blockId);
+        }
+        proof.doneBlockIds = proof.doneBlockIds.filter((id) => id !== block.blockId);
+        this._emitEvent('warn', NT.EventTypes && NT.EventTypes.Tags ? NT.EventTypes.Tags.TRANSLATION_QA : 'translation.qa', 'Блок не прошёл проверки, отправлен на вычитку', {
+          tabId: job.tabId,
+          jobId: job.id,
+          blockId: block.blockId,
+          codes: issues.map((row) => row.code)
+        });
+      }
+      TranslationQa.recordCheck(job, block.blockId, issues, { routed: route });
+      return issues;
+    }
+
+    /**
+     * Optional model grading of translated blocks (`translationQualityEstimation`),
+     * run once translation is done and before proofreading. A block is graded
+     * again only when its text changes, so proofread blocks get a fresh score.
+     * Grading is advisory: blocks the model skipped or a failed request are
+     * stored without a score and the job goes on.
+     */
+    async _runQualityEstimationPass(job, settings) {
+      const call = this.translationCall;
+      if (!job || job.status !== 'running' || !settings || settings.translationQualityEstimation !== true
+        || !call || typeof call.estimateQuality !== 'function') {
+        return { updated: 0, interrupted: false };
+      }
+      const blocksById = job.blocksById && typeof job.blocksById === 'object' ? job.blocksById : {};
+      const stale = Object.keys(blocksById)
+        .map((blockId) => blocksById[blockId])
+        .filter((block) => block
+          && typeof block.originalText === 'string' && block.originalText.trim()
+          && typeof block.translatedText === 'string' && block.translatedText.trim()
+          && (!block.qualityScore || block.qualityScore.textHash !== this._hashTextStable(block.translatedText)));
+      if (!stale.length) {
+        return { updated: 0, interrupted: false };
+      }
+
+      let updated = 0;
+      let graded = 0;
+      let lastError = null;
+      for (let offset = 0; offset < stale.length && !lastError; offset += this.QUALITY_BATCH_SIZE) {
+        const chunk = stale.slice(offset, offset + this.QUALITY_BATCH_SIZE);
+        const controller = this._getJobAbortController(job.id);
+        let result = null;
+        try {
+          result = await call.estimateQuality(chunk.map((block) => ({
+            blockId: block.blockId,
+            sourceText: block.originalText,
+            translatedText: block.translatedText
+          })), {
+            tabId: job.tabId,
+            jobId: job.id,
+            batchId: `${job.id}:quality:${Math.floor(offset / this.QUALITY_BATCH_SIZE)}`,
+            targetLang: job.targetLang || 'ru',
+            signal: controller ? controller.signal : null,
+            cacheEnabled: Object.prototype.hasOwnProperty.call(job, 'apiCacheEnabled') ? job.apiCacheEnabled !== false : true
+          });
+        } catch (error) {
+          lastError = this._normalizeJobError(error, {
+            fallbackCode: 'QUALITY_ESTIMATE_FAILED',
+            fallbackMessage: 'Не удалось оценить качество перевода'
+          });
+        }
+        const refreshed = await this.jobStore.getJob(job.id);
+        if (!refreshed || refreshed.status !== 'running') {
+          return { updated, interrupted: true };
+        }
+        const scores = result && result.scores && typeof result.scores === 'object' ? result.scores : {};
+        const now = Date.now();
+        chunk.forEach((sent) => {
+          const block = refreshed.blocksById && refreshed.blocksById[sent.blockId];
+          if (!block || block.translatedText !== sent.translatedText) {
+            return;
+          }
+          const row = scores[sent.blockId] || null;
+          block.qualityScore = {
+            score: row ? row.score : null,
+            adequacy: row ? row.adequacy : null,
+            fluency: row ? row.fluency : null,
+            reasons: row && Array.isArray(row.reasons) ? row.reasons.slice(0, 2) : [],
+            textHash: this._hashTextStable(block.translatedText),
+            ts: now
+          };
+          updated += 1;
+          graded += row ? 1 : 0;
+        });
+        refreshed.qualityEstimate = {
+          ...this._qualityEstimateSummary(refreshed),
+          lastError
+        };
+        await this._saveJob(refreshed, { setActive: true });
+      }
+
+      this._emitEvent(lastError ? 'warn' : 'info', NT.EventTypes && NT.EventTypes.Tags ? NT.EventTypes.Tags.TRANSLATION_QUALITY : 'translation.quality', lastError ? 'Оценка качества перевода не удалась' : 'Качество перевода оценено', {
+        tabId: job.tabId,
+        jobId: job.id,
+        blockCount: stale.length,
+        graded,
+        error: lastError
+      });
+      return { updated, interrupted: false };
+    }
+
+    /**
+     * Page-level view of `block.qualityScore`: the average over graded blocks,
+     * how many fall below QUALITY_LOW_SCORE and the lowest few.
+     */
+    _qualityEstimateSummary(job) {
+      const blocksById = job && job.blocksById && typeof job.blocksById === 'object' ? job.blocksById : {};
+      const rows = Object.keys(blocksById)
+        .map((blockId) => blocksById[blockId])
+        .filter((block) => block && block.qualityScore && Number.isFinite(Number(block.qualityScore.score))
+          && block.qualityScore.score !== null);
+      const total = rows.reduce((sum, block) => sum + Number(block.qualityScore.score), 0);
+      const lowest = rows
+        .slice()
+        .sort((left, right) => Number(left.qualityScore.score) - Number(right.qualityScore.score))
+        .slice(0, 10)
+        .map((block) => ({
+          blockId: block.blockId,
+          score: Number(block.qualityScore.score),
+          category: this._normalizeCategory(block.category) || 'unknown',
+          reasons: Array.isArray(block.qualityScore.reasons) ? block.qualityScore.reasons.slice(0, 2) : []
+        }));
+      return {
+        scoredBlocks: rows.length,
+        avgScore: rows.length ? Math.round(total / rows.length) : null,
+        lowBlocks: rows.filter((block) => Number(block.qualityScore.score) < this.QUALITY_LOW_SCORE).length,
+        lowScore: this.QUALITY_LOW_SCORE,
+        lowest,
+        updatedAt: Date.now()
+      };
+    }
+
+    /**
+     * Unifies divergent translations of identical source text on the page
+     * (see NT.TranslationConsistency) once translation and proofreading are
+     * done. Sentence groups are rewritten to the canonical text as
+     * `consistency` patches; blocks that translated a term the rest of the
+     * page keeps as-is are re-requested once with the term marked
+     * do-not-translate. The pass is skipped while the page text is unchanged
+     * since the last check, so it settles after one rewrite.
+     */
+    async _runConsistencyPass(job, settings) {
+      const Consistency = NT.TranslationConsistency || null;
+      const mode = Consistency ? Consistency.normalizeMode(settings && settings.translationConsistency) : 'off';
+      if (!job || job.status !== 'running' || mode === 'off') {
+        return { updated: 0, interrupted: false };
+      }
+      const signature = this._consistencySignature(job);
+      const previous = job.consistency && typeof job.consistency === 'object' ? job.consistency : null;
+      if (previous && previous.checkedHash === signature) {
+        return { updated: 0, interrupted: false };
+      }
+
+      const blocks = Consistency.eligibleBlocks(job.blocksById);
+      const memoryBySource = await this._consistencyMemory(job, blocks, settings);
+      const sentences = Consistency.planSentences(blocks, memoryBySource);
+      const glossaryTerms = (Array.isArray(job.userGlossary) ? job.userGlossary : []).map((entry) => entry && entry.term);
+      const triedTerms = previous && Array.isArray(previous.triedTerms) ? previous.triedTerms : [];
+      const terms = Consistency.planTerms(blocks, { skip: glossaryTerms.concat(triedTerms) });
+      const apply = mode === 'apply';
+
+      let current = job;
+      let updated = 0;
+      const sentenceItems = [];
+      sentences.forEach((group) => {
+        group.targets.forEach((blockId) => sentenceItems.push({ blockId, text: group.canonical }));
+      });
+      if (apply && sentenceItems.length) {
+        current = await this.jobStore.getJob(job.id);
+        if (!current || current.status !== 'running') {
+          return { updated, interrupted: true };
+        }
+        const written = await this._writeBlockTranslations(current, sentenceItems, { patchKind: 'consistency' });
+        updated += written.applied;
+      }
+
+      let termError = null;
+      let termEntityReport = null;
+      const termFixed = new Set();
+      const termTargets = apply
+        ? Array.from(new Set(terms.reduce((list, row) => list.concat(row.targets), [])))
+          .filter((blockId) => !sentenceItems.some((item) => item.blockId === blockId))
+          .slice(0, this.CONSISTENCY_TERM_BLOCKS)
+        : [];
+      if (termTargets.length) {
+        const keepTerms = terms.filter((row) => row.canonical === 'keep');
+        const targetBlocks = termTargets.map((blockId) => current.blocksById[blockId]).filter(Boolean);
+        const controller = this._getJobAbortController(job.id);
+        try {
+          const result = await this.translationCall.translateBatch(targetBlocks, {
+            tabId: current.tabId,
+            jobId: current.id,
+            batchId: `${current.id}:consistency`,
+            targetLang: current.targetLang || 'ru',
+            attempt: 1,
+            agentContext: {
+              userGlossary: this._userGlossaryForBlocks(current, targetBlocks)
+                .concat(keepTerms
+                  .map((row) => ({ term: row.term, doNotTranslate: true, caseRule: 'exact' }))
+                  .map((entry) => (NT.UserGlossary ? NT.UserGlossary.normalizeEntry(entry) : entry))),
+              styleGuide: this._styleGuideForBlocks(current, targetBlocks),
+              entityProtection: this._entityProtectionMode(settings),
+              batchGuidance: 'The rest of the page keeps these terms untranslated; keep them exactly as written in the source.'
+            },
+            signal: controller ? controller.signal : null,
+            cacheEnabled: false
+          });
+          const items = (result && Array.isArray(result.items) ? result.items : []).filter((item) => {
+            const block = item && current.blocksById[item.blockId];
+            return block && typeof item.text === 'string' && item.text.trim()
+              && keepTerms.every((row) => !row.targets.includes(item.blockId) || Consistency.containsTerm(item.text, row.term));
+          });
+          const latest = await this.jobStore.getJob(job.id);
+          if (!latest || latest.status !== 'running') {
+            return { updated, interrupted: true };
+          }
+          current = latest;
+          termEntityReport = result && result.entityProtection;
+          if (items.length) {
+            const written = await this._writeBlockTranslations(current, items, { patchKind: 'consistency' });
+            updated += written.applied;
+            items.forEach((item) => termFixed.add(item.blockId));
+          }
+        } catch (error) {
+          termError = this._normalizeJobError(error, {
+            fallbackCode: 'CONSISTENCY_FAILED',
+            fallbackMessage: 'Не удалось согласовать термины'
+          });
+        }
+      }
+
+      const refreshed = await this.jobStore.getJob(job.id);
+      if (!refreshed || refreshed.status !== 'running') {
+        return { updated, interrupted: true };
+      }
+      this._recordEntityProtection(refreshed, termEntityReport);
+      const unifiedBlocks = (previous && Number.isFinite(Number(previous.unifiedBlocks)) ? Number(previous.unifiedBlocks) : 0)
+        + (apply ? sentenceItems.length + termFixed.size : 0);
+      refreshed.consistency = {
+        mode,
+        checkedHash: this._consistencySignature(refreshed),
+        runs: (previous && Number.isFinite(Number(previous.runs)) ? Number(previous.runs) : 0) + 1,
+        unifiedBlocks,
+        groups: sentences.slice(0, 50).map((group) => ({
+          sourcePreview: group.sourcePreview,
+          canonicalPreview: Consistency.preview(group.canonical),
+          reason: group.reason,
+          variants: group.variants,
+          blockIds: group.blockIds.slice(0, 40),
+          changedBlockIds: apply ? group.targets.slice(0, 40) : []
+        })).concat(previous && Array.isArray(previous.groups) ? previous.groups : []).slice(0, 50),
+        terms: terms.map((row) => ({
+          term: row.term,
+          canonical: row.canonical,
+          kept: row.keptBlockIds.length,
+          translated: row.translatedBlockIds.length,
+          changedBlockIds: row.targets.filter((blockId) => termFixed.has(blockId)).slice(0, 40)
+        })).concat(previous && Array.isArray(previous.terms) ? previous.terms : []).slice(0, 30),
+        triedTerms: triedTerms.concat(apply ? terms.filter((row) => row.targets.length).map((row) => row.term) : []).slice(-200),
+        lastError: termError,
+        updatedAt: Date.now()
+      };
+      await this._saveJob(refreshed, { setActive: true });
+      if (sentences.length || terms.length) {
+        this._emitEvent(termError ? 'warn' : 'info', NT.EventTypes && NT.EventTypes.Tags ? NT.EventTypes.Tags.TRANSLATION_CONSISTENCY : 'translation.consistency', apply ? 'Переводы одинаковых фрагментов согласованы' : 'Найдены расхождения в переводе одинаковых фрагментов', {
+          tabId: refreshed.tabId,
+          jobId: refreshed.id,
+          groups: sentences.length,
+          terms: terms.length,
+          updated,
+          error: termError
+        });
+      }
+      return { updated, interrupted: false };
+    }
+
+    _consistencySignature(job) {
+      const blocksById = job && job.blocksById && typeof job.blocksById === 'object' ? job.blocksById : {};
+      const parts = Object.keys(blocksById).sort().map((blockId) => {
+        const block = blocksById[blockId];
+        return `${blockId}:${block && typeof block.translatedText === 'string' ? this._hashTextStable(block.translatedText) : '-'}`;
+      });
+      return this._hashTextStable(parts.join('|'));
+    }
+
+    /**
+     * Memory entries for the page's source texts, keyed by normalized source;
+     * they carry the translation chosen on other pages.
+     */
+    async _consistencyMemory(job, blocks, settings) {
+      const out = {};
+      if (!this.translationMemoryStore || (settings && settings.translationMemoryEnabled === false)) {
+        return out;
+      }
+      const Consistency = NT.TranslationConsistency;
+      const seen = new Set();
+      for (let i = 0; i < blocks.length && seen.size < this.CONSISTENCY_MEMORY_LOOKUPS; i += 1) {
+        const block = blocks[i];
+        const key = Consistency.normalizeText(block.originalText);
+        if (seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+        const originalHash = block.originalHash || this._hashTextStable(String(block.originalText || '').trim());
+        const { record } = await this._getBlockMemory(job.targetLang || 'ru', originalHash, this._jobStyleGuideFingerprint(job));
+        if (record && typeof record.translatedText === 'string' && record.translatedText) {
+          out[key] = { translatedText: record.translatedText, qualityTag: record.qualityTag || 'raw' };
+        }
+      }
+      return out;
+    }
+
     async _getCompareDiffThreshold({ job = null } = {}) {
       if (job && Number.isFinite(Number(job.compareDiffThreshold))) {
         return this._normalizeCompareDiffThreshold(job.compareDiffThreshold);
@@ -4001,7 +6129,7 @@
         }
         const nextSeq = state.patchSeq + 1;
         state.patchSeq = nextSeq;
-        const kind = item.kind === 'final' || item.kind === 'restore' || item.kind === 'toggle'
+        const kind = item.kind === 'final' || item.kind === 'restore' || item.kind === 'toggle' || item.kind === 'human'
           ? item.kind
           : 'delta';
         const normalized = {
@@ -4316,6 +6444,21 @@
         tabId: job.tabId,
         status: job.status,
         message: job.message || '',
+        budget: job.budget && typeof job.budget === 'object' ? job.budget : null,
+        pause: job.pause && typeof job.pause === 'object' ? { ...job.pause } : null,
+        editMode: job.editMode === true,
+        humanEditCount: Array.isArray(job.humanEdits) ? job.humanEdits.length : 0,
+        targetLang: job.targetLang || 'ru',
+        targetLangSource: job.targetLangSource || null,
+        glossaryCheck: job.glossaryCheck && typeof job.glossaryCheck === 'object' ? job.glossaryCheck : null,
+        qaCheck: job.qaCheck && typeof job.qaCheck === 'object' ? job.qaCheck : null,
+        entityProtection: job.entityProtection && typeof job.entityProtection === 'object' ? job.entityProtection : null,
+        qualityEstimate: job.qualityEstimate && typeof job.qualityEstimate === 'object' ? job.qualityEstimate : null,
+        consistency: job.consistency && typeof job.consistency === 'object' ? job.consistency : null,
+        userGlossaryCount: Array.isArray(job.userGlossary) ? job.userGlossary.length : 0,
+        memoryFuzzy: this._memoryFuzzySummary(job),
+        dynamicContent: job.dynamicContent && typeof job.dynamicContent === 'object' ? { ...job.dynamicContent } : null,
+        viewport: this._viewportSummary(job),
         totalBlocks: Number(job.totalBlocks || 0),
         completedBlocks: Number(job.completedBlocks || 0),
         failedBlocksCount: Array.isArray(job.failedBlockIds) ? job.failedBlockIds.length : 0,
@@ -4383,6 +6526,7 @@
             userOverrides: runSettings.userOverrides && typeof runSettings.userOverrides === 'object'
               ? runSettings.userOverrides
               : {},
+            styleGuide: runSettings.styleGuide || null,
             autoTune: {
               enabled: autoTune ? autoTune.enabled !== false : true,
               mode: autoTune && autoTune.mode === 'ask_user' ? 'ask_user' : 'auto_apply',
@@ -4710,6 +6854,15 @@
       if (!job) {
         return;
       }
+      if (job.status === 'paused') {
+        return;
+      }
+      if (job.status !== 'budget_paused') {
+        const latest = await this.jobStore.getJob(job.id).catch(() => null);
+        if (latest && (latest.status === 'budget_paused' || latest.status === 'paused')) {
+          return;
+        }
+      }
       this._abortJobRequests(job.id, 'FAILED');
       this._clearPendingAckWaiters(job.id);
       await this._flushPatchEvents(job.id, { forceSave: true }).catch(() => ({ ok: false }));
@@ -4745,11 +6898,19 @@
         resolvePath('core/nt-namespace.js'),
         resolvePath('core/message-envelope.js'),
         resolvePath('core/translation-protocol.js'),
+        resolvePath('core/lang-detector.js'),
+        resolvePath('core/inline-markup.js'),
+        resolvePath('core/site-rules.js'),
+        resolvePath('core/category-learning.js'),
         resolvePath('content/dom-indexer.js'),
         resolvePath('content/dom-classifier.js'),
         resolvePath('content/diff-highlighter.js'),
         resolvePath('content/highlight-engine.js'),
         resolvePath('content/dom-applier.js'),
+        resolvePath('content/viewport-tracker.js'),
+        resolvePath('content/selection-card.js'),
+        resolvePath('content/block-editor.js'),
+        resolvePath('content/element-picker.js'),
         resolvePath('content/content-runtime.js')
       ];
       try {
@@ -4908,6 +7069,10 @@
           return;
         }
         seen.add(blockId);
+        const attribute = item.kind === 'attribute' && typeof item.attribute === 'string'
+          && /^(#text|[a-z][a-z-]{0,31})$/.test(item.attribute)
+          ? item.attribute
+          : null;
         out.push({
           blockId,
           localBlockId,
@@ -4930,12 +7095,55 @@
           preCategory: this._normalizePreCategory(item.preCategory || item.category || 'unknown'),
           featuresMini: this._sanitizeBlockFeaturesMini(item.featuresMini || item.features),
           category: this._normalizeCategory(item.category || 'unknown'),
-          features: this._sanitizeBlockFeatures(item.features)
+          sourceLang: typeof item.sourceLang === 'string' ? item.sourceLang.trim().slice(0, 12).toLowerCase() : '',
+          sourceLangConfidence: Number.isFinite(Number(item.sourceLangConfidence))
+            ? Math.max(0, Math.min(1, Number(item.sourceLangConfidence)))
+            : 0,
+          sourceLangSource: typeof item.sourceLangSource === 'string' ? item.sourceLangSource.slice(0, 16) : 'none',
+          features: this._sanitizeBlockFeatures(item.features),
+          segment: NT.InlineMarkup ? NT.InlineMarkup.sanitizeSegment(item.segment) : null,
+          siteRule: this._sanitizeSiteRule(item.siteRule),
+          kind: attribute ? 'attribute' : 'text',
+          attribute
         });
       });
       return out;
     }
 
+    _sanitizeSiteRule(input) {
+      const src = input && typeof input === 'object' ? input : null;
+      if (!src || !NT.SiteRules || !NT.SiteRules.ACTIONS.includes(src.action)) {
+        return null;
+      }
+      return {
+        id: typeof src.id === 'string' ? src.id.slice(0, 40) : null,
+        action: src.action,
+        category: src.action === 'category' ? this._normalizeCategory(src.category) : null
+      };
+    }
+
+    _markAlreadyTargetBlocks(job, blocks) {
+      const Detector = NT.LangDetector || null;
+      const list = Array.isArray(blocks) ? blocks : [];
+      const targetLang = job && typeof job.targetLang === 'string' ? job.targetLang : '';
+      let skipped = 0;
+      if (!Detector || !targetLang) {
+        return skipped;
+      }
+      list.forEach((block) => {
+        if (!block || typeof block !== 'object') {
+          return;
+        }
+        if (Detector.isAlreadyTarget(block, targetLang)) {
+          block.skipReason = 'already_target_lang';
+          skipped += 1;
+        } else if (block.skipReason === 'already_target_lang') {
+          delete block.skipReason;
+        }
+      });
+      return skipped;
+    }
+
     _normalizePreCategory(value) {
       const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
       if (!raw) {
@@ -5085,7 +7293,7 @@
       return out.sort((left, right) => Number(left.domOrderFrom || 0) - Number(right.domOrderFrom || 0));
     }
 
-    _buildPreanalysisStats({ blocksById, preRanges, scanStats } = {}) {
+    _buildPreanalysisStats({ blocksById, preRanges, scanStats, targetLang = null } = {}) {
       const map = blocksById && typeof blocksById === 'object' ? blocksById : {};
       const ranges = Array.isArray(preRanges) ? preRanges : [];
       const scan = scanStats && typeof scanStats === 'object' ? scanStats : {};
@@ -5119,7 +7327,10 @@
         blockCount: Object.keys(map).length,
         totalChars,
         byPreCategory: outByPreCategory,
-        rangeCount: ranges.length
+        rangeCount: ranges.length,
+        langMix: NT.LangDetector
+          ? NT.LangDetector.summarize(Object.keys(map).map((blockId) => map[blockId]), { targetLang: targetLang || '' })
+          : null
       };
     }
 
@@ -5389,12 +7600,15 @@
       }
       return Object.keys(map).filter((blockId) => {
         const block = map[blockId];
+        if (block && block.skipReason) {
+          return false;
+        }
         const category = this._resolveBlockCategory({
           blockId,
           block,
           classificationByBlockId
         });
-        return selectedSet.has(category);
+        return selectedSet.has(category) || this._isForcedBlock(block);
       });
     }
 
@@ -5414,7 +7628,7 @@
       const seen = new Set();
       const pushBlock = (blockId) => {
         const id = typeof blockId === 'string' ? blockId : '';
-        if (!id || seen.has(id) || !blocksById[id]) {
+        if (!id || seen.has(id) || !blocksById[id] || blocksById[id].skipReason) {
           return;
         }
         seen.add(id);
@@ -5453,6 +7667,12 @@
       if (!out.length) {
         return this._filterBlockIdsByCategories(blocksById, Array.from(selectedSet), classificationByBlockId);
       }
+      // Site rules marked "always translate" ride along with any selection.
+      Object.keys(blocksById).forEach((blockId) => {
+        if (this._isForcedBlock(blocksById[blockId])) {
+          pushBlock(blockId);
+        }
+      });
       return out.sort((left, right) => {
         const a = blocksById[left] && Number.isFinite(Number(blocksById[left].domOrder))
           ? Number(blocksById[left].domOrder)
@@ -5649,6 +7869,41 @@
       return settings.translationClassifierObserveDomChanges === true;
     }
 
+    _dynamicContentEnabled(settings) {
+      return Boolean(settings && typeof settings === 'object' && settings.translationDynamicContentEnabled === true);
+    }
+
+    _bilingualCategories(settings) {
+      const list = settings && Array.isArray(settings.translationBilingualCategories) ? settings.translationBilingualCategories : [];
+      return list
+        .filter((item) => typeof item === 'string' && item.trim())
+        .map((item) => this._normalizeCategory(item))
+        .filter((item, index, all) => all.indexOf(item) === index);
+    }
+
+    _siteRulesForUrl(settings, url) {
+      return NT.SiteRules && settings && typeof settings === 'object'
+        ? NT.SiteRules.rulesForUrl(settings.translationSiteRules, url || '')
+        : [];
+    }
+
+    _learnedCategoriesForUrl(settings, url) {
+      return NT.CategoryLearning && settings && typeof settings === 'object'
+        ? NT.CategoryLearning.forUrl(settings.translationCategoryLearning, url || '')
+        : {};
+    }
+
+    _isForcedBlock(block) {
+      return Boolean(block && !block.skipReason && block.siteRule && block.siteRule.action === 'translate');
+    }
+
+    _viewportMode(settings) {
+      const Viewport = NT.ViewportPriority || null;
+      return Viewport && settings && typeof settings === 'object'
+        ? Viewport.normalizeMode(settings.translationViewportMode)
+        : 'off';
+    }
+
     _buildScanBudgetPayload(settings) {
       const src = settings && typeof settings === 'object' ? settings : {};
       const perf = src.perf && typeof src.perf === 'object' ? src.perf : src;
@@ -5686,6 +7941,7 @@
         jobId: job.id,
         force: Boolean(force),
         classifierObserveDomChanges: this._classifierObserveDomChangesEnabled(settings),
+        learnedCategories: this._learnedCategoriesForUrl(settings, job.url),
         ...scanBudget
       };
       if (job.contentSessionId) {
@@ -5698,6 +7954,7 @@
           jobId: job.id,
           force: Boolean(force),
           classifierObserveDomChanges: this._classifierObserveDomChangesEnabled(settings),
+          learnedCategories: this._learnedCategoriesForUrl(settings, job.url),
           ...scanBudget
         });
       }
@@ -5787,6 +8044,7 @@
       const rescannedBlocks = Array.isArray(response.blocks)
         ? this._normalizeBlocks(response.blocks)
         : [];
+      this._markAlreadyTargetBlocks(job, rescannedBlocks);
       const parseFrameBlockId = (value) => {
         const raw = typeof value === 'string' ? value.trim() : '';
         const match = /^f(\d+):(.+)$/.exec(raw);
@@ -5950,6 +8208,9 @@
           key: category,
           count: 0,
           confidenceSum: 0,
+          qualitySum: 0,
+          qualityCount: 0,
+          lowQualityCount: 0,
           examples: []
         };
       });
@@ -5970,10 +8231,21 @@
           key: category,
           count: 0,
           confidenceSum: 0,
+          qualitySum: 0,
+          qualityCount: 0,
+          lowQualityCount: 0,
           examples: []
         });
         entry.count += 1;
         entry.confidenceSum += confidence;
+        const quality = block.qualityScore && block.qualityScore.score !== null && Number.isFinite(Number(block.qualityScore.score))
+          ? Number(block.qualityScore.score)
+          : null;
+        if (quality !== null) {
+          entry.qualitySum += quality;
+          entry.qualityCount += 1;
+          entry.lowQualityCount += quality < this.QUALITY_LOW_SCORE ? 1 : 0;
+        }
         if (entry.examples.length < 3) {
           entry.examples.push({
             blockId,
@@ -5990,6 +8262,8 @@
             key,
             count: row.count,
             avgConfidence: Number(avg.toFixed(3)),
+            avgQuality: row.qualityCount > 0 ? Math.round(row.qualitySum / row.qualityCount) : null,
+            lowQualityCount: row.lowQualityCount,
             examples: row.examples.slice(0, 3)
           };
         })
@@ -6003,7 +8277,8 @@
         ok: true,
         domHash: job.domHash || (job.classification && job.classification.domHash) || null,
         classificationStale: job.classificationStale === true,
-        categories
+        categories,
+        quality: job.qualityEstimate && typeof job.qualityEstimate === 'object' ? job.qualityEstimate : null
       };
     }
 
@@ -6012,7 +8287,7 @@
         return { ok: false, error: { code: 'JOB_NOT_FOUND', message: 'Р СњР ВµРЎвЂљ Р В·Р В°Р Т‘Р В°РЎвЂЎР С‘ Р Т‘Р В»РЎРЏ Р Р†РЎвЂ№Р В±Р С•РЎР‚Р В° Р С”Р В°РЎвЂљР ВµР С–Р С•РЎР‚Р С‘Р в„–' } };
       }
       const state = String(job.status || '').toLowerCase();
-      const canSelect = state === 'awaiting_categories' || state === 'running' || state === 'done' || state === 'failed';
+      const canSelect = state === 'awaiting_categories' || state === 'running' || state === 'awaiting_viewport' || state === 'done' || state === 'failed';
       if (!canSelect) {
         return {
           ok: false,
@@ -6341,6 +8616,8 @@
           translationPerfDegradedScanOnHeavy: true,
           translationCompareDiffThreshold: this.COMPARE_DIFF_THRESHOLD_DEFAULT,
           translationCompareRendering: 'auto',
+          translationMemoryFuzzyThreshold: 0.75,
+          translationDynamicContentEnabled: false,
           schemaVersion: 1,
           userSettings: null,
           effectiveSettings: null,
@@ -6390,6 +8667,18 @@
         'translationPerfDegradedScanOnHeavy',
         'translationCompareDiffThreshold',
         'translationCompareRendering',
+        'translationMemoryFuzzyThreshold',
+        'translationDynamicContentEnabled',
+        'translationViewportMode',
+        'translationHumanEditExamples',
+        'translationBilingualCategories',
+        'translationSiteRules',
+        'translationCategoryLearning',
+        'translationQaAction',
+        'translationQualityEstimation',
+        'translationConsistency',
+        'translationStyleGuides',
+        'translationEntityProtection',
         'translationModelList'
       ]);
       return {
@@ -6455,6 +8744,22 @@
           degradeOnHeavy: settings.translationPerfDegradedScanOnHeavy !== false
         },
         translationCompareDiffThreshold: this._normalizeCompareDiffThreshold(settings.translationCompareDiffThreshold),
+        translationMemoryFuzzyThreshold: NT.FuzzyMatch
+          ? NT.FuzzyMatch.normalizeThreshold(settings.translationMemoryFuzzyThreshold)
+          : 0,
+        translationDynamicContentEnabled: settings.translationDynamicContentEnabled === true,
+        translationViewportMode: NT.ViewportPriority
+          ? NT.ViewportPriority.normalizeMode(settings.translationViewportMode)
+          : 'off',
+        translationHumanEditExamples: settings.translationHumanEditExamples !== false,
+        translationBilingualCategories: this._bilingualCategories(settings),
+        translationSiteRules: NT.SiteRules ? NT.SiteRules.normalizeRules(settings.translationSiteRules) : {},
+        translationCategoryLearning: NT.CategoryLearning ? NT.CategoryLearning.normalizeMemory(settings.translationCategoryLearning) : {},
+        translationQaAction: NT.TranslationQa ? NT.TranslationQa.normalizeAction(settings.translationQaAction) : 'report',
+        translationQualityEstimation: settings.translationQualityEstimation === true,
+        translationConsistency: NT.TranslationConsistency ? NT.TranslationConsistency.normalizeMode(settings.translationConsistency) : 'report',
+        translationStyleGuides: NT.StyleGuides ? NT.StyleGuides.normalizeGuides(settings.translationStyleGuides) : {},
+        translationEntityProtection: NT.EntityProtection ? NT.EntityProtection.normalizeMode(settings.translationEntityProtection) : 'off',
         translationCompareRendering: this._normalizeCompareRendering(
           (effective && effective.ui && typeof effective.ui === 'object'
             ? effective.ui.compareRendering
@@ -6542,6 +8847,7 @@
         effective,
         userOverrides,
         agentOverrides,
+        styleGuide: src.styleGuide && typeof src.styleGuide === 'object' ? src.styleGuide : null,
         autoTune: {
           enabled: this._resolveAutoTuneEnabledFromSettings(settings, autoTune.enabled),
           mode: this._resolveAutoTuneModeFromSettings(settings, autoTune.mode),
@@ -6660,7 +8966,8 @@
       const domSigVersion = domInfo && typeof domInfo.domSigVersion === 'string'
         ? domInfo.domSigVersion
         : 'v1';
-      const pageKeySource = `${normalizedUrl}|${String(job.targetLang || 'ru').toLowerCase()}|${domHash}`;
+      const guideFingerprint = this._jobStyleGuideFingerprint(job);
+      const pageKeySource = `${normalizedUrl}|${String(job.targetLang || 'ru').toLowerCase()}|${domHash}${guideFingerprint ? `|${guideFingerprint}` : ''}`;
       const pageKey = domSignature && typeof domSignature.hashTextSha256 === 'function'
         ? await domSignature.hashTextSha256(pageKeySource).catch(() => this._hashTextStable(pageKeySource))
         : this._hashTextStable(pageKeySource);
@@ -6685,10 +8992,35 @@
       return job.memoryContext;
     }
 
-    _buildBlockMemoryKey(targetLang, originalHash) {
+    /**
+     * Block memory key. A style guide fingerprint (see
+     * NT.StyleGuides.fingerprint) keeps translations made under a guide apart;
+     * without a guide the key is unchanged.
+     */
+    _buildBlockMemoryKey(targetLang, originalHash, guideFingerprint = '') {
       const lang = typeof targetLang === 'string' && targetLang ? targetLang.toLowerCase() : 'ru';
       const hash = typeof originalHash === 'string' ? originalHash : '';
-      return this._hashTextStable(`${lang}|${hash}`);
+      const guide = typeof guideFingerprint === 'string' && guideFingerprint ? `|${guideFingerprint}` : '';
+      return this._hashTextStable(`${lang}|${hash}${guide}`);
+    }
+
+    /**
+     * Block memory lookup. Under a style guide a miss falls back to the
+     * unguided entry only when it came from a TMX import (imports carry no
+     * guide); pipeline translations made without the guide are not reused.
+     * Returns `{ blockKey, record }` with the key the record was found under.
+     */
+    async _getBlockMemory(targetLang, originalHash, guideFingerprint = '') {
+      const blockKey = this._buildBlockMemoryKey(targetLang, originalHash, guideFingerprint);
+      const record = await this.translationMemoryStore.getBlock(blockKey).catch(() => null);
+      if (record || !guideFingerprint) {
+        return { blockKey, record };
+      }
+      const plainKey = this._buildBlockMemoryKey(targetLang, originalHash);
+      const imported = await this.translationMemoryStore.getBlock(plainKey).catch(() => null);
+      return imported && imported.imported === true
+        ? { blockKey: plainKey, record: imported }
+        : { blockKey, record: null };
     }
 
     _buildPageRecommendedCategories(pageRecord, fallback) {
@@ -6790,7 +9122,7 @@
       job.recentDiffItems = Array.isArray(state.recentDiffItems) ? state.recentDiffItems.slice(-20) : (job.recentDiffItems || []);
     }
 
-    async _restoreFromTranslationMemory({ job, blocks, settings, applyToTab = true } = {}) {
+    async _restoreFromTranslationMemory({ job, blocks, settings, applyToTab = true, incremental = false } = {}) {
       if (!job || !Array.isArray(blocks) || !this.translationMemoryStore) {
         return { ok: false, restoredCount: 0, coverage: 'none', reason: 'memory_store_unavailable' };
       }
@@ -6832,10 +9164,12 @@
             restoredQualityTag = typeof record.qualityTag === 'string' ? record.qualityTag : null;
           }
         }
-        if (!translatedText) {
-          const blockKey = this._buildBlockMemoryKey(job.targetLang || 'ru', originalHash);
-          const blockRecord = await this.translationMemoryStore.getBlock(blockKey).catch(() => null);
-          if (blockRecord && typeof blockRecord.translatedText === 'string' && blockRecord.translatedText) {
+        // The page row may predate a correction the user made on another page;
+        // a human-verified block memory entry wins over any machine row.
+        if ((!translatedText || restoredQualityTag !== 'human') && !block.segment) {
+          const { blockKey, record: blockRecord } = await this._getBlockMemory(job.targetLang || 'ru', originalHash, this._jobStyleGuideFingerprint(job));
+          const usable = blockRecord && typeof blockRecord.translatedText === 'string' && blockRecord.translatedText;
+          if (usable && (!translatedText || blockRecord.qualityTag === 'human')) {
             translatedText = blockRecord.translatedText;
             restoredQualityTag = typeof blockRecord.qualityTag === 'string' ? blockRecord.qualityTag : null;
             await this.translationMemoryStore.touchBlock(blockKey).catch(() => ({ ok: false }));
@@ -6846,7 +9180,7 @@
         }
         block.translatedText = translatedText;
         block.quality = block.quality && typeof block.quality === 'object' ? block.quality : {};
-        block.quality.tag = restoredQualityTag === 'proofread' || restoredQualityTag === 'literal' || restoredQualityTag === 'styled'
+        block.quality.tag = restoredQualityTag === 'proofread' || restoredQualityTag === 'literal' || restoredQualityTag === 'styled' || restoredQualityTag === 'human'
           ? restoredQualityTag
           : 'raw';
         block.quality.lastUpdatedTs = Date.now();
@@ -6859,6 +9193,13 @@
         lookups: sourceBlocks.length,
         hits: restoredItems.length
       });
+      const restoredIds = new Set(restoredItems.map((item) => item.blockId));
+      await this._attachFuzzyMemoryReferences(
+        job,
+        sourceBlocks.filter((block) => block && block.blockId && !restoredIds.has(block.blockId)),
+        settings,
+        { append: incremental }
+      ).catch(() => null);
 
       let appliedCount = 0;
       if (applyToTab && restoredItems.length) {
@@ -7008,6 +9349,9 @@
       if (!cacheEntry || cacheEntry.signature !== job.pageSignature) {
         return miss('signature_mismatch_or_missing');
       }
+      if ((cacheEntry.styleGuide || '') !== this._jobStyleGuideFingerprint(job)) {
+        return miss('style_guide_changed');
+      }
 
       const selectedBlockIds = this._resolveSelectedBlockIds(job, job.selectedCategories, this._classificationByBlockId(job));
       if (!selectedBlockIds.length) {
@@ -7154,7 +9498,7 @@
       } catch (_) {
         return null;
       }
-      if (!cacheEntry) {
+      if (!cacheEntry || (cacheEntry.styleGuide || '') !== this._jobStyleGuideFingerprint(job)) {
         return null;
       }
       const signatureMatch = cacheEntry.signature === pageSignature;
@@ -7440,6 +9784,7 @@
           categories: Array.isArray(job.selectedCategories) ? job.selectedCategories : [],
           toolMode: job.agentState && job.agentState.toolConfig ? job.agentState.toolConfig : {},
           contextSummary: job.agentState && typeof job.agentState.contextSummary === 'string' ? job.agentState.contextSummary : '',
+          styleGuide: this._jobStyleGuideFingerprint(job),
           memoryMap: job.translationMemoryBySource && typeof job.translationMemoryBySource === 'object'
             ? job.translationMemoryBySource
             : {},
@@ -7518,7 +9863,7 @@
       const out = [];
       batch.blocks.forEach((block) => {
         const sourceText = block && typeof block.originalText === 'string' ? block.originalText.trim() : '';
-        if (!sourceText) {
+        if (!sourceText || block.segment) {
           return;
         }
         const key = this._translationMemoryKey(sourceText, block.category || null, job.targetLang || 'ru');
@@ -7562,7 +9907,7 @@
         }
         const block = indexById[item.blockId];
         const sourceText = block && typeof block.originalText === 'string' ? block.originalText.trim() : '';
-        if (!sourceText) {
+        if (!sourceText || block.segment) {
           return;
         }
         const key = this._translationMemoryKey(sourceText, block.category || null, job.targetLang || 'ru');
@@ -7644,30 +9989,44 @@
           continue;
         }
         const originalHash = block.originalHash || this._hashTextStable(String(block.originalText || '').trim());
-        const blockKey = this._buildBlockMemoryKey(job.targetLang || 'ru', originalHash);
+        const blockKey = this._buildBlockMemoryKey(job.targetLang || 'ru', originalHash, this._jobStyleGuideFingerprint(job));
         const qualityTag = block.quality && typeof block.quality === 'object'
-          && (block.quality.tag === 'proofread' || block.quality.tag === 'literal' || block.quality.tag === 'styled')
+          && (block.quality.tag === 'proofread' || block.quality.tag === 'literal' || block.quality.tag === 'styled' || block.quality.tag === 'human')
           ? block.quality.tag
           : 'raw';
-        await this.translationMemoryStore.upsertBlock({
-          blockKey,
-          originalHash,
-          targetLang: job.targetLang || 'ru',
-          translatedText: item.text,
-          qualityTag,
-          modelUsed: block.modelUsed || null,
-          routeUsed: block.routeUsed || null,
-          sourcePageKeys: [context.pageKey]
-        }).catch(() => ({ ok: false }));
-
-        pageRecord.blocks[item.blockId] = {
-          originalHash,
-          translatedText: item.text,
-          qualityTag,
-          modelUsed: block.modelUsed || null,
-          routeUsed: block.routeUsed || null,
-          updatedAt: now
-        };
+        // A piece of an inline segment only makes sense in its sentence: keep it
+        // in the page record, never in the cross-page block memory.
+        if (!block.segment) {
+          await this.translationMemoryStore.upsertBlock({
+            blockKey,
+            originalHash,
+            originalText: String(block.originalText || '').trim(),
+            sourceLang: block.sourceLang || null,
+            targetLang: job.targetLang || 'ru',
+            translatedText: item.text,
+            qualityTag,
+            modelUsed: block.modelUsed || null,
+            routeUsed: block.routeUsed || null,
+            sourcePageKeys: [context.pageKey]
+          }).catch(() => ({ ok: false }));
+        }
+
+        const existingRow = pageRecord.blocks[item.blockId];
+        // A user's correction stays the page's answer until the source changes.
+        const keepHumanRow = qualityTag !== 'human'
+          && existingRow
+          && existingRow.qualityTag === 'human'
+          && existingRow.originalHash === originalHash;
+        if (!keepHumanRow) {
+          pageRecord.blocks[item.blockId] = {
+            originalHash,
+            translatedText: item.text,
+            qualityTag,
+            modelUsed: block.modelUsed || null,
+            routeUsed: block.routeUsed || null,
+            updatedAt: now
+          };
+        }
         const category = this._normalizeCategory(block.category || block.pathHint || 'unknown');
         if (!pageRecord.categories[category] || typeof pageRecord.categories[category] !== 'object') {
           pageRecord.categories[category] = {
@@ -7697,7 +10056,7 @@
             ? pageRecord.blocks[id]
             : null;
           const tag = row && typeof row.qualityTag === 'string' ? row.qualityTag : 'raw';
-          return acc + (tag === 'proofread' || tag === 'literal' || tag === 'styled' ? 1 : 0);
+          return acc + (tag === 'proofread' || tag === 'literal' || tag === 'styled' || tag === 'human' ? 1 : 0);
         }, 0);
         categoryEntry.stats.proofreadCount = proofreadCount;
         categoryEntry.stats.proofreadCoverage = categoryEntry.stats.count > 0
@@ -2,7 +2,8 @@
  * Persistent cache for already translated pages.
  *
  * Cache key combines normalized URL + target language. Entries also include a
- * page signature so stale cache can be skipped when DOM text changed.
+ * page signature so stale cache can be skipped when DOM text changed, and the
+ * fingerprint of the style guide the page was translated with.
  */
 (function initTranslationPageCacheStore(global) {
   const NT = global.NT || (global.NT = {});
@@ -62,6 +63,7 @@
       categories = [],
       toolMode = {},
       contextSummary = '',
+      styleGuide = '',
       memoryMap = null,
       coverage = null
     } = {}) {
@@ -100,6 +102,7 @@
         toolMode: toolMode && typeof toolMode === 'object' ? { ...toolMode } : {},
         modelSpecs: Array.isArray(modelSpecs) ? modelSpecs.slice(0, 20) : [],
         contextSummary: typeof contextSummary === 'string' ? contextSummary.slice(0, 1800) : '',
+        styleGuide: typeof styleGuide === 'string' ? styleGuide.slice(0, 64) : '',
         createdAt: now,
         updatedAt: now
       };
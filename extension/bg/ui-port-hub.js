@@ -55,12 +55,12 @@
 
     resolvePortChannel(portName) {
       const raw = typeof portName === 'string' ? portName.trim().toLowerCase() : '';
-      if (raw === 'popup' || raw === 'debug') {
+      if (raw === 'popup' || raw === 'debug' || raw === 'sidepanel') {
         return raw;
       }
       if (raw.indexOf('ui:') === 0) {
         const channel = raw.slice(3);
-        if (channel === 'popup' || channel === 'debug') {
+        if (channel === 'popup' || channel === 'debug' || channel === 'sidepanel') {
           return channel;
         }
       }
@@ -176,7 +176,9 @@
           domHash: null,
           classificationStale: false,
           migrationStatus: null,
-          perfSnapshot: null
+          perfSnapshot: null,
+          usageSnapshot: null,
+          userGlossary: null
         };
       }
       const helloPayload = envelope && envelope.payload && typeof envelope.payload === 'object' ? envelope.payload : {};
@@ -255,6 +257,8 @@
         security: runtime && runtime.security ? runtime.security : null,
         migrationStatus: runtime && runtime.migrationStatus ? runtime.migrationStatus : null,
         perfSnapshot: runtime && runtime.perfSnapshot ? runtime.perfSnapshot : null,
+        usageSnapshot: runtime && runtime.usageSnapshot ? runtime.usageSnapshot : null,
+        userGlossary: runtime && runtime.userGlossary ? runtime.userGlossary : null,
         negotiation: runtime && runtime.negotiation ? runtime.negotiation : null,
         serverCaps: runtime && runtime.serverCaps ? runtime.serverCaps : null
       };
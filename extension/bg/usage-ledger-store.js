@@ -0,0 +1,322 @@
+/**
+ * Token usage and cost ledger.
+ *
+ * Records one row per LLM response and keeps rolling aggregates per job, tab,
+ * model and local calendar day. Costs are priced at record time so later price
+ * edits do not rewrite history.
+ *
+ * The ledger lives in memory once loaded; rows are applied there immediately
+ * (budget checks read them right away) and storage writes are coalesced.
+ */
+(function initUsageLedgerStore(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const MAX_ENTRIES = 400;
+  const MAX_JOBS = 80;
+  const MAX_TABS = 40;
+  const MAX_DAYS = 62;
+  const MAX_MODELS = 60;
+  const SNAPSHOT_DAYS = 14;
+  const SNAPSHOT_RECENT = 20;
+  const FLUSH_DELAY_MS = 1000;
+
+  class UsageLedgerStore extends NT.ChromeLocalStoreBase {
+    constructor({ chromeApi, storageKey = 'ntUsageLedgerV1', flushDelayMs = FLUSH_DELAY_MS } = {}) {
+      super({ chromeApi });
+      this.storageKey = typeof storageKey === 'string' && storageKey ? storageKey : 'ntUsageLedgerV1';
+      this.flushDelayMs = Number.isFinite(Number(flushDelayMs)) ? Math.max(0, Number(flushDelayMs)) : FLUSH_DELAY_MS;
+      this._mutationChain = Promise.resolve();
+      this._state = null;
+      this._dirty = false;
+      this._flushTimer = null;
+    }
+
+    _now() {
+      return Date.now();
+    }
+
+    _dayKey(ts) {
+      const date = new Date(Number.isFinite(Number(ts)) ? Number(ts) : this._now());
+      const month = String(date.getMonth() + 1).padStart(2, '0');
+      const day = String(date.getDate()).padStart(2, '0');
+      return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    _emptyTotals() {
+      return {
+        requests: 0,
+        inputTokens: 0,
+        cachedInputTokens: 0,
+        outputTokens: 0,
+        costUsd: 0,
+        unpricedRequests: 0,
+        updatedAt: null
+      };
+    }
+
+    _normalizeTotals(raw) {
+      const src = raw && typeof raw === 'object' ? raw : {};
+      const count = (value) => (Number.isFinite(Number(value)) ? Math.max(0, Number(value)) : 0);
+      return {
+        requests: count(src.requests),
+        inputTokens: count(src.inputTokens),
+        cachedInputTokens: count(src.cachedInputTokens),
+        outputTokens: count(src.outputTokens),
+        costUsd: count(src.costUsd),
+        unpricedRequests: count(src.unpricedRequests),
+        updatedAt: Number.isFinite(Number(src.updatedAt)) ? Number(src.updatedAt) : null
+      };
+    }
+
+    _normalizeBucket(raw) {
+      const src = raw && typeof raw === 'object' ? raw : {};
+      const out = {};
+      Object.keys(src).forEach((key) => {
+        if (!key) {
+          return;
+        }
+        out[key] = { ...(src[key] && typeof src[key] === 'object' ? src[key] : {}), ...this._normalizeTotals(src[key]) };
+      });
+      return out;
+    }
+
+    _normalizeState(raw) {
+      const src = raw && typeof raw === 'object' ? raw : {};
+      return {
+        v: 1,
+        entries: Array.isArray(src.entries) ? src.entries.filter((row) => row && typeof row === 'object') : [],
+        byJob: this._normalizeBucket(src.byJob),
+        byTab: this._normalizeBucket(src.byTab),
+        byModel: this._normalizeBucket(src.byModel),
+        byDay: this._normalizeBucket(src.byDay),
+        updatedAt: Number.isFinite(Number(src.updatedAt)) ? Number(src.updatedAt) : null
+      };
+    }
+
+    async _loadState() {
+      if (this._state) {
+        return this._state;
+      }
+      const data = await this.storageGet({ [this.storageKey]: null });
+      const loaded = this._normalizeState(data && data[this.storageKey]);
+      // A concurrent load may have won and already taken rows.
+      if (!this._state) {
+        this._state = loaded;
+      }
+      return this._state;
+    }
+
+    async _saveState(state) {
+      await this.storageSet({ [this.storageKey]: state });
+      return state;
+    }
+
+    async _withMutationLock(fn) {
+      if (typeof fn !== 'function') {
+        return null;
+      }
+      const current = this._mutationChain || Promise.resolve();
+      let result = null;
+      const next = current
+        .catch(() => null)
+        .then(async () => {
+          result = await fn();
+          return result;
+        });
+      this._mutationChain = next;
+      try {
+        await next;
+        return result;
+      } finally {
+        if (this._mutationChain === next) {
+          this._mutationChain = Promise.resolve();
+        }
+      }
+    }
+
+    _addTo(totals, row) {
+      const out = this._normalizeTotals(totals);
+      out.requests += 1;
+      out.inputTokens += row.inputTokens;
+      out.cachedInputTokens += row.cachedInputTokens;
+      out.outputTokens += row.outputTokens;
+      if (row.costUsd === null) {
+        out.unpricedRequests += 1;
+      } else {
+        out.costUsd = Math.round((out.costUsd + row.costUsd) * 1000000) / 1000000;
+      }
+      out.updatedAt = row.ts;
+      return out;
+    }
+
+    _prune(bucket, limit, { keepKeys = null } = {}) {
+      const keys = Object.keys(bucket || {});
+      if (keys.length <= limit) {
+        return bucket;
+      }
+      const ordered = keepKeys
+        ? keys.sort().reverse()
+        : keys.sort((a, b) => (Number(bucket[b].updatedAt) || 0) - (Number(bucket[a].updatedAt) || 0));
+      const out = {};
+      ordered.slice(0, limit).forEach((key) => {
+        out[key] = bucket[key];
+      });
+      return out;
+    }
+
+    _normalizeRow(row) {
+      const src = row && typeof row === 'object' ? row : {};
+      const count = (value) => (Number.isFinite(Number(value)) ? Math.max(0, Math.round(Number(value))) : 0);
+      const inputTokens = count(src.inputTokens);
+      const ts = Number.isFinite(Number(src.ts)) ? Number(src.ts) : this._now();
+      return {
+        ts,
+        day: this._dayKey(ts),
+        jobId: typeof src.jobId === 'string' && src.jobId ? src.jobId : null,
+        tabId: Number.isFinite(Number(src.tabId)) ? Number(src.tabId) : null,
+        modelSpec: typeof src.modelSpec === 'string' && src.modelSpec ? src.modelSpec : null,
+        model: typeof src.model === 'string' && src.model ? src.model : null,
+        provider: typeof src.provider === 'string' && src.provider ? src.provider : null,
+        taskType: typeof src.taskType === 'string' && src.taskType ? src.taskType : null,
+        requestId: typeof src.requestId === 'string' && src.requestId ? src.requestId : null,
+        inputTokens,
+        cachedInputTokens: Math.min(inputTokens, count(src.cachedInputTokens)),
+        outputTokens: count(src.outputTokens),
+        costUsd: Number.isFinite(Number(src.costUsd)) && src.costUsd !== null ? Math.max(0, Number(src.costUsd)) : null,
+        priceSource: typeof src.priceSource === 'string' && src.priceSource ? src.priceSource : 'none'
+      };
+    }
+
+    async record(rowLike) {
+      const row = this._normalizeRow(rowLike);
+      return this._withMutationLock(async () => {
+        const state = await this._loadState();
+        state.entries.push(row);
+        if (state.entries.length > MAX_ENTRIES) {
+          state.entries = state.entries.slice(-MAX_ENTRIES);
+        }
+        if (row.jobId) {
+          const prev = state.byJob[row.jobId] || { tabId: row.tabId };
+          state.byJob[row.jobId] = { ...this._addTo(prev, row), tabId: prev.tabId !== undefined ? prev.tabId : row.tabId };
+          state.byJob = this._prune(state.byJob, MAX_JOBS);
+        }
+        if (row.tabId !== null) {
+          const key = String(row.tabId);
+          state.byTab[key] = this._addTo(state.byTab[key], row);
+          state.byTab = this._prune(state.byTab, MAX_TABS);
+        }
+        const modelKey = row.modelSpec || row.model || 'unknown';
+        state.byModel[modelKey] = this._addTo(state.byModel[modelKey], row);
+        state.byModel = this._prune(state.byModel, MAX_MODELS);
+        state.byDay[row.day] = this._addTo(state.byDay[row.day], row);
+        state.byDay = this._prune(state.byDay, MAX_DAYS, { keepKeys: true });
+        state.updatedAt = row.ts;
+        this._dirty = true;
+        this._scheduleFlush();
+        return row;
+      });
+    }
+
+    _scheduleFlush() {
+      if (this._flushTimer) {
+        return;
+      }
+      this._flushTimer = global.setTimeout(() => {
+        this._flushTimer = null;
+        this.flush().catch(() => {});
+      }, this.flushDelayMs);
+    }
+
+    async flush() {
+      if (this._flushTimer) {
+        global.clearTimeout(this._flushTimer);
+        this._flushTimer = null;
+      }
+      return this._withMutationLock(async () => {
+        if (!this._dirty || !this._state) {
+          return false;
+        }
+        this._dirty = false;
+        await this._saveState(this._state);
+        return true;
+      });
+    }
+
+    async getJobTotals(jobId) {
+      if (!jobId) {
+        return this._emptyTotals();
+      }
+      const state = await this._loadState();
+      return state.byJob[jobId] ? this._normalizeTotals(state.byJob[jobId]) : this._emptyTotals();
+    }
+
+    async getTabTotals(tabId) {
+      if (!Number.isFinite(Number(tabId))) {
+        return this._emptyTotals();
+      }
+      const state = await this._loadState();
+      const row = state.byTab[String(Number(tabId))];
+      return row ? this._normalizeTotals(row) : this._emptyTotals();
+    }
+
+    async getSnapshot({ now = null } = {}) {
+      const state = await this._loadState();
+      const today = this._dayKey(Number.isFinite(Number(now)) ? Number(now) : this._now());
+      const monthPrefix = today.slice(0, 7);
+      const month = Object.keys(state.byDay)
+        .filter((day) => day.startsWith(monthPrefix))
+        .reduce((acc, day) => {
+          const row = state.byDay[day];
+          acc.requests += row.requests;
+          acc.inputTokens += row.inputTokens;
+          acc.cachedInputTokens += row.cachedInputTokens;
+          acc.outputTokens += row.outputTokens;
+          acc.costUsd = Math.round((acc.costUsd + row.costUsd) * 1000000) / 1000000;
+          acc.unpricedRequests += row.unpricedRequests;
+          acc.updatedAt = Math.max(Number(acc.updatedAt) || 0, Number(row.updatedAt) || 0) || null;
+          return acc;
+        }, this._emptyTotals());
+      const byDay = Object.keys(state.byDay)
+        .sort()
+        .slice(-SNAPSHOT_DAYS)
+        .map((day) => ({ day, ...this._normalizeTotals(state.byDay[day]) }));
+      const byJob = Object.keys(state.byJob)
+        .map((jobId) => ({ jobId, tabId: state.byJob[jobId].tabId !== undefined ? state.byJob[jobId].tabId : null, ...this._normalizeTotals(state.byJob[jobId]) }))
+        .sort((a, b) => (Number(b.updatedAt) || 0) - (Number(a.updatedAt) || 0));
+      const byTab = {};
+      Object.keys(state.byTab).forEach((key) => {
+        byTab[key] = this._normalizeTotals(state.byTab[key]);
+      });
+      const byModel = Object.keys(state.byModel)
+        .map((modelSpec) => ({ modelSpec, ...this._normalizeTotals(state.byModel[modelSpec]) }))
+        .sort((a, b) => b.costUsd - a.costUsd || b.requests - a.requests);
+      return {
+        day: today,
+        today: state.byDay[today] ? this._normalizeTotals(state.byDay[today]) : this._emptyTotals(),
+        month,
+        byDay,
+        byModel,
+        byJob,
+        byTab,
+        recent: state.entries.slice(-SNAPSHOT_RECENT).reverse(),
+        updatedAt: state.updatedAt
+      };
+    }
+
+    async clear() {
+      if (this._flushTimer) {
+        global.clearTimeout(this._flushTimer);
+        this._flushTimer = null;
+      }
+      return this._withMutationLock(async () => {
+        const state = this._normalizeState(null);
+        this._state = state;
+        this._dirty = false;
+        await this._saveState(state);
+        return state;
+      });
+    }
+  }
+
+  NT.UsageLedgerStore = UsageLedgerStore;
+})(globalThis);
@@ -0,0 +1,199 @@
+/**
+ * Persistent user glossary.
+ *
+ * Holds the entries edited in the debug UI. Normalization and page matching
+ * live in `NT.UserGlossary`; this store only serializes writes and keeps the
+ * list bounded.
+ */
+(function initUserGlossaryStore(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const IMPORT_MODES = Object.freeze(['keep', 'replace', 'merge']);
+
+  class UserGlossaryStore extends NT.ChromeLocalStoreBase {
+    constructor({ chromeApi, storageKey = 'ntUserGlossaryV1' } = {}) {
+      super({ chromeApi });
+      this.storageKey = typeof storageKey === 'string' && storageKey ? storageKey : 'ntUserGlossaryV1';
+      this._mutationChain = Promise.resolve();
+    }
+
+    _normalizeState(raw) {
+      const src = raw && typeof raw === 'object' ? raw : {};
+      return {
+        v: 1,
+        entries: NT.UserGlossary.normalizeEntries(src.entries),
+        updatedAt: Number.isFinite(Number(src.updatedAt)) ? Number(src.updatedAt) : null
+      };
+    }
+
+    async _loadState() {
+      const data = await this.storageGet({ [this.storageKey]: null });
+      return this._normalizeState(data && data[this.storageKey]);
+    }
+
+    async _saveState(state) {
+      await this.storageSet({ [this.storageKey]: state });
+      return state;
+    }
+
+    async _withMutationLock(fn) {
+      if (typeof fn !== 'function') {
+        return null;
+      }
+      const current = this._mutationChain || Promise.resolve();
+      let result = null;
+      const next = current
+        .catch(() => null)
+        .then(async () => {
+          result = await fn();
+          return result;
+        });
+      this._mutationChain = next;
+      try {
+        await next;
+        return result;
+      } finally {
+        if (this._mutationChain === next) {
+          this._mutationChain = Promise.resolve();
+        }
+      }
+    }
+
+    async getSnapshot() {
+      const state = await this._loadState();
+      return {
+        entries: state.entries,
+        updatedAt: state.updatedAt
+      };
+    }
+
+    async listEntries() {
+      const state = await this._loadState();
+      return state.entries;
+    }
+
+    async resolveForPage({ url = '', targetLang = null } = {}) {
+      const entries = await this.listEntries();
+      return NT.UserGlossary.selectForPage(entries, { url, targetLang });
+    }
+
+    async upsertEntry(entryLike) {
+      const now = Date.now();
+      const entry = NT.UserGlossary.normalizeEntry({ ...(entryLike && typeof entryLike === 'object' ? entryLike : {}), updatedAt: now });
+      if (!entry) {
+        return {
+          ok: false,
+          error: { code: 'INVALID_GLOSSARY_ENTRY', message: 'Нужен термин и перевод (или флаг «не переводить»)' }
+        };
+      }
+      return this._withMutationLock(async () => {
+        const state = await this._loadState();
+        const index = state.entries.findIndex((item) => item.id === entry.id);
+        if (index >= 0) {
+          state.entries[index] = entry;
+        } else if (state.entries.length >= NT.UserGlossary.MAX_ENTRIES) {
+          return {
+            ok: false,
+            error: { code: 'GLOSSARY_FULL', message: `Глоссарий заполнен (${NT.UserGlossary.MAX_ENTRIES} записей)` }
+          };
+        } else {
+          state.entries.push(entry);
+        }
+        state.updatedAt = now;
+        await this._saveState(state);
+        return { ok: true, entry };
+      });
+    }
+
+    /**
+     * Bulk import with conflict resolution. Entries conflict when they pin the
+     * same term/scope/language pair (`UserGlossary.entryKey`):
+     * - keep: the local entry stays untouched;
+     * - replace: the imported entry wins but keeps the local id;
+     * - merge: local fields win, empty ones are filled from the import.
+     */
+    async importEntries(entries, { mode = 'keep' } = {}) {
+      const Glossary = NT.UserGlossary;
+      const resolvedMode = IMPORT_MODES.includes(mode) ? mode : 'keep';
+      const now = Date.now();
+      const incoming = (Array.isArray(entries) ? entries : [])
+        .map((item) => Glossary.normalizeEntry({ ...(item && typeof item === 'object' ? item : {}), id: null, updatedAt: now }))
+        .filter(Boolean);
+      return this._withMutationLock(async () => {
+        const state = await this._loadState();
+        const indexByKey = new Map(state.entries.map((entry, index) => [Glossary.entryKey(entry), index]));
+        const stats = { added: 0, replaced: 0, merged: 0, skipped: 0, rejected: 0 };
+        incoming.forEach((entry) => {
+          const key = Glossary.entryKey(entry);
+          const index = indexByKey.has(key) ? indexByKey.get(key) : -1;
+          if (index < 0) {
+            if (state.entries.length >= Glossary.MAX_ENTRIES) {
+              stats.rejected += 1;
+              return;
+            }
+            indexByKey.set(key, state.entries.length);
+            state.entries.push(entry);
+            stats.added += 1;
+            return;
+          }
+          const local = state.entries[index];
+          if (resolvedMode === 'keep') {
+            stats.skipped += 1;
+          } else if (resolvedMode === 'replace') {
+            state.entries[index] = { ...entry, id: local.id };
+            stats.replaced += 1;
+          } else {
+            state.entries[index] = this._mergeEntry(local, entry, now);
+            stats.merged += 1;
+          }
+        });
+        if (stats.added || stats.replaced || stats.merged) {
+          state.updatedAt = now;
+          await this._saveState(state);
+        }
+        return { ok: true, mode: resolvedMode, ...stats, total: state.entries.length };
+      });
+    }
+
+    _mergeEntry(local, incoming, now) {
+      const notes = [local.note, incoming.note].filter(Boolean);
+      const merged = NT.UserGlossary.normalizeEntry({
+        ...incoming,
+        ...local,
+        translation: local.translation || incoming.translation,
+        doNotTranslate: local.doNotTranslate || (!local.translation && incoming.doNotTranslate),
+        caseRule: local.caseRule !== 'insensitive' ? local.caseRule : incoming.caseRule,
+        note: notes[0] && notes[1] && notes[0] !== notes[1] ? `${notes[0]}; ${notes[1]}` : notes[0] || '',
+        updatedAt: now
+      });
+      return merged || local;
+    }
+
+    async removeEntry(id) {
+      const key = typeof id === 'string' ? id : '';
+      return this._withMutationLock(async () => {
+        const state = await this._loadState();
+        const before = state.entries.length;
+        state.entries = state.entries.filter((item) => item.id !== key);
+        if (state.entries.length === before) {
+          return { ok: true, removed: false };
+        }
+        state.updatedAt = Date.now();
+        await this._saveState(state);
+        return { ok: true, removed: true };
+      });
+    }
+
+    async clear() {
+      return this._withMutationLock(async () => {
+        const state = this._normalizeState({ updatedAt: Date.now() });
+        await this._saveState(state);
+        return { ok: true };
+      });
+    }
+  }
+
+  UserGlossaryStore.IMPORT_MODES = IMPORT_MODES;
+
+  NT.UserGlossaryStore = UserGlossaryStore;
+})(globalThis);
@@ -0,0 +1,254 @@
+/**
+ * In-page edit mode for the content runtime: while enabled, a click on a
+ * translated block opens a small editor over it instead of following the
+ * page's own handlers, and the corrected text is handed to `onSave`.
+ *
+ * Like the selection card, the badge and the editor live in a closed shadow
+ * root so page styles do not leak in and the DOM indexer never sees them.
+ * Block lookup and saving are callbacks: the editor knows nothing about jobs.
+ */
+(function initBlockEditor(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const STYLE = [
+    ':host { all: initial; }',
+    '.badge {',
+    '  position: fixed; z-index: 2147483647; right: 12px; bottom: 12px;',
+    '  padding: 5px 10px; border-radius: 999px; pointer-events: none;',
+    '  background: #1d4ed8; color: #fff; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);',
+    '  font: 12px/1.4 system-ui, -apple-system, "Segoe UI", sans-serif;',
+    '}',
+    '.editor {',
+    '  position: fixed; z-index: 2147483647; box-sizing: border-box;',
+    '  display: none; padding: 8px; border-radius: 8px; border: 1px solid #d0d7de;',
+    '  background: #fff; color: #1f2328; box-shadow: 0 6px 24px rgba(0, 0, 0, 0.18);',
+    '  font: 14px/1.45 system-ui, -apple-system, "Segoe UI", sans-serif;',
+    '}',
+    '.editor.open { display: block; }',
+    'textarea {',
+    '  box-sizing: border-box; width: 100%; min-height: 72px; max-height: 40vh; resize: vertical;',
+    '  font: inherit; padding: 6px; border: 1px solid #afb8c1; border-radius: 6px; color: inherit; background: #fff;',
+    '}',
+    '.actions { display: flex; gap: 6px; margin-top: 6px; align-items: center; }',
+    '.note { font-size: 12px; color: #59636e; }',
+    '.note.error { color: #cf222e; }',
+    'button { font: inherit; font-size: 12px; padding: 3px 10px; border-radius: 6px; border: 1px solid #d0d7de; background: #f6f8fa; color: inherit; cursor: pointer; }',
+    'button.primary { border-color: #1d4ed8; background: #1d4ed8; color: #fff; }',
+    'button[disabled] { opacity: 0.5; cursor: default; }'
+  ].join('\n');
+
+  class BlockEditor {
+    constructor({ doc = global.document, resolveBlock = null, onSave = null } = {}) {
+      this.doc = doc || null;
+      this.resolveBlock = typeof resolveBlock === 'function' ? resolveBlock : null;
+      this.onSave = typeof onSave === 'function' ? onSave : null;
+      this.enabled = false;
+      this.jobId = null;
+      this.host = null;
+      this.root = null;
+      this.current = null;
+      this.saving = false;
+      this._onClick = this._onClick.bind(this);
+      this._onKeyDown = this._onKeyDown.bind(this);
+    }
+
+    setEnabled(enabled, { jobId = null } = {}) {
+      const next = Boolean(enabled) && Boolean(this.doc);
+      this.jobId = next ? jobId : null;
+      if (next === this.enabled) {
+        return this.enabled;
+      }
+      this.enabled = next;
+      if (next) {
+        if (!this._ensureRoot()) {
+          this.enabled = false;
+          return false;
+        }
+        this.doc.addEventListener('click', this._onClick, true);
+        this.doc.addEventListener('keydown', this._onKeyDown, true);
+      } else {
+        this.doc.removeEventListener('click', this._onClick, true);
+        this.doc.removeEventListener('keydown', this._onKeyDown, true);
+        this._teardown();
+      }
+      return this.enabled;
+    }
+
+    /**
+     * Opens the editor over `element` for `blockId`, prefilled with `text`.
+     */
+    open({ blockId, text, element } = {}) {
+      if (!this.enabled || !blockId || !this._ensureRoot()) {
+        return false;
+      }
+      this.current = { blockId, text: String(text || ''), element: element || null };
+      const editor = this.root.querySelector('.editor');
+      const area = editor.querySelector('textarea');
+      area.value = this.current.text;
+      editor.classList.add('open');
+      this._setNote('');
+      this._setSaving(false);
+      this._position(editor, element);
+      area.focus();
+      area.select();
+      return true;
+    }
+
+    close() {
+      this.current = null;
+      const editor = this.root ? this.root.querySelector('.editor') : null;
+      if (editor) {
+        editor.classList.remove('open');
+      }
+    }
+
+    async save() {
+      if (!this.current || this.saving || !this.onSave) {
+        return false;
+      }
+      const area = this.root.querySelector('textarea');
+      const text = String(area.value || '').trim();
+      if (!text) {
+        this._setNote('Перевод не может быть пустым', true);
+        return false;
+      }
+      if (text === this.current.text.trim()) {
+        this.close();
+        return true;
+      }
+      const blockId = this.current.blockId;
+      this._setSaving(true);
+      this._setNote('Сохраняю…');
+      try {
+        await this.onSave({ blockId, text });
+        if (this.current && this.current.blockId === blockId) {
+          this.close();
+        }
+        return true;
+      } catch (error) {
+        this._setNote(error && error.message ? `Не удалось сохранить: ${error.message}` : 'Не удалось сохранить', true);
+        return false;
+      } finally {
+        this._setSaving(false);
+      }
+    }
+
+    _onClick(event) {
+      if (!this.enabled || !event) {
+        return;
+      }
+      // Clicks inside our own shadow host are the editor's buttons.
+      if (this.host && (event.target === this.host || (typeof event.composedPath === 'function' && event.composedPath().includes(this.host)))) {
+        return;
+      }
+      const block = this.resolveBlock
+        ? this.resolveBlock(event.target, { x: event.clientX, y: event.clientY })
+        : null;
+      if (!block) {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      this.open(block);
+    }
+
+    _onKeyDown(event) {
+      if (!event || !this.current) {
+        return;
+      }
+      if (event.key === 'Escape') {
+        event.stopPropagation();
+        this.close();
+      } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        this.save();
+      }
+    }
+
+    _ensureRoot() {
+      if (this.root) {
+        return true;
+      }
+      const doc = this.doc;
+      if (!doc || !doc.documentElement || typeof doc.createElement !== 'function') {
+        return false;
+      }
+      const host = doc.createElement('nt-block-editor');
+      const root = typeof host.attachShadow === 'function' ? host.attachShadow({ mode: 'closed' }) : host;
+      const style = doc.createElement('style');
+      style.textContent = STYLE;
+      const badge = doc.createElement('div');
+      badge.className = 'badge';
+      badge.textContent = 'Режим правки: нажмите на перевод';
+      const editor = doc.createElement('div');
+      editor.className = 'editor';
+      editor.setAttribute('role', 'dialog');
+      editor.innerHTML = [
+        '<textarea spellcheck="true"></textarea>',
+        '<div class="actions">',
+        '<button class="primary" data-action="save" title="Ctrl+Enter">Сохранить</button>',
+        '<button data-action="cancel" title="Esc">Отмена</button>',
+        '<span class="note"></span>',
+        '</div>'
+      ].join('');
+      editor.addEventListener('click', (event) => {
+        const target = event.target && typeof event.target.closest === 'function' ? event.target.closest('[data-action]') : null;
+        const action = target ? target.getAttribute('data-action') : null;
+        if (action === 'save') {
+          this.save();
+        } else if (action === 'cancel') {
+          this.close();
+        }
+      });
+      root.appendChild(style);
+      root.appendChild(badge);
+      root.appendChild(editor);
+      doc.documentElement.appendChild(host);
+      this.host = host;
+      this.root = root;
+      return true;
+    }
+
+    _teardown() {
+      if (this.host && this.host.parentNode) {
+        this.host.parentNode.removeChild(this.host);
+      }
+      this.host = null;
+      this.root = null;
+      this.current = null;
+      this.saving = false;
+    }
+
+    _position(editor, element) {
+      const rect = element && typeof element.getBoundingClientRect === 'function'
+        ? element.getBoundingClientRect()
+        : null;
+      const viewportWidth = Number(global.innerWidth) || 1024;
+      const viewportHeight = Number(global.innerHeight) || 768;
+      const width = Math.min(Math.max(rect ? rect.width : 0, 320), viewportWidth - 16);
+      const left = rect ? Math.min(Math.max(8, rect.left), viewportWidth - width - 8) : (viewportWidth - width) / 2;
+      const top = rect ? Math.min(Math.max(8, rect.top), viewportHeight - 160) : 16;
+      editor.style.width = `${Math.round(width)}px`;
+      editor.style.left = `${Math.round(Math.max(8, left))}px`;
+      editor.style.top = `${Math.round(Math.max(8, top))}px`;
+    }
+
+    _setNote(text, isError = false) {
+      const note = this.root ? this.root.querySelector('.note') : null;
+      if (note) {
+        note.textContent = text;
+        note.classList.toggle('error', Boolean(isError));
+      }
+    }
+
+    _setSaving(saving) {
+      this.saving = Boolean(saving);
+      const button = this.root ? this.root.querySelector('[data-action="save"]') : null;
+      if (button) {
+        button.disabled = this.saving;
+      }
+    }
+  }
+
+  NT.BlockEditor = BlockEditor;
+})(globalThis);
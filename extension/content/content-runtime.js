@@ -13,6 +13,22 @@
   const indexer = new NT.DomIndexer({ doc: global.document });
   const applier = new NT.DomApplier();
   const classifier = NT.DomClassifier ? new NT.DomClassifier() : null;
+  const viewportTracker = NT.ViewportTracker ? new NT.ViewportTracker({ onReport: sendViewportReport }) : null;
+  const selectionCard = NT.SelectionCard ? new NT.SelectionCard({ doc: global.document }) : null;
+  const blockEditor = NT.BlockEditor
+    ? new NT.BlockEditor({
+      doc: global.document,
+      resolveBlock: (target, point) => applier.findEditableBlock(target, point),
+      onSave: sendBlockEdit
+    })
+    : null;
+  const elementPicker = NT.ElementPicker
+    ? new NT.ElementPicker({
+      doc: global.document,
+      categories: NT.DomClassifier && Array.isArray(NT.DomClassifier.CATEGORIES) ? NT.DomClassifier.CATEGORIES : [],
+      onPick: sendSiteRule
+    })
+    : null;
   const contentSessionId = (MessageEnvelope && typeof MessageEnvelope.newId === 'function')
     ? MessageEnvelope.newId()
     : `cs-${Date.now()}-${Math.random().toString(16).slice(2)}`;
@@ -27,9 +43,19 @@
   let activeJobId = null;
   let lastScanSnapshot = null;
   let classificationStale = false;
+  let learnedCategories = {};
   let domObserver = null;
   let domObserverDebounce = null;
   let observeDomChangesEnabled = false;
+  let dynamicContentEnabled = false;
+  let dynamicRoots = new Set();
+  let dynamicFlushTimer = null;
+  let dynamicLastSentAt = 0;
+  let dynamicNextIndex = 0;
+  const DYNAMIC_DEBOUNCE_MS = 750;
+  const DYNAMIC_MIN_INTERVAL_MS = 2000;
+  const DYNAMIC_MAX_BLOCKS_PER_DELTA = 150;
+  const DYNAMIC_MAX_PENDING_ROOTS = 400;
   let runtimeFrameId = isTopFrame ? 0 : null;
   let runtimeDocumentId = null;
   let runtimeFrameUrl = global.location && typeof global.location.href === 'string'
@@ -56,6 +82,11 @@
       domObserver.disconnect();
     }
     domObserver = null;
+    if (dynamicFlushTimer) {
+      global.clearTimeout(dynamicFlushTimer);
+      dynamicFlushTimer = null;
+    }
+    dynamicRoots = new Set();
   }
 
   function markClassificationStale({ reason = 'dom_mutation', resetScanSnapshot = false } = {}) {
@@ -221,13 +252,180 @@
     }
   }
 
+  function collectDynamicRoots(mutations) {
+    (Array.isArray(mutations) ? mutations : []).forEach((mutation) => {
+      if (!mutation || mutation.type !== 'childList' || !mutation.addedNodes) {
+        return;
+      }
+      Array.prototype.forEach.call(mutation.addedNodes, (node) => {
+        if (!node || (node.nodeType !== 1 && node.nodeType !== 3)) {
+          return;
+        }
+        if (dynamicRoots.size >= DYNAMIC_MAX_PENDING_ROOTS || applier.isTrackedNode(node)) {
+          return;
+        }
+        dynamicRoots.add(node);
+      });
+    });
+    if (dynamicRoots.size) {
+      scheduleDynamicFlush();
+    }
+  }
+
+  function scheduleDynamicFlush() {
+    if (dynamicFlushTimer) {
+      return;
+    }
+    const waitMs = Math.max(DYNAMIC_DEBOUNCE_MS, (dynamicLastSentAt + DYNAMIC_MIN_INTERVAL_MS) - Date.now());
+    dynamicFlushTimer = global.setTimeout(() => {
+      dynamicFlushTimer = null;
+      flushDynamicContent();
+    }, waitMs);
+  }
+
+  /**
+   * Indexes subtrees added since the last flush and sends them as a scan
+   * delta. Nested roots collapse into their outermost ancestor; whatever
+   * does not fit into one delta is re-queued for the next flush.
+   */
+  function flushDynamicContent() {
+    if (!activeJobId || !dynamicContentEnabled || !dynamicRoots.size) {
+      dynamicRoots = new Set();
+      return;
+    }
+    const pending = Array.from(dynamicRoots).filter((node) => node && node.isConnected);
+    dynamicRoots = new Set();
+    const roots = pending.filter((node) => !pending.some((other) => other !== node
+      && other.nodeType === 1
+      && typeof other.contains === 'function'
+      && other.contains(node)));
+    const scanned = indexer.scanSubtrees(roots, {
+      startIndex: dynamicNextIndex,
+      maxTextNodes: DYNAMIC_MAX_BLOCKS_PER_DELTA,
+      isIndexed: (node, attribute) => applier.isTrackedNode(node, attribute)
+    });
+    dynamicNextIndex = scanned.nextIndex;
+    if (scanned.truncated) {
+      roots.forEach((node) => dynamicRoots.add(node));
+    }
+    if (scanned.blocks.length) {
+      applier.appendBlocks(activeJobId, scanned.blocks, scanned.blockNodes);
+      if (viewportTracker) {
+        viewportTracker.observe(scanned.blocks, scanned.blockNodes);
+      }
+      if (lastScanSnapshot && Array.isArray(lastScanSnapshot.blocks)) {
+        lastScanSnapshot.blocks = lastScanSnapshot.blocks.concat(scanned.blocks);
+        lastScanSnapshot.blockNodes = { ...(lastScanSnapshot.blockNodes || {}), ...scanned.blockNodes };
+      }
+      const classified = classifier ? classifier.classifyBlocks(scanned.blocks, buildClassifierEnv()) : null;
+      dynamicLastSentAt = Date.now();
+      sendToBackground(wrapOutgoing(protocol.CS_SCAN_DELTA, {
+        jobId: activeJobId,
+        frameId: runtimeFrameId,
+        frameUrl: runtimeFrameUrl,
+        blocks: scanned.blocks,
+        byBlockId: classified && classified.byBlockId ? classified.byBlockId : {},
+        truncated: scanned.truncated === true,
+        contentSessionId
+      }, buildFrameMeta({
+        source: 'content',
+        stage: 'scan_delta',
+        requestId: activeJobId || null
+      })), () => {});
+    }
+    if (dynamicRoots.size) {
+      scheduleDynamicFlush();
+    }
+  }
+
+  function sendViewportReport(report) {
+    if (!activeJobId || !protocol.CS_VIEWPORT_UPDATE) {
+      return;
+    }
+    sendToBackground(wrapOutgoing(protocol.CS_VIEWPORT_UPDATE, {
+      jobId: activeJobId,
+      frameId: runtimeFrameId,
+      visibleBlockIds: report.visibleBlockIds,
+      nearBlockIds: report.nearBlockIds,
+      contentSessionId
+    }, buildFrameMeta({
+      source: 'content',
+      stage: 'viewport_update',
+      requestId: activeJobId || null
+    })), () => {});
+  }
+
+  function sendBlockEdit({ blockId, text }) {
+    return new Promise((resolve, reject) => {
+      sendToBackground(wrapOutgoing(protocol.CS_BLOCK_EDIT, {
+        jobId: activeJobId,
+        blockId,
+        text,
+        contentSessionId
+      }, buildFrameMeta({
+        source: 'content',
+        stage: 'block_edit',
+        requestId: activeJobId || null
+      })), (response) => {
+        if (response && response.ok) {
+          resolve(response);
+          return;
+        }
+        const error = response && response.error ? response.error : null;
+        reject(new Error(error && error.message ? error.message : 'Фоновый сервис не ответил'));
+      });
+    });
+  }
+
+  function sendSiteRule(rule) {
+    return new Promise((resolve, reject) => {
+      sendToBackground(wrapOutgoing(protocol.CS_SITE_RULE, {
+        rule,
+        url: global.location ? global.location.href : '',
+        contentSessionId
+      }, buildFrameMeta({
+        source: 'content',
+        stage: 'site_rule',
+        requestId: activeJobId || null
+      })), (response) => {
+        if (response && response.ok) {
+          // Dropping the snapshot makes the next classification rescan the
+          // page with the new rule applied.
+          indexer.setSiteRules(response.siteRules);
+          markClassificationStale({ reason: 'site_rule', resetScanSnapshot: true });
+          resolve(response);
+          return;
+        }
+        const error = response && response.error ? response.error : null;
+        reject(new Error(error && error.message ? error.message : 'Фоновый сервис не ответил'));
+      });
+    });
+  }
+
+  function configureViewportTracking(mode, snapshot) {
+    if (!viewportTracker) {
+      return;
+    }
+    if ((mode === 'priority' || mode === 'lazy') && snapshot) {
+      viewportTracker.start(snapshot.blocks, snapshot.blockNodes);
+    } else {
+      viewportTracker.stop();
+    }
+  }
+
   function startDomObserver() {
     stopDomObserver();
-    if (!observeDomChangesEnabled || !global.MutationObserver || !global.document || !global.document.body) {
+    if ((!observeDomChangesEnabled && !dynamicContentEnabled) || !global.MutationObserver || !global.document || !global.document.body) {
       return;
     }
     const debounceMs = 750;
-    domObserver = new global.MutationObserver(() => {
+    domObserver = new global.MutationObserver((mutations) => {
+      if (dynamicContentEnabled && activeJobId) {
+        collectDynamicRoots(mutations);
+      }
+      if (!observeDomChangesEnabled) {
+        return;
+      }
       if (domObserverDebounce) {
         global.clearTimeout(domObserverDebounce);
       }
@@ -246,9 +444,15 @@
     });
   }
 
-  function configureDomObserver(enabled) {
-    observeDomChangesEnabled = Boolean(enabled);
-    if (!observeDomChangesEnabled) {
+  function configureDomObserver(enabled, { dynamicContent = dynamicContentEnabled } = {}) {
+    const nextObserve = Boolean(enabled);
+    const nextDynamic = Boolean(dynamicContent);
+    if (domObserver && nextObserve === observeDomChangesEnabled && nextDynamic === dynamicContentEnabled) {
+      return;
+    }
+    observeDomChangesEnabled = nextObserve;
+    dynamicContentEnabled = nextDynamic;
+    if (!observeDomChangesEnabled && !dynamicContentEnabled) {
       stopDomObserver();
       return;
     }
@@ -272,6 +476,13 @@
     return applier.setCompareDiffThreshold(next, { rerender });
   }
 
+  function applySiteRules(message) {
+    const payload = message && typeof message === 'object' ? message : {};
+    if (Array.isArray(payload.siteRules)) {
+      indexer.setSiteRules(payload.siteRules);
+    }
+  }
+
   function normalizeCompareRendering(value) {
     const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
     if (raw === 'highlights' || raw === 'wrappers' || raw === 'auto') {
@@ -299,6 +510,7 @@
     return {
       domIndexerVersion: 'v1',
       supportsApplyDelta: true,
+      supportsScanDelta: true,
       supportsRestoreOriginal: true,
       supportsCompareMode: true,
       supportsHighlights: highlightSupported,
@@ -313,6 +525,28 @@
     };
   }
 
+  function applyBilingualCategories(message, { rerender = true } = {}) {
+    const payload = message && typeof message === 'object' ? message : {};
+    if (!Array.isArray(payload.bilingualCategories)) {
+      return null;
+    }
+    return applier.setBilingualCategories(payload.bilingualCategories, { rerender });
+  }
+
+  function buildClassifierEnv() {
+    return {
+      documentLang: global.document && global.document.documentElement
+        ? (global.document.documentElement.lang || '')
+        : '',
+      urlHints: {
+        host: global.location && global.location.host ? global.location.host : '',
+        pathname: global.location && global.location.pathname ? global.location.pathname : ''
+      },
+      contentCaps: buildContentCaps(),
+      learnedCategories
+    };
+  }
+
   function buildToolsetWanted() {
     return {
       toolsetId: 'neuro-translate',
@@ -414,6 +648,7 @@
     activeJobId = message.jobId || null;
     const compareDiffThreshold = applyCompareDiffThreshold(message, { rerender: false });
     const compareRendering = applyCompareRendering(message, { rerender: false });
+    applySiteRules(message);
     let lastScanProgressSentAt = 0;
     performScan(message, {
       onProgress: (progress) => {
@@ -446,7 +681,12 @@
         classificationStale = false;
         applier.setBlocks(activeJobId, snapshot.blocks, snapshot.blockNodes);
       }
-      configureDomObserver(Boolean(message && message.classifierObserveDomChanges === true));
+      dynamicNextIndex = 0;
+      configureDomObserver(Boolean(message && message.classifierObserveDomChanges === true), {
+        dynamicContent: Boolean(message && message.dynamicContent === true)
+      });
+      configureViewportTracking(message ? message.viewportMode : null, scanResult && scanResult.ok ? snapshot : null);
+      applyBilingualCategories(message, { rerender: false });
       if (message && typeof message.mode === 'string') {
         applier.setDisplayMode(message.mode);
       } else if (Object.prototype.hasOwnProperty.call(message || {}, 'visible')) {
@@ -499,6 +739,9 @@
       return;
     }
     configureDomObserver(Boolean(message && message.classifierObserveDomChanges === true));
+    if (message && message.learnedCategories && typeof message.learnedCategories === 'object') {
+      learnedCategories = message.learnedCategories;
+    }
     if (!classifier) {
       sendResponse({
         ok: false,
@@ -535,18 +778,10 @@
         return;
       }
       const blocks = Array.isArray(snapshot.blocks) ? snapshot.blocks : [];
-      const env = {
-        documentLang: global.document && global.document.documentElement
-          ? (global.document.documentElement.lang || '')
-          : '',
-        urlHints: {
-          host: global.location && global.location.host ? global.location.host : '',
-          pathname: global.location && global.location.pathname ? global.location.pathname : ''
-        },
-        contentCaps: buildContentCaps()
-      };
+      const env = buildClassifierEnv();
       const classifyStartedAt = Date.now();
       const classified = classifier.classifyBlocks(blocks, env);
+      applier.setBlockCategories(classified && classified.byBlockId ? classified.byBlockId : {});
       const classifyPerf = {
         scanTimeMs: scanPerf && Number.isFinite(Number(scanPerf.scanTimeMs))
           ? Math.max(0, Number(scanPerf.scanTimeMs))
@@ -749,7 +984,11 @@
     }
     applier.restoreOriginals({ jobId: activeJobId });
     activeJobId = null;
+    if (blockEditor) {
+      blockEditor.setEnabled(false);
+    }
     stopDomObserver();
+    configureViewportTracking('off', null);
     lastScanSnapshot = null;
     classificationStale = false;
     sendResponse({ ok: true });
@@ -762,6 +1001,7 @@
     }
     const compareDiffThreshold = applyCompareDiffThreshold(message, { rerender: true });
     const compareRendering = applyCompareRendering(message, { rerender: true });
+    applyBilingualCategories(message, { rerender: typeof message.mode !== 'string' });
     const result = typeof message.mode === 'string'
       ? applier.setDisplayMode(message.mode)
       : applier.setVisibility(Boolean(message.visible));
@@ -793,12 +1033,84 @@
     if (!message || !message.jobId || message.jobId === activeJobId) {
       activeJobId = null;
     }
+    if (blockEditor) {
+      blockEditor.setEnabled(false);
+    }
     stopDomObserver();
+    configureViewportTracking('off', null);
     lastScanSnapshot = null;
     classificationStale = false;
     sendResponse({ ok: true, erased: true });
   }
 
+  function onRevealBlock(message, sendResponse) {
+    if (!isTopFrame) {
+      sendResponse({ ok: true, ignored: true, reason: 'non_top_frame_runtime' });
+      return;
+    }
+    const result = applier.revealBlock({
+      jobId: message.jobId || activeJobId,
+      blockId: message.blockId || null
+    });
+    sendResponse({ ok: true, revealed: result.revealed });
+  }
+
+  function onSetEditMode(message, sendResponse) {
+    if (!isTopFrame) {
+      sendResponse({ ok: true, ignored: true, reason: 'non_top_frame_runtime' });
+      return;
+    }
+    if (!blockEditor) {
+      sendResponse({ ok: false, error: { code: 'EDIT_UNSUPPORTED', message: 'BlockEditor unavailable' } });
+      return;
+    }
+    const enabled = message.enabled === true && Boolean(activeJobId) && (!message.jobId || message.jobId === activeJobId);
+    sendResponse({ ok: true, enabled: blockEditor.setEnabled(enabled, { jobId: activeJobId }) });
+  }
+
+  function onStartPicker(message, sendResponse) {
+    if (!isTopFrame) {
+      sendResponse({ ok: true, ignored: true, reason: 'non_top_frame_runtime' });
+      return;
+    }
+    if (!elementPicker) {
+      sendResponse({ ok: false, error: { code: 'PICKER_UNSUPPORTED', message: 'ElementPicker unavailable' } });
+      return;
+    }
+    sendResponse({ ok: true, started: elementPicker.start() });
+  }
+
+  // Selection translation works in whichever frame holds the selection, so
+  // unlike the job handlers these do not skip child frames.
+  function onSelectionCapture(message, sendResponse) {
+    if (!selectionCard) {
+      sendResponse({ ok: false, error: { code: 'SELECTION_UNSUPPORTED', message: 'SelectionCard unavailable' } });
+      return;
+    }
+    const captured = selectionCard.capture();
+    sendResponse({
+      ok: true,
+      selection: captured,
+      frameUrl: runtimeFrameUrl || null
+    });
+  }
+
+  function onSelectionShow(message, sendResponse) {
+    if (!selectionCard) {
+      sendResponse({ ok: false, error: { code: 'SELECTION_UNSUPPORTED', message: 'SelectionCard unavailable' } });
+      return;
+    }
+    const shown = selectionCard.show({
+      selectionId: message.selectionId || null,
+      state: message.state,
+      translatedText: message.translatedText,
+      targetLang: message.targetLang,
+      error: message.error || null,
+      fromMemory: message.fromMemory === true
+    });
+    sendResponse({ ok: true, shown });
+  }
+
   if (global.chrome && global.chrome.runtime && global.chrome.runtime.onMessage) {
     global.chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       const parsed = unwrapIncoming(message);
@@ -853,6 +1165,26 @@
         onEraseJobData(msg, sendResponse);
         return true;
       }
+      if (type === protocol.BG_REVEAL_BLOCK) {
+        onRevealBlock(msg, sendResponse);
+        return true;
+      }
+      if (type === protocol.BG_SET_EDIT_MODE) {
+        onSetEditMode(msg, sendResponse);
+        return true;
+      }
+      if (type === protocol.BG_START_PICKER) {
+        onStartPicker(msg, sendResponse);
+        return true;
+      }
+      if (type === protocol.BG_SELECTION_CAPTURE) {
+        onSelectionCapture(msg, sendResponse);
+        return true;
+      }
+      if (type === protocol.BG_SELECTION_SHOW) {
+        onSelectionShow(msg, sendResponse);
+        return true;
+      }
       return false;
     });
   }
@@ -5,10 +5,21 @@
  * - top-frame apply for document/iframe/shadow scanned records
  * - anchor-based rebind on SPA rerender
  * - compare rendering via CSS Highlights API with wrappers fallback
+ * - attribute records (alt/title/placeholder/..., document title) written
+ *   with setAttribute and restored to the page's own value
+ * - bilingual mode: the original stays in place and the translation is shown
+ *   in an `<nt-bilingual>` element below its block container
  */
 (function initDomApplier(global) {
   const NT = global.NT || (global.NT = {});
 
+  const BILINGUAL_TAG = 'NT-BILINGUAL';
+  // Parents whose content model only allows specific children: the
+  // translation goes inside the container instead of next to it.
+  const STRUCTURED_PARENTS = new Set(['UL', 'OL', 'MENU', 'DL', 'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'COLGROUP', 'SELECT', 'DATALIST', 'OPTGROUP']);
+  const NO_BILINGUAL_HOSTS = new Set(['OPTION', 'TITLE', 'TEXTAREA', 'SELECT', 'HEAD', 'HTML']);
+  const INLINE_TAGS = new Set(['A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'CODE', 'DATA', 'DFN', 'EM', 'I', 'KBD', 'MARK', 'Q', 'S', 'SAMP', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'TIME', 'U', 'VAR', 'FONT', 'LABEL']);
+
   class DomApplier {
     constructor() {
       this.currentJobId = null;
@@ -23,7 +34,12 @@
       this.maxRebindAttempts = 2;
       this.skipTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT']);
       this.pendingHighlightTimers = {};
+      this.trackedHosts = typeof global.WeakSet === 'function' ? new global.WeakSet() : null;
+      this.trackedAttributes = typeof global.WeakMap === 'function' ? new global.WeakMap() : null;
+      this.hostTitles = typeof global.WeakMap === 'function' ? new global.WeakMap() : null;
       this.styledDocuments = typeof global.WeakSet === 'function' ? new global.WeakSet() : null;
+      this.bilingualCategories = null;
+      this.bilingualSlots = new Map();
       this.metrics = {
         highlights: {
           supported: this.highlightEngine ? this.highlightEngine.isSupported() : false,
@@ -42,8 +58,59 @@
       if (this.highlightEngine) {
         this.highlightEngine.clearHighlights();
       }
+      this._removeBilingualSlots();
       this.currentJobId = jobId;
       this.records = {};
+      this.trackedHosts = typeof global.WeakSet === 'function' ? new global.WeakSet() : null;
+      this.trackedAttributes = typeof global.WeakMap === 'function' ? new global.WeakMap() : null;
+      this._addRecords(blocks, blockNodes);
+      this.metrics.highlights.supported = this.highlightEngine ? this.highlightEngine.isSupported() : false;
+      this.metrics.highlights.mode = this.compareRendering;
+      this._ensureCompareStyles(global.document);
+      this._syncHighlightMode();
+    }
+
+    /**
+     * Registers blocks indexed after the initial scan without dropping the
+     * records (and rendered translations) that already exist.
+     */
+    appendBlocks(jobId, blocks, blockNodes) {
+      if (!jobId || jobId !== this.currentJobId) {
+        return { added: 0 };
+      }
+      return { added: this._addRecords(blocks, blockNodes) };
+    }
+
+    /**
+     * True for text this applier renders itself: the text node of a tracked
+     * host, compare markup (`mark.nt-diff-ins`) written into one, or a
+     * bilingual translation element. Keeps rendering mutations from being
+     * mistaken for new page content. With `attribute`, answers whether that
+     * attribute of the element is tracked.
+     */
+    isTrackedNode(node, attribute = null) {
+      if (attribute) {
+        const names = this.trackedAttributes && node ? this.trackedAttributes.get(node) : null;
+        return Boolean(names && names.has(attribute));
+      }
+      if (!node) {
+        return false;
+      }
+      let element = node.nodeType === 1 ? node : node.parentElement;
+      if (element && element.tagName === BILINGUAL_TAG) {
+        return true;
+      }
+      if (!this.trackedHosts) {
+        return false;
+      }
+      if (element && element.classList && element.classList.contains('nt-diff-ins')) {
+        element = element.parentElement;
+      }
+      return Boolean(element && this.trackedHosts.has(element) && (node.nodeType !== 1 || element !== node));
+    }
+
+    _addRecords(blocks, blockNodes) {
+      let added = 0;
       const list = Array.isArray(blocks) ? blocks : [];
       list.forEach((block) => {
         if (!block || !block.blockId) {
@@ -54,15 +121,42 @@
           return;
         }
         const ownerDocument = node.ownerDocument || global.document;
-        const originalText = block.originalText || '';
-        const hostElement = node && node.parentElement ? node.parentElement : null;
+        const attribute = block.kind === 'attribute' && typeof block.attribute === 'string' && node.nodeType === 1
+          ? block.attribute
+          : null;
+        const segment = block.segment && typeof block.segment === 'object' && block.segment.id
+          ? {
+            id: block.segment.id,
+            spaceBefore: block.segment.spaceBefore === true,
+            spaceAfter: block.segment.spaceAfter === true
+          }
+          : null;
+        // Segment members share their host with sibling nodes, so the raw node
+        // text (edge spaces included) is what "original" has to put back.
+        let originalText = segment && node.nodeType === 3 && typeof node.textContent === 'string'
+          ? node.textContent
+          : (block.originalText || '');
+        if (attribute) {
+          originalText = this._readAttribute(node, attribute);
+          this._trackAttribute(node, attribute);
+        }
+        // Attribute records have no host: compare decorations (outline, the
+        // "Original:" tooltip) belong to text, not to the element's attributes.
+        const hostElement = !attribute && node && node.parentElement ? node.parentElement : null;
         this._ensureCompareStyles(ownerDocument);
+        if (hostElement && this.trackedHosts) {
+          this.trackedHosts.add(hostElement);
+        }
         this.records[block.blockId] = {
           blockId: block.blockId,
           node,
           hostElement,
           ownerDocument,
           originalText,
+          segment,
+          attribute,
+          category: typeof block.category === 'string' && block.category ? block.category : null,
+          bilingualContainer: null,
           translatedText: null,
           currentRenderedText: originalText,
           compareInlineApplied: false,
@@ -80,11 +174,9 @@
             frameId: Number.isFinite(Number(block.frameId)) ? Number(block.frameId) : 0
           }
         };
+        added += 1;
       });
-      this.metrics.highlights.supported = this.highlightEngine ? this.highlightEngine.isSupported() : false;
-      this.metrics.highlights.mode = this.compareRendering;
-      this._ensureCompareStyles(global.document);
-      this._syncHighlightMode();
+      return added;
     }
 
     applyBatch({ jobId, items }) {
@@ -175,6 +267,107 @@
       };
     }
 
+    /**
+     * Scrolls a block into view and briefly outlines its host (side panel
+     * "go to block"). Attribute blocks outline the element that carries them.
+     */
+    revealBlock({ jobId, blockId, flashMs = 1600 } = {}) {
+      const record = jobId && jobId === this.currentJobId && blockId ? this.records[blockId] : null;
+      if (!record || !this._ensureLiveRecord(record).ok) {
+        return { revealed: false };
+      }
+      const element = record.attribute ? record.node : (record.hostElement || (record.node && record.node.parentElement));
+      if (!element || typeof element.scrollIntoView !== 'function') {
+        return { revealed: false };
+      }
+      element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+      if (element.style) {
+        const previous = { outline: element.style.outline, outlineOffset: element.style.outlineOffset };
+        element.style.outline = '2px solid #1d4ed8';
+        element.style.outlineOffset = '2px';
+        global.setTimeout(() => {
+          element.style.outline = previous.outline;
+          element.style.outlineOffset = previous.outlineOffset;
+        }, flashMs);
+      }
+      return { revealed: true };
+    }
+
+    /**
+     * Resolves a click target to the translated block under it (page edit
+     * mode). Segment members share a host, so the caret position picks the
+     * exact text node; otherwise the closest whole-host record wins.
+     * Returns `{ blockId, text, element }` or null.
+     */
+    findEditableBlock(target, point = null) {
+      const element = target && target.nodeType === 1 ? target : (target && target.parentElement) || null;
+      if (!element || !this.currentJobId) {
+        return null;
+      }
+      const bilingual = element.tagName === BILINGUAL_TAG ? element : null;
+      if (bilingual) {
+        const slot = Array.from(this.bilingualSlots.values()).find((item) => item.element === bilingual) || null;
+        const records = slot ? slot.blockIds.map((blockId) => this.records[blockId]).filter((item) => item && item.translatedText) : [];
+        const record = records.find((item) => !item.segment) || records[0] || null;
+        return record ? { blockId: record.blockId, text: record.translatedText, element: bilingual } : null;
+      }
+      const caretNode = this._caretTextNode(element.ownerDocument || global.document, point);
+      let best = null;
+      Object.keys(this.records).forEach((blockId) => {
+        const record = this.records[blockId];
+        if (!record || record.attribute || typeof record.translatedText !== 'string' || !record.translatedText) {
+          return;
+        }
+        if (!record.node || !record.node.isConnected || !record.hostElement) {
+          return;
+        }
+        if (caretNode && record.node === caretNode) {
+          best = { record, exact: true };
+          return;
+        }
+        if (best && best.exact) {
+          return;
+        }
+        if (!record.hostElement.contains(element) && record.hostElement !== element) {
+          return;
+        }
+        // Prefer the innermost host, and a whole-host record over a segment.
+        const better = !best
+          || (best.record.hostElement !== record.hostElement && best.record.hostElement.contains(record.hostElement))
+          || (best.record.hostElement === record.hostElement && best.record.segment && !record.segment);
+        if (better) {
+          best = { record, exact: false };
+        }
+      });
+      if (!best) {
+        return null;
+      }
+      return {
+        blockId: best.record.blockId,
+        text: best.record.translatedText,
+        element: best.record.hostElement
+      };
+    }
+
+    _caretTextNode(doc, point) {
+      if (!doc || !point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+        return null;
+      }
+      try {
+        if (typeof doc.caretRangeFromPoint === 'function') {
+          const range = doc.caretRangeFromPoint(point.x, point.y);
+          return range && range.startContainer && range.startContainer.nodeType === 3 ? range.startContainer : null;
+        }
+        if (typeof doc.caretPositionFromPoint === 'function') {
+          const position = doc.caretPositionFromPoint(point.x, point.y);
+          return position && position.offsetNode && position.offsetNode.nodeType === 3 ? position.offsetNode : null;
+        }
+      } catch (_) {
+        return null;
+      }
+      return null;
+    }
+
     restoreOriginals({ jobId } = {}) {
       if (jobId && this.currentJobId && jobId !== this.currentJobId) {
         return { restored: 0 };
@@ -199,7 +392,8 @@
           nodeCountTouched += 1;
         }
       });
-      return { restored, nodeCountTouched, displayMode: this.displayMode };
+      const removed = this._removeBilingualSlots();
+      return { restored: restored + removed, nodeCountTouched: nodeCountTouched + removed, displayMode: this.displayMode };
     }
 
     setVisibility(visible) {
@@ -241,6 +435,44 @@
       };
     }
 
+    /**
+     * Categories shown bilingually in bilingual mode; other blocks show the
+     * plain translation. An empty list means every category.
+     */
+    setBilingualCategories(categories, { rerender = true } = {}) {
+      const list = Array.isArray(categories)
+        ? categories.filter((item) => typeof item === 'string' && item).map((item) => item.trim().toLowerCase())
+        : [];
+      const next = list.length ? new Set(list) : null;
+      const prevKey = this.bilingualCategories ? Array.from(this.bilingualCategories).sort().join(',') : '';
+      this.bilingualCategories = next;
+      if (rerender && this.displayMode === 'bilingual' && prevKey !== (next ? Array.from(next).sort().join(',') : '')) {
+        this._rerenderAllRecords();
+      }
+      return next ? Array.from(next) : [];
+    }
+
+    /**
+     * Takes the classifier's `byBlockId` rows, so the bilingual category
+     * filter can tell blocks apart.
+     */
+    setBlockCategories(byBlockId) {
+      const rows = byBlockId && typeof byBlockId === 'object' ? byBlockId : {};
+      let changed = 0;
+      Object.keys(rows).forEach((blockId) => {
+        const record = this.records[blockId];
+        const category = rows[blockId] && typeof rows[blockId].category === 'string' ? rows[blockId].category : null;
+        if (record && category && record.category !== category) {
+          record.category = category;
+          changed += 1;
+        }
+      });
+      if (changed && this.displayMode === 'bilingual' && this.bilingualCategories) {
+        this._rerenderAllRecords();
+      }
+      return changed;
+    }
+
     _rerenderAllRecords({ forceCompareRebuild = false } = {}) {
       Object.keys(this.records).forEach((blockId) => {
         const record = this.records[blockId];
@@ -310,6 +542,12 @@
       }
       record.node = rebound.node;
       record.hostElement = rebound.hostElement;
+      if (record.attribute) {
+        this._trackAttribute(rebound.node, record.attribute);
+      }
+      if (rebound.hostElement && this.trackedHosts) {
+        this.trackedHosts.add(rebound.hostElement);
+      }
       record.ownerDocument = rebound.ownerDocument || record.ownerDocument;
       return {
         ok: true,
@@ -334,6 +572,9 @@
         return null;
       }
       const byPath = this._nodeFromPath(root, anchor.nodePath);
+      if (record.attribute) {
+        return this._rebindAttributeHost(record, ownerDoc, byPath);
+      }
       if (byPath && byPath.nodeType === 3) {
         return {
           node: byPath,
@@ -365,6 +606,20 @@
       };
     }
 
+    _rebindAttributeHost(record, ownerDoc, byPath) {
+      const tag = record.node && record.node.tagName ? record.node.tagName : '';
+      let element = byPath && byPath.nodeType === 1 && byPath.tagName === tag ? byPath : null;
+      const pathHint = typeof record.anchor.pathHint === 'string' ? record.anchor.pathHint : '';
+      if (!element && pathHint && ownerDoc.querySelector) {
+        try {
+          element = ownerDoc.querySelector(pathHint);
+        } catch (_) {
+          element = null;
+        }
+      }
+      return element ? { node: element, hostElement: null, ownerDocument: element.ownerDocument || ownerDoc } : null;
+    }
+
     _resolveAnchorRoot(ownerDoc, anchor) {
       const rootHint = typeof anchor.rootHint === 'string' ? anchor.rootHint : '';
       if (rootHint.startsWith('shadow:')) {
@@ -422,8 +677,26 @@
       if (!record) {
         return { applied: false, nodeCountTouched: 0 };
       }
+      if (record.attribute) {
+        return this._renderAttributeRecord(record);
+      }
       this._ensureCompareStyles(record.ownerDocument || global.document);
       const before = record.currentRenderedText || this._readCurrentText(record);
+      const bilingual = this.displayMode === 'bilingual' && this._showsBilingual(record);
+      if (!bilingual && record.bilingualContainer) {
+        this._detachBilingual(record);
+      }
+      if (bilingual) {
+        this._writePlainText(record, record.originalText);
+        record.currentRenderedText = record.originalText;
+        this._clearCompareDecorations(record);
+        const slotChanged = this._renderBilingual(record);
+        const touched = before !== record.currentRenderedText || slotChanged;
+        return {
+          applied: touched,
+          nodeCountTouched: touched ? 1 : 0
+        };
+      }
       if (this.displayMode === 'original') {
         this._writePlainText(record, record.originalText);
         record.currentRenderedText = record.originalText;
@@ -435,9 +708,10 @@
       }
 
       const translated = typeof record.translatedText === 'string' && record.translatedText
-        ? record.translatedText
+        ? this._withSegmentSpacing(record, record.translatedText)
         : record.originalText;
-      if (this.displayMode === 'translated') {
+      // Blocks left out of bilingual mode by category read as translated.
+      if (this.displayMode === 'translated' || this.displayMode === 'bilingual') {
         this._writePlainText(record, translated);
         record.currentRenderedText = translated;
         this._clearCompareDecorations(record);
@@ -574,6 +848,65 @@
       };
     }
 
+    /**
+     * Attributes cannot carry a diff, so compare mode shows the translation
+     * just like translated mode.
+     */
+    _renderAttributeRecord(record) {
+      const before = this._readCurrentText(record);
+      const next = this.displayMode !== 'original' && typeof record.translatedText === 'string' && record.translatedText
+        ? record.translatedText
+        : record.originalText;
+      this._writePlainText(record, next);
+      record.currentRenderedText = next;
+      return {
+        applied: before !== next,
+        nodeCountTouched: before !== next ? 1 : 0
+      };
+    }
+
+    _readAttribute(element, attribute) {
+      if (!element) {
+        return '';
+      }
+      if (attribute === '#text') {
+        return typeof element.textContent === 'string' ? element.textContent : '';
+      }
+      const value = typeof element.getAttribute === 'function' ? element.getAttribute(attribute) : null;
+      return typeof value === 'string' ? value : '';
+    }
+
+    _writeAttribute(element, attribute, value) {
+      if (!element) {
+        return;
+      }
+      if (attribute === '#text') {
+        element.textContent = value;
+        return;
+      }
+      if (attribute === 'title' && this.hostTitles && this.hostTitles.has(element)) {
+        // The element shows the compare tooltip right now; update the title
+        // it gets back when the tooltip is cleared.
+        this.hostTitles.set(element, value);
+        return;
+      }
+      if (typeof element.setAttribute === 'function') {
+        element.setAttribute(attribute, value);
+      }
+      if (attribute === 'value' && 'value' in element) {
+        element.value = value;
+      }
+    }
+
+    _trackAttribute(element, attribute) {
+      if (!this.trackedAttributes || !element) {
+        return;
+      }
+      const names = this.trackedAttributes.get(element) || new Set();
+      names.add(attribute);
+      this.trackedAttributes.set(element, names);
+    }
+
     _applyHighlightsNow(record) {
       if (!record || !this.highlightEngine || !this.highlightEngine.isSupported()) {
         return false;
@@ -642,7 +975,7 @@
       host.classList.remove('nt-diff-active');
       host.classList.remove('nt-diff-outline');
       host.removeAttribute('data-nt-diff-note');
-      host.removeAttribute('title');
+      this._restoreHostTitle(host);
       record.compareInlineApplied = false;
     }
 
@@ -666,12 +999,197 @@
       return host.firstChild === record.node;
     }
 
+    /**
+     * A translated piece of an inline segment gets the edge spaces its text
+     * node had, so it does not glue to the neighbouring link or emphasis
+     * (except before closing punctuation); whitespace-only pieces collapse to
+     * one space (or nothing).
+     */
+    _withSegmentSpacing(record, text) {
+      if (!record || !record.segment) {
+        return text;
+      }
+      const trimmed = String(text || '').replace(/\s+/g, ' ').trim();
+      const { spaceBefore, spaceAfter } = record.segment;
+      if (!trimmed) {
+        return spaceBefore || spaceAfter ? ' ' : '';
+      }
+      const lead = spaceBefore && !/^[,.;:!?)\]}»”…]/.test(trimmed) ? ' ' : '';
+      return `${lead}${trimmed}${spaceAfter ? ' ' : ''}`;
+    }
+
+    _showsBilingual(record) {
+      if (!record || !record.hostElement || NO_BILINGUAL_HOSTS.has(String(record.hostElement.tagName || '').toUpperCase())) {
+        return false;
+      }
+      return !this.bilingualCategories || this.bilingualCategories.has(String(record.category || 'unknown'));
+    }
+
+    /**
+     * Nearest block-level ancestor of a text host; inline formatting
+     * (links, emphasis, segment spans) belongs to its paragraph.
+     */
+    _bilingualContainer(host) {
+      let element = host;
+      while (element && element.parentElement && element.parentElement.tagName !== 'BODY' && this._isInline(element)) {
+        element = element.parentElement;
+      }
+      return element || null;
+    }
+
+    _isInline(element) {
+      const view = element.ownerDocument && element.ownerDocument.defaultView ? element.ownerDocument.defaultView : null;
+      if (view && typeof view.getComputedStyle === 'function') {
+        try {
+          const display = String(view.getComputedStyle(element).display || '');
+          if (display) {
+            return display === 'inline' || display === 'contents';
+          }
+        } catch (_) {
+          // fall back to the tag below
+        }
+      }
+      return INLINE_TAGS.has(String(element.tagName || '').toUpperCase());
+    }
+
+    /**
+     * Writes the combined translation of every record sharing this record's
+     * container into the container's `<nt-bilingual>` slot, creating it when
+     * needed. Returns true when the slot text changed.
+     */
+    _renderBilingual(record) {
+      const current = record.bilingualContainer;
+      const container = current && current.isConnected ? current : this._bilingualContainer(record.hostElement);
+      if (!container) {
+        return false;
+      }
+      if (current && current !== container) {
+        this._detachBilingual(record);
+      }
+      record.bilingualContainer = container;
+      let slot = this.bilingualSlots.get(container);
+      if (!slot || !slot.element.isConnected) {
+        slot = { element: this._createBilingualElement(container), blockIds: slot ? slot.blockIds : [] };
+        if (!slot.element) {
+          return false;
+        }
+        this.bilingualSlots.set(container, slot);
+      }
+      if (!slot.blockIds.includes(record.blockId)) {
+        slot.blockIds.push(record.blockId);
+        slot.blockIds.sort((a, b) => this._compareRecordOrder(this.records[a], this.records[b]));
+      }
+      return this._writeBilingualSlot(slot);
+    }
+
+    _writeBilingualSlot(slot) {
+      const text = slot.blockIds
+        .map((blockId) => this.records[blockId])
+        .filter((item) => item && typeof item.translatedText === 'string' && item.translatedText)
+        .map((item) => (item.segment ? this._withSegmentSpacing(item, item.translatedText) : ` ${item.translatedText.trim()} `))
+        .join('')
+        .replace(/ {2,}/g, ' ')
+        .trim();
+      const changed = slot.element.textContent !== text;
+      if (changed) {
+        slot.element.textContent = text;
+      }
+      slot.element.hidden = !text;
+      return changed;
+    }
+
+    _createBilingualElement(container) {
+      const doc = container.ownerDocument || global.document;
+      if (!doc || typeof doc.createElement !== 'function') {
+        return null;
+      }
+      const element = doc.createElement('nt-bilingual');
+      element.setAttribute('translate', 'no');
+      const parent = container.parentElement;
+      if (!parent || STRUCTURED_PARENTS.has(String(parent.tagName || '').toUpperCase())) {
+        container.appendChild(element);
+        return element;
+      }
+      // A sibling does not inherit the container's type scale (headings),
+      // so carry the basics over.
+      const view = doc.defaultView || null;
+      if (view && typeof view.getComputedStyle === 'function') {
+        try {
+          const computed = view.getComputedStyle(container);
+          element.style.fontSize = computed.fontSize;
+          element.style.fontWeight = computed.fontWeight;
+          element.style.lineHeight = computed.lineHeight;
+          element.style.textAlign = computed.textAlign;
+        } catch (_) {
+          // default styles are fine
+        }
+      }
+      parent.insertBefore(element, container.nextSibling);
+      return element;
+    }
+
+    _detachBilingual(record) {
+      const container = record ? record.bilingualContainer : null;
+      if (!container) {
+        return;
+      }
+      record.bilingualContainer = null;
+      const slot = this.bilingualSlots.get(container);
+      if (!slot) {
+        return;
+      }
+      slot.blockIds = slot.blockIds.filter((blockId) => blockId !== record.blockId);
+      if (slot.blockIds.length) {
+        this._writeBilingualSlot(slot);
+        return;
+      }
+      if (slot.element.parentNode) {
+        slot.element.parentNode.removeChild(slot.element);
+      }
+      this.bilingualSlots.delete(container);
+    }
+
+    _removeBilingualSlots() {
+      let removed = 0;
+      this.bilingualSlots.forEach((slot) => {
+        if (slot.element && slot.element.parentNode) {
+          slot.element.parentNode.removeChild(slot.element);
+          removed += 1;
+        }
+      });
+      this.bilingualSlots = new Map();
+      Object.keys(this.records).forEach((blockId) => {
+        if (this.records[blockId]) {
+          this.records[blockId].bilingualContainer = null;
+        }
+      });
+      return removed;
+    }
+
+    _compareRecordOrder(a, b) {
+      const left = a && a.node;
+      const right = b && b.node;
+      if (!left || !right || left === right || typeof left.compareDocumentPosition !== 'function') {
+        return 0;
+      }
+      // Node.DOCUMENT_POSITION_FOLLOWING
+      return left.compareDocumentPosition(right) & 4 ? -1 : 1;
+    }
+
     _writePlainText(record, text) {
       if (!record || !record.node) {
         return;
       }
       const host = record.hostElement;
       const value = typeof text === 'string' ? text : '';
+      if (record.attribute) {
+        this._writeAttribute(record.node, record.attribute, value);
+        return;
+      }
+      if (record.segment && record.node.nodeType === 3 && !record.compareInlineApplied) {
+        record.node.textContent = value;
+        return;
+      }
       if (
         host
         && (
@@ -697,6 +1215,9 @@
       if (!record || !record.node) {
         return '';
       }
+      if (record.attribute) {
+        return this._readAttribute(record.node, record.attribute);
+      }
       if (record.node && typeof record.node.textContent === 'string') {
         return record.node.textContent;
       }
@@ -720,13 +1241,33 @@
       }
       const source = String(originalText || '').replace(/\s+/g, ' ').trim();
       if (!source) {
-        host.removeAttribute('title');
+        this._restoreHostTitle(host);
         return;
       }
+      if (this.hostTitles && !this.hostTitles.has(host)) {
+        this.hostTitles.set(host, typeof host.getAttribute === 'function' ? host.getAttribute('title') : null);
+      }
       const text = source.length > 220 ? `${source.slice(0, 220)}...` : source;
       host.setAttribute('title', `Original: ${text}`);
     }
 
+    /**
+     * Puts back the page's own `title` (or the translated one written while
+     * the compare tooltip was shown) instead of dropping the attribute.
+     */
+    _restoreHostTitle(host) {
+      if (!this.hostTitles || !this.hostTitles.has(host)) {
+        return;
+      }
+      const title = this.hostTitles.get(host);
+      this.hostTitles.delete(host);
+      if (typeof title === 'string') {
+        host.setAttribute('title', title);
+      } else {
+        host.removeAttribute('title');
+      }
+    }
+
     _ensureCompareStyles(ownerDocument) {
       const doc = ownerDocument && ownerDocument.head
         ? ownerDocument
@@ -767,6 +1308,18 @@
         '  margin-left: 6px;',
         '  font-size: 11px;',
         '  color: #8a5a00;',
+        '}',
+        'nt-bilingual {',
+        '  display: block;',
+        '  margin: 0.25em 0 0.6em;',
+        '  padding-left: 0.6em;',
+        '  border-left: 3px solid rgba(29, 78, 216, 0.45);',
+        '  color: inherit;',
+        '  opacity: 0.88;',
+        '  white-space: pre-wrap;',
+        '}',
+        'nt-bilingual[hidden] {',
+        '  display: none;',
         '}'
       ].join('\n');
       doc.head.appendChild(style);
@@ -788,7 +1341,7 @@
     }
 
     _normalizeMode(mode) {
-      if (mode === 'original' || mode === 'translated' || mode === 'compare') {
+      if (mode === 'original' || mode === 'translated' || mode === 'compare' || mode === 'bilingual') {
         return mode;
       }
       return mode === false ? 'original' : 'translated';
@@ -2,7 +2,10 @@
  * Deterministic block classifier for translation categories.
  *
  * Classifier is intentionally rule-based (no LLM dependency) and returns
- * explainable decisions with confidence scores.
+ * explainable decisions with confidence scores. A user's per-site category
+ * rule (`block.siteRule`, see NT.SiteRules) overrides the built-in rules;
+ * corrections learned from the category picker (`env.learnedCategories`,
+ * see NT.CategoryLearning) then adjust the result and say so in `reasons`.
  */
 (function initDomClassifier(global) {
   const NT = global.NT || (global.NT = {});
@@ -18,11 +21,13 @@
     'footer',
     'legal',
     'ads',
+    'attributes',
     'unknown'
   ]);
 
   const LEGACY_CATEGORY_MAP = Object.freeze({
     heading: 'headings',
+    attribute: 'attributes',
     paragraph: 'main_content',
     list: 'main_content',
     quote: 'main_content',
@@ -152,7 +157,7 @@
           return;
         }
         const blockId = block.blockId || `b${index}`;
-        byBlockId[blockId] = this._classifyOne(block, safeEnv);
+        byBlockId[blockId] = this._applyLearned(this._classifyOne(block, safeEnv), block, safeEnv.learnedCategories);
       });
       return {
         byBlockId,
@@ -190,6 +195,13 @@
         pushReason(reasonId);
       };
 
+      const siteRule = block && block.siteRule && typeof block.siteRule === 'object' ? block.siteRule : null;
+      if (siteRule && siteRule.action === 'category') {
+        return { category: normalizeCategory(siteRule.category), confidence: 1, reasons: ['rule:site:category'] };
+      }
+      if (block && block.kind === 'attribute') {
+        return { category: 'attributes', confidence: 0.99, reasons: ['rule:attribute'] };
+      }
       if (features.isHidden) {
         addCandidate('unknown', 0.22, 'rule:hidden');
         return {
@@ -338,6 +350,41 @@
       };
     }
 
+    /**
+     * A re-added pattern is moved back to the category the user chose, with
+     * confidence growing per repeat. A dropped pattern only loses confidence
+     * in that category: a deselect says the user skipped the whole category
+     * on this page, not that its blocks were misclassified.
+     */
+    _applyLearned(result, block, learned) {
+      const Learning = NT.CategoryLearning || null;
+      if (!Learning || !learned || typeof learned !== 'object' || (block && block.siteRule && block.siteRule.action === 'category')) {
+        return result;
+      }
+      const pattern = Learning.patternFor(block);
+      const entry = pattern && Object.prototype.hasOwnProperty.call(learned, pattern) ? Learning.normalizeEntry(learned[pattern]) : null;
+      if (!entry) {
+        return result;
+      }
+      const category = normalizeCategory(entry.category);
+      const reasons = ensureArray(result.reasons).slice();
+      if (entry.verdict === 'include') {
+        const confidence = Math.min(0.95, 0.7 + (0.05 * entry.hits));
+        reasons.push(`learned:include:${category}`);
+        return {
+          category,
+          confidence: result.category === category ? Math.max(result.confidence, confidence) : confidence,
+          reasons: uniqueReasons(reasons)
+        };
+      }
+      if (result.category !== category) {
+        return result;
+      }
+      const confidence = Number((result.confidence * (0.5 ** entry.hits)).toFixed(3));
+      reasons.push(`learned:exclude:${category}`);
+      return { category, confidence, reasons: uniqueReasons(reasons) };
+    }
+
     static computeDomHash(blocks) {
       const list = Array.isArray(blocks) ? blocks : [];
       const payload = list
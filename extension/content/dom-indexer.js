@@ -6,6 +6,11 @@
  * - Same-origin iframe traversal (about:blank/srcdoc included when accessible).
  * - Open Shadow DOM traversal.
  * - Stable anchors (rootHint + nodePath + stableNodeKey).
+ * - Per-block source language (text detector reconciled with `lang` attributes).
+ * - Attribute blocks (`kind: 'attribute'`) for alt/title/placeholder/aria
+ *   texts, button values, option labels and the document title/description.
+ * - Per-site selector rules (NT.SiteRules): `skip` drops the text, other
+ *   rules travel with the block as `siteRule` for the classifier and BG.
  */
 (function initDomIndexer(global) {
   const NT = global.NT || (global.NT = {});
@@ -14,8 +19,12 @@
     constructor({ doc } = {}) {
       this.doc = doc || global.document;
       this.SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT']);
+      this.MAX_ATTRIBUTE_BLOCKS = 400;
       this.featuresCache = typeof global.WeakMap === 'function' ? new global.WeakMap() : null;
       this.styleCache = typeof global.WeakMap === 'function' ? new global.WeakMap() : null;
+      this.siteRules = [];
+      this.siteRuleCache = null;
+      this.siteRuleSkips = 0;
       this.defaults = {
         maxTextNodesPerScan: 5000,
         progressEveryNodes: 120,
@@ -24,6 +33,17 @@
       };
     }
 
+    /**
+     * Rules resolved by BG for the page host; they apply from the next scan.
+     */
+    setSiteRules(rules) {
+      const Rules = NT.SiteRules || null;
+      const list = Array.isArray(rules) ? rules : [];
+      this.siteRules = Rules ? list.map((rule) => Rules.normalizeRule(rule)).filter(Boolean) : [];
+      this.siteRuleCache = typeof global.WeakMap === 'function' ? new global.WeakMap() : null;
+      return this.siteRules.length;
+    }
+
     scan(options = {}) {
       const startedAt = Date.now();
       const blocks = [];
@@ -81,6 +101,7 @@
       });
 
       let globalOrder = 0;
+      const attributeTargets = [];
       let visitedNodes = 0;
       while (rootStack.length && stats.totalTextNodes < maxTextNodes) {
         const rootCtx = rootStack.pop();
@@ -89,6 +110,9 @@
           stats.shadowDom.openRootsVisited += 1;
         } else if (rootCtx.rootKind === 'document') {
           stats.frames.scannedOk += 1;
+          if (rootCtx.frameId === 0) {
+            this._collectDocumentTargets(rootCtx, attributeTargets);
+          }
         }
 
         while (nodeStack.length && stats.totalTextNodes < maxTextNodes) {
@@ -117,40 +141,16 @@
               ? Number(frameLocalCounters[frameId])
               : 0;
             frameLocalCounters[frameId] = localIndex + 1;
-            const blockId = `f${frameId}:b${localIndex}`;
-            const nodePath = this._nodePath(node, rootCtx.root);
-            const pathHint = this._pathHint(parent);
-            const stableNodeKey = `${rootCtx.rootHint}|${nodePath}|${pathHint}`.slice(0, 260);
-            const features = this._buildFeatures(parent, text, rootCtx.doc);
-            const preCategory = this._derivePreCategory({
-              element: parent,
-              features,
-              pathHint
-            });
-            const anchor = this._buildAnchor({
-              frameId,
-              rootHint: rootCtx.rootHint,
-              nodePath,
-              stableNodeKey
-            });
-            blocks.push({
-              blockId,
+            const block = this._buildTextBlock({
+              node,
+              parent,
+              text,
+              rootCtx,
               localBlockId: `b${localIndex}`,
-              frameId,
-              frameUrl: rootCtx.frameUrl || null,
-              originalText: text,
-              pathHint,
-              domOrder: globalOrder,
-              stableNodeKey,
-              rootHint: rootCtx.rootHint,
-              nodePath,
-              anchor,
-              preCategory,
-              category: 'unknown',
-              featuresMini: this._buildFeaturesMini(features),
-              features
+              domOrder: globalOrder
             });
-            blockNodes[blockId] = node;
+            blocks.push(block);
+            blockNodes[block.blockId] = node;
             globalOrder += 1;
             stats.totalTextNodes += 1;
             if (rootCtx.rootKind === 'shadow') {
@@ -172,6 +172,7 @@
 
           const element = node;
           const tag = String(element.tagName || '').toUpperCase();
+          this._collectAttributeTargets(element, tag, rootCtx, attributeTargets);
 
           if (tag === 'IFRAME' || tag === 'FRAME') {
             stats.frames.totalSeen += 1;
@@ -243,6 +244,8 @@
         stats.truncated = true;
       }
       stats.visitedNodes = visitedNodes;
+      stats.inlineSegments = this._assignInlineSegments(blocks, blockNodes);
+      stats.attributeBlocks = this._appendAttributeBlocks(attributeTargets, blocks, blockNodes, globalOrder);
       const preRanges = this._buildPreRanges(blocks);
       this._extendStatsWithPreanalysis(stats, blocks, preRanges);
       return {
@@ -319,6 +322,7 @@
       });
 
       let globalOrder = 0;
+      const attributeTargets = [];
       let visitedNodes = 0;
       let budgetAborted = false;
 
@@ -329,6 +333,9 @@
           stats.shadowDom.openRootsVisited += 1;
         } else if (rootCtx.rootKind === 'document') {
           stats.frames.scannedOk += 1;
+          if (rootCtx.frameId === 0) {
+            this._collectDocumentTargets(rootCtx, attributeTargets);
+          }
         }
 
         while (nodeStack.length && stats.totalTextNodes < maxTextNodes && !budgetAborted) {
@@ -379,40 +386,16 @@
               ? Number(frameLocalCounters[frameId])
               : 0;
             frameLocalCounters[frameId] = localIndex + 1;
-            const blockId = `f${frameId}:b${localIndex}`;
-            const nodePath = this._nodePath(node, rootCtx.root);
-            const pathHint = this._pathHint(parent);
-            const stableNodeKey = `${rootCtx.rootHint}|${nodePath}|${pathHint}`.slice(0, 260);
-            const features = this._buildFeatures(parent, text, rootCtx.doc);
-            const preCategory = this._derivePreCategory({
-              element: parent,
-              features,
-              pathHint
-            });
-            const anchor = this._buildAnchor({
-              frameId,
-              rootHint: rootCtx.rootHint,
-              nodePath,
-              stableNodeKey
-            });
-            blocks.push({
-              blockId,
+            const block = this._buildTextBlock({
+              node,
+              parent,
+              text,
+              rootCtx,
               localBlockId: `b${localIndex}`,
-              frameId,
-              frameUrl: rootCtx.frameUrl || null,
-              originalText: text,
-              pathHint,
-              domOrder: globalOrder,
-              stableNodeKey,
-              rootHint: rootCtx.rootHint,
-              nodePath,
-              anchor,
-              preCategory,
-              category: 'unknown',
-              featuresMini: this._buildFeaturesMini(features),
-              features
+              domOrder: globalOrder
             });
-            blockNodes[blockId] = node;
+            blocks.push(block);
+            blockNodes[block.blockId] = node;
             globalOrder += 1;
             stats.totalTextNodes += 1;
             if (rootCtx.rootKind === 'shadow') {
@@ -434,6 +417,7 @@
 
           const element = node;
           const tag = String(element.tagName || '').toUpperCase();
+          this._collectAttributeTargets(element, tag, rootCtx, attributeTargets);
 
           if (tag === 'IFRAME' || tag === 'FRAME') {
             stats.frames.totalSeen += 1;
@@ -505,6 +489,8 @@
         stats.truncated = true;
       }
       stats.visitedNodes = visitedNodes;
+      stats.inlineSegments = this._assignInlineSegments(blocks, blockNodes);
+      stats.attributeBlocks = this._appendAttributeBlocks(attributeTargets, blocks, blockNodes, globalOrder);
       const preRanges = this._buildPreRanges(blocks);
       this._extendStatsWithPreanalysis(stats, blocks, preRanges);
       const scanPerf = {
@@ -516,13 +502,258 @@
       return { blocks, blockNodes, preRanges, stats, scanPerf };
     }
 
+    /**
+     * Indexes text under nodes inserted after the initial scan (feed items,
+     * comments, SPA route content). Only top-document light DOM is walked;
+     * block ids use a `d` prefix so they never collide with scan ids.
+     * `isIndexed(node, attribute)` lets the caller skip text nodes (and
+     * element attributes) it already tracks.
+     */
+    scanSubtrees(roots, { startIndex = 0, maxTextNodes = 200, isIndexed = null } = {}) {
+      const blocks = [];
+      const blockNodes = {};
+      const doc = this.doc;
+      if (!doc || !doc.body) {
+        return { blocks, blockNodes, nextIndex: startIndex, truncated: false };
+      }
+      const rootCtx = {
+        root: doc.body,
+        doc,
+        frameId: 0,
+        frameUrl: this._safeLocationHref(doc),
+        rootHint: 'frame:0'
+      };
+      const limit = Number.isFinite(Number(maxTextNodes)) ? Math.max(1, Math.round(Number(maxTextNodes))) : 200;
+      let nextIndex = Number.isFinite(Number(startIndex)) ? Math.max(0, Math.round(Number(startIndex))) : 0;
+      let truncated = false;
+      const list = Array.isArray(roots) ? roots : [];
+      for (let r = 0; r < list.length && !truncated; r += 1) {
+        const root = list[r];
+        if (!root || !doc.body.contains(root)) {
+          continue;
+        }
+        const nodeStack = [root];
+        while (nodeStack.length) {
+          const node = nodeStack.pop();
+          if (!node) {
+            continue;
+          }
+          if (node.nodeType === 3) {
+            const text = (typeof node.textContent === 'string' ? node.textContent : '').replace(/\s+/g, ' ').trim();
+            const parent = node.parentElement || null;
+            if (!this._isEligible(parent, text) || (typeof isIndexed === 'function' && isIndexed(node))) {
+              continue;
+            }
+            if (blocks.length >= limit) {
+              truncated = true;
+              break;
+            }
+            const block = this._buildTextBlock({
+              node,
+              parent,
+              text,
+              rootCtx,
+              localBlockId: `d${nextIndex}`,
+              domOrder: nextIndex
+            });
+            nextIndex += 1;
+            blocks.push(block);
+            blockNodes[block.blockId] = node;
+            continue;
+          }
+          if (node.nodeType !== 1 || this.SKIP_TAGS.has(String(node.tagName || '').toUpperCase())) {
+            continue;
+          }
+          const targets = this._collectAttributeTargets(node, String(node.tagName || '').toUpperCase(), rootCtx, [])
+            .filter((target) => typeof isIndexed !== 'function' || !isIndexed(node, target.attribute));
+          for (let t = 0; t < targets.length; t += 1) {
+            if (blocks.length >= limit) {
+              truncated = true;
+              break;
+            }
+            const block = this._buildAttributeBlock({ ...targets[t], localBlockId: `d${nextIndex}`, domOrder: nextIndex });
+            nextIndex += 1;
+            blocks.push(block);
+            blockNodes[block.blockId] = node;
+          }
+          if (truncated) {
+            break;
+          }
+          const children = node.childNodes;
+          for (let i = children ? children.length - 1 : -1; i >= 0; i -= 1) {
+            nodeStack.push(children[i]);
+          }
+        }
+      }
+      this._assignInlineSegments(blocks, blockNodes);
+      return { blocks, blockNodes, nextIndex, truncated };
+    }
+
+    /**
+     * Tags runs of text nodes that form one sentence across inline elements
+     * ("Click <a>here</a> to continue") with a shared `segment`, so BG can
+     * translate them as a whole (see NT.InlineMarkup). A run needs text both
+     * directly in the container and inside an inline element; blocks keep
+     * their per-node identity either way. Returns the number of segments.
+     */
+    _assignInlineSegments(blocks, blockNodes) {
+      const Markup = NT.InlineMarkup || null;
+      const list = Array.isArray(blocks) ? blocks : [];
+      if (!Markup || !list.length) {
+        return 0;
+      }
+      const inlineTags = new Set(Markup.INLINE_TAGS);
+      let run = [];
+      let runContainer = null;
+      let segments = 0;
+      const flush = () => {
+        if (run.length >= 2 && run.some((row) => row.inline) && run.some((row) => !row.inline)) {
+          const id = `${run[0].block.blockId}:seg`;
+          let slot = 0;
+          run.forEach((row, index) => {
+            const raw = typeof row.node.textContent === 'string' ? row.node.textContent : '';
+            if (row.inline) {
+              slot += 1;
+            }
+            row.block.segment = {
+              id,
+              index,
+              count: run.length,
+              slot: row.inline ? slot : 0,
+              spaceBefore: /^\s/.test(raw),
+              spaceAfter: /\s$/.test(raw)
+            };
+          });
+          segments += 1;
+        }
+        run = [];
+        runContainer = null;
+      };
+      list.forEach((block) => {
+        const node = block && blockNodes && block.kind !== 'attribute' ? blockNodes[block.blockId] : null;
+        const context = this._inlineContext(node, inlineTags);
+        if (!context || context.container !== runContainer || run.length >= Markup.MAX_SEGMENT_NODES) {
+          flush();
+        }
+        if (!context) {
+          return;
+        }
+        runContainer = context.container;
+        run.push({ block, node, inline: context.inline });
+      });
+      flush();
+      return segments;
+    }
+
+    /**
+     * Queues translatable attribute texts of one element. Attribute blocks are
+     * built after traversal so their ids and dom order never shift text blocks.
+     */
+    _collectAttributeTargets(element, tag, rootCtx, targets) {
+      if (!element || typeof element.getAttribute !== 'function' || this.SKIP_TAGS.has(tag)) {
+        return targets;
+      }
+      const inputType = tag === 'INPUT' ? String(element.getAttribute('type') || 'text').toLowerCase() : '';
+      const names = ['title', 'aria-label', 'aria-description'];
+      if (tag === 'IMG' || tag === 'AREA' || inputType === 'image') {
+        names.push('alt');
+      }
+      if (tag === 'TEXTAREA' || (tag === 'INPUT' && inputType !== 'hidden')) {
+        names.push('placeholder');
+      }
+      if (inputType === 'button' || inputType === 'submit' || inputType === 'reset') {
+        names.push('value');
+      }
+      if (tag === 'OPTION' || tag === 'OPTGROUP') {
+        names.push('label');
+      }
+      names.forEach((attribute) => {
+        this._pushAttributeTarget(targets, { node: element, attribute, value: element.getAttribute(attribute), rootCtx });
+      });
+      return targets;
+    }
+
+    /**
+     * Document title (`#text` of <title>) and meta description of the top
+     * document; frame documents keep theirs untouched.
+     */
+    _collectDocumentTargets(rootCtx, targets) {
+      const doc = rootCtx && rootCtx.doc;
+      if (!doc || typeof doc.querySelector !== 'function') {
+        return targets;
+      }
+      const title = doc.querySelector('head > title, title');
+      if (title) {
+        this._pushAttributeTarget(targets, { node: title, attribute: '#text', value: title.textContent, rootCtx });
+      }
+      const description = doc.querySelector('meta[name="description" i]');
+      if (description && typeof description.getAttribute === 'function') {
+        this._pushAttributeTarget(targets, { node: description, attribute: 'content', value: description.getAttribute('content'), rootCtx });
+      }
+      return targets;
+    }
+
+    _pushAttributeTarget(targets, { node, attribute, value, rootCtx }) {
+      const text = (typeof value === 'string' ? value : '').replace(/\s+/g, ' ').trim();
+      if (targets.length >= this.MAX_ATTRIBUTE_BLOCKS || text.length < 2 || !/\p{L}/u.test(text)) {
+        return;
+      }
+      if (this._isSkippedBySiteRule(node)) {
+        return;
+      }
+      targets.push({ node, attribute, text, rootCtx });
+    }
+
+    _appendAttributeBlocks(targets, blocks, blockNodes, startOrder) {
+      const counters = {};
+      (Array.isArray(targets) ? targets : []).forEach((target, index) => {
+        const frameId = Number.isFinite(Number(target.rootCtx.frameId)) ? Number(target.rootCtx.frameId) : 0;
+        const localIndex = counters[frameId] || 0;
+        counters[frameId] = localIndex + 1;
+        const block = this._buildAttributeBlock({ ...target, localBlockId: `a${localIndex}`, domOrder: startOrder + index });
+        blocks.push(block);
+        blockNodes[block.blockId] = target.node;
+      });
+      return Array.isArray(targets) ? targets.length : 0;
+    }
+
+    _buildAttributeBlock({ node, attribute, text, rootCtx, localBlockId, domOrder }) {
+      const block = this._buildTextBlock({ node, parent: node, text, rootCtx, localBlockId, domOrder });
+      const stableNodeKey = `${block.stableNodeKey}|@${attribute}`.slice(0, 260);
+      return {
+        ...block,
+        kind: 'attribute',
+        attribute,
+        preCategory: 'attribute',
+        stableNodeKey,
+        anchor: this._buildAnchor({ frameId: block.frameId, rootHint: block.rootHint, nodePath: block.nodePath, stableNodeKey })
+      };
+    }
+
+    _inlineContext(node, inlineTags) {
+      let element = node && node.parentElement ? node.parentElement : null;
+      let inline = false;
+      let depth = 0;
+      while (element && depth < 8 && inlineTags.has(String(element.tagName || '').toUpperCase())) {
+        inline = true;
+        element = element.parentElement;
+        depth += 1;
+      }
+      return element ? { container: element, inline } : null;
+    }
+
     _newStats() {
+      // Each full scan re-matches rules: classes and ancestors may have changed since.
+      this.siteRuleCache = typeof global.WeakMap === 'function' ? new global.WeakMap() : null;
+      this.siteRuleSkips = 0;
       return {
         totalTextNodes: 0,
         truncated: false,
         visitedNodes: 0,
         abortedByBudget: false,
         abortReason: null,
+        inlineSegments: 0,
+        attributeBlocks: 0,
         abortElapsedMs: 0,
         frames: {
           totalSeen: 1,
@@ -559,9 +790,58 @@
       safeStats.totalChars = totalChars;
       safeStats.byPreCategory = byPreCategory;
       safeStats.rangeCount = safeRanges.length;
+      safeStats.langMix = NT.LangDetector ? NT.LangDetector.summarize(safeBlocks) : null;
+      safeStats.siteRules = {
+        rules: this.siteRules.length,
+        skipped: this.siteRuleSkips,
+        matched: safeBlocks.filter((block) => block && block.siteRule).length
+      };
       return safeStats;
     }
 
+    _buildTextBlock({ node, parent, text, rootCtx, localBlockId, domOrder }) {
+      const frameId = Number.isFinite(Number(rootCtx.frameId)) ? Number(rootCtx.frameId) : 0;
+      const nodePath = this._nodePath(node, rootCtx.root);
+      const pathHint = this._pathHint(parent);
+      const stableNodeKey = `${rootCtx.rootHint}|${nodePath}|${pathHint}`.slice(0, 260);
+      const features = this._buildFeatures(parent, text, rootCtx.doc);
+      const sourceLang = this._detectSourceLang(text, features);
+      const rule = this._siteRuleFor(parent);
+      const siteRule = rule ? { id: rule.id, action: rule.action, category: rule.category } : null;
+      const preCategory = this._derivePreCategory({
+        element: parent,
+        features,
+        pathHint
+      });
+      const anchor = this._buildAnchor({
+        frameId,
+        rootHint: rootCtx.rootHint,
+        nodePath,
+        stableNodeKey
+      });
+      return {
+        blockId: `f${frameId}:${localBlockId}`,
+        localBlockId,
+        frameId,
+        frameUrl: rootCtx.frameUrl || null,
+        originalText: text,
+        pathHint,
+        domOrder,
+        stableNodeKey,
+        rootHint: rootCtx.rootHint,
+        nodePath,
+        anchor,
+        preCategory,
+        category: 'unknown',
+        sourceLang: sourceLang.lang,
+        sourceLangConfidence: sourceLang.confidence,
+        sourceLangSource: sourceLang.source,
+        featuresMini: this._buildFeaturesMini(features),
+        features,
+        ...(siteRule ? { siteRule } : {})
+      };
+    }
+
     _buildAnchor({ frameId, rootHint, nodePath, stableNodeKey } = {}) {
       return {
         frameId: Number.isFinite(Number(frameId)) ? Number(frameId) : 0,
@@ -800,7 +1080,31 @@
       if (this.SKIP_TAGS.has(parent.tagName)) {
         return false;
       }
-      return true;
+      return !this._isSkippedBySiteRule(parent);
+    }
+
+    _siteRuleFor(element) {
+      const Rules = NT.SiteRules || null;
+      if (!Rules || !element || !this.siteRules.length) {
+        return null;
+      }
+      if (this.siteRuleCache && this.siteRuleCache.has(element)) {
+        return this.siteRuleCache.get(element);
+      }
+      const rule = Rules.matchElement(element, this.siteRules);
+      if (this.siteRuleCache) {
+        this.siteRuleCache.set(element, rule);
+      }
+      return rule;
+    }
+
+    _isSkippedBySiteRule(element) {
+      const rule = this._siteRuleFor(element);
+      if (rule && rule.action === 'skip') {
+        this.siteRuleSkips += 1;
+        return true;
+      }
+      return false;
     }
 
     _pathHint(element) {
@@ -1011,6 +1315,15 @@
       return this._cap(String(docLang || '').toLowerCase(), 20);
     }
 
+    _detectSourceLang(text, features) {
+      if (!NT.LangDetector) {
+        return { lang: '', confidence: 0, source: 'none' };
+      }
+      return NT.LangDetector.detect(text, {
+        langHint: features && typeof features.langHint === 'string' ? features.langHint : ''
+      });
+    }
+
     _classTokens(rawClassName) {
       const safe = this._cleanText(rawClassName).toLowerCase();
       if (!safe) {
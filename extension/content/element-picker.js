@@ -0,0 +1,312 @@
+/**
+ * In-page element picker for per-site selector rules: hovering outlines the
+ * element under the pointer, a click freezes it and opens a card with the
+ * proposed CSS selector and the rule actions (skip, always translate, force
+ * a category). The chosen rule is handed to `onPick`.
+ *
+ * Like the block editor, the outline and the card live in a closed shadow
+ * root so page styles do not leak in and the DOM indexer never sees them.
+ */
+(function initElementPicker(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const STYLE = [
+    ':host { all: initial; }',
+    '.outline {',
+    '  position: fixed; z-index: 2147483646; pointer-events: none; display: none;',
+    '  border: 2px solid #1d4ed8; background: rgba(29, 78, 216, 0.08); border-radius: 3px;',
+    '}',
+    '.badge {',
+    '  position: fixed; z-index: 2147483647; right: 12px; bottom: 12px;',
+    '  padding: 5px 10px; border-radius: 999px; pointer-events: none;',
+    '  background: #1d4ed8; color: #fff; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);',
+    '  font: 12px/1.4 system-ui, -apple-system, "Segoe UI", sans-serif;',
+    '}',
+    '.card {',
+    '  position: fixed; z-index: 2147483647; box-sizing: border-box; display: none;',
+    '  right: 12px; bottom: 48px; width: 340px; padding: 8px; border-radius: 8px;',
+    '  border: 1px solid #d0d7de; background: #fff; color: #1f2328; box-shadow: 0 6px 24px rgba(0, 0, 0, 0.18);',
+    '  font: 13px/1.45 system-ui, -apple-system, "Segoe UI", sans-serif;',
+    '}',
+    '.card.open { display: block; }',
+    'input, select { box-sizing: border-box; width: 100%; font: 12px/1.4 ui-monospace, monospace; padding: 4px 6px; border: 1px solid #afb8c1; border-radius: 6px; color: inherit; background: #fff; }',
+    'select { font-family: inherit; margin-top: 6px; }',
+    '.actions { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 6px; align-items: center; }',
+    '.note { font-size: 12px; color: #59636e; margin-top: 4px; }',
+    '.note.error { color: #cf222e; }',
+    'button { font: inherit; font-size: 12px; padding: 3px 10px; border-radius: 6px; border: 1px solid #d0d7de; background: #f6f8fa; color: inherit; cursor: pointer; }',
+    'button.primary { border-color: #1d4ed8; background: #1d4ed8; color: #fff; }',
+    'button[disabled] { opacity: 0.5; cursor: default; }'
+  ].join('\n');
+
+  const STABLE_CLASS = /^[a-z][a-z0-9_-]{1,40}$/i;
+
+  class ElementPicker {
+    constructor({ doc = global.document, categories = [], onPick = null } = {}) {
+      this.doc = doc || null;
+      this.categories = Array.isArray(categories) ? categories.slice() : [];
+      this.onPick = typeof onPick === 'function' ? onPick : null;
+      this.active = false;
+      this.host = null;
+      this.root = null;
+      this.hovered = null;
+      this.picked = null;
+      this.saving = false;
+      this._onMove = this._onMove.bind(this);
+      this._onClick = this._onClick.bind(this);
+      this._onKeyDown = this._onKeyDown.bind(this);
+    }
+
+    start() {
+      if (this.active || !this.doc || !this._ensureRoot()) {
+        return this.active;
+      }
+      this.active = true;
+      this.doc.addEventListener('mousemove', this._onMove, true);
+      this.doc.addEventListener('click', this._onClick, true);
+      this.doc.addEventListener('keydown', this._onKeyDown, true);
+      return true;
+    }
+
+    stop() {
+      if (!this.active) {
+        return;
+      }
+      this.active = false;
+      this.doc.removeEventListener('mousemove', this._onMove, true);
+      this.doc.removeEventListener('click', this._onClick, true);
+      this.doc.removeEventListener('keydown', this._onKeyDown, true);
+      if (this.host && this.host.parentNode) {
+        this.host.parentNode.removeChild(this.host);
+      }
+      this.host = null;
+      this.root = null;
+      this.hovered = null;
+      this.picked = null;
+      this.saving = false;
+    }
+
+    /**
+     * A readable selector for `element`: its id when it has one, otherwise
+     * tag plus stable class names, prefixed by ancestors (up to an id) until
+     * it is specific enough.
+     */
+    selectorFor(element) {
+      const parts = [];
+      let node = element;
+      for (let depth = 0; node && node.nodeType === 1 && depth < 4; depth += 1) {
+        const tag = String(node.tagName || '').toLowerCase();
+        if (!tag || tag === 'body' || tag === 'html') {
+          break;
+        }
+        const id = typeof node.id === 'string' ? node.id : '';
+        if (id && STABLE_CLASS.test(id)) {
+          parts.unshift(`#${this._escape(id)}`);
+          break;
+        }
+        const classes = Array.from(node.classList || [])
+          .filter((name) => STABLE_CLASS.test(name) && !/\d{3,}/.test(name) && !name.startsWith('nt-'))
+          .slice(0, 2);
+        parts.unshift(`${tag}${classes.map((name) => `.${this._escape(name)}`).join('')}`);
+        if (classes.length && depth >= 1) {
+          break;
+        }
+        node = node.parentElement;
+      }
+      return parts.join(' > ');
+    }
+
+    _onMove(event) {
+      if (!this.active || this.picked || !event || this._isOwnEvent(event)) {
+        return;
+      }
+      const target = event.target && event.target.nodeType === 1 ? event.target : null;
+      if (target && target !== this.hovered) {
+        this.hovered = target;
+        this._outline(target);
+      }
+    }
+
+    _onClick(event) {
+      if (!this.active || !event || this._isOwnEvent(event)) {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      const target = event.target && event.target.nodeType === 1 ? event.target : null;
+      if (target) {
+        this._pick(target);
+      }
+    }
+
+    _onKeyDown(event) {
+      if (!event || event.key !== 'Escape') {
+        return;
+      }
+      event.stopPropagation();
+      if (this.picked) {
+        this._unpick();
+        return;
+      }
+      this.stop();
+    }
+
+    _isOwnEvent(event) {
+      return Boolean(this.host && (event.target === this.host
+        || (typeof event.composedPath === 'function' && event.composedPath().includes(this.host))));
+    }
+
+    _pick(element) {
+      this.picked = element;
+      this._outline(element);
+      const card = this.root.querySelector('.card');
+      card.querySelector('input').value = this.selectorFor(element);
+      card.classList.add('open');
+      this._setNote('');
+    }
+
+    _unpick() {
+      this.picked = null;
+      this.root.querySelector('.card').classList.remove('open');
+    }
+
+    _widen() {
+      const parent = this.picked && this.picked.parentElement;
+      if (parent && parent.tagName !== 'BODY' && parent.tagName !== 'HTML') {
+        this._pick(parent);
+      }
+    }
+
+    async _save(action) {
+      if (!this.picked || this.saving || !this.onPick) {
+        return false;
+      }
+      const selector = String(this.root.querySelector('input').value || '').trim();
+      if (!selector || !this._isValidSelector(selector)) {
+        this._setNote('Некорректный CSS-селектор', true);
+        return false;
+      }
+      const category = action === 'category' ? this.root.querySelector('select').value : null;
+      this._setSaving(true);
+      this._setNote('Сохраняю…');
+      try {
+        await this.onPick({ selector, action, category });
+        this.stop();
+        return true;
+      } catch (error) {
+        this._setNote(error && error.message ? `Не удалось сохранить: ${error.message}` : 'Не удалось сохранить', true);
+        return false;
+      } finally {
+        this._setSaving(false);
+      }
+    }
+
+    _isValidSelector(selector) {
+      try {
+        this.doc.querySelector(selector);
+        return true;
+      } catch (_) {
+        return false;
+      }
+    }
+
+    _ensureRoot() {
+      if (this.root) {
+        return true;
+      }
+      const doc = this.doc;
+      if (!doc || !doc.documentElement || typeof doc.createElement !== 'function') {
+        return false;
+      }
+      const host = doc.createElement('nt-element-picker');
+      const root = typeof host.attachShadow === 'function' ? host.attachShadow({ mode: 'closed' }) : host;
+      const style = doc.createElement('style');
+      style.textContent = STYLE;
+      const outline = doc.createElement('div');
+      outline.className = 'outline';
+      const badge = doc.createElement('div');
+      badge.className = 'badge';
+      badge.textContent = 'Выберите элемент · Esc — отмена';
+      const card = doc.createElement('div');
+      card.className = 'card';
+      card.setAttribute('role', 'dialog');
+      card.innerHTML = [
+        '<input type="text" spellcheck="false" aria-label="CSS-селектор">',
+        '<div class="actions">',
+        '<button class="primary" data-action="skip">Не переводить</button>',
+        '<button data-action="translate">Всегда переводить</button>',
+        '<button data-action="widen" title="Выбрать родительский элемент">Шире</button>',
+        '</div>',
+        '<select aria-label="Категория"></select>',
+        '<div class="actions">',
+        '<button data-action="category">Назначить категорию</button>',
+        '<button data-action="cancel" title="Esc">Отмена</button>',
+        '</div>',
+        '<div class="note"></div>'
+      ].join('');
+      const select = card.querySelector('select');
+      this.categories.forEach((category) => {
+        const option = doc.createElement('option');
+        option.value = category;
+        option.textContent = category;
+        select.appendChild(option);
+      });
+      card.addEventListener('click', (event) => {
+        const target = event.target && typeof event.target.closest === 'function' ? event.target.closest('[data-action]') : null;
+        const action = target ? target.getAttribute('data-action') : null;
+        if (action === 'cancel') {
+          this._unpick();
+        } else if (action === 'widen') {
+          this._widen();
+        } else if (action) {
+          this._save(action);
+        }
+      });
+      root.appendChild(style);
+      root.appendChild(outline);
+      root.appendChild(badge);
+      root.appendChild(card);
+      doc.documentElement.appendChild(host);
+      this.host = host;
+      this.root = root;
+      return true;
+    }
+
+    _outline(element) {
+      const box = this.root ? this.root.querySelector('.outline') : null;
+      const rect = element && typeof element.getBoundingClientRect === 'function' ? element.getBoundingClientRect() : null;
+      if (!box || !rect) {
+        return;
+      }
+      box.style.display = 'block';
+      box.style.left = `${Math.round(rect.left)}px`;
+      box.style.top = `${Math.round(rect.top)}px`;
+      box.style.width = `${Math.round(rect.width)}px`;
+      box.style.height = `${Math.round(rect.height)}px`;
+    }
+
+    _escape(value) {
+      return global.CSS && typeof global.CSS.escape === 'function'
+        ? global.CSS.escape(value)
+        : String(value).replace(/[^a-zA-Z0-9_-]/g, (char) => `\\${char}`);
+    }
+
+    _setNote(text, isError = false) {
+      const note = this.root ? this.root.querySelector('.note') : null;
+      if (note) {
+        note.textContent = text;
+        note.classList.toggle('error', Boolean(isError));
+      }
+    }
+
+    _setSaving(saving) {
+      this.saving = Boolean(saving);
+      const buttons = this.root ? this.root.querySelectorAll('button') : [];
+      Array.prototype.forEach.call(buttons, (button) => {
+        button.disabled = this.saving;
+      });
+    }
+  }
+
+  NT.ElementPicker = ElementPicker;
+})(globalThis);
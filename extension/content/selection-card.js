@@ -0,0 +1,261 @@
+/**
+ * Selection translation for the content runtime: captures the user's
+ * selection (with its surrounding paragraph as context) and renders the
+ * floating result card with copy and replace-in-page actions.
+ *
+ * The card lives in a closed shadow root, so page styles do not leak in and
+ * the DOM indexer never sees its text. Captured ranges are kept by
+ * `selectionId` so "replace" edits exactly what was selected, and only while
+ * that text is still on the page.
+ */
+(function initSelectionCard(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const CONTEXT_HOSTS = 'p,li,dd,dt,td,th,caption,figcaption,blockquote,pre,h1,h2,h3,h4,h5,h6,summary,label,article,section,div';
+
+  const STYLE = [
+    ':host { all: initial; }',
+    '.card {',
+    '  position: fixed; z-index: 2147483647; box-sizing: border-box;',
+    '  width: min(380px, calc(100vw - 16px)); max-height: 50vh; overflow: auto;',
+    '  padding: 10px 12px; border-radius: 8px; border: 1px solid #d0d7de;',
+    '  background: #fff; color: #1f2328; box-shadow: 0 6px 24px rgba(0, 0, 0, 0.18);',
+    '  font: 14px/1.45 system-ui, -apple-system, "Segoe UI", sans-serif;',
+    '}',
+    '.head { display: flex; align-items: center; gap: 8px; margin-bottom: 6px; font-size: 12px; color: #59636e; }',
+    '.head .title { flex: 1; }',
+    '.text { white-space: pre-wrap; word-break: break-word; }',
+    '.text.error { color: #cf222e; }',
+    '.actions { display: flex; gap: 6px; margin-top: 8px; align-items: center; }',
+    '.note { font-size: 12px; color: #59636e; }',
+    'button { font: inherit; font-size: 12px; padding: 3px 10px; border-radius: 6px; border: 1px solid #d0d7de; background: #f6f8fa; color: inherit; cursor: pointer; }',
+    'button.close { border: none; background: none; padding: 0 4px; font-size: 16px; line-height: 1; }',
+    'button[disabled] { opacity: 0.5; cursor: default; }'
+  ].join('\n');
+
+  class SelectionCard {
+    constructor({ doc = global.document, maxContextChars = 1200, maxRanges = 8 } = {}) {
+      this.doc = doc || null;
+      this.maxContextChars = maxContextChars;
+      this.maxRanges = maxRanges;
+      this.ranges = new Map();
+      this.host = null;
+      this.root = null;
+      this.current = null;
+      this._onKeyDown = this._onKeyDown.bind(this);
+    }
+
+    /**
+     * Reads the current selection. Returns `{ selectionId, text, context }`
+     * or null when nothing is selected.
+     */
+    capture() {
+      const selection = global.getSelection ? global.getSelection() : null;
+      if (!selection || selection.isCollapsed || !selection.rangeCount) {
+        return null;
+      }
+      const text = String(selection.toString() || '').trim();
+      if (!text) {
+        return null;
+      }
+      const range = selection.getRangeAt(0).cloneRange();
+      const selectionId = `sel-${Date.now().toString(36)}-${Math.random().toString(16).slice(2, 8)}`;
+      this.ranges.set(selectionId, { range, text });
+      while (this.ranges.size > this.maxRanges) {
+        this.ranges.delete(this.ranges.keys().next().value);
+      }
+      return {
+        selectionId,
+        text,
+        context: this._extractContext(range, text)
+      };
+    }
+
+    /**
+     * Renders the card for `selectionId`. `state` is 'loading', 'result' or
+     * 'error'; `translatedText` / `error` carry the payload.
+     */
+    show({ selectionId = null, state = 'loading', translatedText = '', targetLang = '', error = null, fromMemory = false } = {}) {
+      if (!this._ensureRoot()) {
+        return false;
+      }
+      this.current = { selectionId, state, translatedText: String(translatedText || '') };
+      const card = this.root.querySelector('.card');
+      card.querySelector('.title').textContent = targetLang
+        ? `Перевод (${String(targetLang).toUpperCase()})${fromMemory ? ' · из памяти' : ''}`
+        : 'Перевод';
+      const body = card.querySelector('.text');
+      body.classList.toggle('error', state === 'error');
+      if (state === 'result') {
+        body.textContent = this.current.translatedText;
+      } else if (state === 'error') {
+        body.textContent = error && error.message ? `Не удалось перевести: ${error.message}` : 'Не удалось перевести';
+      } else {
+        body.textContent = 'Перевожу…';
+      }
+      const ready = state === 'result' && Boolean(this.current.translatedText);
+      card.querySelector('[data-action="copy"]').disabled = !ready;
+      card.querySelector('[data-action="replace"]').disabled = !ready || !this._liveRange(selectionId);
+      card.querySelector('.note').textContent = '';
+      this._position(card, selectionId);
+      return true;
+    }
+
+    close() {
+      if (this.host) {
+        if (this.host.parentNode) {
+          this.host.parentNode.removeChild(this.host);
+        }
+        this.doc.removeEventListener('keydown', this._onKeyDown, true);
+      }
+      this.host = null;
+      this.root = null;
+      this.current = null;
+    }
+
+    async copy() {
+      const text = this.current && this.current.state === 'result' ? this.current.translatedText : '';
+      if (!text) {
+        return false;
+      }
+      const clipboard = global.navigator && global.navigator.clipboard ? global.navigator.clipboard : null;
+      try {
+        if (!clipboard || typeof clipboard.writeText !== 'function') {
+          throw new Error('clipboard unavailable');
+        }
+        await clipboard.writeText(text);
+        this._note('Скопировано');
+        return true;
+      } catch (_) {
+        this._note('Не удалось скопировать');
+        return false;
+      }
+    }
+
+    /**
+     * Swaps the captured range for the translation as plain text. Refuses
+     * when the page changed the selected text since it was captured.
+     */
+    replace() {
+      const text = this.current && this.current.state === 'result' ? this.current.translatedText : '';
+      const entry = this.current ? this._liveRange(this.current.selectionId) : null;
+      if (!text || !entry) {
+        this._note('Выделенный текст изменился на странице');
+        return false;
+      }
+      entry.range.deleteContents();
+      entry.range.insertNode(this.doc.createTextNode(text));
+      this.ranges.delete(this.current.selectionId);
+      this.close();
+      return true;
+    }
+
+    _liveRange(selectionId) {
+      const entry = selectionId ? this.ranges.get(selectionId) : null;
+      if (!entry || !entry.range) {
+        return null;
+      }
+      const container = entry.range.commonAncestorContainer;
+      if (!container || container.isConnected === false || String(entry.range.toString() || '').trim() !== entry.text) {
+        return null;
+      }
+      return entry;
+    }
+
+    _extractContext(range, text) {
+      let node = range.commonAncestorContainer;
+      if (node && node.nodeType !== 1) {
+        node = node.parentElement;
+      }
+      const host = node && typeof node.closest === 'function' ? node.closest(CONTEXT_HOSTS) : null;
+      const full = host ? String(host.textContent || '').replace(/\s+/g, ' ').trim() : '';
+      const compactText = text.replace(/\s+/g, ' ');
+      if (!full || full === compactText) {
+        return '';
+      }
+      if (full.length <= this.maxContextChars) {
+        return full;
+      }
+      const at = Math.max(0, full.indexOf(compactText));
+      const half = Math.max(0, Math.floor((this.maxContextChars - compactText.length) / 2));
+      const start = Math.max(0, Math.min(at - half, full.length - this.maxContextChars));
+      return full.slice(start, start + this.maxContextChars).trim();
+    }
+
+    _ensureRoot() {
+      if (this.root) {
+        return true;
+      }
+      const doc = this.doc;
+      if (!doc || !doc.documentElement || typeof doc.createElement !== 'function') {
+        return false;
+      }
+      const host = doc.createElement('nt-selection-card');
+      const root = typeof host.attachShadow === 'function' ? host.attachShadow({ mode: 'closed' }) : host;
+      const style = doc.createElement('style');
+      style.textContent = STYLE;
+      const card = doc.createElement('div');
+      card.className = 'card';
+      card.setAttribute('role', 'dialog');
+      card.innerHTML = [
+        '<div class="head"><span class="title"></span><button class="close" data-action="close" title="Закрыть">×</button></div>',
+        '<div class="text"></div>',
+        '<div class="actions">',
+        '<button data-action="copy">Копировать</button>',
+        '<button data-action="replace">Заменить на странице</button>',
+        '<span class="note"></span>',
+        '</div>'
+      ].join('');
+      card.addEventListener('click', (event) => {
+        const target = event.target && typeof event.target.closest === 'function' ? event.target.closest('[data-action]') : null;
+        const action = target ? target.getAttribute('data-action') : null;
+        if (action === 'close') {
+          this.close();
+        } else if (action === 'copy') {
+          this.copy();
+        } else if (action === 'replace') {
+          this.replace();
+        }
+      });
+      root.appendChild(style);
+      root.appendChild(card);
+      doc.documentElement.appendChild(host);
+      doc.addEventListener('keydown', this._onKeyDown, true);
+      this.host = host;
+      this.root = root;
+      return true;
+    }
+
+    _position(card, selectionId) {
+      const entry = selectionId ? this.ranges.get(selectionId) : null;
+      const rect = entry && typeof entry.range.getBoundingClientRect === 'function'
+        ? entry.range.getBoundingClientRect()
+        : null;
+      const viewportWidth = Number(global.innerWidth) || 1024;
+      const viewportHeight = Number(global.innerHeight) || 768;
+      const width = Math.min(380, viewportWidth - 16);
+      let top = rect ? rect.bottom + 8 : 16;
+      if (rect && top > viewportHeight * 0.6 && rect.top > viewportHeight * 0.4) {
+        top = Math.max(8, rect.top - 8 - Math.min(viewportHeight * 0.5, 200));
+      }
+      const left = rect ? Math.min(Math.max(8, rect.left), viewportWidth - width - 8) : viewportWidth - width - 16;
+      card.style.top = `${Math.round(Math.min(top, viewportHeight - 48))}px`;
+      card.style.left = `${Math.round(Math.max(8, left))}px`;
+    }
+
+    _note(text) {
+      const note = this.root ? this.root.querySelector('.note') : null;
+      if (note) {
+        note.textContent = text;
+      }
+    }
+
+    _onKeyDown(event) {
+      if (event && event.key === 'Escape') {
+        this.close();
+      }
+    }
+  }
+
+  NT.SelectionCard = SelectionCard;
+})(globalThis);
@@ -0,0 +1,143 @@
+/**
+ * Reports which indexed blocks the reader can see, for viewport-first
+ * translation (see NT.ViewportPriority on the background side).
+ *
+ * Two IntersectionObservers watch the block hosts: one on the viewport and
+ * one extended by one and a half screens ("near"). Changes are coalesced and
+ * handed to `onReport({ visibleBlockIds, nearBlockIds })`. Blocks hosted in
+ * <head> (document title, meta description) are always reported as visible.
+ */
+(function initViewportTracker(global) {
+  const NT = global.NT || (global.NT = {});
+
+  class ViewportTracker {
+    constructor({ onReport, debounceMs = 400, nearMargin = '150% 0px', maxIds = 800 } = {}) {
+      this.onReport = typeof onReport === 'function' ? onReport : null;
+      this.debounceMs = debounceMs;
+      this.nearMargin = nearMargin;
+      this.maxIds = maxIds;
+      this.visibleObserver = null;
+      this.nearObserver = null;
+      this.hostBlocks = new Map();
+      this.pinnedBlockIds = new Set();
+      this.visibleHosts = new Set();
+      this.nearHosts = new Set();
+      this.reportTimer = null;
+    }
+
+    static isSupported() {
+      return typeof global.IntersectionObserver === 'function';
+    }
+
+    isActive() {
+      return Boolean(this.visibleObserver);
+    }
+
+    start(blocks, blockNodes) {
+      this.stop();
+      if (!ViewportTracker.isSupported() || !this.onReport) {
+        return false;
+      }
+      const track = (hosts) => (entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            hosts.add(entry.target);
+          } else {
+            hosts.delete(entry.target);
+          }
+        });
+        this._scheduleReport();
+      };
+      this.visibleObserver = new global.IntersectionObserver(track(this.visibleHosts));
+      this.nearObserver = new global.IntersectionObserver(track(this.nearHosts), { rootMargin: this.nearMargin });
+      this.observe(blocks, blockNodes);
+      this._scheduleReport();
+      return true;
+    }
+
+    /**
+     * Starts watching the hosts of `blocks` (initial scan or dynamic deltas).
+     * Returns the number of blocks added.
+     */
+    observe(blocks, blockNodes) {
+      if (!this.isActive()) {
+        return 0;
+      }
+      let added = 0;
+      (Array.isArray(blocks) ? blocks : []).forEach((block) => {
+        const node = block && blockNodes ? blockNodes[block.blockId] : null;
+        const host = node && node.nodeType === 1 ? node : (node ? node.parentElement : null);
+        if (!host) {
+          return;
+        }
+        added += 1;
+        if (typeof host.closest === 'function' && host.closest('head')) {
+          this.pinnedBlockIds.add(block.blockId);
+          return;
+        }
+        let ids = this.hostBlocks.get(host);
+        if (!ids) {
+          ids = [];
+          this.hostBlocks.set(host, ids);
+          this.visibleObserver.observe(host);
+          this.nearObserver.observe(host);
+        }
+        ids.push(block.blockId);
+      });
+      return added;
+    }
+
+    stop() {
+      if (this.reportTimer) {
+        global.clearTimeout(this.reportTimer);
+        this.reportTimer = null;
+      }
+      [this.visibleObserver, this.nearObserver].forEach((observer) => {
+        if (observer && typeof observer.disconnect === 'function') {
+          observer.disconnect();
+        }
+      });
+      this.visibleObserver = null;
+      this.nearObserver = null;
+      this.hostBlocks = new Map();
+      this.pinnedBlockIds = new Set();
+      this.visibleHosts = new Set();
+      this.nearHosts = new Set();
+    }
+
+    report() {
+      if (!this.isActive()) {
+        return null;
+      }
+      const seen = new Set();
+      const collect = (ids, out) => {
+        ids.forEach((blockId) => {
+          if (!seen.has(blockId) && seen.size < this.maxIds) {
+            seen.add(blockId);
+            out.push(blockId);
+          }
+        });
+      };
+      const visibleBlockIds = [];
+      const nearBlockIds = [];
+      collect(this.pinnedBlockIds, visibleBlockIds);
+      this.visibleHosts.forEach((host) => collect(this.hostBlocks.get(host) || [], visibleBlockIds));
+      this.nearHosts.forEach((host) => collect(this.hostBlocks.get(host) || [], nearBlockIds));
+      const report = { visibleBlockIds, nearBlockIds };
+      this.onReport(report);
+      return report;
+    }
+
+    _scheduleReport() {
+      if (this.reportTimer) {
+        return;
+      }
+      this.reportTimer = global.setTimeout(() => {
+        this.reportTimer = null;
+        this.report();
+      }, this.debounceMs);
+    }
+  }
+
+  NT.ViewportTracker = ViewportTracker;
+})(globalThis);
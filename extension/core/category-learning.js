@@ -0,0 +1,157 @@
+/**
+ * Per-site memory of category corrections learned from the category picker.
+ *
+ * When the user drops a category the planner proposed, or adds one it left
+ * out, BG records the verdict for every affected block under a pathHint
+ * pattern (the block's path with the leaf sibling index removed, so list
+ * items and paragraphs of one container share an entry). On later scans of
+ * the same host the classifier moves re-added blocks into the chosen category
+ * and lowers its confidence for dropped ones. Hosts are keyed by
+ * `NT.SiteRules.normalizeHost`.
+ *
+ * Settings keep a host -> { pattern -> entry } map
+ * (`translationCategoryLearning`); an entry is
+ * `{ category, verdict: 'include' | 'exclude', hits, updatedAt }`.
+ */
+(function initCategoryLearning(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const VERDICTS = Object.freeze(['include', 'exclude']);
+  const MAX_HOSTS = 100;
+  const MAX_PATTERNS_PER_HOST = 300;
+  const MAX_HITS = 5;
+  const MAX_PATTERN_LENGTH = 400;
+
+  function normalizeHost(value) {
+    return NT.SiteRules ? NT.SiteRules.normalizeHost(value) : null;
+  }
+
+  function normalizePattern(value) {
+    const pattern = typeof value === 'string' ? value.trim() : '';
+    return pattern && pattern.length <= MAX_PATTERN_LENGTH ? pattern : null;
+  }
+
+  /**
+   * Pattern for an indexed block, or null for blocks that carry no usable
+   * path (attribute blocks always classify as `attributes`).
+   */
+  function patternFor(block) {
+    if (!block || typeof block !== 'object' || block.kind === 'attribute') {
+      return null;
+    }
+    const pathHint = typeof block.pathHint === 'string' ? block.pathHint.trim() : '';
+    return normalizePattern(pathHint.replace(/:nth-of-type\(\d+\)$/, ''));
+  }
+
+  function normalizeEntry(input) {
+    const src = input && typeof input === 'object' ? input : {};
+    const category = typeof src.category === 'string' ? src.category.trim().toLowerCase() : '';
+    if (!/^[a-z_]{1,40}$/.test(category) || !VERDICTS.includes(src.verdict)) {
+      return null;
+    }
+    const hits = Number.isFinite(Number(src.hits)) ? Math.round(Number(src.hits)) : 1;
+    return {
+      category,
+      verdict: src.verdict,
+      hits: Math.max(1, Math.min(MAX_HITS, hits)),
+      updatedAt: Number.isFinite(Number(src.updatedAt)) ? Number(src.updatedAt) : 0
+    };
+  }
+
+  function normalizeHostEntries(input) {
+    const src = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const rows = [];
+    Object.keys(src).forEach((key) => {
+      const pattern = normalizePattern(key);
+      const entry = pattern ? normalizeEntry(src[key]) : null;
+      if (entry) {
+        rows.push([pattern, entry]);
+      }
+    });
+    // Oldest corrections go first when a site outgrows its budget.
+    rows.sort((left, right) => right[1].updatedAt - left[1].updatedAt);
+    const out = {};
+    rows.slice(0, MAX_PATTERNS_PER_HOST).forEach(([pattern, entry]) => {
+      out[pattern] = entry;
+    });
+    return out;
+  }
+
+  function normalizeMemory(input) {
+    const src = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const out = {};
+    Object.keys(src).slice(0, MAX_HOSTS * 2).forEach((key) => {
+      const host = normalizeHost(key);
+      if (!host || (!out[host] && Object.keys(out).length >= MAX_HOSTS)) {
+        return;
+      }
+      const entries = normalizeHostEntries({ ...(out[host] || {}), ...normalizeHostEntries(src[key]) });
+      if (Object.keys(entries).length) {
+        out[host] = entries;
+      }
+    });
+    return out;
+  }
+
+  /**
+   * Folds `samples` ({ pattern, category, verdict }) into the host's entries.
+   * Repeating a verdict strengthens it; the opposite verdict or another
+   * category starts the entry over.
+   */
+  function record(memory, host, samples, now = Date.now()) {
+    const next = normalizeMemory(memory);
+    const key = normalizeHost(host);
+    const list = Array.isArray(samples) ? samples : [];
+    if (!key || !list.length) {
+      return next;
+    }
+    const entries = { ...(next[key] || {}) };
+    list.forEach((sample) => {
+      const pattern = normalizePattern(sample && sample.pattern);
+      const entry = pattern ? normalizeEntry({ ...sample, hits: 1, updatedAt: now }) : null;
+      if (!entry) {
+        return;
+      }
+      const previous = entries[pattern];
+      if (previous && previous.verdict === entry.verdict && previous.category === entry.category) {
+        entry.hits = Math.min(MAX_HITS, previous.hits + 1);
+      }
+      entries[pattern] = entry;
+    });
+    const normalized = normalizeHostEntries(entries);
+    if (Object.keys(normalized).length) {
+      next[key] = normalized;
+    }
+    return normalizeMemory(next);
+  }
+
+  function forUrl(memory, url) {
+    const host = normalizeHost(url);
+    const normalized = normalizeMemory(memory);
+    return host && normalized[host] ? normalized[host] : {};
+  }
+
+  function withoutHost(memory, host) {
+    const next = normalizeMemory(memory);
+    const key = normalizeHost(host);
+    if (key) {
+      delete next[key];
+    }
+    return next;
+  }
+
+  NT.CategoryLearning = Object.freeze({
+    VERDICTS,
+    MAX_HOSTS,
+    MAX_PATTERNS_PER_HOST,
+    MAX_HITS,
+    normalizeHost,
+    patternFor,
+    normalizeEntry,
+    normalizeHostEntries,
+    normalizeMemory,
+    record,
+    forUrl,
+    withoutHost
+  });
+})(globalThis);
@@ -32,6 +32,7 @@
     'footer',
     'legal',
     'ads',
+    'attributes',
     'unknown'
   ]);
 
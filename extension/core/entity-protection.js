@@ -0,0 +1,239 @@
+/**
+ * Do-not-translate spans inside blocks.
+ *
+ * `_isCodeLike` in the indexer only skips whole code elements, so brand
+ * names, file paths, CLI flags and identifiers inside ordinary sentences
+ * still reach the model, which translates or transliterates them at random.
+ * Before a prompt is built every such span is replaced with a numbered token
+ * (`⟦1⟧`); after translation the tokens are swapped back for the exact
+ * source text. Spans come from three places: the heuristics below, the
+ * user's do-not-translate glossary terms, and, in 'model' mode, names the
+ * model found in a separate detection request. An output that lost a token
+ * is reported so the caller can translate that block unmasked instead.
+ *
+ * Everything here is pure; BG records the per-block reports on the job.
+ */
+(function initEntityProtection(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const MODES = Object.freeze(['heuristic', 'model', 'off']);
+  const KINDS = Object.freeze(['code', 'url', 'email', 'placeholder', 'path', 'flag', 'identifier', 'name', 'glossary', 'entity']);
+  const MAX_SPANS = 20;
+  const MAX_SUMMARY_BLOCKS = 100;
+  const MIN_CHARS = 2;
+  const TOKEN_RE = /⟦(\d{1,2})⟧/g;
+  const FILE_EXTENSIONS = 'js|mjs|cjs|ts|tsx|jsx|json|ya?ml|toml|ini|cfg|conf|txt|csv|xml|html?|css|scss|py|rb|rs|java|kt|swift|cc|cpp|hpp|cs|php|sh|bash|ps1|bat|sql|lock|env|log|zip|tar|gz|exe|dll|dmg|pkg|deb|rpm|apk|ipa|png|jpe?g|gif|svg|pdf';
+  // Also English words or letters after a missing space ("fine.so", "item a.c").
+  const AMBIGUOUS_EXTENSIONS = 'c|h|go|so|md';
+
+  // Earlier rules win when spans overlap at the same start.
+  const RULES = Object.freeze([
+    Object.freeze({ kind: 'code', re: /`[^`\n]+`/g }),
+    Object.freeze({ kind: 'url', re: /\bhttps?:\/\/[^\s<>"'`{}⟦⟧]+[^\s<>"'`{}⟦⟧.,;:!?)]/gi }),
+    Object.freeze({ kind: 'email', re: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g }),
+    Object.freeze({ kind: 'placeholder', re: /\{\{\s*[\w.-]+\s*\}\}|\$\{[\w.-]+\}|\{[A-Za-z_][\w.-]*\}|%(?:\d+\$)?[sdif@]|%\(\w+\)[sd]/g }),
+    Object.freeze({ kind: 'path', re: /(?<![\w/])[A-Za-z]:\\[^\s<>"'`|?*⟦⟧]*[^\s<>"'`|?*⟦⟧.,;:!)]/g }),
+    Object.freeze({ kind: 'path', re: /(?<![\w/.-])(?:~|\.{1,2})?(?:\/[\w.@+-]*[\w@+-]){2,}\/?/g }),
+    Object.freeze({ kind: 'path', re: new RegExp(`(?<![\\w/.-])(?:[\\w.@+-]+\\/)*[\\w@+-]+(?:\\.[\\w-]+)*\\.(?:${FILE_EXTENSIONS})(?![\\w/-])`, 'gi') }),
+    // Only with a directory, a digit or underscore in the name, or an all-caps name (README.md).
+    Object.freeze({ kind: 'path', re: new RegExp(`(?<![\\w/.-])(?:(?:(?:[\\w.@+-]+\\/)+[\\w@+-]+|[A-Za-z]\\w*[\\d_][\\w@+-]*)\\.(?:${AMBIGUOUS_EXTENSIONS})|[A-Z][A-Z0-9_-]{2,}\\.md)(?![\\w/-])`, 'g') }),
+    Object.freeze({ kind: 'flag', re: /(?<![\w-])--[A-Za-z][\w-]*(?:=[^\s"'`,;)⟦⟧]+)?/g }),
+    Object.freeze({ kind: 'flag', re: /(?<=^|\s)-[A-Za-z]{1,2}(?=$|[\s,;.)])/g }),
+    Object.freeze({ kind: 'identifier', re: /\b[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*\(\)/g }),
+    Object.freeze({ kind: 'identifier', re: /\b[a-z][a-z0-9]*(?:_[a-z0-9]+)+\b|\b[A-Z][A-Z0-9]*(?:_[A-Z0-9]+)+\b/g }),
+    Object.freeze({ kind: 'identifier', re: /\b[a-z][a-z0-9]*(?:[A-Z][a-z0-9]*)+\b/g }),
+    // Dotted names need a code signal: three or more parts, `_`, `$`, a digit or an inner capital.
+    Object.freeze({ kind: 'identifier', re: /\b(?=[\w$]*(?:\.[\w$]+){2}|[\w$.]*[_$\d]|[\w$.]*[a-z0-9][A-Z])[a-z_$][\w$]+(?:\.[a-z_$][\w$]+)+\b/g }),
+    Object.freeze({ kind: 'name', re: /\b[A-Z][a-z0-9]+(?:[A-Z][a-z0-9]+)+\b/g })
+  ]);
+
+  function normalizeMode(value) {
+    const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return MODES.includes(raw) ? raw : 'heuristic';
+  }
+
+  function escapeRegExp(text) {
+    return String(text || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function collect(text, re, kind, out) {
+    const pattern = new RegExp(re.source, re.flags.includes('g') ? re.flags : `${re.flags}g`);
+    let match = pattern.exec(text);
+    while (match) {
+      if (match[0].length >= MIN_CHARS) {
+        out.push({ start: match.index, end: match.index + match[0].length, text: match[0], kind });
+      } else if (!match[0].length) {
+        pattern.lastIndex += 1;
+      }
+      match = pattern.exec(text);
+    }
+  }
+
+  /**
+   * Do-not-translate spans of `text`, sorted and non-overlapping. `terms` are
+   * `{ term, caseRule }` glossary entries; `entities` are literal strings
+   * (model detections) matched verbatim on word boundaries.
+   */
+  function detect(text, { terms = [], entities = [], heuristics = true } = {}) {
+    const source = typeof text === 'string' ? text : '';
+    if (!source) {
+      return [];
+    }
+    const found = [];
+    (Array.isArray(terms) ? terms : []).forEach((entry) => {
+      const term = entry && typeof entry.term === 'string' ? entry.term.trim() : '';
+      if (term) {
+        const body = escapeRegExp(term).replace(/\s+/g, '\\s+');
+        collect(source, new RegExp(`(?<![\\p{L}\\p{N}_])${body}(?![\\p{L}\\p{N}_])`, entry.caseRule === 'exact' ? 'gu' : 'giu'), 'glossary', found);
+      }
+    });
+    (Array.isArray(entities) ? entities : []).forEach((entity) => {
+      const value = typeof entity === 'string' ? entity.trim() : '';
+      if (value) {
+        collect(source, new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(value)}(?![\\p{L}\\p{N}_])`, 'gu'), 'entity', found);
+      }
+    });
+    if (heuristics) {
+      RULES.forEach((rule) => collect(source, rule.re, rule.kind, found));
+    }
+    // Longest span first at the same start; user terms before guesses.
+    const rank = (kind) => (kind === 'glossary' ? 0 : (kind === 'entity' ? 1 : 2));
+    found.sort((left, right) => left.start - right.start
+      || (right.end - left.end)
+      || rank(left.kind) - rank(right.kind));
+    const out = [];
+    let cursor = 0;
+    found.forEach((span) => {
+      if (span.start >= cursor && out.length < MAX_SPANS) {
+        out.push(span);
+        cursor = span.end;
+      }
+    });
+    return out;
+  }
+
+  /**
+   * Replaces `spans` with tokens; one token per distinct text. Text that
+   * already contains token-like brackets is left as is.
+   */
+  function mask(text, spans) {
+    const source = typeof text === 'string' ? text : '';
+    const list = Array.isArray(spans) ? spans : [];
+    if (!list.length || /[⟦⟧]/.test(source)) {
+      return { text: source, entities: [] };
+    }
+    const entities = [];
+    const byText = new Map();
+    let out = '';
+    let cursor = 0;
+    list.forEach((span) => {
+      if (!byText.has(span.text)) {
+        const token = `⟦${entities.length + 1}⟧`;
+        byText.set(span.text, token);
+        entities.push({ token, text: span.text, kind: KINDS.includes(span.kind) ? span.kind : 'entity' });
+      }
+      out += source.slice(cursor, span.start) + byText.get(span.text);
+      cursor = span.end;
+    });
+    return { text: out + source.slice(cursor), entities };
+  }
+
+  function protect(text, options = {}) {
+    return mask(text, detect(text, options));
+  }
+
+  /**
+   * Swaps tokens back. `lost` lists entity texts whose token is missing from
+   * the output; unknown tokens are dropped. With `partial`, a trailing token
+   * that is still being streamed is hidden.
+   */
+  function restore(text, entities, { partial = false } = {}) {
+    const list = Array.isArray(entities) ? entities : [];
+    let source = typeof text === 'string' ? text : '';
+    if (!list.length) {
+      return { text: source, lost: [] };
+    }
+    if (partial) {
+      source = source.replace(/⟦\d{0,2}$/, '');
+    }
+    const byToken = new Map(list.map((entity) => [entity.token, entity.text]));
+    const seen = new Set();
+    const out = source.replace(new RegExp(TOKEN_RE.source, 'g'), (token) => {
+      if (!byToken.has(token)) {
+        return '';
+      }
+      seen.add(token);
+      return byToken.get(token);
+    });
+    return {
+      text: out,
+      lost: partial ? [] : list.filter((entity) => !seen.has(entity.token)).map((entity) => entity.text)
+    };
+  }
+
+  /** Do-not-translate glossary entries, in the shape `detect` takes. */
+  function glossaryTerms(entries) {
+    return (Array.isArray(entries) ? entries : [])
+      .filter((entry) => entry && entry.doNotTranslate && typeof entry.term === 'string' && entry.term.trim())
+      .map((entry) => ({ term: entry.term, caseRule: entry.caseRule }));
+  }
+
+  /**
+   * Stores what was protected in one block: the block keeps its entity list,
+   * `job.entityProtection` keeps totals and the latest blocks by id.
+   */
+  function recordBlock(job, blockId, { entities = [], lost = [], retried = false } = {}) {
+    if (!job || typeof job !== 'object' || !blockId) {
+      return;
+    }
+    const list = (Array.isArray(entities) ? entities : []).slice(0, MAX_SPANS)
+      .map((entity) => ({ text: String(entity.text || ''), kind: KINDS.includes(entity.kind) ? entity.kind : 'entity' }));
+    const lostList = (Array.isArray(lost) ? lost : []).slice(0, MAX_SPANS).map(String);
+    const block = job.blocksById && job.blocksById[blockId] ? job.blocksById[blockId] : null;
+    if (block) {
+      if (list.length) {
+        block.protectedEntities = list;
+      } else {
+        delete block.protectedEntities;
+      }
+    }
+    const prev = job.entityProtection && typeof job.entityProtection === 'object' ? job.entityProtection : {};
+    const byBlockId = prev.byBlockId && typeof prev.byBlockId === 'object' ? { ...prev.byBlockId } : {};
+    delete byBlockId[blockId];
+    if (list.length || lostList.length) {
+      byBlockId[blockId] = { entities: list, lost: lostList, retried: Boolean(retried) };
+    }
+    const keys = Object.keys(byBlockId);
+    keys.slice(0, Math.max(0, keys.length - MAX_SUMMARY_BLOCKS)).forEach((key) => {
+      delete byBlockId[key];
+    });
+    const byKind = {};
+    Object.keys(byBlockId).forEach((key) => {
+      byBlockId[key].entities.forEach((entity) => {
+        byKind[entity.kind] = (byKind[entity.kind] || 0) + 1;
+      });
+    });
+    job.entityProtection = {
+      protectedBlocks: Number(prev.protectedBlocks || 0) + (list.length ? 1 : 0),
+      protectedSpans: Number(prev.protectedSpans || 0) + list.length,
+      lostSpans: Number(prev.lostSpans || 0) + lostList.length,
+      retriedBlocks: Number(prev.retriedBlocks || 0) + (retried ? 1 : 0),
+      byKind,
+      byBlockId,
+      lastError: prev.lastError || null,
+      updatedAt: Date.now()
+    };
+  }
+
+  NT.EntityProtection = Object.freeze({
+    MODES,
+    KINDS,
+    normalizeMode,
+    detect,
+    mask,
+    protect,
+    restore,
+    glossaryTerms,
+    recordBlock
+  });
+})(globalThis);
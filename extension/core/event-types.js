@@ -33,6 +33,7 @@
     AI_RESPONSE: 'ai.response',
     AI_RATE_LIMIT: 'ai.rateLimit',
     AI_COOLDOWN: 'ai.cooldown',
+    AI_BUDGET: 'ai.budget',
 
     BENCH_START: 'bench.start',
     BENCH_SAMPLE: 'bench.sample',
@@ -43,8 +44,14 @@
     TRANSLATION_BATCH_SENT: 'translation.batch.sent',
     TRANSLATION_BATCH_APPLIED: 'translation.batch.applied',
     TRANSLATION_CANCEL: 'translation.cancel',
+    TRANSLATION_PAUSE: 'translation.pause',
     TRANSLATION_FAIL: 'translation.fail',
     TRANSLATION_RESUME: 'translation.resume',
+    TRANSLATION_GLOSSARY: 'translation.glossary',
+    TRANSLATION_QA: 'translation.qa',
+    TRANSLATION_QUALITY: 'translation.quality',
+    TRANSLATION_CONSISTENCY: 'translation.consistency',
+    TRANSLATION_SELECTION: 'translation.selection',
 
     CS_HELLO: 'cs.hello',
     CS_STATUS: 'cs.status',
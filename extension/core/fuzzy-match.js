@@ -0,0 +1,143 @@
+/**
+ * Fuzzy matching for translation memory.
+ *
+ * Similarity is a normalized edit distance: over words for sentences, over
+ * characters for short strings (under four words), so "Save file" vs
+ * "Save files" still scores high. `createIndex` keeps an inverted word index
+ * so a lookup only scores candidates that share a word with the query and
+ * have a compatible length; that keeps lookups cheap against a few thousand
+ * memory blocks.
+ */
+(function initFuzzyMatch(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const DEFAULT_THRESHOLD = 0.75;
+  const MIN_THRESHOLD = 0.5;
+  const MAX_CANDIDATES_PER_QUERY = 200;
+  const MAX_TEXT_CHARS = 2000;
+
+  function normalizeThreshold(value, fallback = DEFAULT_THRESHOLD) {
+    const num = Number(value);
+    if (!Number.isFinite(num)) {
+      return fallback;
+    }
+    if (num <= 0) {
+      return 0;
+    }
+    const ratio = num > 1 ? num / 100 : num;
+    return Math.max(MIN_THRESHOLD, Math.min(1, ratio));
+  }
+
+  function normalizeText(text) {
+    return String(text || '')
+      .slice(0, MAX_TEXT_CHARS)
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  function tokenize(text) {
+    const normalized = normalizeText(text);
+    return normalized ? normalized.split(' ') : [];
+  }
+
+  function editDistance(a, b) {
+    if (a.length < b.length) {
+      return editDistance(b, a);
+    }
+    let prev = new Array(b.length + 1);
+    for (let j = 0; j <= b.length; j += 1) {
+      prev[j] = j;
+    }
+    for (let i = 1; i <= a.length; i += 1) {
+      const curr = [i];
+      for (let j = 1; j <= b.length; j += 1) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      }
+      prev = curr;
+    }
+    return prev[b.length];
+  }
+
+  /**
+   * 0..1, where 1 means identical after normalization (case, punctuation and
+   * whitespace are ignored).
+   */
+  function similarity(left, right) {
+    const a = tokenize(left);
+    const b = tokenize(right);
+    if (!a.length || !b.length) {
+      return 0;
+    }
+    if (a.length < 4 && b.length < 4) {
+      const x = a.join(' ');
+      const y = b.join(' ');
+      return 1 - (editDistance(x, y) / Math.max(x.length, y.length));
+    }
+    return 1 - (editDistance(a, b) / Math.max(a.length, b.length));
+  }
+
+  /**
+   * entries: `[{ id, text, ...payload }]`. `search` returns the best matches
+   * at or above the threshold, best first, as `{ entry, score }`.
+   */
+  function createIndex(entries) {
+    const rows = [];
+    const byToken = new Map();
+    (Array.isArray(entries) ? entries : []).forEach((entry) => {
+      const tokens = entry && typeof entry.text === 'string' ? tokenize(entry.text) : [];
+      if (!tokens.length) {
+        return;
+      }
+      const index = rows.length;
+      rows.push({ entry, size: tokens.length });
+      new Set(tokens).forEach((token) => {
+        if (!byToken.has(token)) {
+          byToken.set(token, []);
+        }
+        byToken.get(token).push(index);
+      });
+    });
+
+    function search(text, { threshold = DEFAULT_THRESHOLD, limit = 1, exclude = null } = {}) {
+      const min = normalizeThreshold(threshold);
+      const tokens = tokenize(text);
+      if (!min || !tokens.length) {
+        return [];
+      }
+      const shared = new Map();
+      new Set(tokens).forEach((token) => {
+        (byToken.get(token) || []).forEach((index) => {
+          shared.set(index, (shared.get(index) || 0) + 1);
+        });
+      });
+      const candidates = Array.from(shared.entries())
+        .filter(([index]) => {
+          const row = rows[index];
+          if (typeof exclude === 'function' && exclude(row.entry)) {
+            return false;
+          }
+          return Math.min(row.size, tokens.length) / Math.max(row.size, tokens.length) >= min;
+        })
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_CANDIDATES_PER_QUERY);
+      return candidates
+        .map(([index]) => ({ entry: rows[index].entry, score: similarity(text, rows[index].entry.text) }))
+        .filter((row) => row.score >= min)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, Math.max(1, Number(limit) || 1));
+    }
+
+    return { size: rows.length, search };
+  }
+
+  NT.FuzzyMatch = Object.freeze({
+    DEFAULT_THRESHOLD,
+    MIN_THRESHOLD,
+    normalizeThreshold,
+    similarity,
+    createIndex
+  });
+})(globalThis);
@@ -0,0 +1,388 @@
+/**
+ * Glossary import/export in CSV and TBX.
+ *
+ * Converts user glossary entries to and from the two formats CAT tools
+ * exchange termbases in. Parsing never throws on bad input: every rejected
+ * row comes back as `{ row, code, message }` so the UI can show what to fix.
+ *
+ * CSV: header row required; comma, semicolon or tab delimited.
+ * TBX: TBX-Basic (`martif/termEntry/langSet/tig`) and TBX v3
+ * (`tbx/conceptEntry/langSec/termSec`). Fields without a TBX data category
+ * (do-not-translate, case rule, site domain) travel as `descrip` elements.
+ *
+ * Terms a job collected (`build_glossary`) are exported with the model hint
+ * as translation and `JOB_TERM_NOTE` as note; on import the ones without a
+ * translation are counted in `jobTermsSkipped` instead of rejected.
+ */
+(function initGlossaryExchange(global) {
+  const NT = global.NT || (global.NT = {});
+  const Xml = NT.XmlLite;
+
+  const FORMATS = Object.freeze(['csv', 'tbx']);
+  const MAX_IMPORT_CHARS = 4 * 1024 * 1024;
+  const JOB_TERM_NOTE = 'build_glossary';
+  const CSV_COLUMNS = Object.freeze(['term', 'translation', 'doNotTranslate', 'caseRule', 'scope', 'domain', 'sourceLang', 'targetLang', 'note']);
+  const CSV_HEADER_ALIASES = Object.freeze({
+    term: 'term',
+    source: 'term',
+    'source term': 'term',
+    sourceterm: 'term',
+    translation: 'translation',
+    target: 'translation',
+    'target term': 'translation',
+    targetterm: 'translation',
+    donottranslate: 'doNotTranslate',
+    'do not translate': 'doNotTranslate',
+    dnt: 'doNotTranslate',
+    caserule: 'caseRule',
+    case: 'caseRule',
+    scope: 'scope',
+    domain: 'domain',
+    sourcelang: 'sourceLang',
+    'source lang': 'sourceLang',
+    'source language': 'sourceLang',
+    targetlang: 'targetLang',
+    'target lang': 'targetLang',
+    'target language': 'targetLang',
+    note: 'note',
+    notes: 'note',
+    comment: 'note'
+  });
+
+  function rowError(row, code, message) {
+    return { row, code, message };
+  }
+
+  function parseBool(value) {
+    const raw = typeof value === 'string' ? value.trim().toLowerCase() : value;
+    return raw === true || raw === 'true' || raw === '1' || raw === 'yes' || raw === 'y' || raw === 'да';
+  }
+
+  /**
+   * Validates one raw row. Returns `{ entry }` or `{ error }`; the error names
+   * the first field that makes the row unusable.
+   */
+  function validateRow(raw, row) {
+    const Glossary = NT.UserGlossary;
+    const src = raw && typeof raw === 'object' ? raw : {};
+    const term = typeof src.term === 'string' ? src.term.trim() : '';
+    if (!term) {
+      return { error: rowError(row, 'MISSING_TERM', 'Пустой термин') };
+    }
+    const doNotTranslate = parseBool(src.doNotTranslate);
+    const translation = typeof src.translation === 'string' ? src.translation.trim() : '';
+    if (!doNotTranslate && !translation && typeof src.note === 'string' && src.note.trim() === JOB_TERM_NOTE) {
+      return { skipped: true };
+    }
+    if (!doNotTranslate && !translation) {
+      return { error: rowError(row, 'MISSING_TRANSLATION', `Нет перевода для «${term}»`) };
+    }
+    const caseRule = typeof src.caseRule === 'string' && src.caseRule.trim() ? src.caseRule.trim().toLowerCase() : 'insensitive';
+    if (!Glossary.CASE_RULES.includes(caseRule)) {
+      return { error: rowError(row, 'BAD_CASE_RULE', `Неизвестное правило регистра: ${caseRule}`) };
+    }
+    const domainRaw = typeof src.domain === 'string' ? src.domain.trim() : '';
+    const scope = typeof src.scope === 'string' && src.scope.trim() ? src.scope.trim().toLowerCase() : (domainRaw ? 'domain' : 'global');
+    if (!Glossary.SCOPES.includes(scope)) {
+      return { error: rowError(row, 'BAD_SCOPE', `Неизвестная область: ${scope}`) };
+    }
+    if (scope === 'domain' && !Glossary.normalizeDomain(domainRaw)) {
+      return { error: rowError(row, 'BAD_DOMAIN', `Некорректный домен: ${domainRaw || '-'}`) };
+    }
+    const langs = {};
+    for (const key of ['sourceLang', 'targetLang']) {
+      const value = typeof src[key] === 'string' ? src[key].trim() : '';
+      if (value && !/^[a-z]{2,10}(?:[-_][a-z0-9]{2,8})?$/i.test(value)) {
+        return { error: rowError(row, 'BAD_LANG', `Некорректный код языка: ${value}`) };
+      }
+      langs[key] = value.replace('_', '-');
+    }
+    const entry = Glossary.normalizeEntry({
+      term,
+      translation,
+      doNotTranslate,
+      caseRule,
+      scope,
+      domain: domainRaw,
+      sourceLang: langs.sourceLang,
+      targetLang: langs.targetLang,
+      note: typeof src.note === 'string' ? src.note : ''
+    });
+    return entry ? { entry } : { error: rowError(row, 'INVALID_ENTRY', `Запись «${term}» отклонена`) };
+  }
+
+  function collect(rows) {
+    const entries = [];
+    const errors = [];
+    const seen = new Map();
+    let jobTermsSkipped = 0;
+    rows.forEach(({ raw, row }) => {
+      const result = validateRow(raw, row);
+      if (result.skipped) {
+        jobTermsSkipped += 1;
+        return;
+      }
+      if (result.error) {
+        errors.push(result.error);
+        return;
+      }
+      const key = NT.UserGlossary.entryKey(result.entry);
+      if (seen.has(key)) {
+        errors.push(rowError(row, 'DUPLICATE', `«${result.entry.term}» уже есть в строке ${seen.get(key)}`));
+        return;
+      }
+      seen.set(key, row);
+      entries.push(result.entry);
+    });
+    return { entries, errors, jobTermsSkipped };
+  }
+
+  function detectDelimiter(headerLine) {
+    const counts = [',', ';', '\t'].map((delimiter) => ({
+      delimiter,
+      count: headerLine.split(delimiter).length - 1
+    }));
+    counts.sort((a, b) => b.count - a.count);
+    return counts[0].count > 0 ? counts[0].delimiter : ',';
+  }
+
+  /**
+   * RFC 4180 tokenizer; returns records with the 1-based line they start on.
+   */
+  function tokenizeCsv(text, delimiter) {
+    const records = [];
+    let field = '';
+    let record = [];
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+    for (let i = 0; i < text.length; i += 1) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          if (ch === '\n') {
+            line += 1;
+          }
+          field += ch;
+        }
+        continue;
+      }
+      if (ch === '"' && !field) {
+        quoted = true;
+      } else if (ch === delimiter) {
+        record.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') {
+          i += 1;
+        }
+        record.push(field);
+        records.push({ cells: record, line: recordLine });
+        record = [];
+        field = '';
+        line += 1;
+        recordLine = line;
+      } else {
+        field += ch;
+      }
+    }
+    if (field || record.length) {
+      record.push(field);
+      records.push({ cells: record, line: recordLine });
+    }
+    return records.filter((item) => item.cells.some((cell) => cell.trim()));
+  }
+
+  function parseCsv(text) {
+    const src = typeof text === 'string' ? text.replace(/^﻿/, '') : '';
+    if (!src.trim()) {
+      return { entries: [], errors: [rowError(0, 'EMPTY_FILE', 'Файл пуст')] };
+    }
+    const firstLine = src.split(/\r?\n/, 1)[0];
+    const records = tokenizeCsv(src, detectDelimiter(firstLine));
+    const header = records.shift();
+    const columns = header.cells.map((cell) => CSV_HEADER_ALIASES[cell.trim().toLowerCase().replace(/[_-]+/g, ' ')]
+      || CSV_HEADER_ALIASES[cell.trim().toLowerCase().replace(/[\s_-]+/g, '')]
+      || null);
+    if (!columns.includes('term') || (!columns.includes('translation') && !columns.includes('doNotTranslate'))) {
+      return { entries: [], errors: [rowError(header.line, 'BAD_HEADER', 'Нужны колонки term и translation')] };
+    }
+    return collect(records.map((record) => {
+      const raw = {};
+      columns.forEach((column, index) => {
+        if (column && raw[column] === undefined) {
+          raw[column] = record.cells[index] !== undefined ? record.cells[index] : '';
+        }
+      });
+      return { raw, row: record.line };
+    }));
+  }
+
+  function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",;\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCsv(entries) {
+    const lines = [CSV_COLUMNS.join(',')];
+    (Array.isArray(entries) ? entries : []).forEach((entry) => {
+      lines.push(CSV_COLUMNS.map((column) => {
+        if (column === 'doNotTranslate') {
+          return entry.doNotTranslate ? 'true' : 'false';
+        }
+        return csvCell(entry[column]);
+      }).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  function toTbx(entries, { sourceLang = null } = {}) {
+    const list = Array.isArray(entries) ? entries : [];
+    const rootLang = sourceLang || (list.find((entry) => entry.sourceLang) || {}).sourceLang || 'en';
+    const body = list.map((entry, index) => {
+      const descrips = [];
+      if (entry.doNotTranslate) {
+        descrips.push('<descrip type="doNotTranslate">true</descrip>');
+      }
+      if (entry.caseRule && entry.caseRule !== 'insensitive') {
+        descrips.push(`<descrip type="caseRule">${Xml.escape(entry.caseRule)}</descrip>`);
+      }
+      if (entry.scope === 'domain' && entry.domain) {
+        descrips.push(`<descrip type="domain">${Xml.escape(entry.domain)}</descrip>`);
+      }
+      if (entry.note) {
+        descrips.push(`<note>${Xml.escape(entry.note)}</note>`);
+      }
+      const targetTerm = entry.doNotTranslate ? entry.term : entry.translation;
+      const targetLangSet = targetTerm && (entry.targetLang || !entry.doNotTranslate)
+        ? `      <langSet xml:lang="${Xml.escape(entry.targetLang || 'und')}"><tig><term>${Xml.escape(targetTerm)}</term></tig></langSet>`
+        : '';
+      return [
+        `    <termEntry id="${Xml.escape(entry.id || `t${index + 1}`)}">`,
+        ...descrips.map((item) => `      ${item}`),
+        `      <langSet xml:lang="${Xml.escape(entry.sourceLang || rootLang)}"><tig><term>${Xml.escape(entry.term)}</term></tig></langSet>`,
+        targetLangSet,
+        '    </termEntry>'
+      ].filter(Boolean).join('\n');
+    });
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<martif type="TBX-Basic" xml:lang="${Xml.escape(rootLang)}">`,
+      '  <martifHeader><fileDesc><sourceDesc><p>Neuro Translate glossary export</p></sourceDesc></fileDesc></martifHeader>',
+      '  <text><body>',
+      ...body,
+      '  </body></text>',
+      '</martif>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * One termEntry/conceptEntry becomes one entry per target language. The
+   * source side is the language asked for, else the file language, else the
+   * first language section.
+   */
+  function parseTbx(text, { sourceLang = null, targetLang = null } = {}) {
+    const src = typeof text === 'string' ? text.replace(/^﻿/, '') : '';
+    const root = src.match(/<(martif|tbx)\b[^>]*>/i);
+    if (!root) {
+      return { entries: [], errors: [rowError(0, 'BAD_TBX', 'Не найден корневой элемент martif/tbx')] };
+    }
+    const fileLang = Xml.attr(root[0], 'xml:lang').toLowerCase();
+    const wantedSource = (sourceLang || fileLang || '').toLowerCase().split('-')[0];
+    const wantedTarget = (targetLang || '').toLowerCase().split('-')[0];
+    const rows = [];
+    const errors = [];
+    Xml.elements(src, ['termEntry', 'conceptEntry']).forEach((entryEl) => {
+      const row = Xml.lineAt(src, entryEl.index);
+      const descrip = {};
+      Xml.elements(entryEl.inner, ['descrip']).forEach((el) => {
+        descrip[Xml.attr(el.open, 'type')] = Xml.innerText(el.inner);
+      });
+      const notes = Xml.elements(entryEl.inner.replace(/<(langSet|langSec)\b[\s\S]*?<\/\1\s*>/gi, ''), ['note']).map((el) => Xml.innerText(el.inner));
+      const langSets = Xml.elements(entryEl.inner, ['langSet', 'langSec']).map((el) => ({
+        lang: Xml.attr(el.open, 'xml:lang').toLowerCase(),
+        terms: Xml.elements(el.inner, ['term']).map((termEl) => Xml.innerText(termEl.inner)).filter(Boolean)
+      })).filter((set) => set.lang && set.terms.length);
+      if (!langSets.length) {
+        errors.push(rowError(row, 'MISSING_TERM', 'termEntry без терминов'));
+        return;
+      }
+      const sourceSet = langSets.find((set) => set.lang.split('-')[0] === wantedSource) || langSets[0];
+      const base = {
+        term: sourceSet.terms[0],
+        doNotTranslate: descrip.doNotTranslate || '',
+        caseRule: descrip.caseRule || '',
+        domain: descrip.domain || '',
+        sourceLang: sourceSet.lang === 'und' ? '' : sourceSet.lang,
+        note: notes.join(' ')
+      };
+      const targets = langSets.filter((set) => set !== sourceSet
+        && (!wantedTarget || set.lang.split('-')[0] === wantedTarget));
+      if (!targets.length) {
+        if (parseBool(base.doNotTranslate) || notes.includes(JOB_TERM_NOTE)) {
+          rows.push({ raw: { ...base, targetLang: wantedTarget }, row });
+        } else if (!wantedTarget) {
+          errors.push(rowError(row, 'MISSING_TRANSLATION', `Нет перевода для «${base.term}»`));
+        }
+        return;
+      }
+      targets.forEach((set) => {
+        rows.push({
+          raw: { ...base, translation: set.terms[0], targetLang: set.lang === 'und' ? '' : set.lang },
+          row
+        });
+      });
+    });
+    const collected = collect(rows);
+    return {
+      entries: collected.entries,
+      errors: errors.concat(collected.errors).sort((a, b) => a.row - b.row),
+      jobTermsSkipped: collected.jobTermsSkipped
+    };
+  }
+
+  function detectFormat(text, fileName = '') {
+    const name = String(fileName || '').toLowerCase();
+    if (/\.(tbx|xml)$/.test(name)) {
+      return 'tbx';
+    }
+    if (/\.(csv|tsv|txt)$/.test(name)) {
+      return 'csv';
+    }
+    return /^\s*(<\?xml|<martif|<tbx)/i.test(String(text || '').replace(/^﻿/, '')) ? 'tbx' : 'csv';
+  }
+
+  function parse(text, { format = null, fileName = '', sourceLang = null, targetLang = null } = {}) {
+    if (typeof text === 'string' && text.length > MAX_IMPORT_CHARS) {
+      return { format: null, entries: [], errors: [rowError(0, 'FILE_TOO_LARGE', 'Файл слишком большой')] };
+    }
+    const resolved = FORMATS.includes(format) ? format : detectFormat(text, fileName);
+    const parsed = resolved === 'tbx'
+      ? parseTbx(text, { sourceLang, targetLang })
+      : parseCsv(text);
+    return { format: resolved, entries: parsed.entries, errors: parsed.errors, jobTermsSkipped: parsed.jobTermsSkipped || 0 };
+  }
+
+  function serialize(entries, format, options = {}) {
+    return format === 'tbx' ? toTbx(entries, options) : toCsv(entries);
+  }
+
+  NT.GlossaryExchange = Object.freeze({
+    FORMATS,
+    CSV_COLUMNS,
+    JOB_TERM_NOTE,
+    parse,
+    parseCsv,
+    parseTbx,
+    toCsv,
+    toTbx,
+    serialize,
+    detectFormat
+  });
+})(globalThis);
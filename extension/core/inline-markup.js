@@ -0,0 +1,239 @@
+/**
+ * Inline-markup segments with numbered placeholders.
+ *
+ * The indexer emits one block per text node, so "Click <a>here</a> to
+ * continue" arrives as three blocks. It tags such runs with a shared
+ * `segment` ({ id, index, count, slot, spaceBefore, spaceAfter }): slot 0 is
+ * text directly in the container, slot N is the text node of the N-th inline
+ * element. BG encodes the run as one sentence ("Click {1}here{/1} to
+ * continue"), and after translation `decode` hands every member its piece:
+ * slot texts go to their element, free text between placeholders goes to the
+ * container node in the same gap. A result with lost, duplicated or nested
+ * placeholders fails validation and the caller falls back to per-node
+ * translation.
+ */
+(function initInlineMarkup(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const INLINE_TAGS = Object.freeze(['A', 'B', 'I', 'EM', 'STRONG', 'CODE', 'SPAN']);
+  const MAX_SEGMENT_NODES = 24;
+  const PLACEHOLDER_RE = /\{(\/?)(\d{1,3})\}/g;
+
+  function sanitizeSegment(input) {
+    const src = input && typeof input === 'object' ? input : null;
+    const id = src && typeof src.id === 'string' ? src.id.trim().slice(0, 120) : '';
+    const index = src ? Number(src.index) : NaN;
+    const count = src ? Number(src.count) : NaN;
+    const slot = src ? Number(src.slot) : NaN;
+    if (!id || !Number.isInteger(index) || !Number.isInteger(count) || !Number.isInteger(slot)) {
+      return null;
+    }
+    if (count < 2 || count > MAX_SEGMENT_NODES || index < 0 || index >= count || slot < 0 || slot > count) {
+      return null;
+    }
+    return {
+      id,
+      index,
+      count,
+      slot,
+      spaceBefore: src.spaceBefore === true,
+      spaceAfter: src.spaceAfter === true
+    };
+  }
+
+  function collapse(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function sortMembers(members) {
+    return (Array.isArray(members) ? members : [])
+      .filter((block) => block && block.segment)
+      .slice()
+      .sort((a, b) => a.segment.index - b.segment.index);
+  }
+
+  /**
+   * Splits blocks into complete segments and the rest, keeping input order
+   * (a segment takes the position of its first member). Segments missing a
+   * member in this list are left as single blocks.
+   */
+  function groupBlocks(blocks) {
+    const list = Array.isArray(blocks) ? blocks : [];
+    const byId = new Map();
+    list.forEach((block) => {
+      const segment = block && block.segment ? sanitizeSegment(block.segment) : null;
+      if (!segment) {
+        return;
+      }
+      if (!byId.has(segment.id)) {
+        byId.set(segment.id, []);
+      }
+      byId.get(segment.id).push(block);
+    });
+    const complete = new Set();
+    byId.forEach((members, id) => {
+      const indices = new Set(members.map((block) => block.segment.index));
+      if (members.length === members[0].segment.count && indices.size === members.length) {
+        complete.add(id);
+      }
+    });
+    const entries = [];
+    const emitted = new Set();
+    list.forEach((block) => {
+      const id = block && block.segment && complete.has(block.segment.id) ? block.segment.id : null;
+      if (!id) {
+        entries.push({ block });
+        return;
+      }
+      if (emitted.has(id)) {
+        return;
+      }
+      emitted.add(id);
+      entries.push({ segmentId: id, members: sortMembers(byId.get(id)) });
+    });
+    return entries;
+  }
+
+  /**
+   * Source sentence for a complete segment, or null when a member already
+   * contains placeholder-like text and the run cannot be encoded safely.
+   */
+  function encode(members) {
+    const sorted = sortMembers(members);
+    if (!sorted.length) {
+      return null;
+    }
+    let out = '';
+    for (let i = 0; i < sorted.length; i += 1) {
+      const block = sorted[i];
+      const text = collapse(block.originalText);
+      if (new RegExp(PLACEHOLDER_RE.source).test(text)) {
+        return null;
+      }
+      const slot = block.segment.slot;
+      const piece = slot > 0 ? `{${slot}}${text}{/${slot}}` : text;
+      out += `${block.segment.spaceBefore ? ' ' : ''}${piece}${block.segment.spaceAfter ? ' ' : ''}`;
+    }
+    return collapse(out);
+  }
+
+  /**
+   * Checks that every slot of the segment appears exactly once as an
+   * open/close pair, without nesting and without unknown numbers.
+   */
+  function validate(text, slots) {
+    const expected = new Set((Array.isArray(slots) ? slots : []).filter((slot) => slot > 0));
+    const seen = new Set();
+    let open = null;
+    const re = new RegExp(PLACEHOLDER_RE.source, 'g');
+    let match = re.exec(String(text || ''));
+    while (match) {
+      const closing = match[1] === '/';
+      const slot = Number(match[2]);
+      if (!expected.has(slot)) {
+        return { ok: false, code: 'UNKNOWN_PLACEHOLDER', slot };
+      }
+      if (!closing) {
+        if (open !== null || seen.has(slot)) {
+          return { ok: false, code: 'BROKEN_PLACEHOLDER', slot };
+        }
+        open = slot;
+        seen.add(slot);
+      } else {
+        if (open !== slot) {
+          return { ok: false, code: 'BROKEN_PLACEHOLDER', slot };
+        }
+        open = null;
+      }
+      match = re.exec(String(text || ''));
+    }
+    if (open !== null) {
+      return { ok: false, code: 'BROKEN_PLACEHOLDER', slot: open };
+    }
+    const missing = Array.from(expected).find((slot) => !seen.has(slot));
+    if (missing !== undefined) {
+      return { ok: false, code: 'MISSING_PLACEHOLDER', slot: missing };
+    }
+    return { ok: true, code: null };
+  }
+
+  /**
+   * Redistributes a translated segment: `{ ok, code, texts: { blockId: text } }`.
+   * Free text is cut at the placeholders into gaps (before the first, between,
+   * after the last). Each gap goes to the container node that sat in the same
+   * gap in the source; a gap without such a node joins the nearest one. A
+   * container node whose gap is now empty (the translation moved that text
+   * elsewhere in the sentence) gets a single space: BG treats '' as "not
+   * translated yet", and the applier renders whitespace-only text as spacing.
+   */
+  function decode(text, members) {
+    const sorted = sortMembers(members);
+    const slots = sorted.map((block) => block.segment.slot);
+    const verdict = validate(text, slots);
+    if (!verdict.ok) {
+      return { ok: false, code: verdict.code, texts: {} };
+    }
+    const bySlot = {};
+    const gaps = [];
+    const re = new RegExp(PLACEHOLDER_RE.source, 'g');
+    const source = String(text || '');
+    let cursor = 0;
+    let open = null;
+    let match = re.exec(source);
+    while (match) {
+      const chunk = source.slice(cursor, match.index);
+      if (open === null) {
+        gaps.push(chunk);
+      } else {
+        bySlot[open] = chunk;
+      }
+      open = match[1] === '/' ? null : Number(match[2]);
+      cursor = match.index + match[0].length;
+      match = re.exec(source);
+    }
+    gaps.push(source.slice(cursor));
+
+    const containerMembers = [];
+    let sourceGap = 0;
+    sorted.forEach((block) => {
+      if (block.segment.slot > 0) {
+        sourceGap += 1;
+      } else {
+        containerMembers.push({ block, gap: sourceGap, parts: [] });
+      }
+    });
+    const texts = {};
+    sorted.forEach((block) => {
+      if (block.segment.slot > 0) {
+        texts[block.blockId] = collapse(bySlot[block.segment.slot]);
+      }
+    });
+    for (let gap = 0; gap < gaps.length; gap += 1) {
+      const chunk = collapse(gaps[gap]);
+      if (!chunk) {
+        continue;
+      }
+      if (!containerMembers.length) {
+        return { ok: false, code: 'STRAY_TEXT', texts: {} };
+      }
+      const target = containerMembers.reduce((best, row) => (
+        Math.abs(row.gap - gap) < Math.abs(best.gap - gap) ? row : best
+      ), containerMembers[0]);
+      target.parts.push(chunk);
+    }
+    containerMembers.forEach((row) => {
+      texts[row.block.blockId] = row.parts.length ? row.parts.join(' ') : ' ';
+    });
+    return { ok: true, code: null, texts };
+  }
+
+  NT.InlineMarkup = Object.freeze({
+    INLINE_TAGS,
+    MAX_SEGMENT_NODES,
+    sanitizeSegment,
+    groupBlocks,
+    encode,
+    validate,
+    decode
+  });
+})(globalThis);
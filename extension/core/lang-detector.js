@@ -0,0 +1,311 @@
+/**
+ * Deterministic source-language detector for page blocks.
+ *
+ * Detection runs in two passes: Unicode script shares pick the script family,
+ * then (for Latin/Cyrillic) distinctive letters and frequent short words pick
+ * the language. Result is reconciled with the element `lang` attribute: a
+ * confident text signal wins, a weak one defers to markup.
+ *
+ * Shared by content runtime (per-block detection during scan) and BG
+ * (language mix stats, skip-if-already-target decisions).
+ */
+(function initLangDetector(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const MIN_LETTERS = 12;
+  const MIN_IDEOGRAPHS = 4;
+  const SKIP_CONFIDENCE = 0.75;
+
+  const SCRIPT_RANGES = Object.freeze([
+    Object.freeze({ script: 'latin', re: /[A-Za-zÀ-ɏ]/g }),
+    Object.freeze({ script: 'cyrillic', re: /[Ѐ-ӿ]/g }),
+    Object.freeze({ script: 'greek', re: /[Ͱ-Ͽ]/g }),
+    Object.freeze({ script: 'arabic', re: /[؀-ۿ]/g }),
+    Object.freeze({ script: 'hebrew', re: /[֐-׿]/g }),
+    Object.freeze({ script: 'devanagari', re: /[ऀ-ॿ]/g }),
+    Object.freeze({ script: 'thai', re: /[฀-๿]/g }),
+    Object.freeze({ script: 'georgian', re: /[Ⴀ-ჿ]/g }),
+    Object.freeze({ script: 'armenian', re: /[԰-֏]/g }),
+    Object.freeze({ script: 'hangul', re: /[가-힯ᄀ-ᇿ]/g }),
+    Object.freeze({ script: 'kana', re: /[぀-ヿ]/g }),
+    Object.freeze({ script: 'han', re: /[一-鿿㐀-䶿]/g })
+  ]);
+
+  const SINGLE_LANG_SCRIPTS = Object.freeze({
+    greek: 'el',
+    hebrew: 'he',
+    devanagari: 'hi',
+    thai: 'th',
+    georgian: 'ka',
+    armenian: 'hy',
+    hangul: 'ko'
+  });
+
+  const LATIN_PROFILES = Object.freeze({
+    en: Object.freeze({
+      words: ['the', 'and', 'of', 'to', 'in', 'is', 'that', 'for', 'with', 'on', 'you', 'this', 'are', 'it', 'be', 'as', 'was', 'by', 'from', 'your'],
+      chars: null
+    }),
+    de: Object.freeze({
+      words: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'sie', 'ein', 'eine', 'zu', 'den', 'auf', 'für', 'auch', 'sich', 'von', 'dem', 'wird', 'ich'],
+      chars: /[äöüß]/g
+    }),
+    fr: Object.freeze({
+      words: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'un', 'du', 'pour', 'que', 'dans', 'qui', 'pas', 'sur', 'avec', 'vous', 'nous', 'ce', 'au'],
+      chars: /[çœêèëîïûù]/g
+    }),
+    es: Object.freeze({
+      words: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'por', 'para', 'con', 'una', 'es', 'del', 'se', 'como', 'pero', 'más', 'este', 'su'],
+      chars: /[ñ¿¡]/g
+    }),
+    it: Object.freeze({
+      words: ['il', 'di', 'che', 'e', 'la', 'per', 'non', 'una', 'sono', 'del', 'della', 'gli', 'con', 'anche', 'questo', 'alla', 'nel', 'più', 'ha', 'lo'],
+      chars: /[àìò]/g
+    }),
+    pt: Object.freeze({
+      words: ['o', 'a', 'os', 'as', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'uma', 'para', 'com', 'não', 'por', 'mais', 'se', 'dos', 'são'],
+      chars: /[ãõç]/g
+    }),
+    nl: Object.freeze({
+      words: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'op', 'te', 'niet', 'zijn', 'voor', 'met', 'ook', 'er', 'maar', 'wordt', 'deze', 'bij', 'jij'],
+      chars: /ij/g
+    }),
+    pl: Object.freeze({
+      words: ['i', 'w', 'nie', 'na', 'się', 'to', 'jest', 'z', 'że', 'do', 'jak', 'ale', 'po', 'tak', 'co', 'dla', 'od', 'czy', 'są', 'jego'],
+      chars: /[łąęśźżńć]/g
+    }),
+    tr: Object.freeze({
+      words: ['ve', 'bir', 'bu', 'için', 'ile', 'da', 'de', 'çok', 'ne', 'daha', 'olarak', 'gibi', 'olan', 'kadar', 'ama', 'sonra', 'her', 'değil', 'mi', 'var'],
+      chars: /[ğşı]/g
+    })
+  });
+
+  const CYRILLIC_PROFILES = Object.freeze({
+    ru: Object.freeze({
+      words: ['и', 'в', 'не', 'на', 'что', 'это', 'как', 'с', 'по', 'я', 'он', 'для', 'но', 'от', 'к', 'все', 'так', 'его', 'у', 'тебя'],
+      chars: /[ыэё]/g
+    }),
+    uk: Object.freeze({
+      words: ['і', 'в', 'не', 'на', 'що', 'це', 'як', 'з', 'до', 'та', 'для', 'але', 'ми', 'ви', 'він', 'й', 'від', 'за', 'його', 'дуже'],
+      chars: /[іїєґ]/g
+    }),
+    be: Object.freeze({
+      words: ['што', 'гэта', 'ён', 'яна', 'ад', 'па', 'яго', 'таму', 'калі', 'ці', 'ужо', 'толькі', 'таксама', 'адзін', 'вельмі', 'быў', 'няма', 'праз', 'дзе', 'трэба'],
+      chars: /[ўі]/g
+    }),
+    bg: Object.freeze({
+      words: ['и', 'в', 'не', 'на', 'че', 'това', 'се', 'да', 'е', 'са', 'за', 'от', 'с', 'по', 'като', 'но', 'ще', 'са', 'има', 'един'],
+      chars: /ъ/g
+    })
+  });
+
+  function primaryLang(value) {
+    const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!raw) {
+      return '';
+    }
+    const head = raw.split(/[-_]/)[0];
+    return /^[a-z]{2,3}$/.test(head) ? head : '';
+  }
+
+  function countMatches(text, re) {
+    if (!re) {
+      return 0;
+    }
+    re.lastIndex = 0;
+    const match = text.match(re);
+    return match ? match.length : 0;
+  }
+
+  function scriptCounts(text) {
+    const out = {};
+    let total = 0;
+    SCRIPT_RANGES.forEach((row) => {
+      const count = countMatches(text, row.re);
+      if (count > 0) {
+        out[row.script] = count;
+        total += count;
+      }
+    });
+    return { counts: out, total };
+  }
+
+  function scoreProfiles(text, profiles, wordSplitter) {
+    const lower = text.toLowerCase();
+    const words = lower.split(wordSplitter).filter(Boolean);
+    if (!words.length) {
+      return null;
+    }
+    const scores = {};
+    Object.keys(profiles).forEach((lang) => {
+      const profile = profiles[lang];
+      const wordSet = new Set(profile.words);
+      let score = 0;
+      words.forEach((word) => {
+        if (wordSet.has(word)) {
+          score += 1;
+        }
+      });
+      score += countMatches(lower, profile.chars) * 0.5;
+      scores[lang] = score;
+    });
+    const ranked = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+    const best = ranked[0];
+    const second = ranked[1];
+    const bestScore = scores[best] || 0;
+    if (bestScore <= 0) {
+      return null;
+    }
+    const margin = (bestScore - (scores[second] || 0)) / bestScore;
+    const coverage = Math.min(1, bestScore / Math.max(3, words.length * 0.35));
+    return {
+      lang: best,
+      confidence: Number((0.35 + (0.35 * margin) + (0.3 * coverage)).toFixed(3))
+    };
+  }
+
+  function detectLatin(text) {
+    return scoreProfiles(text, LATIN_PROFILES, /[^a-zà-ɏ']+/);
+  }
+
+  function detectCyrillic(text) {
+    // Cyrillic without any profile hit is still most likely Russian on the web.
+    return scoreProfiles(text, CYRILLIC_PROFILES, /[^а-яёіїєґў']+/) || { lang: 'ru', confidence: 0.6 };
+  }
+
+  /**
+   * Detect language from text only.
+   * Returns `{ lang, confidence, script }`; `lang` is empty when undecided.
+   */
+  function detectText(text) {
+    const safe = typeof text === 'string' ? text : '';
+    const { counts, total } = scriptCounts(safe);
+    if (!total) {
+      return { lang: '', confidence: 0, script: '' };
+    }
+    const script = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    const ideographic = script === 'han' || script === 'kana' || script === 'hangul';
+    // Japanese mixes kana with kanji, so both count toward its script share.
+    const scriptCount = (script === 'han' || script === 'kana')
+      ? (counts.han || 0) + (counts.kana || 0)
+      : counts[script];
+    const share = scriptCount / total;
+    const lengthFactor = Math.min(1, total / (ideographic ? MIN_IDEOGRAPHS : MIN_LETTERS));
+    let base = null;
+    if (script === 'kana' || (script === 'han' && counts.kana)) {
+      base = { lang: 'ja', confidence: 0.95 };
+    } else if (script === 'han') {
+      base = { lang: 'zh', confidence: 0.9 };
+    } else if (script === 'arabic') {
+      base = { lang: /[پچژگ]/.test(safe) ? 'fa' : 'ar', confidence: 0.85 };
+    } else if (SINGLE_LANG_SCRIPTS[script]) {
+      base = { lang: SINGLE_LANG_SCRIPTS[script], confidence: 0.95 };
+    } else if (script === 'cyrillic') {
+      base = detectCyrillic(safe);
+    } else if (script === 'latin') {
+      base = detectLatin(safe);
+    }
+    if (!base) {
+      return { lang: '', confidence: 0, script };
+    }
+    return {
+      lang: base.lang,
+      confidence: Number((base.confidence * share * lengthFactor).toFixed(3)),
+      script
+    };
+  }
+
+  /**
+   * Combine text detection with the markup `lang` hint.
+   * Returns `{ lang, confidence, source }` where source is
+   * `text`, `attr`, `text+attr` or `none`.
+   */
+  function reconcile({ detected = null, langHint = '' } = {}) {
+    const text = detected && typeof detected === 'object' ? detected : { lang: '', confidence: 0 };
+    const textLang = primaryLang(text.lang);
+    const textConfidence = Number.isFinite(Number(text.confidence)) ? Number(text.confidence) : 0;
+    const hintLang = primaryLang(langHint);
+    if (textLang && hintLang && textLang === hintLang) {
+      return { lang: textLang, confidence: Math.min(1, Number((textConfidence + 0.25).toFixed(3))), source: 'text+attr' };
+    }
+    if (textLang && textConfidence >= 0.6) {
+      return { lang: textLang, confidence: textConfidence, source: 'text' };
+    }
+    if (hintLang) {
+      return { lang: hintLang, confidence: 0.5, source: 'attr' };
+    }
+    if (textLang) {
+      return { lang: textLang, confidence: textConfidence, source: 'text' };
+    }
+    return { lang: '', confidence: 0, source: 'none' };
+  }
+
+  function detect(text, { langHint = '' } = {}) {
+    return reconcile({ detected: detectText(text), langHint });
+  }
+
+  function isSameLang(left, right) {
+    const a = primaryLang(left);
+    return Boolean(a) && a === primaryLang(right);
+  }
+
+  /**
+   * True when a block is confidently already written in `targetLang`.
+   */
+  function isAlreadyTarget(block, targetLang, { minConfidence = SKIP_CONFIDENCE } = {}) {
+    const row = block && typeof block === 'object' ? block : {};
+    const confidence = Number.isFinite(Number(row.sourceLangConfidence)) ? Number(row.sourceLangConfidence) : 0;
+    return isSameLang(row.sourceLang, targetLang) && confidence >= minConfidence;
+  }
+
+  /**
+   * Aggregate per-block languages into a page language mix.
+   */
+  function summarize(blocks, { targetLang = '' } = {}) {
+    const list = Array.isArray(blocks) ? blocks : [];
+    const byLang = {};
+    let totalChars = 0;
+    let alreadyTargetBlocks = 0;
+    list.forEach((block) => {
+      const row = block && typeof block === 'object' ? block : {};
+      const lang = primaryLang(row.sourceLang) || 'und';
+      const chars = typeof row.originalText === 'string' ? row.originalText.length : 0;
+      const bucket = byLang[lang] || (byLang[lang] = { blocks: 0, chars: 0 });
+      bucket.blocks += 1;
+      bucket.chars += chars;
+      totalChars += chars;
+      if (row.skipReason === 'already_target_lang' || (targetLang && isAlreadyTarget(row, targetLang))) {
+        alreadyTargetBlocks += 1;
+      }
+    });
+    const known = Object.keys(byLang).filter((lang) => lang !== 'und');
+    known.sort((a, b) => byLang[b].chars - byLang[a].chars);
+    const knownChars = known.reduce((acc, lang) => acc + byLang[lang].chars, 0);
+    const dominantLang = known[0] || null;
+    const dominantShare = dominantLang && knownChars > 0
+      ? Number((byLang[dominantLang].chars / knownChars).toFixed(3))
+      : 0;
+    const significant = known.filter((lang) => knownChars > 0 && (byLang[lang].chars / knownChars) >= 0.1);
+    return {
+      byLang,
+      dominantLang,
+      dominantShare,
+      mixed: significant.length > 1,
+      langCount: known.length,
+      totalChars,
+      alreadyTargetBlocks
+    };
+  }
+
+  NT.LangDetector = Object.freeze({
+    MIN_LETTERS,
+    SKIP_CONFIDENCE,
+    primaryLang,
+    detectText,
+    reconcile,
+    detect,
+    isSameLang,
+    isAlreadyTarget,
+    summarize
+  });
+})(globalThis);
@@ -18,7 +18,7 @@
       this.jitterMs = jitterMs;
     }
 
-    async run(task, { signal } = {}) {
+    async run(task, { signal, shouldRetry = null } = {}) {
       if (typeof task !== 'function') {
         throw new Error('RetryLoop task must be a function');
       }
@@ -40,6 +40,10 @@
           lastError = error;
         }
 
+        if (typeof shouldRetry === 'function' && !shouldRetry(lastError)) {
+          break;
+        }
+
         if (attempt >= this.maxAttempts) {
           break;
         }
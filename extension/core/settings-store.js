@@ -341,6 +341,22 @@
         'translationDisplayModeByTab',
         'translationCompareDiffThreshold',
         'translationCompareRendering',
+        'translationMemoryFuzzyThreshold',
+        'translationDynamicContentEnabled',
+        'translationViewportMode',
+        'translationHumanEditExamples',
+        'translationBilingualCategories',
+        'translationSiteRules',
+        'translationCategoryLearning',
+        'translationQaAction',
+        'translationQualityEstimation',
+        'translationConsistency',
+        'translationStyleGuides',
+        'translationEntityProtection',
+        'translationTargetLang',
+        'translationTargetLangByOrigin',
+        'translationPriceOverrides',
+        'translationSpendBudgets',
         'debugAllowTestCommands'
       ]);
       const apiKey = typeof data.apiKey === 'string' ? data.apiKey : '';
@@ -416,6 +432,22 @@
           : {},
         translationCompareDiffThreshold: compareDiffThreshold,
         translationCompareRendering: compareRendering,
+        translationMemoryFuzzyThreshold: this._normalizeMemoryFuzzyThreshold(data.translationMemoryFuzzyThreshold),
+        translationDynamicContentEnabled: data.translationDynamicContentEnabled === true,
+        translationViewportMode: this._normalizeViewportMode(data.translationViewportMode),
+        translationHumanEditExamples: data.translationHumanEditExamples !== false,
+        translationBilingualCategories: this._normalizeCategoryIds(data.translationBilingualCategories),
+        translationSiteRules: this._normalizeSiteRules(data.translationSiteRules),
+        translationCategoryLearning: this._normalizeCategoryLearning(data.translationCategoryLearning),
+        translationQaAction: this._normalizeQaAction(data.translationQaAction),
+        translationQualityEstimation: data.translationQualityEstimation === true,
+        translationConsistency: this._normalizeConsistencyMode(data.translationConsistency),
+        translationStyleGuides: this._normalizeStyleGuides(data.translationStyleGuides),
+        translationEntityProtection: this._normalizeEntityProtectionMode(data.translationEntityProtection),
+        translationTargetLang: this._normalizeTargetLang(data.translationTargetLang),
+        translationTargetLangByOrigin: this._normalizeTargetLangRules(data.translationTargetLangByOrigin),
+        translationPriceOverrides: this._normalizePriceOverrides(data.translationPriceOverrides),
+        translationSpendBudgets: this._normalizeSpendBudgets(data.translationSpendBudgets),
         debugAllowTestCommands: data.debugAllowTestCommands === true,
         debug: {
           allowTestCommands: data.debugAllowTestCommands === true
@@ -492,6 +524,22 @@
         'translationDisplayModeByTab',
         'translationCompareDiffThreshold',
         'translationCompareRendering',
+        'translationMemoryFuzzyThreshold',
+        'translationDynamicContentEnabled',
+        'translationViewportMode',
+        'translationHumanEditExamples',
+        'translationBilingualCategories',
+        'translationSiteRules',
+        'translationCategoryLearning',
+        'translationQaAction',
+        'translationQualityEstimation',
+        'translationConsistency',
+        'translationStyleGuides',
+        'translationEntityProtection',
+        'translationTargetLang',
+        'translationTargetLangByOrigin',
+        'translationPriceOverrides',
+        'translationSpendBudgets',
         'debugAllowTestCommands'
       ];
       allow.forEach((key) => {
@@ -512,6 +560,42 @@
           ? Math.max(500, Math.min(50000, Math.round(value)))
           : 8000;
       }
+      if (Object.prototype.hasOwnProperty.call(out, 'translationMemoryFuzzyThreshold')) {
+        out.translationMemoryFuzzyThreshold = this._normalizeMemoryFuzzyThreshold(out.translationMemoryFuzzyThreshold);
+      }
+      if (Object.prototype.hasOwnProperty.call(out, 'translationDynamicContentEnabled')) {
+        out.translationDynamicContentEnabled = out.translationDynamicContentEnabled === true;
+      }
+      if (Object.prototype.hasOwnProperty.call(out, 'translationViewportMode')) {
+        out.translationViewportMode = this._normalizeViewportMode(out.translationViewportMode);
+      }
+      if (Object.prototype.hasOwnProperty.call(out, 'translationHumanEditExamples')) {
+        out.translationHumanEditExamples = out.translationHumanEditExamples !== false;
+      }
+      if (Object.prototype.hasOwnProperty.call(out, 'translationBilingualCategories')) {
+        out.translationBilingualCategories = this._normalizeCategoryIds(out.translationBilingualCategories);
+      }
+      if (Object.prototype.hasOwnProperty.call(out, 'translationSiteRules')) {
+        out.translationSiteRules = this._normalizeSiteRules(out.translationSiteRules);
+      }
+      if (Object.prototype.hasOwnProperty.call(out, 'translationCategoryLearning')) {
+        out.translationCategoryLearning = this._normalizeCategoryLearning(out.translationCategoryLearning);
+      }
+      if (Object.prototype.hasOwnProperty.call(out, 'translationQaAction')) {
+        out.translationQaAction = this._normalizeQaAction(out.translationQaAction);
+      }
+      if (Object.prototype.hasOwnProperty.call(out, 'translationQualityEstimation')) {
+        out.translationQualityEstimation = out.translationQualityEstimation === true;
+      }
+      if (Object.prototype.hasOwnProperty.call(out, 'translationConsistency')) {
+        out.translationConsistency = this._normalizeConsistencyMode(out.translationConsistency);
+      }
+      if (Object.prototype.hasOwnProperty.call(out, 'translationStyleGuides')) {
+        out.translationStyleGuides = this._normalizeStyleGuides(out.translationStyleGuides);
+      }
+      if (Object.prototype.hasOwnProperty.call(out, 'translationEntityProtection')) {
+        out.translationEntityProtection = this._normalizeEntityProtectionMode(out.translationEntityProtection);
+      }
       if (Object.prototype.hasOwnProperty.call(out, 'translationCompareRendering')) {
         const raw = typeof out.translationCompareRendering === 'string'
           ? out.translationCompareRendering.trim().toLowerCase()
@@ -520,6 +604,18 @@
           ? raw
           : 'auto';
       }
+      if (Object.prototype.hasOwnProperty.call(out, 'translationTargetLang')) {
+        out.translationTargetLang = this._normalizeTargetLang(out.translationTargetLang);
+      }
+      if (Object.prototype.hasOwnProperty.call(out, 'translationTargetLangByOrigin')) {
+        out.translationTargetLangByOrigin = this._normalizeTargetLangRules(out.translationTargetLangByOrigin);
+      }
+      if (Object.prototype.hasOwnProperty.call(out, 'translationPriceOverrides')) {
+        out.translationPriceOverrides = this._normalizePriceOverrides(out.translationPriceOverrides);
+      }
+      if (Object.prototype.hasOwnProperty.call(out, 'translationSpendBudgets')) {
+        out.translationSpendBudgets = this._normalizeSpendBudgets(out.translationSpendBudgets);
+      }
       if (Object.prototype.hasOwnProperty.call(out, 'translationPerfMaxTextNodesPerScan')) {
         const value = Number(out.translationPerfMaxTextNodesPerScan);
         out.translationPerfMaxTextNodesPerScan = Number.isFinite(value)
@@ -547,6 +643,150 @@
       return out;
     }
 
+    _normalizeTargetLang(value) {
+      const Rules = NT.TargetLangRules || null;
+      if (Rules && typeof Rules.normalizeLang === 'function') {
+        return Rules.normalizeLang(value) || Rules.DEFAULT_LANG;
+      }
+      return typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : 'ru';
+    }
+
+    _normalizeMemoryFuzzyThreshold(value) {
+      const Fuzzy = NT.FuzzyMatch || null;
+      if (Fuzzy && typeof Fuzzy.normalizeThreshold === 'function') {
+        return Fuzzy.normalizeThreshold(value);
+      }
+      const num = Number(value);
+      if (!Number.isFinite(num)) {
+        return 0.75;
+      }
+      return num <= 0 ? 0 : Math.max(0.5, Math.min(1, num > 1 ? num / 100 : num));
+    }
+
+    _normalizeQaAction(value) {
+      const Qa = NT.TranslationQa || null;
+      if (Qa && typeof Qa.normalizeAction === 'function') {
+        return Qa.normalizeAction(value);
+      }
+      const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
+      return raw === 'retry' || raw === 'proofread' ? raw : 'report';
+    }
+
+    _normalizeConsistencyMode(value) {
+      const Consistency = NT.TranslationConsistency || null;
+      if (Consistency && typeof Consistency.normalizeMode === 'function') {
+        return Consistency.normalizeMode(value);
+      }
+      const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
+      return raw === 'apply' || raw === 'off' ? raw : 'report';
+    }
+
+    _normalizeStyleGuides(value) {
+      const Guides = NT.StyleGuides || null;
+      if (Guides && typeof Guides.normalizeGuides === 'function') {
+        return Guides.normalizeGuides(value);
+      }
+      return value && typeof value === 'object' && !Array.isArray(value) ? { ...value } : {};
+    }
+
+    _normalizeEntityProtectionMode(value) {
+      const Protection = NT.EntityProtection || null;
+      if (Protection && typeof Protection.normalizeMode === 'function') {
+        return Protection.normalizeMode(value);
+      }
+      const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
+      return raw === 'model' || raw === 'off' ? raw : 'heuristic';
+    }
+
+    _normalizeViewportMode(value) {
+      const Viewport = NT.ViewportPriority || null;
+      if (Viewport && typeof Viewport.normalizeMode === 'function') {
+        return Viewport.normalizeMode(value);
+      }
+      const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
+      return raw === 'priority' || raw === 'lazy' ? raw : 'off';
+    }
+
+    _normalizeCategoryIds(value) {
+      const list = Array.isArray(value) ? value : [];
+      const out = [];
+      list.forEach((item) => {
+        const id = typeof item === 'string' ? item.trim().toLowerCase() : '';
+        if (id && /^[a-z_]{1,40}$/.test(id) && !out.includes(id)) {
+          out.push(id);
+        }
+      });
+      return out.slice(0, 32);
+    }
+
+    _normalizeTargetLangRules(value) {
+      const Rules = NT.TargetLangRules || null;
+      if (Rules && typeof Rules.normalizeRules === 'function') {
+        return Rules.normalizeRules(value);
+      }
+      return value && typeof value === 'object' && !Array.isArray(value) ? { ...value } : {};
+    }
+
+    _normalizeSiteRules(value) {
+      const Rules = NT.SiteRules || null;
+      if (Rules && typeof Rules.normalizeRules === 'function') {
+        return Rules.normalizeRules(value);
+      }
+      return value && typeof value === 'object' && !Array.isArray(value) ? { ...value } : {};
+    }
+
+    _normalizeCategoryLearning(value) {
+      const Learning = NT.CategoryLearning || null;
+      if (Learning && typeof Learning.normalizeMemory === 'function') {
+        return Learning.normalizeMemory(value);
+      }
+      return value && typeof value === 'object' && !Array.isArray(value) ? { ...value } : {};
+    }
+
+    _normalizePriceOverrides(value) {
+      const src = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+      const out = {};
+      Object.keys(src).slice(0, 100).forEach((rawKey) => {
+        const key = String(rawKey || '').trim();
+        const row = src[rawKey] && typeof src[rawKey] === 'object' ? src[rawKey] : null;
+        if (!key || !row) {
+          return;
+        }
+        const prices = {};
+        ['inputPrice', 'outputPrice', 'cachedInputPrice'].forEach((field) => {
+          if (row[field] === null || row[field] === undefined || row[field] === '') {
+            return;
+          }
+          const numeric = Number(row[field]);
+          if (Number.isFinite(numeric) && numeric >= 0) {
+            prices[field] = numeric;
+          }
+        });
+        if (Object.keys(prices).length) {
+          out[key] = prices;
+        }
+      });
+      return out;
+    }
+
+    _normalizeSpendBudgets(value) {
+      const src = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+      const limit = (raw) => {
+        if (raw === null || raw === undefined || raw === '') {
+          return null;
+        }
+        const numeric = Number(raw);
+        return Number.isFinite(numeric) && numeric > 0 ? Math.round(numeric * 10000) / 10000 : null;
+      };
+      const softRatio = Number(src.softRatio);
+      return {
+        jobUsd: limit(src.jobUsd),
+        dayUsd: limit(src.dayUsd),
+        monthUsd: limit(src.monthUsd),
+        softRatio: Number.isFinite(softRatio) && softRatio > 0 && softRatio < 1 ? softRatio : 0.8
+      };
+    }
+
     _legacyPatchToUserPatch(patch) {
       const src = patch && typeof patch === 'object' ? patch : {};
       const out = {};
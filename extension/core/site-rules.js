@@ -0,0 +1,232 @@
+/**
+ * Per-site selector rules for the DOM indexer and classifier.
+ *
+ * Settings keep a host -> rules map (`translationSiteRules`). A rule pairs a
+ * CSS selector with an action: `skip` (never index the text), `translate`
+ * (always translate, whatever category is selected) or `category` (force the
+ * classifier category). Rules for a parent domain also apply to its
+ * subdomains. BG resolves the rules for the tab when a job starts; the popup
+ * and the in-page picker use the same helpers, so normalization stays
+ * identical everywhere.
+ */
+(function initSiteRules(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const ACTIONS = Object.freeze(['skip', 'translate', 'category']);
+  const MAX_HOSTS = 200;
+  const MAX_RULES_PER_HOST = 50;
+  const MAX_SELECTOR_LENGTH = 300;
+  const MAX_MATCH_DEPTH = 32;
+  const EXPORT_FORMAT = 'nt-site-rules';
+
+  function normalizeHost(value) {
+    const raw = typeof value === 'string' ? value.trim() : '';
+    if (!raw) {
+      return null;
+    }
+    const candidate = /^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`;
+    try {
+      const parsed = new URL(candidate);
+      if ((parsed.protocol !== 'http:' && parsed.protocol !== 'https:') || !parsed.hostname) {
+        return null;
+      }
+      return parsed.hostname.toLowerCase().replace(/^www\./, '');
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function ruleId(selector, action) {
+    const text = `${action}|${selector}`;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i += 1) {
+      hash ^= text.charCodeAt(i);
+      hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
+    }
+    return `sr_${(hash >>> 0).toString(36)}`;
+  }
+
+  function normalizeRule(input) {
+    const src = input && typeof input === 'object' ? input : {};
+    const selector = typeof src.selector === 'string' ? src.selector.replace(/\s+/g, ' ').trim() : '';
+    const action = typeof src.action === 'string' ? src.action.trim().toLowerCase() : '';
+    if (!selector || selector.length > MAX_SELECTOR_LENGTH || !ACTIONS.includes(action)) {
+      return null;
+    }
+    const category = typeof src.category === 'string' ? src.category.trim().toLowerCase() : '';
+    if (action === 'category' && !/^[a-z_]{1,40}$/.test(category)) {
+      return null;
+    }
+    return {
+      id: ruleId(selector, action),
+      selector,
+      action,
+      category: action === 'category' ? category : null,
+      createdAt: Number.isFinite(Number(src.createdAt)) ? Number(src.createdAt) : 0
+    };
+  }
+
+  function normalizeRuleList(input) {
+    const out = [];
+    (Array.isArray(input) ? input : []).forEach((item) => {
+      const rule = normalizeRule(item);
+      if (!rule) {
+        return;
+      }
+      // One rule per selector: a later rule for the same element replaces the earlier one.
+      const index = out.findIndex((row) => row.selector === rule.selector);
+      if (index >= 0) {
+        out.splice(index, 1);
+      }
+      out.push(rule);
+    });
+    return out.slice(-MAX_RULES_PER_HOST);
+  }
+
+  function normalizeRules(input) {
+    const src = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const out = {};
+    Object.keys(src).slice(0, MAX_HOSTS * 2).forEach((key) => {
+      if (Object.keys(out).length >= MAX_HOSTS) {
+        return;
+      }
+      const host = normalizeHost(key);
+      const list = host ? normalizeRuleList(src[key]) : [];
+      if (!list.length) {
+        return;
+      }
+      out[host] = normalizeRuleList((out[host] || []).concat(list));
+    });
+    return out;
+  }
+
+  /**
+   * Rules that apply to `url`: parent-domain rules first, so the page's own
+   * host wins when both match the same element.
+   */
+  function rulesForUrl(rules, url) {
+    const host = normalizeHost(url);
+    if (!host) {
+      return [];
+    }
+    const normalized = normalizeRules(rules);
+    const parts = host.split('.');
+    const out = [];
+    for (let i = Math.max(0, parts.length - 2); i >= 0; i -= 1) {
+      const key = parts.slice(i).join('.');
+      if (normalized[key]) {
+        out.push(...normalized[key]);
+      }
+    }
+    return out;
+  }
+
+  function withRule(rules, host, rule) {
+    const next = normalizeRules(rules);
+    const key = normalizeHost(host);
+    const normalizedRule = normalizeRule(rule);
+    if (!key || !normalizedRule) {
+      return next;
+    }
+    next[key] = normalizeRuleList((next[key] || []).concat(normalizedRule));
+    return next;
+  }
+
+  function withoutRule(rules, host, id) {
+    const next = normalizeRules(rules);
+    const key = normalizeHost(host);
+    if (!key || !next[key]) {
+      return next;
+    }
+    const list = next[key].filter((rule) => rule.id !== id);
+    if (list.length) {
+      next[key] = list;
+    } else {
+      delete next[key];
+    }
+    return next;
+  }
+
+  /**
+   * `incoming` rules on top of `base`; for a selector present in both the
+   * incoming rule wins.
+   */
+  function mergeRules(base, incoming) {
+    const next = normalizeRules(base);
+    const add = normalizeRules(incoming);
+    Object.keys(add).forEach((host) => {
+      next[host] = normalizeRuleList((next[host] || []).concat(add[host]));
+    });
+    return normalizeRules(next);
+  }
+
+  function exportPayload(rules, ts = Date.now()) {
+    return {
+      format: EXPORT_FORMAT,
+      version: 1,
+      exportedAt: new Date(ts).toISOString(),
+      rules: normalizeRules(rules)
+    };
+  }
+
+  /**
+   * Rules from an import file: the `exportPayload` shape, a debug report
+   * (`settings.siteRules`) or a bare host -> rules map.
+   */
+  function importPayload(data) {
+    const src = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    if (src.format === EXPORT_FORMAT) {
+      return normalizeRules(src.rules);
+    }
+    if (src.settings && typeof src.settings === 'object' && src.settings.siteRules) {
+      return normalizeRules(src.settings.siteRules);
+    }
+    return normalizeRules(src);
+  }
+
+  function matches(element, selector) {
+    try {
+      return typeof element.matches === 'function' && element.matches(selector);
+    } catch (_) {
+      // An invalid selector never matches.
+      return false;
+    }
+  }
+
+  /**
+   * The rule for the nearest ancestor-or-self of `element` matched by any
+   * rule; on the same element the later rule wins. Returns null otherwise.
+   */
+  function matchElement(element, rules) {
+    const list = Array.isArray(rules) ? rules : [];
+    if (!element || !list.length) {
+      return null;
+    }
+    let node = element;
+    for (let depth = 0; node && node.nodeType === 1 && depth < MAX_MATCH_DEPTH; depth += 1) {
+      for (let i = list.length - 1; i >= 0; i -= 1) {
+        if (list[i] && matches(node, list[i].selector)) {
+          return list[i];
+        }
+      }
+      node = node.parentElement;
+    }
+    return null;
+  }
+
+  NT.SiteRules = Object.freeze({
+    ACTIONS,
+    MAX_HOSTS,
+    MAX_RULES_PER_HOST,
+    normalizeHost,
+    normalizeRule,
+    normalizeRules,
+    rulesForUrl,
+    withRule,
+    withoutRule,
+    mergeRules,
+    exportPayload,
+    importPayload,
+    matchElement
+  });
+})(globalThis);
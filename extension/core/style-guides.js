@@ -0,0 +1,213 @@
+/**
+ * Per-site style guides: free-form instructions the user writes once for a
+ * site (formality, tone, audience, units policy, "keep product names in
+ * English") and that every translation, proofreading and planning prompt of
+ * that site then carries.
+ *
+ * Settings keep a key -> guide map (`translationStyleGuides`). The key is a
+ * host, or `*` for all sites; a guide has general `instructions` plus
+ * optional per-category instructions. Guides of parent domains apply to
+ * subdomains, and more specific ones come later in the prompt. BG resolves
+ * the guide once per job and records it in the job's run settings, so a
+ * finished job shows exactly what it was translated with.
+ */
+(function initStyleGuides(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const ALL_SITES = '*';
+  const MAX_GUIDES = 100;
+  const MAX_CATEGORIES = 20;
+  const MAX_CHARS = 1200;
+
+  function normalizeKey(value) {
+    const raw = typeof value === 'string' ? value.trim() : '';
+    if (raw === ALL_SITES) {
+      return ALL_SITES;
+    }
+    if (!raw) {
+      return null;
+    }
+    const candidate = /^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`;
+    try {
+      const parsed = new URL(candidate);
+      if ((parsed.protocol !== 'http:' && parsed.protocol !== 'https:') || !parsed.hostname) {
+        return null;
+      }
+      return parsed.hostname.toLowerCase().replace(/^www\./, '');
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function normalizeCategory(value) {
+    const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return /^[a-z_]{1,40}$/.test(raw) ? raw : null;
+  }
+
+  /** Trims every line and keeps at most one blank line between paragraphs. */
+  function cleanText(value) {
+    return typeof value === 'string'
+      ? value.replace(/\r\n?/g, '\n').split('\n').map((line) => line.trim()).join('\n').replace(/\n{3,}/g, '\n\n').trim()
+      : '';
+  }
+
+  /**
+   * Length check for the editor; stored text is clipped to the same limit so
+   * a hand-edited storage value cannot blow up every prompt.
+   */
+  function validateInstructions(value) {
+    const text = cleanText(value);
+    return {
+      ok: text.length <= MAX_CHARS,
+      text,
+      length: text.length,
+      max: MAX_CHARS
+    };
+  }
+
+  function normalizeGuide(input) {
+    const src = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const categories = {};
+    const rawCategories = src.categories && typeof src.categories === 'object' && !Array.isArray(src.categories) ? src.categories : {};
+    Object.keys(rawCategories).forEach((key) => {
+      const category = normalizeCategory(key);
+      const text = cleanText(rawCategories[key]).slice(0, MAX_CHARS);
+      if (category && text && Object.keys(categories).length < MAX_CATEGORIES) {
+        categories[category] = text;
+      }
+    });
+    const instructions = cleanText(src.instructions).slice(0, MAX_CHARS);
+    if (!instructions && !Object.keys(categories).length) {
+      return null;
+    }
+    return {
+      instructions,
+      categories,
+      updatedAt: Number.isFinite(Number(src.updatedAt)) ? Number(src.updatedAt) : 0
+    };
+  }
+
+  function normalizeGuides(input) {
+    const src = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const out = {};
+    Object.keys(src).forEach((rawKey) => {
+      const key = normalizeKey(rawKey);
+      const guide = key ? normalizeGuide(src[rawKey]) : null;
+      if (guide && (out[key] || Object.keys(out).length < MAX_GUIDES)) {
+        out[key] = guide;
+      }
+    });
+    return out;
+  }
+
+  /**
+   * Sets the general instructions (`category` null) or one category's
+   * instructions of the guide under `key`; empty text removes them.
+   */
+  function withInstructions(guides, key, category, text, now = Date.now()) {
+    const next = normalizeGuides(guides);
+    const normalizedKey = normalizeKey(key);
+    if (!normalizedKey) {
+      return next;
+    }
+    const current = next[normalizedKey] || { instructions: '', categories: {} };
+    const draft = { ...current, categories: { ...current.categories }, updatedAt: now };
+    const normalizedCategory = category ? normalizeCategory(category) : null;
+    if (category && !normalizedCategory) {
+      return next;
+    }
+    if (normalizedCategory) {
+      draft.categories[normalizedCategory] = text;
+    } else {
+      draft.instructions = text;
+    }
+    const guide = normalizeGuide(draft);
+    if (guide) {
+      next[normalizedKey] = guide;
+    } else {
+      delete next[normalizedKey];
+    }
+    return next;
+  }
+
+  /**
+   * The guide that applies to `url`: `*` first, then parent domains, then the
+   * page's own host. Returns null when nothing applies.
+   */
+  function resolveForUrl(guides, url) {
+    const normalized = normalizeGuides(guides);
+    const host = normalizeKey(url);
+    const keys = [ALL_SITES];
+    if (host && host !== ALL_SITES) {
+      const parts = host.split('.');
+      for (let i = Math.max(0, parts.length - 2); i >= 0; i -= 1) {
+        keys.push(parts.slice(i).join('.'));
+      }
+    }
+    const sources = keys.filter((key) => normalized[key]);
+    if (!sources.length) {
+      return null;
+    }
+    const categories = {};
+    sources.forEach((key) => {
+      Object.keys(normalized[key].categories).forEach((category) => {
+        categories[category] = (categories[category] || []).concat(normalized[key].categories[category]);
+      });
+    });
+    return {
+      sources,
+      instructions: sources.map((key) => normalized[key].instructions).filter(Boolean),
+      categories
+    };
+  }
+
+  /**
+   * Prompt lines for a resolved guide. With `categories`, only instructions
+   * for those categories are included (the ones present in the batch).
+   */
+  function formatForPrompt(resolved, categories = null) {
+    if (!resolved || typeof resolved !== 'object') {
+      return [];
+    }
+    const wanted = Array.isArray(categories) ? categories.map(normalizeCategory).filter(Boolean) : null;
+    const byCategory = resolved.categories && typeof resolved.categories === 'object' ? resolved.categories : {};
+    const item = (text) => `- ${String(text).replace(/\n/g, '\n  ')}`;
+    const lines = (Array.isArray(resolved.instructions) ? resolved.instructions : []).map(item);
+    Object.keys(byCategory)
+      .filter((category) => !wanted || wanted.includes(category))
+      .forEach((category) => {
+        byCategory[category].forEach((text) => lines.push(item(`For ${category} blocks: ${text}`)));
+      });
+    return lines;
+  }
+
+  /**
+   * Short stable hash of the prompt lines of a resolved guide, or '' when no
+   * guide applies. Memory and page cache keys carry it, so a translation made
+   * under one guide is not reused under another.
+   */
+  function fingerprint(resolved) {
+    const text = formatForPrompt(resolved).join('\n');
+    if (!text) {
+      return '';
+    }
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i += 1) {
+      hash ^= text.charCodeAt(i);
+      hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
+    }
+    return `sg_${(hash >>> 0).toString(36)}`;
+  }
+
+  NT.StyleGuides = Object.freeze({
+    ALL_SITES,
+    MAX_CHARS,
+    normalizeKey,
+    validateInstructions,
+    normalizeGuides,
+    withInstructions,
+    resolveForUrl,
+    formatForPrompt,
+    fingerprint
+  });
+})(globalThis);
@@ -0,0 +1,122 @@
+/**
+ * Target-language catalog and per-origin language rules.
+ *
+ * Settings keep a default language (`translationTargetLang`) and an
+ * origin -> language map (`translationTargetLangByOrigin`). BG resolves the
+ * effective language when a job starts; popup uses the same helpers to render
+ * the picker and edit rules, so normalization stays identical on both sides.
+ */
+(function initTargetLangRules(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const DEFAULT_LANG = 'ru';
+  const MAX_RULES = 200;
+
+  const LANGUAGES = Object.freeze([
+    Object.freeze({ code: 'ru', titleRu: 'Русский' }),
+    Object.freeze({ code: 'en', titleRu: 'Английский' }),
+    Object.freeze({ code: 'de', titleRu: 'Немецкий' }),
+    Object.freeze({ code: 'fr', titleRu: 'Французский' }),
+    Object.freeze({ code: 'es', titleRu: 'Испанский' }),
+    Object.freeze({ code: 'it', titleRu: 'Итальянский' }),
+    Object.freeze({ code: 'pt', titleRu: 'Португальский' }),
+    Object.freeze({ code: 'pl', titleRu: 'Польский' }),
+    Object.freeze({ code: 'uk', titleRu: 'Украинский' }),
+    Object.freeze({ code: 'tr', titleRu: 'Турецкий' }),
+    Object.freeze({ code: 'zh', titleRu: 'Китайский' }),
+    Object.freeze({ code: 'ja', titleRu: 'Японский' }),
+    Object.freeze({ code: 'ko', titleRu: 'Корейский' })
+  ]);
+
+  function normalizeLang(value) {
+    const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!raw) {
+      return null;
+    }
+    if (!/^[a-z]{2,10}(?:-[a-z0-9]{2,8})?$/i.test(raw)) {
+      return null;
+    }
+    return raw.slice(0, 24);
+  }
+
+  function normalizeOrigin(value) {
+    const raw = typeof value === 'string' ? value.trim() : '';
+    if (!raw) {
+      return null;
+    }
+    const candidate = /^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`;
+    try {
+      const parsed = new URL(candidate);
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return null;
+      }
+      return parsed.origin.toLowerCase();
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function normalizeRules(input) {
+    const src = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const out = {};
+    Object.keys(src).slice(0, MAX_RULES * 2).forEach((key) => {
+      if (Object.keys(out).length >= MAX_RULES) {
+        return;
+      }
+      const origin = normalizeOrigin(key);
+      const lang = normalizeLang(src[key]);
+      if (!origin || !lang) {
+        return;
+      }
+      out[origin] = lang;
+    });
+    return out;
+  }
+
+  function resolveForUrl(url, { rules = null, defaultLang = null } = {}) {
+    const origin = normalizeOrigin(url);
+    const normalizedRules = normalizeRules(rules);
+    if (origin && normalizedRules[origin]) {
+      return { lang: normalizedRules[origin], source: 'origin_rule', origin };
+    }
+    const fallback = normalizeLang(defaultLang);
+    return {
+      lang: fallback || DEFAULT_LANG,
+      source: fallback ? 'default' : 'builtin',
+      origin
+    };
+  }
+
+  function withRule(rules, origin, lang) {
+    const next = normalizeRules(rules);
+    const key = normalizeOrigin(origin);
+    if (!key) {
+      return next;
+    }
+    const normalizedLang = normalizeLang(lang);
+    if (normalizedLang) {
+      next[key] = normalizedLang;
+    } else {
+      delete next[key];
+    }
+    return next;
+  }
+
+  function labelFor(code) {
+    const lang = normalizeLang(code);
+    const row = LANGUAGES.find((item) => item.code === lang);
+    return row ? row.titleRu : (lang || DEFAULT_LANG);
+  }
+
+  NT.TargetLangRules = Object.freeze({
+    DEFAULT_LANG,
+    MAX_RULES,
+    LANGUAGES,
+    normalizeLang,
+    normalizeOrigin,
+    normalizeRules,
+    resolveForUrl,
+    withRule,
+    labelFor
+  });
+})(globalThis);
@@ -0,0 +1,163 @@
+/**
+ * Translation memory exchange in TMX 1.4.
+ *
+ * A unit is `{ sourceText, sourceLang, targetText, targetLang, qualityTag,
+ * domain, modelUsed, routeUsed, createdAt, updatedAt }`. Extension-specific
+ * metadata travels as `x-nt-*` props on the `tu`, which CAT tools keep
+ * untouched. Inline markup (`bpt/ept/ph/it/ut`) in foreign files is dropped:
+ * memory blocks are plain text.
+ */
+(function initTmxExchange(global) {
+  const NT = global.NT || (global.NT = {});
+  const Xml = NT.XmlLite;
+
+  const QUALITY_TAGS = Object.freeze(['raw', 'proofread', 'literal', 'styled', 'human']);
+  const MAX_IMPORT_CHARS = 16 * 1024 * 1024;
+  const INLINE_CODES = Object.freeze(['bpt', 'ept', 'ph', 'it', 'ut']);
+
+  function rowError(row, code, message) {
+    return { row, code, message };
+  }
+
+  function normalizeLang(value) {
+    const raw = typeof value === 'string' ? value.trim().toLowerCase().replace('_', '-') : '';
+    return /^[a-z]{2,8}(?:-[a-z0-9]{1,8})*$/.test(raw) ? raw : '';
+  }
+
+  function baseLang(value) {
+    return normalizeLang(value).split('-')[0];
+  }
+
+  function formatDate(ts) {
+    const value = Number(ts);
+    if (!Number.isFinite(value) || value <= 0) {
+      return '';
+    }
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  function parseDate(value) {
+    const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+    if (!match) {
+      return null;
+    }
+    const ts = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4]), Number(match[5]), Number(match[6]));
+    return Number.isFinite(ts) ? ts : null;
+  }
+
+  function prop(type, value) {
+    return value ? `      <prop type="${type}">${Xml.escape(value)}</prop>` : '';
+  }
+
+  function toTmx(units, { sourceLang = null } = {}) {
+    const list = Array.isArray(units) ? units : [];
+    const langs = new Set(list.map((unit) => normalizeLang(unit.sourceLang)).filter(Boolean));
+    const srcLang = normalizeLang(sourceLang) || (langs.size === 1 ? Array.from(langs)[0] : '*all*');
+    const body = list.map((unit) => {
+      const dates = [
+        unit.createdAt ? ` creationdate="${formatDate(unit.createdAt)}"` : '',
+        unit.updatedAt ? ` changedate="${formatDate(unit.updatedAt)}"` : ''
+      ].join('');
+      return [
+        `    <tu${dates}>`,
+        prop('x-nt-quality', unit.qualityTag),
+        prop('x-nt-domain', unit.domain),
+        prop('x-nt-model', unit.modelUsed),
+        prop('x-nt-route', unit.routeUsed),
+        `      <tuv xml:lang="${Xml.escape(normalizeLang(unit.sourceLang) || (srcLang === '*all*' ? 'und' : srcLang))}"><seg>${Xml.escape(unit.sourceText)}</seg></tuv>`,
+        `      <tuv xml:lang="${Xml.escape(normalizeLang(unit.targetLang) || 'und')}"><seg>${Xml.escape(unit.targetText)}</seg></tuv>`,
+        '    </tu>'
+      ].filter(Boolean).join('\n');
+    });
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<tmx version="1.4">',
+      `  <header creationtool="Neuro Translate" creationtoolversion="1" segtype="paragraph" o-tmf="nt-memory" adminlang="en" srclang="${Xml.escape(srcLang)}" datatype="plaintext"/>`,
+      '  <body>',
+      ...body,
+      '  </body>',
+      '</tmx>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * One `tu` yields one unit per target variant. The source variant is the
+   * requested language, else the header `srclang`, else the first `tuv`.
+   */
+  function parseTmx(text, { sourceLang = null, targetLang = null, defaultQualityTag = 'raw' } = {}) {
+    const src = typeof text === 'string' ? text.replace(/^﻿/, '') : '';
+    if (src.length > MAX_IMPORT_CHARS) {
+      return { units: [], errors: [rowError(0, 'FILE_TOO_LARGE', 'Файл слишком большой')] };
+    }
+    const root = src.match(/<tmx\b[^>]*>/i);
+    if (!root) {
+      return { units: [], errors: [rowError(0, 'BAD_TMX', 'Не найден корневой элемент tmx')] };
+    }
+    const header = src.match(/<header\b[^>]*>/i);
+    const headerLang = header ? baseLang(Xml.attr(header[0], 'srclang')) : '';
+    const wantedSource = baseLang(sourceLang) || headerLang;
+    const wantedTarget = baseLang(targetLang);
+    const fallbackTag = QUALITY_TAGS.includes(defaultQualityTag) ? defaultQualityTag : 'raw';
+    const units = [];
+    const errors = [];
+    Xml.elements(src, ['tu']).forEach((tu) => {
+      const row = Xml.lineAt(src, tu.index);
+      const props = {};
+      Xml.elements(tu.inner, ['prop']).forEach((el) => {
+        props[Xml.attr(el.open, 'type')] = Xml.innerText(el.inner);
+      });
+      const variants = Xml.elements(tu.inner, ['tuv']).map((el) => {
+        const seg = Xml.elements(el.inner, ['seg'])[0];
+        return {
+          lang: normalizeLang(Xml.attr(el.open, 'xml:lang') || Xml.attr(el.open, 'lang')),
+          text: seg ? Xml.innerText(seg.inner, { collapse: false, drop: INLINE_CODES }) : ''
+        };
+      }).filter((variant) => variant.lang && variant.text);
+      const source = variants.find((variant) => variant.lang.split('-')[0] === wantedSource) || variants[0];
+      if (!source) {
+        errors.push(rowError(row, 'MISSING_SOURCE', 'tu без исходного сегмента'));
+        return;
+      }
+      const targets = variants.filter((variant) => variant !== source
+        && variant.lang !== 'und'
+        && (!wantedTarget || variant.lang.split('-')[0] === wantedTarget));
+      if (!targets.length) {
+        errors.push(rowError(row, 'MISSING_TARGET', wantedTarget
+          ? `Нет перевода на ${wantedTarget}`
+          : 'tu без перевода'));
+        return;
+      }
+      const qualityRaw = String(props['x-nt-quality'] || '').toLowerCase();
+      if (qualityRaw && !QUALITY_TAGS.includes(qualityRaw)) {
+        errors.push(rowError(row, 'BAD_QUALITY_TAG', `Неизвестная метка качества: ${qualityRaw}`));
+      }
+      const createdAt = parseDate(Xml.attr(tu.open, 'creationdate'));
+      const updatedAt = parseDate(Xml.attr(tu.open, 'changedate')) || createdAt;
+      targets.forEach((target) => {
+        units.push({
+          row,
+          sourceText: source.text,
+          sourceLang: source.lang === 'und' ? '' : source.lang.split('-')[0],
+          targetText: target.text,
+          targetLang: target.lang.split('-')[0],
+          qualityTag: QUALITY_TAGS.includes(qualityRaw) ? qualityRaw : fallbackTag,
+          domain: props['x-nt-domain'] || '',
+          modelUsed: props['x-nt-model'] || null,
+          routeUsed: props['x-nt-route'] || null,
+          createdAt,
+          updatedAt
+        });
+      });
+    });
+    return { units, errors };
+  }
+
+  NT.TmxExchange = Object.freeze({
+    QUALITY_TAGS,
+    toTmx,
+    parseTmx,
+    formatDate,
+    parseDate
+  });
+})(globalThis);
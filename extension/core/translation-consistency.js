@@ -0,0 +1,223 @@
+/**
+ * Terminology consistency across the blocks of one page.
+ *
+ * Different batches often translate the same source sentence in different
+ * ways. Blocks are grouped by normalized source text (whitespace collapsed,
+ * case kept); a group with more than one translation gets a canonical one:
+ * a human edit first, then the translation memory entry for that source
+ * (which carries the choice made on other pages of the site), then the
+ * higher quality tag, then the most common variant. Recurring terms
+ * (`API`, `GitHub`) are checked separately: when some blocks keep a term
+ * as-is and others translate it, the majority decides; only "keep" can be
+ * enforced, because the translated rendering cannot be located reliably.
+ *
+ * Everything here is pure; BG applies the plan as `consistency` patches.
+ */
+(function initTranslationConsistency(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const MODES = Object.freeze(['apply', 'report', 'off']);
+  const QUALITY_RANK = Object.freeze({ raw: 0, proofread: 1, literal: 2, styled: 2, human: 3 });
+  const PREVIEW_CHARS = 120;
+  const MAX_TERMS = 30;
+  // Latin-only: `\b` does not see word boundaries in other scripts.
+  const TERM_RE = /\b(?:[A-Z][a-z0-9]+(?:[A-Z][a-z0-9]+)+|[A-Z][A-Z0-9]{1,})\b/g;
+
+  function normalizeMode(value) {
+    const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return MODES.includes(raw) ? raw : 'report';
+  }
+
+  function normalizeText(value) {
+    return typeof value === 'string'
+      ? value.normalize('NFC').replace(/[\u200B-\u200D\uFEFF]/g, '').replace(/\s+/g, ' ').trim()
+      : '';
+  }
+
+  function preview(value) {
+    const text = normalizeText(value);
+    return text.length > PREVIEW_CHARS ? `${text.slice(0, PREVIEW_CHARS)}...` : text;
+  }
+
+  function rankOf(tag) {
+    return Object.prototype.hasOwnProperty.call(QUALITY_RANK, tag) ? QUALITY_RANK[tag] : 0;
+  }
+
+  function blockTag(block) {
+    return block && block.quality && typeof block.quality.tag === 'string' ? block.quality.tag : 'raw';
+  }
+
+  /**
+   * Blocks that can take part: translated, not a piece of an inline segment
+   * (those are translated as one sentence with their neighbours).
+   */
+  function eligibleBlocks(blocksById) {
+    const src = blocksById && typeof blocksById === 'object' ? blocksById : {};
+    return Object.keys(src)
+      .map((blockId) => src[blockId])
+      .filter((block) => block && block.blockId && !block.segment
+        && normalizeText(block.originalText) && normalizeText(block.translatedText));
+  }
+
+  function groupBySource(blocks) {
+    const groups = new Map();
+    (Array.isArray(blocks) ? blocks : []).forEach((block) => {
+      const key = normalizeText(block.originalText);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(block);
+    });
+    return groups;
+  }
+
+  /**
+   * Picks the canonical translation for one source. `memory` is the stored
+   * `{ translatedText, qualityTag }` for that source, or null. Returns
+   * `{ text, reason, variants }` with reason 'human' | 'memory' | 'quality'
+   * | 'majority', or null when nothing diverges.
+   */
+  function chooseCanonical(blocks, memory) {
+    const variants = new Map();
+    (Array.isArray(blocks) ? blocks : []).forEach((block, index) => {
+      const key = normalizeText(block.translatedText);
+      const row = variants.get(key) || { text: block.translatedText, human: 0, memory: false, rank: 0, votes: 0, first: index };
+      const tag = blockTag(block);
+      row.human += tag === 'human' ? 1 : 0;
+      row.rank = Math.max(row.rank, rankOf(tag));
+      row.votes += 1;
+      variants.set(key, row);
+    });
+    const memoryText = memory && normalizeText(memory.translatedText);
+    if (memoryText) {
+      const row = variants.get(memoryText) || { text: memory.translatedText, human: 0, memory: false, rank: 0, votes: 0, first: Infinity };
+      row.memory = true;
+      row.human += memory.qualityTag === 'human' ? 1 : 0;
+      row.rank = Math.max(row.rank, rankOf(memory.qualityTag));
+      variants.set(memoryText, row);
+    }
+    if (variants.size < 2) {
+      return null;
+    }
+    const rows = Array.from(variants.values());
+    // A lone block is only moved by memory that is better than its own text;
+    // plain memory may just be this page's own earlier output.
+    if (blocks.length === 1) {
+      const own = rows.find((row) => row.votes > 0);
+      const stored = rows.find((row) => row.memory);
+      if (!stored.human && stored.rank <= own.rank) {
+        return null;
+      }
+    }
+    rows.sort((left, right) => (right.human > 0) - (left.human > 0)
+      || Number(right.memory) - Number(left.memory)
+      || right.rank - left.rank
+      || right.votes - left.votes
+      || left.first - right.first);
+    const best = rows[0];
+    let reason = 'majority';
+    if (best.human > 0) {
+      reason = 'human';
+    } else if (best.memory) {
+      reason = 'memory';
+    } else if (best.rank > rows[1].rank) {
+      reason = 'quality';
+    }
+    return { text: best.text, reason, variants: rows.length };
+  }
+
+  /**
+   * Sentence-level plan. `memoryBySource` maps normalized source text to its
+   * memory entry. Human-edited blocks are never rewritten; a group whose
+   * human edits disagree is reported with no targets.
+   */
+  function planSentences(blocks, memoryBySource = {}) {
+    const plan = [];
+    groupBySource(blocks).forEach((group, key) => {
+      const memory = memoryBySource && memoryBySource[key] ? memoryBySource[key] : null;
+      const canonical = chooseCanonical(group, memory);
+      if (!canonical) {
+        return;
+      }
+      const target = normalizeText(canonical.text);
+      const targets = group
+        .filter((block) => normalizeText(block.translatedText) !== target && blockTag(block) !== 'human')
+        .map((block) => block.blockId);
+      plan.push({
+        sourcePreview: preview(key),
+        canonical: canonical.text,
+        reason: canonical.reason,
+        variants: canonical.variants,
+        blockIds: group.map((block) => block.blockId),
+        targets
+      });
+    });
+    return plan;
+  }
+
+  function containsTerm(text, term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^A-Za-z0-9])${escaped}(?=$|[^A-Za-z0-9])`).test(String(text || ''));
+  }
+
+  /**
+   * Recurring terms kept as-is in some blocks and translated in others.
+   * Terms in `skip` (user glossary terms, terms already tried) are ignored.
+   * Only raw blocks are targets: a re-request would replace proofread,
+   * styled or human text with a fresh raw translation.
+   */
+  function planTerms(blocks, { skip = [] } = {}) {
+    const skipped = new Set((Array.isArray(skip) ? skip : []).map((term) => String(term || '').toLowerCase()));
+    const byTerm = new Map();
+    (Array.isArray(blocks) ? blocks : []).forEach((block) => {
+      const terms = new Set(String(block.originalText || '').match(TERM_RE) || []);
+      terms.forEach((term) => {
+        if (skipped.has(term.toLowerCase())) {
+          return;
+        }
+        if (!byTerm.has(term)) {
+          byTerm.set(term, []);
+        }
+        byTerm.get(term).push(block);
+      });
+    });
+    const plan = [];
+    byTerm.forEach((list, term) => {
+      const kept = list.filter((block) => containsTerm(block.translatedText, term));
+      const translated = list.filter((block) => !kept.includes(block));
+      if (!kept.length || !translated.length) {
+        return;
+      }
+      const humanKept = kept.some((block) => blockTag(block) === 'human');
+      const humanTranslated = translated.some((block) => blockTag(block) === 'human');
+      const keep = humanKept !== humanTranslated ? humanKept : kept.length >= translated.length;
+      plan.push({
+        term,
+        canonical: keep ? 'keep' : 'translate',
+        keptBlockIds: kept.map((block) => block.blockId),
+        translatedBlockIds: translated.map((block) => block.blockId),
+        targets: keep
+          ? translated.filter((block) => blockTag(block) === 'raw').map((block) => block.blockId)
+          : []
+      });
+    });
+    return plan
+      .sort((left, right) => (right.keptBlockIds.length + right.translatedBlockIds.length)
+        - (left.keptBlockIds.length + left.translatedBlockIds.length) || left.term.localeCompare(right.term))
+      .slice(0, MAX_TERMS);
+  }
+
+  NT.TranslationConsistency = Object.freeze({
+    MODES,
+    QUALITY_RANK,
+    normalizeMode,
+    normalizeText,
+    preview,
+    eligibleBlocks,
+    groupBySource,
+    chooseCanonical,
+    planSentences,
+    containsTerm,
+    planTerms
+  });
+})(globalThis);
@@ -12,8 +12,12 @@
     CS_HELLO_CAPS: 'translation:cs:hello-caps',
     CS_SCAN_RESULT: 'translation:cs:scan-result',
     CS_SCAN_PROGRESS: 'translation:cs:scan-progress',
+    CS_SCAN_DELTA: 'translation:cs:scan-delta',
+    CS_VIEWPORT_UPDATE: 'translation:cs:viewport-update',
     CS_APPLY_ACK: 'translation:cs:apply-ack',
     CS_APPLY_DELTA_ACK: 'translation:cs:apply-delta-ack',
+    CS_BLOCK_EDIT: 'translation:cs:block-edit',
+    CS_SITE_RULE: 'translation:cs:site-rule',
 
     BG_START_JOB: 'translation:bg:start-job',
     BG_CLASSIFY_BLOCKS: 'translation:bg:classify-blocks',
@@ -23,6 +27,11 @@
     BG_SET_VISIBILITY: 'translation:bg:set-visibility',
     BG_RESTORE_ORIGINALS: 'translation:bg:restore-originals',
     BG_ERASE_JOB_DATA: 'translation:bg:erase-job-data',
+    BG_SELECTION_CAPTURE: 'translation:bg:selection-capture',
+    BG_SELECTION_SHOW: 'translation:bg:selection-show',
+    BG_REVEAL_BLOCK: 'translation:bg:reveal-block',
+    BG_SET_EDIT_MODE: 'translation:bg:set-edit-mode',
+    BG_START_PICKER: 'translation:bg:start-picker',
 
     wrap(type, payload, meta) {
       const MessageEnvelope = NT.MessageEnvelope || null;
@@ -57,8 +66,12 @@
         || type === TranslationProtocol.CS_HELLO_CAPS
         || type === TranslationProtocol.CS_SCAN_RESULT
         || type === TranslationProtocol.CS_SCAN_PROGRESS
+        || type === TranslationProtocol.CS_SCAN_DELTA
+        || type === TranslationProtocol.CS_VIEWPORT_UPDATE
         || type === TranslationProtocol.CS_APPLY_ACK
-        || type === TranslationProtocol.CS_APPLY_DELTA_ACK;
+        || type === TranslationProtocol.CS_APPLY_DELTA_ACK
+        || type === TranslationProtocol.CS_BLOCK_EDIT
+        || type === TranslationProtocol.CS_SITE_RULE;
     },
 
     isBackgroundToContent(type) {
@@ -69,7 +82,12 @@
         || type === TranslationProtocol.BG_CANCEL_JOB
         || type === TranslationProtocol.BG_SET_VISIBILITY
         || type === TranslationProtocol.BG_RESTORE_ORIGINALS
-        || type === TranslationProtocol.BG_ERASE_JOB_DATA;
+        || type === TranslationProtocol.BG_ERASE_JOB_DATA
+        || type === TranslationProtocol.BG_SELECTION_CAPTURE
+        || type === TranslationProtocol.BG_SELECTION_SHOW
+        || type === TranslationProtocol.BG_REVEAL_BLOCK
+        || type === TranslationProtocol.BG_SET_EDIT_MODE
+        || type === TranslationProtocol.BG_START_PICKER;
     }
   });
 
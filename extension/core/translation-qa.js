@@ -0,0 +1,451 @@
+/**
+ * Deterministic post-translation QA rules.
+ *
+ * Every translated item is compared with its source text: numbers, URLs,
+ * e-mail addresses, placeholders (`{count}`, `%s`, `{{name}}`) and markup
+ * tags must survive (a lost small number such as "3" is only a warning, since
+ * translators often spell it out), terminal punctuation should match, the output must not
+ * be the untranslated source, its length must stay in a plausible range and
+ * it should not be written mostly in the source script. Issues are
+ * `{ code, severity: 'error' | 'warning', expected?, actual? }`; a block with
+ * at least one error fails QA and may be retried or sent to proofreading.
+ *
+ * Rules run in BG only and never call a model, so the same output always
+ * yields the same issues.
+ */
+(function initTranslationQa(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const ACTIONS = Object.freeze(['report', 'retry', 'proofread']);
+  const SEVERITIES = Object.freeze(['error', 'warning']);
+  const CODES = Object.freeze([
+    'EMPTY_OUTPUT',
+    'NUMBER_MISSING',
+    'NUMBER_ADDED',
+    'URL_MISSING',
+    'EMAIL_MISSING',
+    'PLACEHOLDER_MISSING',
+    'PLACEHOLDER_ADDED',
+    'MARKUP_MISSING',
+    'MARKUP_ADDED',
+    'PUNCTUATION_CHANGED',
+    'UNTRANSLATED',
+    'LENGTH_RATIO',
+    'SOURCE_SCRIPT'
+  ]);
+  const MAX_ISSUES = 12;
+  const MAX_SUMMARY_BLOCKS = 100;
+  const PREVIEW_CHARS = 160;
+  const MIN_RATIO_CHARS = 24;
+  const MIN_SCRIPT_LETTERS = 12;
+  const MAX_SPELLED_NUMBER = 12;
+
+  const URL_RE = /\bhttps?:\/\/[^\s<>"'`{}]+/gi;
+  const EMAIL_RE = /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g;
+  const PLACEHOLDER_RE = /\{\{\s*[\w.-]+\s*\}\}|\$\{[\w.-]+\}|\{[A-Za-z_][\w.-]*\}|%(?:\d+\$)?[sdif@]|%\(\w+\)[sd]/g;
+  const MARKUP_RE = /\{\/?\d+\}|<\/?[a-z][a-z0-9-]*\b[^<>]*>/gi;
+  const NUMBER_RE = /\d(?:\d|[.,'](?=\d)|\s(?=\d{3}(?!\d)))*/g;
+
+  const SCRIPTS = Object.freeze([
+    Object.freeze({ script: 'latin', re: /[A-Za-zÀ-ɏ]/g }),
+    Object.freeze({ script: 'cyrillic', re: /[Ѐ-ӿ]/g }),
+    Object.freeze({ script: 'greek', re: /[Ͱ-Ͽ]/g }),
+    Object.freeze({ script: 'arabic', re: /[؀-ۿ]/g }),
+    Object.freeze({ script: 'hebrew', re: /[֐-׿]/g }),
+    Object.freeze({ script: 'devanagari', re: /[ऀ-ॿ]/g }),
+    Object.freeze({ script: 'thai', re: /[฀-๿]/g }),
+    Object.freeze({ script: 'hangul', re: /[가-힯ᄀ-ᇿ]/g }),
+    Object.freeze({ script: 'kana', re: /[぀-ヿ]/g }),
+    Object.freeze({ script: 'han', re: /[一-鿿㐀-䶿]/g })
+  ]);
+  const CJK_SCRIPTS = Object.freeze(['hangul', 'kana', 'han']);
+  const TARGET_SCRIPTS = Object.freeze({
+    ru: 'cyrillic',
+    uk: 'cyrillic',
+    be: 'cyrillic',
+    bg: 'cyrillic',
+    sr: 'cyrillic',
+    mk: 'cyrillic',
+    kk: 'cyrillic',
+    el: 'greek',
+    ar: 'arabic',
+    fa: 'arabic',
+    he: 'hebrew',
+    hi: 'devanagari',
+    th: 'thai',
+    ko: 'hangul',
+    ja: 'kana',
+    zh: 'han'
+  });
+  const TERMINAL_MARKS = Object.freeze({
+    '?': '?',
+    '？': '?',
+    '؟': '?',
+    '!': '!',
+    '！': '!',
+    ':': ':',
+    '：': ':',
+    '.': '.',
+    '。': '.',
+    '…': '.'
+  });
+
+  function normalizeAction(value) {
+    const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return ACTIONS.includes(raw) ? raw : 'report';
+  }
+
+  function primaryLang(value) {
+    const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return /^[a-z]{2,3}(?:[-_][a-z0-9]+)*$/.test(raw) ? raw.split(/[-_]/)[0] : '';
+  }
+
+  function collect(text, re, normalize = (value) => value) {
+    re.lastIndex = 0;
+    return (String(text || '').match(re) || []).map(normalize).filter(Boolean);
+  }
+
+  function stripAll(text, patterns) {
+    return patterns.reduce((acc, re) => {
+      re.lastIndex = 0;
+      return acc.replace(re, ' ');
+    }, String(text || ''));
+  }
+
+  function countBy(list) {
+    const out = new Map();
+    list.forEach((value) => out.set(value, (out.get(value) || 0) + 1));
+    return out;
+  }
+
+  /**
+   * Values present more often on the left than on the right, one entry per
+   * missing occurrence.
+   */
+  function missingFrom(left, right) {
+    const have = countBy(right);
+    const out = [];
+    left.forEach((value) => {
+      const count = have.get(value) || 0;
+      if (count > 0) {
+        have.set(value, count - 1);
+      } else {
+        out.push(value);
+      }
+    });
+    return out;
+  }
+
+  function cleanUrl(value) {
+    return value.replace(/[.,;:!?)\]]+$/, '');
+  }
+
+  function markupKey(value) {
+    const inline = /^\{(\/?)(\d+)\}$/.exec(value);
+    if (inline) {
+      return `{${inline[1]}${inline[2]}}`;
+    }
+    const tag = /^<(\/?)([a-z][a-z0-9-]*)/i.exec(value);
+    return tag ? `<${tag[1]}${tag[2].toLowerCase()}>` : '';
+  }
+
+  function stripZeros(digits) {
+    return digits.replace(/^0+(?=\d)/, '');
+  }
+
+  function numberKey(value) {
+    return stripZeros(value.replace(/\D/g, ''));
+  }
+
+  function digitRuns(values) {
+    return values.reduce((acc, value) => acc.concat((value.match(/\d+/g) || []).map(stripZeros)), []);
+  }
+
+  /**
+   * Numbers of `left` absent from `right`. Separators are ignored ("1,000" is
+   * "1 000"), and a number whose digit groups all occur on the right counts
+   * as reordered rather than lost, so "2024-05-01" matches "01.05.2024".
+   */
+  function missingNumbers(left, right) {
+    const keys = new Map(left.map((value) => [numberKey(value), value]));
+    const runs = digitRuns(right);
+    return missingFrom(left.map(numberKey), right.map(numberKey))
+      .map((key) => keys.get(key))
+      .filter((value) => missingFrom(digitRuns([value]), runs).length > 0);
+  }
+
+  /**
+   * Bare integers up to twelve, which a translation may write as a word
+   * ("3 items" -> "три элемента").
+   */
+  function isSmallNumber(value) {
+    return /^\d{1,2}$/.test(value) && Number(value) <= MAX_SPELLED_NUMBER;
+  }
+
+  function scriptCounts(text) {
+    const counts = {};
+    let total = 0;
+    SCRIPTS.forEach(({ script, re }) => {
+      re.lastIndex = 0;
+      const match = String(text || '').match(re);
+      if (match && match.length) {
+        counts[script] = match.length;
+        total += match.length;
+      }
+    });
+    return { counts, total };
+  }
+
+  function dominantScript(text) {
+    const { counts, total } = scriptCounts(text);
+    if (!total) {
+      return null;
+    }
+    const script = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    return counts[script] / total >= 0.6 ? script : null;
+  }
+
+  function terminalMark(text, targetLang) {
+    let tail = String(text || '').replace(MARKUP_RE, '').trim();
+    tail = tail.replace(/["'»”’)\]]+$/u, '');
+    const last = tail.slice(-1);
+    if (last === ';' && targetLang === 'el') {
+      return '?';
+    }
+    return TERMINAL_MARKS[last] || '';
+  }
+
+  /**
+   * Questions, exclamations and colons must keep their mark; a sentence must
+   * not lose its full stop and a label or heading must not gain one.
+   */
+  function punctuationChanged(sourceMark, outputMark) {
+    if (sourceMark === outputMark) {
+      return false;
+    }
+    if (sourceMark === '.') {
+      return outputMark !== '!';
+    }
+    return sourceMark !== '' || outputMark === '.';
+  }
+
+  function letterWords(text) {
+    return (String(text || '').match(/\p{L}{3,}/gu) || []).length;
+  }
+
+  function sameText(left, right) {
+    const norm = (value) => String(value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    return norm(left) === norm(right);
+  }
+
+  function issue(code, severity, expected = null, actual = null) {
+    const out = { code, severity };
+    if (expected !== null && expected !== undefined) {
+      out.expected = String(expected);
+    }
+    if (actual !== null && actual !== undefined) {
+      out.actual = String(actual);
+    }
+    return out;
+  }
+
+  function tokenIssues(code, severity, values) {
+    return Array.from(new Set(values)).map((value) => issue(code, severity, value));
+  }
+
+  /**
+   * Runs every rule on one translated item. `sourceLang` is optional; when it
+   * matches `targetLang` the untranslated-residue rules are skipped.
+   */
+  function check({ sourceText, translatedText, sourceLang = null, targetLang = null } = {}) {
+    const source = typeof sourceText === 'string' ? sourceText : '';
+    const output = typeof translatedText === 'string' ? translatedText : '';
+    if (!source.trim()) {
+      return [];
+    }
+    if (!output.trim()) {
+      return [issue('EMPTY_OUTPUT', 'error')];
+    }
+    const target = primaryLang(targetLang);
+    const issues = [];
+
+    const sourceUrls = collect(source, URL_RE, cleanUrl);
+    const outputUrls = collect(output, URL_RE, cleanUrl);
+    issues.push(...tokenIssues('URL_MISSING', 'error', missingFrom(sourceUrls, outputUrls)));
+
+    const sourceEmails = collect(stripAll(source, [URL_RE]), EMAIL_RE, (value) => value.toLowerCase());
+    const outputEmails = collect(stripAll(output, [URL_RE]), EMAIL_RE, (value) => value.toLowerCase());
+    issues.push(...tokenIssues('EMAIL_MISSING', 'error', missingFrom(sourceEmails, outputEmails)));
+
+    const sourcePlaceholders = collect(source, PLACEHOLDER_RE);
+    const outputPlaceholders = collect(output, PLACEHOLDER_RE);
+    issues.push(...tokenIssues('PLACEHOLDER_MISSING', 'error', missingFrom(sourcePlaceholders, outputPlaceholders)));
+    issues.push(...tokenIssues('PLACEHOLDER_ADDED', 'warning', missingFrom(outputPlaceholders, sourcePlaceholders)));
+
+    const sourceMarkup = collect(source, MARKUP_RE, markupKey);
+    const outputMarkup = collect(output, MARKUP_RE, markupKey);
+    issues.push(...tokenIssues('MARKUP_MISSING', 'error', missingFrom(sourceMarkup, outputMarkup)));
+    issues.push(...tokenIssues('MARKUP_ADDED', 'error', missingFrom(outputMarkup, sourceMarkup)));
+
+    const tokens = [URL_RE, EMAIL_RE, PLACEHOLDER_RE, MARKUP_RE];
+    const sourceNumbers = collect(stripAll(source, tokens), NUMBER_RE);
+    const outputNumbers = collect(stripAll(output, tokens), NUMBER_RE);
+    const lostNumbers = missingNumbers(sourceNumbers, outputNumbers);
+    issues.push(...tokenIssues('NUMBER_MISSING', 'error', lostNumbers.filter((value) => !isSmallNumber(value))));
+    issues.push(...tokenIssues('NUMBER_MISSING', 'warning', lostNumbers.filter(isSmallNumber)));
+    issues.push(...tokenIssues('NUMBER_ADDED', 'warning', missingNumbers(outputNumbers, sourceNumbers)));
+
+    const sourceMark = terminalMark(source, target);
+    const outputMark = terminalMark(output, target);
+    if (punctuationChanged(sourceMark, outputMark)) {
+      issues.push(issue('PUNCTUATION_CHANGED', 'warning', sourceMark || 'none', outputMark || 'none'));
+    }
+
+    const sameLang = Boolean(target && primaryLang(sourceLang) === target);
+    const sourceScript = dominantScript(stripAll(source, tokens));
+    const targetScript = TARGET_SCRIPTS[target] || (target ? 'latin' : null);
+    const untranslated = !sameLang && letterWords(source) >= 3 && sameText(source, output);
+    if (untranslated) {
+      issues.push(issue('UNTRANSLATED', 'error'));
+    }
+
+    const cjk = (script) => CJK_SCRIPTS.includes(script);
+    const sourceLength = source.trim().length;
+    if (sourceLength >= MIN_RATIO_CHARS && cjk(sourceScript) === cjk(targetScript)) {
+      const ratio = output.trim().length / sourceLength;
+      if (ratio < 0.2) {
+        issues.push(issue('LENGTH_RATIO', 'error', null, ratio.toFixed(2)));
+      } else if (ratio < 0.4 || ratio > 3) {
+        issues.push(issue('LENGTH_RATIO', 'warning', null, ratio.toFixed(2)));
+      }
+    }
+
+    if (!sameLang && !untranslated && sourceScript && targetScript && sourceScript !== targetScript) {
+      const { counts, total } = scriptCounts(stripAll(output, tokens));
+      const leftover = counts[sourceScript] || 0;
+      if (leftover >= MIN_SCRIPT_LETTERS && leftover / total > 0.5) {
+        issues.push(issue('SOURCE_SCRIPT', 'warning', targetScript, sourceScript));
+      }
+    }
+    return issues.slice(0, MAX_ISSUES);
+  }
+
+  function hasErrors(issues) {
+    return (Array.isArray(issues) ? issues : []).some((row) => row && row.severity === 'error');
+  }
+
+  function describeIssue(row) {
+    const expected = row.expected ? JSON.stringify(row.expected) : '';
+    switch (row.code) {
+      case 'EMPTY_OUTPUT':
+        return 'translation is empty';
+      case 'NUMBER_MISSING':
+        return `number ${expected} from the source is missing`;
+      case 'NUMBER_ADDED':
+        return `number ${expected} is not in the source`;
+      case 'URL_MISSING':
+        return `URL ${expected} must be kept unchanged`;
+      case 'EMAIL_MISSING':
+        return `e-mail ${expected} must be kept unchanged`;
+      case 'PLACEHOLDER_MISSING':
+        return `placeholder ${expected} must be kept exactly`;
+      case 'PLACEHOLDER_ADDED':
+        return `placeholder ${expected} is not in the source`;
+      case 'MARKUP_MISSING':
+        return `tag ${expected} must be kept`;
+      case 'MARKUP_ADDED':
+        return `tag ${expected} is not in the source`;
+      case 'PUNCTUATION_CHANGED':
+        return `ending punctuation should be ${expected} (got ${JSON.stringify(row.actual || 'none')})`;
+      case 'UNTRANSLATED':
+        return 'text was left untranslated';
+      case 'LENGTH_RATIO':
+        return `length ratio ${row.actual || '?'} looks truncated or padded`;
+      case 'SOURCE_SCRIPT':
+        return `text is mostly in ${row.actual || 'the source'} script instead of ${row.expected || 'the target'}`;
+      default:
+        return String(row.code || 'unknown issue').toLowerCase();
+    }
+  }
+
+  /**
+   * Prompt lines for a retry or proofreading request; issues may carry a
+   * `blockId` so one request can cover several blocks.
+   */
+  function formatIssues(issues) {
+    return (Array.isArray(issues) ? issues : [])
+      .filter((row) => row && row.code)
+      .slice(0, 24)
+      .map((row) => `${row.blockId ? `${row.blockId}: ` : ''}${describeIssue(row)}`);
+  }
+
+  function preview(text) {
+    const value = typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+    return value.length > PREVIEW_CHARS ? `${value.slice(0, PREVIEW_CHARS)}…` : value;
+  }
+
+  /**
+   * Stores the issues on the block and keeps a compact per-job summary for
+   * the debug page. `routed` marks blocks already sent to proofreading so
+   * their proofread output is checked but not routed again.
+   */
+  function recordCheck(job, blockId, issues, { retried = false, routed = false } = {}) {
+    if (!job || typeof job !== 'object' || !blockId) {
+      return;
+    }
+    const list = Array.isArray(issues) ? issues.slice(0, MAX_ISSUES) : [];
+    const block = job.blocksById && job.blocksById[blockId] ? job.blocksById[blockId] : null;
+    if (block) {
+      if (list.length) {
+        block.qaIssues = list;
+      } else {
+        delete block.qaIssues;
+      }
+      if (routed) {
+        block.qaRouted = true;
+      }
+    }
+    const prev = job.qaCheck && typeof job.qaCheck === 'object' ? job.qaCheck : {};
+    const byBlockId = prev.byBlockId && typeof prev.byBlockId === 'object' ? { ...prev.byBlockId } : {};
+    delete byBlockId[blockId];
+    if (list.length) {
+      byBlockId[blockId] = {
+        issues: list,
+        sourcePreview: preview(block && block.originalText),
+        textPreview: preview(block && block.translatedText),
+        routed: Boolean(routed || (block && block.qaRouted))
+      };
+    }
+    const keys = Object.keys(byBlockId);
+    keys.slice(0, Math.max(0, keys.length - MAX_SUMMARY_BLOCKS)).forEach((key) => {
+      delete byBlockId[key];
+    });
+    const byCode = {};
+    Object.keys(byBlockId).forEach((key) => {
+      byBlockId[key].issues.forEach((row) => {
+        byCode[row.code] = (byCode[row.code] || 0) + 1;
+      });
+    });
+    job.qaCheck = {
+      checkedBlocks: Number(prev.checkedBlocks || 0) + 1,
+      retriedBlocks: Number(prev.retriedBlocks || 0) + (retried ? 1 : 0),
+      routedBlocks: Number(prev.routedBlocks || 0) + (routed ? 1 : 0),
+      failedBlocks: Object.keys(byBlockId).filter((key) => hasErrors(byBlockId[key].issues)).length,
+      warnedBlocks: Object.keys(byBlockId).filter((key) => !hasErrors(byBlockId[key].issues)).length,
+      byCode,
+      byBlockId,
+      updatedAt: Date.now()
+    };
+  }
+
+  NT.TranslationQa = Object.freeze({
+    ACTIONS,
+    SEVERITIES,
+    CODES,
+    normalizeAction,
+    check,
+    hasErrors,
+    formatIssues,
+    recordCheck
+  });
+})(globalThis);
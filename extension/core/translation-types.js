@@ -6,7 +6,7 @@
  * @property {string} originalText Source text captured from DOM.
  * @property {string} [translatedText] Latest translated text, when available.
  * @property {string} [pathHint] CSS-like path hint used for diagnostics.
- * @property {string} [category] Classified category (main_content|headings|navigation|ui_controls|tables|code|captions|footer|legal|ads|unknown).
+ * @property {string} [category] Classified category (main_content|headings|navigation|ui_controls|tables|code|captions|footer|legal|ads|attributes|unknown).
  * @property {Object} [features] Lightweight DOM-derived features used by deterministic classifier.
  *
  * @typedef {Object} TranslationBatch
@@ -22,7 +22,7 @@
  * @property {number|null} [retryAfterMs] Optional retry hint.
  *
  * @typedef {Object} TranslationStatus
- * @property {string} status idle|preparing|planning|awaiting_categories|running|completing|done|failed|cancelled.
+ * @property {string} status idle|preparing|planning|awaiting_categories|budget_paused|paused|awaiting_viewport|running|completing|done|failed|cancelled.
  * @property {number} progress Integer 0..100.
  * @property {number} total Total block count for the job.
  * @property {number} completed Completed block count.
@@ -45,7 +45,7 @@
  * @typedef {Object} TranslationJob
  * @property {string} id Job id.
  * @property {number} tabId Browser tab id.
- * @property {string} status idle|preparing|planning|awaiting_categories|running|completing|done|failed|cancelled.
+ * @property {string} status idle|preparing|planning|awaiting_categories|budget_paused|paused|awaiting_viewport|running|completing|done|failed|cancelled.
  * @property {number} createdAt Unix timestamp ms.
  * @property {number} updatedAt Unix timestamp ms.
  * @property {number|null} leaseUntilTs Lease timestamp for stale-job recovery.
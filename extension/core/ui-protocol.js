@@ -12,6 +12,8 @@
   const Commands = Object.freeze({
     START_TRANSLATION: 'START_TRANSLATION',
     CANCEL_TRANSLATION: 'CANCEL_TRANSLATION',
+    PAUSE_TRANSLATION: 'PAUSE_TRANSLATION',
+    RESUME_TRANSLATION: 'RESUME_TRANSLATION',
     CLEAR_TRANSLATION_DATA: 'CLEAR_TRANSLATION_DATA',
     SET_TRANSLATION_CATEGORIES: 'SET_TRANSLATION_CATEGORIES',
     RECLASSIFY_BLOCKS: 'RECLASSIFY_BLOCKS',
@@ -22,8 +24,20 @@
     RESET_AUTOTUNE_OVERRIDES: 'RESET_AUTOTUNE_OVERRIDES',
     REQUEST_PROOFREAD_SCOPE: 'REQUEST_PROOFREAD_SCOPE',
     REQUEST_BLOCK_ACTION: 'REQUEST_BLOCK_ACTION',
+    GET_JOB_BLOCKS: 'GET_JOB_BLOCKS',
+    REVEAL_BLOCK: 'REVEAL_BLOCK',
+    SET_BLOCK_TRANSLATION: 'SET_BLOCK_TRANSLATION',
+    SET_EDIT_MODE: 'SET_EDIT_MODE',
+    START_ELEMENT_PICKER: 'START_ELEMENT_PICKER',
     RETRY_FAILED_BLOCKS: 'RETRY_FAILED_BLOCKS',
+    CONTINUE_OVER_BUDGET: 'CONTINUE_OVER_BUDGET',
     ERASE_TRANSLATION_MEMORY: 'ERASE_TRANSLATION_MEMORY',
+    UPSERT_GLOSSARY_ENTRY: 'UPSERT_GLOSSARY_ENTRY',
+    DELETE_GLOSSARY_ENTRY: 'DELETE_GLOSSARY_ENTRY',
+    IMPORT_GLOSSARY: 'IMPORT_GLOSSARY',
+    EXPORT_GLOSSARY: 'EXPORT_GLOSSARY',
+    EXPORT_TRANSLATION_MEMORY: 'EXPORT_TRANSLATION_MEMORY',
+    IMPORT_TRANSLATION_MEMORY: 'IMPORT_TRANSLATION_MEMORY',
     BENCHMARK_SELECTED_MODELS: 'BENCHMARK_SELECTED_MODELS',
     CLEAR_EVENT_LOG: 'CLEAR_EVENT_LOG',
     EVENT_LOG_PAGE: 'EVENT_LOG_PAGE',
@@ -34,6 +48,8 @@
     CLEAR_BYOK_KEY: 'CLEAR_BYOK_KEY',
     SAVE_PROXY_CONFIG: 'SAVE_PROXY_CONFIG',
     CLEAR_PROXY_CONFIG: 'CLEAR_PROXY_CONFIG',
+    SET_PROVIDER: 'SET_PROVIDER',
+    LIST_PROVIDER_MODELS: 'LIST_PROVIDER_MODELS',
     BG_TEST_ENABLE_COMMANDS: 'BG_TEST_ENABLE_COMMANDS',
     BG_TEST_CONNECTION: 'BG_TEST_CONNECTION',
     BG_TEST_SET_PROXY_CONFIG: 'BG_TEST_SET_PROXY_CONFIG',
@@ -0,0 +1,340 @@
+/**
+ * User-managed glossary rules.
+ *
+ * Entries are authored by the user (debug UI) and pin terminology: a source
+ * term either maps to a required translation or is marked do-not-translate.
+ * Each entry is scoped globally or to one domain and optionally to a
+ * source/target language pair. BG snapshots matching entries into the job,
+ * injects them into translation prompts and verifies the output with the same
+ * matching rules, so prompt and check never disagree.
+ */
+(function initUserGlossary(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const MAX_ENTRIES = 2000;
+  const MAX_JOB_ENTRIES = 300;
+  const MAX_PROMPT_ENTRIES = 40;
+  const MAX_TERM_CHARS = 200;
+  const CASE_RULES = Object.freeze(['insensitive', 'exact']);
+  const SCOPES = Object.freeze(['global', 'domain']);
+
+  function normalizeLang(value) {
+    const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!raw || !/^[a-z]{2,10}(?:-[a-z0-9]{2,8})?$/.test(raw)) {
+      return null;
+    }
+    return raw.split('-')[0];
+  }
+
+  function normalizeDomain(value) {
+    const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!raw) {
+      return null;
+    }
+    let host = raw;
+    if (/^[a-z][a-z0-9+.-]*:\/\//.test(raw)) {
+      try {
+        host = new URL(raw).hostname;
+      } catch (_) {
+        return null;
+      }
+    }
+    host = host.split('/')[0].split(':')[0].replace(/^\*\./, '').replace(/^www\./, '');
+    return /^[a-z0-9.-]+\.[a-z0-9-]+$|^localhost$/.test(host) ? host : null;
+  }
+
+  function cleanText(value) {
+    return typeof value === 'string'
+      ? value.replace(/\s+/g, ' ').trim().slice(0, MAX_TERM_CHARS)
+      : '';
+  }
+
+  function hashId(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i += 1) {
+      hash = ((hash << 5) - hash) + text.charCodeAt(i);
+      hash |= 0;
+    }
+    return `g${Math.abs(hash).toString(36)}`;
+  }
+
+  function normalizeEntry(raw) {
+    const src = raw && typeof raw === 'object' ? raw : {};
+    const term = cleanText(src.term);
+    if (!term) {
+      return null;
+    }
+    const doNotTranslate = src.doNotTranslate === true;
+    const translation = doNotTranslate ? '' : cleanText(src.translation);
+    if (!doNotTranslate && !translation) {
+      return null;
+    }
+    const domain = normalizeDomain(src.domain);
+    const scope = src.scope === 'domain' && domain ? 'domain' : 'global';
+    const sourceLang = normalizeLang(src.sourceLang);
+    const targetLang = normalizeLang(src.targetLang);
+    const id = typeof src.id === 'string' && /^[a-z0-9_-]{1,64}$/i.test(src.id)
+      ? src.id
+      : hashId(`${term.toLowerCase()}|${scope}|${scope === 'domain' ? domain : ''}|${sourceLang || ''}|${targetLang || ''}`);
+    return {
+      id,
+      term,
+      translation,
+      doNotTranslate,
+      caseRule: CASE_RULES.includes(src.caseRule) ? src.caseRule : 'insensitive',
+      scope,
+      domain: scope === 'domain' ? domain : null,
+      sourceLang,
+      targetLang,
+      note: cleanText(src.note),
+      updatedAt: Number.isFinite(Number(src.updatedAt)) ? Number(src.updatedAt) : null
+    };
+  }
+
+  /**
+   * Identity of an entry regardless of its id: two entries with the same key
+   * pin the same term for the same scope and language pair.
+   */
+  function entryKey(entry) {
+    const src = entry && typeof entry === 'object' ? entry : {};
+    return [
+      String(src.term || '').toLowerCase(),
+      src.scope === 'domain' ? src.domain || '' : '',
+      src.sourceLang || '',
+      src.targetLang || ''
+    ].join('|');
+  }
+
+  function normalizeEntries(input) {
+    const list = Array.isArray(input) ? input : [];
+    const byId = new Map();
+    list.slice(0, MAX_ENTRIES * 2).forEach((item) => {
+      const entry = normalizeEntry(item);
+      if (entry && (byId.has(entry.id) || byId.size < MAX_ENTRIES)) {
+        byId.set(entry.id, entry);
+      }
+    });
+    return Array.from(byId.values());
+  }
+
+  function hostMatches(entryDomain, pageHost) {
+    if (!entryDomain || !pageHost) {
+      return false;
+    }
+    return pageHost === entryDomain || pageHost.endsWith(`.${entryDomain}`);
+  }
+
+  /**
+   * Entries applicable to a page. Domain entries win over global ones for the
+   * same term so a site can override the global translation.
+   */
+  function selectForPage(entries, { url = '', targetLang = null } = {}) {
+    const host = normalizeDomain(url);
+    const lang = normalizeLang(targetLang);
+    const byTerm = new Map();
+    normalizeEntries(entries).forEach((entry) => {
+      if (entry.targetLang && lang && entry.targetLang !== lang) {
+        return;
+      }
+      if (entry.scope === 'domain' && !hostMatches(entry.domain, host)) {
+        return;
+      }
+      const key = `${entry.term.toLowerCase()}|${entry.sourceLang || ''}`;
+      const prev = byTerm.get(key);
+      if (!prev || (prev.scope === 'global' && entry.scope === 'domain')) {
+        byTerm.set(key, entry);
+      }
+    });
+    return Array.from(byTerm.values())
+      .sort((a, b) => b.term.length - a.term.length || a.term.localeCompare(b.term))
+      .slice(0, MAX_JOB_ENTRIES);
+  }
+
+  function escapeRegExp(text) {
+    return String(text || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function buildPattern(text, caseRule) {
+    const flags = caseRule === 'exact' ? 'u' : 'iu';
+    const body = escapeRegExp(text).replace(/\s+/g, '\\s+');
+    return new RegExp(`(?<![\\p{L}\\p{N}_])${body}(?![\\p{L}\\p{N}_])`, flags);
+  }
+
+  function containsTerm(text, term, caseRule) {
+    if (!text || !term) {
+      return false;
+    }
+    try {
+      return buildPattern(term, caseRule).test(text);
+    } catch (_) {
+      return caseRule === 'exact'
+        ? text.includes(term)
+        : text.toLowerCase().includes(term.toLowerCase());
+    }
+  }
+
+  /**
+   * Case-insensitive translations may be inflected in the target language, so
+   * each word is allowed to differ in its last two letters.
+   */
+  function containsInflected(text, phrase) {
+    const words = String(phrase || '').split(/\s+/).filter(Boolean);
+    if (!words.length) {
+      return false;
+    }
+    const body = words.map((word) => {
+      if (word.length <= 4 || !/^[\p{L}]+$/u.test(word)) {
+        return escapeRegExp(word);
+      }
+      return `${escapeRegExp(word.slice(0, -2))}[\\p{L}]{0,4}`;
+    }).join('\\s+');
+    try {
+      return new RegExp(`(?<![\\p{L}\\p{N}_])${body}(?![\\p{L}\\p{N}_])`, 'iu').test(text);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function langMatches(entry, sourceLang) {
+    const lang = normalizeLang(sourceLang);
+    return !entry.sourceLang || !lang || entry.sourceLang === lang;
+  }
+
+  function matchEntries(entries, sourceText, { sourceLang = null } = {}) {
+    const text = typeof sourceText === 'string' ? sourceText : '';
+    if (!text) {
+      return [];
+    }
+    return (Array.isArray(entries) ? entries : [])
+      .filter((entry) => entry && entry.term && langMatches(entry, sourceLang) && containsTerm(text, entry.term, entry.caseRule));
+  }
+
+  function matchEntriesForBlocks(entries, blocks) {
+    const seen = new Map();
+    (Array.isArray(blocks) ? blocks : []).forEach((block) => {
+      if (!block) {
+        return;
+      }
+      matchEntries(entries, block.originalText, { sourceLang: block.sourceLang }).forEach((entry) => {
+        seen.set(entry.id, entry);
+      });
+    });
+    return Array.from(seen.values()).slice(0, MAX_PROMPT_ENTRIES);
+  }
+
+  function describeEntry(entry) {
+    const caseNote = entry.caseRule === 'exact' ? ' (case-sensitive)' : '';
+    return entry.doNotTranslate
+      ? `"${entry.term}" => keep as is, do not translate${caseNote}`
+      : `"${entry.term}" => "${entry.translation}"${caseNote}`;
+  }
+
+  /**
+   * Same entries in the `{ term, hint }` shape of the agent glossary, so
+   * user terms merge into the glossary context of planning prompts.
+   */
+  function toGlossaryHints(entries) {
+    return (Array.isArray(entries) ? entries : [])
+      .filter((entry) => entry && entry.term)
+      .map((entry) => ({
+        term: entry.term,
+        hint: entry.doNotTranslate ? 'do not translate' : entry.translation,
+        source: 'user'
+      }));
+  }
+
+  function formatForPrompt(entries) {
+    return (Array.isArray(entries) ? entries : [])
+      .slice(0, MAX_PROMPT_ENTRIES)
+      .map((entry) => `- ${describeEntry(entry)}`);
+  }
+
+  /**
+   * Checks one translated block against the entries whose term occurs in the
+   * source text. Returns violations; an empty list means the block complies.
+   */
+  function verify({ entries, sourceText, translatedText, sourceLang = null } = {}) {
+    const output = typeof translatedText === 'string' ? translatedText : '';
+    if (!output.trim()) {
+      return [];
+    }
+    return matchEntries(entries, sourceText, { sourceLang })
+      .map((entry) => {
+        if (entry.doNotTranslate) {
+          return containsTerm(output, entry.term, entry.caseRule)
+            ? null
+            : { entryId: entry.id, term: entry.term, expected: entry.term, code: 'TERM_TRANSLATED' };
+        }
+        const ok = containsTerm(output, entry.translation, entry.caseRule)
+          || (entry.caseRule !== 'exact' && containsInflected(output, entry.translation));
+        return ok
+          ? null
+          : { entryId: entry.id, term: entry.term, expected: entry.translation, code: 'TERM_MISSING' };
+      })
+      .filter(Boolean);
+  }
+
+  function formatViolations(violations) {
+    return (Array.isArray(violations) ? violations : [])
+      .slice(0, 12)
+      .map((row) => (row.code === 'TERM_TRANSLATED'
+        ? `"${row.term}" must stay untranslated`
+        : `"${row.term}" must be translated as "${row.expected}"`));
+  }
+
+  /**
+   * Stores the verdict on the block and keeps a compact per-job summary for UI.
+   */
+  function recordCheck(job, blockId, violations, { retried = false } = {}) {
+    if (!job || typeof job !== 'object' || !blockId) {
+      return;
+    }
+    const list = Array.isArray(violations) ? violations.slice(0, 12) : [];
+    const block = job.blocksById && job.blocksById[blockId] ? job.blocksById[blockId] : null;
+    if (block) {
+      if (list.length) {
+        block.glossaryViolations = list;
+      } else {
+        delete block.glossaryViolations;
+      }
+    }
+    const prev = job.glossaryCheck && typeof job.glossaryCheck === 'object' ? job.glossaryCheck : {};
+    const byBlockId = prev.byBlockId && typeof prev.byBlockId === 'object' ? { ...prev.byBlockId } : {};
+    if (list.length) {
+      byBlockId[blockId] = list;
+    } else {
+      delete byBlockId[blockId];
+    }
+    const keys = Object.keys(byBlockId);
+    keys.slice(0, Math.max(0, keys.length - 100)).forEach((key) => {
+      delete byBlockId[key];
+    });
+    job.glossaryCheck = {
+      entries: Array.isArray(job.userGlossary) ? job.userGlossary.length : 0,
+      checkedBlocks: Number(prev.checkedBlocks || 0) + 1,
+      retriedBlocks: Number(prev.retriedBlocks || 0) + (retried ? 1 : 0),
+      violatedBlocks: Object.keys(byBlockId).length,
+      byBlockId,
+      updatedAt: Date.now()
+    };
+  }
+
+  NT.UserGlossary = Object.freeze({
+    MAX_ENTRIES,
+    MAX_JOB_ENTRIES,
+    CASE_RULES,
+    SCOPES,
+    normalizeDomain,
+    normalizeEntry,
+    normalizeEntries,
+    entryKey,
+    selectForPage,
+    matchEntries,
+    matchEntriesForBlocks,
+    toGlossaryHints,
+    formatForPrompt,
+    verify,
+    formatViolations,
+    recordCheck
+  });
+})(globalThis);
@@ -0,0 +1,151 @@
+/**
+ * Viewport-first ordering of pending translation work.
+ *
+ * The content runtime reports which blocks are on screen (`visible`) and
+ * which sit within about one and a half screens of it (`near`). Modes:
+ * - off: pending work keeps its DOM/category order;
+ * - priority: pending blocks go visible, then near, then the rest by DOM
+ *   distance from the visible range;
+ * - lazy: as priority, but blocks that are neither visible nor near wait in
+ *   `job.viewport.deferredBlockIds` until a later report brings them close.
+ * The report is stored on `job.viewport`, so agent tools rank blocks the
+ * same way the legacy batch builder does.
+ */
+(function initViewportPriority(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const MODES = Object.freeze(['off', 'priority', 'lazy']);
+  const MAX_REPORTED_IDS = 800;
+  const FAR_TIER = 2;
+
+  function normalizeMode(value) {
+    const raw = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return MODES.includes(raw) ? raw : 'off';
+  }
+
+  function sanitizeIds(input, limit = MAX_REPORTED_IDS) {
+    const out = [];
+    const seen = new Set();
+    (Array.isArray(input) ? input : []).forEach((value) => {
+      const id = typeof value === 'string' ? value.trim().slice(0, 160) : '';
+      if (id && !seen.has(id) && out.length < limit) {
+        seen.add(id);
+        out.push(id);
+      }
+    });
+    return out;
+  }
+
+  /**
+   * `(blockId) => { tier, distance }` for the job's last report, or null when
+   * there is nothing to rank by (mode off, no report yet).
+   */
+  function createRanker(job) {
+    const state = job && job.viewport && typeof job.viewport === 'object' ? job.viewport : null;
+    if (!state || normalizeMode(state.mode) === 'off') {
+      return null;
+    }
+    const visible = new Set(Array.isArray(state.visibleBlockIds) ? state.visibleBlockIds : []);
+    const near = new Set(Array.isArray(state.nearBlockIds) ? state.nearBlockIds : []);
+    if (!visible.size && !near.size) {
+      return null;
+    }
+    const blocksById = job.blocksById && typeof job.blocksById === 'object' ? job.blocksById : {};
+    const orderOf = (blockId) => {
+      const block = blocksById[blockId];
+      const order = block ? Number(block.domOrder) : NaN;
+      return Number.isFinite(order) ? order : null;
+    };
+    let min = Infinity;
+    let max = -Infinity;
+    (visible.size ? visible : near).forEach((blockId) => {
+      const order = orderOf(blockId);
+      if (order !== null) {
+        min = Math.min(min, order);
+        max = Math.max(max, order);
+      }
+    });
+    return (blockId) => {
+      const tier = visible.has(blockId) ? 0 : (near.has(blockId) ? 1 : FAR_TIER);
+      const order = orderOf(blockId);
+      if (tier === 0) {
+        return { tier, distance: 0 };
+      }
+      if (order === null || min === Infinity) {
+        return { tier, distance: Number.MAX_SAFE_INTEGER };
+      }
+      return { tier, distance: order < min ? min - order : Math.max(0, order - max) };
+    };
+  }
+
+  /**
+   * Stable reorder by tier, then DOM distance from the visible range, then
+   * the incoming order.
+   */
+  function orderBlockIds(job, blockIds) {
+    const ids = Array.isArray(blockIds) ? blockIds.slice() : [];
+    const rank = createRanker(job);
+    if (!rank) {
+      return ids;
+    }
+    return ids
+      .map((blockId, index) => ({ blockId, index, ...rank(blockId) }))
+      .sort((a, b) => a.tier - b.tier || a.distance - b.distance || a.index - b.index)
+      .map((row) => row.blockId);
+  }
+
+  /**
+   * Applies `job.viewport` to the job in place: pending work is reordered
+   * and, in lazy mode, split into pending (visible/near) and deferred. Members
+   * of an inline segment stay together. Any other mode releases what was
+   * deferred. Returns `{ deferred, released }` counts.
+   */
+  function applyToJob(job) {
+    const state = job && job.viewport && typeof job.viewport === 'object' ? job.viewport : null;
+    if (!state) {
+      return { deferred: 0, released: 0 };
+    }
+    state.mode = normalizeMode(state.mode);
+    const pending = Array.isArray(job.pendingBlockIds) ? job.pendingBlockIds : [];
+    const pendingSet = new Set(pending);
+    const wasDeferred = (Array.isArray(state.deferredBlockIds) ? state.deferredBlockIds : [])
+      .filter((blockId) => !pendingSet.has(blockId));
+    const rank = createRanker(job);
+    if (!rank || state.mode !== 'lazy') {
+      job.pendingBlockIds = orderBlockIds(job, pending.concat(wasDeferred));
+      state.deferredBlockIds = [];
+      return { deferred: 0, released: wasDeferred.length };
+    }
+    const blocksById = job.blocksById && typeof job.blocksById === 'object' ? job.blocksById : {};
+    const ordered = orderBlockIds(job, pending.concat(wasDeferred));
+    const readySegments = new Set();
+    ordered.forEach((blockId) => {
+      const block = blocksById[blockId];
+      if (block && block.segment && rank(blockId).tier < FAR_TIER) {
+        readySegments.add(block.segment.id);
+      }
+    });
+    const isReady = (blockId) => {
+      const block = blocksById[blockId];
+      return rank(blockId).tier < FAR_TIER || Boolean(block && block.segment && readySegments.has(block.segment.id));
+    };
+    const wasDeferredSet = new Set(wasDeferred);
+    job.pendingBlockIds = ordered.filter(isReady);
+    state.deferredBlockIds = ordered.filter((blockId) => !isReady(blockId));
+    return {
+      deferred: state.deferredBlockIds.filter((blockId) => !wasDeferredSet.has(blockId)).length,
+      released: job.pendingBlockIds.filter((blockId) => wasDeferredSet.has(blockId)).length
+    };
+  }
+
+  NT.ViewportPriority = Object.freeze({
+    MODES,
+    MAX_REPORTED_IDS,
+    FAR_TIER,
+    normalizeMode,
+    sanitizeIds,
+    createRanker,
+    orderBlockIds,
+    applyToJob
+  });
+})(globalThis);
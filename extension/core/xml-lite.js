@@ -0,0 +1,86 @@
+/**
+ * Minimal XML helpers for exchange formats (TBX, TMX).
+ *
+ * The MV3 service worker has no DOMParser, and the exchange files we read are
+ * flat and well-known, so a regex scanner over element bodies is enough. Not a
+ * general XML parser: no namespaces, no DTDs, same-name nesting unsupported.
+ */
+(function initXmlLite(global) {
+  const NT = global.NT || (global.NT = {});
+
+  function escape(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function decode(value) {
+    return String(value || '')
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, '\'')
+      .replace(/&amp;/g, '&');
+  }
+
+  function attr(tag, name) {
+    const match = String(tag || '').match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+    return match ? decode(match[2] !== undefined ? match[2] : match[3]) : '';
+  }
+
+  /**
+   * Non-overlapping `<name ...>inner</name>` elements in document order.
+   * `index` is the offset of the opening tag inside `xml`.
+   */
+  function elements(xml, names) {
+    const pattern = new RegExp(`<(${names.join('|')})\\b([^>]*)>([\\s\\S]*?)</\\1\\s*>`, 'gi');
+    const out = [];
+    const src = String(xml || '');
+    let match = pattern.exec(src);
+    while (match) {
+      out.push({ name: match[1], open: `<${match[1]}${match[2]}>`, inner: match[3], index: match.index });
+      match = pattern.exec(src);
+    }
+    return out;
+  }
+
+  /**
+   * Text content of an element body. `drop` lists elements removed together
+   * with their content (e.g. TMX native-code placeholders).
+   */
+  function innerText(xml, { collapse = true, drop = null } = {}) {
+    let src = String(xml || '');
+    if (Array.isArray(drop) && drop.length) {
+      src = src
+        .replace(new RegExp(`<(${drop.join('|')})\\b[^>]*>[\\s\\S]*?</\\1\\s*>`, 'gi'), '')
+        .replace(new RegExp(`<(${drop.join('|')})\\b[^>]*/>`, 'gi'), '');
+    }
+    const text = decode(src.replace(/<(?!!\[CDATA\[)[^>]+>/g, ''));
+    return collapse ? text.replace(/\s+/g, ' ').trim() : text.trim();
+  }
+
+  function lineAt(text, index) {
+    const src = String(text || '');
+    let line = 1;
+    for (let i = 0; i < index && i < src.length; i += 1) {
+      if (src.charCodeAt(i) === 10) {
+        line += 1;
+      }
+    }
+    return line;
+  }
+
+  NT.XmlLite = Object.freeze({
+    escape,
+    decode,
+    attr,
+    elements,
+    innerText,
+    lineAt
+  });
+})(globalThis);
@@ -3,6 +3,8 @@
   const Ui = NT.Ui;
   const UiProtocol = NT.UiProtocol || {};
   const I18n = NT.UiI18nRu || null;
+  const StyleGuides = NT.StyleGuides || null;
+  const SiteRules = NT.SiteRules || null;
 
   if (!Ui || !I18n || !NT.UiProtocolClient) {
     return;
@@ -94,7 +96,7 @@
 
   function normalizeRoute(route) {
     const key = safeString(route || '', '').replace(/^#/, '').trim().toLowerCase();
-    const allowed = ['overview', 'plan', 'tools', 'diff-patches', 'categories', 'memory', 'ratelimits', 'perf', 'security', 'export'];
+    const allowed = ['overview', 'plan', 'tools', 'diff-patches', 'categories', 'memory', 'ratelimits', 'perf', 'security', 'export', 'glossary', 'styles'];
     return allowed.includes(key) ? key : 'overview';
   }
 
@@ -137,6 +139,9 @@
       this.categoryDraft = new Set();
       this.exportStatus = '-';
       this.lastSecurityAudit = null;
+      this.glossaryEditId = '';
+      this.glossaryImport = null;
+      this.tmxResult = null;
 
       this.filters = {
         toolsName: 'all',
@@ -146,7 +151,8 @@
         patchKind: 'all',
         patchPhase: '',
         diffCategory: '',
-        diffStatus: ''
+        diffStatus: '',
+        diffQa: 'all'
       };
     }
 
@@ -195,6 +201,7 @@
 
       this.fields.diffFilterCategory = this.doc.querySelector('[data-field="diff-filter-category"]');
       this.fields.diffFilterStatus = this.doc.querySelector('[data-field="diff-filter-status"]');
+      this.fields.diffFilterQa = this.doc.querySelector('[data-field="diff-filter-qa"]');
       this.fields.diffBlocks = this.doc.querySelector('[data-field="diff-blocks"]');
       this.fields.diffOriginal = this.doc.querySelector('[data-field="diff-original"]');
       this.fields.diffTranslated = this.doc.querySelector('[data-field="diff-translated"]');
@@ -208,12 +215,31 @@
 
       this.fields.categoriesHint = this.doc.querySelector('[data-field="categories-hint"]');
       this.fields.categoriesList = this.doc.querySelector('[data-field="categories-list"]');
+      this.fields.siteRulesStatus = this.doc.querySelector('[data-field="site-rules-status"]');
+      this.fields.siteRulesImportFile = this.doc.querySelector('[data-field="site-rules-import-file"]');
+      this.fields.siteRulesReplace = this.doc.querySelector('[data-field="site-rules-replace"]');
 
       this.fields.memoryKv = this.doc.querySelector('[data-field="memory-kv"]');
+      this.fields.memoryFuzzyThreshold = this.doc.querySelector('[data-field="memory-fuzzy-threshold"]');
+      this.fields.tmxTargetLang = this.doc.querySelector('[data-field="tmx-target-lang"]');
+      this.fields.tmxDomain = this.doc.querySelector('[data-field="tmx-domain"]');
+      this.fields.tmxMaxAge = this.doc.querySelector('[data-field="tmx-max-age"]');
+      this.fields.tmxQuality = this.doc.querySelector('[data-field="tmx-quality"]');
+      this.fields.tmxImportFile = this.doc.querySelector('[data-field="tmx-import-file"]');
+      this.fields.tmxTrustHuman = this.doc.querySelector('[data-field="tmx-trust-human"]');
+      this.fields.tmxStatus = this.doc.querySelector('[data-field="tmx-status"]');
+      this.fields.tmxErrors = this.doc.querySelector('[data-field="tmx-errors"]');
       this.fields.ratelimitsKv = this.doc.querySelector('[data-field="ratelimits-kv"]');
       this.fields.ratelimitsList = this.doc.querySelector('[data-field="ratelimits-list"]');
       this.fields.perfKv = this.doc.querySelector('[data-field="perf-kv"]');
       this.fields.perfTop = this.doc.querySelector('[data-field="perf-top"]');
+      this.fields.usageKv = this.doc.querySelector('[data-field="usage-kv"]');
+      this.fields.usageList = this.doc.querySelector('[data-field="usage-list"]');
+      this.fields.priceModel = this.doc.querySelector('[data-field="price-model"]');
+      this.fields.priceInput = this.doc.querySelector('[data-field="price-input"]');
+      this.fields.priceCached = this.doc.querySelector('[data-field="price-cached"]');
+      this.fields.priceOutput = this.doc.querySelector('[data-field="price-output"]');
+      this.fields.priceList = this.doc.querySelector('[data-field="price-list"]');
 
       this.fields.securitySummary = this.doc.querySelector('[data-field="security-summary"]');
       this.fields.securityJson = this.doc.querySelector('[data-field="security-json"]');
@@ -221,6 +247,30 @@
       this.fields.exportTextMode = this.doc.querySelector('[data-field="export-text-mode"]');
       this.fields.exportStatus = this.doc.querySelector('[data-field="export-status"]');
 
+      this.fields.glossaryTerm = this.doc.querySelector('[data-field="glossary-term"]');
+      this.fields.glossaryTranslation = this.doc.querySelector('[data-field="glossary-translation"]');
+      this.fields.glossaryDnt = this.doc.querySelector('[data-field="glossary-dnt"]');
+      this.fields.glossaryCase = this.doc.querySelector('[data-field="glossary-case"]');
+      this.fields.glossaryScope = this.doc.querySelector('[data-field="glossary-scope"]');
+      this.fields.glossaryDomain = this.doc.querySelector('[data-field="glossary-domain"]');
+      this.fields.glossarySourceLang = this.doc.querySelector('[data-field="glossary-source-lang"]');
+      this.fields.glossaryTargetLang = this.doc.querySelector('[data-field="glossary-target-lang"]');
+      this.fields.glossaryList = this.doc.querySelector('[data-field="glossary-list"]');
+      this.fields.glossaryImportFile = this.doc.querySelector('[data-field="glossary-import-file"]');
+      this.fields.glossaryImportMode = this.doc.querySelector('[data-field="glossary-import-mode"]');
+      this.fields.glossaryExportJobTerms = this.doc.querySelector('[data-field="glossary-export-job-terms"]');
+      this.fields.glossaryImportStatus = this.doc.querySelector('[data-field="glossary-import-status"]');
+      this.fields.glossaryImportErrors = this.doc.querySelector('[data-field="glossary-import-errors"]');
+      this.fields.glossaryCheckKv = this.doc.querySelector('[data-field="glossary-check-kv"]');
+      this.fields.glossaryViolations = this.doc.querySelector('[data-field="glossary-violations"]');
+
+      this.fields.styleKey = this.doc.querySelector('[data-field="style-key"]');
+      this.fields.styleCategory = this.doc.querySelector('[data-field="style-category"]');
+      this.fields.styleText = this.doc.querySelector('[data-field="style-text"]');
+      this.fields.styleCounter = this.doc.querySelector('[data-field="style-counter"]');
+      this.fields.styleList = this.doc.querySelector('[data-field="style-list"]');
+      this.fields.styleJobKv = this.doc.querySelector('[data-field="style-job-kv"]');
+
       this.fields.toastHost = this.doc.querySelector('[data-field="toast-host"]');
     }
 
@@ -241,7 +291,7 @@
         if (!action) {
           return;
         }
-        this._handleAction(action).catch((error) => this._showError(error));
+        this._handleAction(action, trigger).catch((error) => this._showError(error));
       });
 
       this.root.addEventListener('input', () => {
@@ -257,6 +307,7 @@
         this.filters.toolsName = safeString(this.fields.toolsFilterName && this.fields.toolsFilterName.value, 'all');
         this.filters.toolsStatus = safeString(this.fields.toolsFilterStatus && this.fields.toolsFilterStatus.value, 'all');
         this.filters.patchKind = safeString(this.fields.patchFilterKind && this.fields.patchFilterKind.value, 'all');
+        this.filters.diffQa = safeString(this.fields.diffFilterQa && this.fields.diffFilterQa.value, 'all');
         this._scheduleRender();
       });
 
@@ -290,7 +341,7 @@
       });
     }
 
-    async _handleAction(action) {
+    async _handleAction(action, trigger = null) {
       if (action === 'kick-scheduler') {
         await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.KICK_SCHEDULER : 'KICK_SCHEDULER', {});
         this.toasts.show('Планировщик запрошен.', { tone: 'ok' });
@@ -343,6 +394,14 @@
         });
         return;
       }
+      if (action === 'tmx-export') {
+        await this._exportTmx();
+        return;
+      }
+      if (action === 'tmx-import') {
+        await this._importTmx();
+        return;
+      }
       if (action === 'run-security-audit') {
         const result = await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.RUN_SECURITY_AUDIT : 'RUN_SECURITY_AUDIT', {});
         if (result && result.report) {
@@ -388,6 +447,375 @@
         await this._downloadReport('html');
         return;
       }
+      if (action === 'glossary-save') {
+        await this._saveGlossaryEntry();
+        return;
+      }
+      if (action === 'glossary-edit') {
+        this._fillGlossaryForm(this._glossaryEntries().find((entry) => entry.id === (trigger && trigger.getAttribute('data-glossary-id'))) || null);
+        return;
+      }
+      if (action === 'glossary-delete') {
+        const id = trigger ? trigger.getAttribute('data-glossary-id') : '';
+        if (!id) {
+          return;
+        }
+        await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.DELETE_GLOSSARY_ENTRY : 'DELETE_GLOSSARY_ENTRY', { id });
+        this.toasts.show('Термин удалён.', { tone: 'ok' });
+        return;
+      }
+      if (action === 'glossary-import') {
+        await this._importGlossary();
+        return;
+      }
+      if (action === 'glossary-export-csv' || action === 'glossary-export-tbx') {
+        await this._exportGlossary(action === 'glossary-export-tbx' ? 'tbx' : 'csv');
+        return;
+      }
+      if (action === 'site-rules-export') {
+        this._exportSiteRules();
+        return;
+      }
+      if (action === 'site-rules-import') {
+        await this._importSiteRules();
+        return;
+      }
+      if (action === 'memory-fuzzy-save') {
+        await this._saveMemoryFuzzyThreshold();
+        return;
+      }
+      if (action === 'price-save') {
+        await this._savePriceOverride();
+        return;
+      }
+      if (action === 'price-edit' || action === 'price-delete') {
+        const model = trigger ? safeString(trigger.getAttribute('data-price-model'), '') : '';
+        const overrides = this._priceOverrides();
+        if (action === 'price-delete') {
+          delete overrides[model];
+          await this._writePriceOverrides(overrides);
+          this.toasts.show('Цена удалена.', { tone: 'ok' });
+          return;
+        }
+        this._fillPriceForm(model, overrides[model] || {});
+        return;
+      }
+      if (action === 'style-save') {
+        await this._saveStyleGuide();
+        return;
+      }
+      if (action === 'style-edit' || action === 'style-delete') {
+        const key = trigger ? safeString(trigger.getAttribute('data-style-key'), '') : '';
+        const category = trigger ? safeString(trigger.getAttribute('data-style-category'), '') : '';
+        if (action === 'style-delete') {
+          await this._writeStyleGuides(StyleGuides ? StyleGuides.withInstructions(this._styleGuides(), key, category || null, '') : {});
+          this.toasts.show('Указания удалены.', { tone: 'ok' });
+          return;
+        }
+        const guide = this._styleGuides()[key] || null;
+        this._fillStyleForm(key, category, guide ? (category ? guide.categories[category] : guide.instructions) : '');
+      }
+    }
+
+    _priceOverrides() {
+      const settings = this.snapshot.settings && typeof this.snapshot.settings === 'object' ? this.snapshot.settings : {};
+      const src = settings.translationPriceOverrides && typeof settings.translationPriceOverrides === 'object'
+        ? settings.translationPriceOverrides
+        : {};
+      const out = {};
+      Object.keys(src).forEach((model) => {
+        out[model] = { ...src[model] };
+      });
+      return out;
+    }
+
+    _siteRules() {
+      const settings = this.snapshot.settings && typeof this.snapshot.settings === 'object' ? this.snapshot.settings : {};
+      return SiteRules ? SiteRules.normalizeRules(settings.translationSiteRules) : {};
+    }
+
+    _exportSiteRules() {
+      if (!SiteRules) {
+        return;
+      }
+      const payload = SiteRules.exportPayload(this._siteRules());
+      this._downloadFile(`nt-site-rules-${Date.now()}.json`, JSON.stringify(payload, null, 2), 'application/json;charset=utf-8');
+      this.toasts.show(`Экспортировано сайтов: ${Object.keys(payload.rules).length}`, { tone: 'ok' });
+    }
+
+    async _importSiteRules() {
+      const file = this.fields.siteRulesImportFile && this.fields.siteRulesImportFile.files
+        ? this.fields.siteRulesImportFile.files[0]
+        : null;
+      if (!file || !SiteRules) {
+        this.toasts.show('Выберите файл JSON.', { tone: 'warn' });
+        return;
+      }
+      let data = null;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (_) {
+        this.toasts.show('Файл не является JSON.', { tone: 'warn' });
+        return;
+      }
+      const incoming = SiteRules.importPayload(data);
+      const hosts = Object.keys(incoming).length;
+      if (!hosts) {
+        this.toasts.show('В файле нет правил.', { tone: 'warn' });
+        return;
+      }
+      const replace = Boolean(this.fields.siteRulesReplace && this.fields.siteRulesReplace.checked);
+      const rules = replace ? incoming : SiteRules.mergeRules(this._siteRules(), incoming);
+      const settings = this.snapshot.settings && typeof this.snapshot.settings === 'object' ? this.snapshot.settings : {};
+      await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.SET_SETTINGS : 'SET_SETTINGS', {
+        patch: { translationSiteRules: rules },
+        expectedSchemaVersion: Number.isFinite(Number(settings.schemaVersion)) ? Number(settings.schemaVersion) : null
+      }, { timeoutMs: 5000, retries: 1 });
+      this.snapshot.settings = { ...settings, translationSiteRules: rules };
+      this._scheduleRender();
+      this.toasts.show(`Импортировано сайтов: ${hosts}`, { tone: 'ok' });
+    }
+
+    async _saveMemoryFuzzyThreshold() {
+      const raw = safeString(this.fields.memoryFuzzyThreshold && this.fields.memoryFuzzyThreshold.value, '').trim();
+      const value = Number(raw);
+      if (!raw || !Number.isFinite(value) || value < 0 || value > 1) {
+        this.toasts.show('Порог должен быть от 0 до 1.', { tone: 'warn' });
+        return;
+      }
+      const settings = this.snapshot.settings && typeof this.snapshot.settings === 'object' ? this.snapshot.settings : {};
+      await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.SET_SETTINGS : 'SET_SETTINGS', {
+        patch: { translationMemoryFuzzyThreshold: value },
+        expectedSchemaVersion: Number.isFinite(Number(settings.schemaVersion)) ? Number(settings.schemaVersion) : null
+      }, { timeoutMs: 5000, retries: 1 });
+      this.snapshot.settings = { ...settings, translationMemoryFuzzyThreshold: value };
+      this.fields.memoryFuzzyThreshold.value = '';
+      this.toasts.show(value > 0 ? 'Порог сохранён.' : 'Поиск похожих отключён.', { tone: 'ok' });
+      this._scheduleRender();
+    }
+
+    async _savePriceOverride() {
+      const model = safeString(this.fields.priceModel && this.fields.priceModel.value, '').trim();
+      if (!model) {
+        this.toasts.show('Укажите модель.', { tone: 'warn' });
+        return;
+      }
+      const prices = {};
+      [['inputPrice', this.fields.priceInput], ['cachedInputPrice', this.fields.priceCached], ['outputPrice', this.fields.priceOutput]]
+        .forEach(([key, field]) => {
+          const raw = safeString(field && field.value, '').trim().replace(',', '.');
+          const numeric = Number(raw);
+          if (raw && Number.isFinite(numeric) && numeric >= 0) {
+            prices[key] = numeric;
+          }
+        });
+      const overrides = this._priceOverrides();
+      if (Object.keys(prices).length) {
+        overrides[model] = prices;
+      } else {
+        delete overrides[model];
+      }
+      await this._writePriceOverrides(overrides);
+      this.toasts.show(Object.keys(prices).length ? 'Цена сохранена.' : 'Цена удалена.', { tone: 'ok' });
+    }
+
+    async _writePriceOverrides(overrides) {
+      // The whole map is sent, so removed models stay removed.
+      const settings = this.snapshot.settings && typeof this.snapshot.settings === 'object' ? this.snapshot.settings : {};
+      await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.SET_SETTINGS : 'SET_SETTINGS', {
+        patch: { translationPriceOverrides: overrides },
+        expectedSchemaVersion: Number.isFinite(Number(settings.schemaVersion)) ? Number(settings.schemaVersion) : null
+      }, { timeoutMs: 5000, retries: 1 });
+      this.snapshot.settings = { ...settings, translationPriceOverrides: overrides };
+      this._scheduleRender();
+    }
+
+    _fillPriceForm(model, prices) {
+      const value = (number) => (Number.isFinite(Number(number)) ? String(number) : '');
+      if (this.fields.priceModel) {
+        this.fields.priceModel.value = model;
+      }
+      if (this.fields.priceInput) {
+        this.fields.priceInput.value = value(prices.inputPrice);
+      }
+      if (this.fields.priceCached) {
+        this.fields.priceCached.value = value(prices.cachedInputPrice);
+      }
+      if (this.fields.priceOutput) {
+        this.fields.priceOutput.value = value(prices.outputPrice);
+      }
+    }
+
+    _styleGuides() {
+      const settings = this.snapshot.settings && typeof this.snapshot.settings === 'object' ? this.snapshot.settings : {};
+      return StyleGuides ? StyleGuides.normalizeGuides(settings.translationStyleGuides) : {};
+    }
+
+    async _saveStyleGuide() {
+      if (!StyleGuides) {
+        return;
+      }
+      const key = StyleGuides.normalizeKey(safeString(this.fields.styleKey && this.fields.styleKey.value, ''));
+      if (!key) {
+        this.toasts.show('Укажите домен или * для всех сайтов.', { tone: 'warn' });
+        return;
+      }
+      const category = safeString(this.fields.styleCategory && this.fields.styleCategory.value, '').trim().toLowerCase();
+      if (category && !/^[a-z_]{1,40}$/.test(category)) {
+        this.toasts.show('Категория: латинские буквы и _, например main_content.', { tone: 'warn' });
+        return;
+      }
+      const checked = StyleGuides.validateInstructions(safeString(this.fields.styleText && this.fields.styleText.value, ''));
+      if (!checked.ok) {
+        this.toasts.show(`Слишком длинные указания: ${checked.length} из ${checked.max} символов.`, { tone: 'warn' });
+        return;
+      }
+      await this._writeStyleGuides(StyleGuides.withInstructions(this._styleGuides(), key, category || null, checked.text));
+      this.toasts.show(checked.text ? 'Указания сохранены.' : 'Указания удалены.', { tone: 'ok' });
+    }
+
+    async _writeStyleGuides(guides) {
+      // The whole map is sent, so removed entries stay removed.
+      const settings = this.snapshot.settings && typeof this.snapshot.settings === 'object' ? this.snapshot.settings : {};
+      await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.SET_SETTINGS : 'SET_SETTINGS', {
+        patch: { translationStyleGuides: guides },
+        expectedSchemaVersion: Number.isFinite(Number(settings.schemaVersion)) ? Number(settings.schemaVersion) : null
+      }, { timeoutMs: 5000, retries: 1 });
+      this.snapshot.settings = { ...settings, translationStyleGuides: guides };
+      this._scheduleRender();
+    }
+
+    _fillStyleForm(key, category, text) {
+      if (this.fields.styleKey) {
+        this.fields.styleKey.value = key;
+      }
+      if (this.fields.styleCategory) {
+        this.fields.styleCategory.value = category;
+      }
+      if (this.fields.styleText) {
+        this.fields.styleText.value = text || '';
+      }
+      this._scheduleRender();
+    }
+
+    async _exportTmx() {
+      const value = (field) => safeString(field && field.value, '').trim();
+      const quality = value(this.fields.tmxQuality);
+      const result = await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.EXPORT_TRANSLATION_MEMORY : 'EXPORT_TRANSLATION_MEMORY', {
+        targetLang: value(this.fields.tmxTargetLang) || null,
+        domain: value(this.fields.tmxDomain) || null,
+        maxAgeDays: Number(value(this.fields.tmxMaxAge)) || null,
+        qualityTags: quality ? [quality] : null
+      }, { timeoutMs: 30000 });
+      if (!result || typeof result.content !== 'string') {
+        return;
+      }
+      this._downloadFile(result.fileName || 'memory.tmx', result.content, 'application/x-tmx+xml;charset=utf-8');
+      this.tmxResult = { kind: 'export', ...result, content: null };
+      this._scheduleRender();
+    }
+
+    async _importTmx() {
+      const file = this.fields.tmxImportFile && this.fields.tmxImportFile.files
+        ? this.fields.tmxImportFile.files[0]
+        : null;
+      if (!file) {
+        this.toasts.show('Выберите файл TMX.', { tone: 'warn' });
+        return;
+      }
+      const text = await file.text();
+      const result = await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.IMPORT_TRANSLATION_MEMORY : 'IMPORT_TRANSLATION_MEMORY', {
+        text,
+        targetLang: safeString(this.fields.tmxTargetLang && this.fields.tmxTargetLang.value, '').trim() || null,
+        trustHumanTag: Boolean(this.fields.tmxTrustHuman && this.fields.tmxTrustHuman.checked)
+      }, { timeoutMs: 120000 });
+      this.tmxResult = { kind: 'import', ...(result || {}) };
+      this._scheduleRender();
+      this.toasts.show(
+        `TMX: импортировано ${Number(result && result.imported || 0)}, ошибок: ${Number(result && result.errorCount || 0)}`,
+        { tone: result && result.errorCount ? 'warn' : 'ok' }
+      );
+    }
+
+    async _importGlossary() {
+      const file = this.fields.glossaryImportFile && this.fields.glossaryImportFile.files
+        ? this.fields.glossaryImportFile.files[0]
+        : null;
+      if (!file) {
+        this.toasts.show('Выберите файл CSV или TBX.', { tone: 'warn' });
+        return;
+      }
+      const text = await file.text();
+      const result = await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.IMPORT_GLOSSARY : 'IMPORT_GLOSSARY', {
+        text,
+        fileName: file.name,
+        mode: safeString(this.fields.glossaryImportMode && this.fields.glossaryImportMode.value, 'keep'),
+        sourceLang: safeString(this.fields.glossarySourceLang && this.fields.glossarySourceLang.value, '').trim() || null,
+        targetLang: safeString(this.fields.glossaryTargetLang && this.fields.glossaryTargetLang.value, '').trim() || null
+      }, { timeoutMs: 15000 });
+      this.glossaryImport = result || null;
+      this._scheduleRender();
+      const errorCount = Number(result && result.errorCount || 0);
+      this.toasts.show(
+        `Импорт: +${Number(result && result.added || 0)}, ошибок: ${errorCount}`,
+        { tone: errorCount ? 'warn' : 'ok' }
+      );
+    }
+
+    async _exportGlossary(format) {
+      const result = await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.EXPORT_GLOSSARY : 'EXPORT_GLOSSARY', {
+        tabId: this._tabId(),
+        format,
+        includeJobTerms: Boolean(this.fields.glossaryExportJobTerms && this.fields.glossaryExportJobTerms.checked)
+      }, { timeoutMs: 15000 });
+      if (!result || typeof result.content !== 'string') {
+        return;
+      }
+      const mime = format === 'tbx' ? 'application/x-tbx+xml;charset=utf-8' : 'text/csv;charset=utf-8';
+      this._downloadFile(result.fileName || `glossary.${format}`, result.content, mime);
+      this.toasts.show(`Экспортировано терминов: ${Number(result.count || 0)}`, { tone: 'ok' });
+    }
+
+    async _saveGlossaryEntry() {
+      const value = (field) => safeString(field && field.value, '').trim();
+      const entry = {
+        id: this.glossaryEditId || undefined,
+        term: value(this.fields.glossaryTerm),
+        translation: value(this.fields.glossaryTranslation),
+        doNotTranslate: Boolean(this.fields.glossaryDnt && this.fields.glossaryDnt.checked),
+        caseRule: value(this.fields.glossaryCase) || 'insensitive',
+        scope: value(this.fields.glossaryScope) || 'global',
+        domain: value(this.fields.glossaryDomain),
+        sourceLang: value(this.fields.glossarySourceLang),
+        targetLang: value(this.fields.glossaryTargetLang)
+      };
+      if (!entry.term) {
+        this.toasts.show('Укажите термин.', { tone: 'warn' });
+        return;
+      }
+      await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.UPSERT_GLOSSARY_ENTRY : 'UPSERT_GLOSSARY_ENTRY', { entry });
+      this._fillGlossaryForm(null);
+      this.toasts.show('Термин сохранён.', { tone: 'ok' });
+    }
+
+    _fillGlossaryForm(entry) {
+      const src = entry && typeof entry === 'object' ? entry : {};
+      this.glossaryEditId = entry ? safeString(src.id, '') : '';
+      const setValue = (field, value) => {
+        if (field) {
+          field.value = value;
+        }
+      };
+      setValue(this.fields.glossaryTerm, safeString(src.term, ''));
+      setValue(this.fields.glossaryTranslation, safeString(src.translation, ''));
+      setValue(this.fields.glossaryCase, src.caseRule === 'exact' ? 'exact' : 'insensitive');
+      setValue(this.fields.glossaryScope, src.scope === 'domain' ? 'domain' : 'global');
+      setValue(this.fields.glossaryDomain, safeString(src.domain, ''));
+      setValue(this.fields.glossarySourceLang, safeString(src.sourceLang, ''));
+      setValue(this.fields.glossaryTargetLang, safeString(src.targetLang, ''));
+      if (this.fields.glossaryDnt) {
+        this.fields.glossaryDnt.checked = src.doNotTranslate === true;
+      }
     }
 
     async _sendCommand(type, payload = {}, options = {}) {
@@ -529,6 +957,12 @@
       if (this.route === 'export') {
         this._renderExport();
       }
+      if (this.route === 'glossary') {
+        this._renderGlossary();
+      }
+      if (this.route === 'styles') {
+        this._renderStyles();
+      }
     }
 
     _syncRoute() {
@@ -585,6 +1019,8 @@
         : 0;
       const failed = Number.isFinite(Number(this.snapshot.failedBlocksCount)) ? Number(this.snapshot.failedBlocksCount) : 0;
       const runtime = job.runtime && typeof job.runtime === 'object' ? job.runtime : {};
+      const dynamic = job.dynamicContent && typeof job.dynamicContent === 'object' ? job.dynamicContent : null;
+      const viewport = job.viewport && typeof job.viewport === 'object' ? job.viewport : null;
 
       const rows = [
         ['tabId', this._tabId()],
@@ -598,7 +1034,13 @@
         ['attempt', Number.isFinite(Number(runtime.attempt)) ? Number(runtime.attempt) : 0],
         ['progress', `${progress}%`],
         ['failed', failed],
-        ['activeRequests', this._activeRequestsCount()]
+        ['activeRequests', this._activeRequestsCount()],
+        ['dynamicContent', dynamic
+          ? `+${Number(dynamic.blocksAdded || 0)} | queued:${Number(dynamic.blocksQueued || 0)} | memory:${Number(dynamic.blocksFromMemory || 0)} | dropped:${Number(dynamic.dropped || 0)}`
+          : '-'],
+        ['viewport', viewport
+          ? `${safeString(viewport.mode, 'off')} | visible:${Number(viewport.visible || 0)} | near:${Number(viewport.near || 0)} | deferred:${Number(viewport.deferred || 0)}`
+          : '-']
       ];
       this._renderKv(this.fields.overviewKv, rows);
     }
@@ -721,26 +1163,56 @@
     }
 
     _renderDiffPatches() {
+      const job = this.snapshot.translationJob && typeof this.snapshot.translationJob === 'object' ? this.snapshot.translationJob : {};
+      const qaByBlockId = job.qaCheck && job.qaCheck.byBlockId && typeof job.qaCheck.byBlockId === 'object'
+        ? job.qaCheck.byBlockId
+        : {};
+      const qaIssues = (key) => (qaByBlockId[key] && Array.isArray(qaByBlockId[key].issues) ? qaByBlockId[key].issues : []);
       const diffItems = this._diffItems();
+      if (this.filters.diffQa !== 'all') {
+        // Flagged blocks may have scrolled out of the recent diff window.
+        Object.keys(qaByBlockId).forEach((blockId) => {
+          if (!diffItems.some((item) => safeString(item.blockId || item.id, '') === blockId)) {
+            diffItems.push({
+              blockId,
+              originalText: safeString(qaByBlockId[blockId].sourcePreview, ''),
+              translatedText: safeString(qaByBlockId[blockId].textPreview, ''),
+              status: 'qa'
+            });
+          }
+        });
+      }
       const filteredDiff = diffItems.filter((item) => {
         const category = safeString(item.category || item.categoryId, '').toLowerCase();
         const status = safeString(item.status || item.qualityTag, '').toLowerCase();
+        const issues = qaIssues(safeString(item.blockId || item.id, ''));
         if (this.filters.diffCategory && category.indexOf(this.filters.diffCategory) < 0) {
           return false;
         }
         if (this.filters.diffStatus && status.indexOf(this.filters.diffStatus) < 0) {
           return false;
         }
+        if (this.filters.diffQa === 'issues' && !issues.length) {
+          return false;
+        }
+        if (this.filters.diffQa === 'errors' && !issues.some((row) => row && row.severity === 'error')) {
+          return false;
+        }
         return true;
       });
 
+      const fuzzyScores = job.memoryFuzzy && job.memoryFuzzy.byBlockId && typeof job.memoryFuzzy.byBlockId === 'object'
+        ? job.memoryFuzzy.byBlockId
+        : {};
       Ui.clearNode(this.fields.diffBlocks);
       filteredDiff.slice(-800).forEach((item) => {
         const key = safeString(item.blockId || item.id, '');
+        const fuzzy = Object.prototype.hasOwnProperty.call(fuzzyScores, key) ? ` | TM ${Number(fuzzyScores[key])}%` : '';
+        const qa = qaIssues(key).length ? ` | QA ${qaIssues(key).length}` : '';
         const row = Ui.createElement('div', {
           className: `debug__list-item${this.selectedDiffKey === key ? ' is-selected' : ''}`,
           attrs: { 'data-diff-key': key },
-          text: `${key || '-'} | ${safeString(item.category || item.categoryId, '-')} | ${safeString(item.qualityTag || item.status, '-')} | len ${safeString((item.originalText || '').length, '0')}/${safeString((item.translatedText || '').length, '0')}`
+          text: `${key || '-'} | ${safeString(item.category || item.categoryId, '-')} | ${safeString(item.qualityTag || item.status, '-')} | len ${safeString((item.originalText || '').length, '0')}/${safeString((item.translatedText || '').length, '0')}${fuzzy}${qa}`
         });
         this.fields.diffBlocks.appendChild(row);
       });
@@ -748,9 +1220,23 @@
       const selected = filteredDiff.find((item) => safeString(item.blockId || item.id, '') === this.selectedDiffKey) || null;
       Ui.setText(this.fields.diffOriginal, selected ? safeString(selected.originalText, '-') : '-');
       Ui.setText(this.fields.diffTranslated, selected ? safeString(selected.translatedText, '-') : '-');
+      const selectedFuzzy = selected && Object.prototype.hasOwnProperty.call(fuzzyScores, this.selectedDiffKey)
+        ? `${Number(fuzzyScores[this.selectedDiffKey])}%`
+        : '-';
+      const selectedQa = selected
+        ? qaIssues(this.selectedDiffKey).map((row) => `${row.severity === 'error' ? '!' : '~'}${row.code}${row.expected ? ` ${row.expected}` : ''}`).join(', ')
+        : '';
+      const protectedByBlockId = job.entityProtection && job.entityProtection.byBlockId && typeof job.entityProtection.byBlockId === 'object'
+        ? job.entityProtection.byBlockId
+        : {};
+      const selectedProtected = selected && protectedByBlockId[this.selectedDiffKey]
+        ? (Array.isArray(protectedByBlockId[this.selectedDiffKey].entities) ? protectedByBlockId[this.selectedDiffKey].entities : [])
+          .map((entity) => `${safeString(entity.kind, '-')}:${shortText(entity.text, 40)}`)
+          .join(', ')
+        : '';
       Ui.setText(this.fields.diffMeta, selected
-        ? `modelUsed: ${safeString(selected.modelUsed, '-')} | routeUsed: ${safeString(selected.routeUsed, '-')} | updatedAt: ${formatTs(selected.updatedAt || selected.ts)}`
-        : 'modelUsed: - | routeUsed: - | updatedAt: -');
+        ? `modelUsed: ${safeString(selected.modelUsed, '-')} | routeUsed: ${safeString(selected.routeUsed, '-')} | TM fuzzy: ${selectedFuzzy} | QA: ${selectedQa || '-'} | protected: ${selectedProtected || '-'} | updatedAt: ${formatTs(selected.updatedAt || selected.ts)}`
+        : 'modelUsed: - | routeUsed: - | TM fuzzy: - | QA: - | protected: - | updatedAt: -');
 
       const patches = this._patchHistory().filter((patch) => {
         const block = safeString(patch.blockId || patch.id, '').toLowerCase();
@@ -796,6 +1282,9 @@
     }
 
     _renderCategories() {
+      const siteRules = this._siteRules();
+      const ruleCount = Object.keys(siteRules).reduce((sum, host) => sum + siteRules[host].length, 0);
+      Ui.setText(this.fields.siteRulesStatus, `сайтов: ${Object.keys(siteRules).length} | правил: ${ruleCount}`);
       const job = this.snapshot.translationJob && typeof this.snapshot.translationJob === 'object' ? this.snapshot.translationJob : {};
       const stage = safeString(job.status || job.runtime && job.runtime.stage, '').toLowerCase();
       if (stage !== 'awaiting_categories') {
@@ -843,12 +1332,30 @@
       const settings = this.snapshot.settings && typeof this.snapshot.settings === 'object' ? this.snapshot.settings : {};
       const job = this.snapshot.translationJob && typeof this.snapshot.translationJob === 'object' ? this.snapshot.translationJob : {};
       const memoryRestore = job.memoryRestore && typeof job.memoryRestore === 'object' ? job.memoryRestore : {};
+      const memoryFuzzy = job.memoryFuzzy && typeof job.memoryFuzzy === 'object' ? job.memoryFuzzy : {};
       this._renderKv(this.fields.memoryKv, [
         ['enabled', settings.translationMemoryEnabled === false ? 'false' : 'true'],
         ['pageKey', safeString(memoryRestore.pageKey, '-')],
         ['restoredAt', formatTs(memoryRestore.ts)],
-        ['hits', Number(memoryRestore.hits || 0)]
+        ['hits', Number(memoryRestore.hits || 0)],
+        ['fuzzyThreshold', settings.translationMemoryFuzzyThreshold === undefined ? '-' : safeString(settings.translationMemoryFuzzyThreshold, '-')],
+        ['fuzzyHits', `${Number(memoryFuzzy.hits || 0)}/${Number(memoryFuzzy.lookups || 0)}`]
       ]);
+      const tmx = this.tmxResult && typeof this.tmxResult === 'object' ? this.tmxResult : null;
+      let status = '-';
+      if (tmx && tmx.kind === 'export') {
+        status = `export | units:${Number(tmx.count || 0)} | без исходного текста:${Number(tmx.skippedNoSource || 0)}`;
+      } else if (tmx) {
+        status = `import | tu:${Number(tmx.parsed || 0)} | imported:${Number(tmx.imported || 0)} | kept:${Number(tmx.kept || 0)} | rejected:${Number(tmx.rejected || 0)} | errors:${Number(tmx.errorCount || 0)}`;
+      }
+      Ui.setText(this.fields.tmxStatus, status);
+      Ui.clearNode(this.fields.tmxErrors);
+      (tmx && Array.isArray(tmx.errors) ? tmx.errors : []).forEach((row) => {
+        this.fields.tmxErrors.appendChild(Ui.createElement('div', {
+          className: 'debug__list-item',
+          text: `строка ${Number(row.row || 0)} | ${safeString(row.code, '-')} | ${safeString(row.message, '-')}`
+        }));
+      });
     }
 
     _renderRateLimits() {
@@ -893,6 +1400,169 @@
           text: `${safeString(row.jobId, '-')} | score:${Number(row.score || 0)} | scan:${Number(row.scanMs || 0)} | classify:${Number(row.classifyMs || 0)}`
         }));
       });
+      this._renderUsage();
+    }
+
+    _renderUsage() {
+      const usage = this.snapshot.usageSnapshot && typeof this.snapshot.usageSnapshot === 'object' ? this.snapshot.usageSnapshot : {};
+      const today = usage.today && typeof usage.today === 'object' ? usage.today : {};
+      const month = usage.month && typeof usage.month === 'object' ? usage.month : {};
+      const jobId = this._jobId();
+      const jobRow = jobId && Array.isArray(usage.byJob) ? usage.byJob.find((row) => row && row.jobId === jobId) : null;
+      this._renderKv(this.fields.usageKv, [
+        ['jobCostUsd', jobRow ? Number(jobRow.costUsd || 0) : '-'],
+        ['jobTokensIn/Out', jobRow ? `${Number(jobRow.inputTokens || 0)} / ${Number(jobRow.outputTokens || 0)}` : '-'],
+        ['todayCostUsd', Number(today.costUsd || 0)],
+        ['todayRequests', Number(today.requests || 0)],
+        ['todayCachedInput', Number(today.cachedInputTokens || 0)],
+        ['monthCostUsd', Number(month.costUsd || 0)],
+        ['unpricedRequests', Number(month.unpricedRequests || 0)]
+      ]);
+      Ui.clearNode(this.fields.usageList);
+      const byModel = Array.isArray(usage.byModel) ? usage.byModel : [];
+      byModel.slice(0, 20).forEach((row) => {
+        this.fields.usageList.appendChild(Ui.createElement('div', {
+          className: 'debug__list-item',
+          text: `${safeString(row.modelSpec, '-')} | req:${Number(row.requests || 0)} | in:${Number(row.inputTokens || 0)} (cached:${Number(row.cachedInputTokens || 0)}) | out:${Number(row.outputTokens || 0)} | $${Number(row.costUsd || 0)}`
+        }));
+      });
+      const byDay = Array.isArray(usage.byDay) ? usage.byDay : [];
+      byDay.slice().reverse().forEach((row) => {
+        this.fields.usageList.appendChild(Ui.createElement('div', {
+          className: 'debug__list-item',
+          text: `${safeString(row.day, '-')} | req:${Number(row.requests || 0)} | tokens:${Number(row.inputTokens || 0) + Number(row.outputTokens || 0)} | $${Number(row.costUsd || 0)}`
+        }));
+      });
+      this._renderPriceOverrides();
+    }
+
+    _renderPriceOverrides() {
+      Ui.clearNode(this.fields.priceList);
+      const overrides = this._priceOverrides();
+      const models = Object.keys(overrides).sort();
+      if (!models.length) {
+        this.fields.priceList.appendChild(Ui.createElement('div', { className: 'debug__list-item', text: 'Используются цены каталога' }));
+      }
+      const price = (value) => (Number.isFinite(Number(value)) ? `$${Number(value)}` : 'каталог');
+      models.forEach((model) => {
+        const prices = overrides[model];
+        const row = Ui.createElement('div', {
+          className: 'debug__list-item',
+          attrs: { 'data-action': 'price-edit', 'data-price-model': model },
+          text: `${model} | in:${price(prices.inputPrice)} | cached:${price(prices.cachedInputPrice)} | out:${price(prices.outputPrice)} `
+        });
+        row.appendChild(Ui.createElement('button', {
+          className: 'debug__btn',
+          attrs: { type: 'button', 'data-action': 'price-delete', 'data-price-model': model },
+          text: 'Удалить'
+        }));
+        this.fields.priceList.appendChild(row);
+      });
+    }
+
+    _glossaryEntries() {
+      const glossary = this.snapshot.userGlossary && typeof this.snapshot.userGlossary === 'object' ? this.snapshot.userGlossary : {};
+      return Array.isArray(glossary.entries) ? glossary.entries : [];
+    }
+
+    _renderGlossary() {
+      Ui.clearNode(this.fields.glossaryList);
+      const entries = this._glossaryEntries();
+      if (!entries.length) {
+        this.fields.glossaryList.appendChild(Ui.createElement('div', { className: 'debug__list-item', text: 'Глоссарий пуст' }));
+      }
+      entries.forEach((entry) => {
+        const target = entry.doNotTranslate ? '[не переводить]' : safeString(entry.translation, '-');
+        const scope = entry.scope === 'domain' ? safeString(entry.domain, '-') : 'global';
+        const langs = `${safeString(entry.sourceLang, '*')}->${safeString(entry.targetLang, '*')}`;
+        const row = Ui.createElement('div', {
+          className: `debug__list-item${this.glossaryEditId === entry.id ? ' is-selected' : ''}`,
+          attrs: { 'data-action': 'glossary-edit', 'data-glossary-id': entry.id },
+          text: `${safeString(entry.term, '-')} => ${target} | ${scope} | ${langs} | case:${safeString(entry.caseRule, 'insensitive')} `
+        });
+        row.appendChild(Ui.createElement('button', {
+          className: 'debug__btn',
+          attrs: { type: 'button', 'data-action': 'glossary-delete', 'data-glossary-id': entry.id },
+          text: 'Удалить'
+        }));
+        this.fields.glossaryList.appendChild(row);
+      });
+
+      const imported = this.glossaryImport && typeof this.glossaryImport === 'object' ? this.glossaryImport : null;
+      Ui.setText(this.fields.glossaryImportStatus, imported
+        ? `${safeString(imported.format, '-')} | mode:${safeString(imported.mode, '-')} | rows:${Number(imported.parsed || 0)} | added:${Number(imported.added || 0)} | replaced:${Number(imported.replaced || 0)} | merged:${Number(imported.merged || 0)} | skipped:${Number(imported.skipped || 0)} | job terms:${Number(imported.jobTermsSkipped || 0)} | rejected:${Number(imported.rejected || 0)} | errors:${Number(imported.errorCount || 0)}`
+        : '-');
+      Ui.clearNode(this.fields.glossaryImportErrors);
+      (imported && Array.isArray(imported.errors) ? imported.errors : []).forEach((row) => {
+        this.fields.glossaryImportErrors.appendChild(Ui.createElement('div', {
+          className: 'debug__list-item',
+          text: `строка ${Number(row.row || 0)} | ${safeString(row.code, '-')} | ${safeString(row.message, '-')}`
+        }));
+      });
+
+      const job = this.snapshot.translationJob && typeof this.snapshot.translationJob === 'object' ? this.snapshot.translationJob : {};
+      const check = job.glossaryCheck && typeof job.glossaryCheck === 'object' ? job.glossaryCheck : {};
+      this._renderKv(this.fields.glossaryCheckKv, [
+        ['jobEntries', Number(job.userGlossaryCount || 0)],
+        ['checkedBlocks', Number(check.checkedBlocks || 0)],
+        ['retriedBlocks', Number(check.retriedBlocks || 0)],
+        ['violatedBlocks', Number(check.violatedBlocks || 0)],
+        ['updatedAt', formatTs(check.updatedAt)]
+      ]);
+      Ui.clearNode(this.fields.glossaryViolations);
+      const byBlockId = check.byBlockId && typeof check.byBlockId === 'object' ? check.byBlockId : {};
+      Object.keys(byBlockId).forEach((blockId) => {
+        const rows = Array.isArray(byBlockId[blockId]) ? byBlockId[blockId] : [];
+        this.fields.glossaryViolations.appendChild(Ui.createElement('div', {
+          className: 'debug__list-item',
+          text: `${blockId} | ${rows.map((row) => `${safeString(row.term, '-')} -> ${safeString(row.expected, '-')} (${safeString(row.code, '-')})`).join('; ')}`
+        }));
+      });
+    }
+
+    _renderStyles() {
+      const checked = StyleGuides
+        ? StyleGuides.validateInstructions(safeString(this.fields.styleText && this.fields.styleText.value, ''))
+        : { ok: true, length: 0, max: 0 };
+      Ui.setText(this.fields.styleCounter, `${checked.length} / ${checked.max}${checked.ok ? '' : ' — слишком длинно'}`);
+
+      Ui.clearNode(this.fields.styleList);
+      const guides = this._styleGuides();
+      const rows = [];
+      Object.keys(guides).sort().forEach((key) => {
+        if (guides[key].instructions) {
+          rows.push({ key, category: '', text: guides[key].instructions });
+        }
+        Object.keys(guides[key].categories).sort().forEach((category) => {
+          rows.push({ key, category, text: guides[key].categories[category] });
+        });
+      });
+      if (!rows.length) {
+        this.fields.styleList.appendChild(Ui.createElement('div', { className: 'debug__list-item', text: 'Указаний нет' }));
+      }
+      rows.forEach((item) => {
+        const row = Ui.createElement('div', {
+          className: 'debug__list-item',
+          attrs: { 'data-action': 'style-edit', 'data-style-key': item.key, 'data-style-category': item.category },
+          text: `${item.key}${item.category ? ` | ${item.category}` : ''} | ${shortText(item.text, 160)} `
+        });
+        row.appendChild(Ui.createElement('button', {
+          className: 'debug__btn',
+          attrs: { type: 'button', 'data-action': 'style-delete', 'data-style-key': item.key, 'data-style-category': item.category },
+          text: 'Удалить'
+        }));
+        this.fields.styleList.appendChild(row);
+      });
+
+      const job = this.snapshot.translationJob && typeof this.snapshot.translationJob === 'object' ? this.snapshot.translationJob : {};
+      const guide = job.runSettings && job.runSettings.styleGuide && typeof job.runSettings.styleGuide === 'object'
+        ? job.runSettings.styleGuide
+        : null;
+      this._renderKv(this.fields.styleJobKv, [
+        ['sources', guide && Array.isArray(guide.sources) ? guide.sources.join(', ') : '-'],
+        ['instructions', guide && Array.isArray(guide.instructions) ? guide.instructions.length : 0],
+        ['categories', guide && guide.categories ? Object.keys(guide.categories).join(', ') || '-' : '-']
+      ]);
     }
 
     _renderSecurity() {
@@ -1040,7 +1710,8 @@
         agentState: this._agentState(),
         modelLimitsBySpec: this.snapshot.modelLimitsBySpec || {},
         security: this.snapshot.security || null,
-        perfSnapshot: this.snapshot.perfSnapshot || null
+        perfSnapshot: this.snapshot.perfSnapshot || null,
+        usageSnapshot: this.snapshot.usageSnapshot || null
       };
     }
 
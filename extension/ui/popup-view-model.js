@@ -37,7 +37,7 @@
 
   function resolveStage(job) {
     const status = job && typeof job.status === 'string' ? job.status.trim().toLowerCase() : '';
-    if (status === 'awaiting_categories' || status === 'done' || status === 'failed' || status === 'cancelled') {
+    if (status === 'awaiting_categories' || status === 'budget_paused' || status === 'paused' || status === 'awaiting_viewport' || status === 'done' || status === 'failed' || status === 'cancelled') {
       return status;
     }
     const runtimeStage = job && job.runtime && typeof job.runtime.stage === 'string'
@@ -231,6 +231,63 @@
     };
   }
 
+  function buildUsageSummary(usageSnapshot, { jobId = null, tabId = null } = {}) {
+    const usage = usageSnapshot && typeof usageSnapshot === 'object' ? usageSnapshot : {};
+    const pick = (row) => (row && typeof row === 'object'
+      ? {
+        requests: Number(row.requests || 0),
+        inputTokens: Number(row.inputTokens || 0),
+        cachedInputTokens: Number(row.cachedInputTokens || 0),
+        outputTokens: Number(row.outputTokens || 0),
+        costUsd: Number(row.costUsd || 0),
+        unpricedRequests: Number(row.unpricedRequests || 0)
+      }
+      : null);
+    const jobRow = jobId && Array.isArray(usage.byJob)
+      ? usage.byJob.find((row) => row && row.jobId === jobId) || null
+      : null;
+    const tabRow = tabId !== null && usage.byTab && typeof usage.byTab === 'object'
+      ? usage.byTab[String(tabId)] || null
+      : null;
+    return {
+      job: pick(jobRow),
+      tab: pick(tabRow),
+      today: pick(usage.today)
+    };
+  }
+
+  function buildBudgetState(job) {
+    const budget = job && job.budget && typeof job.budget === 'object' ? job.budget : {};
+    const paused = Boolean(job && job.status === 'budget_paused');
+    const pick = (row) => (row && typeof row === 'object' && row.scope
+      ? {
+        scope: row.scope,
+        limitUsd: Number(row.limitUsd || 0),
+        spentUsd: Number(row.spentUsd || 0),
+        projectedUsd: Number(row.projectedUsd || 0),
+        ratio: Number(row.ratio || 0)
+      }
+      : null);
+    return {
+      paused,
+      verdict: paused ? pick(budget.verdict) : null,
+      warning: paused ? null : pick(budget.warning)
+    };
+  }
+
+  function buildQualityState(job, settings) {
+    const estimate = job && job.qualityEstimate && typeof job.qualityEstimate === 'object' ? job.qualityEstimate : null;
+    const count = (value) => (Number.isFinite(Number(value)) ? Math.max(0, Number(value)) : 0);
+    return {
+      enabled: Boolean(settings && settings.translationQualityEstimation === true),
+      avgScore: estimate && estimate.avgScore !== null && Number.isFinite(Number(estimate.avgScore))
+        ? Number(estimate.avgScore)
+        : null,
+      scoredBlocks: count(estimate && estimate.scoredBlocks),
+      lowBlocks: count(estimate && estimate.lowBlocks)
+    };
+  }
+
   function isAwaitingCategories(job) {
     const stage = resolveStage(job);
     return stage === 'awaiting_categories';
@@ -250,12 +307,13 @@
 
     const categories = buildCategoryList(job || {}, agentState || {});
 
+    const tabId = Number.isFinite(Number(src.tabId)) ? Number(src.tabId) : null;
     const leaseUntilTs = job && job.runtime && Number.isFinite(Number(job.runtime.leaseUntilTs))
       ? Number(job.runtime.leaseUntilTs)
       : null;
 
     return {
-      tabId: Number.isFinite(Number(src.tabId)) ? Number(src.tabId) : null,
+      tabId,
       stage,
       status: job && typeof job.status === 'string' ? job.status.toLowerCase() : 'idle',
       progress,
@@ -271,7 +329,10 @@
       modelLimitsBySpec: src.modelLimitsBySpec && typeof src.modelLimitsBySpec === 'object'
         ? src.modelLimitsBySpec
         : {},
-      toolset: src.toolset && typeof src.toolset === 'object' ? src.toolset : null
+      toolset: src.toolset && typeof src.toolset === 'object' ? src.toolset : null,
+      usage: buildUsageSummary(src.usageSnapshot, { jobId: job && job.id ? job.id : null, tabId }),
+      budget: buildBudgetState(job),
+      quality: buildQualityState(job, settings)
     };
   }
 
@@ -4,6 +4,9 @@
   const UiProtocol = NT.UiProtocol || {};
   const I18n = NT.UiI18nRu || null;
   const PopupVm = NT.PopupViewModel || null;
+  const TargetLang = NT.TargetLangRules || null;
+  const SiteRules = NT.SiteRules || null;
+  const CategoryLearning = NT.CategoryLearning || null;
 
   if (!Ui || !I18n || !PopupVm || !NT.UiProtocolClient) {
     return;
@@ -24,6 +27,19 @@
     return text.length <= limit ? text : `${text.slice(0, Math.max(1, limit - 1))}...`;
   }
 
+  function formatUsd(value) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric) || numeric <= 0) {
+      return '$0';
+    }
+    return numeric < 0.01 ? `$${numeric.toFixed(4)}` : `$${numeric.toFixed(2)}`;
+  }
+
+  function formatTokens(value) {
+    const numeric = Math.max(0, Number(value) || 0);
+    return numeric >= 1000 ? `${(numeric / 1000).toFixed(1)}k` : String(Math.round(numeric));
+  }
+
   class PopupApp {
     constructor(doc) {
       this.doc = doc;
@@ -44,6 +60,10 @@
 
       this.categoryDraft = new Set();
       this.categoryDraftJobId = null;
+      this.tabOrigin = null;
+      this.localTargetLangRules = null;
+      this.localSiteRules = null;
+      this.localCategoryLearning = null;
       this.pendingSettingsPatch = {};
       this.flushSettingsDebounced = Ui.debounce(() => {
         this._flushSettingsPatch();
@@ -52,6 +72,8 @@
       this._toolsRenderKey = '';
       this._allowlistRenderKey = '';
       this._categoriesRenderKey = '';
+      this._targetLangRenderKey = '';
+      this._siteRulesRenderKey = '';
     }
 
     init(initialTabId) {
@@ -81,6 +103,9 @@
         })
         .onSnapshot((payload) => {
           this.snapshot = PopupVm.cloneJson(payload, {}) || {};
+          this.localTargetLangRules = null;
+          this.localSiteRules = null;
+          this.localCategoryLearning = null;
           this._scheduleRender();
         })
         .onPatch((patch) => {
@@ -90,6 +115,10 @@
 
       this.client.setHelloContext({ tabId: initialTabId });
       this.client.connect();
+      resolveTabOrigin(initialTabId).then((origin) => {
+        this.tabOrigin = origin;
+        this._scheduleRender();
+      });
       this._scheduleRender();
     }
 
@@ -106,22 +135,52 @@
       this.fields.agentLine1 = this.doc.querySelector('[data-field="agent-line-1"]');
       this.fields.agentLine2 = this.doc.querySelector('[data-field="agent-line-2"]');
       this.fields.leaseWarning = this.doc.querySelector('[data-field="lease-warning"]');
+      this.fields.bilingualCategories = this.doc.querySelector('[data-field="bilingual-categories"]');
+      this.fields.bilingualCategoryList = this.doc.querySelector('[data-field="bilingual-category-list"]');
+      this.fields.humanEditExamplesToggle = this.doc.querySelector('[data-field="human-edit-examples-toggle"]');
+      this.fields.usageCost = this.doc.querySelector('[data-field="usage-cost"]');
+      this.fields.qualityScore = this.doc.querySelector('[data-field="quality-score"]');
+      this.fields.qualityToggle = this.doc.querySelector('[data-field="quality-estimation-toggle"]');
+      this.fields.budgetWarning = this.doc.querySelector('[data-field="budget-warning"]');
+      this.fields.budgetWarningText = this.doc.querySelector('[data-field="budget-warning-text"]');
+      this.fields.budgetContinueBtn = this.doc.querySelector('[data-field="budget-continue-btn"]');
+      this.fields.targetLangSelect = this.doc.querySelector('[data-field="target-lang-select"]');
+      this.fields.targetLangSiteRule = this.doc.querySelector('[data-field="target-lang-site-rule"]');
+      this.fields.targetLangSiteLabel = this.doc.querySelector('[data-field="target-lang-site-label"]');
 
       this.fields.categoryChooser = this.doc.querySelector('[data-section="category-chooser"]');
       this.fields.categoryChooserList = this.doc.querySelector('[data-section="category-chooser-list"]');
       this.fields.categoryQuestion = this.doc.querySelector('[data-field="category-question"]');
       this.fields.reclassifyForceBtn = this.doc.querySelector('[data-field="reclassify-force-btn"]');
       this.fields.categoriesHiddenHint = this.doc.querySelector('[data-field="categories-hidden-hint"]');
+      this.fields.siteRulesTitle = this.doc.querySelector('[data-field="site-rules-title"]');
+      this.fields.siteRuleList = this.doc.querySelector('[data-field="site-rule-list"]');
+      this.fields.categoryLearning = this.doc.querySelector('[data-field="category-learning"]');
+      this.fields.categoryLearningText = this.doc.querySelector('[data-field="category-learning-text"]');
 
       this.fields.profileSelect = this.doc.querySelector('[data-field="profile-select"]');
       this.fields.profileEffect = this.doc.querySelector('[data-field="profile-effect"]');
 
+      this.fields.providerSelect = this.doc.querySelector('[data-field="provider-select"]');
+      this.fields.providerBaseUrl = this.doc.querySelector('[data-field="provider-base-url"]');
+      this.fields.providerModelId = this.doc.querySelector('[data-field="provider-model-id"]');
+      this.fields.providerModelOptions = this.doc.querySelector('[data-field="provider-model-options"]');
       this.fields.reasoningSelect = this.doc.querySelector('[data-field="reasoning-select"]');
       this.fields.cacheRetentionSelect = this.doc.querySelector('[data-field="cache-retention-select"]');
       this.fields.routingModeSelect = this.doc.querySelector('[data-field="routing-mode-select"]');
+      this.fields.viewportModeSelect = this.doc.querySelector('[data-field="viewport-mode-select"]');
+      this.fields.dynamicContentToggle = this.doc.querySelector('[data-field="dynamic-content-toggle"]');
+      this.fields.qaActionSelect = this.doc.querySelector('[data-field="qa-action-select"]');
+      this.fields.consistencySelect = this.doc.querySelector('[data-field="consistency-select"]');
+      this.fields.entityProtectionSelect = this.doc.querySelector('[data-field="entity-protection-select"]');
       this.fields.modelAllowlist = this.doc.querySelector('[data-field="model-allowlist"]');
       this.fields.toolsList = this.doc.querySelector('[data-field="tools-list"]');
       this.fields.rateLimits = this.doc.querySelector('[data-field="rate-limits"]');
+      this.fields.budgetInputs = {
+        jobUsd: this.doc.querySelector('[data-field="budget-job-input"]'),
+        dayUsd: this.doc.querySelector('[data-field="budget-day-input"]'),
+        monthUsd: this.doc.querySelector('[data-field="budget-month-input"]')
+      };
 
       this.fields.errorBox = this.doc.querySelector('[data-field="error-box"]');
       this.fields.errorCode = this.doc.querySelector('[data-field="error-code"]');
@@ -153,10 +212,34 @@
           return;
         }
 
+        if (target === this.fields.targetLangSelect) {
+          this._setTargetLang(safeString(target.value, ''), { siteRule: Boolean(this.fields.targetLangSiteRule && this.fields.targetLangSiteRule.checked) });
+          return;
+        }
+        if (target === this.fields.targetLangSiteRule) {
+          this._setTargetLangSiteRule(target.checked === true);
+          return;
+        }
+        if (target === this.fields.qualityToggle) {
+          this._setQualityEstimation(target.checked === true);
+          return;
+        }
         if (target === this.fields.profileSelect) {
           this._queueSettingsPatch({ userSettings: { profile: safeString(target.value, 'auto') } });
           return;
         }
+        if (target === this.fields.providerSelect
+          || target === this.fields.providerBaseUrl
+          || target === this.fields.providerModelId) {
+          if (target === this.fields.providerSelect) {
+            // Address and model belong to the previous provider.
+            this.fields.providerBaseUrl.value = '';
+            this.fields.providerModelId.value = '';
+            Ui.clearNode(this.fields.providerModelOptions);
+          }
+          this._setProvider().catch((error) => this._showErrorToast(error));
+          return;
+        }
         if (target === this.fields.reasoningSelect) {
           const effort = safeString(target.value, 'auto');
           const patch = effort === 'auto'
@@ -173,6 +256,30 @@
           this._queueSettingsPatch({ userSettings: { models: { modelRoutingMode: safeString(target.value, 'auto') } } });
           return;
         }
+        if (target === this.fields.viewportModeSelect) {
+          this._setTranslationSetting('translationViewportMode', safeString(target.value, 'off'));
+          return;
+        }
+        if (target === this.fields.humanEditExamplesToggle) {
+          this._setTranslationSetting('translationHumanEditExamples', target.checked === true);
+          return;
+        }
+        if (target === this.fields.dynamicContentToggle) {
+          this._setTranslationSetting('translationDynamicContentEnabled', target.checked === true);
+          return;
+        }
+        if (target === this.fields.qaActionSelect) {
+          this._setTranslationSetting('translationQaAction', safeString(target.value, 'report'));
+          return;
+        }
+        if (target === this.fields.consistencySelect) {
+          this._setTranslationSetting('translationConsistency', safeString(target.value, 'report'));
+          return;
+        }
+        if (target === this.fields.entityProtectionSelect) {
+          this._setTranslationSetting('translationEntityProtection', safeString(target.value, 'heuristic'));
+          return;
+        }
         if (target === this.fields.modelAllowlist) {
           const selected = Array.from(target.selectedOptions || [])
             .map((option) => safeString(option.value, '').trim())
@@ -184,6 +291,12 @@
           return;
         }
 
+        const budgetKey = Object.keys(this.fields.budgetInputs || {}).find((key) => this.fields.budgetInputs[key] === target);
+        if (budgetKey) {
+          this._setSpendBudget(budgetKey, target.value);
+          return;
+        }
+
         const toolMode = target.getAttribute('data-tool-mode');
         if (toolMode) {
           const toolKey = target.getAttribute('data-tool-key');
@@ -215,13 +328,19 @@
         return;
       }
 
+      if (action === 'open-side-panel') {
+        await this._openSidePanel();
+        return;
+      }
+
       if (action === 'start-translation') {
         if (this.vm.awaitingCategories) {
           await this._applyCategorySelection();
           return;
         }
         await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.START_TRANSLATION : 'START_TRANSLATION', {
-          tabId: this.vm.tabId
+          tabId: this.vm.tabId,
+          targetLang: this._targetLangState().effective
         });
         return;
       }
@@ -233,6 +352,25 @@
         return;
       }
 
+      if (action === 'pause-translation' || action === 'resume-translation') {
+        const pause = action === 'pause-translation';
+        const command = pause ? 'PAUSE_TRANSLATION' : 'RESUME_TRANSLATION';
+        await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands[command] : command, {
+          tabId: this.vm.tabId,
+          jobId: this.vm.job && this.vm.job.id ? this.vm.job.id : null
+        });
+        return;
+      }
+
+      if (action === 'continue-over-budget') {
+        await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.CONTINUE_OVER_BUDGET : 'CONTINUE_OVER_BUDGET', {
+          tabId: this.vm.tabId,
+          jobId: this.vm.job && this.vm.job.id ? this.vm.job.id : null
+        });
+        this.toasts.show(I18n.t('popup.budgetContinued', 'Продолжаю сверх бюджета'), { tone: 'warn' });
+        return;
+      }
+
       if (action === 'clear-translation-data') {
         await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.CLEAR_TRANSLATION_DATA : 'CLEAR_TRANSLATION_DATA', {
           tabId: this.vm.tabId,
@@ -251,11 +389,84 @@
         return;
       }
 
+      if (action === 'toggle-bilingual-category') {
+        const category = trigger && trigger.getAttribute ? safeString(trigger.getAttribute('data-category'), '') : '';
+        await this._toggleBilingualCategory(category);
+        return;
+      }
+
+      if (action === 'toggle-edit-mode') {
+        const enabled = !(this.vm.job && this.vm.job.editMode === true);
+        await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.SET_EDIT_MODE : 'SET_EDIT_MODE', {
+          tabId: this.vm.tabId,
+          jobId: this.vm.job && this.vm.job.id ? this.vm.job.id : null,
+          enabled
+        });
+        if (enabled) {
+          this.toasts.show(I18n.t('popup.editModeOn', 'Нажмите на перевод на странице, чтобы исправить его'), { tone: 'info' });
+        }
+        return;
+      }
+
+      if (action === 'pick-site-rule') {
+        if (!this._siteRulesState().host) {
+          this.toasts.show(I18n.t('popup.siteRulePickUnavailable', 'Выбор элемента доступен только на http(s)-страницах'), { tone: 'warn' });
+          return;
+        }
+        await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.START_ELEMENT_PICKER : 'START_ELEMENT_PICKER', {
+          tabId: this.vm.tabId
+        });
+        // The picker lives on the page; the popup would only cover it.
+        global.close();
+        return;
+      }
+
+      if (action === 'remove-site-rule') {
+        const ruleId = trigger && trigger.getAttribute ? safeString(trigger.getAttribute('data-rule-id'), '') : '';
+        const state = this._siteRulesState();
+        if (SiteRules && state.host && ruleId) {
+          this._queueSiteRules(SiteRules.withoutRule(state.rules, state.host, ruleId));
+        }
+        return;
+      }
+
+      if (action === 'reset-category-learning') {
+        const state = this._categoryLearningState();
+        if (CategoryLearning && state.host) {
+          // Whole-map replace, as with the rule maps: a merge would keep the host.
+          this.localCategoryLearning = CategoryLearning.withoutHost(state.memory, state.host);
+          this.pendingSettingsPatch = {
+            ...(this.pendingSettingsPatch || {}),
+            translationCategoryLearning: this.localCategoryLearning
+          };
+          this.flushSettingsDebounced();
+          this._scheduleRender();
+          this.toasts.show(I18n.t('popup.categoryLearningReset', 'Исправления категорий для сайта забыты'), { tone: 'ok' });
+        }
+        return;
+      }
+
       if (action === 'start-selected-categories') {
         await this._applyCategorySelection();
         return;
       }
 
+      if (action === 'list-provider-models') {
+        const result = await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.LIST_PROVIDER_MODELS : 'LIST_PROVIDER_MODELS', {});
+        const models = result && Array.isArray(result.models) ? result.models : [];
+        Ui.clearNode(this.fields.providerModelOptions);
+        models.forEach((id) => {
+          this.fields.providerModelOptions.appendChild(Ui.createElement('option', { attrs: { value: safeString(id, '') } }));
+        });
+        if (!models.length) {
+          this.toasts.show(I18n.t('popup.providerModelsEmpty', 'Сервер не вернул ни одной модели'), { tone: 'warn' });
+          return;
+        }
+        this.toasts.show(I18n.t('popup.providerModelsFound', 'Найдено моделей: {count}')
+          .replace('{count}', String(models.length)), { tone: 'ok' });
+        return;
+      }
+
       if (action === 'reclassify-force') {
         await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.RECLASSIFY_BLOCKS : 'RECLASSIFY_BLOCKS', {
           tabId: this.vm.tabId,
@@ -294,6 +505,143 @@
       this.toasts.show('Выбор категорий применен.', { tone: 'ok' });
     }
 
+    _targetLangState() {
+      const settings = this.vm.settings && typeof this.vm.settings === 'object' ? this.vm.settings : {};
+      const rawRules = this.localTargetLangRules || settings.translationTargetLangByOrigin;
+      const rules = TargetLang ? TargetLang.normalizeRules(rawRules) : {};
+      const defaultLang = TargetLang
+        ? (TargetLang.normalizeLang(settings.translationTargetLang) || TargetLang.DEFAULT_LANG)
+        : safeString(settings.translationTargetLang, 'ru');
+      const origin = TargetLang ? TargetLang.normalizeOrigin(this.tabOrigin) : null;
+      const ruleLang = origin && rules[origin] ? rules[origin] : null;
+      return {
+        rules,
+        origin,
+        defaultLang,
+        ruleLang,
+        effective: ruleLang || defaultLang
+      };
+    }
+
+    _setTargetLang(value, { siteRule = false } = {}) {
+      const lang = TargetLang ? TargetLang.normalizeLang(value) : safeString(value, '').trim();
+      if (!lang) {
+        return;
+      }
+      const state = this._targetLangState();
+      if (siteRule && state.origin) {
+        this._queueTargetLangRules(TargetLang.withRule(state.rules, state.origin, lang));
+        return;
+      }
+      this._queueSettingsPatch({ translationTargetLang: lang });
+    }
+
+    _setTargetLangSiteRule(enabled) {
+      const state = this._targetLangState();
+      if (!TargetLang || !state.origin) {
+        this.toasts.show('Правило доступно только для http(s)-страниц.', { tone: 'warn' });
+        this._targetLangRenderKey = '';
+        this._scheduleRender();
+        return;
+      }
+      const lang = this.fields.targetLangSelect ? this.fields.targetLangSelect.value : state.effective;
+      this._queueTargetLangRules(TargetLang.withRule(state.rules, state.origin, enabled ? lang : null));
+    }
+
+    _queueTargetLangRules(rules) {
+      // Rule removal must replace the whole map: deep-merge would resurrect deleted origins.
+      this.localTargetLangRules = rules;
+      this.pendingSettingsPatch = {
+        ...(this.pendingSettingsPatch || {}),
+        translationTargetLangByOrigin: rules
+      };
+      this.flushSettingsDebounced();
+      this._scheduleRender();
+    }
+
+    _siteRulesState() {
+      const settings = this.vm.settings && typeof this.vm.settings === 'object' ? this.vm.settings : {};
+      const rules = SiteRules ? SiteRules.normalizeRules(this.localSiteRules || settings.translationSiteRules) : {};
+      const host = SiteRules ? SiteRules.normalizeHost(this.tabOrigin) : null;
+      return {
+        rules,
+        host,
+        list: host && rules[host] ? rules[host] : []
+      };
+    }
+
+    _categoryLearningState() {
+      const settings = this.vm.settings && typeof this.vm.settings === 'object' ? this.vm.settings : {};
+      const memory = CategoryLearning
+        ? CategoryLearning.normalizeMemory(this.localCategoryLearning || settings.translationCategoryLearning)
+        : {};
+      const host = CategoryLearning ? CategoryLearning.normalizeHost(this.tabOrigin) : null;
+      return {
+        memory,
+        host,
+        count: host && memory[host] ? Object.keys(memory[host]).length : 0
+      };
+    }
+
+    _queueSiteRules(rules) {
+      // Same as target-language rules: send the whole map so removed hosts stay removed.
+      this.localSiteRules = rules;
+      this.pendingSettingsPatch = {
+        ...(this.pendingSettingsPatch || {}),
+        translationSiteRules: rules
+      };
+      this.flushSettingsDebounced();
+      this._scheduleRender();
+    }
+
+    _setSpendBudget(key, rawValue) {
+      const settings = this.vm.settings && typeof this.vm.settings === 'object' ? this.vm.settings : {};
+      const current = settings.translationSpendBudgets && typeof settings.translationSpendBudgets === 'object'
+        ? settings.translationSpendBudgets
+        : {};
+      const numeric = Number(String(rawValue || '').replace(',', '.'));
+      const next = {
+        ...current,
+        [key]: Number.isFinite(numeric) && numeric > 0 ? numeric : null
+      };
+      this.snapshot.settings = {
+        ...settings,
+        translationSpendBudgets: next
+      };
+      this._queueSettingsPatch({ translationSpendBudgets: next });
+      this._scheduleRender();
+    }
+
+    async _setProvider() {
+      const providerId = safeString(this.fields.providerSelect && this.fields.providerSelect.value, 'openai_responses');
+      await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.SET_PROVIDER : 'SET_PROVIDER', {
+        providerId,
+        baseUrl: safeString(this.fields.providerBaseUrl && this.fields.providerBaseUrl.value, '').trim(),
+        modelId: safeString(this.fields.providerModelId && this.fields.providerModelId.value, '').trim()
+      });
+      this.toasts.show(I18n.t('popup.providerSaved', 'Провайдер сохранён'), { tone: 'ok' });
+    }
+
+    _setQualityEstimation(enabled) {
+      const settings = this.vm.settings && typeof this.vm.settings === 'object' ? this.vm.settings : {};
+      this.snapshot.settings = {
+        ...settings,
+        translationQualityEstimation: enabled
+      };
+      this._queueSettingsPatch({ translationQualityEstimation: enabled });
+      this._scheduleRender();
+    }
+
+    _setTranslationSetting(key, value) {
+      const settings = this.vm.settings && typeof this.vm.settings === 'object' ? this.vm.settings : {};
+      this.snapshot.settings = {
+        ...settings,
+        [key]: value
+      };
+      this._queueSettingsPatch({ [key]: value });
+      this._scheduleRender();
+    }
+
     _queueSettingsPatch(patch) {
       this.pendingSettingsPatch = PopupVm.mergeDeep(this.pendingSettingsPatch || {}, patch || {});
       this.flushSettingsDebounced();
@@ -347,6 +695,53 @@
       tabs.create({ url: url.toString() });
     }
 
+    /**
+     * Bilingual mode can be limited to some categories; an empty setting
+     * means all of them. The setting is saved before the mode is re-sent so
+     * the background reads the new list.
+     */
+    async _toggleBilingualCategory(category) {
+      const candidates = this._bilingualCandidateIds();
+      if (!category || !candidates.includes(category)) {
+        return;
+      }
+      const settings = this.snapshot.settings && typeof this.snapshot.settings === 'object' ? this.snapshot.settings : {};
+      const stored = Array.isArray(settings.translationBilingualCategories) ? settings.translationBilingualCategories : [];
+      const current = stored.length ? stored.filter((id) => candidates.includes(id)) : candidates.slice();
+      const toggled = current.includes(category) ? current.filter((id) => id !== category) : current.concat(category);
+      const next = toggled.length && toggled.length < candidates.length ? toggled : [];
+      this.snapshot.settings = { ...settings, translationBilingualCategories: next };
+      this._scheduleRender();
+      await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.SET_SETTINGS : 'SET_SETTINGS', {
+        patch: { translationBilingualCategories: next },
+        expectedSchemaVersion: this.vm.settings && Number.isFinite(Number(this.vm.settings.schemaVersion))
+          ? Number(this.vm.settings.schemaVersion)
+          : null
+      }, { timeoutMs: 5000, retries: 1 });
+      await this._sendCommand(UiProtocol.Commands ? UiProtocol.Commands.SET_TRANSLATION_VISIBILITY : 'SET_TRANSLATION_VISIBILITY', {
+        tabId: this.vm.tabId,
+        mode: 'bilingual',
+        visible: true
+      });
+    }
+
+    _bilingualCandidateIds() {
+      const items = this.vm.categories && Array.isArray(this.vm.categories.items) ? this.vm.categories.items : [];
+      const translated = items.filter((item) => item && item.selected);
+      return (translated.length ? translated : items).map((item) => item.id);
+    }
+
+    async _openSidePanel() {
+      const sidePanel = global.chrome && global.chrome.sidePanel ? global.chrome.sidePanel : null;
+      if (!sidePanel || typeof sidePanel.open !== 'function' || !Number.isFinite(Number(this.vm.tabId))) {
+        this.toasts.show(I18n.t('popup.sidePanelUnavailable', 'Боковая панель недоступна в этом браузере'), { tone: 'warn' });
+        return;
+      }
+      // Must run inside the click gesture, so no awaits before this call.
+      await sidePanel.open({ tabId: Number(this.vm.tabId) });
+      global.close();
+    }
+
     _scheduleRender() {
       this.scheduler.queueRender(() => {
         this.vm = PopupVm.computeViewModel(this.snapshot, this.uiStatus);
@@ -403,7 +798,10 @@
     _render() {
       this._renderConnection();
       this._renderStatus();
+      this._renderTargetLang();
       this._renderCategories();
+      this._renderSiteRules();
+      this._renderCategoryLearning();
       this._renderProfile();
       this._renderAdvanced();
       this._renderErrors();
@@ -443,6 +841,9 @@
       Ui.setText(this.fields.agentDigest, shortText(this.vm.agentStatus.digest, 180) || I18n.t('common.noData', 'Нет данных'));
       Ui.setText(this.fields.agentLine1, shortText(this.vm.agentStatus.line1, 180));
       Ui.setText(this.fields.agentLine2, shortText(this.vm.agentStatus.line2, 180));
+      this._renderUsage();
+      this._renderQuality();
+      this._renderBudget();
 
       const leaseExpired = this.vm.status === 'running'
         && Number.isFinite(Number(this.vm.leaseUntilTs))
@@ -453,6 +854,104 @@
       }
     }
 
+    _renderUsage() {
+      const usage = this.vm.usage || {};
+      const describe = (label, row) => {
+        if (!row || !row.requests) {
+          return '';
+        }
+        const tokens = formatTokens(row.inputTokens + row.outputTokens);
+        const unpriced = row.unpricedRequests
+          ? ` (${row.unpricedRequests} ${I18n.t('popup.usageUnpriced', 'без цены')})`
+          : '';
+        return `${label}: ${formatUsd(row.costUsd)} · ${tokens} ${I18n.t('popup.usageTokens', 'ток.')}${unpriced}`;
+      };
+      const parts = [
+        describe(I18n.t('popup.usageJob', 'Задача'), usage.job),
+        usage.job ? '' : describe(I18n.t('popup.usageTab', 'Вкладка'), usage.tab),
+        describe(I18n.t('popup.usageToday', 'Сегодня'), usage.today)
+      ].filter(Boolean);
+      Ui.setText(this.fields.usageCost, parts.join(' | '), I18n.t('common.noData', 'Нет данных'));
+    }
+
+    _renderQuality() {
+      const quality = this.vm.quality || {};
+      if (this.fields.qualityToggle) {
+        this.fields.qualityToggle.checked = quality.enabled === true;
+      }
+      let text = I18n.t('popup.qualityOff', 'Выключено');
+      if (quality.avgScore !== null && quality.avgScore !== undefined) {
+        text = I18n.t('popup.qualityScore', '{score}/100 · слабых блоков: {low} из {scored}')
+          .replace('{score}', String(quality.avgScore))
+          .replace('{low}', String(quality.lowBlocks || 0))
+          .replace('{scored}', String(quality.scoredBlocks || 0));
+      } else if (quality.enabled) {
+        text = I18n.t('popup.qualityPending', 'Появится после перевода');
+      }
+      Ui.setText(this.fields.qualityScore, text);
+    }
+
+    _renderBudget() {
+      const budget = this.vm.budget || {};
+      const row = budget.paused ? budget.verdict : budget.warning;
+      Ui.setHidden(this.fields.budgetWarning, !row);
+      Ui.setHidden(this.fields.budgetContinueBtn, !budget.paused);
+      if (!row) {
+        return;
+      }
+      const scopeLabel = row.scope === 'day'
+        ? I18n.t('popup.budgetScopeDay', 'за день')
+        : (row.scope === 'month' ? I18n.t('popup.budgetScopeMonth', 'за месяц') : I18n.t('popup.budgetScopeJob', 'на задачу'));
+      const text = budget.paused
+        ? I18n.t('popup.budgetPaused', 'Перевод приостановлен: бюджет {scope} {limit} исчерпан (с учётом запроса {projected}).')
+          .replace('{scope}', scopeLabel)
+          .replace('{limit}', formatUsd(row.limitUsd))
+          .replace('{projected}', formatUsd(row.projectedUsd))
+        : I18n.t('popup.budgetWarning', 'Израсходовано {ratio}% бюджета {scope} ({spent} из {limit}).')
+          .replace('{ratio}', String(Math.round(row.ratio * 100)))
+          .replace('{scope}', scopeLabel)
+          .replace('{spent}', formatUsd(row.spentUsd))
+          .replace('{limit}', formatUsd(row.limitUsd));
+      Ui.setText(this.fields.budgetWarningText, text);
+    }
+
+    _renderTargetLang() {
+      const state = this._targetLangState();
+      const languages = TargetLang ? TargetLang.LANGUAGES.slice() : [{ code: 'ru', titleRu: 'Русский' }];
+      if (!languages.some((item) => item.code === state.effective)) {
+        languages.push({ code: state.effective, titleRu: state.effective });
+      }
+      const key = JSON.stringify({
+        codes: languages.map((item) => item.code),
+        effective: state.effective,
+        origin: state.origin,
+        ruleLang: state.ruleLang
+      });
+      if (this._targetLangRenderKey === key) {
+        return;
+      }
+      this._targetLangRenderKey = key;
+      if (this.fields.targetLangSelect) {
+        Ui.clearNode(this.fields.targetLangSelect);
+        languages.forEach((item) => {
+          const option = Ui.createElement('option', {
+            text: `${item.titleRu} (${item.code})`,
+            attrs: { value: item.code }
+          });
+          option.selected = item.code === state.effective;
+          this.fields.targetLangSelect.appendChild(option);
+        });
+      }
+      if (this.fields.targetLangSiteRule) {
+        this.fields.targetLangSiteRule.checked = Boolean(state.ruleLang);
+        this.fields.targetLangSiteRule.disabled = !state.origin;
+      }
+      const siteLabel = state.origin
+        ? I18n.t('popup.targetLangSiteRuleFor', 'Всегда для {origin}').replace('{origin}', state.origin.replace(/^https?:\/\//, ''))
+        : I18n.t('popup.targetLangSiteRule', 'Всегда для этого сайта');
+      Ui.setText(this.fields.targetLangSiteLabel, siteLabel);
+    }
+
     _renderCategories() {
       const awaiting = this.vm.awaitingCategories === true;
       const staleSelection = (
@@ -518,6 +1017,61 @@
       });
     }
 
+    _renderSiteRules() {
+      const state = this._siteRulesState();
+      const key = JSON.stringify({ host: state.host, ids: state.list.map((rule) => rule.id) });
+      if (this._siteRulesRenderKey === key || !this.fields.siteRuleList) {
+        return;
+      }
+      this._siteRulesRenderKey = key;
+      Ui.setText(this.fields.siteRulesTitle, state.host
+        ? I18n.t('popup.siteRulesFor', 'Правила для {host}').replace('{host}', state.host)
+        : I18n.t('popup.siteRules', 'Правила для сайта'));
+      Ui.clearNode(this.fields.siteRuleList);
+      if (!state.list.length) {
+        this.fields.siteRuleList.appendChild(Ui.createElement('p', {
+          className: 'popup__hint',
+          text: I18n.t('popup.siteRulesEmpty', 'Правил для этого сайта нет.')
+        }));
+        return;
+      }
+      state.list.forEach((rule) => {
+        const actionText = rule.action === 'skip'
+          ? I18n.t('popup.siteRuleSkip', 'не переводить')
+          : rule.action === 'translate'
+            ? I18n.t('popup.siteRuleTranslate', 'всегда переводить')
+            : I18n.t('popup.siteRuleCategory', 'категория {category}').replace('{category}', rule.category);
+        const row = Ui.createElement('div', { className: 'popup__site-rule' });
+        row.appendChild(Ui.createElement('span', {
+          className: 'popup__site-rule-selector',
+          text: rule.selector,
+          attrs: { title: rule.selector }
+        }));
+        row.appendChild(Ui.createElement('span', { className: 'popup__hint', text: actionText }));
+        row.appendChild(Ui.createElement('button', {
+          className: 'popup__btn popup__btn--chip',
+          text: '×',
+          attrs: {
+            type: 'button',
+            'data-action': 'remove-site-rule',
+            'data-rule-id': rule.id,
+            title: I18n.t('popup.siteRuleRemove', 'Удалить правило')
+          }
+        }));
+        this.fields.siteRuleList.appendChild(row);
+      });
+    }
+
+    _renderCategoryLearning() {
+      const state = this._categoryLearningState();
+      Ui.setHidden(this.fields.categoryLearning, !state.count);
+      if (state.count) {
+        Ui.setText(this.fields.categoryLearningText, I18n.t('popup.categoryLearning', 'Запомнено исправлений категорий для {host}: {count}')
+          .replace('{host}', state.host)
+          .replace('{count}', String(state.count)));
+      }
+    }
+
     _renderProfile() {
       const settings = this.vm.settings && typeof this.vm.settings === 'object' ? this.vm.settings : {};
       const user = settings.userSettings && typeof settings.userSettings === 'object' ? settings.userSettings : {};
@@ -536,6 +1090,7 @@
 
     _renderAdvanced() {
       const settings = this.vm.settings && typeof this.vm.settings === 'object' ? this.vm.settings : {};
+      this._renderProvider();
       const user = settings.userSettings && typeof settings.userSettings === 'object' ? settings.userSettings : {};
       const reasoning = user.reasoning && typeof user.reasoning === 'object' ? user.reasoning : {};
       const reasoningValue = reasoning.reasoningMode === 'custom' ? safeString(reasoning.reasoningEffort, 'medium') : 'auto';
@@ -552,12 +1107,63 @@
       if (this.fields.routingModeSelect && this.fields.routingModeSelect.value !== routingMode) {
         this.fields.routingModeSelect.value = routingMode;
       }
+      const viewportMode = safeString(settings.translationViewportMode || 'off', 'off');
+      if (this.fields.viewportModeSelect && this.fields.viewportModeSelect.value !== viewportMode) {
+        this.fields.viewportModeSelect.value = viewportMode;
+      }
+      if (this.fields.dynamicContentToggle) {
+        this.fields.dynamicContentToggle.checked = settings.translationDynamicContentEnabled === true;
+      }
+      const qaAction = safeString(settings.translationQaAction || 'report', 'report');
+      if (this.fields.qaActionSelect && this.fields.qaActionSelect.value !== qaAction) {
+        this.fields.qaActionSelect.value = qaAction;
+      }
+      const consistency = safeString(settings.translationConsistency || 'report', 'report');
+      if (this.fields.consistencySelect && this.fields.consistencySelect.value !== consistency) {
+        this.fields.consistencySelect.value = consistency;
+      }
+      const entityProtection = safeString(settings.translationEntityProtection || 'heuristic', 'heuristic');
+      if (this.fields.entityProtectionSelect && this.fields.entityProtectionSelect.value !== entityProtection) {
+        this.fields.entityProtectionSelect.value = entityProtection;
+      }
+
+      const budgets = settings.translationSpendBudgets && typeof settings.translationSpendBudgets === 'object'
+        ? settings.translationSpendBudgets
+        : {};
+      Object.keys(this.fields.budgetInputs || {}).forEach((key) => {
+        const input = this.fields.budgetInputs[key];
+        if (!input || input === this.doc.activeElement) {
+          return;
+        }
+        const value = Number.isFinite(Number(budgets[key])) && Number(budgets[key]) > 0 ? String(budgets[key]) : '';
+        if (input.value !== value) {
+          input.value = value;
+        }
+      });
 
       this._renderAllowlist();
       this._renderTools();
       this._renderRateLimits();
     }
 
+    _renderProvider() {
+      const security = this.snapshot && this.snapshot.security && typeof this.snapshot.security === 'object'
+        ? this.snapshot.security
+        : {};
+      const credentials = security.credentials && typeof security.credentials === 'object' ? security.credentials : {};
+      const provider = credentials.provider && typeof credentials.provider === 'object' ? credentials.provider : {};
+      const values = [
+        [this.fields.providerSelect, safeString(provider.id, 'openai_responses')],
+        [this.fields.providerBaseUrl, safeString(provider.baseUrl, '')],
+        [this.fields.providerModelId, safeString(provider.modelId, '')]
+      ];
+      values.forEach(([input, value]) => {
+        if (input && input !== this.doc.activeElement && input.value !== value) {
+          input.value = value;
+        }
+      });
+    }
+
     _renderAllowlist() {
       const registry = this.snapshot && this.snapshot.modelRegistry && Array.isArray(this.snapshot.modelRegistry.entries)
         ? this.snapshot.modelRegistry.entries
@@ -673,7 +1279,7 @@
       const mode = this.snapshot && this.snapshot.translationDisplayModeByTab && Number.isFinite(Number(this.vm.tabId))
         ? safeString(this.snapshot.translationDisplayModeByTab[this.vm.tabId], 'translated')
         : 'translated';
-      const normalized = ['original', 'translated', 'compare'].includes(mode) ? mode : 'translated';
+      const normalized = ['original', 'translated', 'compare', 'bilingual'].includes(mode) ? mode : 'translated';
       const buttons = this.root.querySelectorAll('[data-action="set-view-mode"]');
       buttons.forEach((button) => {
         const value = button.getAttribute('data-mode');
@@ -683,6 +1289,34 @@
           button.classList.remove('is-active');
         }
       });
+      this._renderBilingualCategories(normalized === 'bilingual');
+      if (this.fields.humanEditExamplesToggle) {
+        const settings = this.snapshot.settings && typeof this.snapshot.settings === 'object' ? this.snapshot.settings : {};
+        this.fields.humanEditExamplesToggle.checked = settings.translationHumanEditExamples !== false;
+      }
+    }
+
+    _renderBilingualCategories(visible) {
+      const candidates = visible ? this._bilingualCandidateIds() : [];
+      Ui.setHidden(this.fields.bilingualCategories, candidates.length < 2);
+      if (!this.fields.bilingualCategoryList || candidates.length < 2) {
+        return;
+      }
+      const settings = this.snapshot.settings && typeof this.snapshot.settings === 'object' ? this.snapshot.settings : {};
+      const stored = Array.isArray(settings.translationBilingualCategories) ? settings.translationBilingualCategories : [];
+      const active = stored.filter((id) => candidates.includes(id));
+      const items = this.vm.categories.items;
+      Ui.clearNode(this.fields.bilingualCategoryList);
+      candidates.forEach((id) => {
+        const item = items.find((row) => row && row.id === id) || { titleRu: id };
+        const chip = Ui.createElement('button', {
+          className: 'popup__btn popup__btn--chip',
+          text: item.titleRu || id,
+          attrs: { type: 'button', 'data-action': 'toggle-bilingual-category', 'data-category': id }
+        });
+        chip.classList.toggle('is-active', !active.length || active.includes(id));
+        this.fields.bilingualCategoryList.appendChild(chip);
+      });
     }
 
     _renderButtonsState() {
@@ -690,14 +1324,28 @@
       const hasTab = Number.isFinite(Number(this.vm.tabId));
       const start = this.root.querySelector('[data-action="start-translation"]');
       const cancel = this.root.querySelector('[data-action="cancel-translation"]');
+      const pause = this.root.querySelector('[data-action="pause-translation"]');
+      const resume = this.root.querySelector('[data-action="resume-translation"]');
       const erase = this.root.querySelector('[data-action="clear-translation-data"]');
       const startSelected = this.root.querySelector('[data-action="start-selected-categories"]');
       const reclassifyForce = this.root.querySelector('[data-action="reclassify-force"]');
+      const editMode = this.root.querySelector('[data-action="toggle-edit-mode"]');
       if (start) {
         start.disabled = !hasTab || busy;
       }
+      if (this.fields.targetLangSelect) {
+        this.fields.targetLangSelect.disabled = busy;
+      }
       if (cancel) {
-        cancel.disabled = !hasTab || !(this.vm.status === 'running' || this.vm.status === 'planning' || this.vm.status === 'awaiting_categories');
+        cancel.disabled = !hasTab || !(this.vm.status === 'running' || this.vm.status === 'planning' || this.vm.status === 'awaiting_categories' || this.vm.status === 'budget_paused' || this.vm.status === 'paused' || this.vm.status === 'awaiting_viewport');
+      }
+      if (pause) {
+        pause.hidden = this.vm.status === 'paused';
+        pause.disabled = !hasTab || !(this.vm.status === 'running' || this.vm.status === 'preparing' || this.vm.status === 'planning' || this.vm.status === 'completing');
+      }
+      if (resume) {
+        resume.hidden = this.vm.status !== 'paused';
+        resume.disabled = !hasTab;
       }
       if (erase) {
         erase.disabled = !hasTab;
@@ -708,6 +1356,12 @@
       if (reclassifyForce) {
         reclassifyForce.disabled = !hasTab || !this.vm.awaitingCategories;
       }
+      if (editMode) {
+        // Edits are refused while the job works, so the toggle follows suit.
+        const editable = Boolean(this.vm.job && this.vm.job.id) && !['preparing', 'planning', 'running', 'completing'].includes(this.vm.status);
+        editMode.disabled = !hasTab || !editable;
+        editMode.classList.toggle('is-active', editable && this.vm.job.editMode === true);
+      }
     }
 
     _showErrorToast(error) {
@@ -741,6 +1395,22 @@
     });
   }
 
+  function resolveTabOrigin(tabId) {
+    if (!Number.isFinite(Number(tabId)) || !global.chrome || !global.chrome.tabs || typeof global.chrome.tabs.get !== 'function') {
+      return Promise.resolve(null);
+    }
+    return new Promise((resolve) => {
+      try {
+        global.chrome.tabs.get(Number(tabId), (tab) => {
+          const url = tab && typeof tab.url === 'string' ? tab.url : '';
+          resolve(TargetLang && url ? TargetLang.normalizeOrigin(url) : null);
+        });
+      } catch (_) {
+        resolve(null);
+      }
+    });
+  }
+
   (async () => {
     const tabId = await resolveInitialTabId();
     const app = new PopupApp(global.document);
@@ -29,7 +29,8 @@
         settings: {
           userSettings: settings.userSettings && typeof settings.userSettings === 'object' ? settings.userSettings : {},
           effectiveSettings: settings.effectiveSettings && typeof settings.effectiveSettings === 'object' ? settings.effectiveSettings : {},
-          overrides: settings.overrides && typeof settings.overrides === 'object' ? settings.overrides : {}
+          overrides: settings.overrides && typeof settings.overrides === 'object' ? settings.overrides : {},
+          siteRules: settings.translationSiteRules && typeof settings.translationSiteRules === 'object' ? settings.translationSiteRules : {}
         },
         pipeline: {
           stage: agent && agent.phase ? agent.phase : (translationJob && translationJob.agentPhase ? translationJob.agentPhase : 'unknown'),
@@ -76,6 +77,9 @@
             apiEnabled: this._readBoolean(settings, ['effectiveSettings', 'memory', 'apiCacheEnabled'], null)
           }
         },
+        consistency: this._buildConsistency(translationJob, includeMode),
+        entityProtection: this._buildEntityProtection(translationJob, includeMode),
+        usage: this._buildUsage(src.usageSnapshot, jobId || (translationJob ? translationJob.id : null)),
         security: {
           credentials: src.security && src.security.credentials && typeof src.security.credentials === 'object'
             ? src.security.credentials
@@ -119,6 +123,9 @@
       const pipelineRows = this._objectRows(report.pipeline || {});
       const errorsRows = this._objectRows(report.errors || {});
       const memoryRows = this._objectRows(report.memory || {});
+      const consistencyRows = this._objectRows(report.consistency || {});
+      const entityRows = this._objectRows(report.entityProtection || {});
+      const usageRows = this._objectRows(report.usage || {});
       const securityRows = this._objectRows(report.security || {});
       const prettyJson = esc(JSON.stringify(report, null, 2));
       return [
@@ -142,6 +149,9 @@
         this._tableSection('Pipeline', pipelineRows),
         this._tableSection('Errors', errorsRows),
         this._tableSection('Memory', memoryRows),
+        this._tableSection('Consistency', consistencyRows),
+        this._tableSection('Protected entities', entityRows),
+        this._tableSection('Usage', usageRows),
         this._tableSection('Security', securityRows),
         '<div class="section"><h2>JSON</h2><pre>',
         prettyJson,
@@ -195,6 +205,23 @@
       return true;
     }
 
+    _buildUsage(usageSnapshot, jobId) {
+      const usage = usageSnapshot && typeof usageSnapshot === 'object' ? usageSnapshot : null;
+      if (!usage) {
+        return null;
+      }
+      const jobRow = jobId && Array.isArray(usage.byJob)
+        ? usage.byJob.find((row) => row && row.jobId === jobId) || null
+        : null;
+      return {
+        job: jobRow,
+        today: usage.today || null,
+        month: usage.month || null,
+        byModel: Array.isArray(usage.byModel) ? usage.byModel.slice(0, 20) : [],
+        byDay: Array.isArray(usage.byDay) ? usage.byDay.slice(-14) : []
+      };
+    }
+
     _buildMeta({ src, translationJob, jobId }) {
       const manifest = this.chromeApi && this.chromeApi.runtime && typeof this.chromeApi.runtime.getManifest === 'function'
         ? this.chromeApi.runtime.getManifest()
@@ -231,6 +258,8 @@
             final: 0,
             restore: 0,
             toggle: 0,
+            human: 0,
+            consistency: 0,
             lastTs: 0
           };
         }
@@ -239,12 +268,81 @@
         if (item.kind === 'final') row.final += 1;
         else if (item.kind === 'restore') row.restore += 1;
         else if (item.kind === 'toggle') row.toggle += 1;
+        else if (item.kind === 'human') row.human += 1;
+        else if (item.kind === 'consistency') row.consistency += 1;
         else row.delta += 1;
         row.lastTs = Math.max(Number(row.lastTs || 0), Number(item.ts || 0));
       });
       return Object.keys(byBlock).map((key) => byBlock[key]).sort((a, b) => b.count - a.count).slice(0, 300);
     }
 
+    /**
+     * What the consistency pass unified: source groups with their canonical
+     * translation and recurring terms kept as-is. Previews follow the text mode.
+     */
+    _buildConsistency(translationJob, includeTextMode) {
+      const src = translationJob && translationJob.consistency && typeof translationJob.consistency === 'object'
+        ? translationJob.consistency
+        : null;
+      if (!src) {
+        return null;
+      }
+      const clip = (value) => (includeTextMode === 'none' ? '' : this._clipText(value, includeTextMode === 'snippets' ? 200 : 1000));
+      return {
+        mode: src.mode || null,
+        runs: Number.isFinite(Number(src.runs)) ? Number(src.runs) : 0,
+        unifiedBlocks: Number.isFinite(Number(src.unifiedBlocks)) ? Number(src.unifiedBlocks) : 0,
+        groups: (Array.isArray(src.groups) ? src.groups : []).slice(0, 50).map((group) => ({
+          source: clip(group && group.sourcePreview),
+          canonical: clip(group && group.canonicalPreview),
+          reason: group && group.reason ? group.reason : null,
+          variants: group && Number.isFinite(Number(group.variants)) ? Number(group.variants) : 0,
+          blockIds: group && Array.isArray(group.blockIds) ? group.blockIds.slice(0, 40) : [],
+          changedBlockIds: group && Array.isArray(group.changedBlockIds) ? group.changedBlockIds.slice(0, 40) : []
+        })),
+        terms: (Array.isArray(src.terms) ? src.terms : []).slice(0, 30).map((row) => ({
+          ...(row && typeof row === 'object' ? row : {}),
+          term: clip(row && row.term)
+        })),
+        lastError: src.lastError || null,
+        updatedAt: src.updatedAt || null
+      };
+    }
+
+    /**
+     * Spans kept out of translation, per block. Entity texts are page text,
+     * so they follow the text mode like previews do.
+     */
+    _buildEntityProtection(translationJob, includeTextMode) {
+      const src = translationJob && translationJob.entityProtection && typeof translationJob.entityProtection === 'object'
+        ? translationJob.entityProtection
+        : null;
+      if (!src) {
+        return null;
+      }
+      const clip = (value) => (includeTextMode === 'none' ? '' : this._clipText(value, includeTextMode === 'snippets' ? 80 : 200));
+      const count = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+      const byBlockId = src.byBlockId && typeof src.byBlockId === 'object' ? src.byBlockId : {};
+      return {
+        protectedBlocks: count(src.protectedBlocks),
+        protectedSpans: count(src.protectedSpans),
+        lostSpans: count(src.lostSpans),
+        retriedBlocks: count(src.retriedBlocks),
+        byKind: src.byKind && typeof src.byKind === 'object' ? src.byKind : {},
+        blocks: Object.keys(byBlockId).slice(-100).map((blockId) => ({
+          blockId,
+          entities: (Array.isArray(byBlockId[blockId].entities) ? byBlockId[blockId].entities : []).map((entity) => ({
+            kind: entity && entity.kind ? entity.kind : null,
+            text: clip(entity && entity.text)
+          })),
+          lost: (Array.isArray(byBlockId[blockId].lost) ? byBlockId[blockId].lost : []).map(clip),
+          retried: byBlockId[blockId].retried === true
+        })),
+        lastError: src.lastError || null,
+        updatedAt: src.updatedAt || null
+      };
+    }
+
     _applyTextModeToBlockSummaries(items, includeTextMode) {
       const list = Array.isArray(items) ? items : [];
       return list.map((item) => {
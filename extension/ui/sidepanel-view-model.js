@@ -0,0 +1,108 @@
+(function initSidePanelViewModel(global) {
+  const NT = global.NT || (global.NT = {});
+
+  const BLOCK_STATUSES = ['done', 'pending', 'failed', 'deferred', 'skipped'];
+  // The orchestrator's PAUSABLE_STATUSES: edits and retranslation get JOB_BUSY while the job works.
+  const EDIT_BUSY_STATUSES = ['preparing', 'planning', 'running', 'completing'];
+
+  function normalizeFilter(filter) {
+    const src = filter && typeof filter === 'object' ? filter : {};
+    return {
+      category: typeof src.category === 'string' && src.category ? src.category : 'all',
+      status: BLOCK_STATUSES.includes(src.status) ? src.status : 'all',
+      query: typeof src.query === 'string' ? src.query.trim().toLowerCase() : ''
+    };
+  }
+
+  function filterBlocks(blocks, filter) {
+    const list = Array.isArray(blocks) ? blocks : [];
+    const safe = normalizeFilter(filter);
+    return list.filter((block) => {
+      if (!block || !block.blockId) {
+        return false;
+      }
+      if (safe.category !== 'all' && block.category !== safe.category) {
+        return false;
+      }
+      if (safe.status !== 'all' && block.status !== safe.status) {
+        return false;
+      }
+      if (safe.query) {
+        const haystack = `${block.originalText || ''}\n${block.translatedText || ''}`.toLowerCase();
+        return haystack.includes(safe.query);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Category and status options with counts, in first-seen document order
+   * for categories and a fixed order for statuses.
+   */
+  function buildFilterOptions(blocks) {
+    const categories = new Map();
+    const statuses = new Map(BLOCK_STATUSES.map((status) => [status, 0]));
+    (Array.isArray(blocks) ? blocks : []).forEach((block) => {
+      if (!block || !block.blockId) {
+        return;
+      }
+      const category = block.category || 'unknown';
+      categories.set(category, (categories.get(category) || 0) + 1);
+      if (statuses.has(block.status)) {
+        statuses.set(block.status, statuses.get(block.status) + 1);
+      }
+    });
+    return {
+      categories: Array.from(categories.entries()).map(([id, count]) => ({ id, count })),
+      statuses: Array.from(statuses.entries()).filter(([, count]) => count > 0).map(([id, count]) => ({ id, count }))
+    };
+  }
+
+  function qualityFlags(block) {
+    const flags = [];
+    if (!block) {
+      return flags;
+    }
+    if (block.qualityTag) {
+      flags.push({ id: `quality:${block.qualityTag}`, tone: block.qualityTag === 'raw' ? 'neutral' : 'ok' });
+    }
+    // A page edit already shows as the "human" quality tag.
+    if (block.userEdited && block.qualityTag !== 'human') {
+      flags.push({ id: 'edited', tone: 'ok' });
+    }
+    if (block.proofreadPending) {
+      flags.push({ id: 'proofread_pending', tone: 'warn' });
+    }
+    return flags;
+  }
+
+  function canEditBlocks(job) {
+    return !job || !EDIT_BUSY_STATUSES.includes(job.status);
+  }
+
+  /**
+   * True when a UI patch concerns the job shown in the panel, so the block
+   * list should be fetched again.
+   */
+  function patchTouchesJob(patch, { tabId = null, jobId = null } = {}) {
+    const job = patch && patch.translationJob && typeof patch.translationJob === 'object' ? patch.translationJob : null;
+    if (!job) {
+      return false;
+    }
+    if (jobId && job.id === jobId) {
+      return true;
+    }
+    // A new job on the same tab replaces the one on screen.
+    return Number.isFinite(Number(tabId)) && Number(job.tabId) === Number(tabId);
+  }
+
+  NT.SidePanelViewModel = {
+    BLOCK_STATUSES,
+    normalizeFilter,
+    filterBlocks,
+    buildFilterOptions,
+    qualityFlags,
+    canEditBlocks,
+    patchTouchesJob
+  };
+})(globalThis);
@@ -0,0 +1,498 @@
+(function initSidePanel(global) {
+  const NT = global.NT || {};
+  const Ui = NT.Ui;
+  const UiProtocol = NT.UiProtocol || {};
+  const I18n = NT.UiI18nRu || null;
+  const PanelVm = NT.SidePanelViewModel || null;
+
+  if (!Ui || !I18n || !PanelVm || !NT.UiProtocolClient) {
+    return;
+  }
+
+  const PAGE_SIZE = 200;
+  const BLOCK_ACTIONS = {
+    retranslate: 'retranslate',
+    literal: 'literal',
+    style: 'style_improve',
+    proofread: 'proofread'
+  };
+
+  function safeString(value, fallback = '') {
+    if (value === null || value === undefined) {
+      return fallback;
+    }
+    return String(value);
+  }
+
+  function shortText(value, limit = 160) {
+    const text = safeString(value, '').replace(/\s+/g, ' ').trim();
+    if (!text) {
+      return '';
+    }
+    return text.length <= limit ? text : `${text.slice(0, Math.max(1, limit - 1))}...`;
+  }
+
+  function command(name) {
+    return UiProtocol.Commands && UiProtocol.Commands[name] ? UiProtocol.Commands[name] : name;
+  }
+
+  class SidePanelApp {
+    constructor(doc) {
+      this.doc = doc;
+      this.root = this.doc.getElementById('sidePanelRoot');
+      this.fields = {};
+
+      this.client = null;
+      this.scheduler = new Ui.RenderScheduler();
+      this.toasts = null;
+
+      this.tabId = null;
+      this.job = null;
+      this.blocks = [];
+      this.filter = PanelVm.normalizeFilter({});
+      this.limit = PAGE_SIZE;
+      this.uiStatus = { state: 'connecting', message: I18n.t('common.loading', 'Загрузка...') };
+      // Survives list refreshes so a live patch does not wipe the user's draft.
+      this.editDraft = null;
+      this.refreshSeq = 0;
+      // Live patches arrive continuously during a job; the max wait keeps the
+      // list moving instead of postponing the refresh until the job goes quiet.
+      this.refreshDebounced = Ui.debounce(() => {
+        this._refreshBlocks();
+      }, 400, { maxWaitMs: 1500 });
+      this._filtersRenderKey = '';
+    }
+
+    init(initialTabId) {
+      this._cacheElements();
+      this._bind();
+      this.toasts = new Ui.Toasts(this.fields.toastHost);
+      this.tabId = Number.isFinite(Number(initialTabId)) ? Number(initialTabId) : null;
+
+      this.client = new NT.UiProtocolClient({ channelName: 'sidepanel' });
+      this.client
+        .onStatus((status) => {
+          this.uiStatus = status || this.uiStatus;
+          this._scheduleRender();
+        })
+        .onSnapshot((payload) => {
+          const job = payload && payload.translationJob && typeof payload.translationJob === 'object'
+            ? payload.translationJob
+            : null;
+          this.job = job;
+          this._scheduleRender();
+          this.refreshDebounced();
+        })
+        .onPatch((patch) => {
+          if (!PanelVm.patchTouchesJob(patch, { tabId: this.tabId, jobId: this.job ? this.job.id : null })) {
+            return;
+          }
+          this.job = { ...(this.job || {}), ...patch.translationJob };
+          this._scheduleRender();
+          this.refreshDebounced();
+        });
+
+      this.client.setHelloContext({ tabId: this.tabId });
+      this.client.connect();
+      this._watchActiveTab();
+      this._scheduleRender();
+    }
+
+    _cacheElements() {
+      this.fields.connectionBadge = this.doc.querySelector('[data-field="connection-badge"]');
+      this.fields.stage = this.doc.querySelector('[data-field="stage"]');
+      this.fields.progress = this.doc.querySelector('[data-field="progress"]');
+      this.fields.filterCategory = this.doc.querySelector('[data-field="filter-category"]');
+      this.fields.filterStatus = this.doc.querySelector('[data-field="filter-status"]');
+      this.fields.filterQuery = this.doc.querySelector('[data-field="filter-query"]');
+      this.fields.counter = this.doc.querySelector('[data-field="counter"]');
+      this.fields.empty = this.doc.querySelector('[data-field="empty"]');
+      this.fields.blockList = this.doc.querySelector('[data-field="block-list"]');
+      this.fields.showMore = this.doc.querySelector('[data-action="show-more"]');
+      this.fields.toastHost = this.doc.querySelector('[data-field="toast-host"]');
+    }
+
+    _bind() {
+      this.root.addEventListener('click', (event) => {
+        const trigger = event && event.target && typeof event.target.closest === 'function'
+          ? event.target.closest('[data-action]')
+          : null;
+        if (!trigger) {
+          return;
+        }
+        const action = trigger.getAttribute('data-action');
+        if (!action) {
+          return;
+        }
+        this._handleAction(action, trigger).catch((error) => this._showErrorToast(error));
+      });
+
+      this.root.addEventListener('change', (event) => {
+        const target = event && event.target ? event.target : null;
+        if (target === this.fields.filterCategory) {
+          this._setFilter({ category: safeString(target.value, 'all') });
+        } else if (target === this.fields.filterStatus) {
+          this._setFilter({ status: safeString(target.value, 'all') });
+        }
+      });
+
+      const onQuery = Ui.debounce(() => {
+        this._setFilter({ query: safeString(this.fields.filterQuery && this.fields.filterQuery.value, '') });
+      }, 200);
+      if (this.fields.filterQuery) {
+        this.fields.filterQuery.addEventListener('input', onQuery);
+      }
+
+      this.root.addEventListener('input', (event) => {
+        const target = event && event.target ? event.target : null;
+        if (this.editDraft && target && target.getAttribute && target.getAttribute('data-field') === 'edit-text') {
+          this.editDraft.text = safeString(target.value, '');
+        }
+      });
+    }
+
+    _watchActiveTab() {
+      const tabs = global.chrome && global.chrome.tabs ? global.chrome.tabs : null;
+      if (!tabs || !tabs.onActivated || typeof tabs.onActivated.addListener !== 'function') {
+        return;
+      }
+      tabs.onActivated.addListener((activeInfo) => {
+        const nextTabId = activeInfo && Number.isFinite(Number(activeInfo.tabId)) ? Number(activeInfo.tabId) : null;
+        if (nextTabId === null || nextTabId === this.tabId) {
+          return;
+        }
+        this.tabId = nextTabId;
+        this.job = null;
+        this.blocks = [];
+        this.editDraft = null;
+        this.limit = PAGE_SIZE;
+        this.client.setHelloContext({ tabId: nextTabId });
+        this.client.disconnect();
+        this.client.connect();
+        this._scheduleRender();
+      });
+    }
+
+    async _handleAction(action, trigger) {
+      if (action === 'show-more') {
+        this.limit += PAGE_SIZE;
+        this._scheduleRender();
+        return;
+      }
+
+      const blockId = this._blockIdOf(trigger);
+      if (!blockId) {
+        return;
+      }
+
+      if (action === 'goto') {
+        const result = await this._sendCommand(command('REVEAL_BLOCK'), this._blockPayload(blockId));
+        if (!result || result.revealed !== true) {
+          this.toasts.show(I18n.t('sidepanel.notFoundOnPage', 'Блок не найден на странице'), { tone: 'warn' });
+        }
+        return;
+      }
+
+      if (Object.prototype.hasOwnProperty.call(BLOCK_ACTIONS, action)) {
+        await this._sendCommand(command('REQUEST_BLOCK_ACTION'), {
+          ...this._blockPayload(blockId),
+          action: BLOCK_ACTIONS[action]
+        }, { timeoutMs: 60000, retries: 0 });
+        this.toasts.show(I18n.t('sidepanel.actionQueued', 'Действие поставлено в очередь'), { tone: 'ok' });
+        this.refreshDebounced();
+        return;
+      }
+
+      if (action === 'edit') {
+        const block = this.blocks.find((item) => item.blockId === blockId);
+        this.editDraft = { blockId, text: block ? safeString(block.translatedText, '') : '' };
+        this._scheduleRender();
+        return;
+      }
+
+      if (action === 'cancel-edit') {
+        this.editDraft = null;
+        this._scheduleRender();
+        return;
+      }
+
+      if (action === 'save-edit') {
+        const text = this.editDraft && this.editDraft.blockId === blockId ? this.editDraft.text : '';
+        await this._sendCommand(command('SET_BLOCK_TRANSLATION'), {
+          ...this._blockPayload(blockId),
+          text
+        });
+        this.editDraft = null;
+        this.toasts.show(I18n.t('sidepanel.editSaved', 'Правка сохранена'), { tone: 'ok' });
+        await this._refreshBlocks();
+      }
+    }
+
+    _blockIdOf(trigger) {
+      const host = trigger && typeof trigger.closest === 'function' ? trigger.closest('[data-block-id]') : null;
+      return host ? safeString(host.getAttribute('data-block-id'), '') : '';
+    }
+
+    _blockPayload(blockId) {
+      return {
+        tabId: this.tabId,
+        jobId: this.job && this.job.id ? this.job.id : null,
+        blockId
+      };
+    }
+
+    _setFilter(patch) {
+      this.filter = PanelVm.normalizeFilter({ ...this.filter, ...patch });
+      this.limit = PAGE_SIZE;
+      this._scheduleRender();
+    }
+
+    async _refreshBlocks() {
+      if (!Number.isFinite(Number(this.tabId))) {
+        return;
+      }
+      const seq = this.refreshSeq + 1;
+      this.refreshSeq = seq;
+      let result = null;
+      try {
+        result = await this.client.sendCommand(command('GET_JOB_BLOCKS'), {
+          tabId: this.tabId,
+          jobId: this.job && this.job.id ? this.job.id : null
+        }, { timeoutMs: 8000, retries: 1 });
+      } catch (_) {
+        // No job on this tab yet, or the port is reconnecting.
+        result = null;
+      }
+      if (seq !== this.refreshSeq) {
+        return;
+      }
+      this.blocks = result && Array.isArray(result.blocks) ? result.blocks : [];
+      if (result && result.job) {
+        this.job = result.job;
+      }
+      if (this.editDraft && !this.blocks.some((block) => block.blockId === this.editDraft.blockId)) {
+        this.editDraft = null;
+      }
+      this._scheduleRender();
+    }
+
+    async _sendCommand(type, payload, options = {}) {
+      if (!this.client) {
+        throw new Error('UI client not initialized');
+      }
+      const result = await this.client.sendCommand(type, payload && typeof payload === 'object' ? payload : {}, options);
+      if (!result || result.ok !== false) {
+        return result;
+      }
+      const errorMessage = result.error && result.error.message
+        ? result.error.message
+        : I18n.t('common.errorUnknown', 'Неизвестная ошибка');
+      throw new Error(errorMessage);
+    }
+
+    _scheduleRender() {
+      this.scheduler.queueRender(() => this._render());
+    }
+
+    _render() {
+      this._renderConnection();
+      this._renderStatus();
+      this._renderFilters();
+      this._renderBlocks();
+    }
+
+    _renderConnection() {
+      const state = safeString(this.uiStatus && this.uiStatus.state, 'connecting');
+      let tone = 'neutral';
+      if (state === 'connected') {
+        tone = 'ok';
+      } else if (state === 'reconnecting') {
+        tone = 'warn';
+      } else if (state === 'disconnected') {
+        tone = 'danger';
+      }
+      if (this.fields.connectionBadge) {
+        this.fields.connectionBadge.className = `nt-badge nt-badge--${tone}`;
+        Ui.setText(this.fields.connectionBadge, state.toUpperCase(), '...');
+      }
+    }
+
+    _renderStatus() {
+      const job = this.job || {};
+      Ui.setText(this.fields.stage, job.status ? I18n.statusLabel(job.status) : '', I18n.t('common.noData', 'Нет данных'));
+      const total = Number(job.totalBlocks || 0);
+      const done = Number(job.completedBlocks || 0);
+      Ui.setText(this.fields.progress, total > 0 ? `${done}/${total}` : '');
+    }
+
+    _renderFilters() {
+      const options = PanelVm.buildFilterOptions(this.blocks);
+      const key = JSON.stringify(options);
+      if (key !== this._filtersRenderKey) {
+        this._filtersRenderKey = key;
+        const allLabel = I18n.t('sidepanel.filterAll', 'Все');
+        this._fillSelect(this.fields.filterCategory, allLabel, options.categories.map((item) => ({
+          value: item.id,
+          label: `${I18n.t(`category.${item.id}`, item.id)} (${item.count})`
+        })), this.filter.category);
+        this._fillSelect(this.fields.filterStatus, allLabel, options.statuses.map((item) => ({
+          value: item.id,
+          label: `${I18n.t(`sidepanel.blockStatus.${item.id}`, item.id)} (${item.count})`
+        })), this.filter.status);
+      }
+    }
+
+    _fillSelect(select, allLabel, items, selected) {
+      if (!select) {
+        return;
+      }
+      Ui.clearNode(select);
+      select.appendChild(Ui.createElement('option', { text: allLabel, attrs: { value: 'all' } }));
+      items.forEach((item) => {
+        select.appendChild(Ui.createElement('option', { text: item.label, attrs: { value: item.value } }));
+      });
+      select.value = items.some((item) => item.value === selected) ? selected : 'all';
+    }
+
+    _renderBlocks() {
+      const list = this.fields.blockList;
+      if (!list) {
+        return;
+      }
+      const visible = PanelVm.filterBlocks(this.blocks, this.filter);
+      const shown = visible.slice(0, this.limit);
+
+      Ui.setHidden(this.fields.empty, Boolean(this.blocks.length));
+      Ui.setText(this.fields.empty, this.job
+        ? I18n.t('sidepanel.empty', 'Нет блоков под выбранные фильтры.')
+        : I18n.t('sidepanel.noJob', 'Для этой вкладки ещё нет перевода.'));
+      if (this.blocks.length && !visible.length) {
+        Ui.setHidden(this.fields.empty, false);
+      }
+      Ui.setText(this.fields.counter, this.blocks.length
+        ? I18n.t('sidepanel.blocksShown', 'Блоков: {shown} из {total}')
+          .replace('{shown}', String(visible.length))
+          .replace('{total}', String(this.blocks.length))
+        : '');
+      Ui.setHidden(this.fields.showMore, visible.length <= shown.length);
+      Ui.setText(this.fields.showMore, I18n.t('sidepanel.showMore', 'Показать ещё'));
+
+      const focused = this.doc.activeElement;
+      const keepFocus = Boolean(focused && focused.getAttribute && focused.getAttribute('data-field') === 'edit-text');
+      Ui.clearNode(list);
+      shown.forEach((block) => list.appendChild(this._renderBlock(block)));
+      if (keepFocus) {
+        const editor = list.querySelector('[data-field="edit-text"]');
+        if (editor) {
+          editor.focus();
+        }
+      }
+    }
+
+    _renderBlock(block) {
+      const editing = Boolean(this.editDraft && this.editDraft.blockId === block.blockId);
+      const meta = Ui.createElement('div', {
+        className: 'block__meta',
+        children: [
+          Ui.createElement('span', { text: `#${Number(block.order) + 1}` }),
+          Ui.createElement('span', { text: I18n.t(`category.${block.category}`, safeString(block.category, 'unknown')) }),
+          Ui.createBadge(
+            I18n.t(`sidepanel.blockStatus.${block.status}`, block.status),
+            block.status === 'failed' ? 'danger' : (block.status === 'done' ? 'ok' : 'neutral')
+          ),
+          ...PanelVm.qualityFlags(block).map((flag) => Ui.createBadge(this._flagLabel(flag.id), flag.tone))
+        ]
+      });
+
+      const texts = Ui.createElement('div', {
+        className: 'block__texts',
+        attrs: { 'data-action': editing ? null : 'goto', title: I18n.t('sidepanel.btnGoTo', 'Показать на странице') },
+        children: [
+          Ui.createElement('div', { className: 'block__original', text: shortText(block.originalText, 600) })
+        ]
+      });
+      if (editing) {
+        const editor = Ui.createElement('textarea', {
+          className: 'block__editor',
+          attrs: { 'data-field': 'edit-text', 'aria-label': I18n.t('sidepanel.translation', 'Перевод') }
+        });
+        editor.value = this.editDraft.text;
+        texts.appendChild(editor);
+      } else {
+        texts.appendChild(Ui.createElement('div', {
+          className: 'block__translation',
+          text: shortText(block.translatedText, 600) || '—'
+        }));
+      }
+
+      const actions = Ui.createElement('div', { className: 'block__actions' });
+      const button = (action, key, fallback, extra = {}) => {
+        const el = Ui.createElement('button', {
+          className: extra.primary ? 'panel__btn panel__btn--primary' : 'panel__btn',
+          text: I18n.t(`sidepanel.${key}`, fallback),
+          attrs: { type: 'button', 'data-action': action, title: extra.title || null }
+        });
+        el.disabled = extra.disabled === true;
+        actions.appendChild(el);
+      };
+      const busy = !PanelVm.canEditBlocks(this.job);
+      const busyTitle = busy ? I18n.t('sidepanel.editBusy', 'Поставьте перевод на паузу, чтобы править блоки') : null;
+      if (editing) {
+        button('save-edit', 'btnSave', 'Сохранить', { primary: true, disabled: busy, title: busyTitle });
+        button('cancel-edit', 'btnCancelEdit', 'Отмена');
+      } else {
+        const translated = Boolean(block.translatedText);
+        button('goto', 'btnGoTo', 'Показать на странице');
+        button('retranslate', 'btnRetranslate', 'Перевести заново', { disabled: busy, title: busyTitle });
+        button('literal', 'btnLiteral', 'Дословно', { disabled: !translated });
+        button('style', 'btnStyle', 'Стиль', { disabled: !translated });
+        button('proofread', 'btnProofread', 'Вычитать', { disabled: !translated });
+        button('edit', 'btnEdit', 'Править', { disabled: !translated || busy, title: busyTitle });
+      }
+
+      return Ui.createElement('li', {
+        className: block.status === 'failed' ? 'block is-failed' : 'block',
+        attrs: { 'data-block-id': block.blockId },
+        children: [meta, texts, actions]
+      });
+    }
+
+    _flagLabel(id) {
+      if (id === 'edited') {
+        return I18n.t('sidepanel.flagEdited', 'правка');
+      }
+      if (id === 'proofread_pending') {
+        return I18n.t('sidepanel.flagProofreadPending', 'ждёт вычитки');
+      }
+      const tag = id.startsWith('quality:') ? id.slice('quality:'.length) : id;
+      return I18n.t(`sidepanel.quality.${tag}`, tag);
+    }
+
+    _showErrorToast(error) {
+      const message = error && error.message ? error.message : I18n.t('common.errorUnknown', 'Неизвестная ошибка');
+      this.toasts.show(shortText(message, 180), { tone: 'danger' });
+    }
+  }
+
+  function resolveInitialTabId() {
+    if (!global.chrome || !global.chrome.tabs || typeof global.chrome.tabs.query !== 'function') {
+      return Promise.resolve(null);
+    }
+    return new Promise((resolve) => {
+      try {
+        global.chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+          const first = Array.isArray(tabs) && tabs.length ? tabs[0] : null;
+          resolve(first && Number.isFinite(Number(first.id)) ? Number(first.id) : null);
+        });
+      } catch (_) {
+        resolve(null);
+      }
+    });
+  }
+
+  (async () => {
+    const tabId = await resolveInitialTabId();
+    const app = new SidePanelApp(global.document);
+    app.init(tabId);
+  })();
+})(globalThis);
@@ -19,6 +19,9 @@
       preparing: 'Сканирование',
       planning: 'Анализ агентом',
       awaiting_categories: 'Выбор категорий',
+      budget_paused: 'Пауза: бюджет',
+      paused: 'Пауза',
+      awaiting_viewport: 'Ждёт прокрутки',
       running: 'Перевод',
       completing: 'Вычитка',
       proofreading: 'Вычитка',
@@ -52,14 +55,35 @@
       whatNow: 'Что происходит сейчас',
       btnTranslate: 'Перевести',
       btnCancel: 'Отменить',
+      btnPause: 'Пауза',
+      btnResume: 'Продолжить',
       btnErase: 'Стереть задачу и данные',
       btnDebug: 'Отладка',
+      btnSidePanel: 'Панель',
+      sidePanelUnavailable: 'Боковая панель недоступна в этом браузере',
       btnStartSelected: 'Начать перевод выбранного',
       btnAddLater: 'Добавить категории позже',
       btnOpenDebugError: 'Открыть отладку',
       modeOriginal: 'Оригинал',
       modeTranslated: 'Перевод',
       modeCompare: 'Сравнение',
+      modeBilingual: 'Двуязычно',
+      bilingualCategories: 'Двуязычно показывать:',
+      modeEdit: 'Правка',
+      editModeOn: 'Нажмите на перевод на странице, чтобы исправить его',
+      targetLang: 'Язык перевода',
+      targetLangSiteRule: 'Всегда для этого сайта',
+      targetLangSiteRuleFor: 'Всегда для {origin}',
+      siteRules: 'Правила для сайта',
+      siteRulesFor: 'Правила для {host}',
+      siteRulesEmpty: 'Правил для этого сайта нет.',
+      siteRuleSkip: 'не переводить',
+      siteRuleTranslate: 'всегда переводить',
+      siteRuleCategory: 'категория {category}',
+      siteRuleRemove: 'Удалить правило',
+      siteRulePickUnavailable: 'Выбор элемента доступен только на http(s)-страницах',
+      categoryLearning: 'Запомнено исправлений категорий для {host}: {count}',
+      categoryLearningReset: 'Исправления категорий для сайта забыты',
       categoriesHint: 'Категории появятся после этапа планирования.',
       categoriesQuestion: 'Вопрос агента',
       profile: 'Профиль',
@@ -71,7 +95,66 @@
       models: 'Разрешенные модели',
       routingMode: 'Роутинг моделей',
       rateLimits: 'Rate limits',
-      leaseWarning: 'Lease задачи истек. Откройте отладку и проверьте планировщик.'
+      leaseWarning: 'Lease задачи истек. Откройте отладку и проверьте планировщик.',
+      usageJob: 'Задача',
+      usageTab: 'Вкладка',
+      usageToday: 'Сегодня',
+      usageTokens: 'ток.',
+      usageUnpriced: 'без цены',
+      qualityOff: 'Выключено',
+      qualityPending: 'Появится после перевода',
+      qualityScore: '{score}/100 · слабых блоков: {low} из {scored}',
+      budgetPaused: 'Перевод приостановлен: бюджет {scope} {limit} исчерпан (с учётом запроса {projected}).',
+      budgetWarning: 'Израсходовано {ratio}% бюджета {scope} ({spent} из {limit}).',
+      budgetScopeJob: 'на задачу',
+      budgetScopeDay: 'за день',
+      budgetScopeMonth: 'за месяц',
+      budgetContinued: 'Продолжаю сверх бюджета',
+      provider: 'Провайдер',
+      providerSaved: 'Провайдер сохранён',
+      providerModelsFound: 'Найдено моделей: {count}',
+      providerModelsEmpty: 'Сервер не вернул ни одной модели'
+    },
+    sidepanel: {
+      title: 'Рабочая панель перевода',
+      noJob: 'Для этой вкладки ещё нет перевода.',
+      empty: 'Нет блоков под выбранные фильтры.',
+      filterCategory: 'Категория',
+      filterStatus: 'Статус',
+      filterAll: 'Все',
+      search: 'Поиск по тексту',
+      blocksShown: 'Блоков: {shown} из {total}',
+      original: 'Оригинал',
+      translation: 'Перевод',
+      btnGoTo: 'Показать на странице',
+      btnRetranslate: 'Перевести заново',
+      btnLiteral: 'Дословно',
+      btnStyle: 'Стиль',
+      btnProofread: 'Вычитать',
+      btnEdit: 'Править',
+      btnSave: 'Сохранить',
+      btnCancelEdit: 'Отмена',
+      showMore: 'Показать ещё',
+      actionQueued: 'Действие поставлено в очередь',
+      editSaved: 'Правка сохранена',
+      notFoundOnPage: 'Блок не найден на странице',
+      editBusy: 'Поставьте перевод на паузу, чтобы править блоки',
+      blockStatus: {
+        done: 'Переведён',
+        pending: 'В очереди',
+        failed: 'Ошибка',
+        deferred: 'Вне экрана',
+        skipped: 'Пропущен'
+      },
+      quality: {
+        raw: 'черновой',
+        proofread: 'вычитан',
+        literal: 'дословный',
+        styled: 'стилизован',
+        human: 'проверен человеком'
+      },
+      flagEdited: 'правка',
+      flagProofreadPending: 'ждёт вычитки'
     },
     debug: {
       title: 'Панель оператора',
@@ -109,6 +192,10 @@
       modeOriginal: 'Показывать оригинальный текст страницы.',
       modeTranslated: 'Показывать переведенный текст.',
       modeCompare: 'Показывать отличия оригинала и перевода.',
+      modeBilingual: 'Показывать перевод под каждым абзацем оригинала.',
+      targetLang: 'Язык, на который переводится страница.',
+      targetLangSiteRule: 'Запоминает язык для текущего сайта (origin).',
+      siteRules: 'CSS-правила сайта: пропускать элементы, всегда переводить их или задавать категорию.',
       profile: 'Профиль влияет на баланс скорости и качества.',
       reasoning: 'Глубина рассуждения модели для планирования и перевода.',
       cacheRetention: 'Срок хранения prompt-cache в API.',
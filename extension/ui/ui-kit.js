@@ -195,16 +195,24 @@
     }
   }
 
-  function debounce(fn, waitMs = 220) {
+  // With `maxWaitMs` a steady stream of calls still fires at least that often.
+  function debounce(fn, waitMs = 220, { maxWaitMs = 0 } = {}) {
+    const wait = Math.max(40, Number(waitMs) || 220);
+    const maxWait = Number(maxWaitMs) > 0 ? Math.max(wait, Number(maxWaitMs)) : 0;
     let timer = null;
+    let firstCallAt = 0;
     return function debounced(...args) {
+      const now = Date.now();
       if (timer) {
         global.clearTimeout(timer);
+      } else {
+        firstCallAt = now;
       }
+      const delay = maxWait ? Math.min(wait, Math.max(0, (firstCallAt + maxWait) - now)) : wait;
       timer = global.setTimeout(() => {
         timer = null;
         fn.apply(this, args);
-      }, Math.max(40, Number(waitMs) || 220));
+      }, delay);
     };
   }
 
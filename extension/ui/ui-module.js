@@ -141,6 +141,26 @@
       return this.sendUiCommand(command, {});
     }
 
+    setProvider({ providerId, baseUrl, modelId } = {}) {
+      const UiProtocol = NT.UiProtocol || null;
+      const command = UiProtocol && UiProtocol.Commands
+        ? UiProtocol.Commands.SET_PROVIDER
+        : 'SET_PROVIDER';
+      return this.sendUiCommand(command, {
+        providerId: typeof providerId === 'string' ? providerId : '',
+        baseUrl: typeof baseUrl === 'string' ? baseUrl : '',
+        modelId: typeof modelId === 'string' ? modelId : ''
+      });
+    }
+
+    listProviderModels() {
+      const UiProtocol = NT.UiProtocol || null;
+      const command = UiProtocol && UiProtocol.Commands
+        ? UiProtocol.Commands.LIST_PROVIDER_MODELS
+        : 'LIST_PROVIDER_MODELS';
+      return this.sendUiCommand(command, {});
+    }
+
     testConnection({ timeoutMs } = {}) {
       const UiProtocol = NT.UiProtocol || null;
       const command = UiProtocol && UiProtocol.Commands
@@ -438,7 +458,7 @@
       if (tabId === null || tabId === undefined) {
         return;
       }
-      const normalizedMode = mode === 'original' || mode === 'compare'
+      const normalizedMode = mode === 'original' || mode === 'compare' || mode === 'bilingual'
         ? mode
         : 'translated';
       const UiProtocol = NT.UiProtocol || null;
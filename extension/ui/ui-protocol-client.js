@@ -5,7 +5,7 @@
 
   class UiProtocolClient {
     constructor({ channelName } = {}) {
-      this.channelName = channelName === 'debug' ? 'debug' : 'popup';
+      this.channelName = channelName === 'debug' || channelName === 'sidepanel' ? channelName : 'popup';
       this.portName = `ui:${this.channelName}`;
       this.port = null;
 
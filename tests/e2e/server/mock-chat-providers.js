@@ -0,0 +1,314 @@
+const http = require('http');
+
+function safeJsonParse(value, fallback = null) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function textOf(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+  return content
+    .map((part) => (part && typeof part.text === 'string' ? part.text : ''))
+    .filter(Boolean)
+    .join('\n');
+}
+
+function lastUserText(messages) {
+  const rows = Array.isArray(messages) ? messages : [];
+  for (let i = rows.length - 1; i >= 0; i -= 1) {
+    const row = rows[i];
+    if (!row || row.role !== 'user') {
+      continue;
+    }
+    const parts = Array.isArray(row.content) ? row.content.filter((part) => part && part.type === 'text') : row.content;
+    const text = textOf(parts);
+    if (text) {
+      return text;
+    }
+  }
+  return '';
+}
+
+function hasChatToolOutput(messages) {
+  return (Array.isArray(messages) ? messages : []).some((row) => row && row.role === 'tool');
+}
+
+function hasAnthropicToolOutput(messages) {
+  return (Array.isArray(messages) ? messages : []).some((row) => row
+    && row.role === 'user'
+    && Array.isArray(row.content)
+    && row.content.some((part) => part && part.type === 'tool_result'));
+}
+
+/**
+ * Local stand-in for non-Responses providers: OpenAI-compatible
+ * `/v1/chat/completions` (also used for Ollama) and Anthropic `/v1/messages`.
+ *
+ * Replies echo the last user text as `RU: <text>`; when tools are offered and
+ * no tool output has been sent back yet, the first tool is called instead.
+ */
+function createMockChatProvidersServer({ host = '127.0.0.1', port = 0 } = {}) {
+  let server = null;
+  let listeningPort = null;
+  let seq = 0;
+
+  const stats = {
+    totalRequests: 0,
+    chatRequests: 0,
+    anthropicRequests: 0,
+    streamRequests: 0,
+    modelListRequests: 0
+  };
+  const recentRequests = [];
+  const MAX_RECENT_REQUESTS = 200;
+
+  const nextId = (prefix) => {
+    seq += 1;
+    return `${prefix}_${seq}`;
+  };
+
+  const pushRecent = (row) => {
+    recentRequests.push({ ts: Date.now(), ...(row && typeof row === 'object' ? row : {}) });
+    if (recentRequests.length > MAX_RECENT_REQUESTS) {
+      recentRequests.splice(0, recentRequests.length - MAX_RECENT_REQUESTS);
+    }
+  };
+
+  const baseHeaders = () => ({
+    'access-control-allow-origin': '*',
+    'access-control-allow-methods': 'POST,GET,OPTIONS',
+    'access-control-allow-headers': 'content-type,authorization,x-api-key,anthropic-version,anthropic-dangerous-direct-browser-access'
+  });
+
+  const json = (res, status, payload) => {
+    res.writeHead(status, {
+      ...baseHeaders(),
+      'content-type': 'application/json; charset=utf-8',
+      'cache-control': 'no-store, max-age=0'
+    });
+    res.end(JSON.stringify(payload || {}));
+  };
+
+  const sse = (res, frames) => {
+    res.writeHead(200, {
+      ...baseHeaders(),
+      'content-type': 'text/event-stream; charset=utf-8',
+      'cache-control': 'no-cache'
+    });
+    frames.forEach((frame) => {
+      const eventLine = frame.event ? `event: ${frame.event}\n` : '';
+      const data = typeof frame.data === 'string' ? frame.data : JSON.stringify(frame.data);
+      res.write(`${eventLine}data: ${data}\n\n`);
+    });
+    res.end();
+  };
+
+  const readBody = (req) => new Promise((resolve) => {
+    let buffer = '';
+    req.on('data', (chunk) => { buffer += String(chunk || ''); });
+    req.on('end', () => resolve(safeJsonParse(buffer, {})));
+    req.on('error', () => resolve({}));
+  });
+
+  const handleChat = (req, res, body) => {
+    stats.chatRequests += 1;
+    const messages = Array.isArray(body.messages) ? body.messages : [];
+    const tools = Array.isArray(body.tools) ? body.tools : [];
+    const toolName = tools.length && !hasChatToolOutput(messages) && tools[0].function
+      ? tools[0].function.name
+      : null;
+    const text = toolName ? '' : `RU: ${lastUserText(messages)}`;
+    const id = nextId('chatcmpl');
+    const callId = toolName ? nextId('call') : null;
+    const usage = { prompt_tokens: 12, completion_tokens: 5, total_tokens: 17, prompt_tokens_details: { cached_tokens: 2 } };
+    pushRecent({
+      kind: 'chat',
+      url: req.url,
+      stream: body.stream === true,
+      model: body.model || null,
+      messageCount: messages.length,
+      toolCount: tools.length,
+      authorization: req.headers.authorization || null
+    });
+    if (body.stream === true) {
+      stats.streamRequests += 1;
+      const frames = [];
+      if (toolName) {
+        frames.push({ data: { id, model: body.model, choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: callId, type: 'function', function: { name: toolName, arguments: '' } }] } }] } });
+        frames.push({ data: { id, model: body.model, choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '{}' } }] } }] } });
+      } else {
+        const middle = Math.ceil(text.length / 2);
+        frames.push({ data: { id, model: body.model, choices: [{ index: 0, delta: { role: 'assistant', content: text.slice(0, middle) } }] } });
+        frames.push({ data: { id, model: body.model, choices: [{ index: 0, delta: { content: text.slice(middle) } }] } });
+      }
+      frames.push({ data: { id, model: body.model, choices: [{ index: 0, delta: {}, finish_reason: toolName ? 'tool_calls' : 'stop' }] } });
+      frames.push({ data: { id, model: body.model, choices: [], usage } });
+      frames.push({ data: '[DONE]' });
+      sse(res, frames);
+      return;
+    }
+    json(res, 200, {
+      id,
+      object: 'chat.completion',
+      model: body.model,
+      choices: [{
+        index: 0,
+        finish_reason: toolName ? 'tool_calls' : 'stop',
+        message: toolName
+          ? { role: 'assistant', content: null, tool_calls: [{ id: callId, type: 'function', function: { name: toolName, arguments: '{}' } }] }
+          : { role: 'assistant', content: text }
+      }],
+      usage
+    });
+  };
+
+  const handleAnthropic = (req, res, body) => {
+    stats.anthropicRequests += 1;
+    if (!req.headers['x-api-key'] || !req.headers['anthropic-version']) {
+      json(res, 401, { type: 'error', error: { type: 'authentication_error', message: 'missing x-api-key' } });
+      return;
+    }
+    const messages = Array.isArray(body.messages) ? body.messages : [];
+    const tools = Array.isArray(body.tools) ? body.tools : [];
+    const toolName = tools.length && !hasAnthropicToolOutput(messages) ? tools[0].name : null;
+    const text = toolName ? '' : `RU: ${lastUserText(messages)}`;
+    const id = nextId('msg');
+    const toolUseId = toolName ? nextId('toolu') : null;
+    pushRecent({
+      kind: 'anthropic',
+      url: req.url,
+      stream: body.stream === true,
+      model: body.model || null,
+      system: typeof body.system === 'string' ? body.system : null,
+      messageCount: messages.length,
+      roles: messages.map((row) => row.role),
+      toolCount: tools.length
+    });
+    if (body.stream === true) {
+      stats.streamRequests += 1;
+      const frames = [
+        { event: 'message_start', data: { type: 'message_start', message: { id, model: body.model, usage: { input_tokens: 10, output_tokens: 1, cache_read_input_tokens: 4 } } } }
+      ];
+      if (toolName) {
+        frames.push({ event: 'content_block_start', data: { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: toolUseId, name: toolName, input: {} } } });
+        frames.push({ event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"a":' } } });
+        frames.push({ event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '1}' } } });
+      } else {
+        frames.push({ event: 'content_block_start', data: { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } } });
+        frames.push({ event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } } });
+      }
+      frames.push({ event: 'content_block_stop', data: { type: 'content_block_stop', index: 0 } });
+      frames.push({ event: 'message_delta', data: { type: 'message_delta', delta: { stop_reason: toolName ? 'tool_use' : 'end_turn' }, usage: { output_tokens: 6 } } });
+      frames.push({ event: 'message_stop', data: { type: 'message_stop' } });
+      sse(res, frames);
+      return;
+    }
+    json(res, 200, {
+      id,
+      type: 'message',
+      role: 'assistant',
+      model: body.model,
+      stop_reason: toolName ? 'tool_use' : 'end_turn',
+      content: toolName
+        ? [{ type: 'tool_use', id: toolUseId, name: toolName, input: { a: 1 } }]
+        : [{ type: 'text', text }],
+      usage: { input_tokens: 10, output_tokens: 6, cache_read_input_tokens: 4 }
+    });
+  };
+
+  const handle = async (req, res) => {
+    stats.totalRequests += 1;
+    const url = String(req.url || '').split('?')[0];
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, baseHeaders());
+      res.end();
+      return;
+    }
+    if (req.method === 'GET' && url === '/v1/models') {
+      stats.modelListRequests += 1;
+      json(res, 200, { object: 'list', data: [{ id: 'llama3.1' }, { id: 'qwen2.5' }] });
+      return;
+    }
+    if (req.method === 'GET' && url === '/api/tags') {
+      stats.modelListRequests += 1;
+      json(res, 200, { models: [{ name: 'llama3.1' }, { name: 'mistral' }] });
+      return;
+    }
+    if (req.method === 'POST' && url === '/v1/chat/completions') {
+      handleChat(req, res, await readBody(req));
+      return;
+    }
+    if (req.method === 'POST' && url === '/v1/messages') {
+      handleAnthropic(req, res, await readBody(req));
+      return;
+    }
+    json(res, 404, { error: { code: 'not_found', message: `mock route not found: ${url}` } });
+  };
+
+  return {
+    async start() {
+      if (server) {
+        return this;
+      }
+      server = http.createServer((req, res) => {
+        handle(req, res).catch((error) => {
+          json(res, 500, { error: { code: 'MOCK_SERVER_ERROR', message: error && error.message ? error.message : 'mock failure' } });
+        });
+      });
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          resolve();
+        });
+      });
+      const addr = server.address();
+      listeningPort = addr && typeof addr.port === 'number' ? addr.port : null;
+      return this;
+    },
+
+    async stop() {
+      if (!server) {
+        return;
+      }
+      const current = server;
+      server = null;
+      listeningPort = null;
+      await new Promise((resolve) => current.close(() => resolve()));
+    },
+
+    resetStats() {
+      Object.keys(stats).forEach((key) => { stats[key] = 0; });
+      recentRequests.splice(0, recentRequests.length);
+      seq = 0;
+    },
+
+    getStats() {
+      return { ...stats };
+    },
+
+    getRecentRequests(limit = 60) {
+      const max = Math.max(1, Math.min(200, Math.round(Number(limit) || 60)));
+      return recentRequests.slice(-max).map((row) => ({ ...row }));
+    },
+
+    get origin() {
+      return listeningPort ? `http://${host}:${listeningPort}` : null;
+    }
+  };
+}
+
+module.exports = {
+  createMockChatProvidersServer
+};
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function element(tagName, attrs = {}, parent = null) {
+  const node = {
+    nodeType: 1,
+    tagName,
+    attrs: { ...attrs },
+    childNodes: [],
+    children: [],
+    parentElement: parent,
+    parentNode: parent,
+    isConnected: true,
+    classList: { add() {}, remove() {}, contains: () => false },
+    getAttribute(name) { return Object.prototype.hasOwnProperty.call(this.attrs, name) ? this.attrs[name] : null; },
+    setAttribute(name, value) { this.attrs[name] = String(value); },
+    removeAttribute(name) { delete this.attrs[name]; },
+    contains(other) {
+      for (let current = other; current; current = current.parentNode) {
+        if (current === this) {
+          return true;
+        }
+      }
+      return false;
+    }
+  };
+  if (parent) {
+    parent.childNodes.push(node);
+    parent.children.push(node);
+  }
+  return node;
+}
+
+function text(value, parent) {
+  const node = { nodeType: 3, textContent: value, parentElement: parent, parentNode: parent, isConnected: true };
+  parent.childNodes.push(node);
+  return node;
+}
+
+function buildPage() {
+  const body = element('BODY');
+  const title = element('TITLE');
+  title.textContent = 'Welcome page';
+  const meta = element('META', { name: 'description', content: 'Articles about gardening' });
+  const img = element('IMG', { alt: 'Company logo' }, body);
+  const button = element('BUTTON', { title: 'Save the draft' }, body);
+  text('Save', button);
+  const search = element('INPUT', { type: 'text', placeholder: 'Search articles', value: 'user input' }, body);
+  const submit = element('INPUT', { type: 'submit', value: 'Send' }, body);
+  element('INPUT', { type: 'hidden', placeholder: 'Never shown' }, body);
+  element('DIV', { 'aria-label': '42' }, body);
+  const select = element('SELECT', {}, body);
+  const option = element('OPTION', { label: 'First choice' }, select);
+  text('One', option);
+  const doc = {
+    body,
+    querySelector(selector) {
+      if (selector.includes('title')) {
+        return title;
+      }
+      return selector.includes('meta') ? meta : null;
+    }
+  };
+  return { doc, body, title, meta, img, button, search, submit, option };
+}
+
+function testIndexer(page) {
+  const indexer = new global.NT.DomIndexer({ doc: page.doc });
+  const scan = indexer.scan();
+  const attributeBlocks = scan.blocks.filter((block) => block.kind === 'attribute');
+  assert.deepStrictEqual(attributeBlocks.map((block) => [block.attribute, block.originalText]), [
+    ['#text', 'Welcome page'],
+    ['content', 'Articles about gardening'],
+    ['alt', 'Company logo'],
+    ['title', 'Save the draft'],
+    ['placeholder', 'Search articles'],
+    ['value', 'Send'],
+    ['label', 'First choice']
+  ], 'Hidden inputs and texts without letters are skipped');
+  assert.strictEqual(scan.stats.attributeBlocks, 7);
+  assert.deepStrictEqual(scan.blocks.filter((block) => block.kind !== 'attribute').map((block) => block.blockId), ['f0:b0', 'f0:b1'],
+    'Text blocks keep their ids');
+  const alt = attributeBlocks[2];
+  assert.strictEqual(alt.blockId, 'f0:a2');
+  assert(alt.domOrder > scan.blocks[1].domOrder, 'Attribute blocks are ordered after the text');
+  assert(alt.stableNodeKey.endsWith('|@alt'));
+  assert.strictEqual(alt.preCategory, 'attribute');
+  assert.strictEqual(scan.blockNodes[alt.blockId], page.img);
+  return scan;
+}
+
+function testClassifier(scan) {
+  const classified = new global.NT.DomClassifier().classifyBlocks(scan.blocks, {});
+  assert.strictEqual(classified.byBlockId['f0:a0'].category, 'attributes');
+  assert.strictEqual(classified.byBlockId['f0:a3'].category, 'attributes');
+  assert.notStrictEqual(classified.byBlockId['f0:b0'].category, 'attributes');
+}
+
+function testApplier(page, scan) {
+  const applier = new global.NT.DomApplier();
+  applier.setBlocks('job-1', scan.blocks, scan.blockNodes);
+  assert.strictEqual(applier.isTrackedNode(page.img, 'alt'), true);
+  assert.strictEqual(applier.isTrackedNode(page.img, 'title'), false);
+
+  const result = applier.applyBatch({
+    jobId: 'job-1',
+    items: [
+      { blockId: 'f0:a0', text: 'Добро пожаловать' },
+      { blockId: 'f0:a2', text: 'Логотип компании' },
+      { blockId: 'f0:a3', text: 'Сохранить черновик' },
+      { blockId: 'f0:b0', text: 'Сохранить' },
+      { blockId: 'f0:a5', text: 'Отправить' }
+    ]
+  });
+  assert.strictEqual(result.appliedCount, 5);
+  assert.strictEqual(page.title.textContent, 'Добро пожаловать');
+  assert.strictEqual(page.img.attrs.alt, 'Логотип компании');
+  assert.strictEqual(page.button.attrs.title, 'Сохранить черновик', 'Rendering the button text keeps its tooltip');
+  assert.strictEqual(page.submit.attrs.value, 'Отправить');
+  assert.strictEqual(page.search.attrs.value, 'user input', 'Only the placeholder of a text field is touched');
+
+  applier.setDisplayMode('original');
+  assert.strictEqual(page.img.attrs.alt, 'Company logo');
+  applier.setDisplayMode('translated');
+  assert.strictEqual(page.img.attrs.alt, 'Логотип компании');
+
+  applier.restoreOriginals({ jobId: 'job-1' });
+  assert.strictEqual(page.title.textContent, 'Welcome page');
+  assert.strictEqual(page.button.attrs.title, 'Save the draft');
+  assert.strictEqual(page.submit.attrs.value, 'Send');
+  return applier;
+}
+
+function testDynamicSubtree(page, applier) {
+  const indexer = new global.NT.DomIndexer({ doc: page.doc });
+  const added = element('IMG', { alt: 'Team photo', title: 'Our team' }, page.body);
+  const scanned = indexer.scanSubtrees([added, page.img], {
+    startIndex: 5,
+    isIndexed: (node, attribute) => applier.isTrackedNode(node, attribute)
+  });
+  assert.deepStrictEqual(scanned.blocks.map((block) => [block.blockId, block.attribute]), [
+    ['f0:d5', 'title'],
+    ['f0:d6', 'alt']
+  ], 'Only attributes the applier does not track yet are indexed');
+}
+
+function testBackground(scan) {
+  const orchestrator = new global.NT.TranslationOrchestrator({
+    jobStore: { async upsertJob() {}, async setActiveJob() {}, async clearActiveJob() {} },
+    translationCall: { async translateBatch() { return { items: [] }; } }
+  });
+  const normalized = orchestrator._normalizeBlocks(scan.blocks.concat([{ blockId: 'f0:x', originalText: 'Bad', kind: 'attribute', attribute: 'on click' }]));
+  const byId = {};
+  normalized.forEach((block) => { byId[block.blockId] = block; });
+  assert.deepStrictEqual([byId['f0:a2'].kind, byId['f0:a2'].attribute], ['attribute', 'alt']);
+  assert.deepStrictEqual([byId['f0:b0'].kind, byId['f0:b0'].attribute], ['text', null]);
+  assert.deepStrictEqual([byId['f0:x'].kind, byId['f0:x'].attribute], ['text', null], 'Unknown attribute names are dropped');
+  assert.strictEqual(orchestrator._normalizeCategory('attribute'), 'attributes');
+
+  const prompt = global.NT.TranslationCall.prototype._buildPrompt.call(
+    new global.NT.TranslationCall({ runLlmRequest: async () => ({}) }),
+    [byId['f0:a2'], byId['f0:b0']],
+    'ru',
+    null
+  );
+  const payload = JSON.parse(prompt.split('\n').pop());
+  assert.strictEqual(payload[0].attribute, 'alt');
+  assert.strictEqual(payload[1].attribute, undefined);
+  assert(prompt.includes('Items with "attribute"'), 'Prompt explains attribute items');
+}
+
+function run() {
+  global.NT = {};
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/content/dom-indexer.js');
+  load('extension/content/dom-classifier.js');
+  load('extension/content/dom-applier.js');
+  load('extension/ai/translation-call.js');
+  load('extension/bg/translation-orchestrator.js');
+
+  const page = buildPage();
+  const scan = testIndexer(page);
+  testClassifier(scan);
+  const applier = testApplier(page, scan);
+  testDynamicSubtree(page, applier);
+  testBackground(scan);
+
+  console.log('PASS: attribute blocks');
+}
+
+run();
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+let order = 0;
+
+function attach(parent, child, before = null) {
+  const index = before ? parent.childNodes.indexOf(before) : -1;
+  if (index >= 0) {
+    parent.childNodes.splice(index, 0, child);
+  } else {
+    parent.childNodes.push(child);
+  }
+  child.parentElement = parent;
+  return child;
+}
+
+function element(tagName, parent = null, doc = null) {
+  const attributes = {};
+  const node = {
+    nodeType: 1,
+    tagName,
+    parentElement: null,
+    ownerDocument: doc,
+    childNodes: [],
+    style: {},
+    hidden: false,
+    textContent: '',
+    classList: { add() {}, remove() {}, contains: () => false },
+    setAttribute(name, value) { attributes[name] = String(value); },
+    getAttribute(name) { return Object.prototype.hasOwnProperty.call(attributes, name) ? attributes[name] : null; },
+    removeAttribute(name) { delete attributes[name]; },
+    appendChild(child) { return attach(node, child); },
+    insertBefore(child, before) { return attach(node, child, before); },
+    removeChild(child) {
+      node.childNodes = node.childNodes.filter((item) => item !== child);
+      child.parentElement = null;
+      return child;
+    },
+    get parentNode() { return node.parentElement; },
+    get firstChild() { return node.childNodes[0] || null; },
+    get nextSibling() {
+      const siblings = node.parentElement ? node.parentElement.childNodes : [];
+      return siblings[siblings.indexOf(node) + 1] || null;
+    },
+    get isConnected() { return node.tagName === 'BODY' || Boolean(node.parentElement && node.parentElement.isConnected); }
+  };
+  if (parent) {
+    attach(parent, node);
+  }
+  return node;
+}
+
+function text(value, parent) {
+  const node = {
+    nodeType: 3,
+    textContent: value,
+    parentElement: null,
+    order: order += 1,
+    get isConnected() { return Boolean(node.parentElement && node.parentElement.isConnected); },
+    compareDocumentPosition(other) { return other.order > node.order ? 4 : 2; }
+  };
+  return attach(parent, node);
+}
+
+/**
+ * <p>Click <a>here</a> to continue</p><ul><li>Home</li></ul><h2>Title</h2>
+ */
+function buildPage() {
+  const doc = { createElement: (tagName) => element(String(tagName).toUpperCase(), null, doc) };
+  const body = element('BODY', null, doc);
+  const p = element('P', body, doc);
+  const nodes = { b0: text('Click ', p) };
+  const a = element('A', p, doc);
+  nodes.b1 = text('here', a);
+  nodes.b2 = text(' to continue', p);
+  const ul = element('UL', body, doc);
+  const li = element('LI', ul, doc);
+  nodes.b3 = text('Home', li);
+  const h2 = element('H2', body, doc);
+  nodes.b4 = text('Title', h2);
+  const segment = (index, spaceBefore, spaceAfter) => ({ id: 'b0:seg', index, spaceBefore, spaceAfter });
+  const blocks = [
+    { blockId: 'b0', originalText: 'Click', category: 'main_content', segment: segment(0, false, true) },
+    { blockId: 'b1', originalText: 'here', category: 'main_content', segment: segment(1, false, false) },
+    { blockId: 'b2', originalText: 'to continue', category: 'main_content', segment: segment(2, true, false) },
+    { blockId: 'b3', originalText: 'Home', category: 'unknown' },
+    { blockId: 'b4', originalText: 'Title', category: 'unknown' }
+  ];
+  return { body, p, ul, li, h2, nodes, blocks };
+}
+
+const ITEMS = [
+  { blockId: 'b0', text: 'Нажмите' },
+  { blockId: 'b1', text: 'здесь' },
+  { blockId: 'b2', text: ', чтобы продолжить' },
+  { blockId: 'b3', text: 'Главная' },
+  { blockId: 'b4', text: 'Заголовок' }
+];
+
+function slotAfter(container) {
+  const next = container.nextSibling;
+  return next && next.tagName === 'NT-BILINGUAL' ? next : null;
+}
+
+function slotInside(container) {
+  return container.childNodes.find((node) => node.tagName === 'NT-BILINGUAL') || null;
+}
+
+function testApplier() {
+  const page = buildPage();
+  const applier = new global.NT.DomApplier();
+  assert.strictEqual(applier._normalizeMode('bilingual'), 'bilingual');
+  applier.setBlocks('job-1', page.blocks, page.nodes);
+  applier.setDisplayMode('bilingual');
+  applier.applyBatch({ jobId: 'job-1', items: ITEMS });
+
+  assert.deepStrictEqual(
+    ['b0', 'b1', 'b2', 'b3', 'b4'].map((blockId) => page.nodes[blockId].textContent),
+    ['Click ', 'here', ' to continue', 'Home', 'Title'],
+    'Originals stay in place'
+  );
+  const paragraphSlot = slotAfter(page.p);
+  assert(paragraphSlot, 'The paragraph gets one sibling below it, not one per inline piece');
+  assert.strictEqual(paragraphSlot.textContent, 'Нажмите здесь, чтобы продолжить');
+  assert.strictEqual(paragraphSlot.getAttribute('translate'), 'no');
+  assert.strictEqual(page.body.childNodes.filter((node) => node.tagName === 'NT-BILINGUAL').length, 2);
+  assert.strictEqual(slotAfter(page.ul), null, 'A list does not get stray children between its items');
+  assert.strictEqual(slotInside(page.li).textContent, 'Главная');
+  assert.strictEqual(slotAfter(page.h2).textContent, 'Заголовок');
+  assert.strictEqual(applier.isTrackedNode(paragraphSlot), true, 'Our own element is not new page content');
+
+  const edited = applier.findEditableBlock(paragraphSlot);
+  assert.strictEqual(edited.blockId, 'b0');
+
+  applier.setBilingualCategories(['Main_Content']);
+  assert.strictEqual(page.nodes.b4.textContent, 'Заголовок', 'Filtered-out categories read as translated');
+  assert.strictEqual(slotAfter(page.h2), null);
+  assert.strictEqual(slotAfter(page.p).textContent, 'Нажмите здесь, чтобы продолжить');
+
+  applier.setBlockCategories({ b4: { category: 'main_content' }, b0: { category: 'main_content' } });
+  assert.strictEqual(page.nodes.b4.textContent, 'Title', 'A reclassified block joins bilingual mode');
+  assert.strictEqual(slotAfter(page.h2).textContent, 'Заголовок');
+
+  applier.setDisplayMode('translated');
+  assert.strictEqual(slotAfter(page.p), null, 'Leaving the mode removes the slots');
+  assert.strictEqual(page.nodes.b2.textContent, ', чтобы продолжить');
+
+  applier.setBilingualCategories([]);
+  applier.setDisplayMode('bilingual');
+  assert.strictEqual(page.nodes.b3.textContent, 'Home');
+  const restored = applier.restoreOriginals({ jobId: 'job-1' });
+  assert(restored.restored >= 3, 'Restoring counts the removed slots');
+  assert.strictEqual(page.body.childNodes.some((node) => node.tagName === 'NT-BILINGUAL'), false);
+  assert.strictEqual(slotInside(page.li), null);
+}
+
+function testSettings() {
+  const orchestrator = global.NT.TranslationOrchestrator.prototype;
+  assert.strictEqual(orchestrator._normalizeDisplayMode('bilingual'), 'bilingual');
+  assert.deepStrictEqual(
+    orchestrator._bilingualCategories({ translationBilingualCategories: ['Headings', 5, 'headings', 'main_content'] }),
+    ['headings', 'main_content']
+  );
+  assert.deepStrictEqual(orchestrator._bilingualCategories({}), []);
+}
+
+function run() {
+  global.NT = {};
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/content/dom-applier.js');
+  load('extension/bg/translation-orchestrator.js');
+
+  testApplier();
+  testSettings();
+
+  console.log('PASS: bilingual display mode');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+}
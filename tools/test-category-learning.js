@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const NAV_ITEM = 'body:nth-of-type(1) > nav:nth-of-type(1) > ul:nth-of-type(1) > li:nth-of-type(2)';
+const NAV_PATTERN = 'body:nth-of-type(1) > nav:nth-of-type(1) > ul:nth-of-type(1) > li';
+const SIDEBAR_ITEM = 'body:nth-of-type(1) > aside:nth-of-type(1) > p:nth-of-type(1)';
+
+function testMemory() {
+  const Learning = global.NT.CategoryLearning;
+  assert.strictEqual(Learning.patternFor({ pathHint: NAV_ITEM }), NAV_PATTERN, 'Sibling items share one pattern');
+  assert.strictEqual(Learning.patternFor({ kind: 'attribute', pathHint: NAV_ITEM }), null);
+  assert.strictEqual(Learning.patternFor({}), null);
+
+  let memory = Learning.record({}, 'https://www.example.com/docs', [
+    { pattern: NAV_PATTERN, category: 'navigation', verdict: 'exclude' },
+    { pattern: 'p', category: 'Main_Content', verdict: 'include' },
+    { pattern: 'x', category: 'navigation', verdict: 'maybe' }
+  ], 100);
+  assert.deepStrictEqual(Object.keys(memory), ['example.com']);
+  assert.deepStrictEqual(memory['example.com'].p, { category: 'main_content', verdict: 'include', hits: 1, updatedAt: 100 });
+  assert.strictEqual(memory['example.com'].x, undefined, 'Unknown verdicts are dropped');
+
+  memory = Learning.record(memory, 'example.com', [{ pattern: NAV_PATTERN, category: 'navigation', verdict: 'exclude' }], 200);
+  assert.strictEqual(memory['example.com'][NAV_PATTERN].hits, 2, 'A repeated verdict grows stronger');
+  memory = Learning.record(memory, 'example.com', [{ pattern: NAV_PATTERN, category: 'navigation', verdict: 'include' }], 300);
+  assert.deepStrictEqual([memory['example.com'][NAV_PATTERN].verdict, memory['example.com'][NAV_PATTERN].hits], ['include', 1],
+    'Re-adding a dropped pattern starts the entry over');
+
+  assert.strictEqual(Object.keys(Learning.forUrl(memory, 'https://example.com/other')).length, 2);
+  assert.deepStrictEqual(Learning.forUrl(memory, 'https://docs.example.com/'), {}, 'Learning is kept per host');
+  assert.deepStrictEqual(Learning.withoutHost(memory, 'https://example.com/'), {});
+  assert(memory['example.com'], 'withoutHost does not mutate its input');
+}
+
+function testClassifier() {
+  const classifier = new global.NT.DomClassifier();
+  const navBlock = { blockId: 'b0', originalText: 'Pricing', pathHint: NAV_ITEM, features: { tag: 'li', isInNav: true } };
+  const sideBlock = { blockId: 'b1', originalText: 'Sidebar note that is long enough', pathHint: SIDEBAR_ITEM, features: { tag: 'p' } };
+  const plain = classifier.classifyBlocks([navBlock, sideBlock], {});
+  assert.strictEqual(plain.byBlockId.b0.category, 'navigation');
+
+  const demoted = classifier.classifyBlocks([navBlock], {
+    learnedCategories: { [NAV_PATTERN]: { category: 'navigation', verdict: 'exclude', hits: 1 } }
+  }).byBlockId.b0;
+  assert.strictEqual(demoted.category, 'navigation');
+  assert(demoted.confidence < plain.byBlockId.b0.confidence, 'One exclusion only lowers confidence');
+  assert(demoted.reasons.includes('learned:exclude:navigation'));
+
+  const repeated = classifier.classifyBlocks([navBlock], {
+    learnedCategories: { [NAV_PATTERN]: { category: 'navigation', verdict: 'exclude', hits: 5 } }
+  }).byBlockId.b0;
+  assert.strictEqual(repeated.category, 'navigation', 'Category deselects never move blocks out of the category');
+  assert(repeated.confidence < demoted.confidence);
+
+  const sidePattern = 'body:nth-of-type(1) > aside:nth-of-type(1) > p';
+  const included = classifier.classifyBlocks([sideBlock], {
+    learnedCategories: { [sidePattern]: { category: 'main_content', verdict: 'include', hits: 3 } }
+  }).byBlockId.b1;
+  assert.deepStrictEqual([included.category, included.confidence], ['main_content', 0.85]);
+  assert(included.reasons.includes('learned:include:main_content'));
+
+  const ruled = classifier.classifyBlocks([{ ...navBlock, siteRule: { action: 'category', category: 'headings' } }], {
+    learnedCategories: { [NAV_PATTERN]: { category: 'navigation', verdict: 'include', hits: 1 } }
+  }).byBlockId.b0;
+  assert.strictEqual(ruled.category, 'headings', 'An explicit site rule beats learned corrections');
+}
+
+function buildJob() {
+  return {
+    id: 'job-c',
+    tabId: 4,
+    url: 'https://www.example.com/page',
+    status: 'awaiting_categories',
+    selectedCategories: ['main_content', 'navigation'],
+    availableCategories: ['main_content', 'navigation', 'footer'],
+    agentState: { categoryRecommendations: { recommended: ['main_content', 'navigation'], optional: ['footer'], excluded: [] } },
+    blocksById: {
+      b0: { blockId: 'b0', originalText: 'Article', pathHint: 'body:nth-of-type(1) > main:nth-of-type(1) > p:nth-of-type(1)', category: 'main_content' },
+      b1: { blockId: 'b1', originalText: 'Home', pathHint: NAV_ITEM, category: 'navigation' },
+      b2: { blockId: 'b2', originalText: 'Docs', pathHint: NAV_ITEM.replace('(2)', '(3)'), category: 'navigation' },
+      b3: { blockId: 'b3', originalText: 'Contacts', pathHint: 'body:nth-of-type(1) > footer:nth-of-type(1) > a:nth-of-type(1)', category: 'footer' }
+    },
+    classification: {
+      byBlockId: {
+        b0: { category: 'main_content', confidence: 0.8 },
+        b1: { category: 'navigation', confidence: 0.9 },
+        b2: { category: 'navigation', confidence: 0.9 },
+        b3: { category: 'footer', confidence: 0.9 }
+      }
+    }
+  };
+}
+
+async function testOrchestrator() {
+  let stored = { translationCategoryLearning: {} };
+  const jobs = new Map([['job-c', buildJob()]]);
+  const orchestrator = new global.NT.TranslationOrchestrator({
+    jobStore: {
+      async getJob(id) { return jobs.has(id) ? clone(jobs.get(id)) : null; },
+      async getActiveJob() { return clone(jobs.get('job-c')); },
+      async upsertJob(job) { jobs.set(job.id, clone(job)); },
+      async setActiveJob() {},
+      async clearActiveJob() {}
+    },
+    settingsStore: {
+      async get() { return clone(stored); },
+      async set(patch) { stored = { ...stored, ...patch }; }
+    }
+  });
+  orchestrator.classifyBlocksForJob = async () => ({ ok: true });
+  orchestrator._processJob = async () => {};
+
+  const job = buildJob();
+  assert.deepStrictEqual(orchestrator._categorySelectionBaseline(job), ['main_content', 'navigation'],
+    'Before the first confirmation the planner proposal is the baseline');
+  job.categorySelectionConfirmed = true;
+  job.selectedCategories = ['main_content'];
+  assert.deepStrictEqual(orchestrator._categorySelectionBaseline(job), ['main_content']);
+
+  const replaced = await orchestrator.applyCategorySelection({ tabId: 4, categories: ['main_content', 'footer'], mode: 'replace' });
+  assert.strictEqual(replaced.ok, true);
+  const learned = stored.translationCategoryLearning['example.com'];
+  assert.deepStrictEqual(Object.keys(learned).sort(), [
+    'body:nth-of-type(1) > footer:nth-of-type(1) > a',
+    NAV_PATTERN
+  ], 'Only changed categories are learned, one entry per pattern');
+  assert.deepStrictEqual([learned[NAV_PATTERN].verdict, learned[NAV_PATTERN].category], ['exclude', 'navigation']);
+  assert.strictEqual(learned['body:nth-of-type(1) > footer:nth-of-type(1) > a'].verdict, 'include');
+
+  const settings = { translationCategoryLearning: stored.translationCategoryLearning };
+  assert.deepStrictEqual(Object.keys(orchestrator._learnedCategoriesForUrl(settings, 'https://example.com/next')).length, 2);
+
+  const same = await orchestrator._learnCategoryCorrections(jobs.get('job-c'), ['main_content', 'footer']);
+  assert.deepStrictEqual(same, { ok: true, learned: 0 }, 'An unchanged selection teaches nothing');
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/core/site-rules.js');
+  load('extension/core/category-learning.js');
+  load('extension/content/dom-classifier.js');
+  load('extension/bg/translation-orchestrator.js');
+
+  testMemory();
+  testClassifier();
+  await testOrchestrator();
+
+  console.log('PASS: category learning');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function testApplierTracking() {
+  const applier = new global.NT.DomApplier();
+  const host = { nodeType: 1, classList: { contains: () => false } };
+  const added = { nodeType: 1, classList: { contains: () => false } };
+  const nodeA = { nodeType: 3, textContent: 'Hello', parentElement: host };
+  const nodeB = { nodeType: 3, textContent: 'More', parentElement: added };
+  applier.setBlocks('job-1', [{ blockId: 'b0', originalText: 'Hello' }], { b0: nodeA });
+  assert.strictEqual(applier.isTrackedNode(nodeA), true, 'Text of an indexed host belongs to the applier');
+  assert.strictEqual(applier.isTrackedNode(nodeB), false);
+
+  assert.deepStrictEqual(applier.appendBlocks('job-2', [{ blockId: 'd0', originalText: 'More' }], { d0: nodeB }), { added: 0 },
+    'Deltas for another job are ignored');
+  assert.deepStrictEqual(applier.appendBlocks('job-1', [{ blockId: 'd0', originalText: 'More' }], { d0: nodeB }), { added: 1 });
+  assert.strictEqual(applier.isTrackedNode(nodeB), true);
+  assert(applier.records.b0, 'Appending keeps the existing records');
+}
+
+function createOrchestrator(initialJob) {
+  const jobs = new Map([[initialJob.id, clone(initialJob)]]);
+  const orchestrator = new global.NT.TranslationOrchestrator({
+    jobStore: {
+      async getJob(id) { return jobs.has(id) ? clone(jobs.get(id)) : null; },
+      async upsertJob(job) { jobs.set(job.id, clone(job)); },
+      async setActiveJob() {},
+      async clearActiveJob() {}
+    },
+    translationCall: { async translateBatch() { return { items: [] }; } }
+  });
+  orchestrator._readAgentSettings = async () => ({ translationDynamicContentEnabled: true, translationMemoryEnabled: false });
+  orchestrator._scheduleDynamicFlush = () => {};
+  orchestrator.processed = [];
+  orchestrator._processJob = async (jobId) => { orchestrator.processed.push(jobId); };
+  return { orchestrator, jobs };
+}
+
+function delta(ids, category = 'main_content') {
+  const blocks = ids.map((id) => ({ blockId: id, originalText: `New paragraph ${id}`, pathHint: 'main > p' }));
+  const byBlockId = {};
+  ids.forEach((id) => { byBlockId[id] = { category, confidence: 0.9 }; });
+  return { type: global.NT.TranslationProtocol.CS_SCAN_DELTA, jobId: 'job-d', blocks, byBlockId };
+}
+
+async function testDeltaReopensDoneJob() {
+  const { orchestrator, jobs } = createOrchestrator({
+    id: 'job-d',
+    tabId: 7,
+    status: 'done',
+    targetLang: 'ru',
+    scanReceived: true,
+    categorySelectionConfirmed: true,
+    selectedCategories: ['main_content'],
+    availableCategories: ['main_content', 'navigation'],
+    totalBlocks: 1,
+    completedBlocks: 1,
+    pendingBlockIds: [],
+    failedBlockIds: [],
+    blocksById: {
+      'f0:0': { blockId: 'f0:0', originalText: 'First', translatedText: 'Первый', category: 'main_content', domOrder: 0, pathHint: 'main > p' }
+    }
+  });
+
+  const ignored = await orchestrator._handleScanDelta({ message: delta(['f0:d0']), tabId: 7, frameId: 2 });
+  assert.strictEqual(ignored.reason, 'non_top_frame_scan');
+
+  const accepted = await orchestrator._handleScanDelta({ message: delta(['f0:0', 'f0:d0', 'f0:d1']), tabId: 7, frameId: 0 });
+  assert.deepStrictEqual([accepted.accepted, accepted.dropped], [2, 0], 'Blocks already in the job are not queued again');
+
+  orchestrator.processingJobs.add('job-d');
+  assert.strictEqual((await orchestrator._flushDynamicContent('job-d')).deferred, true, 'No merge while the job loop runs');
+  orchestrator.processingJobs.delete('job-d');
+
+  const flushed = await orchestrator._flushDynamicContent('job-d');
+  assert.deepStrictEqual([flushed.added, flushed.pending], [2, 2]);
+  const job = jobs.get('job-d');
+  assert.strictEqual(job.status, 'running', 'A finished job is reopened for the new blocks');
+  assert.deepStrictEqual(job.pendingBlockIds, ['f0:d0', 'f0:d1']);
+  assert.strictEqual(job.totalBlocks, 3);
+  assert.strictEqual(job.blocksById['f0:d1'].domOrder, 2, 'New blocks are ordered after the scanned ones');
+  assert.strictEqual(job.blocksById['f0:d0'].dynamic, true);
+  assert.strictEqual(job.dynamicContent.blocksAdded, 2);
+  assert.deepStrictEqual(orchestrator.processed, ['job-d']);
+  assert.deepStrictEqual(orchestrator._toJobSummary(job).dynamicContent.blocksQueued, 2);
+}
+
+async function testUnselectedAndThrottled() {
+  const { orchestrator, jobs } = createOrchestrator({
+    id: 'job-d',
+    tabId: 7,
+    status: 'done',
+    targetLang: 'ru',
+    scanReceived: true,
+    categorySelectionConfirmed: true,
+    selectedCategories: ['main_content'],
+    availableCategories: ['main_content'],
+    pendingBlockIds: [],
+    failedBlockIds: [],
+    blocksById: {}
+  });
+  orchestrator.DYNAMIC_MAX_BLOCKS_PER_MINUTE = 2;
+  const result = await orchestrator._handleScanDelta({ message: delta(['f0:d0', 'f0:d1', 'f0:d2'], 'navigation'), tabId: 7, frameId: 0 });
+  assert.deepStrictEqual([result.accepted, result.dropped], [2, 1], 'The per-minute budget drops the overflow');
+  await orchestrator._flushDynamicContent('job-d');
+  const job = jobs.get('job-d');
+  assert.strictEqual(job.status, 'done', 'Blocks outside the selected categories do not reopen the job');
+  assert(job.availableCategories.includes('navigation'), 'Their category becomes selectable');
+  assert.strictEqual(job.dynamicContent.dropped, 1);
+  assert.deepStrictEqual(orchestrator.processed, []);
+
+  orchestrator._readAgentSettings = async () => ({ translationDynamicContentEnabled: false });
+  const disabled = await orchestrator._handleScanDelta({ message: delta(['f0:d5']), tabId: 7, frameId: 0 });
+  assert.strictEqual(disabled.reason, 'dynamic_content_disabled');
+}
+
+async function testPausedAndChangedJob() {
+  const base = {
+    id: 'job-d',
+    tabId: 7,
+    status: 'done',
+    targetLang: 'ru',
+    scanReceived: true,
+    categorySelectionConfirmed: true,
+    selectedCategories: ['main_content'],
+    availableCategories: ['main_content'],
+    pendingBlockIds: [],
+    failedBlockIds: [],
+    blocksById: {},
+    updatedAt: 1
+  };
+  const { orchestrator, jobs } = createOrchestrator(base);
+  await orchestrator._handleScanDelta({ message: delta(['f0:d0']), tabId: 7, frameId: 0 });
+  jobs.set('job-d', { ...clone(base), status: 'paused', updatedAt: 2 });
+  await orchestrator._flushDynamicContent('job-d');
+  assert.strictEqual(orchestrator.dynamicContentByJob.has('job-d'), false, 'A paused job drops its dynamic queue');
+  const whilePaused = await orchestrator._handleScanDelta({ message: delta(['f0:d1']), tabId: 7, frameId: 0 });
+  assert.strictEqual(whilePaused.ignored, true);
+
+  jobs.set('job-d', clone(base));
+  await orchestrator._handleScanDelta({ message: delta(['f0:d2']), tabId: 7, frameId: 0 });
+  const appliedIds = [];
+  orchestrator._applyItemsToTab = async ({ items }) => {
+    items.forEach((item) => appliedIds.push(item.blockId));
+    return { ok: true, appliedTotal: items.length };
+  };
+  orchestrator._restoreFromTranslationMemory = async ({ blocks }) => {
+    blocks.forEach((block) => {
+      block.translatedText = 'Из памяти';
+    });
+    jobs.set('job-d', { ...clone(base), message: 'touched', updatedAt: 3 });
+  };
+  const deferred = await orchestrator._flushDynamicContent('job-d');
+  assert.strictEqual(deferred.deferred, true, 'A job changed during the memory lookup is not overwritten');
+  assert.strictEqual(jobs.get('job-d').message, 'touched');
+  assert.deepStrictEqual(appliedIds, [], 'Nothing reaches the page before the freshness check');
+  assert.strictEqual(orchestrator.dynamicContentByJob.get('job-d').queue.length, 1, 'The entries wait for the next flush');
+
+  orchestrator._restoreFromTranslationMemory = async ({ blocks }) => {
+    blocks.forEach((block) => {
+      block.translatedText = 'Из памяти';
+    });
+  };
+  const flushed = await orchestrator._flushDynamicContent('job-d');
+  assert.deepStrictEqual([flushed.added, flushed.pending, appliedIds.length], [1, 0, 1], 'A re-queued memory hit is applied once');
+  assert.strictEqual(jobs.get('job-d').blocksById[appliedIds[0]].translatedText, 'Из памяти');
+
+  await orchestrator._handleScanDelta({ message: delta(['f0:d3']), tabId: 7, frameId: 0 });
+
+  orchestrator._restoreFromTranslationMemory = async () => {
+    jobs.set('job-d', { ...clone(base), status: 'cancelled', updatedAt: 4 });
+  };
+  await orchestrator._flushDynamicContent('job-d');
+  assert.strictEqual(jobs.get('job-d').status, 'cancelled', 'A stale copy never revives a cancelled job');
+  assert.strictEqual(orchestrator.dynamicContentByJob.has('job-d'), false);
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/content/dom-applier.js');
+  load('extension/bg/translation-orchestrator.js');
+
+  testApplierTracking();
+  await testDeltaReopensDoneJob();
+  await testUnselectedAndThrottled();
+  await testPausedAndChangedJob();
+
+  console.log('PASS: dynamic content');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function texts(entities) {
+  return entities.map((entity) => `${entity.kind}:${entity.text}`);
+}
+
+function testDetection() {
+  const Protection = global.NT.EntityProtection;
+  assert.strictEqual(Protection.normalizeMode('MODEL'), 'model');
+  assert.strictEqual(Protection.normalizeMode('later'), 'heuristic');
+
+  let masked = Protection.protect('Run `npm install`, then open src/app.js or /usr/local/bin.');
+  assert.strictEqual(masked.text, 'Run ⟦1⟧, then open ⟦2⟧ or ⟦3⟧.');
+  assert.deepStrictEqual(texts(masked.entities), ['code:`npm install`', 'path:src/app.js', 'path:/usr/local/bin'],
+    'Trailing sentence punctuation stays outside the path');
+
+  masked = Protection.protect('Use --force or -v, call getElementById() and set max_retries in config.yaml.');
+  assert.deepStrictEqual(texts(masked.entities), ['flag:--force', 'flag:-v', 'identifier:getElementById()', 'identifier:max_retries', 'path:config.yaml']);
+
+  masked = Protection.protect('Push to GitHub, mail help@example.com or see https://example.com/docs. Hello {name}!');
+  assert.deepStrictEqual(texts(masked.entities), ['name:GitHub', 'email:help@example.com', 'url:https://example.com/docs', 'placeholder:{name}']);
+
+  assert.deepStrictEqual(Protection.protect('A well-known tool, 3-5 days, e.g. pre-built.').entities, [], 'Ordinary prose is left alone');
+  assert.deepStrictEqual(Protection.protect('Click {1}Save{/1} now').entities, [], 'Inline markup tags are not entities');
+  assert.deepStrictEqual(Protection.protect('It works fine.so we go. See item a.c, note b.h and section 3.c.').entities, [],
+    'Words after a missing space are not file names');
+  assert.deepStrictEqual(Protection.protect('It was OK.so we left. The end.then came home, see the cat.dog page.').entities, [],
+    'Plain word.word is not a dotted identifier');
+
+  masked = Protection.protect('Open src/main.c, README.md or libssl3.so and read window.location.href, obj.my_prop or app.getUser.');
+  assert.deepStrictEqual(texts(masked.entities), [
+    'path:src/main.c', 'path:README.md', 'path:libssl3.so',
+    'identifier:window.location.href', 'identifier:obj.my_prop', 'identifier:app.getUser'
+  ]);
+
+  masked = Protection.protect('Steve Jobs met steve jobs at Apple.', {
+    terms: Protection.glossaryTerms([{ term: 'steve jobs', doNotTranslate: true, caseRule: 'insensitive' }, { term: 'Apple', translation: 'Эппл' }]),
+    entities: ['Apple']
+  });
+  assert.strictEqual(masked.text, '⟦1⟧ met ⟦2⟧ at ⟦3⟧.', 'Each distinct spelling keeps its own token');
+  assert.deepStrictEqual(texts(masked.entities), ['glossary:Steve Jobs', 'glossary:steve jobs', 'entity:Apple']);
+
+  const repeated = Protection.protect('GitHub and GitHub');
+  assert.deepStrictEqual([repeated.text, repeated.entities.length], ['⟦1⟧ and ⟦1⟧', 1]);
+  assert.deepStrictEqual(Protection.protect('Already ⟦1⟧ here, GitHub').entities, [], 'Token-like source text is never masked');
+}
+
+function testRestore() {
+  const Protection = global.NT.EntityProtection;
+  const entities = [{ token: '⟦1⟧', text: 'GitHub', kind: 'name' }, { token: '⟦2⟧', text: '--force', kind: 'flag' }];
+  assert.deepStrictEqual(Protection.restore('Откройте ⟦1⟧ с ⟦2⟧', entities), { text: 'Откройте GitHub с --force', lost: [] });
+  assert.deepStrictEqual(Protection.restore('Откройте ⟦1⟧ ⟦7⟧', entities), { text: 'Откройте GitHub ', lost: ['--force'] });
+  assert.deepStrictEqual(Protection.restore('Откройте ⟦1⟧ с ⟦', entities, { partial: true }), { text: 'Откройте GitHub с ', lost: [] },
+    'A token still being streamed is hidden');
+
+  const job = { blocksById: { b1: { blockId: 'b1' } } };
+  Protection.recordBlock(job, 'b1', { entities, lost: ['--force'], retried: true });
+  assert.deepStrictEqual(job.blocksById.b1.protectedEntities, [{ text: 'GitHub', kind: 'name' }, { text: '--force', kind: 'flag' }]);
+  assert.deepStrictEqual([job.entityProtection.protectedSpans, job.entityProtection.lostSpans, job.entityProtection.retriedBlocks], [2, 1, 1]);
+  assert.deepStrictEqual(job.entityProtection.byKind, { name: 1, flag: 1 });
+  Protection.recordBlock(job, 'b1', {});
+  assert.strictEqual(job.blocksById.b1.protectedEntities, undefined);
+  assert.deepStrictEqual(job.entityProtection.byBlockId, {});
+}
+
+function fakeCall(answer) {
+  const requests = [];
+  const call = new global.NT.TranslationCall({
+    runLlmRequest: async ({ taskType, request }) => {
+      requests.push({ taskType, request });
+      const text = request.input[request.input.length - 1].content[0].text;
+      if (taskType === 'translation_entity_detect') {
+        const payload = JSON.parse(text);
+        return { output_text: JSON.stringify({ items: payload.items.map((item) => ({ blockId: item.blockId, entities: ['Ada Lovelace', 'Nobody'] })) }) };
+      }
+      const payload = JSON.parse(text.slice(text.lastIndexOf('\n') + 1));
+      return { output_text: JSON.stringify({ items: payload.map((item) => ({ blockId: item.blockId, text: answer(item) })) }) };
+    }
+  });
+  return { call, requests };
+}
+
+async function testTranslateBatch() {
+  const blocks = [
+    { blockId: 'b1', originalText: 'Run npm with --force' },
+    { blockId: 'b2', originalText: 'Ada Lovelace wrote notes' }
+  ];
+  let { call, requests } = fakeCall((item) => item.text.replace('Run npm with', 'Запустите npm с').replace('wrote notes', 'писала заметки'));
+  let result = await call.translateBatch(blocks, { targetLang: 'ru', agentContext: { entityProtection: 'heuristic' } });
+  assert.strictEqual(requests.length, 1);
+  const prompt = requests[0].request.input[requests[0].request.input.length - 1].content[0].text;
+  assert(prompt.includes('"text":"Run npm with ⟦1⟧"') && prompt.includes('Tokens like ⟦1⟧'));
+  assert.deepStrictEqual(result.items.map((item) => item.text), ['Запустите npm с --force', 'Ada Lovelace писала заметки']);
+  assert.deepStrictEqual(result.entityProtection.byBlockId.b1, { entities: [{ text: '--force', kind: 'flag' }], lost: [], retried: false });
+  assert.strictEqual(result.entityProtection.byBlockId.b2, undefined);
+
+  ({ call, requests } = fakeCall((item) => `${item.text} (ru)`));
+  result = await call.translateBatch(blocks.slice(1), { targetLang: 'ru', agentContext: { entityProtection: 'model' } });
+  assert.deepStrictEqual(requests.map((row) => row.taskType), ['translation_entity_detect', 'translation_batch']);
+  assert.strictEqual(result.items[0].text, 'Ada Lovelace wrote notes (ru)');
+  assert.deepStrictEqual(result.entityProtection.byBlockId.b2.entities, [{ text: 'Ada Lovelace', kind: 'entity' }],
+    'Only names present in the text are kept');
+  await call.translateBatch(blocks.slice(1), { targetLang: 'ru', agentContext: { entityProtection: 'model' } });
+  assert.strictEqual(requests.length, 2, 'Detections are cached per text');
+
+  ({ call, requests } = fakeCall((item) => (item.text.includes('⟦') ? 'Запустите npm' : 'Запустите npm с --force')));
+  result = await call.translateBatch(blocks.slice(0, 1), { targetLang: 'ru', batchId: 'x', agentContext: { entityProtection: 'heuristic' } });
+  assert.strictEqual(requests.length, 2, 'A lost token sends the block again unmasked');
+  assert.strictEqual(requests[1].request.blockId, 'x:entities');
+  assert.strictEqual(result.items[0].text, 'Запустите npm с --force');
+  assert.deepStrictEqual([result.entityProtection.lost, result.entityProtection.byBlockId.b1.lost], [1, ['--force']]);
+
+  ({ call, requests } = fakeCall((item) => item.text.replace('Open', 'Откройте').replace('today', 'сегодня')));
+  const open = (text) => call.translateBatch([{ blockId: 'b1', originalText: text }], {
+    targetLang: 'ru',
+    agentContext: { entityProtection: 'heuristic' }
+  });
+  assert.strictEqual((await open('Open GitHub today')).items[0].text, 'Откройте GitHub сегодня');
+  assert.strictEqual((await open('Open YouTube today')).items[0].text, 'Откройте YouTube сегодня',
+    'Sources with the same masked prompt do not share a cache entry');
+  assert.strictEqual((await open('Open GitHub today')).items[0].text, 'Откройте GitHub сегодня');
+  assert.strictEqual(requests.length, 2, 'The same source is served from the cache');
+
+  ({ call, requests } = fakeCall((item) => item.text));
+  result = await call.translateBatch(blocks, { targetLang: 'ru', agentContext: { entityProtection: 'off' } });
+  assert(!requests[0].request.input[requests[0].request.input.length - 1].content[0].text.includes('⟦'));
+  assert.strictEqual(result.entityProtection, undefined);
+}
+
+async function testRecording() {
+  const orchestrator = new global.NT.TranslationOrchestrator({});
+  assert.strictEqual(orchestrator._entityProtectionMode({ translationEntityProtection: 'model' }), 'model');
+  const job = { blocksById: { b1: { blockId: 'b1' } } };
+  orchestrator._recordEntityProtection(job, {
+    byBlockId: { b1: { entities: [{ text: '--force', kind: 'flag' }], lost: [], retried: false } },
+    modelError: 'offline'
+  });
+  assert.deepStrictEqual(job.blocksById.b1.protectedEntities, [{ text: '--force', kind: 'flag' }]);
+  assert.strictEqual(job.entityProtection.lastError.message, 'offline');
+  assert.strictEqual(orchestrator._toJobSummary(job).entityProtection.protectedSpans, 1);
+
+  const exporter = new global.NT.ReportExporter({ doc: null, win: {}, chromeApi: null });
+  const snapshot = { translationJob: { id: 'job-e', entityProtection: job.entityProtection } };
+  const report = exporter.buildReportJson({ snapshot });
+  assert.deepStrictEqual(report.entityProtection.blocks[0].entities, [{ kind: 'flag', text: '--force' }]);
+  assert.strictEqual(exporter.buildReportJson({ snapshot, includeTextMode: 'none' }).entityProtection.blocks[0].entities[0].text, '');
+  assert(exporter.buildReportHtml(report).includes('<h2>Protected entities</h2>'));
+}
+
+async function testAgentStream() {
+  const requests = [];
+  const registry = new global.NT.AgentToolRegistry({
+    runLlmRequest: async ({ request }) => {
+      requests.push(request);
+      const text = request.input[1].content[0].text;
+      return { output_text: text.includes('⟦1⟧') ? 'Запустите npm с ⟦1⟧' : 'Запустите npm с --force' };
+    },
+    applyDelta: async () => ({ ok: true })
+  });
+  const job = { id: 'job-a', tabId: 1, targetLang: 'ru', blocksById: { b1: { blockId: 'b1', originalText: 'Run npm with --force' } } };
+  const result = await registry._toolTranslateBlockStream({ blockId: 'b1' }, job, { translationEntityProtection: 'heuristic' });
+  assert.strictEqual(requests[0].input[1].content[0].text, 'Run npm with ⟦1⟧');
+  assert(requests[0].input[0].content[0].text.includes('⟦1⟧'));
+  assert.strictEqual(result.text, 'Запустите npm с --force');
+  assert.deepStrictEqual(job.blocksById.b1.protectedEntities, [{ text: '--force', kind: 'flag' }]);
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/core/user-glossary.js');
+  load('extension/core/entity-protection.js');
+  load('extension/core/redaction.js');
+  load('extension/ai/translation-call.js');
+  load('extension/ai/translation-agent.js');
+  load('extension/ai/agent-tool-registry.js');
+  load('extension/bg/translation-orchestrator.js');
+  load('extension/ui/report-exporter.js');
+
+  testDetection();
+  testRestore();
+  await testTranslateBatch();
+  await testRecording();
+  await testAgentStream();
+
+  console.log('PASS: entity protection');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
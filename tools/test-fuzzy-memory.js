@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function testSimilarity() {
+  const Fuzzy = global.NT.FuzzyMatch;
+  assert.strictEqual(Fuzzy.similarity('Save your changes before leaving', 'save your changes, before leaving!'), 1, 'Case and punctuation are ignored');
+  const close = Fuzzy.similarity('Save your changes before leaving the page', 'Save your changes before closing the page');
+  assert(close > 0.8 && close < 1, `One changed word in eight scores high (${close})`);
+  assert(Fuzzy.similarity('Save file', 'Save files') > 0.85, 'Short strings compare by characters');
+  assert(Fuzzy.similarity('Open settings', 'Delete account') < 0.5);
+  assert.strictEqual(Fuzzy.similarity('', 'x'), 0);
+
+  assert.strictEqual(Fuzzy.normalizeThreshold(80), 0.8, 'Percent values are accepted');
+  assert.strictEqual(Fuzzy.normalizeThreshold(0.1), Fuzzy.MIN_THRESHOLD, 'Threshold never drops below the floor');
+  assert.strictEqual(Fuzzy.normalizeThreshold(0), 0, 'Zero disables fuzzy lookups');
+  assert.strictEqual(Fuzzy.normalizeThreshold('junk'), Fuzzy.DEFAULT_THRESHOLD);
+
+  const index = Fuzzy.createIndex([
+    { id: 'a', text: 'Save your changes before leaving the page' },
+    { id: 'b', text: 'Your changes were saved' },
+    { id: 'c', text: '' }
+  ]);
+  assert.strictEqual(index.size, 2, 'Empty texts are not indexed');
+  const hits = index.search('Save your changes before closing the page', { threshold: 0.75 });
+  assert.deepStrictEqual(hits.map((hit) => hit.entry.id), ['a']);
+  assert.deepStrictEqual(index.search('Save your changes before closing the page', { threshold: 0.95 }), []);
+  assert.deepStrictEqual(index.search('Save your changes before leaving the page', { exclude: (entry) => entry.id === 'a' }), []);
+}
+
+async function testListSourceBlocks() {
+  const store = new global.NT.TranslationMemoryStore({ chromeApi: { storage: { local: { get: (d, cb) => cb(d), set: (p, cb) => cb && cb() } } } });
+  store._collectMeta = async () => ([
+    { blockKey: 'k1', originalHash: 'h1', originalText: 'Older', translatedText: 'Старее', targetLang: 'ru', qualityTag: 'styled', lastUsedAt: 1 },
+    { blockKey: 'k2', originalHash: 'h2', originalText: 'Newer', translatedText: 'Новее', targetLang: 'RU', qualityTag: 'bogus', lastUsedAt: 5 },
+    { blockKey: 'k3', originalHash: 'h3', translatedText: 'Без исходника', targetLang: 'ru', lastUsedAt: 9 },
+    { blockKey: 'k4', originalHash: 'h4', originalText: 'Hallo', translatedText: 'Hello', targetLang: 'en', lastUsedAt: 9 }
+  ]);
+  const rows = await store.listSourceBlocks({ targetLang: 'ru' });
+  assert.deepStrictEqual(rows.map((row) => [row.blockKey, row.qualityTag]), [['k2', 'raw'], ['k1', 'styled']],
+    'Only blocks with source text in the target language, most recent first');
+  assert.strictEqual((await store.listSourceBlocks({ targetLang: 'ru', limit: 1 })).length, 1);
+}
+
+async function testOrchestratorReferences() {
+  const memoryStore = {
+    async findBestPage() { return { page: null, matchType: 'miss' }; },
+    async getBlock(blockKey) {
+      return blockKey === exactKey ? { blockKey, translatedText: 'Отмена', qualityTag: 'raw' } : null;
+    },
+    async touchBlock() { return { ok: true }; },
+    async touchPage() { return { ok: true }; },
+    async upsertBlock() { return { ok: true }; },
+    async upsertPage() { return { ok: true }; },
+    async listSourceBlocks() {
+      return [
+        { blockKey: 'm1', originalHash: 'x1', originalText: 'Save your changes before leaving the page', translatedText: 'Сохраните изменения, прежде чем покинуть страницу', qualityTag: 'proofread' },
+        { blockKey: exactKey, originalHash: 'x2', originalText: 'Cancel', translatedText: 'Отмена', qualityTag: 'raw' }
+      ];
+    }
+  };
+  const orchestrator = new global.NT.TranslationOrchestrator({
+    jobStore: { async upsertJob() {}, async setActiveJob() {}, async clearActiveJob() {} },
+    translationCall: { async translateBatch() { return { items: [] }; } },
+    translationMemoryStore: memoryStore
+  });
+  const exactKey = orchestrator._buildBlockMemoryKey('ru', orchestrator._hashTextStable('Cancel'));
+  const job = { id: 'job-f', tabId: 1, targetLang: 'ru', memoryContext: { pageKey: 'page-1' } };
+  const blocks = [
+    { blockId: 'b1', originalText: 'Save your changes before closing the page' },
+    { blockId: 'b2', originalText: 'Cancel' },
+    { blockId: 'b3', originalText: 'Completely unrelated sentence about weather' }
+  ];
+  const settings = { translationMemoryEnabled: true, translationMemoryFuzzyThreshold: 0.75 };
+  await orchestrator._restoreFromTranslationMemory({ job, blocks, settings, applyToTab: false });
+
+  assert.strictEqual(blocks[1].translatedText, 'Отмена', 'Exact hits are still restored');
+  assert.strictEqual(blocks[0].translatedText, undefined, 'Fuzzy hits are never applied');
+  assert.deepStrictEqual(Object.keys(job.memoryFuzzy.references), ['b1'], 'Only unmatched blocks get a reference');
+  assert.strictEqual(job.memoryFuzzy.lookups, 2);
+  assert.strictEqual(job.memoryFuzzy.references.b1.qualityTag, 'proofread');
+  assert.strictEqual(orchestrator._memoryFuzzySummary(job).byBlockId.b1, Math.round(job.memoryFuzzy.references.b1.score * 100));
+
+  const references = orchestrator._memoryReferencesForBlocks(job, [blocks[0], blocks[2]]);
+  const prompt = global.NT.TranslationCall.prototype._buildPrompt.call(
+    new global.NT.TranslationCall({ runLlmRequest: async () => ({}) }),
+    [blocks[0], blocks[2]],
+    'ru',
+    { memoryReferences: references }
+  );
+  const payload = JSON.parse(prompt.split('\n').pop());
+  assert.strictEqual(payload[0].reference.translation, 'Сохраните изменения, прежде чем покинуть страницу');
+  assert.strictEqual(payload[0].reference.similarity, `${Math.round(references.b1.score * 100)}%`);
+  assert.strictEqual(payload[1].reference, undefined);
+  assert(prompt.includes('never copy the reference blindly'), 'Prompt explains how references are used');
+
+  const segmentPrompt = global.NT.TranslationCall.prototype._buildPrompt.call(
+    new global.NT.TranslationCall({ runLlmRequest: async () => ({}) }),
+    [{ blockId: 'seg:1', originalText: '{1}Save your changes{/1} before closing the page', inlineMembers: [blocks[2], blocks[0]] }],
+    'ru',
+    { memoryReferences: references }
+  );
+  assert.strictEqual(JSON.parse(segmentPrompt.split('\n').pop())[0].reference.translation, 'Сохраните изменения, прежде чем покинуть страницу',
+    'A segment item carries the reference of its members');
+
+  await orchestrator._restoreFromTranslationMemory({
+    job,
+    blocks: [{ blockId: 'b1', originalText: 'Save your changes before closing the page' }],
+    settings: { ...settings, translationMemoryFuzzyThreshold: 0 },
+    applyToTab: false
+  });
+  assert.strictEqual(job.memoryFuzzy, null, 'Threshold 0 turns fuzzy lookups off');
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/chrome-local-store-base.js');
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/core/fuzzy-match.js');
+  load('extension/bg/translation-memory-store.js');
+  load('extension/ai/translation-call.js');
+  load('extension/bg/translation-orchestrator.js');
+
+  testSimilarity();
+  await testListSourceBlocks();
+  await testOrchestratorReferences();
+
+  console.log('PASS: fuzzy memory');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function createChromeApi() {
+  const state = {};
+  return {
+    state,
+    storage: {
+      local: {
+        get(defaults, cb) {
+          cb({ ...(defaults && typeof defaults === 'object' ? defaults : {}), ...state });
+        },
+        set(payload, cb) {
+          Object.assign(state, JSON.parse(JSON.stringify(payload || {})));
+          if (typeof cb === 'function') {
+            cb();
+          }
+        }
+      }
+    }
+  };
+}
+
+function sample() {
+  return global.NT.UserGlossary.normalizeEntries([
+    { term: 'pull request', translation: 'запрос на слияние', sourceLang: 'en', targetLang: 'ru', note: 'Git, "PR"' },
+    { term: 'GitHub', doNotTranslate: true, caseRule: 'exact', sourceLang: 'en', targetLang: 'ru' },
+    { term: 'branch', translation: 'ветка; ветвь', scope: 'domain', domain: 'docs.example.com', sourceLang: 'en', targetLang: 'ru' },
+    { term: 'a & b <c>', translation: 'а и б', sourceLang: 'en', targetLang: 'ru' }
+  ]);
+}
+
+function comparable(entries) {
+  return entries
+    .map((entry) => ({ ...entry, id: null, updatedAt: null }))
+    .sort((a, b) => a.term.localeCompare(b.term));
+}
+
+function testCsvRoundTrip() {
+  const Exchange = global.NT.GlossaryExchange;
+  const entries = sample();
+  const csv = Exchange.toCsv(entries);
+  assert(csv.startsWith('term,translation,doNotTranslate'), 'CSV starts with the header row');
+  const parsed = Exchange.parseCsv(csv);
+  assert.deepStrictEqual(parsed.errors, []);
+  assert.deepStrictEqual(comparable(parsed.entries), comparable(entries), 'CSV round-trip is lossless');
+
+  const semicolon = Exchange.parseCsv('Source;Target;DNT\r\nrelease;"выпуск\r\nверсии";\r\nNode.js;;yes\r\n');
+  assert.deepStrictEqual(semicolon.errors, []);
+  assert.strictEqual(semicolon.entries.length, 2, 'Delimiter and header aliases are detected');
+  assert.strictEqual(semicolon.entries[1].doNotTranslate, true);
+}
+
+function testCsvRowErrors() {
+  const Exchange = global.NT.GlossaryExchange;
+  const parsed = Exchange.parseCsv([
+    'term,translation,caseRule,scope,domain,sourceLang',
+    'ok,хорошо,,,,en',
+    ',пусто,,,,',
+    'orphan,,,,,',
+    'weird,странно,upper,,,',
+    'site,сайт,,domain,not a domain,',
+    'lang,язык,,,,english!',
+    'OK,снова,,,,en'
+  ].join('\n'));
+  assert.strictEqual(parsed.entries.length, 1);
+  assert.deepStrictEqual(
+    parsed.errors.map((row) => [row.row, row.code]),
+    [[3, 'MISSING_TERM'], [4, 'MISSING_TRANSLATION'], [5, 'BAD_CASE_RULE'], [6, 'BAD_DOMAIN'], [7, 'BAD_LANG'], [8, 'DUPLICATE']],
+    'Every rejected row is reported with its line number'
+  );
+  assert.strictEqual(Exchange.parseCsv('foo,bar\n1,2').errors[0].code, 'BAD_HEADER');
+  assert.strictEqual(Exchange.parseCsv('').errors[0].code, 'EMPTY_FILE');
+}
+
+function testTbxRoundTrip() {
+  const Exchange = global.NT.GlossaryExchange;
+  const entries = sample();
+  const tbx = Exchange.toTbx(entries);
+  assert(tbx.includes('<martif type="TBX-Basic"'));
+  assert(tbx.includes('a &amp; b &lt;c&gt;'), 'Terms are XML-escaped');
+  const parsed = Exchange.parseTbx(tbx, { sourceLang: 'en' });
+  assert.deepStrictEqual(parsed.errors, []);
+  assert.deepStrictEqual(comparable(parsed.entries), comparable(entries), 'TBX round-trip is lossless');
+  assert.strictEqual(Exchange.parse(tbx).format, 'tbx', 'Format is sniffed from content');
+}
+
+function testTbxV3AndErrors() {
+  const Exchange = global.NT.GlossaryExchange;
+  const tbx = [
+    '<?xml version="1.0"?>',
+    '<tbx type="TBX-Core" style="dca" xml:lang="en" xmlns="urn:iso:std:iso:30042:ed-2">',
+    '<text><body>',
+    '<conceptEntry id="c1">',
+    '  <langSec xml:lang="en"><termSec><term>invoice</term></termSec></langSec>',
+    '  <langSec xml:lang="de"><termSec><term>Rechnung</term></termSec></langSec>',
+    '  <langSec xml:lang="ru"><termSec><term>счёт</term></termSec><termSec><term>инвойс</term></termSec></langSec>',
+    '</conceptEntry>',
+    '<conceptEntry id="c2">',
+    '  <langSec xml:lang="en"><termSec><term>lonely</term></termSec></langSec>',
+    '</conceptEntry>',
+    '<conceptEntry id="c3"></conceptEntry>',
+    '</body></text>',
+    '</tbx>'
+  ].join('\n');
+  const all = Exchange.parseTbx(tbx);
+  assert.deepStrictEqual(all.entries.map((entry) => `${entry.targetLang}:${entry.translation}`), ['de:Rechnung', 'ru:счёт'],
+    'One entry per target language, preferred term first');
+  assert.deepStrictEqual(all.errors.map((row) => [row.row, row.code]), [[9, 'MISSING_TRANSLATION'], [12, 'MISSING_TERM']]);
+
+  const ruOnly = Exchange.parseTbx(tbx, { targetLang: 'ru' });
+  assert.deepStrictEqual(ruOnly.entries.map((entry) => entry.translation), ['счёт'], 'Target filter keeps one language');
+  assert.strictEqual(Exchange.parseTbx('<glossary/>').errors[0].code, 'BAD_TBX');
+}
+
+async function testImportModes() {
+  const store = new global.NT.UserGlossaryStore({ chromeApi: createChromeApi() });
+  await store.upsertEntry({ term: 'deploy', translation: 'деплой', targetLang: 'ru' });
+  await store.upsertEntry({ term: 'cache', translation: '', doNotTranslate: true, note: 'local' });
+  const localId = (await store.listEntries())[0].id;
+
+  const incoming = global.NT.UserGlossary.normalizeEntries([
+    { term: 'Deploy', translation: 'развёртывание', targetLang: 'ru', note: 'termbase' },
+    { term: 'cache', translation: 'кэш', note: 'termbase' },
+    { term: 'rollback', translation: 'откат' }
+  ]);
+
+  const kept = await store.importEntries(incoming, { mode: 'keep' });
+  assert.deepStrictEqual([kept.added, kept.skipped, kept.replaced, kept.merged], [1, 2, 0, 0]);
+  assert.strictEqual((await store.listEntries()).find((entry) => entry.id === localId).translation, 'деплой', 'keep leaves local entries alone');
+
+  const merged = await store.importEntries(incoming, { mode: 'merge' });
+  assert.strictEqual(merged.merged, 3);
+  const afterMerge = await store.listEntries();
+  const cache = afterMerge.find((entry) => entry.term === 'cache');
+  assert.strictEqual(cache.doNotTranslate, true, 'merge keeps local decisions');
+  assert.strictEqual(cache.note, 'local; termbase', 'merge concatenates differing notes');
+  assert.strictEqual(afterMerge.find((entry) => entry.id === localId).translation, 'деплой');
+
+  const replaced = await store.importEntries(incoming, { mode: 'replace' });
+  assert.strictEqual(replaced.replaced, 3);
+  const afterReplace = await store.listEntries();
+  assert.strictEqual(afterReplace.length, 3, 'Conflicts never duplicate entries');
+  const deploy = afterReplace.find((entry) => entry.id === localId);
+  assert.strictEqual(deploy.translation, 'развёртывание', 'replace takes the imported entry');
+  assert.strictEqual(deploy.term, 'Deploy');
+}
+
+function testJobTerms() {
+  const Exchange = global.NT.GlossaryExchange;
+  const base = { doNotTranslate: false, caseRule: 'insensitive', scope: 'global', domain: null, sourceLang: null, targetLang: 'ru', note: Exchange.JOB_TERM_NOTE };
+  const exported = sample().concat([
+    { ...base, term: 'merge queue', translation: '' },
+    { ...base, term: 'rebase', translation: 'перебазирование' }
+  ]);
+  const csv = Exchange.parse(Exchange.serialize(exported, 'csv'), { fileName: 'glossary.csv' });
+  assert.deepStrictEqual([csv.errors, csv.jobTermsSkipped, csv.entries.length], [[], 1, 5], 'Untranslated job terms are skipped, not rejected');
+  assert(csv.entries.some((entry) => entry.term === 'rebase'), 'A job term with a translation is imported');
+
+  const tbx = Exchange.parse(Exchange.serialize(exported, 'tbx'), { fileName: 'glossary.tbx', sourceLang: 'en' });
+  assert.deepStrictEqual([tbx.errors, tbx.jobTermsSkipped, tbx.entries.length], [[], 1, 5]);
+  assert.strictEqual(Exchange.parseCsv('term,translation\norphan,\n').errors[0].code, 'MISSING_TRANSLATION', 'Other empty rows are still errors');
+}
+
+function testGlossaryHints() {
+  const hints = global.NT.UserGlossary.toGlossaryHints(sample());
+  assert.deepStrictEqual(hints[0], { term: 'pull request', hint: 'запрос на слияние', source: 'user' });
+  assert.strictEqual(hints[1].hint, 'do not translate');
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/chrome-local-store-base.js');
+  load('extension/core/user-glossary.js');
+  load('extension/core/xml-lite.js');
+  load('extension/core/glossary-exchange.js');
+  load('extension/bg/user-glossary-store.js');
+
+  testCsvRoundTrip();
+  testCsvRowErrors();
+  testTbxRoundTrip();
+  testTbxV3AndErrors();
+  testJobTerms();
+  await testImportModes();
+  testGlossaryHints();
+
+  console.log('PASS: glossary exchange');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function buildJob(overrides = {}) {
+  return {
+    id: 'job-h',
+    tabId: 7,
+    status: 'done',
+    targetLang: 'ru',
+    totalBlocks: 3,
+    completedBlocks: 3,
+    pendingBlockIds: [],
+    failedBlockIds: [],
+    blocksById: {
+      b0: { blockId: 'b0', domOrder: 0, category: 'main_content', originalText: 'Pull request', translatedText: 'Запрос на вытягивание' },
+      b1: { blockId: 'b1', domOrder: 1, category: 'main_content', originalText: 'Open', translatedText: 'Открыть', segment: { id: 's1', index: 0 } },
+      b2: { blockId: 'b2', domOrder: 2, category: 'main_content', originalText: 'Merge', translatedText: 'Слить' }
+    },
+    ...overrides
+  };
+}
+
+function createOrchestrator(initialJob) {
+  const jobs = new Map([[initialJob.id, clone(initialJob)]]);
+  const active = new Map([[initialJob.tabId, initialJob.id]]);
+  const sent = [];
+  const orchestrator = new global.NT.TranslationOrchestrator({
+    jobStore: {
+      async getJob(id) { return jobs.has(id) ? clone(jobs.get(id)) : null; },
+      async getActiveJob(tabId) { return active.has(tabId) ? clone(jobs.get(active.get(tabId))) : null; },
+      async upsertJob(job) { jobs.set(job.id, clone(job)); },
+      async setActiveJob(tabId, jobId) { active.set(tabId, jobId); },
+      async clearActiveJob(tabId) { active.delete(tabId); },
+      async getLastJobId(tabId) { return tabId === initialJob.tabId ? initialJob.id : null; }
+    }
+  });
+  orchestrator.applied = [];
+  orchestrator._applyDeltaToTab = async ({ blockId, text, patchKind }) => {
+    orchestrator.applied.push({ blockId, text, patchKind });
+    return { applied: true };
+  };
+  orchestrator._sendToTab = async (tabId, message) => {
+    sent.push({ tabId, message });
+    return { ok: true };
+  };
+  return { orchestrator, jobs, sent };
+}
+
+function testQualityRank() {
+  const store = global.NT.TranslationMemoryStore.prototype;
+  assert.strictEqual(store._normalizeQualityTag('human'), 'human');
+  ['raw', 'proofread', 'styled', 'literal'].forEach((tag) => {
+    assert(store._qualityTagRank('human') > store._qualityTagRank(tag), `human outranks ${tag}`);
+  });
+}
+
+async function testEditModeAndPageEdit() {
+  const { orchestrator, jobs, sent } = createOrchestrator(buildJob());
+  const off = await orchestrator._handleBlockEdit({ message: { jobId: 'job-h', blockId: 'b0', text: 'Пул-реквест' }, tabId: 7, frameId: 0 });
+  assert.strictEqual(off.error.code, 'EDIT_MODE_OFF', 'Page edits need the mode switched on');
+
+  const toggled = await orchestrator.setEditMode({ tabId: 7, enabled: true });
+  assert.deepStrictEqual([toggled.ok, toggled.editMode, toggled.delivered], [true, true, true]);
+  assert.strictEqual(toggled.job.editMode, true);
+  assert.strictEqual(sent[0].message.type, global.NT.TranslationProtocol.BG_SET_EDIT_MODE);
+  assert.strictEqual(sent[0].message.enabled, true);
+
+  const frame = await orchestrator._handleBlockEdit({ message: { jobId: 'job-h', blockId: 'b0', text: 'x' }, tabId: 7, frameId: 3 });
+  assert.strictEqual(frame.error.code, 'FRAME_NOT_SUPPORTED');
+  const foreign = await orchestrator._handleBlockEdit({ message: { jobId: 'job-h', blockId: 'b0', text: 'x' }, tabId: 8, frameId: 0 });
+  assert.strictEqual(foreign.error.code, 'JOB_NOT_FOUND', 'Another tab cannot edit this job');
+
+  const saved = await orchestrator._handleBlockEdit({ message: { jobId: 'job-h', blockId: 'b0', text: ' Пул-реквест ' }, tabId: 7, frameId: 0 });
+  assert.deepStrictEqual([saved.ok, saved.applied], [true, true]);
+  assert.deepStrictEqual(orchestrator.applied, [{ blockId: 'b0', text: 'Пул-реквест', patchKind: 'human' }]);
+  const stored = jobs.get('job-h');
+  assert.strictEqual(stored.editMode, true, 'Saving the edit keeps the mode on');
+  assert.strictEqual(stored.blocksById.b0.quality.tag, 'human');
+  assert.deepStrictEqual(
+    [stored.blocksById.b0.userEdit.source, stored.blocksById.b0.userEdit.previousText],
+    ['page', 'Запрос на вытягивание']
+  );
+  assert.deepStrictEqual(stored.humanEdits, [{ source: 'Pull request', before: 'Запрос на вытягивание', after: 'Пул-реквест' }]);
+  assert.strictEqual(saved.job.humanEditCount, 1);
+
+  const same = await orchestrator._handleBlockEdit({ message: { jobId: 'job-h', blockId: 'b0', text: 'Пул-реквест' }, tabId: 7, frameId: 0 });
+  assert.strictEqual(same.unchanged, true, 'Saving the same text is a no-op');
+  assert.strictEqual(orchestrator.applied.length, 1);
+}
+
+async function testExamples() {
+  const { orchestrator, jobs } = createOrchestrator(buildJob());
+  await orchestrator.setBlockTranslation({ tabId: 7, blockId: 'b1', text: 'Открыть сейчас' });
+  assert.strictEqual(jobs.get('job-h').humanEdits, undefined, 'Segment members are too partial to serve as examples');
+
+  await orchestrator.setBlockTranslation({ tabId: 7, blockId: 'b2', text: 'Смержить' });
+  await orchestrator.setBlockTranslation({ tabId: 7, blockId: 'b2', text: 'Влить' });
+  const examples = orchestrator._humanEditExamples(jobs.get('job-h'));
+  assert.deepStrictEqual(examples.map((item) => item.after), ['Влить'], 'A newer edit of the same source replaces the older example');
+
+  orchestrator._readAgentSettings = async () => ({ translationHumanEditExamples: false });
+  await orchestrator.setBlockTranslation({ tabId: 7, blockId: 'b0', text: 'PR' });
+  const stored = jobs.get('job-h');
+  assert.strictEqual(stored.blocksById.b0.quality.tag, 'human', 'The edit is still stored as human-verified');
+  assert.strictEqual(stored.humanEdits.length, 1, 'Examples are not collected when the setting is off');
+
+  const call = new global.NT.TranslationCall({ runLlmRequest: async () => null });
+  const prompt = call._buildPrompt([{ blockId: 'b9', originalText: 'Merge' }], 'ru', { humanEdits: examples });
+  assert(prompt.includes('User corrections made earlier on this site'), 'Corrections are passed to the model');
+  assert(prompt.includes('- "Merge" => "Влить" (not "Слить")'));
+  assert(!call._buildPrompt([{ blockId: 'b9', originalText: 'x' }], 'ru', {}).includes('User corrections'));
+}
+
+function createChromeApi() {
+  const state = {};
+  return {
+    storage: {
+      local: {
+        get(defaults, cb) {
+          cb({ ...(defaults && typeof defaults === 'object' ? defaults : {}), ...clone(state) });
+        },
+        set(payload, cb) {
+          Object.assign(state, clone(payload || {}));
+          if (typeof cb === 'function') {
+            cb();
+          }
+        }
+      }
+    }
+  };
+}
+
+async function testSiteExamples() {
+  const { orchestrator } = createOrchestrator(buildJob({ url: 'https://www.example.com/docs/a' }));
+  const store = new global.NT.HumanEditStore({ chromeApi: createChromeApi() });
+  orchestrator.humanEditStore = store;
+  orchestrator.settingsStore = { async get() { return { translationHumanEditExamples: true }; } };
+  await orchestrator.setBlockTranslation({ tabId: 7, blockId: 'b2', text: 'Влить' });
+  await new Promise((resolve) => setImmediate(resolve));
+  const carried = await orchestrator._resolveHumanEdits('https://example.com/docs/b');
+  assert.deepStrictEqual(carried, [{ source: 'Merge', before: 'Слить', after: 'Влить' }], 'Corrections carry over to the next job on the site');
+  assert.deepStrictEqual(await store.listForUrl('https://other.org/'), []);
+
+  orchestrator.settingsStore = { async get() { return { translationHumanEditExamples: false }; } };
+  assert.deepStrictEqual(await orchestrator._resolveHumanEdits('https://example.com/'), [], 'The setting also turns carry-over off');
+
+  const requests = [];
+  const registry = new global.NT.AgentToolRegistry({
+    runLlmRequest: async ({ request }) => {
+      requests.push(request);
+      return { output_text: 'Влить ветку' };
+    },
+    applyDelta: async () => ({ ok: true })
+  });
+  const job = {
+    id: 'job-a',
+    tabId: 7,
+    targetLang: 'ru',
+    humanEdits: carried,
+    blocksById: { b0: { blockId: 'b0', originalText: 'Merge branch' } }
+  };
+  await registry._toolTranslateBlockStream({ blockId: 'b0' }, job, {});
+  assert(requests[0].input[0].content[0].text.includes('"Merge" => "Влить" (не "Слить")'), 'Agent translations see the corrections too');
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/chrome-local-store-base.js');
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/core/site-rules.js');
+  load('extension/bg/translation-memory-store.js');
+  load('extension/bg/human-edit-store.js');
+  load('extension/ai/translation-call.js');
+  load('extension/ai/agent-tool-registry.js');
+  load('extension/bg/translation-orchestrator.js');
+
+  testQualityRank();
+  await testEditModeAndPageEdit();
+  await testExamples();
+  await testSiteExamples();
+
+  console.log('PASS: human post-edit');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
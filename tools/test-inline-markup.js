@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function element(tagName, parentElement = null) {
+  return {
+    nodeType: 1,
+    tagName,
+    parentElement,
+    childNodes: [],
+    classList: { add() {}, remove() {}, contains: () => false },
+    removeAttribute() {}
+  };
+}
+
+function text(value, parentElement) {
+  const node = { nodeType: 3, textContent: value, parentElement, isConnected: true };
+  parentElement.childNodes.push(node);
+  return node;
+}
+
+/**
+ * <p>Click <a>here</a> to continue</p><li><a>Home</a></li>
+ */
+function buildPage() {
+  const body = element('BODY');
+  const p = element('P', body);
+  const a = element('A', p);
+  const li = element('LI', body);
+  const navLink = element('A', li);
+  const nodes = {
+    'f0:b0': text('Click ', p),
+    'f0:b1': text('here', a),
+    'f0:b2': text(' to continue', p),
+    'f0:b3': text('Home', navLink)
+  };
+  p.childNodes = [nodes['f0:b0'], a, nodes['f0:b2']];
+  const blocks = Object.keys(nodes).map((blockId) => ({ blockId, originalText: nodes[blockId].textContent.trim() }));
+  return { blocks, nodes };
+}
+
+function testIndexerSegments() {
+  const { blocks, nodes } = buildPage();
+  const indexer = new global.NT.DomIndexer({ doc: {} });
+  assert.strictEqual(indexer._assignInlineSegments(blocks, nodes), 1);
+  assert.deepStrictEqual(blocks.slice(0, 3).map((block) => [block.segment.index, block.segment.slot, block.segment.spaceBefore, block.segment.spaceAfter]), [
+    [0, 0, false, true],
+    [1, 1, false, false],
+    [2, 0, true, false]
+  ]);
+  assert.strictEqual(blocks[0].segment.id, 'f0:b0:seg');
+  assert.strictEqual(blocks[3].segment, undefined, 'A lone link is not a segment');
+  return { blocks, nodes };
+}
+
+function testEncodeDecode(blocks) {
+  const Markup = global.NT.InlineMarkup;
+  const members = blocks.slice(0, 3);
+  assert.strictEqual(Markup.encode(members), 'Click {1}here{/1} to continue');
+
+  const moved = Markup.decode('Чтобы продолжить, нажмите {1}здесь{/1}.', members);
+  assert.deepStrictEqual(moved.texts, {
+    'f0:b0': 'Чтобы продолжить, нажмите',
+    'f0:b1': 'здесь',
+    'f0:b2': '.'
+  });
+  const reordered = Markup.decode('{1}Здесь{/1} нажмите, чтобы продолжить', members);
+  assert.deepStrictEqual(reordered.texts, {
+    'f0:b0': ' ',
+    'f0:b1': 'Здесь',
+    'f0:b2': 'нажмите, чтобы продолжить'
+  }, 'Free text stays in its gap; an emptied container node keeps only spacing');
+
+  assert.strictEqual(Markup.decode('Нажмите здесь, чтобы продолжить', members).code, 'MISSING_PLACEHOLDER');
+  assert.strictEqual(Markup.decode('Нажмите {1}здесь{/1} {1}ещё{/1}', members).code, 'BROKEN_PLACEHOLDER');
+  assert.strictEqual(Markup.decode('Нажмите {2}здесь{/2}', members).code, 'UNKNOWN_PLACEHOLDER');
+  assert.strictEqual(Markup.encode([{ ...members[0], originalText: 'Use {1} here' }, members[1], members[2]]), null,
+    'Text that already looks like a placeholder is not encoded');
+
+  const entries = Markup.groupBlocks([blocks[3], members[1], members[0]]);
+  assert.deepStrictEqual(entries.map((entry) => entry.block ? entry.block.blockId : entry.segmentId), ['f0:b3', 'f0:b1', 'f0:b0'],
+    'Incomplete segments stay per-node');
+}
+
+async function testTranslationCall(blocks) {
+  const prompts = [];
+  const replies = [];
+  const call = new global.NT.TranslationCall({
+    runLlmRequest: async (payload) => {
+      const promptText = payload.request.input[payload.request.input.length - 1].content[0].text;
+      prompts.push(JSON.parse(promptText.split('\n').pop()));
+      return { output_text: JSON.stringify({ items: replies.shift() }) };
+    }
+  });
+
+  replies.push([
+    { blockId: 'f0:b0:seg', text: 'Нажмите {1}здесь{/1}, чтобы продолжить' },
+    { blockId: 'f0:b3', text: 'Главная' }
+  ]);
+  const ok = await call.translateBatch(blocks, { targetLang: 'ru', cacheEnabled: false });
+  assert.deepStrictEqual(prompts[0].map((item) => [item.blockId, item.text]), [
+    ['f0:b0:seg', 'Click {1}here{/1} to continue'],
+    ['f0:b3', 'Home']
+  ], 'The sentence is sent as one item');
+  assert.deepStrictEqual(ok.items.map((item) => item.text), ['Нажмите', 'здесь', ', чтобы продолжить', 'Главная']);
+  assert.deepStrictEqual(ok.inlineSegments, { sent: 1, fallback: 0, errors: [] });
+
+  replies.push(
+    [{ blockId: 'f0:b0:seg', text: 'Нажмите здесь, чтобы продолжить' }, { blockId: 'f0:b3', text: 'Главная' }],
+    [{ blockId: 'f0:b0', text: 'Нажмите' }, { blockId: 'f0:b1', text: 'здесь' }, { blockId: 'f0:b2', text: 'чтобы продолжить' }]
+  );
+  const lost = await call.translateBatch(blocks, { batchId: 'b', targetLang: 'ru', cacheEnabled: false });
+  assert.deepStrictEqual(prompts[2].map((item) => item.blockId), ['f0:b0', 'f0:b1', 'f0:b2'], 'Lost tags fall back to per-node translation');
+  assert.deepStrictEqual(lost.items.map((item) => item.text), ['Нажмите', 'здесь', 'чтобы продолжить', 'Главная']);
+  assert.strictEqual(lost.inlineSegments.errors[0].code, 'MISSING_PLACEHOLDER');
+}
+
+function testApplier(blocks, nodes) {
+  const applier = new global.NT.DomApplier();
+  applier.setBlocks('job-1', blocks, nodes);
+  applier.applyBatch({
+    jobId: 'job-1',
+    items: [
+      { blockId: 'f0:b0', text: 'Нажмите' },
+      { blockId: 'f0:b1', text: 'здесь' },
+      { blockId: 'f0:b2', text: ', чтобы продолжить' }
+    ]
+  });
+  const p = nodes['f0:b0'].parentElement;
+  assert.strictEqual(p.childNodes[1].tagName, 'A', 'The link element survives');
+  assert.deepStrictEqual([nodes['f0:b0'].textContent, nodes['f0:b1'].textContent, nodes['f0:b2'].textContent],
+    ['Нажмите ', 'здесь', ', чтобы продолжить'], 'Pieces keep the spacing of their text nodes, not before punctuation');
+  applier.restoreOriginals({ jobId: 'job-1' });
+  assert.strictEqual(nodes['f0:b0'].textContent, 'Click ', 'Originals come back with their spaces');
+  assert.strictEqual(nodes['f0:b2'].textContent, ' to continue');
+}
+
+function testBatchKeepsSegmentsWhole(blocks) {
+  const orchestrator = new global.NT.TranslationOrchestrator({
+    jobStore: { async upsertJob() {}, async setActiveJob() {}, async clearActiveJob() {} },
+    translationCall: { async translateBatch() { return { items: [] }; } }
+  });
+  orchestrator.BATCH_SIZE = 2;
+  const normalized = orchestrator._normalizeBlocks(blocks.slice().reverse());
+  const blocksById = {};
+  normalized.forEach((block) => { blocksById[block.blockId] = block; });
+  assert.strictEqual(blocksById['f0:b1'].segment.slot, 1, 'BG keeps the segment tag');
+  const job = { id: 'job-1', totalBlocks: 4, pendingBlockIds: ['f0:b3', 'f0:b0', 'f0:b1', 'f0:b2'], blocksById };
+  const batch = orchestrator._buildNextBatch(job);
+  assert.deepStrictEqual(batch.blockIds, ['f0:b3', 'f0:b0', 'f0:b1', 'f0:b2'], 'A segment cut by the batch size is completed');
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/core/inline-markup.js');
+  load('extension/content/dom-indexer.js');
+  load('extension/content/dom-applier.js');
+  load('extension/ai/translation-call.js');
+  load('extension/bg/translation-orchestrator.js');
+
+  const { blocks, nodes } = testIndexerSegments();
+  testEncodeDecode(blocks);
+  await testTranslationCall(blocks);
+  testApplier(blocks, nodes);
+  testBatchKeepsSegmentsWhole(blocks);
+
+  console.log('PASS: inline markup');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function run() {
+  global.NT = {};
+  load('extension/core/lang-detector.js');
+
+  const Detector = global.NT && global.NT.LangDetector;
+  assert(Detector && typeof Detector.detect === 'function', 'LangDetector must be available');
+
+  const cases = [
+    ['The quick brown fox jumps over the lazy dog and runs to the forest', 'en'],
+    ['Это тестовая страница для проверки перевода', 'ru'],
+    ['Дякую, це дуже добре', 'uk'],
+    ['Der Hund ist nicht mit der Katze im Haus', 'de'],
+    ['Le chat est dans la maison avec les enfants', 'fr'],
+    ['El perro está en la casa con los niños', 'es'],
+    ['これは日本語の文章です', 'ja'],
+    ['这是一个中文句子', 'zh'],
+    ['한국어 문장입니다', 'ko']
+  ];
+  cases.forEach(([text, expected]) => {
+    const result = Detector.detect(text);
+    assert.strictEqual(result.lang, expected, `Expected ${expected} for "${text}", got ${JSON.stringify(result)}`);
+    assert(result.confidence >= Detector.SKIP_CONFIDENCE, `Confidence for "${text}" must pass skip threshold`);
+  });
+
+  const shortNoHint = Detector.detect('Read more');
+  assert.strictEqual(shortNoHint.lang, '', 'Short text without stopwords stays undecided');
+  assert.strictEqual(shortNoHint.source, 'none');
+
+  const shortWithHint = Detector.detect('Read more', { langHint: 'en-US' });
+  assert.strictEqual(shortWithHint.lang, 'en', 'Markup lang is used when text is undecided');
+  assert.strictEqual(shortWithHint.source, 'attr');
+  assert(shortWithHint.confidence < Detector.SKIP_CONFIDENCE, 'Attribute-only result must not be enough to skip');
+
+  const conflicting = Detector.detect('Это тестовая страница для проверки перевода', { langHint: 'en' });
+  assert.strictEqual(conflicting.lang, 'ru', 'Confident text detection wins over wrong lang attribute');
+  assert.strictEqual(conflicting.source, 'text');
+
+  const agreeing = Detector.detect('Войти в аккаунт', { langHint: 'ru-RU' });
+  assert.strictEqual(agreeing.source, 'text+attr');
+  assert(agreeing.confidence > Detector.detect('Войти в аккаунт').confidence, 'Agreeing hint must raise confidence');
+
+  assert.strictEqual(Detector.isSameLang('pt-BR', 'pt'), true);
+  assert.strictEqual(Detector.isSameLang('', ''), false);
+  assert.strictEqual(
+    Detector.isAlreadyTarget({ sourceLang: 'ru', sourceLangConfidence: 0.9 }, 'ru-RU'),
+    true,
+    'Confident same-language block is already in target'
+  );
+  assert.strictEqual(
+    Detector.isAlreadyTarget({ sourceLang: 'ru', sourceLangConfidence: 0.5 }, 'ru'),
+    false,
+    'Low-confidence block must still be translated'
+  );
+
+  const mix = Detector.summarize([
+    { originalText: 'a'.repeat(60), sourceLang: 'en', sourceLangConfidence: 0.9 },
+    { originalText: 'b'.repeat(30), sourceLang: 'ru', sourceLangConfidence: 0.9 },
+    { originalText: 'c'.repeat(10), sourceLang: '' }
+  ], { targetLang: 'ru' });
+  assert.strictEqual(mix.dominantLang, 'en');
+  assert.strictEqual(mix.dominantShare, 0.667);
+  assert.strictEqual(mix.mixed, true, 'Two significant languages make the page mixed');
+  assert.strictEqual(mix.langCount, 2);
+  assert.strictEqual(mix.byLang.und.blocks, 1, 'Undecided blocks are grouped under und');
+  assert.strictEqual(mix.alreadyTargetBlocks, 1);
+
+  console.log('PASS: lang detector');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+}
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function buildJob(overrides = {}) {
+  return {
+    id: 'job-p',
+    tabId: 7,
+    status: 'running',
+    message: 'working',
+    totalBlocks: 3,
+    completedBlocks: 1,
+    pendingBlockIds: ['b1', 'b2'],
+    failedBlockIds: [],
+    blocksById: {
+      b0: { blockId: 'b0', originalText: 'One', translatedText: 'Один' },
+      b1: { blockId: 'b1', originalText: 'Two' },
+      b2: { blockId: 'b2', originalText: 'Three' }
+    },
+    agentState: { phase: 'execution_in_progress', execution: { status: 'running', iteration: 4 } },
+    ...overrides
+  };
+}
+
+function createOrchestrator(initialJob) {
+  const jobs = new Map([[initialJob.id, clone(initialJob)]]);
+  const active = new Map([[initialJob.tabId, initialJob.id]]);
+  const orchestrator = new global.NT.TranslationOrchestrator({
+    jobStore: {
+      async getJob(id) { return jobs.has(id) ? clone(jobs.get(id)) : null; },
+      async getActiveJob(tabId) { return active.has(tabId) ? clone(jobs.get(active.get(tabId))) : null; },
+      async upsertJob(job) { jobs.set(job.id, clone(job)); },
+      async setActiveJob(tabId, jobId) { active.set(tabId, jobId); },
+      async clearActiveJob(tabId) { active.delete(tabId); }
+    },
+    translationCall: { async translateBatch() { return { items: [] }; } }
+  });
+  orchestrator.processed = [];
+  orchestrator._processJob = async (jobId) => { orchestrator.processed.push(jobId); };
+  return { orchestrator, jobs };
+}
+
+async function testOrchestratorPauseResume() {
+  const { orchestrator, jobs } = createOrchestrator(buildJob());
+  const controller = orchestrator._getJobAbortController('job-p');
+  const stale = clone(jobs.get('job-p'));
+
+  const paused = await orchestrator.pauseJob({ tabId: 7 });
+  assert.strictEqual(paused.paused, true);
+  assert.strictEqual(controller.signal.aborted, true, 'In-flight requests are aborted');
+  assert.strictEqual(controller.signal.reason, 'USER_PAUSED');
+  const stored = jobs.get('job-p');
+  assert.strictEqual(stored.status, 'paused');
+  assert.strictEqual(stored.pause.resumeStatus, 'running');
+  assert.strictEqual(stored.runtime.status, 'IDLE');
+  assert.deepStrictEqual(stored.pendingBlockIds, ['b1', 'b2'], 'Pending work is kept');
+  assert.strictEqual(paused.job.pause.state, 'paused');
+
+  stale.agentState.execution.status = 'yielded';
+  await orchestrator._saveJob(stale, { setActive: true });
+  assert.strictEqual(jobs.get('job-p').status, 'paused', 'A late save from the loop does not unpause');
+  assert.strictEqual(jobs.get('job-p').agentState.execution.status, 'yielded', 'The loop state it carries is kept');
+  await orchestrator._markFailed(clone(stale), { code: 'ABORT_ERR', message: 'Request aborted' });
+  assert.strictEqual(jobs.get('job-p').status, 'paused', 'The aborted request does not fail the job');
+
+  assert.strictEqual((await orchestrator.pauseJob({ tabId: 7 })).paused, false);
+  assert.strictEqual((await orchestrator.pauseJob({ tabId: 8 })).error.code, 'JOB_NOT_FOUND');
+
+  const resumed = await orchestrator.resumeJob({ tabId: 7 });
+  assert.strictEqual(resumed.resumed, true);
+  assert.strictEqual(jobs.get('job-p').status, 'running');
+  assert.strictEqual(jobs.get('job-p').runtime.status, 'QUEUED');
+  assert.deepStrictEqual(orchestrator.processed, ['job-p']);
+  assert.strictEqual(orchestrator._getJobAbortController('job-p').signal.aborted, false, 'A fresh controller serves the resumed job');
+  assert.strictEqual((await orchestrator.resumeJob({ tabId: 7 })).error.code, 'JOB_NOT_PAUSED');
+}
+
+async function testPlanningPauseAndRestart() {
+  const { orchestrator, jobs } = createOrchestrator(buildJob({ status: 'planning' }));
+  await orchestrator.pauseJob({ tabId: 7 });
+  orchestrator._readAgentSettings = async () => ({});
+  orchestrator._ensureJobTabReady = async () => { throw new Error('paused jobs are not touched on restart'); };
+  orchestrator.jobStore.listActiveJobs = async () => [clone(jobs.get('job-p'))];
+  await orchestrator.restoreStateAfterRestart();
+  assert.strictEqual(jobs.get('job-p').status, 'paused', 'A service-worker restart keeps the pause');
+
+  await orchestrator.resumeJob({ tabId: 7 });
+  assert.strictEqual(jobs.get('job-p').status, 'planning', 'The job continues in the phase it was paused in');
+  assert.deepStrictEqual(orchestrator.processed, [], 'Planning is picked up by the scheduler, not the batch loop');
+
+  const done = createOrchestrator(buildJob({ status: 'done' })).orchestrator;
+  assert.strictEqual((await done.pauseJob({ tabId: 7 })).error.code, 'JOB_NOT_PAUSABLE');
+}
+
+async function testJobRunnerAndQueue() {
+  const jobs = { 'job-p': { ...buildJob({ status: 'paused' }), runtime: { status: 'RUNNING', lease: { leaseUntilTs: Date.now() + 1000 } } } };
+  const processed = [];
+  const runner = new global.NT.JobRunner({
+    chromeApi: { tabs: { get(tabId, cb) { cb({ id: tabId }); } }, runtime: { lastError: null } },
+    jobStore: { async getJob(id) { return jobs[id] || null; }, async upsertJob(job) { jobs[job.id] = job; } },
+    translationOrchestrator: { processingJobs: new Set(), async _saveJob(job) { jobs[job.id] = job; }, _processJob(id) { processed.push(id); } },
+    retryPolicy: global.NT.RetryPolicy
+  });
+  const step = await runner.step({ id: 'job-p' });
+  assert.deepStrictEqual([step.hasMoreWork, step.paused], [false, true]);
+  assert.strictEqual(jobs['job-p'].runtime.status, 'IDLE');
+  assert.strictEqual(jobs['job-p'].runtime.lease.op, 'paused');
+  assert.deepStrictEqual(processed, [], 'A paused job is never stepped into execution');
+  const recovery = await runner._handleRecovery(jobs['job-p'], jobs['job-p'].runtime, { code: 'ABORT_ERR' });
+  assert.deepStrictEqual(recovery, { ok: true, hasMoreWork: false }, 'An aborted request is not retried or failed');
+  jobs['job-r'] = { ...buildJob({ status: 'running' }), id: 'job-r', runtime: { status: 'RUNNING', retry: {}, lease: {} } };
+  const stray = await runner._handleRecovery(jobs['job-r'], jobs['job-r'].runtime, { code: 'ABORT_ERR' });
+  assert.deepStrictEqual(stray, { ok: false, terminal: true }, 'An abort nobody asked for is recovered like any failure');
+
+  const queue = Object.create(global.NT.JobQueue.prototype);
+  assert.strictEqual(queue._waitingReason('paused'), 'USER_PAUSED');
+  assert.strictEqual(queue._waitingReason('budget_paused'), 'BUDGET_PAUSED');
+  const picked = global.NT.Scheduler.prototype._pickJobs.call(null, [
+    { id: 'p', status: 'paused', updatedAt: 1 },
+    { id: 'r', status: 'running', updatedAt: 2 }
+  ]);
+  assert.deepStrictEqual(picked.map((job) => job.id), ['r', 'p']);
+}
+
+async function testAgentLoopYieldsOnAbort() {
+  const agent = new global.NT.TranslationAgent({});
+  const persisted = [];
+  const registry = new global.NT.AgentToolRegistry({ translationAgent: agent, persistJobState: async () => {} });
+  const runner = new global.NT.AgentRunner({
+    toolRegistry: registry,
+    persistJobState: async (job) => { persisted.push(clone(job.agentState.execution)); }
+  });
+  const job = buildJob({ agentState: { phase: 'execution_in_progress', status: 'running', reports: [], toolHistory: [] } });
+  const blocks = Object.keys(job.blocksById).map((id) => job.blocksById[id]);
+  let calls = 0;
+  const result = await runner.runExecution({
+    job,
+    blocks,
+    settings: {},
+    runLlmRequest: async () => {
+      calls += 1;
+      const error = new Error('Request aborted: USER_PAUSED');
+      error.name = 'AbortError';
+      error.code = 'ABORT_ERR';
+      throw error;
+    }
+  });
+  assert.strictEqual(result.aborted, true);
+  assert.strictEqual(calls, 1, 'No step retries against an aborted signal');
+  assert.strictEqual(job.agentState.execution.status, 'yielded');
+  assert.strictEqual(persisted[persisted.length - 1].status, 'yielded', 'The loop state is persisted for resume');
+  assert.strictEqual(runner._ensureExecutionLoopState({ job, blocks, settings: {} }).status, 'running', 'A yielded loop resumes');
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/core/retry-policy.js');
+  load('extension/ai/translation-agent.js');
+  load('extension/ai/agent-tool-registry.js');
+  load('extension/ai/agent-runner.js');
+  load('extension/bg/job-runner.js');
+  load('extension/core/chrome-local-store-base.js');
+  load('extension/bg/job-queue.js');
+  load('extension/bg/scheduler.js');
+  load('extension/bg/translation-orchestrator.js');
+
+  await testOrchestratorPauseResume();
+  await testPlanningPauseAndRestart();
+  await testJobRunnerAndQueue();
+  await testAgentLoopYieldsOnAbort();
+
+  console.log('PASS: pause and resume');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
@@ -0,0 +1,273 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+const { createMockChatProvidersServer } = require('../tests/e2e/server/mock-chat-providers');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function createStore({ providerId, baseUrl, byokKey = '' }) {
+  return {
+    mode: 'BYOK',
+    byokKey,
+    provider: { id: providerId, baseUrl },
+    async getMode() {
+      return this.mode;
+    },
+    async getByokKey() {
+      return this.byokKey;
+    },
+    async getProxyConfig() {
+      return { baseUrl: '', authHeaderName: 'X-NT-Token', authToken: '', projectId: '' };
+    },
+    async getProvider() {
+      return { ...this.provider };
+    }
+  };
+}
+
+function createClient(store) {
+  return new global.NT.LlmClient({
+    chromeApi: null,
+    fetchFn: (...args) => fetch(...args),
+    credentialsProvider: new global.NT.CredentialsProvider({ credentialsStore: store })
+  });
+}
+
+const TOOLS = [{
+  type: 'function',
+  name: 'page.get_stats',
+  description: 'Page stats',
+  parameters: { type: 'object', properties: {}, additionalProperties: false }
+}];
+
+function testWireConversion() {
+  const Adapters = global.NT.ProviderAdapters;
+  assert.strictEqual(Adapters.normalizeId('unknown'), Adapters.DEFAULT_PROVIDER_ID, 'Unknown provider falls back to Responses');
+  assert.deepStrictEqual(
+    Adapters.list().map((row) => row.id),
+    ['openai_responses', 'openai_chat', 'anthropic', 'ollama']
+  );
+
+  const input = [
+    { role: 'system', content: [{ type: 'input_text', text: 'Be brief.' }] },
+    { role: 'user', content: [{ type: 'input_text', text: 'Hello' }] },
+    { type: 'reasoning', id: 'rs_1', summary: [] },
+    { type: 'function_call', call_id: 'call_1', name: 'page.get_stats', arguments: '{}' },
+    { type: 'function_call', call_id: 'call_2', name: 'page.get_stats', arguments: '{"x":1}' },
+    { type: 'function_call_output', call_id: 'call_1', output: { ok: true } },
+    { type: 'function_call_output', call_id: 'call_2', output: '{"ok":true}' }
+  ];
+
+  const chat = Adapters.get('openai_chat').toWireRequest({
+    model: 'gpt-4o-mini',
+    input,
+    max_output_tokens: 64,
+    temperature: 0.2,
+    tools: TOOLS,
+    tool_choice: 'auto',
+    text: { format: { type: 'json_schema', name: 'out', schema: { type: 'object' }, strict: true } },
+    stream: true
+  });
+  assert.strictEqual(chat.body.messages[0].role, 'system');
+  assert.strictEqual(chat.body.messages[0].content, 'Be brief.');
+  assert.strictEqual(chat.body.messages[2].tool_calls.length, 2, 'Consecutive function calls share one assistant message');
+  assert.strictEqual(chat.body.messages[2].tool_calls[0].function.name, 'page__get_stats', 'Dots are encoded in tool names');
+  assert.deepStrictEqual(chat.body.messages.slice(3).map((row) => row.role), ['tool', 'tool']);
+  assert.strictEqual(chat.body.messages[3].content, '{"ok":true}', 'Object tool output is serialized');
+  assert.strictEqual(chat.body.max_tokens, 64);
+  assert.strictEqual(chat.body.response_format.json_schema.name, 'out');
+  assert.deepStrictEqual(chat.body.stream_options, { include_usage: true });
+
+  const anthropic = Adapters.get('anthropic').toWireRequest({
+    model: 'claude-haiku-4-5',
+    input,
+    tools: TOOLS,
+    tool_choice: 'required',
+    parallel_tool_calls: false,
+    text: { format: { type: 'json_object' } }
+  });
+  assert.strictEqual(anthropic.body.max_tokens > 0, true, 'Anthropic requires max_tokens');
+  assert(anthropic.body.system.startsWith('Be brief.'), 'System messages move to the system field');
+  assert(anthropic.body.system.includes('JSON object'), 'JSON output is requested through the system prompt');
+  assert.deepStrictEqual(anthropic.body.messages.map((row) => row.role), ['user', 'assistant', 'user']);
+  assert.strictEqual(anthropic.body.messages[1].content.length, 2, 'tool_use blocks are merged into one assistant turn');
+  assert.deepStrictEqual(anthropic.body.messages[1].content[1].input, { x: 1 });
+  assert.strictEqual(anthropic.body.messages[2].content[0].type, 'tool_result');
+  assert.deepStrictEqual(anthropic.body.tool_choice, { type: 'any', disable_parallel_tool_use: true });
+
+  const parsed = Adapters.get('anthropic').fromWireResponse({
+    id: 'msg_1',
+    model: 'claude-haiku-4-5',
+    stop_reason: 'max_tokens',
+    content: [{ type: 'tool_use', id: 'toolu_1', name: 'page__get_stats', input: { a: 1 } }],
+    usage: { input_tokens: 10, output_tokens: 3, cache_read_input_tokens: 5 }
+  }, anthropic.context);
+  assert.strictEqual(parsed.output[0].name, 'page.get_stats', 'Tool names are decoded back');
+  assert.strictEqual(parsed.output[0].call_id, 'toolu_1');
+  assert.strictEqual(parsed.usage.input_tokens, 15, 'Cache reads count towards input tokens');
+  assert.strictEqual(parsed.usage.input_tokens_details.cached_tokens, 5);
+  assert.strictEqual(parsed.status, 'incomplete');
+
+  assert.deepStrictEqual(Adapters.get('ollama').parseModelList({ models: [{ name: 'llama3.1' }] }), ['llama3.1']);
+  assert.strictEqual(Adapters.previewDelta({ choices: [{ delta: { content: 'ab' } }] }), 'ab');
+  assert.strictEqual(Adapters.previewDelta({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'cd' } }), 'cd');
+}
+
+function testRegistryCatalogs() {
+  const registry = global.NT.AiCommon.createModelRegistry();
+  const sonnet = registry.byKey['claude-sonnet-4-5:standard'];
+  assert(sonnet, 'Anthropic catalog must feed the model registry');
+  assert.strictEqual(sonnet.provider, 'anthropic');
+  assert.strictEqual(sonnet.family, 'claude');
+  const local = registry.byKey['llama3.1:standard'];
+  assert(local && local.provider === 'ollama' && local.sum_1M === 0, 'Ollama models are free local entries');
+  assert.strictEqual(registry.byKey['gpt-4o-mini:standard'].provider, 'openai');
+}
+
+async function testProviderCandidates() {
+  const candidates = [
+    { modelSpec: 'gpt-4o-mini:standard', provider: 'openai' },
+    { modelSpec: 'llama3.1:standard', provider: 'ollama' }
+  ];
+  const filter = (store) => global.NT.LlmEngine.prototype.filterCandidatesByProvider.call({
+    credentialsProvider: new global.NT.CredentialsProvider({ credentialsStore: store })
+  }, candidates);
+
+  const ollama = await filter(createStore({ providerId: 'ollama', baseUrl: '' }));
+  assert.deepStrictEqual(ollama.map((row) => row.modelSpec), ['llama3.1:standard']);
+
+  await assert.rejects(
+    filter(createStore({ providerId: 'openai_chat', baseUrl: 'http://localhost:1234/v1' })),
+    (error) => error.code === 'PROVIDER_MODEL_REQUIRED',
+    'Catalog ids are not sent to a self-hosted Chat Completions server'
+  );
+  const openAiChat = await filter(createStore({ providerId: 'openai_chat', baseUrl: '' }));
+  assert.deepStrictEqual(openAiChat.map((row) => row.modelSpec), ['gpt-4o-mini:standard']);
+
+  const pinnedStore = createStore({ providerId: 'openai_chat', baseUrl: 'http://localhost:1234/v1' });
+  pinnedStore.provider.modelId = 'local-model';
+  assert.strictEqual((await filter(pinnedStore)).length, 2, 'A configured model id keeps the allowlist for routing');
+}
+
+async function testAgainstMockServer(origin) {
+  const chatClient = createClient(createStore({ providerId: 'openai_chat', baseUrl: `${origin}/v1` }));
+  const chat = await chatClient.generateResponseRaw({
+    modelId: 'llama3.1',
+    input: [{ role: 'user', content: [{ type: 'input_text', text: 'Hello' }] }],
+    maxOutputTokens: 32
+  });
+  assert.strictEqual(chat.json.output_text, 'RU: Hello');
+  assert.strictEqual(chat.json.usage.input_tokens, 12);
+  assert.strictEqual(chat.connection.hasAuth, false, 'Keyless OpenAI-compatible server is allowed');
+  assert.deepStrictEqual(await chatClient.listModels(), ['llama3.1', 'qwen2.5'], 'Model discovery uses the adapter parser');
+
+  const pinnedStore = createStore({ providerId: 'openai_chat', baseUrl: `${origin}/v1` });
+  pinnedStore.provider.modelId = 'qwen2.5';
+  const pinned = await createClient(pinnedStore).generateResponseRaw({ modelId: 'gpt-4o-mini', input: 'Ping' });
+  assert.strictEqual(pinned.json.model, 'qwen2.5', 'Configured model id replaces the catalog id on the wire');
+
+  const streamEvents = [];
+  const streamed = await chatClient.generateResponseStreamRaw({
+    modelId: 'llama3.1',
+    input: 'Stream me',
+    maxOutputTokens: 32,
+    onEvent: (event) => streamEvents.push(event)
+  });
+  assert.strictEqual(streamed.json.output_text, 'RU: Stream me', 'Stream result is assembled from chunks');
+  assert.strictEqual(streamed.json.usage.output_tokens, 5, 'Usage chunk is picked up');
+  const deltas = streamEvents.filter((event) => event.type === 'response.output_text.delta').map((event) => event.delta).join('');
+  assert.strictEqual(deltas, 'RU: Stream me', 'Chunks are re-emitted as Responses deltas');
+  assert.strictEqual(streamEvents[streamEvents.length - 1].type, 'response.completed');
+
+  const first = await chatClient.generateResponseRaw({
+    modelId: 'llama3.1',
+    input: [{ role: 'user', content: [{ type: 'input_text', text: 'Use tools' }] }],
+    responsesOptions: { tools: TOOLS, tool_choice: 'auto' }
+  });
+  const call = first.json.output.find((item) => item.type === 'function_call');
+  assert(call && call.name === 'page.get_stats', 'Tool call comes back with the internal name');
+  const second = await chatClient.generateResponseRaw({
+    modelId: 'llama3.1',
+    input: [{ type: 'function_call_output', call_id: call.call_id, output: '{"ok":true}' }],
+    responsesOptions: { tools: TOOLS, previous_response_id: first.json.id }
+  });
+  assert.strictEqual(second.json.output_text, 'RU: Use tools', 'previous_response_id is replayed from the local transcript');
+
+  await assert.rejects(
+    chatClient.generateResponseRaw({
+      modelId: 'llama3.1',
+      input: 'x',
+      responsesOptions: { previous_response_id: 'resp_missing' }
+    }),
+    (error) => error.status === 400 && error.code === 'PREVIOUS_RESPONSE_NOT_FOUND' && error.message.includes('previous_response_id')
+  );
+
+  const ollamaClient = createClient(createStore({ providerId: 'ollama', baseUrl: `${origin}/v1` }));
+  const ollama = await ollamaClient.generateResponseRaw({ modelId: 'qwen2.5', input: 'Ping' });
+  assert.strictEqual(ollama.json.output_text, 'RU: Ping');
+
+  const anthropicStore = createStore({ providerId: 'anthropic', baseUrl: `${origin}/v1` });
+  const anthropicClient = createClient(anthropicStore);
+  await assert.rejects(
+    anthropicClient.generateResponseRaw({ modelId: 'claude-haiku-4-5', input: 'x' }),
+    (error) => error.code === 'NO_API_KEY',
+    'Anthropic requires an API key'
+  );
+  anthropicStore.byokKey = 'sk-ant-test';
+  const anthropic = await anthropicClient.generateResponseRaw({
+    modelId: 'claude-haiku-4-5',
+    input: [
+      { role: 'system', content: 'Translate.' },
+      { role: 'user', content: [{ type: 'input_text', text: 'Hi' }] }
+    ]
+  });
+  assert.strictEqual(anthropic.json.output_text, 'RU: Hi');
+  assert.strictEqual(anthropic.json.usage.input_tokens_details.cached_tokens, 4);
+
+  const anthropicToolStream = await anthropicClient.generateResponseStreamRaw({
+    modelId: 'claude-haiku-4-5',
+    input: 'Use tools',
+    responsesOptions: { tools: TOOLS }
+  });
+  const streamedCall = anthropicToolStream.json.output.find((item) => item.type === 'function_call');
+  assert.strictEqual(streamedCall.name, 'page.get_stats');
+  assert.strictEqual(streamedCall.arguments, '{"a":1}', 'Partial JSON deltas are joined');
+  assert.strictEqual(anthropicToolStream.json.usage.output_tokens, 6);
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/chrome-local-store-base.js');
+  load('extension/ai/capability-rank.js');
+  load('extension/ai/provider-adapters.js');
+  load('extension/ai/ai-common.js');
+  load('extension/ai/llm-client.js');
+  load('extension/ai/llm-engine.js');
+  load('extension/bg/credentials-provider.js');
+
+  testWireConversion();
+  testRegistryCatalogs();
+  await testProviderCandidates();
+
+  const server = createMockChatProvidersServer();
+  await server.start();
+  try {
+    await testAgainstMockServer(server.origin);
+  } finally {
+    await server.stop();
+  }
+
+  console.log('PASS: provider adapters');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
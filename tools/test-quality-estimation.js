@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function gradingCall(gradeFor) {
+  const requests = [];
+  const call = new global.NT.TranslationCall({
+    runLlmRequest: async ({ taskType, request }) => {
+      requests.push({ taskType, request });
+      const payload = JSON.parse(request.input[1].content[0].text);
+      const scores = payload.items.map((item) => gradeFor(item)).filter(Boolean);
+      return { output_text: JSON.stringify({ scores }) };
+    }
+  });
+  return { call, requests };
+}
+
+async function testEstimator() {
+  const { call, requests } = gradingCall((item) => {
+    if (item.blockId === 'b1') {
+      return { blockId: 'b1', score: 140, adequacy: 90, fluency: 95, reasons: [] };
+    }
+    if (item.blockId === 'b2') {
+      return { blockId: 'b2', adequacy: 40, fluency: 61, reasons: ['drops the second clause', ' ', 'awkward', 'extra'] };
+    }
+    return null;
+  });
+  const items = [
+    { blockId: 'b1', sourceText: 'Save', translatedText: 'Сохранить' },
+    { blockId: 'b2', sourceText: 'Open the file and save it', translatedText: 'Откройте файл' },
+    { blockId: 'b3', sourceText: 'Close', translatedText: 'Закрыть' },
+    { blockId: 'b4', sourceText: 'Empty', translatedText: '  ' }
+  ];
+  const first = await call.estimateQuality(items, { tabId: 1, jobId: 'j', batchId: 'j:quality:0', targetLang: 'ru' });
+  assert.strictEqual(requests.length, 1);
+  assert.deepStrictEqual([requests[0].taskType, requests[0].request.agentRoute], ['translation_quality_estimate', 'fast']);
+  assert.strictEqual(requests[0].request.hintBatchSize, 3, 'Blocks without a translation are not graded');
+  assert.strictEqual(first.scores.b1.score, 100, 'Scores are clamped');
+  assert.deepStrictEqual([first.scores.b2.score, first.scores.b2.reasons], [51, ['drops the second clause', 'awkward']],
+    'A missing overall score falls back to the mean');
+  assert.strictEqual(first.scores.b3, undefined, 'Skipped blocks stay ungraded');
+
+  const second = await call.estimateQuality([
+    items[0],
+    { ...items[1], translatedText: 'Откройте файл и сохраните его' }
+  ], { tabId: 1, jobId: 'j', batchId: 'j:quality:1', targetLang: 'ru' });
+  assert.strictEqual(requests.length, 2);
+  assert.strictEqual(requests[1].request.hintBatchSize, 1, 'Only the changed translation is re-graded');
+  assert.deepStrictEqual([second.cached, second.scores.b1.cached], [1, true]);
+
+  await call.estimateQuality([items[0]], { targetLang: 'ru', cacheEnabled: false });
+  assert.strictEqual(requests.length, 3);
+}
+
+function buildJob() {
+  return {
+    id: 'job-q',
+    tabId: 2,
+    status: 'running',
+    targetLang: 'ru',
+    blocksById: {
+      b1: { blockId: 'b1', category: 'main_content', originalText: 'Open the file', translatedText: 'Откройте файл' },
+      b2: { blockId: 'b2', category: 'main_content', originalText: 'Save it now', translatedText: 'Сохраните сейчас' },
+      b3: { blockId: 'b3', category: 'navigation', originalText: 'Home', translatedText: 'Главная' },
+      b4: { blockId: 'b4', category: 'navigation', originalText: 'Docs', translatedText: '' }
+    }
+  };
+}
+
+async function testPass() {
+  const jobs = new Map([['job-q', buildJob()]]);
+  const orchestrator = new global.NT.TranslationOrchestrator({
+    jobStore: {
+      async getJob(id) { return jobs.has(id) ? clone(jobs.get(id)) : null; },
+      async upsertJob(job) { jobs.set(job.id, clone(job)); },
+      async setActiveJob() {}
+    }
+  });
+  const grades = { b1: 92, b2: 45 };
+  const { call, requests } = gradingCall((item) => (grades[item.blockId] !== undefined
+    ? { blockId: item.blockId, score: grades[item.blockId], adequacy: grades[item.blockId], fluency: 90, reasons: ['x'] }
+    : null));
+  orchestrator.translationCall = call;
+
+  const off = await orchestrator._runQualityEstimationPass(jobs.get('job-q'), { translationQualityEstimation: false });
+  assert.deepStrictEqual([off.updated, requests.length], [0, 0], 'The pass is opt-in');
+
+  const settings = { translationQualityEstimation: true };
+  const ran = await orchestrator._runQualityEstimationPass(clone(jobs.get('job-q')), settings);
+  assert.strictEqual(ran.updated, 3);
+  let job = jobs.get('job-q');
+  assert.strictEqual(job.blocksById.b2.qualityScore.score, 45);
+  assert.strictEqual(job.blocksById.b3.qualityScore.score, null, 'Skipped blocks are stored without a score');
+  assert.strictEqual(job.blocksById.b4.qualityScore, undefined);
+  assert.deepStrictEqual([job.qualityEstimate.scoredBlocks, job.qualityEstimate.avgScore, job.qualityEstimate.lowBlocks], [2, 69, 1]);
+  assert.strictEqual(job.qualityEstimate.lowest[0].blockId, 'b2');
+
+  const again = await orchestrator._runQualityEstimationPass(clone(job), settings);
+  assert.deepStrictEqual([again.updated, requests.length], [0, 1], 'Unchanged blocks are not graded twice');
+
+  job.blocksById.b2.translatedText = 'Сохраните это сейчас';
+  jobs.set('job-q', clone(job));
+  grades.b2 = 88;
+  await orchestrator._runQualityEstimationPass(clone(job), settings);
+  job = jobs.get('job-q');
+  assert.strictEqual(requests.length, 2);
+  assert.strictEqual(job.blocksById.b2.qualityScore.score, 88, 'Edited text gets a fresh score');
+
+  const summary = orchestrator.getCategorySummaryForJob(job);
+  const main = summary.categories.find((row) => row.key === 'main_content');
+  const nav = summary.categories.find((row) => row.key === 'navigation');
+  assert.deepStrictEqual([main.avgQuality, main.lowQualityCount, nav.avgQuality], [90, 0, null]);
+  assert.strictEqual(summary.quality.scoredBlocks, 2);
+  assert.strictEqual(orchestrator._toJobSummary(job).qualityEstimate.avgScore, 90);
+
+  job.blocksById.b1.translatedText = 'Откройте этот файл';
+  jobs.set('job-q', clone(job));
+  orchestrator.translationCall = { async estimateQuality() { throw new Error('offline'); } };
+  const failed = await orchestrator._runQualityEstimationPass(clone(job), settings);
+  job = jobs.get('job-q');
+  assert.deepStrictEqual([failed.updated, failed.interrupted], [1, false], 'A failed request does not stop the job');
+  assert.strictEqual(job.blocksById.b1.qualityScore.score, null);
+  assert.strictEqual(job.qualityEstimate.lastError.message, 'offline');
+}
+
+function testAgentRisk() {
+  const registry = new global.NT.AgentToolRegistry({});
+  const block = { originalText: 'Open the file', translatedText: 'Откройте файл' };
+  const plain = registry._proofRiskForBlock(block, []);
+  const low = registry._proofRiskForBlock({ ...block, qualityScore: { score: 40 } }, []);
+  const fine = registry._proofRiskForBlock({ ...block, qualityScore: { score: 95 } }, []);
+  assert.strictEqual(plain.qualityScore, null);
+  assert.deepStrictEqual([low.score - plain.score, low.qualityScore], [4, 40], 'Low scorers are proofread first');
+  assert.strictEqual(fine.score, plain.score);
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/ai/translation-call.js');
+  load('extension/ai/translation-agent.js');
+  load('extension/ai/agent-tool-registry.js');
+  load('extension/bg/translation-orchestrator.js');
+
+  await testEstimator();
+  await testPass();
+  testAgentRisk();
+
+  console.log('PASS: quality estimation');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
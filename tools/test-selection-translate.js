@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function createMemoryStore() {
+  const blocks = new Map();
+  return {
+    blocks,
+    async getBlock(key) { return blocks.get(key) || null; },
+    async touchBlock() { return { ok: true }; },
+    async upsertBlock(record) { blocks.set(record.blockKey, { ...record }); return { ok: true }; }
+  };
+}
+
+function createOrchestrator({ capture, translate }) {
+  const translationMemoryStore = createMemoryStore();
+  const calls = [];
+  const orchestrator = new global.NT.TranslationOrchestrator({
+    jobStore: { async getJob() { return null; } },
+    translationMemoryStore,
+    translationCall: {
+      async translateBatch(blocks, options) {
+        calls.push({ blocks, options });
+        return translate(blocks, options);
+      }
+    }
+  });
+  orchestrator.sent = [];
+  orchestrator._ensureContentRuntime = async () => ({ ok: true });
+  orchestrator._sendToTab = async (tabId, message) => {
+    orchestrator.sent.push({ tabId, ...message });
+    if (message.type === global.NT.TranslationProtocol.BG_SELECTION_CAPTURE) {
+      return capture;
+    }
+    return { ok: true, response: { ok: true, shown: true } };
+  };
+  return { orchestrator, calls, memory: translationMemoryStore };
+}
+
+async function testOrchestratorFlow() {
+  const protocol = global.NT.TranslationProtocol;
+  const capture = {
+    ok: true,
+    response: {
+      selection: { selectionId: 'sel-1', text: 'bank', context: 'We sat on the river bank.' },
+      frameUrl: 'https://example.com/post'
+    }
+  };
+  const { orchestrator, calls, memory } = createOrchestrator({
+    capture,
+    translate: (blocks) => ({ items: [{ blockId: blocks[0].blockId, text: 'берег' }] })
+  });
+
+  const first = await orchestrator.translateSelection({ tabId: 5, frameId: 3 });
+  assert.deepStrictEqual([first.ok, first.translatedText, first.fromMemory], [true, 'берег', false]);
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].blocks[0].context, 'We sat on the river bank.', 'The paragraph travels with the text');
+  assert.strictEqual(calls[0].options.targetLang, 'ru');
+  const shows = orchestrator.sent.filter((message) => message.type === protocol.BG_SELECTION_SHOW);
+  assert.deepStrictEqual(shows.map((message) => message.state), ['loading', 'result']);
+  assert.ok(orchestrator.sent.every((message) => message.targetFrameId === 3), 'Every message goes to the selection frame');
+  assert.strictEqual(shows[1].selectionId, 'sel-1');
+  const stored = Array.from(memory.blocks.values());
+  assert.strictEqual(stored.length, 1);
+  assert.deepStrictEqual([stored[0].originalText, stored[0].translatedText, stored[0].domain], ['bank', 'берег', 'example.com']);
+
+  const second = await orchestrator.translateSelection({ tabId: 5, frameId: 3 });
+  assert.deepStrictEqual([second.translatedText, second.fromMemory], ['берег', true]);
+  assert.strictEqual(calls.length, 1, 'An exact memory hit skips the model');
+}
+
+async function testFailuresAndFallback() {
+  const failing = createOrchestrator({
+    capture: { ok: false, error: { code: 'TAB_SEND_FAILED' } },
+    translate: () => { throw Object.assign(new Error('quota'), { code: 'RATE_LIMIT' }); }
+  });
+  const failed = await failing.orchestrator.translateSelection({ tabId: 5, selectionText: ' Hello ' });
+  assert.deepStrictEqual(failed.error, { code: 'RATE_LIMIT', message: 'quota' });
+  assert.strictEqual(failing.calls[0].blocks[0].originalText, 'Hello', 'The context-menu text is used when capture fails');
+  assert.strictEqual(failing.memory.blocks.size, 0);
+
+  const empty = createOrchestrator({ capture: { ok: true, response: { selection: null } }, translate: () => ({ items: [] }) });
+  assert.strictEqual((await empty.orchestrator.translateSelection({ tabId: 5 })).error.code, 'SELECTION_EMPTY');
+  assert.strictEqual((await empty.orchestrator.translateSelection({})).error.code, 'INVALID_TAB_ID');
+}
+
+function testPromptContext() {
+  const call = Object.create(global.NT.TranslationCall.prototype);
+  const prompt = call._buildPrompt([{ blockId: 'selection', originalText: 'bank', context: 'river bank' }], 'ru', {});
+  const payload = JSON.parse(prompt.split('\n').pop());
+  assert.strictEqual(payload[0].context, 'river bank');
+  assert.ok(prompt.includes('translate only "text"'));
+  assert.ok(!call._buildPrompt([{ blockId: 'b1', originalText: 'x' }], 'ru', {}).includes('"context"'));
+}
+
+function testCardContextAndReplace() {
+  const paragraph = { textContent: `${'Lead. '.repeat(300)}The key sentence here. ${'Tail. '.repeat(300)}` };
+  const textNode = { nodeType: 3, parentElement: { nodeType: 1, closest: () => paragraph }, isConnected: true };
+  let live = 'key sentence';
+  let inserted = null;
+  const range = {
+    commonAncestorContainer: textNode,
+    toString: () => live,
+    cloneRange() { return range; },
+    deleteContents() { live = ''; },
+    insertNode(node) { inserted = node; }
+  };
+  global.getSelection = () => ({ isCollapsed: false, rangeCount: 1, toString: () => 'key sentence', getRangeAt: () => range });
+  const card = new global.NT.SelectionCard({ doc: { createTextNode: (text) => ({ text }) }, maxContextChars: 200 });
+  const captured = card.capture();
+  assert.strictEqual(captured.text, 'key sentence');
+  assert.ok(captured.context.length <= 200 && captured.context.includes('The key sentence here.'), 'Long paragraphs are cut around the selection');
+
+  card.current = { selectionId: captured.selectionId, state: 'result', translatedText: 'ключевая фраза' };
+  live = 'changed';
+  assert.strictEqual(card.replace(), false, 'A selection the page rewrote is left alone');
+  live = 'key sentence';
+  assert.strictEqual(card.replace(), true);
+  assert.deepStrictEqual(inserted, { text: 'ключевая фраза' });
+  delete global.getSelection;
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/ai/translation-call.js');
+  load('extension/content/selection-card.js');
+  load('extension/bg/translation-orchestrator.js');
+
+  await testOrchestratorFlow();
+  await testFailuresAndFallback();
+  testPromptContext();
+  testCardContextAndReplace();
+
+  console.log('PASS: selection translate');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function buildJob(overrides = {}) {
+  return {
+    id: 'job-s',
+    tabId: 4,
+    status: 'done',
+    targetLang: 'ru',
+    totalBlocks: 5,
+    completedBlocks: 2,
+    pendingBlockIds: ['b3'],
+    failedBlockIds: ['b2'],
+    viewport: { deferredBlockIds: ['b4'] },
+    blocksById: {
+      b2: { blockId: 'b2', domOrder: 2, category: 'main_content', originalText: 'Broken' },
+      b0: {
+        blockId: 'b0',
+        domOrder: 0,
+        category: 'heading',
+        originalText: 'Title',
+        translatedText: 'Заголовок',
+        quality: { tag: 'proofread' }
+      },
+      b1: {
+        blockId: 'b1',
+        domOrder: 1,
+        category: 'main_content',
+        originalText: 'Read the',
+        translatedText: 'Прочтите',
+        segment: { id: 'seg-1', index: 0 }
+      },
+      b1b: {
+        blockId: 'b1b',
+        domOrder: 1.5,
+        category: 'main_content',
+        originalText: 'docs',
+        translatedText: 'документацию',
+        segment: { id: 'seg-1', index: 1 }
+      },
+      b3: { blockId: 'b3', domOrder: 3, category: 'footer', originalText: 'Later' },
+      b4: { blockId: 'b4', domOrder: 4, category: 'footer', originalText: 'Below' }
+    },
+    ...overrides
+  };
+}
+
+function createOrchestrator(initialJob, { translate } = {}) {
+  const jobs = new Map([[initialJob.id, clone(initialJob)]]);
+  const active = new Map([[initialJob.tabId, initialJob.id]]);
+  const calls = [];
+  const orchestrator = new global.NT.TranslationOrchestrator({
+    jobStore: {
+      async getJob(id) { return jobs.has(id) ? clone(jobs.get(id)) : null; },
+      async getActiveJob(tabId) { return active.has(tabId) ? clone(jobs.get(active.get(tabId))) : null; },
+      async upsertJob(job) { jobs.set(job.id, clone(job)); },
+      async setActiveJob(tabId, jobId) { active.set(tabId, jobId); },
+      async clearActiveJob(tabId) { active.delete(tabId); },
+      async getLastJobId(tabId) { return tabId === initialJob.tabId ? initialJob.id : null; }
+    },
+    translationCall: {
+      async translateBatch(blocks, options) {
+        calls.push({ blocks, options });
+        return translate ? translate(blocks, options) : { items: [] };
+      }
+    }
+  });
+  orchestrator.applied = [];
+  orchestrator._applyDeltaToTab = async ({ blockId, text, isFinal }) => {
+    orchestrator.applied.push({ blockId, text, isFinal });
+    return { applied: true };
+  };
+  return { orchestrator, jobs, calls };
+}
+
+function testViewModel() {
+  const Vm = global.NT.SidePanelViewModel;
+  const blocks = [
+    { blockId: 'a', category: 'heading', status: 'done', originalText: 'Title', translatedText: 'Заголовок' },
+    { blockId: 'b', category: 'main_content', status: 'failed', originalText: 'Body', translatedText: '' },
+    { blockId: 'c', category: 'main_content', status: 'done', originalText: 'More', translatedText: 'Ещё' },
+    null
+  ];
+  assert.deepStrictEqual(Vm.filterBlocks(blocks, { category: 'main_content' }).map((b) => b.blockId), ['b', 'c']);
+  assert.deepStrictEqual(Vm.filterBlocks(blocks, { status: 'done', query: ' ЕЩЁ ' }).map((b) => b.blockId), ['c'], 'Search covers the translation');
+  assert.strictEqual(Vm.filterBlocks(blocks, { status: 'bogus' }).length, 3, 'Unknown statuses fall back to all');
+
+  const options = Vm.buildFilterOptions(blocks);
+  assert.deepStrictEqual(options.categories, [{ id: 'heading', count: 1 }, { id: 'main_content', count: 2 }]);
+  assert.deepStrictEqual(options.statuses, [{ id: 'done', count: 2 }, { id: 'failed', count: 1 }]);
+
+  assert.deepStrictEqual(
+    Vm.qualityFlags({ qualityTag: 'literal', userEdited: true, proofreadPending: true }).map((flag) => flag.id),
+    ['quality:literal', 'edited', 'proofread_pending']
+  );
+  assert.strictEqual(Vm.patchTouchesJob({ translationJob: { id: 'j1', tabId: 9 } }, { jobId: 'j1' }), true);
+  assert.strictEqual(Vm.patchTouchesJob({ translationJob: { id: 'j2', tabId: 9 } }, { tabId: 9, jobId: 'j1' }), true, 'A new job on the tab counts');
+  assert.strictEqual(Vm.patchTouchesJob({ translationJob: { id: 'j3', tabId: 8 } }, { tabId: 9, jobId: 'j1' }), false);
+  assert.strictEqual(Vm.patchTouchesJob({ type: 'ui:command:result' }, { tabId: 9 }), false);
+}
+
+async function testListBlocks() {
+  const { orchestrator } = createOrchestrator(buildJob());
+  const listed = await orchestrator.listJobBlocks({ tabId: 4 });
+  assert.strictEqual(listed.ok, true);
+  assert.deepStrictEqual(listed.blocks.map((block) => block.blockId), ['b0', 'b1', 'b1b', 'b2', 'b3', 'b4'], 'Document order');
+  assert.deepStrictEqual(listed.blocks.map((block) => block.status), ['done', 'done', 'done', 'failed', 'pending', 'deferred']);
+  assert.deepStrictEqual([listed.blocks[0].qualityTag, listed.blocks[1].qualityTag, listed.blocks[3].qualityTag], ['proofread', 'raw', null]);
+  assert.strictEqual(listed.blocks[1].segmentId, 'seg-1');
+  assert.strictEqual((await orchestrator.listJobBlocks({ tabId: 99 })).error.code, 'JOB_NOT_FOUND');
+}
+
+async function testManualEdit() {
+  const busy = createOrchestrator(buildJob({ status: 'running' }));
+  const refused = await busy.orchestrator.setBlockTranslation({ tabId: 4, blockId: 'b0', text: 'Новый' });
+  assert.strictEqual(refused.error.code, 'JOB_BUSY', 'A working job is not edited under the loop');
+  busy.orchestrator.PAUSABLE_STATUSES.forEach((status) => {
+    assert.strictEqual(global.NT.SidePanelViewModel.canEditBlocks({ status }), false, `The panel disables edits while ${status}`);
+  });
+  assert.strictEqual(global.NT.SidePanelViewModel.canEditBlocks({ status: 'paused' }), true);
+  assert.strictEqual(global.NT.SidePanelViewModel.canEditBlocks(null), true);
+
+  const { orchestrator, jobs } = createOrchestrator(buildJob());
+  assert.strictEqual((await orchestrator.setBlockTranslation({ tabId: 4, blockId: 'b0', text: '  ' })).error.code, 'INVALID_TEXT');
+  assert.strictEqual((await orchestrator.setBlockTranslation({ tabId: 4, blockId: 'b2', text: 'x' })).error.code, 'BLOCK_NOT_TRANSLATED');
+  assert.strictEqual((await orchestrator.setBlockTranslation({ tabId: 4, blockId: 'nope', text: 'x' })).error.code, 'BLOCK_NOT_FOUND');
+
+  const saved = await orchestrator.setBlockTranslation({ tabId: 4, blockId: 'b0', text: ' Новый заголовок ' });
+  assert.deepStrictEqual([saved.ok, saved.applied], [true, true]);
+  assert.deepStrictEqual(orchestrator.applied, [{ blockId: 'b0', text: 'Новый заголовок', isFinal: true }]);
+  const stored = jobs.get('job-s').blocksById.b0;
+  assert.strictEqual(stored.translatedText, 'Новый заголовок');
+  assert.strictEqual(stored.userEdit.previousText, 'Заголовок');
+  const listed = await orchestrator.listJobBlocks({ tabId: 4 });
+  assert.strictEqual(listed.blocks[0].userEdited, true);
+}
+
+async function testRetranslate() {
+  const { orchestrator, jobs, calls } = createOrchestrator(buildJob({
+    status: 'paused',
+    blocksById: {
+      ...buildJob().blocksById,
+      b1b: { ...buildJob().blocksById.b1b, quality: { tag: 'styled' }, userEdit: { at: 1, previousText: 'доки' } }
+    }
+  }), {
+    translate: (blocks) => ({ items: blocks.map((block) => ({ blockId: block.blockId, text: `${block.originalText} (заново)` })) })
+  });
+  orchestrator.processingJobs.add('job-s');
+  const busy = await orchestrator.requestBlockAction({ tabId: 4, blockId: 'b1', action: 'retranslate' });
+  assert.strictEqual(busy.error.code, 'JOB_BUSY', 'Paused status is not enough while the job is still processing');
+
+  orchestrator.processingJobs.delete('job-s');
+  const result = await orchestrator.requestBlockAction({ tabId: 4, blockId: 'b1', action: 'retranslate' });
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(calls[0].blocks.map((block) => block.blockId), ['b1', 'b1b'], 'The whole inline segment is sent');
+  assert.strictEqual(calls[0].options.cacheEnabled, false);
+  assert.strictEqual(calls[0].options.batchId, 'job-s:retranslate:b1');
+  const stored = jobs.get('job-s').blocksById;
+  assert.deepStrictEqual([stored.b1.translatedText, stored.b1b.translatedText], ['Read the (заново)', 'docs (заново)']);
+  assert.strictEqual(stored.b1b.quality.tag, 'raw');
+  assert.strictEqual(stored.b1b.userEdit, undefined, 'A fresh translation drops the manual edit marker');
+}
+
+async function testRefreshMaxWait() {
+  let fired = 0;
+  const refresh = global.NT.Ui.debounce(() => { fired += 1; }, 80, { maxWaitMs: 160 });
+  for (let i = 0; i < 10; i += 1) {
+    refresh();
+    await new Promise((resolve) => setTimeout(resolve, 40));
+  }
+  assert(fired >= 1, 'A steady stream of patches still refreshes the list');
+  const before = fired;
+  await new Promise((resolve) => setTimeout(resolve, 120));
+  assert.strictEqual(fired, before + 1, 'The trailing call still runs once');
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/ui/ui-kit.js');
+  load('extension/ui/sidepanel-view-model.js');
+  load('extension/bg/translation-orchestrator.js');
+
+  testViewModel();
+  await testListBlocks();
+  await testManualEdit();
+  await testRetranslate();
+  await testRefreshMaxWait();
+
+  console.log('PASS: side panel workspace');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
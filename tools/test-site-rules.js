@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+/**
+ * Minimal element: `matches` understands `tag`, `.class`, `#id` and
+ * `tag.class`, which is all the fixtures below use.
+ */
+function element(tagName, { id = '', classes = [] } = {}, parent = null) {
+  return {
+    nodeType: 1,
+    tagName: tagName.toUpperCase(),
+    id,
+    classList: classes,
+    parentElement: parent,
+    matches(selector) {
+      if (selector.includes('[')) {
+        throw new Error(`Unsupported selector: ${selector}`);
+      }
+      const match = /^([a-z0-9]*)(#[\w-]+)?((?:\.[\w-]+)*)$/i.exec(selector.trim());
+      if (!match) {
+        return false;
+      }
+      const [, tag, idPart, classPart] = match;
+      return (!tag || tag.toUpperCase() === this.tagName)
+        && (!idPart || idPart.slice(1) === this.id)
+        && classPart.split('.').filter(Boolean).every((name) => this.classList.includes(name));
+    }
+  };
+}
+
+function testRules() {
+  const Rules = global.NT.SiteRules;
+  assert.strictEqual(Rules.normalizeHost('https://www.Example.com/path'), 'example.com');
+  assert.strictEqual(Rules.normalizeHost('docs.example.com'), 'docs.example.com');
+  assert.strictEqual(Rules.normalizeHost('chrome://extensions'), null);
+
+  assert.strictEqual(Rules.normalizeRule({ selector: '.x', action: 'hide' }), null);
+  assert.strictEqual(Rules.normalizeRule({ selector: '.x', action: 'category' }), null, 'A category rule needs a category');
+  const skip = Rules.normalizeRule({ selector: '  .cookie   banner ', action: 'skip', category: 'navigation' });
+  assert.deepStrictEqual([skip.selector, skip.category], ['.cookie banner', null]);
+  assert.strictEqual(skip.id, Rules.normalizeRule({ selector: '.cookie banner', action: 'skip' }).id, 'Ids are stable');
+
+  let rules = Rules.withRule({}, 'https://example.com/a', { selector: 'nav', action: 'skip' });
+  rules = Rules.withRule(rules, 'example.com', { selector: '.hero', action: 'category', category: 'Headings' });
+  rules = Rules.withRule(rules, 'docs.example.com', { selector: 'nav', action: 'translate' });
+  rules = Rules.withRule(rules, 'example.com', { selector: 'nav', action: 'translate' });
+  assert.deepStrictEqual(rules['example.com'].map((rule) => `${rule.selector}:${rule.action}`), ['.hero:category', 'nav:translate'],
+    'A new rule for the same selector replaces the old one');
+  assert.strictEqual(rules['example.com'][0].category, 'headings');
+
+  const forDocs = Rules.rulesForUrl(rules, 'https://docs.example.com/guide');
+  assert.deepStrictEqual(forDocs.map((rule) => rule.selector), ['.hero', 'nav', 'nav'], 'Parent-domain rules come first');
+  assert.deepStrictEqual(Rules.rulesForUrl(rules, 'https://other.org/'), []);
+
+  const removed = Rules.withoutRule(rules, 'docs.example.com', rules['docs.example.com'][0].id);
+  assert.strictEqual(Object.prototype.hasOwnProperty.call(removed, 'docs.example.com'), false, 'An emptied host is dropped');
+  assert(rules['docs.example.com'], 'withoutRule does not mutate its input');
+  assert.deepStrictEqual(Rules.normalizeRules({ 'not a host': [{ selector: 'a', action: 'skip' }], 'x.org': 'nope' }), {});
+
+  const body = element('body');
+  const nav = element('nav', { classes: ['menu'] }, body);
+  const link = element('a', {}, nav);
+  const list = [
+    Rules.normalizeRule({ selector: 'nav', action: 'skip' }),
+    Rules.normalizeRule({ selector: 'a[href]', action: 'translate' }),
+    Rules.normalizeRule({ selector: '.menu', action: 'category', category: 'navigation' })
+  ];
+  assert.strictEqual(Rules.matchElement(link, list).action, 'category', 'The nearest match wins, later rules first');
+  assert.strictEqual(Rules.matchElement(body, list), null);
+  assert.strictEqual(Rules.matchElement(link, []), null);
+}
+
+function testIndexerAndClassifier() {
+  const Rules = global.NT.SiteRules;
+  const body = element('body');
+  const banner = element('div', { id: 'cookies' }, body);
+  const bannerText = element('p', {}, banner);
+  const hero = element('section', { classes: ['hero'] }, body);
+  const plain = element('p', {}, body);
+
+  const indexer = new global.NT.DomIndexer({ doc: {} });
+  assert.strictEqual(indexer.setSiteRules(Rules.rulesForUrl({
+    'example.com': [
+      { selector: '#cookies', action: 'skip' },
+      { selector: 'section.hero', action: 'category', category: 'headings' }
+    ]
+  }, 'https://example.com/')), 2);
+  assert.strictEqual(indexer._isEligible(bannerText, 'Accept cookies'), false, 'Skipped subtrees are not indexed');
+  assert.strictEqual(indexer._isEligible(plain, 'Body text'), true);
+  assert.strictEqual(indexer._isEligible(hero, 'Big title'), true, 'Only skip rules drop text');
+  assert.strictEqual(indexer.siteRuleSkips, 1);
+  assert.strictEqual(indexer._siteRuleFor(hero).category, 'headings');
+  assert.strictEqual(indexer._siteRuleFor(plain), null);
+
+  const classifier = new global.NT.DomClassifier();
+  const out = classifier.classifyBlocks([
+    { blockId: 'b0', originalText: 'Big title', features: { tag: 'p' }, siteRule: { id: 'sr_1', action: 'category', category: 'headings' } },
+    { blockId: 'b1', originalText: 'Plain text here', features: { tag: 'p' }, siteRule: { id: 'sr_2', action: 'translate', category: null } }
+  ], {});
+  assert.deepStrictEqual([out.byBlockId.b0.category, out.byBlockId.b0.confidence], ['headings', 1]);
+  assert.deepStrictEqual(out.byBlockId.b0.reasons, ['rule:site:category']);
+  assert(!out.byBlockId.b1.reasons.includes('rule:site:category'), 'Other rules leave classification alone');
+}
+
+async function testOrchestrator() {
+  const saved = [];
+  let stored = { translationSiteRules: {} };
+  const orchestrator = new global.NT.TranslationOrchestrator({
+    settingsStore: {
+      async get() { return JSON.parse(JSON.stringify(stored)); },
+      async set(patch) {
+        saved.push(patch);
+        stored = { ...stored, ...patch };
+      }
+    }
+  });
+
+  assert.strictEqual(orchestrator._sanitizeSiteRule({ action: 'hide' }), null);
+  assert.deepStrictEqual(orchestrator._sanitizeSiteRule({ id: 'sr_1', action: 'translate', category: 'x' }), { id: 'sr_1', action: 'translate', category: null });
+
+  const blocksById = {
+    b0: { blockId: 'b0', category: 'main_content' },
+    b1: { blockId: 'b1', category: 'navigation', siteRule: { action: 'translate' } },
+    b2: { blockId: 'b2', category: 'navigation' },
+    b3: { blockId: 'b3', category: 'navigation', siteRule: { action: 'translate' }, skipReason: 'already_target_lang' }
+  };
+  assert.deepStrictEqual(orchestrator._filterBlockIdsByCategories(blocksById, ['main_content']), ['b0', 'b1'],
+    'Always-translate blocks join any selection');
+  assert.deepStrictEqual(orchestrator._filterBlockIdsByCategories(blocksById, []), []);
+  assert.deepStrictEqual(
+    orchestrator._siteRulesForUrl({ translationSiteRules: { 'example.com': [{ selector: 'nav', action: 'skip' }] } }, 'https://www.example.com/').map((rule) => rule.selector),
+    ['nav']
+  );
+
+  const frame = await orchestrator._handleSiteRulePick({ message: { url: 'https://example.com/', rule: { selector: 'nav', action: 'skip' } }, tabId: 3, frameId: 2 });
+  assert.strictEqual(frame.error.code, 'FRAME_NOT_SUPPORTED');
+  const invalid = await orchestrator._handleSiteRulePick({ message: { url: 'about:blank', rule: { selector: 'nav', action: 'skip' } }, tabId: 3, frameId: 0 });
+  assert.strictEqual(invalid.error.code, 'INVALID_SITE_RULE');
+
+  const picked = await orchestrator._handleSiteRulePick({
+    message: { url: 'https://www.example.com/page', rule: { selector: '#cookies', action: 'skip' } },
+    tabId: 3,
+    frameId: 0
+  });
+  assert.deepStrictEqual([picked.ok, picked.host, picked.rule.selector], [true, 'example.com', '#cookies']);
+  assert.deepStrictEqual(picked.siteRules.map((rule) => rule.selector), ['#cookies'], 'The page gets its updated rules back');
+  assert.strictEqual(saved.length, 1);
+  assert.strictEqual(stored.translationSiteRules['example.com'][0].action, 'skip');
+}
+
+function testReport() {
+  const exporter = new global.NT.ReportExporter({ doc: { createElement() {}, body: {} }, win: global, chromeApi: global.chrome });
+  const report = exporter.buildReportJson({
+    snapshot: { settings: { translationSiteRules: { 'example.com': [{ id: 'sr_1', selector: 'nav', action: 'skip' }] } } }
+  });
+  assert.strictEqual(report.settings.siteRules['example.com'][0].selector, 'nav', 'Site rules are exported with settings');
+}
+
+function testExchange() {
+  const Rules = global.NT.SiteRules;
+  const current = Rules.withRule(Rules.withRule({}, 'example.com', { selector: 'nav', action: 'skip' }), 'example.com', { selector: 'footer', action: 'skip' });
+  const file = JSON.parse(JSON.stringify(Rules.exportPayload(current, 0)));
+  assert.deepStrictEqual([file.format, file.exportedAt], ['nt-site-rules', '1970-01-01T00:00:00.000Z']);
+  assert.deepStrictEqual(Rules.importPayload(file), current, 'An export round-trips');
+  assert.deepStrictEqual(Rules.importPayload({ settings: { siteRules: current } }), current, 'A debug report can be imported');
+  assert.deepStrictEqual(Rules.importPayload({ 'https://www.example.com/': [{ selector: 'nav', action: 'skip' }] }), { 'example.com': [current['example.com'][0]] });
+  assert.deepStrictEqual(Rules.importPayload('[]'), {});
+
+  const merged = Rules.mergeRules(current, {
+    'example.com': [{ selector: 'nav', action: 'translate' }],
+    'other.org': [{ selector: '.ad', action: 'skip' }]
+  });
+  assert.deepStrictEqual(merged['example.com'].map((rule) => `${rule.selector}:${rule.action}`), ['footer:skip', 'nav:translate'],
+    'An imported rule replaces the rule for the same selector');
+  assert.strictEqual(merged['other.org'].length, 1);
+  assert.strictEqual(current['example.com'].length, 2, 'mergeRules does not mutate its input');
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/core/site-rules.js');
+  load('extension/content/dom-indexer.js');
+  load('extension/content/dom-classifier.js');
+  load('extension/bg/translation-orchestrator.js');
+  load('extension/ui/report-exporter.js');
+
+  testRules();
+  testIndexerAndClassifier();
+  await testOrchestrator();
+  testReport();
+  testExchange();
+
+  console.log('PASS: site rules');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
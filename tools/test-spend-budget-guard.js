@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function createLedger({ today = 0, month = 0, jobs = {} } = {}) {
+  return {
+    async getSnapshot() {
+      return {
+        day: '2026-05-15',
+        today: { costUsd: today },
+        month: { costUsd: month },
+        byJob: Object.keys(jobs).map((jobId) => ({ jobId, costUsd: jobs[jobId] }))
+      };
+    }
+  };
+}
+
+function testEvaluate() {
+  const Guard = global.NT.SpendBudgetGuard;
+  assert.deepStrictEqual(
+    Guard.normalizeBudgets({ jobUsd: '1.5', dayUsd: 0, monthUsd: -3, softRatio: 2 }),
+    { jobUsd: 1.5, dayUsd: null, monthUsd: null, softRatio: 0.8 },
+    'Empty or non-positive limits are disabled'
+  );
+
+  const budgets = { jobUsd: 1, dayUsd: 5, monthUsd: 50 };
+  assert.strictEqual(Guard.evaluate({ budgets, spent: { job: 0.2, day: 1, month: 10 } }).level, 'ok');
+
+  const soft = Guard.evaluate({ budgets, spent: { job: 0.85, day: 1, month: 10 } });
+  assert.strictEqual(soft.level, 'soft');
+  assert.strictEqual(soft.scope, 'job');
+
+  const hard = Guard.evaluate({ budgets, spent: { job: 0.5, day: 4.99, month: 10 }, estimateUsd: 0.02 });
+  assert.strictEqual(hard.level, 'hard', 'Estimated cost of the next request counts towards the limit');
+  assert.strictEqual(hard.scope, 'day');
+  assert.strictEqual(hard.projectedUsd, 5.01);
+
+  const overridden = Guard.evaluate({ budgets, spent: { job: 2, day: 1, month: 10 }, overrides: { job: true } });
+  assert.strictEqual(overridden.level, 'ok', 'Overridden scopes are not enforced again');
+
+  const noJob = Guard.evaluate({ budgets, spent: { day: 1, month: 10 } });
+  assert(!noJob.scopes.some((row) => row.scope === 'job'), 'Job scope is skipped for requests without a job');
+}
+
+async function testCheck() {
+  const Guard = global.NT.SpendBudgetGuard;
+  const softCalls = [];
+  const hardCalls = [];
+  const jobs = { 'job-1': { id: 'job-1', budget: null } };
+  const guard = new Guard({
+    usageLedgerStore: createLedger({ today: 0.9, month: 3, jobs: { 'job-1': 0.9 } }),
+    readSettings: async () => ({ budgets: { jobUsd: 2, dayUsd: 1 }, priceOverrides: {} }),
+    readJob: async (jobId) => jobs[jobId] || null,
+    resolvePricing: () => ({ inputPrice: 1, outputPrice: 1, cachedInputPrice: 1, source: 'override' }),
+    onSoftLimit: (payload) => softCalls.push(payload),
+    onHardLimit: (payload) => hardCalls.push(payload)
+  });
+
+  const first = await guard.check({ tabId: 3, jobId: 'job-1', modelSpec: 'm:standard', estTokens: 1000 });
+  assert.strictEqual(first.level, 'soft');
+  await guard.check({ tabId: 3, jobId: 'job-1', modelSpec: 'm:standard', estTokens: 1000 });
+  assert.strictEqual(softCalls.length, 1, 'Soft threshold is reported once per scope');
+
+  await assert.rejects(
+    guard.check({ tabId: 3, jobId: 'job-1', modelSpec: 'm:standard', estTokens: 200000 }),
+    (error) => error.code === 'BUDGET_EXCEEDED' && error.budget.scope === 'day'
+  );
+  assert.strictEqual(hardCalls.length, 1);
+  assert.strictEqual(hardCalls[0].jobId, 'job-1');
+
+  jobs['job-1'].budget = { overrides: { day: '2026-05-15' } };
+  const overridden = await guard.check({ tabId: 3, jobId: 'job-1', modelSpec: 'm:standard', estTokens: 200000 });
+  assert.notStrictEqual(overridden.level, 'hard', 'Continue-anyway override lifts the day limit for this job');
+
+  const disabled = new Guard({
+    usageLedgerStore: createLedger({ today: 100 }),
+    readSettings: async () => ({ budgets: {} })
+  });
+  assert.strictEqual((await disabled.check({ jobId: 'job-1' })).level, 'ok', 'No limits means no enforcement');
+}
+
+async function testEngineStopsBeforeDispatch() {
+  let sent = 0;
+  let checks = 0;
+  let reserved = 0;
+  const engine = new global.NT.LlmEngine({
+    responseCall: {
+      send: async () => {
+        sent += 1;
+        return { status: 200, headers: null, json: { output_text: 'ok' } };
+      }
+    },
+    modelRegistry: {
+      byKey: {
+        'gpt-5-mini:standard': { id: 'gpt-5-mini', tier: 'standard', capabilityRank: 100, sum_1M: 2.25 }
+      }
+    },
+    benchmarkStore: { getAll: async () => ({}) },
+    benchmarker: null,
+    rateLimitStore: null,
+    perfStore: null,
+    loadScheduler: {
+      reserveSlot: async () => {
+        reserved += 1;
+      }
+    },
+    eventLogger: null,
+    eventFactory: null,
+    budgetGuard: {
+      check: async () => {
+        checks += 1;
+        const error = new Error('Spending budget exceeded');
+        error.code = 'BUDGET_EXCEEDED';
+        throw error;
+      }
+    }
+  });
+
+  await assert.rejects(
+    engine.request({
+      tabId: 1,
+      taskType: 'translation_batch',
+      selectedModelSpecs: ['gpt-5-mini:standard'],
+      modelSelection: { speed: true, preference: null },
+      input: 'hello',
+      maxOutputTokens: 16,
+      requestMeta: { jobId: 'job-1', requestId: 'req-1' }
+    }),
+    (error) => error.code === 'BUDGET_EXCEEDED'
+  );
+  assert.strictEqual(sent, 0, 'Request must not be dispatched over budget');
+  assert.strictEqual(checks, 1, 'Budget rejection is not retried');
+  assert.strictEqual(reserved, 0, 'Budget is checked before a scheduler slot is reserved');
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/retry-loop.js');
+  load('extension/ai/ai-common.js');
+  load('extension/ai/llm-engine.js');
+  load('extension/bg/spend-budget-guard.js');
+
+  testEvaluate();
+  await testCheck();
+  await testEngineStopsBeforeDispatch();
+
+  console.log('PASS: spend budget guard');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function testGuides() {
+  const StyleGuides = global.NT.StyleGuides;
+  assert.strictEqual(StyleGuides.normalizeKey('https://www.Docs.Example.com/path'), 'docs.example.com');
+  assert.strictEqual(StyleGuides.normalizeKey(' * '), '*');
+  assert.strictEqual(StyleGuides.normalizeKey('ftp://example.com'), null);
+
+  const checked = StyleGuides.validateInstructions('  Use formal "вы".  \r\n\n\n\nKeep product names in English. ');
+  assert.deepStrictEqual([checked.ok, checked.text], [true, 'Use formal "вы".\n\nKeep product names in English.']);
+  const long = StyleGuides.validateInstructions('x'.repeat(StyleGuides.MAX_CHARS + 1));
+  assert.deepStrictEqual([long.ok, long.length, long.max], [false, StyleGuides.MAX_CHARS + 1, StyleGuides.MAX_CHARS]);
+
+  let guides = StyleGuides.withInstructions({}, '*', null, 'Use formal "вы".', 10);
+  guides = StyleGuides.withInstructions(guides, 'example.com', null, 'Audience: developers.', 11);
+  guides = StyleGuides.withInstructions(guides, 'www.docs.example.com', 'navigation', 'Keep labels short.', 12);
+  guides = StyleGuides.withInstructions(guides, 'docs.example.com', 'Bad Category', 'ignored', 13);
+  assert.deepStrictEqual(Object.keys(guides).sort(), ['*', 'docs.example.com', 'example.com']);
+  assert.deepStrictEqual(guides['docs.example.com'], { instructions: '', categories: { navigation: 'Keep labels short.' }, updatedAt: 12 });
+
+  const normalized = StyleGuides.normalizeGuides({ 'Example.com': { instructions: 'y'.repeat(5000) }, 'not a host!': { instructions: 'z' }, empty: {} });
+  assert.strictEqual(normalized['example.com'].instructions.length, StyleGuides.MAX_CHARS, 'Stored text is clipped');
+  assert.deepStrictEqual(Object.keys(normalized), ['example.com']);
+
+  const resolved = StyleGuides.resolveForUrl(guides, 'https://docs.example.com/start');
+  assert.deepStrictEqual(resolved.sources, ['*', 'example.com', 'docs.example.com'], 'General guides come first');
+  assert.deepStrictEqual(resolved.instructions, ['Use formal "вы".', 'Audience: developers.']);
+  assert.deepStrictEqual(StyleGuides.resolveForUrl(guides, 'https://other.org/').sources, ['*']);
+  assert.strictEqual(StyleGuides.resolveForUrl({}, 'https://other.org/'), null);
+
+  assert.deepStrictEqual(StyleGuides.formatForPrompt(resolved, ['main_content']), ['- Use formal "вы".', '- Audience: developers.']);
+  assert.deepStrictEqual(StyleGuides.formatForPrompt(resolved).slice(-1), ['- For navigation blocks: Keep labels short.']);
+  assert.deepStrictEqual(StyleGuides.formatForPrompt({ instructions: ['a\nb'], categories: {} }), ['- a\n  b']);
+
+  const removed = StyleGuides.withInstructions(guides, 'docs.example.com', 'navigation', '');
+  assert.strictEqual(removed['docs.example.com'], undefined, 'Clearing the last instruction removes the guide');
+  return resolved;
+}
+
+function testTranslationPrompt() {
+  const call = new global.NT.TranslationCall({ runLlmRequest: async () => null });
+  const blocks = [{ blockId: 'b1', originalText: 'Sign in' }];
+  const prompt = call._buildPrompt(blocks, 'ru', { styleGuide: ['- Use formal "вы".'] });
+  assert(prompt.includes('Site style guide (user instructions'));
+  assert(prompt.includes('- Use formal "вы".'));
+  assert(!call._buildPrompt(blocks, 'ru', {}).includes('Site style guide'));
+}
+
+function testRunSettings(resolved) {
+  const orchestrator = new global.NT.TranslationOrchestrator({});
+  const settings = { translationStyleGuides: { 'example.com': { instructions: 'Audience: developers.' } } };
+  const guide = orchestrator._styleGuideForUrl(settings, 'https://www.example.com/a');
+  assert.deepStrictEqual(guide.sources, ['example.com']);
+  assert.strictEqual(orchestrator._styleGuideForUrl({}, 'https://example.com/'), null);
+
+  const job = { id: 'job-s', runSettings: { styleGuide: resolved } };
+  const runSettings = orchestrator._ensureJobRunSettings(job, { settings: {} });
+  assert.strictEqual(runSettings.styleGuide, resolved, 'The resolved guide survives run settings normalization');
+  assert.deepStrictEqual(orchestrator._toJobSummary(job).runSettings.styleGuide.sources, resolved.sources);
+
+  const lines = orchestrator._styleGuideForBlocks(job, [{ blockId: 'b1', category: 'navigation' }]);
+  assert.deepStrictEqual(lines.slice(-1), ['- For navigation blocks: Keep labels short.']);
+  assert.strictEqual(orchestrator._styleGuideForBlocks(job, [{ blockId: 'b2', category: 'main_content' }]).length, 2);
+  assert.deepStrictEqual(orchestrator._styleGuideForBlocks({ runSettings: {} }, []), []);
+}
+
+function testAgentPrompt(resolved) {
+  const registry = new global.NT.AgentToolRegistry({});
+  const line = registry._styleGuideLine({ styleGuide: resolved }, { category: 'navigation' });
+  assert(line.includes('Use formal "вы".') && line.includes('For navigation blocks'));
+  assert.strictEqual(registry._styleGuideLine({ styleGuide: null }, { category: 'navigation' }), '');
+}
+
+async function testCacheKeys(resolved) {
+  const StyleGuides = global.NT.StyleGuides;
+  const fingerprint = StyleGuides.fingerprint(resolved);
+  assert(/^sg_[0-9a-z]+$/.test(fingerprint));
+  assert.strictEqual(StyleGuides.fingerprint({ ...resolved, sources: ['*'] }), fingerprint, 'Only the prompt text counts');
+  assert.notStrictEqual(StyleGuides.fingerprint({ instructions: ['Use informal "ты".'], categories: {} }), fingerprint);
+  assert.strictEqual(StyleGuides.fingerprint(null), '');
+
+  const orchestrator = new global.NT.TranslationOrchestrator({});
+  const registry = new global.NT.AgentToolRegistry({});
+  const plain = { targetLang: 'ru', runSettings: {} };
+  const guided = { targetLang: 'ru', runSettings: { styleGuide: resolved } };
+  const key = (job) => orchestrator._buildBlockMemoryKey('ru', 'h1', orchestrator._jobStyleGuideFingerprint(job));
+  assert.strictEqual(key(plain), orchestrator._buildBlockMemoryKey('ru', 'h1'), 'Keys without a guide are unchanged');
+  assert.notStrictEqual(key(guided), key(plain));
+  assert.strictEqual(registry._buildBlockMemoryKey('ru', 'h1', registry._jobStyleGuideFingerprint(guided)), key(guided),
+    'Agent tools read the same memory entries');
+
+  const rows = new Map([
+    [orchestrator._buildBlockMemoryKey('ru', 'h1'), { blockKey: 'plain-h1', translatedText: 'Импорт', imported: true }],
+    [orchestrator._buildBlockMemoryKey('ru', 'h2'), { blockKey: 'plain-h2', translatedText: 'Без гайда' }]
+  ]);
+  orchestrator.translationMemoryStore = { async getBlock(blockKey) { return rows.get(blockKey) || null; } };
+  assert.strictEqual((await orchestrator._getBlockMemory('ru', 'h1', fingerprint)).record.translatedText, 'Импорт',
+    'Imported memory is found on a site with a style guide');
+  assert.strictEqual((await orchestrator._getBlockMemory('ru', 'h2', fingerprint)).record, null,
+    'Translations made without the guide are not reused');
+  assert.strictEqual((await orchestrator._getBlockMemory('ru', 'h2')).record.translatedText, 'Без гайда');
+  registry.translationMemoryStore = orchestrator.translationMemoryStore;
+  assert.strictEqual((await registry._getBlockMemory('ru', 'h1', fingerprint)).translatedText, 'Импорт');
+  assert.strictEqual(await registry._getBlockMemory('ru', 'h2', fingerprint), null);
+  orchestrator.translationMemoryStore = null;
+
+  const pageContext = async (job) => (await orchestrator._computeMemoryContext({
+    job: { ...job, url: 'https://docs.example.com/start' },
+    blocks: [{ blockId: 'b1', originalText: 'Sign in', category: 'main_content' }],
+    settings: {}
+  })).pageKey;
+  assert.notStrictEqual(await pageContext(guided), await pageContext(plain));
+
+  const blocks = [{ blockId: 'b1', originalText: 'Sign in' }];
+  orchestrator.pageCacheStore = {
+    async getEntry() {
+      return { signature: orchestrator._buildPageSignature(blocks), blockCount: 1, styleGuide: '', items: [{ blockId: 'b1', text: 'Войти' }] };
+    }
+  };
+  const restored = await orchestrator._tryRestoreAwaitingFromPageCache({
+    job: { ...guided, id: 'job-s', url: 'https://docs.example.com/start' },
+    blocks,
+    settings: {}
+  });
+  assert.strictEqual(restored, null, 'A page cached under another guide is not reused');
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/core/style-guides.js');
+  load('extension/ai/translation-call.js');
+  load('extension/ai/translation-agent.js');
+  load('extension/ai/agent-tool-registry.js');
+  load('extension/bg/translation-orchestrator.js');
+
+  const resolved = testGuides();
+  testTranslationPrompt();
+  testRunSettings(resolved);
+  testAgentPrompt(resolved);
+  await testCacheKeys(resolved);
+
+  console.log('PASS: style guides');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
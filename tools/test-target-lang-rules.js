@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function run() {
+  global.NT = {};
+  load('extension/core/target-lang-rules.js');
+
+  const Rules = global.NT && global.NT.TargetLangRules;
+  assert(Rules && typeof Rules.resolveForUrl === 'function', 'TargetLangRules must be available');
+
+  assert.strictEqual(Rules.normalizeLang(' DE '), 'de', 'Must lower-case and trim language codes');
+  assert.strictEqual(Rules.normalizeLang('pt-BR'), 'pt-br', 'Must keep region subtags');
+  assert.strictEqual(Rules.normalizeLang('not a lang'), null, 'Must reject invalid language codes');
+
+  assert.strictEqual(Rules.normalizeOrigin('Example.COM'), 'https://example.com', 'Bare host must become https origin');
+  assert.strictEqual(
+    Rules.normalizeOrigin('http://Docs.Example.com:8080/a/b?x=1'),
+    'http://docs.example.com:8080',
+    'Must reduce URL to origin'
+  );
+  assert.strictEqual(Rules.normalizeOrigin('chrome://extensions'), null, 'Non-http origins are not allowed');
+
+  const rules = Rules.normalizeRules({
+    'https://de.example.com/page': 'DE',
+    'fr.example.com': 'fr',
+    'https://broken.example.com': '???',
+    'file:///tmp/a.html': 'en'
+  });
+  assert.deepStrictEqual(rules, {
+    'https://de.example.com': 'de',
+    'https://fr.example.com': 'fr'
+  }, 'Must drop invalid origins and languages');
+
+  const byRule = Rules.resolveForUrl('https://de.example.com/news/1', { rules, defaultLang: 'en' });
+  assert.deepStrictEqual(byRule, { lang: 'de', source: 'origin_rule', origin: 'https://de.example.com' });
+
+  const byDefault = Rules.resolveForUrl('https://other.example.com/', { rules, defaultLang: 'en' });
+  assert.strictEqual(byDefault.lang, 'en');
+  assert.strictEqual(byDefault.source, 'default');
+
+  const builtin = Rules.resolveForUrl('about:blank', { rules: null, defaultLang: '' });
+  assert.strictEqual(builtin.lang, Rules.DEFAULT_LANG);
+  assert.strictEqual(builtin.source, 'builtin');
+  assert.strictEqual(builtin.origin, null);
+
+  const added = Rules.withRule(rules, 'https://es.example.com/x', 'es');
+  assert.strictEqual(added['https://es.example.com'], 'es', 'withRule must add normalized origin');
+  assert.strictEqual(rules['https://es.example.com'], undefined, 'withRule must not mutate input');
+  const removed = Rules.withRule(added, 'https://de.example.com', null);
+  assert.strictEqual(Object.prototype.hasOwnProperty.call(removed, 'https://de.example.com'), false, 'Empty lang must remove rule');
+
+  const many = {};
+  for (let i = 0; i < Rules.MAX_RULES + 20; i += 1) {
+    many[`site${i}.example.com`] = 'en';
+  }
+  assert.strictEqual(Object.keys(Rules.normalizeRules(many)).length, Rules.MAX_RULES, 'Rules must be capped');
+
+  assert.strictEqual(Rules.labelFor('de'), 'Немецкий');
+  assert.strictEqual(Rules.labelFor('xx'), 'xx');
+
+  console.log('PASS: target lang rules');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+}
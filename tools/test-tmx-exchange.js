@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Memory store with the IndexedDB layer replaced by maps: export/import only
+ * go through `_collectMeta`, `getBlock` and `_withStore(...).put`.
+ */
+function createStore({ pages = [] } = {}) {
+  const store = new global.NT.TranslationMemoryStore({ chromeApi: { storage: { local: { get: (d, cb) => cb(d), set: (p, cb) => cb && cb() } } } });
+  const rows = new Map();
+  store._collectMeta = async (storeName) => (storeName === store.BLOCKS_STORE
+    ? Array.from(rows.values()).map(clone)
+    : pages.map(clone));
+  store.getBlock = async (blockKey) => (rows.has(blockKey) ? clone(rows.get(blockKey)) : null);
+  store._withStore = (storeName, mode, handler) => new Promise((resolve) => {
+    handler({
+      put(value) {
+        rows.set(value.blockKey, clone(value));
+        const req = {};
+        setTimeout(() => req.onsuccess && req.onsuccess(), 0);
+        return req;
+      }
+    }, null, resolve);
+  });
+  store.rows = rows;
+  return store;
+}
+
+function testParseForeignTmx() {
+  const Tmx = global.NT.TmxExchange;
+  const tmx = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<tmx version="1.4">',
+    '<header creationtool="Trados" srclang="en-US" segtype="sentence" adminlang="en-US" datatype="xml" o-tmf="x"/>',
+    '<body>',
+    '<tu creationdate="20250102T030405Z">',
+    '  <tuv xml:lang="en-US"><seg>Save <bpt i="1">&lt;b&gt;</bpt>all<ept i="1">&lt;/b&gt;</ept> files</seg></tuv>',
+    '  <tuv xml:lang="ru-RU"><seg>Сохранить <hi>все</hi> файлы</seg></tuv>',
+    '  <tuv xml:lang="de-DE"><seg>Alle Dateien speichern</seg></tuv>',
+    '</tu>',
+    '<tu>',
+    '  <tuv xml:lang="en-US"><seg>Orphan</seg></tuv>',
+    '</tu>',
+    '<tu>',
+    '  <prop type="x-nt-quality">gold</prop>',
+    '  <tuv xml:lang="en-US"><seg>Cancel</seg></tuv>',
+    '  <tuv xml:lang="ru-RU"><seg>Отмена</seg></tuv>',
+    '</tu>',
+    '</body>',
+    '</tmx>'
+  ].join('\n');
+  const parsed = Tmx.parseTmx(tmx, { targetLang: 'ru' });
+  assert.deepStrictEqual(parsed.units.map((unit) => [unit.sourceText, unit.targetText, unit.targetLang]), [
+    ['Save all files', 'Сохранить все файлы', 'ru'],
+    ['Cancel', 'Отмена', 'ru']
+  ], 'Inline codes are dropped, locales map to the target language');
+  assert.strictEqual(parsed.units[0].createdAt, Date.UTC(2025, 0, 2, 3, 4, 5));
+  assert.strictEqual(parsed.units[1].qualityTag, 'raw', 'Unknown quality tag falls back to the default');
+  assert.deepStrictEqual(parsed.errors.map((row) => [row.row, row.code]), [[10, 'MISSING_TARGET'], [13, 'BAD_QUALITY_TAG']]);
+
+  assert.strictEqual(Tmx.parseTmx(tmx).units.length, 3, 'Without a target filter every variant becomes a unit');
+  assert.strictEqual(Tmx.parseTmx('<xliff/>').errors[0].code, 'BAD_TMX');
+}
+
+async function testStoreRoundTrip() {
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+  const source = createStore({ pages: [{ pageKey: 'p1', url: 'https://www.docs.example.com/a' }] });
+  const seed = [
+    { originalText: 'Open settings', translatedText: 'Откройте настройки', targetLang: 'ru', qualityTag: 'proofread', sourcePageKeys: ['p1'], updatedAt: now - day },
+    { originalText: 'Line one\nline two & <three>', translatedText: 'Строка один\nстрока два & <три>', targetLang: 'ru', qualityTag: 'styled', sourcePageKeys: ['p1'], updatedAt: now - day },
+    { originalText: 'Old text', translatedText: 'Старый текст', targetLang: 'ru', qualityTag: 'raw', sourcePageKeys: ['p2'], updatedAt: now - (90 * day) },
+    { originalText: 'Hallo', translatedText: 'Привет', targetLang: 'de', qualityTag: 'raw', updatedAt: now },
+    { originalText: '', translatedText: 'Без исходника', targetLang: 'ru', qualityTag: 'raw', sourcePageKeys: ['p1'], updatedAt: now }
+  ];
+  for (let i = 0; i < seed.length; i += 1) {
+    const row = seed[i];
+    const originalHash = source.hashText(row.originalText || `legacy-${i}`);
+    await source.upsertBlock({ ...row, originalText: row.originalText || undefined, blockKey: source.buildBlockKey(row.targetLang, originalHash), originalHash });
+  }
+
+  const all = await source.exportUnits({ targetLang: 'ru' });
+  assert.strictEqual(all.units.length, 3);
+  assert.strictEqual(all.skippedNoSource, 1, 'Legacy blocks without source text are counted, not exported');
+  const recent = await source.exportUnits({ targetLang: 'ru', maxAgeDays: 30 });
+  assert.strictEqual(recent.units.length, 2, 'Age filter');
+  const onDomain = await source.exportUnits({ domain: 'example.com' });
+  assert.strictEqual(onDomain.units.length, 2, 'Domain filter matches subdomains of source pages');
+  assert.strictEqual(onDomain.units[0].domain, 'docs.example.com');
+  const styled = await source.exportUnits({ qualityTags: ['styled'] });
+  assert.deepStrictEqual(styled.units.map((unit) => unit.qualityTag), ['styled'], 'Quality tag filter');
+
+  const tmx = global.NT.TmxExchange.toTmx(all.units);
+  assert(tmx.includes('<prop type="x-nt-quality">proofread</prop>'));
+  const parsed = global.NT.TmxExchange.parseTmx(tmx);
+  assert.deepStrictEqual(parsed.errors, []);
+
+  const target = createStore();
+  const imported = await target.importUnits(parsed.units);
+  assert.strictEqual(imported.imported, 3);
+  const roundTrip = await target.exportUnits({});
+  const strip = (units) => units
+    .map((unit) => [unit.sourceText, unit.targetText, unit.targetLang, unit.qualityTag, unit.domain, Math.floor(unit.updatedAt / 1000)])
+    .sort();
+  assert.deepStrictEqual(strip(roundTrip.units), strip(all.units), 'TMX round-trip preserves text, quality tags and domains');
+
+  const key = source.buildBlockKey('ru', source.hashText('Open settings'));
+  assert(target.rows.has(key), 'Imported units land on the key a translation job looks up');
+
+  const downgrade = await target.importUnits([
+    { sourceText: 'Open settings', targetText: 'Откройте параметры', targetLang: 'ru', qualityTag: 'raw', updatedAt: now }
+  ]);
+  assert.strictEqual(downgrade.kept, 1, 'Lower quality import does not overwrite a better translation');
+  assert.strictEqual(target.rows.get(key).translatedText, 'Откройте настройки');
+  assert.strictEqual((await target.importUnits([{ sourceText: 'x', targetText: '' }])).rejected, 1);
+  assert.strictEqual(target.rows.get(key).imported, true);
+
+  const human = { sourceText: 'Sign out', targetText: 'Выйти', targetLang: 'ru', qualityTag: 'human', updatedAt: now };
+  const humanKey = target.buildBlockKey('ru', target.hashText('Sign out'));
+  await target.importUnits([human]);
+  assert.strictEqual(target.rows.get(humanKey).qualityTag, 'proofread', 'A file cannot claim human quality by default');
+  await target.importUnits([human], { trustHumanTag: true });
+  assert.strictEqual(target.rows.get(humanKey).qualityTag, 'human');
+  await target.upsertBlock({ blockKey: humanKey, originalHash: target.hashText('Sign out'), targetLang: 'ru', translatedText: 'Выход', qualityTag: 'human' });
+  assert.strictEqual(target.rows.get(humanKey).imported, false, 'A pipeline write clears the import mark');
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/chrome-local-store-base.js');
+  load('extension/core/xml-lite.js');
+  load('extension/core/tmx-exchange.js');
+  load('extension/bg/translation-memory-store.js');
+
+  testParseForeignTmx();
+  await testStoreRoundTrip();
+
+  console.log('PASS: tmx exchange');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
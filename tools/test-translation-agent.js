@@ -93,6 +93,21 @@ async function run() {
     'prepareJob should persist planning_init state'
   );
 
+  load('extension/core/lang-detector.js');
+  const mixed = await agent.prepareJob({
+    job: { id: 'job-prepare-lang', tabId: 15, targetLang: 'de', status: 'planning' },
+    blocks: [
+      { blockId: 'l0', originalText: 'Der Hund ist nicht mit der Katze im Haus', sourceLang: 'de', sourceLangConfidence: 0.9 },
+      { blockId: 'l1', originalText: 'The quick brown fox jumps over the lazy dog', sourceLang: 'en', sourceLangConfidence: 0.9 }
+    ],
+    settings: { translationAgentTools: { batchPlanner: 'off' } }
+  });
+  assert.strictEqual(
+    mixed.agentState.pageStats.langMix.alreadyTargetBlocks,
+    1,
+    'Page language mix should count blocks already in the job target language'
+  );
+
   const llmUnavailableAgent = new Agent({});
   let unavailableError = null;
   try {
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function block(blockId, originalText, translatedText, tag = null) {
+  const out = { blockId, originalText, translatedText };
+  if (tag) {
+    out.quality = { tag };
+  }
+  return out;
+}
+
+function testPlanning() {
+  const Consistency = global.NT.TranslationConsistency;
+  assert.strictEqual(Consistency.normalizeMode('REPORT'), 'report');
+  assert.strictEqual(Consistency.normalizeMode('later'), 'report', 'Unknown modes only report');
+  assert.strictEqual(Consistency.normalizeText(' Sign​  in\n'), 'Sign in');
+
+  const blocks = [
+    block('b1', 'Sign in', 'Войти'),
+    block('b2', 'Sign  in', 'Вход'),
+    block('b3', 'Sign in', 'Войти'),
+    block('b4', 'Pricing', 'Цены'),
+    { ...block('b5', 'Sign in', 'Авторизация'), segment: { id: 's1' } }
+  ];
+  const eligible = Consistency.eligibleBlocks(Object.fromEntries(blocks.map((row) => [row.blockId, row])));
+  assert.deepStrictEqual(eligible.map((row) => row.blockId), ['b1', 'b2', 'b3', 'b4'], 'Inline segment pieces are left out');
+
+  let plan = Consistency.planSentences(eligible);
+  assert.strictEqual(plan.length, 1);
+  assert.deepStrictEqual([plan[0].canonical, plan[0].reason, plan[0].variants, plan[0].targets], ['Войти', 'majority', 2, ['b2']]);
+
+  plan = Consistency.planSentences([block('b1', 'Sign in', 'Войти'), block('b2', 'Sign in', 'Вход', 'human')]);
+  assert.deepStrictEqual([plan[0].canonical, plan[0].reason, plan[0].targets], ['Вход', 'human', ['b1']], 'Human edits win');
+
+  plan = Consistency.planSentences([block('b1', 'Sign in', 'Войти'), block('b2', 'Sign in', 'Вход')], {
+    'Sign in': { translatedText: 'Вход в систему', qualityTag: 'raw' }
+  });
+  assert.deepStrictEqual([plan[0].canonical, plan[0].reason, plan[0].targets], ['Вход в систему', 'memory', ['b1', 'b2']]);
+
+  assert.deepStrictEqual(Consistency.planSentences([block('b1', 'Sign in', 'Войти')], {
+    'Sign in': { translatedText: 'Вход', qualityTag: 'raw' }
+  }), [], 'A lone block is not moved by memory of the same rank');
+  plan = Consistency.planSentences([block('b1', 'Sign in', 'Войти')], { 'Sign in': { translatedText: 'Вход', qualityTag: 'human' } });
+  assert.deepStrictEqual(plan[0].targets, ['b1']);
+
+  const terms = Consistency.planTerms([
+    block('t1', 'Open GitHub to start', 'Откройте GitHub, чтобы начать'),
+    block('t2', 'Push to GitHub', 'Отправьте в GitHub'),
+    block('t3', 'GitHub is down', 'ГитХаб недоступен'),
+    block('t4', 'The API is slow', 'API работает медленно'),
+    block('t5', 'Call the API', 'Вызовите интерфейс')
+  ], { skip: ['api'] });
+  assert.deepStrictEqual(terms.map((row) => [row.term, row.canonical, row.targets]), [['GitHub', 'keep', ['t3']]],
+    'The majority keeps the term; skipped terms are ignored');
+  assert.strictEqual(Consistency.containsTerm('GitHubber', 'GitHub'), false);
+
+  const polished = Consistency.planTerms([
+    block('t1', 'Open GitHub to start', 'Откройте GitHub, чтобы начать'),
+    block('t2', 'Push to GitHub', 'Отправьте в GitHub'),
+    block('t3', 'GitHub is down', 'ГитХаб недоступен', 'proofread'),
+    block('t4', 'GitHub is slow', 'ГитХаб тормозит')
+  ]);
+  assert.deepStrictEqual(polished[0].targets, ['t4'], 'Only raw blocks are re-requested');
+}
+
+function buildJob() {
+  return {
+    id: 'job-u',
+    tabId: 3,
+    status: 'running',
+    targetLang: 'ru',
+    userGlossary: [],
+    blocksById: {
+      b1: { blockId: 'b1', originalText: 'Sign in', translatedText: 'Войти' },
+      b2: { blockId: 'b2', originalText: 'Sign in', translatedText: 'Вход' },
+      b3: { blockId: 'b3', originalText: 'Sign in', translatedText: 'Войти' },
+      t1: { blockId: 't1', originalText: 'Open GitHub to start', translatedText: 'Откройте GitHub, чтобы начать' },
+      t2: { blockId: 't2', originalText: 'Push to GitHub', translatedText: 'Отправьте в GitHub' },
+      t3: { blockId: 't3', originalText: 'GitHub is down', translatedText: 'ГитХаб недоступен' }
+    }
+  };
+}
+
+async function testPass() {
+  const jobs = new Map([['job-u', buildJob()]]);
+  const orchestrator = new global.NT.TranslationOrchestrator({
+    jobStore: {
+      async getJob(id) { return jobs.has(id) ? clone(jobs.get(id)) : null; },
+      async upsertJob(job) { jobs.set(job.id, clone(job)); },
+      async setActiveJob() {}
+    }
+  });
+  const patches = [];
+  orchestrator._applyDeltaToTab = async ({ blockId, text, patchKind }) => {
+    patches.push({ blockId, text, patchKind });
+    return { ok: true, applied: true };
+  };
+  const calls = [];
+  orchestrator.translationCall = {
+    async translateBatch(blocks, options) {
+      calls.push({ blocks, options });
+      return { items: blocks.map((row) => ({ blockId: row.blockId, text: 'GitHub недоступен' })) };
+    }
+  };
+
+  const off = await orchestrator._runConsistencyPass(jobs.get('job-u'), { translationConsistency: 'off' });
+  assert.deepStrictEqual([off.updated, patches.length], [0, 0]);
+
+  const reported = await orchestrator._runConsistencyPass(clone(jobs.get('job-u')), { translationConsistency: 'report' });
+  assert.deepStrictEqual([reported.updated, patches.length, calls.length], [0, 0, 0], 'Report mode never rewrites');
+  assert.deepStrictEqual(jobs.get('job-u').consistency.groups[0].changedBlockIds, []);
+  assert.strictEqual(jobs.get('job-u').consistency.terms[0].term, 'GitHub');
+  jobs.set('job-u', buildJob());
+
+  const settings = { translationConsistency: 'apply', translationEntityProtection: 'heuristic' };
+  const ran = await orchestrator._runConsistencyPass(clone(jobs.get('job-u')), settings);
+  assert.deepStrictEqual([ran.updated, ran.interrupted], [2, false]);
+  assert.deepStrictEqual(patches.map((row) => [row.blockId, row.text, row.patchKind]), [
+    ['b2', 'Войти', 'consistency'],
+    ['t3', 'GitHub недоступен', 'consistency']
+  ]);
+  assert.deepStrictEqual(calls[0].blocks.map((row) => row.blockId), ['t3']);
+  assert.strictEqual(calls[0].options.cacheEnabled, false);
+  assert.strictEqual(calls[0].options.agentContext.entityProtection, 'heuristic');
+  assert.deepStrictEqual(calls[0].options.agentContext.userGlossary.map((entry) => [entry.term, entry.doNotTranslate]), [['GitHub', true]]);
+
+  let job = jobs.get('job-u');
+  assert.strictEqual(job.blocksById.b2.translatedText, 'Войти');
+  assert.deepStrictEqual([job.consistency.unifiedBlocks, job.consistency.runs], [2, 1]);
+  assert.deepStrictEqual(job.consistency.groups[0].changedBlockIds, ['b2']);
+  assert.deepStrictEqual(job.consistency.terms[0].changedBlockIds, ['t3']);
+  assert.strictEqual(orchestrator._toJobSummary(job).consistency.unifiedBlocks, 2);
+
+  const again = await orchestrator._runConsistencyPass(clone(job), settings);
+  assert.deepStrictEqual([again.updated, patches.length, calls.length], [0, 2, 1], 'An unchanged page is not checked twice');
+
+  job.blocksById.t2.translatedText = 'Отправьте на ГитХаб';
+  jobs.set('job-u', clone(job));
+  await orchestrator._runConsistencyPass(clone(job), settings);
+  assert.strictEqual(calls.length, 1, 'A term is re-requested once per job');
+
+  jobs.set('job-u', buildJob());
+  orchestrator.translationCall = {
+    async translateBatch(blocks) {
+      calls.push({ blocks });
+      return { items: blocks.map((row) => ({ blockId: row.blockId, text: 'ГитХаб не работает' })) };
+    }
+  };
+  const rejected = await orchestrator._runConsistencyPass(clone(jobs.get('job-u')), settings);
+  job = jobs.get('job-u');
+  assert.deepStrictEqual([rejected.updated, calls.length], [1, 2]);
+  assert.strictEqual(job.blocksById.t3.translatedText, 'ГитХаб недоступен', 'Output that still drops the term is not applied');
+  assert.deepStrictEqual(job.consistency.terms[0].changedBlockIds, []);
+
+  const patched = patches.length;
+  jobs.set('job-u', { ...buildJob(), status: 'paused' });
+  const paused = await orchestrator._runConsistencyPass(buildJob(), settings);
+  assert.deepStrictEqual([paused.interrupted, patches.length], [true, patched], 'A job paused meanwhile is left alone');
+}
+
+async function testMemory() {
+  const job = buildJob();
+  delete job.blocksById.t3;
+  const orchestrator = new global.NT.TranslationOrchestrator({});
+  const keys = [];
+  orchestrator.translationMemoryStore = {
+    async getBlock(key) {
+      keys.push(key);
+      return key === orchestrator._buildBlockMemoryKey('ru', orchestrator._hashTextStable('Sign in'))
+        ? { translatedText: 'Вход в систему', qualityTag: 'human' }
+        : null;
+    }
+  };
+  const blocks = global.NT.TranslationConsistency.eligibleBlocks(job.blocksById);
+  const memory = await orchestrator._consistencyMemory(job, blocks, {});
+  assert.strictEqual(keys.length, 3, 'One lookup per distinct source');
+  assert.deepStrictEqual(memory['Sign in'], { translatedText: 'Вход в систему', qualityTag: 'human' });
+  assert.deepStrictEqual(await orchestrator._consistencyMemory(job, blocks, { translationMemoryEnabled: false }), {});
+}
+
+function testReport() {
+  const exporter = new global.NT.ReportExporter({ doc: null, win: {}, chromeApi: null });
+  const consistency = {
+    mode: 'apply',
+    runs: 1,
+    unifiedBlocks: 2,
+    groups: [{ sourcePreview: 'Sign in', canonicalPreview: 'Войти', reason: 'majority', variants: 2, blockIds: ['b1', 'b2'], changedBlockIds: ['b2'] }],
+    terms: [{ term: 'GitHub', canonical: 'keep', kept: 2, translated: 1, changedBlockIds: ['t3'] }]
+  };
+  const snapshot = {
+    translationJob: { id: 'job-u', consistency },
+    agentState: { patchHistory: [{ blockId: 'b2', kind: 'consistency', ts: 1 }] }
+  };
+  const report = exporter.buildReportJson({ snapshot });
+  assert.deepStrictEqual([report.consistency.unifiedBlocks, report.consistency.groups[0].canonical], [2, 'Войти']);
+  assert.strictEqual(report.agent.patchSummaryByBlock[0].consistency, 1);
+  const hidden = exporter.buildReportJson({ snapshot, includeTextMode: 'none' });
+  assert.deepStrictEqual([hidden.consistency.groups[0].source, hidden.consistency.terms[0].term], ['', '']);
+  assert(exporter.buildReportHtml(report).includes('<h2>Consistency</h2>'));
+  assert.strictEqual(exporter.buildReportJson({ snapshot: {} }).consistency, null);
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/core/user-glossary.js');
+  load('extension/core/entity-protection.js');
+  load('extension/core/translation-consistency.js');
+  load('extension/core/redaction.js');
+  load('extension/bg/translation-orchestrator.js');
+  load('extension/ui/report-exporter.js');
+
+  testPlanning();
+  await testPass();
+  await testMemory();
+  testReport();
+
+  console.log('PASS: translation consistency');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
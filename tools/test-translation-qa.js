@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function codes(issues) {
+  return issues.map((row) => row.code);
+}
+
+function testRules() {
+  const Qa = global.NT.TranslationQa;
+  const check = (sourceText, translatedText, extra = {}) => Qa.check({ sourceText, translatedText, sourceLang: 'en', targetLang: 'ru', ...extra });
+
+  assert.deepStrictEqual(check('You have {count} new messages from 3 people.', 'У вас {count} новых сообщений от 3 человек.'), []);
+  assert.deepStrictEqual(check('Released 2024-05-01, costs 1,000.50 USD.', 'Выпущено 01.05.2024, стоит 1 000,50 USD.'), [],
+    'Separators and reordered date parts are not losses');
+
+  const broken = check('You have {count} new messages from 3 people.', 'У вас новых сообщений от 4 человек');
+  assert.deepStrictEqual(codes(broken), ['PLACEHOLDER_MISSING', 'NUMBER_MISSING', 'NUMBER_ADDED', 'PUNCTUATION_CHANGED']);
+  assert.deepStrictEqual(broken.map((row) => row.severity), ['error', 'warning', 'warning', 'warning'],
+    'A small number may be spelled out');
+  assert.strictEqual(broken[0].expected, '{count}');
+  assert.deepStrictEqual(check('Three items', 'Три элемента'), []);
+  const lostPrice = check('The plan costs 250 USD per year.', 'План стоит несколько USD в год.');
+  assert.deepStrictEqual([codes(lostPrice), lostPrice[0].severity], [['NUMBER_MISSING'], 'error']);
+
+  assert.deepStrictEqual(codes(check('See https://example.com/docs. Mail help@example.com!', 'Подробности в документации. Пишите нам!')),
+    ['URL_MISSING', 'EMAIL_MISSING']);
+  assert.deepStrictEqual(codes(check('Press <b>Save</b> now', 'Нажмите Сохранить сейчас')), ['MARKUP_MISSING', 'MARKUP_MISSING']);
+  assert.deepStrictEqual(codes(check('Done: %s of %d files', 'Готово: %s из файлов')), ['PLACEHOLDER_MISSING']);
+  assert.deepStrictEqual(codes(check('', 'x')), []);
+  assert.deepStrictEqual(codes(check('Hello world', '   ')), ['EMPTY_OUTPUT']);
+
+  assert.deepStrictEqual(codes(check('Settings', 'Настройки.')), ['PUNCTUATION_CHANGED'], 'Labels do not gain a full stop');
+  assert.deepStrictEqual(codes(check('Ready?', 'Готово!')), ['PUNCTUATION_CHANGED']);
+  assert.deepStrictEqual(codes(check('Ready?', 'Έτοιμο;', { targetLang: 'el' })), [], 'The Greek question mark counts');
+
+  assert.deepStrictEqual(codes(check('This sentence stays in English.', 'This sentence stays in English.')), ['UNTRANSLATED']);
+  assert.deepStrictEqual(codes(check('Dieser Satz bleibt.', 'Dieser Satz bleibt.', { sourceLang: 'de', targetLang: 'de' })), [],
+    'Same-language blocks are not residue');
+  assert.deepStrictEqual(codes(check('What is the plan for the next release of this product?', 'Какой план?')), ['LENGTH_RATIO']);
+  assert.strictEqual(check('What is the plan for the next release of this product?', 'План?')[0].severity, 'error',
+    'A near-empty output looks truncated');
+  assert.deepStrictEqual(codes(check('What is the plan for the next release?', 'This is the plan for the next release, партнёр?')),
+    ['SOURCE_SCRIPT']);
+  assert.deepStrictEqual(codes(check('Open the GitHub Actions tab to see the run.', 'Откройте вкладку GitHub Actions, чтобы увидеть запуск.')), [],
+    'Kept names in the source script are fine');
+
+  assert.strictEqual(Qa.normalizeAction('Proofread'), 'proofread');
+  assert.strictEqual(Qa.normalizeAction('drop'), 'report');
+  assert.deepStrictEqual(Qa.formatIssues([{ code: 'NUMBER_MISSING', severity: 'error', expected: '3', blockId: 'b1' }]),
+    ['b1: number "3" from the source is missing']);
+}
+
+function testRecord() {
+  const Qa = global.NT.TranslationQa;
+  const job = { blocksById: { b1: { blockId: 'b1', originalText: 'One 1', translatedText: 'Один' } } };
+  Qa.recordCheck(job, 'b1', [{ code: 'NUMBER_MISSING', severity: 'error', expected: '1' }], { retried: true });
+  assert.strictEqual(job.blocksById.b1.qaIssues.length, 1);
+  assert.deepStrictEqual([job.qaCheck.checkedBlocks, job.qaCheck.retriedBlocks, job.qaCheck.failedBlocks], [1, 1, 1]);
+  assert.deepStrictEqual(job.qaCheck.byCode, { NUMBER_MISSING: 1 });
+  assert.strictEqual(job.qaCheck.byBlockId.b1.textPreview, 'Один');
+
+  Qa.recordCheck(job, 'b1', []);
+  assert.strictEqual(job.blocksById.b1.qaIssues, undefined, 'A clean re-check clears the block');
+  assert.deepStrictEqual([job.qaCheck.checkedBlocks, job.qaCheck.failedBlocks], [2, 0]);
+}
+
+function testPrompt() {
+  const call = new global.NT.TranslationCall({ runLlmRequest: async () => null });
+  const prompt = call._buildPrompt([{ blockId: 'b1', originalText: 'Call 3 times' }], 'ru', {
+    qaRetry: [{ code: 'NUMBER_MISSING', severity: 'error', expected: '3', blockId: 'b1' }]
+  });
+  assert(prompt.includes('failed automatic checks'));
+  assert(prompt.includes('b1: number "3" from the source is missing'));
+  assert(!call._buildPrompt([{ blockId: 'b1', originalText: 'x' }], 'ru', {}).includes('automatic checks'));
+}
+
+async function testEnforcement() {
+  const calls = [];
+  const orchestrator = new global.NT.TranslationOrchestrator({});
+  orchestrator.translationCall = {
+    async translateBatch(blocks, options) {
+      calls.push({ blocks, options });
+      return { items: blocks.map((block) => ({ blockId: block.blockId, text: 'Нажмите 25 раз' })) };
+    }
+  };
+  const job = { id: 'job-qa', tabId: 1, targetLang: 'ru' };
+  const blocks = [
+    { blockId: 'b1', originalText: 'Press 25 times' },
+    { blockId: 'b2', originalText: 'Close' }
+  ];
+  const items = [{ blockId: 'b1', text: 'Нажмите несколько раз' }, { blockId: 'b2', text: 'Закрыть' }];
+
+  const reported = await orchestrator._enforceTranslationQa(job, blocks, items, { batchId: 'x', action: 'report' });
+  assert.strictEqual(calls.length, 0, 'Report mode never calls the model');
+  assert.deepStrictEqual(codes(reported.verdicts.b1.issues), ['NUMBER_MISSING']);
+  assert.deepStrictEqual(reported.verdicts.b2.issues, []);
+
+  const retried = await orchestrator._enforceTranslationQa(job, blocks, items, { batchId: 'x', action: 'retry' });
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(calls[0].blocks.map((block) => block.blockId), ['b1'], 'Only failing blocks are re-requested');
+  assert.strictEqual(calls[0].options.cacheEnabled, false);
+  assert.strictEqual(calls[0].options.agentContext.qaRetry[0].blockId, 'b1');
+  assert.strictEqual(retried.items[0].text, 'Нажмите 25 раз');
+  assert.deepStrictEqual([retried.verdicts.b1.issues.length, retried.verdicts.b1.retried], [0, true]);
+
+  await orchestrator._enforceTranslationQa(job, blocks, items, { batchId: 'x', action: 'proofread' });
+  assert.strictEqual(calls[1].blocks[0].originalText, 'Нажмите несколько раз', 'Proofreading edits the current translation');
+  assert.strictEqual(calls[1].options.agentContext.routeHint, 'strong');
+}
+
+function testAgentRouting() {
+  const orchestrator = new global.NT.TranslationOrchestrator({});
+  const job = {
+    id: 'job-qa',
+    tabId: 1,
+    targetLang: 'ru',
+    blocksById: { b1: { blockId: 'b1', originalText: 'Press 25 times', translatedText: 'Нажмите несколько раз' } }
+  };
+  orchestrator._checkAppliedBlockQa(job, job.blocksById.b1, 'report');
+  assert.strictEqual(job.proofreading, undefined, 'Report mode only records');
+  assert.strictEqual(job.qaCheck.failedBlocks, 1);
+
+  orchestrator._checkAppliedBlockQa(job, job.blocksById.b1, 'proofread');
+  assert.deepStrictEqual([job.proofreading.enabled, job.proofreading.mode, job.proofreading.pendingBlockIds], [true, 'manual', ['b1']]);
+  assert.strictEqual(job.blocksById.b1.qaRouted, true);
+
+  job.proofreading.pendingBlockIds = [];
+  orchestrator._checkAppliedBlockQa(job, job.blocksById.b1, 'proofread');
+  assert.deepStrictEqual(job.proofreading.pendingBlockIds, [], 'A block is routed to proofreading once');
+  assert.strictEqual(job.qaCheck.routedBlocks, 1);
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/core/translation-qa.js');
+  load('extension/ai/translation-call.js');
+  load('extension/bg/translation-orchestrator.js');
+
+  testRules();
+  testRecord();
+  testPrompt();
+  await testEnforcement();
+  testAgentRouting();
+
+  console.log('PASS: translation QA');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function createChromeApi(initialState) {
+  const state = { ...(initialState || {}) };
+  return {
+    state,
+    storage: {
+      local: {
+        get(defaults, cb) {
+          if (defaults && typeof defaults === 'object' && !Array.isArray(defaults)) {
+            cb({ ...defaults, ...state });
+            return;
+          }
+          cb({ ...state });
+        },
+        set(payload, cb) {
+          Object.assign(state, JSON.parse(JSON.stringify(payload || {})));
+          if (typeof cb === 'function') {
+            cb();
+          }
+        }
+      }
+    }
+  };
+}
+
+function testPricing() {
+  const AiCommon = global.NT.AiCommon;
+  const registry = AiCommon.createModelRegistry();
+  const mini = registry.byKey['gpt-4o-mini:standard'];
+
+  const pricing = AiCommon.resolvePricing(mini, null);
+  assert.strictEqual(pricing.source, 'registry');
+  assert.strictEqual(pricing.cachedInputPrice, 0.075);
+  const cost = AiCommon.estimateCostUsd({ inputTokens: 1000000, cachedInputTokens: 400000, outputTokens: 100000, pricing });
+  assert.strictEqual(cost, 0.18, 'Cached input is billed at the discounted rate');
+
+  const noCachedPrice = AiCommon.resolvePricing(registry.byKey['gpt-5-pro:standard'], null);
+  assert.strictEqual(noCachedPrice.cachedInputPrice, noCachedPrice.inputPrice, 'Models without cache pricing bill cached input at full rate');
+
+  const overridden = AiCommon.resolvePricing(mini, { outputPrice: 1 });
+  assert.strictEqual(overridden.source, 'override');
+  assert.strictEqual(overridden.inputPrice, 0.15, 'Fields not overridden keep registry values');
+  assert.strictEqual(overridden.outputPrice, 1);
+
+  assert.strictEqual(
+    AiCommon.estimateCostUsd({ inputTokens: 10, outputTokens: 10, pricing: AiCommon.resolvePricing(null, null) }),
+    null,
+    'Unknown model has no cost'
+  );
+}
+
+async function testLedger() {
+  const chromeApi = createChromeApi();
+  const store = new global.NT.UsageLedgerStore({ chromeApi });
+  const now = new Date(2026, 4, 15, 12, 0, 0).getTime();
+  const yesterday = new Date(2026, 4, 14, 23, 30, 0).getTime();
+  const lastMonth = new Date(2026, 3, 30, 10, 0, 0).getTime();
+
+  await Promise.all([
+    store.record({ ts: now, jobId: 'job-1', tabId: 7, modelSpec: 'gpt-4o-mini:standard', inputTokens: 1000, cachedInputTokens: 200, outputTokens: 100, costUsd: 0.001 }),
+    store.record({ ts: now, jobId: 'job-1', tabId: 7, modelSpec: 'gpt-4o-mini:standard', inputTokens: 500, outputTokens: 50, costUsd: 0.0005 }),
+    store.record({ ts: yesterday, jobId: 'job-2', tabId: 8, modelSpec: 'gpt-5:standard', inputTokens: 100, outputTokens: 10, costUsd: 0.002 }),
+    store.record({ ts: lastMonth, jobId: 'job-0', tabId: 8, modelSpec: 'custom:standard', inputTokens: 10, outputTokens: 5, costUsd: null })
+  ]);
+
+  assert.strictEqual(chromeApi.state.ntUsageLedgerV1, undefined, 'Records are not written one by one');
+
+  const job = await store.getJobTotals('job-1');
+  assert.strictEqual(job.requests, 2, 'Concurrent records must not be lost');
+  assert.strictEqual(job.inputTokens, 1500);
+  assert.strictEqual(job.cachedInputTokens, 200);
+  assert.strictEqual(job.costUsd, 0.0015);
+
+  const tab = await store.getTabTotals(8);
+  assert.strictEqual(tab.requests, 2);
+  assert.strictEqual(tab.unpricedRequests, 1, 'Unpriced responses are counted separately');
+
+  const snapshot = await store.getSnapshot({ now });
+  assert.strictEqual(snapshot.day, '2026-05-15');
+  assert.strictEqual(snapshot.today.requests, 2);
+  assert.strictEqual(snapshot.month.requests, 3, 'Month totals include only the current calendar month');
+  assert.strictEqual(snapshot.month.costUsd, 0.0035);
+  assert.deepStrictEqual(snapshot.byDay.map((row) => row.day), ['2026-04-30', '2026-05-14', '2026-05-15']);
+  assert.strictEqual(snapshot.byModel[0].modelSpec, 'gpt-5:standard', 'Models are ordered by cost');
+  assert.strictEqual(snapshot.byJob.find((row) => row.jobId === 'job-2').tabId, 8);
+  assert.strictEqual(snapshot.recent.length, 4);
+
+  for (let i = 0; i < 90; i += 1) {
+    await store.record({ ts: now + i, jobId: `bulk-${i}`, tabId: 100 + i, modelSpec: 'gpt-4o-mini:standard', inputTokens: 1, outputTokens: 1, costUsd: 0 });
+  }
+  assert.strictEqual(await store.flush(), true, 'Pending rows are written in one go');
+  assert.strictEqual(await store.flush(), false, 'Nothing is written when the ledger is clean');
+  const raw = chromeApi.state.ntUsageLedgerV1;
+  assert(Object.keys(raw.byJob).length <= 80, 'Job aggregates are capped');
+  assert(Object.keys(raw.byTab).length <= 40, 'Tab aggregates are capped');
+  assert(raw.byJob['bulk-89'], 'Most recent jobs are kept');
+  assert.strictEqual((await store.getSnapshot({ now })).today.requests, 92, 'Day totals survive job pruning');
+  const reloaded = new global.NT.UsageLedgerStore({ chromeApi });
+  assert.strictEqual((await reloaded.getSnapshot({ now })).today.requests, 92, 'Flushed rows survive a restart');
+
+  await store.clear();
+  assert.strictEqual((await store.getSnapshot({ now })).today.requests, 0);
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/chrome-local-store-base.js');
+  load('extension/ai/capability-rank.js');
+  load('extension/ai/ai-common.js');
+  load('extension/bg/usage-ledger-store.js');
+
+  testPricing();
+  await testLedger();
+
+  console.log('PASS: usage ledger store');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function createChromeApi() {
+  const state = {};
+  return {
+    state,
+    storage: {
+      local: {
+        get(defaults, cb) {
+          cb({ ...(defaults && typeof defaults === 'object' ? defaults : {}), ...state });
+        },
+        set(payload, cb) {
+          Object.assign(state, JSON.parse(JSON.stringify(payload || {})));
+          if (typeof cb === 'function') {
+            cb();
+          }
+        }
+      }
+    }
+  };
+}
+
+function testRules() {
+  const Glossary = global.NT.UserGlossary;
+  assert.strictEqual(Glossary.normalizeEntry({ term: 'Dashboard' }), null, 'Entry needs a translation or do-not-translate');
+  const dnt = Glossary.normalizeEntry({ term: ' GitHub ', doNotTranslate: true, translation: 'ignored' });
+  assert.strictEqual(dnt.term, 'GitHub');
+  assert.strictEqual(dnt.translation, '');
+  assert.strictEqual(dnt.scope, 'global');
+  const domainless = Glossary.normalizeEntry({ term: 'a', translation: 'b', scope: 'domain', domain: 'not a domain' });
+  assert.strictEqual(domainless.scope, 'global', 'Domain scope without a valid domain falls back to global');
+  assert.strictEqual(Glossary.normalizeDomain('https://www.Docs.Example.com/path'), 'docs.example.com');
+
+  const entries = [
+    { id: 'g1', term: 'pull request', translation: 'пулл-реквест' },
+    { id: 'g2', term: 'pull request', translation: 'запрос на слияние', scope: 'domain', domain: 'example.com' },
+    { id: 'g3', term: 'GitHub', doNotTranslate: true, caseRule: 'exact' },
+    { id: 'g4', term: 'branch', translation: 'ветка', targetLang: 'de' },
+    { id: 'g5', term: 'commit', translation: 'коммит', sourceLang: 'en' }
+  ];
+  const forSite = Glossary.selectForPage(entries, { url: 'https://docs.example.com/a', targetLang: 'ru' });
+  assert.deepStrictEqual(forSite.map((entry) => entry.id).sort(), ['g2', 'g3', 'g5'], 'Domain entry overrides global, other pairs are dropped');
+  const elsewhere = Glossary.selectForPage(entries, { url: 'https://other.org/', targetLang: 'ru' });
+  assert(elsewhere.some((entry) => entry.id === 'g1'));
+
+  const matched = Glossary.matchEntries(forSite, 'Open a Pull Request on github', { sourceLang: 'en' });
+  assert.deepStrictEqual(matched.map((entry) => entry.id), ['g2'], 'Exact-case entries do not match other casing');
+  assert.strictEqual(Glossary.matchEntries(forSite, 'commit it', { sourceLang: 'de' }).length, 0, 'Source language must match when known');
+  assert.strictEqual(Glossary.matchEntries(forSite, 'recommitment', {}).length, 0, 'Terms match whole words only');
+
+  assert.deepStrictEqual(
+    Glossary.verify({ entries: forSite, sourceText: 'Push to GitHub', translatedText: 'Отправьте в Гитхаб' }).map((row) => row.code),
+    ['TERM_TRANSLATED']
+  );
+  assert.strictEqual(
+    Glossary.verify({ entries: forSite, sourceText: 'Open a pull request', translatedText: 'Откройте запрос на слиянии' }).length,
+    0,
+    'Inflected required translation is accepted'
+  );
+  const missing = Glossary.verify({ entries: forSite, sourceText: 'Open a pull request', translatedText: 'Откройте PR' });
+  assert.strictEqual(missing[0].code, 'TERM_MISSING');
+  assert.strictEqual(missing[0].expected, 'запрос на слияние');
+
+  const lines = Glossary.formatForPrompt(forSite);
+  assert(lines.some((line) => line.includes('"GitHub" => keep as is')));
+
+  const job = { userGlossary: forSite, blocksById: { b1: { blockId: 'b1' } } };
+  Glossary.recordCheck(job, 'b1', missing, { retried: true });
+  assert.strictEqual(job.blocksById.b1.glossaryViolations.length, 1, 'Violations are flagged on the block');
+  assert.strictEqual(job.glossaryCheck.violatedBlocks, 1);
+  Glossary.recordCheck(job, 'b1', []);
+  assert.strictEqual(job.blocksById.b1.glossaryViolations, undefined);
+  assert.strictEqual(job.glossaryCheck.violatedBlocks, 0);
+  assert.strictEqual(job.glossaryCheck.retriedBlocks, 1);
+}
+
+function testPrompt() {
+  const call = new global.NT.TranslationCall({ runLlmRequest: async () => null });
+  const entries = global.NT.UserGlossary.normalizeEntries([{ id: 'g1', term: 'GitHub', doNotTranslate: true }]);
+  const prompt = call._buildPrompt([{ blockId: 'b1', originalText: 'GitHub' }], 'ru', {
+    userGlossary: entries,
+    glossaryRetry: [{ term: 'GitHub', expected: 'GitHub', code: 'TERM_TRANSLATED' }]
+  });
+  assert(prompt.includes('Required terminology'), 'User glossary is injected into the prompt');
+  assert(prompt.includes('"GitHub" must stay untranslated'), 'Retry prompt spells out the violation');
+  assert(!call._buildPrompt([{ blockId: 'b1', originalText: 'x' }], 'ru', null).includes('Required terminology'));
+}
+
+async function testStore() {
+  const store = new global.NT.UserGlossaryStore({ chromeApi: createChromeApi() });
+  const bad = await store.upsertEntry({ term: '' });
+  assert.strictEqual(bad.ok, false);
+  const first = await store.upsertEntry({ term: 'deploy', translation: 'развёртывание' });
+  assert.strictEqual(first.ok, true);
+  await store.upsertEntry({ id: first.entry.id, term: 'deploy', translation: 'деплой' });
+  const listed = await store.listEntries();
+  assert.strictEqual(listed.length, 1, 'Upsert by id replaces the entry');
+  assert.strictEqual(listed[0].translation, 'деплой');
+  assert.strictEqual((await store.resolveForPage({ url: 'https://a.com', targetLang: 'ru' })).length, 1);
+  assert.strictEqual((await store.removeEntry(first.entry.id)).removed, true);
+  assert.strictEqual((await store.getSnapshot()).entries.length, 0);
+}
+
+async function testOrchestratorRetry() {
+  const requests = [];
+  const orchestrator = new global.NT.TranslationOrchestrator({
+    jobStore: { async upsertJob() {}, async setActiveJob() {}, async clearActiveJob() {} },
+    translationCall: {
+      async translateBatch(blocks, options) {
+        requests.push({ blocks, options });
+        return { items: blocks.map((block) => ({ blockId: block.blockId, text: 'Откройте запрос на слияние на GitHub' })) };
+      }
+    }
+  });
+  const job = {
+    id: 'job-g',
+    tabId: 1,
+    targetLang: 'ru',
+    attempts: 0,
+    userGlossary: global.NT.UserGlossary.normalizeEntries([
+      { id: 'g1', term: 'pull request', translation: 'запрос на слияние' },
+      { id: 'g2', term: 'GitHub', doNotTranslate: true }
+    ])
+  };
+  const blocks = [
+    { blockId: 'b1', originalText: 'Open a pull request on GitHub' },
+    { blockId: 'b2', originalText: 'Nothing to check' }
+  ];
+  const result = await orchestrator._enforceUserGlossary(job, blocks, [
+    { blockId: 'b1', text: 'Откройте PR на Гитхабе' },
+    { blockId: 'b2', text: 'Нечего проверять' }
+  ], { batchId: 'batch-1' });
+  assert.strictEqual(requests.length, 1, 'Violating blocks are re-requested once');
+  assert.deepStrictEqual(requests[0].blocks.map((block) => block.blockId), ['b1'], 'Only violating blocks are retried');
+  assert.strictEqual(requests[0].options.cacheEnabled, false, 'Retry bypasses the response cache');
+  assert.strictEqual(requests[0].options.agentContext.glossaryRetry.length, 2);
+  assert.strictEqual(result.items[0].text, 'Откройте запрос на слияние на GitHub');
+  assert.strictEqual(result.verdicts.b1.violations.length, 0);
+  assert.strictEqual(result.verdicts.b1.retried, true);
+  assert.strictEqual(result.verdicts.b2.retried, false);
+
+  const clean = await orchestrator._enforceUserGlossary({ ...job, userGlossary: [] }, blocks, [{ blockId: 'b1', text: 'x' }], {});
+  assert.deepStrictEqual(clean.verdicts, {}, 'No glossary means no verification');
+  assert.strictEqual(requests.length, 1);
+}
+
+async function testAgentStreamKeepsBetterAttempt() {
+  const answers = ['Откройте запрос на слияние на Гитхабе', 'Откройте PR на Гитхабе'];
+  const requests = [];
+  const registry = new global.NT.AgentToolRegistry({
+    runLlmRequest: async ({ request }) => {
+      requests.push(request);
+      return { output_text: answers[requests.length - 1] };
+    },
+    applyDelta: async () => ({ ok: true })
+  });
+  const job = {
+    id: 'job-s',
+    tabId: 1,
+    targetLang: 'ru',
+    blocksById: { b1: { blockId: 'b1', originalText: 'Open a pull request on GitHub' } },
+    userGlossary: global.NT.UserGlossary.normalizeEntries([
+      { id: 'g1', term: 'pull request', translation: 'запрос на слияние' },
+      { id: 'g2', term: 'GitHub', doNotTranslate: true }
+    ])
+  };
+  const result = await registry._toolTranslateBlockStream({ blockId: 'b1' }, job, {});
+  assert.strictEqual(requests.length, 2, 'Violating stream output is re-requested once');
+  assert.strictEqual(result.text, answers[0], 'A worse retry does not replace the first attempt');
+  assert.strictEqual(result.glossaryViolations.length, 1);
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/chrome-local-store-base.js');
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/core/user-glossary.js');
+  load('extension/bg/user-glossary-store.js');
+  load('extension/ai/translation-call.js');
+  load('extension/ai/agent-tool-registry.js');
+  load('extension/bg/translation-orchestrator.js');
+
+  testRules();
+  testPrompt();
+  await testStore();
+  await testOrchestratorRetry();
+  await testAgentStreamKeepsBetterAttempt();
+
+  console.log('PASS: user glossary');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});
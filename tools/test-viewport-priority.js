@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function load(relativePath) {
+  const fullPath = path.join(ROOT, relativePath);
+  const code = fs.readFileSync(fullPath, 'utf8');
+  vm.runInThisContext(code, { filename: fullPath });
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function waitMs(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function buildJob(overrides = {}) {
+  const blocksById = {};
+  ['b0', 'b1', 'b2', 'b3', 'b4', 'b5', 'b6'].forEach((blockId, index) => {
+    blocksById[blockId] = { blockId, originalText: `Paragraph ${index}`, category: 'main_content', domOrder: index };
+  });
+  return {
+    id: 'job-v',
+    tabId: 3,
+    status: 'running',
+    totalBlocks: 7,
+    completedBlocks: 0,
+    pendingBlockIds: Object.keys(blocksById),
+    failedBlockIds: [],
+    blocksById,
+    ...overrides
+  };
+}
+
+function testOrdering() {
+  const Viewport = global.NT.ViewportPriority;
+  assert.strictEqual(Viewport.normalizeMode('LAZY'), 'lazy');
+  assert.strictEqual(Viewport.normalizeMode('sometimes'), 'off');
+
+  const job = buildJob({ viewport: { mode: 'priority', visibleBlockIds: ['b4', 'b5'], nearBlockIds: ['b3', 'b6'] } });
+  assert.deepStrictEqual(Viewport.orderBlockIds(job, job.pendingBlockIds), ['b4', 'b5', 'b3', 'b6', 'b2', 'b1', 'b0'],
+    'Visible first, then near, then by distance from the visible range');
+  assert.deepStrictEqual(Viewport.applyToJob(job), { deferred: 0, released: 0 });
+  assert.deepStrictEqual(job.pendingBlockIds, ['b4', 'b5', 'b3', 'b6', 'b2', 'b1', 'b0']);
+
+  const lazy = buildJob({ viewport: { mode: 'lazy', visibleBlockIds: ['b0'], nearBlockIds: ['b1'] } });
+  lazy.blocksById.b1.segment = { id: 'b1:seg', index: 0, count: 2, slot: 0 };
+  lazy.blocksById.b2.segment = { id: 'b1:seg', index: 1, count: 2, slot: 1 };
+  assert.deepStrictEqual(Viewport.applyToJob(lazy), { deferred: 4, released: 0 });
+  assert.deepStrictEqual(lazy.pendingBlockIds, ['b0', 'b1', 'b2'], 'A segment touching the screen stays whole');
+  assert.deepStrictEqual(lazy.viewport.deferredBlockIds, ['b3', 'b4', 'b5', 'b6']);
+
+  lazy.pendingBlockIds = [];
+  lazy.viewport.visibleBlockIds = ['b5'];
+  lazy.viewport.nearBlockIds = ['b4', 'b6'];
+  assert.deepStrictEqual(Viewport.applyToJob(lazy), { deferred: 0, released: 3 });
+  assert.deepStrictEqual(lazy.pendingBlockIds, ['b5', 'b4', 'b6']);
+  assert.deepStrictEqual(lazy.viewport.deferredBlockIds, ['b3']);
+
+  lazy.viewport.mode = 'off';
+  assert.deepStrictEqual(Viewport.applyToJob(lazy), { deferred: 0, released: 1 }, 'Turning the mode off releases deferred work');
+  assert.deepStrictEqual(lazy.pendingBlockIds, ['b5', 'b4', 'b6', 'b3']);
+}
+
+async function testTracker() {
+  const observers = [];
+  global.IntersectionObserver = class {
+    constructor(callback, options = {}) {
+      this.callback = callback;
+      this.options = options;
+      this.targets = [];
+      observers.push(this);
+    }
+    observe(target) { this.targets.push(target); }
+    disconnect() { this.targets = []; }
+  };
+  const host = (inHead = false) => ({ nodeType: 1, closest: (selector) => (selector === 'head' && inHead ? {} : null) });
+  const paragraph = host();
+  const footer = host();
+  const title = host(true);
+  const reports = [];
+  const tracker = new global.NT.ViewportTracker({ onReport: (report) => reports.push(report), debounceMs: 0 });
+  const blocks = [{ blockId: 'b0' }, { blockId: 'b1' }, { blockId: 'b2' }, { blockId: 'a0' }];
+  const nodes = {
+    b0: { nodeType: 3, parentElement: paragraph },
+    b1: { nodeType: 3, parentElement: paragraph },
+    b2: { nodeType: 3, parentElement: footer },
+    a0: title
+  };
+  assert.strictEqual(tracker.start(blocks, nodes), true);
+  const [visibleObserver, nearObserver] = observers;
+  assert.strictEqual(visibleObserver.targets.length, 2, 'Each host is observed once');
+  assert.strictEqual(nearObserver.options.rootMargin, '150% 0px');
+
+  visibleObserver.callback([{ target: paragraph, isIntersecting: true }, { target: footer, isIntersecting: false }]);
+  nearObserver.callback([{ target: paragraph, isIntersecting: true }, { target: footer, isIntersecting: true }]);
+  await waitMs(5);
+  assert.deepStrictEqual(reports[reports.length - 1], { visibleBlockIds: ['a0', 'b0', 'b1'], nearBlockIds: ['b2'] },
+    'Changes are coalesced into one report; head blocks count as visible');
+
+  tracker.stop();
+  assert.strictEqual(tracker.report(), null);
+  delete global.IntersectionObserver;
+}
+
+function createOrchestrator(initialJob, settings) {
+  const jobs = new Map([[initialJob.id, clone(initialJob)]]);
+  const orchestrator = new global.NT.TranslationOrchestrator({
+    jobStore: {
+      async getJob(id) { return jobs.has(id) ? clone(jobs.get(id)) : null; },
+      async upsertJob(job) { jobs.set(job.id, clone(job)); },
+      async setActiveJob() {},
+      async clearActiveJob() {}
+    },
+    translationCall: { async translateBatch() { return { items: [] }; } }
+  });
+  orchestrator._readAgentSettings = async () => settings;
+  orchestrator.processed = [];
+  orchestrator._processJob = async (jobId) => { orchestrator.processed.push(jobId); };
+  return { orchestrator, jobs };
+}
+
+async function testOrchestratorLazyMode() {
+  const { orchestrator, jobs } = createOrchestrator(buildJob(), { translationViewportMode: 'lazy' });
+  const update = (visibleBlockIds, nearBlockIds) => orchestrator._handleViewportUpdate({
+    message: { jobId: 'job-v', visibleBlockIds, nearBlockIds },
+    tabId: 3,
+    frameId: 0
+  });
+  assert.strictEqual((await orchestrator._handleViewportUpdate({ message: { jobId: 'job-v' }, tabId: 3, frameId: 1 })).reason, 'non_top_frame_viewport');
+  assert.deepStrictEqual(await update(['b2'], ['b3']), { ok: true, accepted: true, released: 0 },
+    'A running job only remembers the report');
+
+  const job = jobs.get('job-v');
+  orchestrator._applyViewportReport(job, 'lazy');
+  assert.deepStrictEqual(orchestrator._buildNextBatch(job).blockIds, ['b2', 'b3'], 'The batch starts on screen');
+  job.pendingBlockIds = [];
+  job.completedBlocks = 2;
+  await orchestrator._parkJobForViewport(job);
+  const parked = jobs.get('job-v');
+  assert.strictEqual(parked.status, 'awaiting_viewport', 'A parked job is idle but not finished');
+  assert.strictEqual(orchestrator._isTerminalStatus(parked.status), false);
+  assert.deepStrictEqual(orchestrator._toJobSummary(parked).viewport.deferred, 5);
+
+  assert.deepStrictEqual(await update(['b6'], ['b5']), { ok: true, accepted: true, released: 2 });
+  const reopened = jobs.get('job-v');
+  assert.strictEqual(reopened.status, 'running', 'Scrolling near deferred blocks reopens the job');
+  assert.deepStrictEqual(reopened.pendingBlockIds, ['b6', 'b5']);
+  assert.deepStrictEqual(reopened.viewport.deferredBlockIds, ['b4', 'b1', 'b0']);
+  assert.deepStrictEqual(orchestrator.processed, ['job-v']);
+
+  orchestrator._readAgentSettings = async () => ({ translationViewportMode: 'off' });
+  assert.strictEqual((await update(['b0'], [])).reason, 'viewport_mode_off');
+
+  const stored = new global.NT.TranslationOrchestrator({
+    settingsStore: { async get(keys) { return keys.includes('translationViewportMode') ? { translationViewportMode: 'Lazy' } : {}; } }
+  });
+  assert.strictEqual(stored._viewportMode(await stored._readAgentSettings()), 'lazy', 'The stored setting reaches the orchestrator');
+}
+
+async function testAgentExecutionParks() {
+  const job = buildJob({
+    pendingBlockIds: [],
+    completedBlocks: 2,
+    viewport: { mode: 'lazy', visibleBlockIds: [], nearBlockIds: [], deferredBlockIds: ['b5', 'b6'] }
+  });
+  const { orchestrator, jobs } = createOrchestrator(job, { translationViewportMode: 'lazy' });
+  orchestrator.translationAgent = new global.NT.TranslationAgent({});
+  orchestrator.translationAgent.runLlmRequest = async () => {
+    throw new Error('No request is needed to park');
+  };
+  const result = await orchestrator._processJobAgentExecution(clone(job), { translationAgentExecutionMode: 'agent' });
+  assert.deepStrictEqual(result, { continueLoop: false });
+  assert.strictEqual(jobs.get('job-v').status, 'awaiting_viewport', 'The agent path parks instead of finishing');
+}
+
+function testAgentOrdering() {
+  const job = buildJob({ viewport: { mode: 'priority', visibleBlockIds: ['b5'], nearBlockIds: ['b6'] } });
+  job.blocksById.b5.category = 'footer';
+  job.pendingBlockIds = global.NT.ViewportPriority.orderBlockIds(job, job.pendingBlockIds);
+  const agent = new global.NT.TranslationAgent({});
+  const ordered = agent._computeOrderedPending(job, { plan: { categoryOrder: ['main_content', 'footer'] } }, job.pendingBlockIds);
+  assert.deepStrictEqual(ordered.slice(0, 3), ['b5', 'b6', 'b4'], 'Category order does not outrank the screen');
+
+  const registry = new global.NT.AgentToolRegistry({ translationAgent: agent, persistJobState: async () => {} });
+  const next = registry._toolGetNextBlocks({ limit: 3, prefer: 'long_first' }, job);
+  assert.deepStrictEqual(next.blocks.map((block) => block.blockId), ['b5', 'b6', 'b4']);
+}
+
+async function run() {
+  global.NT = {};
+  load('extension/core/message-envelope.js');
+  load('extension/core/event-types.js');
+  load('extension/core/translation-protocol.js');
+  load('extension/core/viewport-priority.js');
+  load('extension/content/viewport-tracker.js');
+  load('extension/ai/translation-agent.js');
+  load('extension/ai/agent-tool-registry.js');
+  load('extension/ai/agent-runner.js');
+  load('extension/bg/translation-orchestrator.js');
+
+  testOrdering();
+  await testTracker();
+  await testOrchestratorLazyMode();
+  await testAgentExecutionParks();
+  testAgentOrdering();
+
+  console.log('PASS: viewport priority');
+}
+
+run().catch((error) => {
+  console.error(error && error.stack ? error.stack : error);
+  process.exit(1);
+});